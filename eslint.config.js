@@ -77,6 +77,8 @@ module.exports = [
         {
           allowList: {
             DbManager: true,
+            DocsAssignment: true,
+            DocsParser: true,
             Utils: true,
           },
         },
@@ -206,7 +208,7 @@ module.exports = [
       'src/backend/Assessors/SheetsAssessor.js',
       'src/backend/ConfigurationManager/98_ConfigurationManagerClass.js',
       'src/backend/ConfigurationManager/99_globals.js',
-      'src/backend/DocumentParsers/DocumentParser.js',
+      'src/backend/DocumentParsers/0_DocumentParser.js',
       'src/backend/DocumentParsers/SheetsParser.js',
       'src/backend/DocumentParsers/SlidesParser.js',
       'src/backend/Models/StudentSubmission.js',
@@ -239,6 +241,8 @@ module.exports = [
           checkFilenames: false,
           allowList: {
             DbManager: true,
+            DocsAssignment: true,
+            DocsParser: true,
             Utils: true,
           },
         },
@@ -2,7 +2,7 @@
  * Shared backend constants that must be declared once in the GAS bundle.
  *
  * `ALPHABET_LENGTH` is referenced by `src/backend/Utils/Utils.js` and
- * `src/backend/Assessors/0_SpreadsheetFormulaEquivalence.js`, so the test
+ * `src/backend/Assessors/0_SpreadsheetFormulaParser.js`, so the test
  * harness loads this file first to keep one declaration sufficient.
  */
 const ALPHABET_LENGTH = 26;
@@ -0,0 +1,252 @@
+/* eslint-disable no-magic-numbers, security/detect-object-injection -- numeric indexes into byte arrays */
+
+const INFLATE_LENGTH_BASES = Object.freeze([
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131,
+  163, 195, 227, 258,
+]);
+const INFLATE_LENGTH_EXTRA_BITS = Object.freeze([
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0,
+]);
+const INFLATE_DISTANCE_BASES = Object.freeze([
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049,
+  3073, 4097, 6145, 8193, 12_289, 16_385, 24_577,
+]);
+const INFLATE_DISTANCE_EXTRA_BITS = Object.freeze([
+  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13,
+]);
+// Order in which a dynamic block lists the code lengths of its code-length alphabet.
+const INFLATE_CODE_LENGTH_ORDER = Object.freeze([
+  16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15,
+]);
+const INFLATE_MAX_BITS = 15;
+const INFLATE_END_OF_BLOCK = 256;
+const INFLATE_LITERAL_CODES = 288;
+const INFLATE_DISTANCE_CODES = 30;
+const INFLATE_BITS_PER_BYTE = 8;
+
+/**
+ * Decompresses raw DEFLATE data, as found inside zlib streams such as PNG image data.
+ *
+ * Apps Script has no inflate of its own (`Utilities.unzip` only reads zip archives), so this is a
+ * plain implementation of RFC 1951: stored, fixed-Huffman and dynamic-Huffman blocks. Malformed
+ * input throws.
+ */
+const DeflateDecoder = {
+  /**
+   * Inflates a raw DEFLATE stream (RFC 1951).
+   * @param {Uint8Array} input - Compressed bytes.
+   * @returns {Uint8Array} The decompressed bytes.
+   */
+  inflate(input) {
+    const reader = { input, position: 0, bitBuffer: 0, bitCount: 0 };
+    const sink = { output: new Uint8Array(input.length * 4 + 1024), length: 0 };
+
+    let isFinal = false;
+    while (!isFinal) {
+      isFinal = this._readBits(reader, 1) === 1;
+      const blockType = this._readBits(reader, 2);
+      if (blockType === 0) {
+        this._copyStoredBlock(reader, sink);
+      } else if (blockType === 3) {
+        throw new Error('Invalid DEFLATE block type');
+      } else {
+        const tables = blockType === 1 ? this._fixedTables() : this._readDynamicTables(reader);
+        this._inflateBlock(reader, tables, sink);
+      }
+    }
+    return sink.output.subarray(0, sink.length);
+  },
+
+  /**
+   * Grows the output buffer so it can take more bytes.
+   * @param {{output: Uint8Array, length: number}} sink - Output buffer and bytes written.
+   * @param {number} extra - Bytes about to be written.
+   * @returns {void}
+   */
+  _ensureCapacity(sink, extra) {
+    if (sink.length + extra <= sink.output.length) return;
+    const grown = new Uint8Array(Math.max(sink.output.length * 2, sink.length + extra));
+    grown.set(sink.output.subarray(0, sink.length));
+    sink.output = grown;
+  },
+
+  /**
+   * Copies an uncompressed block, which starts at the next byte boundary.
+   * @param {Object} reader - Bit reader state.
+   * @param {{output: Uint8Array, length: number}} sink - Output buffer and bytes written.
+   * @returns {void}
+   */
+  _copyStoredBlock(reader, sink) {
+    const input = reader.input;
+    reader.bitBuffer = 0;
+    reader.bitCount = 0;
+    const storedLength = input[reader.position] | (input[reader.position + 1] << 8);
+    // Skip the length and its ones' complement
+    reader.position += 4;
+    this._ensureCapacity(sink, storedLength);
+    sink.output.set(input.subarray(reader.position, reader.position + storedLength), sink.length);
+    reader.position += storedLength;
+    sink.length += storedLength;
+  },
+
+  /**
+   * Decodes one Huffman-coded block.
+   * @param {Object} reader - Bit reader state.
+   * @param {{literals: Object, distances: Object}} tables - Decoding tables.
+   * @param {{output: Uint8Array, length: number}} sink - Output buffer and bytes written.
+   * @returns {void}
+   */
+  _inflateBlock(reader, { literals, distances }, sink) {
+    for (;;) {
+      const symbol = this._decodeSymbol(reader, literals);
+      if (symbol === INFLATE_END_OF_BLOCK) return;
+      if (symbol < INFLATE_END_OF_BLOCK) {
+        this._ensureCapacity(sink, 1);
+        sink.output[sink.length++] = symbol;
+        continue;
+      }
+      const lengthCode = symbol - INFLATE_END_OF_BLOCK - 1;
+      const copyLength =
+        INFLATE_LENGTH_BASES[lengthCode] +
+        this._readBits(reader, INFLATE_LENGTH_EXTRA_BITS[lengthCode]);
+      const distanceCode = this._decodeSymbol(reader, distances);
+      const distance =
+        INFLATE_DISTANCE_BASES[distanceCode] +
+        this._readBits(reader, INFLATE_DISTANCE_EXTRA_BITS[distanceCode]);
+      if (distance > sink.length) throw new Error('Invalid DEFLATE distance');
+      this._ensureCapacity(sink, copyLength);
+      const output = sink.output;
+      for (let copied = 0; copied < copyLength; copied++) {
+        output[sink.length] = output[sink.length - distance];
+        sink.length++;
+      }
+    }
+  },
+
+  /**
+   * Reads bits least-significant first.
+   * @param {{input: Uint8Array, position: number, bitBuffer: number, bitCount: number}} reader - Bit reader state.
+   * @param {number} count - Bits to read, at most 16.
+   * @returns {number} The bits read.
+   */
+  _readBits(reader, count) {
+    while (reader.bitCount < count) {
+      if (reader.position >= reader.input.length) throw new Error('Unexpected end of DEFLATE data');
+      reader.bitBuffer |= reader.input[reader.position++] << reader.bitCount;
+      reader.bitCount += INFLATE_BITS_PER_BYTE;
+    }
+    const value = reader.bitBuffer & ((1 << count) - 1);
+    reader.bitBuffer >>>= count;
+    reader.bitCount -= count;
+    return value;
+  },
+
+  /**
+   * Builds a canonical Huffman decoding table from code lengths.
+   * @param {ArrayLike<number>} lengths - Code length per symbol; 0 for unused symbols.
+   * @returns {{counts: Uint16Array, symbols: Uint16Array}} Codes per length and symbols in code order.
+   */
+  _buildTable(lengths) {
+    const counts = new Uint16Array(INFLATE_MAX_BITS + 1);
+    [...lengths].forEach((length) => {
+      counts[length] += 1;
+    });
+    counts[0] = 0;
+    const offsets = new Uint16Array(INFLATE_MAX_BITS + 1);
+    for (let bits = 1; bits < INFLATE_MAX_BITS; bits++) {
+      offsets[bits + 1] = offsets[bits] + counts[bits];
+    }
+    const symbols = new Uint16Array(lengths.length);
+    [...lengths].forEach((length, symbol) => {
+      if (length > 0) symbols[offsets[length]++] = symbol;
+    });
+    return { counts, symbols };
+  },
+
+  /**
+   * Decodes one symbol with a canonical Huffman table.
+   * @param {Object} reader - Bit reader state.
+   * @param {{counts: Uint16Array, symbols: Uint16Array}} table - Decoding table.
+   * @returns {number} The symbol.
+   */
+  _decodeSymbol(reader, table) {
+    let code = 0;
+    let first = 0;
+    let index = 0;
+    for (let bits = 1; bits <= INFLATE_MAX_BITS; bits++) {
+      code |= this._readBits(reader, 1);
+      const count = table.counts[bits];
+      if (code - first < count) return table.symbols[index + code - first];
+      index += count;
+      first = (first + count) << 1;
+      code <<= 1;
+    }
+    throw new Error('Invalid DEFLATE code');
+  },
+
+  /**
+   * Returns the fixed Huffman tables of block type 1.
+   * @returns {{literals: Object, distances: Object}} Decoding tables.
+   */
+  _fixedTables() {
+    const literalLengths = new Uint8Array(INFLATE_LITERAL_CODES);
+    literalLengths.fill(8, 0, 144);
+    literalLengths.fill(9, 144, 256);
+    literalLengths.fill(7, 256, 280);
+    literalLengths.fill(8, 280);
+    return {
+      literals: this._buildTable(literalLengths),
+      distances: this._buildTable(new Uint8Array(INFLATE_DISTANCE_CODES).fill(5)),
+    };
+  },
+
+  /**
+   * Reads the Huffman tables at the start of a block of type 2.
+   * @param {Object} reader - Bit reader state.
+   * @returns {{literals: Object, distances: Object}} Decoding tables.
+   */
+  _readDynamicTables(reader) {
+    const literalCount = this._readBits(reader, 5) + 257;
+    const distanceCount = this._readBits(reader, 5) + 1;
+    const codeLengthCount = this._readBits(reader, 4) + 4;
+    const codeLengthLengths = new Uint8Array(INFLATE_CODE_LENGTH_ORDER.length);
+    INFLATE_CODE_LENGTH_ORDER.slice(0, codeLengthCount).forEach((symbol) => {
+      codeLengthLengths[symbol] = this._readBits(reader, 3);
+    });
+    const codeLengthTable = this._buildTable(codeLengthLengths);
+
+    const lengths = new Uint8Array(literalCount + distanceCount);
+    let index = 0;
+    while (index < lengths.length) {
+      const symbol = this._decodeSymbol(reader, codeLengthTable);
+      if (symbol < 16) {
+        lengths[index++] = symbol;
+        continue;
+      }
+      let repeat;
+      let value = 0;
+      if (symbol === 16) {
+        if (index === 0) throw new Error('Invalid DEFLATE length repeat');
+        value = lengths[index - 1];
+        repeat = 3 + this._readBits(reader, 2);
+      } else if (symbol === 17) {
+        repeat = 3 + this._readBits(reader, 3);
+      } else {
+        repeat = 11 + this._readBits(reader, 7);
+      }
+      lengths.fill(value, index, index + repeat);
+      index += repeat;
+    }
+
+    return {
+      literals: this._buildTable(lengths.subarray(0, literalCount)),
+      distances: this._buildTable(lengths.subarray(literalCount)),
+    };
+  },
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DeflateDecoder;
+} else {
+  globalThis.DeflateDecoder = DeflateDecoder;
+}
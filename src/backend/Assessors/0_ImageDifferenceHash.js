@@ -0,0 +1,353 @@
+/* eslint-disable no-magic-numbers, security/detect-object-injection -- numeric indexes into byte arrays */
+/* global DeflateDecoder */
+
+const IMAGE_HASH_COLUMNS = 9;
+const IMAGE_HASH_ROWS = 8;
+const IMAGE_HASH_BITS = (IMAGE_HASH_COLUMNS - 1) * IMAGE_HASH_ROWS;
+const IMAGE_HASH_HEX_BITS = 4;
+const IMAGE_BYTE_MASK = 255;
+const IMAGE_MAX_CHANNEL = 255;
+const IMAGE_LUMA_WEIGHTS = Object.freeze({ red: 0.299, green: 0.587, blue: 0.114 });
+
+const PNG_SIGNATURE = Object.freeze([137, 80, 78, 71, 13, 10, 26, 10]);
+const PNG_CHUNK_HEADER_BYTES = 8;
+const PNG_CHUNK_CRC_BYTES = 4;
+const PNG_ZLIB_HEADER_BYTES = 2;
+const PNG_ZLIB_DEFLATE_METHOD = 8;
+const PNG_ZLIB_METHOD_MASK = 15;
+
+/**
+ * Samples per pixel for each PNG colour type: greyscale, RGB, palette, greyscale with alpha
+ * and RGBA.
+ */
+const PNG_CHANNELS = new Map([
+  [0, 1],
+  [2, 3],
+  [3, 1],
+  [4, 2],
+  [6, 4],
+]);
+const PNG_COLOUR_PALETTE = 3;
+const PNG_BIT_DEPTH_BYTE = 8;
+const PNG_BIT_DEPTH_WORD = 16;
+
+/**
+ * Perceptual fingerprint for PNG images, used to tell a slide the student left as it was from one
+ * they worked on even when the exported bytes differ.
+ *
+ * The image is shrunk to a 9 × 8 grid of average brightness (transparent pixels are laid over
+ * white) and each of the 64 bits records whether a cell is brighter than its right-hand
+ * neighbour. Re-exports, compression changes and small nudges leave most bits unchanged, so the
+ * number of differing bits between two hashes measures how far one image has moved from another.
+ *
+ * Apps Script cannot decode images, so PNG decoding is done here, with DeflateDecoder for the
+ * compressed image data.
+ * Interlaced images and anything that is not a PNG data URL give no hash.
+ */
+const ImageDifferenceHash = {
+  /**
+   * Hashes a base64 PNG data URL.
+   * @param {string|null} dataUrl - Image artifact content.
+   * @returns {string|null} The 64-bit hash as 16 hex digits, or null when the image cannot be read.
+   */
+  fromDataUrl(dataUrl) {
+    const match = /^data:image\/png;base64,(.+)$/su.exec(String(dataUrl ?? ''));
+    if (!match) return null;
+    try {
+      const image = this._decodePng(this._decodeBase64(match[1]));
+      return image ? this._hashGrid(image) : null;
+    } catch {
+      // A corrupt or truncated image is treated as unreadable rather than failing the run
+      return null;
+    }
+  },
+
+  /**
+   * Counts the bits that differ between two hashes.
+   * @param {string} first - Hash from fromDataUrl().
+   * @param {string} second - Hash from fromDataUrl().
+   * @returns {number} Differing bits, from 0 to 64.
+   */
+  distance(first, second) {
+    let bits = 0;
+    [...first].forEach((digit, index) => {
+      let difference = Number.parseInt(digit, 16) ^ Number.parseInt(second.charAt(index), 16);
+      while (difference > 0) {
+        bits += difference & 1;
+        difference >>= 1;
+      }
+    });
+    return bits;
+  },
+
+  /**
+   * Decodes base64 to unsigned bytes, in Apps Script or Node.
+   * @param {string} base64 - Base64 text.
+   * @returns {Uint8Array} The bytes.
+   */
+  _decodeBase64(base64) {
+    if (typeof Utilities !== 'undefined' && Utilities.base64Decode) {
+      // Apps Script returns signed Java bytes
+      return Uint8Array.from(Utilities.base64Decode(base64), (byte) => byte & IMAGE_BYTE_MASK);
+    }
+    return Uint8Array.from(Buffer.from(base64, 'base64'));
+  },
+
+  /**
+   * Decodes a PNG into an average-brightness grid of IMAGE_HASH_COLUMNS × IMAGE_HASH_ROWS cells.
+   * @param {Uint8Array} bytes - PNG file bytes.
+   * @returns {Float64Array|null} Cell brightness by row, or null for unsupported images.
+   */
+  _decodePng(bytes) {
+    if (PNG_SIGNATURE.some((byte, index) => bytes[index] !== byte)) return null;
+    const { header, palette, transparency, data } = this._readChunks(bytes);
+    if (!header || header.interlace !== 0 || !PNG_CHANNELS.has(header.colourType)) return null;
+    if (data.length <= PNG_ZLIB_HEADER_BYTES) return null;
+    if ((data[0] & PNG_ZLIB_METHOD_MASK) !== PNG_ZLIB_DEFLATE_METHOD) return null;
+
+    const pixels = DeflateDecoder.inflate(data.subarray(PNG_ZLIB_HEADER_BYTES));
+    return this._averageGrid(header, pixels, { palette, transparency });
+  },
+
+  /**
+   * Reads the header, palette, transparency and joined image data chunks.
+   * @param {Uint8Array} bytes - PNG file bytes.
+   * @returns {{header: Object|null, palette: Uint8Array|null, transparency: Uint8Array|null, data: Uint8Array}}
+   *   The chunks needed to decode the image.
+   */
+  _readChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const dataChunks = [];
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    let offset = PNG_SIGNATURE.length;
+
+    while (offset + PNG_CHUNK_HEADER_BYTES <= bytes.length) {
+      const length = view.getUint32(offset);
+      const type = String.fromCodePoint(...bytes.subarray(offset + 4, offset + 8));
+      const start = offset + PNG_CHUNK_HEADER_BYTES;
+      const chunk = bytes.subarray(start, start + length);
+      switch (type) {
+        case 'IHDR': {
+          header = {
+            width: view.getUint32(start),
+            height: view.getUint32(start + 4),
+            bitDepth: chunk[8],
+            colourType: chunk[9],
+            interlace: chunk[12],
+          };
+          break;
+        }
+        case 'PLTE': {
+          palette = chunk;
+          break;
+        }
+        case 'tRNS': {
+          transparency = chunk;
+          break;
+        }
+        case 'IDAT': {
+          dataChunks.push(chunk);
+          break;
+        }
+      }
+      if (type === 'IEND') break;
+      offset = start + length + PNG_CHUNK_CRC_BYTES;
+    }
+
+    let totalLength = 0;
+    dataChunks.forEach((chunk) => {
+      totalLength += chunk.length;
+    });
+    const data = new Uint8Array(totalLength);
+    let position = 0;
+    dataChunks.forEach((chunk) => {
+      data.set(chunk, position);
+      position += chunk.length;
+    });
+    return { header, palette, transparency, data };
+  },
+
+  /**
+   * Reverses the PNG row filters and averages each pixel's brightness into its grid cell.
+   * @param {{width: number, height: number, bitDepth: number, colourType: number}} header - Image header.
+   * @param {Uint8Array} pixels - Inflated, filtered scanlines.
+   * @param {{palette: Uint8Array|null, transparency: Uint8Array|null}} colours - Palette chunks.
+   * @returns {Float64Array} Cell brightness by row.
+   */
+  _averageGrid(header, pixels, colours) {
+    const { width, height, bitDepth, colourType } = header;
+    const channels = PNG_CHANNELS.get(colourType);
+    const bitsPerPixel = channels * bitDepth;
+    const filterStride = Math.max(1, bitsPerPixel / PNG_BIT_DEPTH_BYTE);
+    const rowBytes = Math.ceil((width * bitsPerPixel) / PNG_BIT_DEPTH_BYTE);
+    const sums = new Float64Array(IMAGE_HASH_COLUMNS * IMAGE_HASH_ROWS);
+    const counts = new Float64Array(IMAGE_HASH_COLUMNS * IMAGE_HASH_ROWS);
+    const cellColumns = Array.from({ length: width }, (_, x) =>
+      Math.floor((x * IMAGE_HASH_COLUMNS) / width)
+    );
+    let previous = new Uint8Array(rowBytes);
+
+    for (let y = 0; y < height; y++) {
+      const start = y * (rowBytes + 1);
+      const row = this._unfilterRow(
+        pixels[start],
+        pixels.subarray(start + 1, start + 1 + rowBytes),
+        previous,
+        filterStride
+      );
+      const cellRow = Math.floor((y * IMAGE_HASH_ROWS) / height) * IMAGE_HASH_COLUMNS;
+      for (let x = 0; x < width; x++) {
+        const cell = cellRow + cellColumns[x];
+        sums[cell] += this._brightness(row, x, header, channels, colours);
+        counts[cell] += 1;
+      }
+      previous = row;
+    }
+
+    return sums.map((sum, cell) => (counts[cell] > 0 ? sum / counts[cell] : 0));
+  },
+
+  /**
+   * Reverses one scanline's filter.
+   * @param {number} filter - Filter type, 0 to 4.
+   * @param {Uint8Array} filtered - Filtered scanline.
+   * @param {Uint8Array} previous - The previous unfiltered scanline.
+   * @param {number} stride - Bytes per complete pixel, at least 1.
+   * @returns {Uint8Array} The unfiltered scanline.
+   */
+  _unfilterRow(filter, filtered, previous, stride) {
+    const row = new Uint8Array(filtered.length);
+    filtered.forEach((value, index) => {
+      const left = index >= stride ? row[index - stride] : 0;
+      const up = previous[index];
+      const upLeft = index >= stride ? previous[index - stride] : 0;
+      row[index] = (value + this._predict(filter, left, up, upLeft)) & IMAGE_BYTE_MASK;
+    });
+    return row;
+  },
+
+  /**
+   * Predicts a byte from its neighbours for one PNG filter type.
+   * @param {number} filter - Filter type, 0 to 4.
+   * @param {number} left - Byte to the left.
+   * @param {number} up - Byte above.
+   * @param {number} upLeft - Byte above and to the left.
+   * @returns {number} The predicted byte.
+   */
+  _predict(filter, left, up, upLeft) {
+    switch (filter) {
+      case 1: {
+        return left;
+      }
+      case 2: {
+        return up;
+      }
+      case 3: {
+        return Math.floor((left + up) / 2);
+      }
+      case 4: {
+        return this._paeth(left, up, upLeft);
+      }
+      default: {
+        return 0;
+      }
+    }
+  },
+
+  /**
+   * The PNG Paeth predictor.
+   * @param {number} left - Byte to the left.
+   * @param {number} up - Byte above.
+   * @param {number} upLeft - Byte above and to the left.
+   * @returns {number} The predicted byte.
+   */
+  _paeth(left, up, upLeft) {
+    const estimate = left + up - upLeft;
+    const toLeft = Math.abs(estimate - left);
+    const toUp = Math.abs(estimate - up);
+    const toUpLeft = Math.abs(estimate - upLeft);
+    if (toLeft <= toUp && toLeft <= toUpLeft) return left;
+    return toUp <= toUpLeft ? up : upLeft;
+  },
+
+  /**
+   * Reads one pixel's brightness, 0 to 255, laid over white when it is transparent.
+   * @param {Uint8Array} row - Unfiltered scanline.
+   * @param {number} x - Pixel column.
+   * @param {{bitDepth: number, colourType: number}} header - Image header.
+   * @param {number} channels - Samples per pixel.
+   * @param {{palette: Uint8Array|null, transparency: Uint8Array|null}} colours - Palette chunks.
+   * @returns {number} The brightness.
+   */
+  _brightness(row, x, header, channels, colours) {
+    const { bitDepth, colourType } = header;
+    const first = x * channels;
+    let red;
+    let green;
+    let blue;
+    let alpha = IMAGE_MAX_CHANNEL;
+
+    if (colourType === PNG_COLOUR_PALETTE) {
+      const entry = this._readSample(row, first, bitDepth);
+      const colour = colours.palette?.subarray(entry * 3, entry * 3 + 3) ?? [];
+      [red = 0, green = 0, blue = 0] = colour;
+      alpha = colours.transparency?.at(entry) ?? IMAGE_MAX_CHANNEL;
+    } else {
+      const scale = IMAGE_MAX_CHANNEL / (2 ** Math.min(bitDepth, PNG_BIT_DEPTH_BYTE) - 1);
+      const level = (index) => this._readSample(row, index, bitDepth) * scale;
+      red = level(first);
+      green = channels >= 3 ? level(first + 1) : red;
+      blue = channels >= 3 ? level(first + 2) : red;
+      if (channels === 2 || channels === 4) alpha = level(first + channels - 1);
+    }
+
+    const luma =
+      IMAGE_LUMA_WEIGHTS.red * red +
+      IMAGE_LUMA_WEIGHTS.green * green +
+      IMAGE_LUMA_WEIGHTS.blue * blue;
+    return (luma * alpha + IMAGE_MAX_CHANNEL * (IMAGE_MAX_CHANNEL - alpha)) / IMAGE_MAX_CHANNEL;
+  },
+
+  /**
+   * Reads one sample from a scanline. 16-bit samples keep their high byte.
+   * @param {Uint8Array} row - Unfiltered scanline.
+   * @param {number} index - Sample index within the row.
+   * @param {number} bitDepth - Bits per sample.
+   * @returns {number} The sample value.
+   */
+  _readSample(row, index, bitDepth) {
+    if (bitDepth === PNG_BIT_DEPTH_WORD) return row[index * 2];
+    if (bitDepth === PNG_BIT_DEPTH_BYTE) return row[index];
+    const bit = index * bitDepth;
+    const shift = PNG_BIT_DEPTH_BYTE - bitDepth - (bit % PNG_BIT_DEPTH_BYTE);
+    return (row[Math.floor(bit / PNG_BIT_DEPTH_BYTE)] >> shift) & ((1 << bitDepth) - 1);
+  },
+
+  /**
+   * Turns the brightness grid into the hash: one bit per cell brighter than its right neighbour.
+   * @param {Float64Array} grid - Cell brightness by row.
+   * @returns {string} The hash as hex digits.
+   */
+  _hashGrid(grid) {
+    let bits = '';
+    for (let row = 0; row < IMAGE_HASH_ROWS; row++) {
+      for (let column = 0; column < IMAGE_HASH_COLUMNS - 1; column++) {
+        const cell = row * IMAGE_HASH_COLUMNS + column;
+        bits += grid[cell] > grid[cell + 1] ? '1' : '0';
+      }
+    }
+    let hex = '';
+    for (let start = 0; start < IMAGE_HASH_BITS; start += IMAGE_HASH_HEX_BITS) {
+      hex += Number.parseInt(bits.slice(start, start + IMAGE_HASH_HEX_BITS), 2).toString(16);
+    }
+    return hex;
+  },
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImageDifferenceHash;
+} else {
+  globalThis.ImageDifferenceHash = ImageDifferenceHash;
+}
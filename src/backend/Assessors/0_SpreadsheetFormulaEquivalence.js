@@ -1,10 +1,63 @@
-/* global ALPHABET_LENGTH */
-const ASCII_UPPERCASE_OFFSET = 64;
-const ASCII_A = 65;
-const ASCII_Z = 90;
-const NOT_FOUND_INDEX = -1;
+/* global SpreadsheetFormulaParser */
+const FORMULA_MAX_EXPANDED_RANGE_CELLS = 100;
+const FORMULA_PERCENT_DIVISOR = 100;
+
+/**
+ * Modern and legacy spellings of the same function, mapped to one canonical name.
+ */
+const FORMULA_FUNCTION_ALIASES = new Map([
+  ['STDEV.S', 'STDEV'],
+  ['STDEV.P', 'STDEVP'],
+  ['VAR.S', 'VAR'],
+  ['VAR.P', 'VARP'],
+  ['MODE.SNGL', 'MODE'],
+  ['RANK.EQ', 'RANK'],
+  ['PERCENTILE.INC', 'PERCENTILE'],
+  ['QUARTILE.INC', 'QUARTILE'],
+  ['NORM.DIST', 'NORMDIST'],
+  ['CONCAT', 'CONCATENATE'],
+]);
+
+/**
+ * Functions whose result does not depend on argument order, so `MAX(B1,A1:A2)` matches
+ * `MAX(A1,A2,B1)`. Small ranges in their arguments are expanded to cells before sorting.
+ */
+const FORMULA_ORDER_INSENSITIVE_FUNCTIONS = new Set([
+  'SUM',
+  'PRODUCT',
+  'MAX',
+  'MIN',
+  'COUNT',
+  'COUNTA',
+  'AVERAGE',
+  'MEDIAN',
+  'AND',
+  'OR',
+]);
+
 /**
- * Provides a deliberately narrow equivalence check for spreadsheet formulae.
+ * Comparison operators rewritten to their mirror image so that `B1>A1` matches `A1<B1`.
+ */
+const FORMULA_MIRRORED_COMPARISONS = new Map([
+  ['>', '<'],
+  ['>=', '<='],
+]);
+
+/**
+ * Decides whether a student's spreadsheet formula should be credited as matching the reference.
+ *
+ * Both formulae are parsed by SpreadsheetFormulaParser and reduced to a canonical signature:
+ * - case, whitespace, `$` markers and range corner order are ignored;
+ * - `+` and `*` (and SUM/PRODUCT) are flattened and their operands sorted, and subtraction is
+ *   addition of a negated term, so `=B1+A1`, `=SUM(A1:B1)` and `=A1--B1` all match;
+ * - the sign of a product is carried on its numeric coefficient, or on the whole product, so
+ *   `=-A1*B1` matches `=A1*-B1`;
+ * - legacy/modern function spellings are aliased and order-insensitive functions sort their
+ *   arguments;
+ * - `SUM(x)/COUNT(x)` is read as `AVERAGE(x)`.
+ *
+ * Teachers can also declare equivalence sets for a task: lists of formulae to treat as
+ * interchangeable, such as `['=AVERAGE(B2:B10)', '=MEDIAN(B2:B10)']`.
  */
 const SpreadsheetFormulaEquivalence = {
   /**
@@ -12,9 +65,10 @@ const SpreadsheetFormulaEquivalence = {
    * spreadsheet assessment.
    * @param {string} studentFormula - Formula supplied by the student.
    * @param {string} referenceFormula - Formula from the reference material.
+   * @param {Array<Array<string>>} [equivalenceSets] - Declared sets of interchangeable formulae.
    * @returns {boolean} Whether the formulae should be scored as matching.
    */
-  areEquivalent(studentFormula, referenceFormula) {
+  areEquivalent(studentFormula, referenceFormula, equivalenceSets = []) {
     if (studentFormula === referenceFormula) {
       return true;
     }
@@ -23,202 +77,351 @@ const SpreadsheetFormulaEquivalence = {
       return false;
     }
 
-    if (!this._canUseSimpleAdditionEquivalence(studentFormula, referenceFormula)) {
-      return false;
-    }
-
-    const studentSignature = this._getSimpleAdditionSignature(studentFormula);
-    if (!studentSignature) {
-      return false;
+    const studentKey = this._getComparisonKey(studentFormula);
+    const referenceKey = this._getComparisonKey(referenceFormula);
+    if (studentKey === referenceKey) {
+      return true;
     }
 
-    const referenceSignature = this._getSimpleAdditionSignature(referenceFormula);
-    return referenceSignature === studentSignature;
+    return (equivalenceSets || []).some((equivalenceSet) => {
+      const keys = new Set(equivalenceSet.map((formula) => this._getComparisonKey(formula)));
+      return keys.has(studentKey) && keys.has(referenceKey);
+    });
   },
 
   /**
-   * Performs a cheap structural pre-check before regex parsing.
-   * @param {string} studentFormula - Student formula to inspect.
-   * @param {string} referenceFormula - Reference formula to inspect.
-   * @returns {boolean} Whether the pair is worth attempting to parse.
+   * Builds the canonical signature of a formula.
+   * @param {string} formula - Formula text, with or without its leading `=`.
+   * @returns {string|null} Signature, or null when the formula cannot be parsed.
    */
-  _canUseSimpleAdditionEquivalence(studentFormula, referenceFormula) {
-    const studentHasPlus = studentFormula.indexOf('+') !== NOT_FOUND_INDEX;
-    const referenceHasPlus = referenceFormula.indexOf('+') !== NOT_FOUND_INDEX;
-
-    if (studentHasPlus && referenceHasPlus) {
-      return true;
-    }
+  getCanonicalSignature(formula) {
+    const node = SpreadsheetFormulaParser.parse(formula);
+    return node ? this._serialise(this._canonicalise(node)) : null;
+  },
 
-    if (studentHasPlus) {
-      return this._isSumCandidate(referenceFormula);
-    }
+  /**
+   * Builds the key two formulae are compared by: the canonical signature, or the trimmed
+   * formula text when it cannot be parsed.
+   * @param {string} formula - Formula text.
+   * @returns {string} Comparison key.
+   */
+  _getComparisonKey(formula) {
+    const signature = this.getCanonicalSignature(formula);
+    return signature ?? `TEXT:${String(formula).trim().replace(/^=/u, '')}`;
+  },
 
-    if (referenceHasPlus) {
-      return this._isSumCandidate(studentFormula);
+  /**
+   * Rewrites a parsed node into canonical form.
+   * @param {Object} node - AST node from SpreadsheetFormulaParser.
+   * @returns {Object} Canonical node.
+   */
+  _canonicalise(node) {
+    switch (node.type) {
+      case 'percent': {
+        const operand = this._canonicalise(node.operand);
+        return operand.type === 'number'
+          ? { type: 'number', value: operand.value / FORMULA_PERCENT_DIVISOR }
+          : { type: 'percent', operand };
+      }
+      case 'unary': {
+        const operand = this._canonicalise(node.operand);
+        return node.operator === '-' ? this._negate(operand) : operand;
+      }
+      case 'binary': {
+        return this._canonicaliseBinary(node);
+      }
+      case 'function': {
+        return this._canonicaliseFunction(node);
+      }
+      default: {
+        return node;
+      }
     }
-
-    return false;
   },
 
   /**
-   * Identifies whether a formula is cheaply worth testing as a SUM range.
-   * @param {string} formula - Formula string to inspect.
-   * @returns {boolean} Whether the formula looks like a possible SUM(range).
+   * Canonicalises a binary operation.
+   * @param {{operator: string, left: Object, right: Object}} node - Binary node.
+   * @returns {Object} Canonical node.
    */
-  _isSumCandidate(formula) {
-    return (
-      formula.startsWith('=SUM(') &&
-      formula.endsWith(')') &&
-      formula.indexOf(':') !== NOT_FOUND_INDEX
-    );
+  _canonicaliseBinary(node) {
+    const left = this._canonicalise(node.left);
+    const right = this._canonicalise(node.right);
+
+    switch (node.operator) {
+      case '+': {
+        return this._makeSum([left, right]);
+      }
+      case '-': {
+        return this._makeSum([left, this._negate(right)]);
+      }
+      case '*': {
+        return this._makeProduct([left, right]);
+      }
+      case '/': {
+        return this._asAverage(left, right) ?? { type: 'binary', operator: '/', left, right };
+      }
+      case '=':
+      case '<>': {
+        const [first, second] = this._sortBySignature([left, right]);
+        return { type: 'binary', operator: node.operator, left: first, right: second };
+      }
+      default: {
+        if (FORMULA_MIRRORED_COMPARISONS.has(node.operator)) {
+          const operator = FORMULA_MIRRORED_COMPARISONS.get(node.operator);
+          return { type: 'binary', operator, left: right, right: left };
+        }
+        return { type: 'binary', operator: node.operator, left, right };
+      }
+    }
   },
 
   /**
-   * Builds a stable comparison signature for the supported equivalent shapes.
-   * @param {string} formula - Formula string to inspect.
-   * @returns {string|null} Stable signature when the formula is supported, else null.
+   * Canonicalises a function call: aliases the name and, for order-insensitive functions,
+   * expands small ranges and sorts the arguments. SUM and PRODUCT become `+`/`*` terms.
+   * @param {{name: string, arguments: Array<Object>}} node - Function node.
+   * @returns {Object} Canonical node.
    */
-  _getSimpleAdditionSignature(formula) {
-    const canonicalFormula = formula ? String(formula) : '';
-    if (!canonicalFormula) {
-      return null;
-    }
+  _canonicaliseFunction(node) {
+    const name = FORMULA_FUNCTION_ALIASES.get(node.name) ?? node.name;
+    const argumentNodes = node.arguments.map((argument) => this._canonicalise(argument));
 
-    const rangeRegex = /^=SUM\(([^():]+):([^():]+)\)$/u;
-    const rangeMatch = rangeRegex.exec(canonicalFormula);
-    if (rangeMatch) {
-      const startReference = this._parseA1Reference(rangeMatch[1]);
-      const endReference = this._parseA1Reference(rangeMatch[2]);
-      return this._createTwoCellRangeSignature(startReference, endReference);
+    if (!FORMULA_ORDER_INSENSITIVE_FUNCTIONS.has(name)) {
+      return { type: 'function', name, arguments: argumentNodes };
     }
 
-    const additionRegex = /^=([^()+]+)\+([^()+]+)$/u;
-    const additionMatch = additionRegex.exec(canonicalFormula);
-    if (!additionMatch) {
-      return null;
+    const expanded = argumentNodes.flatMap((argument) => this._expandRange(argument));
+    if (name === 'SUM') {
+      return this._makeSum(expanded);
     }
-
-    const firstReference = this._parseA1Reference(additionMatch[1]);
-    const secondReference = this._parseA1Reference(additionMatch[2]);
-    if (!firstReference || !secondReference) {
-      return null;
+    if (name === 'PRODUCT') {
+      return this._makeProduct(expanded);
     }
-
-    return this._buildReferencePairSignature([firstReference, secondReference]);
+    return { type: 'function', name, arguments: this._sortBySignature(expanded) };
   },
 
   /**
-   * Parses a simple A1 reference into sheet, row, and column coordinates.
-   * @param {string} reference - Candidate A1 reference.
-   * @returns {Object|null} Parsed reference details, or null when unsupported.
+   * Reads `SUM(x)/COUNT(x)` (in any of its equivalent spellings) as `AVERAGE(x)`.
+   * @param {Object} dividend - Canonical dividend.
+   * @param {Object} divisor - Canonical divisor.
+   * @returns {Object|null} Canonical AVERAGE node, or null when the shape does not match.
    */
-  _parseA1Reference(reference) {
-    const text = String(reference);
-    if (!text) {
+  _asAverage(dividend, divisor) {
+    if (divisor.type !== 'function' || divisor.name !== 'COUNT') {
       return null;
     }
 
-    let sheetName = '';
-    let cellReference = text;
-    const sheetSeparatorIndex = text.lastIndexOf('!');
-    if (sheetSeparatorIndex !== NOT_FOUND_INDEX) {
-      sheetName = text.slice(0, sheetSeparatorIndex);
-      cellReference = text.slice(sheetSeparatorIndex + 1);
-      if (!sheetName || !cellReference) {
-        return null;
-      }
+    const terms = dividend.type === 'sum' ? dividend.terms : [dividend];
+    const termSignatures = terms.map((term) => this._serialise(term)).join(',');
+    const countSignatures = divisor.arguments.map((term) => this._serialise(term)).join(',');
+    if (termSignatures !== countSignatures) {
+      return null;
     }
+    return { type: 'function', name: 'AVERAGE', arguments: divisor.arguments };
+  },
 
-    let index = 0;
-    if (cellReference.charAt(index) === '$') {
-      index++;
+  /**
+   * Negates a canonical node, folding numbers and double negation, distributing over sums and
+   * moving the sign of a product onto its numeric coefficient.
+   * @param {Object} node - Canonical node.
+   * @returns {Object} Negated node.
+   */
+  _negate(node) {
+    if (node.type === 'number') {
+      return { type: 'number', value: -node.value };
     }
-
-    let columnLetters = '';
-    while (index < cellReference.length) {
-      const codePoint = cellReference.codePointAt(index);
-      if (codePoint < ASCII_A || codePoint > ASCII_Z) {
-        break;
-      }
-      columnLetters += cellReference.charAt(index);
-      index++;
+    if (node.type === 'negate') {
+      return node.operand;
     }
-
-    if (!columnLetters) {
-      return null;
+    if (node.type === 'sum') {
+      return this._makeSum(node.terms.map((term) => this._negate(term)));
     }
-
-    if (cellReference.charAt(index) === '$') {
-      index++;
+    if (node.type === 'product') {
+      const coefficient = node.terms.find((term) => term.type === 'number');
+      if (coefficient) {
+        const terms = node.terms.map((term) => (term === coefficient ? this._negate(term) : term));
+        return { type: 'product', terms: this._sortBySignature(terms) };
+      }
     }
+    return { type: 'negate', operand: node };
+  },
 
-    const rowPart = cellReference.slice(index);
-    if (!rowPart || !/^\d+$/u.test(rowPart)) {
-      return null;
-    }
+  /**
+   * Builds a flattened, sorted sum.
+   * @param {Array<Object>} terms - Canonical terms.
+   * @returns {Object} Sum node, or the single term when it is not a multi-cell range.
+   */
+  _makeSum(terms) {
+    return this._makeCommutative('sum', terms);
+  },
 
-    const rowNumber = Number(rowPart);
-    if (!rowNumber) {
-      return null;
-    }
+  /**
+   * Builds a flattened, sorted product. Negated and negative factors are made positive and the
+   * overall sign is applied to the result, so `-A1*B1`, `A1*-B1` and `-(A1*B1)` all match.
+   * @param {Array<Object>} factors - Canonical factors.
+   * @returns {Object} Product node, or the single factor when it is not a multi-cell range.
+   */
+  _makeProduct(factors) {
+    let negative = false;
+    const unsignedFactors = factors
+      .flatMap((factor) => (factor.type === 'product' ? factor.terms : [factor]))
+      .map((factor) => {
+        if (factor.type === 'negate') {
+          negative = !negative;
+          return factor.operand;
+        }
+        if (factor.type === 'number' && factor.value < 0) {
+          negative = !negative;
+          return { type: 'number', value: -factor.value };
+        }
+        return factor;
+      });
+
+    const product = this._makeCommutative('product', unsignedFactors);
+    return negative ? this._negate(product) : product;
+  },
 
-    let columnNumber = 0;
-    for (let index = 0; index < columnLetters.length; index++) {
-      columnNumber =
-        columnNumber * ALPHABET_LENGTH +
-        (columnLetters.codePointAt(index) - ASCII_UPPERCASE_OFFSET);
+  /**
+   * Builds a flattened, sorted commutative node.
+   * A lone operand stands for itself (`SUM(A1)` is `A1`) unless it is a range, which would
+   * otherwise read as a bare range reference.
+   * @param {string} type - `sum` or `product`.
+   * @param {Array<Object>} operands - Canonical operands.
+   * @returns {Object} Canonical node.
+   */
+  _makeCommutative(type, operands) {
+    const flattened = operands.flatMap((operand) =>
+      operand.type === type ? operand.terms : [operand]
+    );
+    if (flattened.length === 1 && !this._isMultiCellRange(flattened[0])) {
+      return flattened[0];
     }
-
-    return {
-      sheetName,
-      rowNumber,
-      columnNumber,
-    };
+    return { type, terms: this._sortBySignature(flattened) };
   },
 
   /**
-   * Creates a signature for a supported two-cell SUM range.
-   * @param {Object|null} startReference - Parsed range start reference.
-   * @param {Object|null} endReference - Parsed range end reference.
-   * @returns {string|null} Stable signature, or null when the range is unsupported.
+   * Expands a bounded range of at most FORMULA_MAX_EXPANDED_RANGE_CELLS cells into
+   * single-cell references, row by row.
+   * @param {Object} node - Canonical node.
+   * @returns {Array<Object>} Cell references, or the node itself when it is not expandable.
    */
-  _createTwoCellRangeSignature(startReference, endReference) {
-    if (!startReference || !endReference) {
-      return null;
+  _expandRange(node) {
+    if (!this._isMultiCellRange(node)) {
+      return [node];
     }
 
-    if (startReference.sheetName !== endReference.sheetName) {
-      return null;
+    const { sheetName, startColumn, startRow, endColumn, endRow } = node;
+    if ([startColumn, startRow, endColumn, endRow].includes(null)) {
+      return [node];
     }
-
-    const sameRow = startReference.rowNumber === endReference.rowNumber;
-    const sameColumn = startReference.columnNumber === endReference.columnNumber;
-    if (sameRow === sameColumn) {
-      return null;
+    const cellCount = (endColumn - startColumn + 1) * (endRow - startRow + 1);
+    if (cellCount > FORMULA_MAX_EXPANDED_RANGE_CELLS) {
+      return [node];
     }
 
-    if (sameRow && Math.abs(startReference.columnNumber - endReference.columnNumber) !== 1) {
-      return null;
+    const cells = [];
+    for (let row = startRow; row <= endRow; row++) {
+      for (let column = startColumn; column <= endColumn; column++) {
+        cells.push({
+          type: 'reference',
+          sheetName,
+          startColumn: column,
+          startRow: row,
+          endColumn: column,
+          endRow: row,
+        });
+      }
     }
+    return cells;
+  },
 
-    if (sameColumn && Math.abs(startReference.rowNumber - endReference.rowNumber) !== 1) {
-      return null;
-    }
+  /**
+   * Checks whether a node is a reference to more than one cell.
+   * @param {Object} node - Canonical node.
+   * @returns {boolean} Whether the node is a multi-cell range.
+   */
+  _isMultiCellRange(node) {
+    return (
+      node.type === 'reference' &&
+      (node.startColumn !== node.endColumn || node.startRow !== node.endRow)
+    );
+  },
 
-    return this._buildReferencePairSignature([startReference, endReference]);
+  /**
+   * Sorts canonical nodes by their signatures.
+   * @param {Array<Object>} nodes - Canonical nodes.
+   * @returns {Array<Object>} Sorted copy.
+   */
+  _sortBySignature(nodes) {
+    return nodes
+      .map((node) => ({ node, signature: this._serialise(node) }))
+      .toSorted((left, right) => left.signature.localeCompare(right.signature))
+      .map(({ node }) => node);
   },
 
   /**
-   * Builds an order-independent signature for two parsed references.
-   * @param {Array<Object>} references - Parsed references to combine.
-   * @returns {string} Stable signature string.
+   * Serialises a canonical node into a stable signature string.
+   * @param {Object} node - Canonical node.
+   * @returns {string} Signature.
    */
-  _buildReferencePairSignature(references) {
-    return references
-      .map((reference) => `${reference.sheetName}|${reference.rowNumber}|${reference.columnNumber}`)
-      .toSorted((left, right) => left.localeCompare(right))
-      .join('::');
+  _serialise(node) {
+    switch (node.type) {
+      case 'number': {
+        return `N:${node.value}`;
+      }
+      case 'string': {
+        return `S:${JSON.stringify(node.value)}`;
+      }
+      case 'boolean': {
+        return node.value ? 'B:TRUE' : 'B:FALSE';
+      }
+      case 'error': {
+        return `E:${node.value}`;
+      }
+      case 'name': {
+        return `X:${node.name}`;
+      }
+      case 'empty': {
+        return '_';
+      }
+      case 'reference': {
+        const bounds = [node.startColumn, node.startRow, node.endColumn, node.endRow];
+        return `R:${node.sheetName}!${bounds.map((bound) => bound ?? '').join(',')}`;
+      }
+      default: {
+        return this._serialiseCompound(node);
+      }
+    }
+  },
+
+  /**
+   * Serialises a node with child nodes.
+   * @param {Object} node - Canonical node.
+   * @returns {string} Signature.
+   */
+  _serialiseCompound(node) {
+    const serialiseAll = (nodes) => nodes.map((child) => this._serialise(child)).join(',');
+
+    switch (node.type) {
+      case 'sum': {
+        return `+(${serialiseAll(node.terms)})`;
+      }
+      case 'product': {
+        return `*(${serialiseAll(node.terms)})`;
+      }
+      case 'negate': {
+        return `-(${this._serialise(node.operand)})`;
+      }
+      case 'percent': {
+        return `%(${this._serialise(node.operand)})`;
+      }
+      case 'binary': {
+        return `${node.operator}(${serialiseAll([node.left, node.right])})`;
+      }
+      default: {
+        return `${node.name}(${serialiseAll(node.arguments)})`;
+      }
+    }
   },
 };
 
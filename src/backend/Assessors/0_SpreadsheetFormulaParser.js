@@ -0,0 +1,487 @@
+/* global ALPHABET_LENGTH, ITEM_NOT_FOUND_INDEX */
+const FORMULA_ASCII_UPPERCASE_OFFSET = 64;
+const FORMULA_OPERATORS = ['<>', '<=', '>=', '+', '-', '*', '/', '^', '&', '=', '<', '>', '%'];
+const FORMULA_PUNCTUATION = new Map([
+  ['(', 'open'],
+  [')', 'close'],
+  [',', 'separator'],
+  [';', 'separator'],
+]);
+const FORMULA_ERROR_LITERALS = [
+  '#N/A',
+  '#DIV/0!',
+  '#VALUE!',
+  '#REF!',
+  '#NAME?',
+  '#NUM!',
+  '#NULL!',
+  '#ERROR!',
+];
+const FORMULA_WORD_CHARACTER = /[\w.$:!]/u;
+const FORMULA_CELL = /^\$?[A-Z]{1,3}\$?\d+$/iu;
+const FORMULA_COLUMN = /^\$?[A-Z]{1,3}$/iu;
+const FORMULA_ROW = /^\$?\d+$/u;
+const FORMULA_NUMBER = /^[\d.][\d.E+-]*$/iu;
+const FORMULA_RANGE_CORNER_COUNT = 2;
+const FORMULA_IDENTIFIER = /^[A-Z_][\w.]*$/iu;
+
+/**
+ * Binary operators from loosest to tightest binding. Unary minus and `%` bind tighter than
+ * all of them, matching Google Sheets (`=-2^2` is 4).
+ */
+const FORMULA_BINARY_PRECEDENCE = [
+  ['=', '<>', '<', '>', '<=', '>='],
+  ['&'],
+  ['+', '-'],
+  ['*', '/'],
+  ['^'],
+];
+
+/**
+ * Tokenises and parses Google Sheets formulae into a small AST.
+ *
+ * Nodes are plain objects:
+ * - `{ type: 'number', value }`, `{ type: 'string', value }`, `{ type: 'boolean', value }`,
+ *   `{ type: 'error', value }`, `{ type: 'name', name }` and `{ type: 'empty' }` (omitted argument);
+ * - `{ type: 'reference', sheetName, startColumn, startRow, endColumn, endRow }`, with `$` markers
+ *   dropped, corners ordered and `null` for the open side of whole-row/column ranges;
+ * - `{ type: 'function', name, arguments }`, `{ type: 'binary', operator, left, right }`,
+ *   `{ type: 'unary', operator, operand }` and `{ type: 'percent', operand }`.
+ *
+ * Identifiers, references and sheet names are upper-cased; string literals keep their case.
+ * Array literals and other unsupported syntax make `parse` return null.
+ */
+const SpreadsheetFormulaParser = {
+  /**
+   * Parses a formula, with or without its leading `=`.
+   * @param {string} formula - Formula text.
+   * @returns {Object|null} Root AST node, or null when the formula cannot be parsed.
+   */
+  parse(formula) {
+    const tokens = this.tokenise(formula);
+    if (!tokens || tokens.length === 0) {
+      return null;
+    }
+
+    const state = { tokens, position: 0 };
+    const node = this._parseBinary(state, 0);
+    return node && state.position === tokens.length ? node : null;
+  },
+
+  /**
+   * Splits a formula into tokens, dropping whitespace outside string literals.
+   * @param {string} formula - Formula text.
+   * @returns {Array<{type: string, text: string}>|null} Tokens, or null on unrecognised input.
+   */
+  tokenise(formula) {
+    const text = String(formula ?? '').replace(/^\s*=/u, '');
+    const tokens = [];
+    let position = 0;
+
+    while (position < text.length) {
+      const token = this._readToken(text, position);
+      if (!token) {
+        return null;
+      }
+      position += token.text.length;
+      if (token.type !== 'whitespace') {
+        tokens.push(token);
+      }
+    }
+
+    return tokens;
+  },
+
+  /**
+   * Reads the token starting at a position.
+   * @param {string} text - Formula text.
+   * @param {number} position - Start position.
+   * @returns {{type: string, text: string}|null} Token, or null when nothing matches.
+   */
+  _readToken(text, position) {
+    const character = text.charAt(position);
+    const rest = text.slice(position);
+
+    if (/\s/u.test(character)) {
+      return { type: 'whitespace', text: /^\s+/u.exec(rest)[0] };
+    }
+    if (character === '"') {
+      return this._readString(text, position);
+    }
+    if (character === "'") {
+      return this._readQuotedSheetReference(text, position);
+    }
+    if (character === '#') {
+      const literal = FORMULA_ERROR_LITERALS.find((error) => rest.toUpperCase().startsWith(error));
+      return literal ? { type: 'error', text: rest.slice(0, literal.length) } : null;
+    }
+    if (FORMULA_PUNCTUATION.has(character)) {
+      return { type: FORMULA_PUNCTUATION.get(character), text: character };
+    }
+
+    const operator = FORMULA_OPERATORS.find((candidate) => rest.startsWith(candidate));
+    if (operator) {
+      return { type: 'operator', text: operator };
+    }
+
+    const word = this._readWord(text, position);
+    return word ? this._classifyWord(word, text.slice(position + word.length)) : null;
+  },
+
+  /**
+   * Reads a double-quoted string literal, where `""` is an escaped quote.
+   * @param {string} text - Formula text.
+   * @param {number} position - Position of the opening quote.
+   * @returns {{type: string, text: string}|null} String token, or null when unterminated.
+   */
+  _readString(text, position) {
+    let index = position + 1;
+    while (index < text.length) {
+      if (text.charAt(index) === '"') {
+        if (text.charAt(index + 1) !== '"') {
+          return { type: 'string', text: text.slice(position, index + 1) };
+        }
+        index++;
+      }
+      index++;
+    }
+    return null;
+  },
+
+  /**
+   * Reads a reference whose sheet name is quoted, e.g. `'Year 7'!B2:B10`.
+   * @param {string} text - Formula text.
+   * @param {number} position - Position of the opening quote.
+   * @returns {{type: string, text: string}|null} Reference token, or null when malformed.
+   */
+  _readQuotedSheetReference(text, position) {
+    let index = position + 1;
+    while (index < text.length) {
+      if (text.charAt(index) === "'") {
+        if (text.charAt(index + 1) !== "'") {
+          break;
+        }
+        index++;
+      }
+      index++;
+    }
+    if (text.charAt(index + 1) !== '!') {
+      return null;
+    }
+
+    const rangeStart = index + "'!".length;
+    const range = this._readWord(text, rangeStart);
+    if (!this._isRange(range)) {
+      return null;
+    }
+    return { type: 'reference', text: text.slice(position, rangeStart + range.length) };
+  },
+
+  /**
+   * Reads a run of word characters: identifiers, numbers and unquoted references. A number's
+   * exponent sign (`1E+5`) is kept in the run.
+   * @param {string} text - Formula text.
+   * @param {number} position - Start position.
+   * @returns {string} The run, possibly empty.
+   */
+  _readWord(text, position) {
+    let index = position;
+    while (index < text.length) {
+      const character = text.charAt(index);
+      const isExponentSign =
+        (character === '+' || character === '-') && /^[\d.]+E$/iu.test(text.slice(position, index));
+      if (!FORMULA_WORD_CHARACTER.test(character) && !isExponentSign) {
+        break;
+      }
+      index++;
+    }
+    return text.slice(position, index);
+  },
+
+  /**
+   * Classifies a word run as a function name, reference, number or name.
+   * @param {string} word - Word run.
+   * @param {string} following - Text after the run.
+   * @returns {{type: string, text: string}|null} Token, or null when the run is not valid.
+   */
+  _classifyWord(word, following) {
+    if (FORMULA_IDENTIFIER.test(word) && following.trimStart().startsWith('(')) {
+      return { type: 'function', text: word };
+    }
+
+    const sheetSeparatorIndex = word.lastIndexOf('!');
+    if (sheetSeparatorIndex !== ITEM_NOT_FOUND_INDEX) {
+      const isSheetReference =
+        FORMULA_IDENTIFIER.test(word.slice(0, sheetSeparatorIndex)) &&
+        this._isRange(word.slice(sheetSeparatorIndex + 1));
+      return isSheetReference ? { type: 'reference', text: word } : null;
+    }
+
+    if (this._isRange(word)) {
+      return { type: 'reference', text: word };
+    }
+    if (FORMULA_NUMBER.test(word) && Number.isFinite(Number(word))) {
+      return { type: 'number', text: word };
+    }
+    return FORMULA_IDENTIFIER.test(word) ? { type: 'name', text: word } : null;
+  },
+
+  /**
+   * Checks whether text is a cell or range: `A1`, `A1:B2`, `A2:A`, `A:B` or `1:3`.
+   * @param {string} text - Candidate reference without a sheet prefix.
+   * @returns {boolean} Whether the text is a reference.
+   */
+  _isRange(text) {
+    const parts = text.split(':');
+    if (parts.length === 1) {
+      return FORMULA_CELL.test(text);
+    }
+    if (parts.length !== FORMULA_RANGE_CORNER_COUNT) {
+      return false;
+    }
+
+    const [startKind, endKind] = parts.map((part) => this._getCornerKind(part));
+    if (startKind === null || endKind === null) {
+      return false;
+    }
+    return startKind === endKind || (startKind !== 'row' && endKind !== 'row');
+  },
+
+  /**
+   * Names the kind of one range corner.
+   * @param {string} text - Corner text.
+   * @returns {'cell'|'column'|'row'|null} Corner kind, or null when it is not a corner.
+   */
+  _getCornerKind(text) {
+    if (FORMULA_CELL.test(text)) {
+      return 'cell';
+    }
+    if (FORMULA_COLUMN.test(text)) {
+      return 'column';
+    }
+    return FORMULA_ROW.test(text) ? 'row' : null;
+  },
+
+  /**
+   * Parses a left-associative binary expression at a precedence level.
+   * @param {{tokens: Array<Object>, position: number}} state - Parser state.
+   * @param {number} level - Index into FORMULA_BINARY_PRECEDENCE.
+   * @returns {Object|null} AST node, or null on a syntax error.
+   */
+  _parseBinary(state, level) {
+    if (level >= FORMULA_BINARY_PRECEDENCE.length) {
+      return this._parseUnary(state);
+    }
+
+    let left = this._parseBinary(state, level + 1);
+    while (left && this._peekOperator(state, FORMULA_BINARY_PRECEDENCE.at(level))) {
+      const operator = state.tokens[state.position].text;
+      state.position++;
+      const right = this._parseBinary(state, level + 1);
+      if (!right) {
+        return null;
+      }
+      left = { type: 'binary', operator, left, right };
+    }
+    return left;
+  },
+
+  /**
+   * Parses prefix `+`/`-` followed by a postfix-`%` operand.
+   * @param {{tokens: Array<Object>, position: number}} state - Parser state.
+   * @returns {Object|null} AST node, or null on a syntax error.
+   */
+  _parseUnary(state) {
+    if (this._peekOperator(state, ['+', '-'])) {
+      const operator = state.tokens[state.position].text;
+      state.position++;
+      const operand = this._parseUnary(state);
+      return operand ? { type: 'unary', operator, operand } : null;
+    }
+
+    let node = this._parsePrimary(state);
+    while (node && this._peekOperator(state, ['%'])) {
+      state.position++;
+      node = { type: 'percent', operand: node };
+    }
+    return node;
+  },
+
+  /**
+   * Parses a literal, reference, name, function call or parenthesised expression.
+   * @param {{tokens: Array<Object>, position: number}} state - Parser state.
+   * @returns {Object|null} AST node, or null on a syntax error.
+   */
+  _parsePrimary(state) {
+    const token = state.tokens[state.position];
+    if (!token) {
+      return null;
+    }
+    state.position++;
+
+    switch (token.type) {
+      case 'number': {
+        return { type: 'number', value: Number(token.text) };
+      }
+      case 'string': {
+        return {
+          type: 'string',
+          value: token.text.replaceAll(/^"|"$/gu, '').replaceAll('""', '"'),
+        };
+      }
+      case 'error': {
+        return { type: 'error', value: token.text.toUpperCase() };
+      }
+      case 'reference': {
+        return this._parseReference(token.text);
+      }
+      case 'name': {
+        return this._parseName(token.text);
+      }
+      case 'function': {
+        return this._parseFunctionCall(state, token.text.toUpperCase());
+      }
+      case 'open': {
+        const node = this._parseBinary(state, 0);
+        return node && this._consume(state, 'close') ? node : null;
+      }
+      default: {
+        return null;
+      }
+    }
+  },
+
+  /**
+   * Parses the argument list of a function call; the name token has been consumed.
+   * @param {{tokens: Array<Object>, position: number}} state - Parser state.
+   * @param {string} name - Upper-cased function name.
+   * @returns {Object|null} Function node, or null on a syntax error.
+   */
+  _parseFunctionCall(state, name) {
+    if (!this._consume(state, 'open')) {
+      return null;
+    }
+    const argumentNodes = [];
+    if (this._consume(state, 'close')) {
+      return { type: 'function', name, arguments: argumentNodes };
+    }
+
+    for (;;) {
+      const nextType = state.tokens[state.position]?.type;
+      const argument =
+        nextType === 'separator' || nextType === 'close'
+          ? { type: 'empty' }
+          : this._parseBinary(state, 0);
+      if (!argument) {
+        return null;
+      }
+      argumentNodes.push(argument);
+
+      if (this._consume(state, 'close')) {
+        return { type: 'function', name, arguments: argumentNodes };
+      }
+      if (!this._consume(state, 'separator')) {
+        return null;
+      }
+    }
+  },
+
+  /**
+   * Turns a bare identifier into a boolean literal or a named range.
+   * @param {string} text - Identifier text.
+   * @returns {Object} Boolean or name node.
+   */
+  _parseName(text) {
+    const name = text.toUpperCase();
+    if (name === 'TRUE' || name === 'FALSE') {
+      return { type: 'boolean', value: name === 'TRUE' };
+    }
+    return { type: 'name', name };
+  },
+
+  /**
+   * Parses a reference token into a normalised reference node.
+   * @param {string} text - Reference token text, e.g. `'Sheet 1'!$A$1:B2`.
+   * @returns {Object} Reference node.
+   */
+  _parseReference(text) {
+    let sheetName = '';
+    let rangeText = text;
+    const sheetSeparatorIndex = text.lastIndexOf('!');
+    if (sheetSeparatorIndex !== ITEM_NOT_FOUND_INDEX) {
+      sheetName = text
+        .slice(0, sheetSeparatorIndex)
+        .replace(/^'(.*)'$/u, (_, quoted) => quoted.replaceAll("''", "'"))
+        .toUpperCase();
+      rangeText = text.slice(sheetSeparatorIndex + 1);
+    }
+
+    const [startText, endText = startText] = rangeText.replaceAll('$', '').toUpperCase().split(':');
+    const start = this._parseCorner(startText);
+    const end = this._parseCorner(endText);
+    const [startColumn, endColumn] = this._orderAxis(start.column, end.column);
+    const [startRow, endRow] = this._orderAxis(start.row, end.row);
+
+    return { type: 'reference', sheetName, startColumn, startRow, endColumn, endRow };
+  },
+
+  /**
+   * Parses one corner of a range, e.g. `B12`, `B` or `12`.
+   * @param {string} text - Corner text without `$` markers.
+   * @returns {{column: number|null, row: number|null}} One-based coordinates; null where open.
+   */
+  _parseCorner(text) {
+    const [, letters, digits] = /^([A-Z]*)(\d*)$/u.exec(text);
+    let column = null;
+    for (const letter of letters) {
+      column =
+        (column ?? 0) * ALPHABET_LENGTH + (letter.codePointAt(0) - FORMULA_ASCII_UPPERCASE_OFFSET);
+    }
+    return { column, row: digits ? Number(digits) : null };
+  },
+
+  /**
+   * Orders one axis of a range so that `B2:A1` and `A1:B2` read the same. An axis left open by
+   * either corner (`A2:A`, `A:A`) keeps its known bound as the start and an open end.
+   * @param {number|null} first - First corner coordinate.
+   * @param {number|null} second - Second corner coordinate.
+   * @returns {Array<number|null>} `[low, high]` coordinates.
+   */
+  _orderAxis(first, second) {
+    if (first === null || second === null) {
+      return [first ?? second, null];
+    }
+    return [Math.min(first, second), Math.max(first, second)];
+  },
+
+  /**
+   * Checks whether the next token is one of the given operators.
+   * @param {{tokens: Array<Object>, position: number}} state - Parser state.
+   * @param {Array<string>} operators - Operators to accept.
+   * @returns {boolean} Whether the next token matches.
+   */
+  _peekOperator(state, operators) {
+    const token = state.tokens[state.position];
+    return token?.type === 'operator' && operators.includes(token.text);
+  },
+
+  /**
+   * Consumes the next token when it has the given type.
+   * @param {{tokens: Array<Object>, position: number}} state - Parser state.
+   * @param {string} type - Expected token type.
+   * @returns {boolean} Whether a token was consumed.
+   */
+  _consume(state, type) {
+    if (state.tokens[state.position]?.type !== type) {
+      return false;
+    }
+    state.position++;
+    return true;
+  },
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SpreadsheetFormulaParser;
+} else {
+  globalThis.SpreadsheetFormulaParser = SpreadsheetFormulaParser;
+}
@@ -0,0 +1,65 @@
+// Largest Hamming distance between two 64-bit image difference hashes.
+const MAX_NOT_ATTEMPTED_IMAGE_DISTANCE = 64;
+const DEFAULT_NOT_ATTEMPTED_DETECTION = Object.freeze({
+  minChangedCharacters: 1,
+  minChangedCells: 1,
+  maxImageDistance: null,
+});
+
+/**
+ * Defaults and validation for an assignment definition's `notAttemptedDetection` thresholds,
+ * the settings {@link NotAttemptedDetector} is built from.
+ */
+const NotAttemptedDetectionSettings = {
+  DEFAULTS: DEFAULT_NOT_ATTEMPTED_DETECTION,
+
+  /**
+   * Validates the not-attempted detection thresholds and fills missing fields with the defaults.
+   * - `minChangedCharacters`: characters a text answer must change, after normalising case and
+   *   whitespace, to count as attempted.
+   * - `minChangedCells`: table cells that must differ from the template to count as attempted.
+   * - `maxImageDistance`: largest difference-hash distance (0-64) at which an image still counts
+   *   as the template; null compares images by content hash only.
+   * @param {{minChangedCharacters?: number, minChangedCells?: number, maxImageDistance?: number|null}|null} settings -
+   *   Settings to validate.
+   * @returns {{minChangedCharacters: number, minChangedCells: number, maxImageDistance: number|null}} Normalised settings.
+   * @throws {TypeError} If settings is not a plain object.
+   * @throws {RangeError} If a threshold is out of range.
+   */
+  normalise(settings) {
+    if (settings === null || settings === undefined) {
+      return { ...DEFAULT_NOT_ATTEMPTED_DETECTION };
+    }
+    if (typeof settings !== 'object' || Array.isArray(settings)) {
+      throw new TypeError('notAttemptedDetection must be an object');
+    }
+
+    const { minChangedCharacters, minChangedCells, maxImageDistance } = {
+      ...DEFAULT_NOT_ATTEMPTED_DETECTION,
+      ...settings,
+    };
+    if (!Number.isInteger(minChangedCharacters) || minChangedCharacters < 1) {
+      throw new RangeError('notAttemptedDetection.minChangedCharacters must be a positive integer');
+    }
+    if (!Number.isInteger(minChangedCells) || minChangedCells < 1) {
+      throw new RangeError('notAttemptedDetection.minChangedCells must be a positive integer');
+    }
+    if (
+      maxImageDistance !== null &&
+      (!Number.isInteger(maxImageDistance) ||
+        maxImageDistance < 0 ||
+        maxImageDistance > MAX_NOT_ATTEMPTED_IMAGE_DISTANCE)
+    ) {
+      throw new RangeError(
+        `notAttemptedDetection.maxImageDistance must be null or an integer between 0 and ${MAX_NOT_ATTEMPTED_IMAGE_DISTANCE}`
+      );
+    }
+    return { minChangedCharacters, minChangedCells, maxImageDistance };
+  },
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NotAttemptedDetectionSettings;
+} else {
+  globalThis.NotAttemptedDetectionSettings = NotAttemptedDetectionSettings;
+}
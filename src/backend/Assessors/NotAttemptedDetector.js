@@ -0,0 +1,199 @@
+/* global ImageDifferenceHash */
+
+// TableTaskArtifact writes the Markdown header separator (`| --- | --- |`) as the second line.
+const NOT_ATTEMPTED_TABLE_SEPARATOR_LINE = 1;
+
+/**
+ * Decides whether a student's answer is still the template, so it can be scored as not
+ * attempted without calling the assessor.
+ *
+ * An answer is always not attempted when it is empty or its content hash equals the
+ * template's. Beyond that, each artifact type has its own check, with thresholds taken from the
+ * assignment definition's `notAttemptedDetection` settings:
+ * - TEXT: case and whitespace are ignored, and fewer than `minChangedCharacters` changed
+ *   characters counts as not attempted;
+ * - TABLE: cells are compared after the same normalisation, and fewer than `minChangedCells`
+ *   changed cells counts as not attempted;
+ * - IMAGE: when `maxImageDistance` is set, images whose difference hashes are at most that many
+ *   bits apart count as not attempted.
+ *
+ * Other types fall back to the hash check alone. Further checks can be added with
+ * {@link NotAttemptedDetector#register}.
+ */
+class NotAttemptedDetector {
+  /**
+   * Creates a detector with the built-in text, table and image checks.
+   * @param {{minChangedCharacters: number, minChangedCells: number, maxImageDistance: number|null}} settings -
+   *   Thresholds normalised by `NotAttemptedDetectionSettings.normalise`.
+   */
+  constructor(settings) {
+    this.settings = settings;
+    this._templateImageHashes = new Map();
+    this._checks = new Map([
+      ['TEXT', (student, template) => this._isUnchangedText(student, template)],
+      ['TABLE', (student, template) => this._isUnchangedTable(student, template)],
+      ['IMAGE', (student, template) => this._isUnchangedImage(student, template)],
+    ]);
+  }
+
+  /**
+   * Registers, or replaces, the check for one artifact type.
+   * @param {string} type - Artifact type, e.g. `TEXT`.
+   * @param {function(BaseTaskArtifact, BaseTaskArtifact): boolean} check - Returns true when the
+   *   student artifact is unchanged from the template artifact.
+   * @returns {NotAttemptedDetector} This detector, for chaining.
+   */
+  register(type, check) {
+    this._checks.set(type, check);
+    return this;
+  }
+
+  /**
+   * Checks whether a student artifact is unchanged from its template.
+   * @param {BaseTaskArtifact} studentArtifact - The student's answer.
+   * @param {BaseTaskArtifact} templateArtifact - The task's primary template artifact.
+   * @returns {boolean} True when the answer should be scored as not attempted.
+   */
+  isNotAttempted(studentArtifact, templateArtifact) {
+    if (
+      studentArtifact.content === '' ||
+      studentArtifact.contentHash === templateArtifact.contentHash
+    ) {
+      return true;
+    }
+    const check = this._checks.get(studentArtifact.getType());
+    return check ? check(studentArtifact, templateArtifact) : false;
+  }
+
+  /**
+   * Compares normalised text.
+   * @param {TextTaskArtifact} studentArtifact - The student's answer.
+   * @param {TextTaskArtifact} templateArtifact - The template.
+   * @returns {boolean} True when fewer than `minChangedCharacters` characters changed.
+   */
+  _isUnchangedText(studentArtifact, templateArtifact) {
+    const changed = NotAttemptedDetector.countChangedCharacters(
+      NotAttemptedDetector.normaliseText(studentArtifact.content),
+      NotAttemptedDetector.normaliseText(templateArtifact.content)
+    );
+    return changed < this.settings.minChangedCharacters;
+  }
+
+  /**
+   * Compares normalised table cells.
+   * @param {TableTaskArtifact} studentArtifact - The student's answer.
+   * @param {TableTaskArtifact} templateArtifact - The template.
+   * @returns {boolean} True when fewer than `minChangedCells` cells changed.
+   */
+  _isUnchangedTable(studentArtifact, templateArtifact) {
+    const changed = NotAttemptedDetector.countChangedCells(
+      NotAttemptedDetector.parseTableCells(studentArtifact.content),
+      NotAttemptedDetector.parseTableCells(templateArtifact.content)
+    );
+    return changed < this.settings.minChangedCells;
+  }
+
+  /**
+   * Compares difference hashes. Template hashes are kept for the life of the detector, as every
+   * student's answer to a task is compared with the same template.
+   * @param {ImageTaskArtifact} studentArtifact - The student's answer.
+   * @param {ImageTaskArtifact} templateArtifact - The template.
+   * @returns {boolean} True when the hashes are at most `maxImageDistance` bits apart. False when
+   *   the check is off or either image cannot be hashed.
+   */
+  _isUnchangedImage(studentArtifact, templateArtifact) {
+    const { maxImageDistance } = this.settings;
+    if (maxImageDistance === null) return false;
+
+    const templateKey = templateArtifact.getUid();
+    if (!this._templateImageHashes.has(templateKey)) {
+      this._templateImageHashes.set(
+        templateKey,
+        ImageDifferenceHash.fromDataUrl(templateArtifact.content)
+      );
+    }
+    const templateHash = this._templateImageHashes.get(templateKey);
+    const studentHash = ImageDifferenceHash.fromDataUrl(studentArtifact.content);
+    if (!templateHash || !studentHash) return false;
+
+    return ImageDifferenceHash.distance(studentHash, templateHash) <= maxImageDistance;
+  }
+
+  /**
+   * Lower-cases text and collapses runs of whitespace to single spaces.
+   * @param {string} text - Text to normalise.
+   * @returns {string} The normalised text.
+   */
+  static normaliseText(text) {
+    return String(text ?? '')
+      .toLowerCase()
+      .replaceAll(/\s+/gu, ' ')
+      .trim();
+  }
+
+  /**
+   * Counts the characters that differ between two strings once their common prefix and suffix
+   * are removed: the length of the longer remaining middle section.
+   * @param {string} a - First string.
+   * @param {string} b - Second string.
+   * @returns {number} Changed character count.
+   */
+  static countChangedCharacters(a, b) {
+    const shorter = Math.min(a.length, b.length);
+    let prefix = 0;
+    while (prefix < shorter && a.charAt(prefix) === b.charAt(prefix)) prefix++;
+    let suffix = 0;
+    while (
+      suffix < shorter - prefix &&
+      a.charAt(a.length - 1 - suffix) === b.charAt(b.length - 1 - suffix)
+    ) {
+      suffix++;
+    }
+    return Math.max(a.length, b.length) - prefix - suffix;
+  }
+
+  /**
+   * Splits a Markdown table into normalised cell text, skipping the header separator row.
+   * @param {string} markdown - Table content as stored on a TableTaskArtifact.
+   * @returns {string[][]} Cell text by row.
+   */
+  static parseTableCells(markdown) {
+    return String(markdown ?? '')
+      .split('\n')
+      .filter((line, index) => index !== NOT_ATTEMPTED_TABLE_SEPARATOR_LINE && line.trim() !== '')
+      .map((line) =>
+        line
+          .trim()
+          .replace(/^\|/u, '')
+          .replace(/\|$/u, '')
+          .split('|')
+          .map((cell) => NotAttemptedDetector.normaliseText(cell))
+      );
+  }
+
+  /**
+   * Counts cells that differ between two tables. Cells missing from one table count as empty.
+   * @param {string[][]} a - First table.
+   * @param {string[][]} b - Second table.
+   * @returns {number} Changed cell count.
+   */
+  static countChangedCells(a, b) {
+    const rowCount = Math.max(a.length, b.length);
+    let changed = 0;
+    for (let rowIndex = 0; rowIndex < rowCount; rowIndex++) {
+      const rowA = a.at(rowIndex) ?? [];
+      const rowB = b.at(rowIndex) ?? [];
+      const columnCount = Math.max(rowA.length, rowB.length);
+      for (let columnIndex = 0; columnIndex < columnCount; columnIndex++) {
+        if ((rowA.at(columnIndex) ?? '') !== (rowB.at(columnIndex) ?? '')) changed++;
+      }
+    }
+    return changed;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NotAttemptedDetector;
+} else {
+  globalThis.NotAttemptedDetector = NotAttemptedDetector;
+}
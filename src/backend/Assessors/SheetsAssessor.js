@@ -104,7 +104,8 @@ class SheetsAssessor {
     const comparisonResults = this._compareFormulaArrays(
       referenceArray,
       studentArray,
-      referenceTask.taskMetadata || {}
+      referenceTask.taskMetadata || {},
+      referenceTask.rubric?.formulaEquivalenceSets ?? []
     );
     const totalFormulae = comparisonResults.totalFormulae;
     if (totalFormulae === 0) {
@@ -164,10 +165,16 @@ class SheetsAssessor {
    * @param {Array} referenceArray - Reference formulas.
    * @param {Array} studentArray - Student formulas.
    * @param {Object} taskMetadata - Bounding-box metadata for spreadsheet grids.
+   * @param {Array<Array<string>>} [equivalenceSets] - Task's declared sets of interchangeable formulae.
    * @returns {Object} Object with counts and feedback objects.
    */
-  _compareFormulaArrays(referenceArray, studentArray, taskMetadata = {}) {
-    return this._compareGridFormulaArrays(referenceArray, studentArray, taskMetadata);
+  _compareFormulaArrays(referenceArray, studentArray, taskMetadata = {}, equivalenceSets = []) {
+    return this._compareGridFormulaArrays(
+      referenceArray,
+      studentArray,
+      taskMetadata,
+      equivalenceSets
+    );
   }
 
   /**
@@ -175,9 +182,10 @@ class SheetsAssessor {
    * @param {Array<Array<string>>} referenceGrid - Reference formulas arranged in a grid.
    * @param {Array<Array<string>>} studentGrid - Student formulas arranged in a grid.
    * @param {Object} taskMetadata - Task metadata containing bounding-box information.
+   * @param {Array<Array<string>>} [equivalenceSets] - Task's declared sets of interchangeable formulae.
    * @returns {Object} Comparison summary and cell feedback.
    */
-  _compareGridFormulaArrays(referenceGrid, studentGrid, taskMetadata = {}) {
+  _compareGridFormulaArrays(referenceGrid, studentGrid, taskMetadata = {}, equivalenceSets = []) {
     const totals = {
       correct: 0,
       incorrect: 0,
@@ -208,6 +216,7 @@ class SheetsAssessor {
           referenceFormula,
           studentFormula,
           location,
+          equivalenceSets,
           cellReferenceFeedback,
           incorrectFormulae,
           totals,
@@ -231,6 +240,7 @@ class SheetsAssessor {
    * @param {string} parameters.referenceFormula - Reference formula for the current cell.
    * @param {string} parameters.studentFormula - Student formula for the current cell.
    * @param {Array<number>} parameters.location - Zero-based row/column coordinates.
+   * @param {Array<Array<string>>} parameters.equivalenceSets - Declared sets of interchangeable formulae.
    * @param {CellReferenceFeedback} parameters.cellReferenceFeedback - Feedback accumulator.
    * @param {Array<Object>} parameters.incorrectFormulae - Incorrect formula accumulator.
    * @param {Object} parameters.totals - Totals accumulator.
@@ -240,11 +250,14 @@ class SheetsAssessor {
     referenceFormula,
     studentFormula,
     location,
+    equivalenceSets,
     cellReferenceFeedback,
     incorrectFormulae,
     totals,
   }) {
-    if (SpreadsheetFormulaEquivalence.areEquivalent(studentFormula, referenceFormula)) {
+    if (
+      SpreadsheetFormulaEquivalence.areEquivalent(studentFormula, referenceFormula, equivalenceSets)
+    ) {
       cellReferenceFeedback.addItem(location, 'correct');
       totals.correct++;
       return;
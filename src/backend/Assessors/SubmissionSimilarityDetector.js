@@ -0,0 +1,248 @@
+const SIMILARITY_SHINGLE_SIZE = 5;
+const SIMILARITY_FLAG_THRESHOLD = 0.5;
+const SIMILARITY_MIN_WORDS = 12;
+const SIMILARITY_MAX_SPANS = 5;
+const SIMILARITY_MAX_SPAN_CHARS = 300;
+const SIMILARITY_DECIMAL_PLACES = 2;
+
+/**
+ * Artifact types whose content is free text a student writes themselves. Spreadsheet formulae
+ * and images are left out: matching formulae are expected, and images carry no text.
+ */
+const SIMILARITY_COMPARED_TYPES = new Set(['TEXT', 'TABLE']);
+
+/**
+ * Finds students in one assignment whose answers to a task are identical or largely the same.
+ *
+ * Each text or table answer is compared with every other answer to the same task:
+ * - answers with the same content hash are an `exact` match;
+ * - otherwise answers are split into overlapping runs of SIMILARITY_SHINGLE_SIZE words
+ *   (case and punctuation ignored), and a pair is a `fuzzy` match when the runs they share
+ *   cover at least SIMILARITY_FLAG_THRESHOLD of the shorter answer's runs.
+ *
+ * Word runs that also appear in the task's template are discarded first, so students who
+ * keep the template's scaffolding are not matched on it. Answers left unchanged from the
+ * template, or shorter than SIMILARITY_MIN_WORDS words, are not compared at all. Matched
+ * pairs are grouped into clusters of students linked by a chain of matches.
+ *
+ * The report flags answers for a teacher to look at; it does not change any score.
+ */
+const SubmissionSimilarityDetector = {
+  /**
+   * Compares the students' answers to every task of an assignment.
+   * @param {Array<StudentSubmission>} submissions - Submissions with extracted work.
+   * @param {Object<string, TaskDefinition>} tasks - Task definitions keyed by taskId.
+   * @returns {{checkedAt: string, shingleSize: number, threshold: number, tasks: Array<Object>}}
+   *   Similarity report. `tasks` lists, in definition order, only tasks with a matched pair.
+   */
+  detect(submissions = [], tasks = {}) {
+    const taskReports = Object.values(tasks || {})
+      .map((task) => this._detectForTask(submissions, task))
+      .filter((report) => report.pairs.length > 0);
+
+    return {
+      checkedAt: new Date().toISOString(),
+      shingleSize: SIMILARITY_SHINGLE_SIZE,
+      threshold: SIMILARITY_FLAG_THRESHOLD,
+      tasks: taskReports,
+    };
+  },
+
+  /**
+   * Compares every pair of comparable answers to one task.
+   * @param {Array<StudentSubmission>} submissions - Submissions with extracted work.
+   * @param {TaskDefinition} task - The task definition.
+   * @returns {{taskId: string, comparedCount: number, pairs: Array<Object>, clusters: Array<Object>}}
+   *   Task report.
+   */
+  _detectForTask(submissions, task) {
+    const template = task.getPrimaryTemplate();
+    const templateShingles = this._buildShingles(this._tokenise(template?.content)).shingles;
+    const answers = submissions
+      .map((submission) =>
+        this._prepareAnswer(submission, task.getId(), template, templateShingles)
+      )
+      .filter(Boolean)
+      .toSorted((a, b) => a.studentId.localeCompare(b.studentId));
+
+    const pairs = [];
+    answers.forEach((first, index) => {
+      answers.slice(index + 1).forEach((second) => {
+        const pair = this._comparePair(first, second);
+        if (pair) pairs.push(pair);
+      });
+    });
+
+    return {
+      taskId: task.getId(),
+      comparedCount: answers.length,
+      pairs,
+      clusters: this._buildClusters(pairs),
+    };
+  },
+
+  /**
+   * Prepares one student's answer for comparison.
+   * @param {StudentSubmission} submission - The student's submission.
+   * @param {string} taskId - The task ID.
+   * @param {BaseTaskArtifact|null} template - The task's primary template artifact.
+   * @param {Set<string>} templateShingles - Word runs that appear in the template.
+   * @returns {{studentId: string, contentHash: string, words: Array<string>, shingles: Set<string>, starts: Map<string, Array<number>>}|null}
+   *   Prepared answer, or null when the answer is not compared.
+   */
+  _prepareAnswer(submission, taskId, template, templateShingles) {
+    const artifact = submission.getItem(taskId)?.artifact;
+    if (!artifact || !SIMILARITY_COMPARED_TYPES.has(artifact.getType())) return null;
+    if (!artifact.content || artifact.contentHash === template?.contentHash) return null;
+
+    const tokens = this._tokenise(artifact.content);
+    if (tokens.length < SIMILARITY_MIN_WORDS) return null;
+
+    const { shingles, starts } = this._buildShingles(tokens);
+    templateShingles.forEach((shingle) => shingles.delete(shingle));
+    if (shingles.size === 0) return null;
+
+    return {
+      studentId: submission.studentId,
+      contentHash: artifact.contentHash,
+      words: tokens.map((token) => token.word),
+      shingles,
+      starts,
+    };
+  },
+
+  /**
+   * Splits content into words, keeping each word with its case- and punctuation-free form.
+   * Words with nothing left once normalised, such as Markdown table pipes, are dropped.
+   * @param {string|null|undefined} content - Normalised artifact content.
+   * @returns {Array<{word: string, normalised: string}>} Tokens in reading order.
+   */
+  _tokenise(content) {
+    if (typeof content !== 'string') return [];
+    return content
+      .split(/\s+/u)
+      .map((word) => ({ word, normalised: word.toLowerCase().replaceAll(/[^\p{L}\p{N}]/gu, '') }))
+      .filter((token) => token.normalised !== '');
+  },
+
+  /**
+   * Builds the set of overlapping word runs in a token list.
+   * @param {Array<{normalised: string}>} tokens - Tokens from _tokenise.
+   * @returns {{shingles: Set<string>, starts: Map<string, Array<number>>}} The runs, and the
+   *   token positions at which each run starts.
+   */
+  _buildShingles(tokens) {
+    const shingles = new Set();
+    const starts = new Map();
+    for (let index = 0; index + SIMILARITY_SHINGLE_SIZE <= tokens.length; index++) {
+      const shingle = tokens
+        .slice(index, index + SIMILARITY_SHINGLE_SIZE)
+        .map((token) => token.normalised)
+        .join(' ');
+      shingles.add(shingle);
+      starts.set(shingle, [...(starts.get(shingle) ?? []), index]);
+    }
+    return { shingles, starts };
+  },
+
+  /**
+   * Compares two prepared answers.
+   * @param {Object} first - Prepared answer from _prepareAnswer.
+   * @param {Object} second - Prepared answer from _prepareAnswer.
+   * @returns {{studentIds: Array<string>, method: string, similarity: number, matchedSpans: Array<string>}|null}
+   *   Matched pair, or null when the answers are not similar enough to flag.
+   */
+  _comparePair(first, second) {
+    const shared = [...first.shingles].filter((shingle) => second.shingles.has(shingle));
+    const exact = first.contentHash === second.contentHash;
+    const overlap = shared.length / Math.min(first.shingles.size, second.shingles.size);
+    if (!exact && overlap < SIMILARITY_FLAG_THRESHOLD) return null;
+
+    return {
+      studentIds: [first.studentId, second.studentId],
+      method: exact ? 'exact' : 'fuzzy',
+      similarity: exact ? 1 : Number(overlap.toFixed(SIMILARITY_DECIMAL_PLACES)),
+      matchedSpans: this._extractSpans(first, shared),
+    };
+  },
+
+  /**
+   * Recovers the passages of an answer covered by the shared word runs, longest first.
+   * @param {Object} answer - Prepared answer from _prepareAnswer.
+   * @param {Array<string>} shared - Word runs both answers contain.
+   * @returns {Array<string>} Up to SIMILARITY_MAX_SPANS passages in the student's own words.
+   */
+  _extractSpans(answer, shared) {
+    const covered = Array.from({ length: answer.words.length }, () => false);
+    shared.forEach((shingle) => {
+      answer.starts.get(shingle).forEach((start) => {
+        covered.fill(true, start, start + SIMILARITY_SHINGLE_SIZE);
+      });
+    });
+
+    const spans = [];
+    let runStart = null;
+    [...covered, false].forEach((isCovered, index) => {
+      if (isCovered && runStart === null) runStart = index;
+      if (!isCovered && runStart !== null) {
+        spans.push(answer.words.slice(runStart, index));
+        runStart = null;
+      }
+    });
+
+    return spans
+      .toSorted((a, b) => b.length - a.length)
+      .slice(0, SIMILARITY_MAX_SPANS)
+      .map((words) => this._truncate(words.join(' ')));
+  },
+
+  /**
+   * Shortens a passage to SIMILARITY_MAX_SPAN_CHARS characters.
+   * @param {string} text - The passage.
+   * @returns {string} The passage, ending in an ellipsis when shortened.
+   */
+  _truncate(text) {
+    return text.length > SIMILARITY_MAX_SPAN_CHARS
+      ? `${text.slice(0, SIMILARITY_MAX_SPAN_CHARS - 1)}…`
+      : text;
+  },
+
+  /**
+   * Groups matched pairs into clusters of students linked by a chain of matches.
+   * @param {Array<{studentIds: Array<string>}>} pairs - Matched pairs.
+   * @returns {Array<{studentIds: Array<string>}>} Clusters of two or more students, each
+   *   sorted, ordered by their first student.
+   */
+  _buildClusters(pairs) {
+    const parents = new Map();
+    const find = (studentId) => {
+      let root = studentId;
+      while (parents.get(root) !== root) root = parents.get(root);
+      parents.set(studentId, root);
+      return root;
+    };
+
+    pairs.forEach(({ studentIds }) => {
+      studentIds.forEach((studentId) => {
+        if (!parents.has(studentId)) parents.set(studentId, studentId);
+      });
+      parents.set(find(studentIds[1]), find(studentIds[0]));
+    });
+
+    const clusters = new Map();
+    [...parents.keys()].forEach((studentId) => {
+      const root = find(studentId);
+      clusters.set(root, [...(clusters.get(root) ?? []), studentId]);
+    });
+
+    return [...clusters.values()]
+      .map((studentIds) => ({ studentIds: studentIds.toSorted() }))
+      .toSorted((a, b) => a.studentIds[0].localeCompare(b.studentIds[0]));
+  },
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SubmissionSimilarityDetector;
+} else {
+  globalThis.SubmissionSimilarityDetector = SubmissionSimilarityDetector;
+}
@@ -19,7 +19,8 @@ class AssignmentSerialisation {
    * Serialises this Assignment to a plain JSON-friendly object.
    * Dates are converted to ISO strings. If TaskDefinition or StudentSubmission provide toJSON, those are used.
    * progressTracker is intentionally not serialised (singleton/session-specific).
-   * @returns {object} Assignment data with course/assignment IDs, dates, definition, and submissions.
+   * @returns {object} Assignment data with course/assignment IDs, dates, definition, submissions,
+   *   the last Classroom publication record and assessor usage records.
    */
   toJSON() {
     // toJSON() emits the full definition; partial definitions are expected to be
@@ -57,6 +58,9 @@ class AssignmentSerialisation {
       createdAt: this._assignment.createdAt.toISOString(),
       ...this._extractFullDefinitionFields(definitionJson),
       submissions,
+      classroomPublication: this._assignment.classroomPublication ?? null,
+      similarityReport: this._assignment.similarityReport ?? null,
+      assessmentUsage: this._assignment.assessmentUsage ?? [],
       assignmentDefinition: definitionJson || this._assignment.assignmentDefinition,
     };
   }
@@ -90,6 +94,7 @@ class AssignmentSerialisation {
 
   /**
    * Produces a lightweight JSON payload with heavy artifact fields redacted.
+   * Assessor usage records are kept so `ABClass` can report usage without full assignments.
    * @returns {object} Assignment data with redacted definition.
    */
   toPartialJSON() {
@@ -108,6 +113,7 @@ class AssignmentSerialisation {
       createdAt: this._assignment.createdAt.toISOString(),
       ...this._extractPartialRootFields(definitionJson),
       submissions: partialSubmissions,
+      assessmentUsage: this._assignment.assessmentUsage ?? [],
       assignmentDefinition: definitionJson,
     };
   }
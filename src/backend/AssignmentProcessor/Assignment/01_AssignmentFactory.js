@@ -4,8 +4,8 @@
  * Owns static create() and fromJSON() methods for polymorphic assignment
  * construction based on documentType.
  *
- * Depends on global `SlidesAssignment`, `SheetsAssignment`, `AssignmentDefinition`,
- * and `ProgressTracker` (GAS runtime globals).
+ * Depends on global `SlidesAssignment`, `SheetsAssignment`, `DocsAssignment`,
+ * `AssignmentDefinition` and `ProgressTracker` (GAS runtime globals).
  * @namespace
  */
 const AssignmentFactory = {
@@ -14,7 +14,7 @@ const AssignmentFactory = {
    * @param {AssignmentDefinition|Object} assignmentDefinition - Embedded definition containing docType and task metadata.
    * @param {string} courseId - The ID of the course.
    * @param {string} assignmentId - The ID of the assignment.
-   * @returns {Assignment} Instance of appropriate subclass (SlidesAssignment or SheetsAssignment).
+   * @returns {Assignment} Instance of appropriate subclass (SlidesAssignment, SheetsAssignment or DocsAssignment).
    * @throws {Error} If documentType is invalid or unknown.
    */
   create(assignmentDefinition, courseId, assignmentId) {
@@ -34,8 +34,12 @@ const AssignmentFactory = {
       return new SheetsAssignment(courseId, assignmentId, assignmentDefinition);
     }
 
+    if (type === 'DOCS') {
+      return new DocsAssignment(courseId, assignmentId, assignmentDefinition);
+    }
+
     throw new Error(
-      `Unknown documentType: ${assignmentDefinition.documentType}. Valid types are 'SLIDES' or 'SHEETS'. See docs/developer/DATA_SHAPES.md for details.`
+      `Unknown documentType: ${assignmentDefinition.documentType}. Valid types are 'SLIDES', 'SHEETS' or 'DOCS'. See docs/developer/DATA_SHAPES.md for details.`
     );
   },
 
@@ -43,7 +47,7 @@ const AssignmentFactory = {
    * Polymorphic deserialisation routing based on documentType field.
    * Routes to appropriate subclass fromJSON or creates base Assignment for legacy data.
    * @param {object} data - JSON data object.
-   * @returns {Assignment} Instance of appropriate class (SlidesAssignment, SheetsAssignment, or base Assignment).
+   * @returns {Assignment} Instance of appropriate class (SlidesAssignment, SheetsAssignment, DocsAssignment, or base Assignment).
    */
   fromJSON(data) {
     if (!data || typeof data !== 'object')
@@ -93,6 +97,10 @@ const AssignmentFactory = {
       return SheetsAssignment.fromJSON({ ...data, assignmentDefinition });
     }
 
+    if (type === 'DOCS') {
+      return DocsAssignment.fromJSON({ ...data, assignmentDefinition });
+    }
+
     ProgressTracker.getInstance().logAndThrowError(
       `Unknown assignment documentType '${documentType}' for courseId=${data.courseId}, assignmentId=${data.assignmentId}`,
       { documentType: documentType, data }
@@ -37,6 +37,9 @@ const AssignmentRehydration = {
       ? AssignmentDefinition.fromJSON(data.assignmentDefinition)
       : null;
     inst.submissions = [];
+    inst.classroomPublication = data.classroomPublication ?? null;
+    inst.similarityReport = data.similarityReport ?? null;
+    inst.assessmentUsage = Array.isArray(data.assessmentUsage) ? data.assessmentUsage : [];
     // Do not set transient hydration marker here — remain absent/undefined so
     // that deserialized objects don't claim a persisted hydration level.
 
@@ -57,6 +60,9 @@ const AssignmentRehydration = {
       'createdAt',
       'assignmentDefinition',
       'submissions',
+      'classroomPublication',
+      'similarityReport',
+      'assessmentUsage',
       'students', // Transient, don't restore
       'progressTracker', // Transient, don't restore
       '_hydrationLevel', // Transient, don't restore
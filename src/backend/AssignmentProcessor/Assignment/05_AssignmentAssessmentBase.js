@@ -39,7 +39,7 @@ class AssignmentAssessmentBase {
   /**
    * Processes all student submissions by extracting responses.
    * This is a base method that should be implemented by subclasses.
-   * @returns {void}
+   * @returns {boolean} True when every submission has been extracted; false when stopped early.
    */
   processAllSubmissions() {
     this._requireImplementation('processAllSubmissions');
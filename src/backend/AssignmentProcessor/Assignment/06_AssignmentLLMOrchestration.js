@@ -30,18 +30,28 @@ class AssignmentLLMOrchestration {
 
   /**
    * Assesses student responses by interacting with the LLM.
-   * Generates LLM requests for all submissions and processes responses.
+   * Generates LLM requests for all unassessed submission items and processes responses, then
+   * adds what was sent to the run's record in `assessmentUsage`.
+   * @param {ExecutionBudget|null} [budget=null] - Stops sending batches once the budget runs low;
+   *   unsent items stay unassessed for a later execution.
+   * @param {string|null} [runId=null] - Assessment run the usage belongs to; without one the
+   *   usage is recorded as a run of its own.
    * @returns {void}
    */
-  assessResponses() {
+  assessResponses(budget = null, runId = null) {
     // Base Assignment only handles non-spreadsheet (text/table/image) via LLM
     const manager = this._getLLMManager();
     const requests = manager.generateRequestObjects(this._assignment);
     if (!requests || requests.length === 0) {
       Utils.toastMessage('No LLM requests to send.', 'Info', INFO_TOAST_DURATION_SECONDS);
-      return;
+    } else {
+      manager.processStudentResponses(requests, this._assignment, budget);
     }
-    manager.processStudentResponses(requests, this._assignment);
+    this._assignment.assessmentUsage = manager.usage.addToRuns(this._assignment.assessmentUsage, {
+      runId,
+      definitionKey: this._assignment.assignmentDefinition?.definitionKey ?? null,
+      startedAt: new Date().toISOString(),
+    });
   }
 
   /**
@@ -39,6 +39,12 @@ class Assignment {
 
     // New model: submissions array of StudentSubmission
     this.submissions = []; // Array<StudentSubmission>
+    // Record of the last draft-grade publication to Google Classroom, or null.
+    this.classroomPublication = null;
+    // Answers flagged as identical or near-identical in the last run, or null.
+    this.similarityReport = null;
+    // One assessor usage record per assessment run that sent this assignment to the assessor.
+    this.assessmentUsage = [];
     // Legacy studentTasks alias removed – callers must use this.submissions.
     this.progressTracker = ProgressTracker.getInstance();
     // Controllers may temporarily attach `assignment.students` while an assessment run is active
@@ -270,10 +276,11 @@ class Assignment {
 
   /**
    * Processes all student submissions by extracting responses.
-   * @returns {void}
+   * @param {ExecutionBudget|null} [budget=null] - Stops extraction early once the budget runs low.
+   * @returns {boolean} True when every submission has been extracted; false when stopped early.
    */
-  processAllSubmissions() {
-    return this._assessmentBase.processAllSubmissions();
+  processAllSubmissions(budget = null) {
+    return this._assessmentBase.processAllSubmissions(budget);
   }
 
   /**
@@ -340,10 +347,12 @@ class Assignment {
 
   /**
    * Assesses student responses by interacting with the LLM.
+   * @param {ExecutionBudget|null} [budget=null] - Stops sending batches once the budget runs low.
+   * @param {string|null} [runId=null] - Assessment run whose usage record the counts are added to.
    * @returns {void}
    */
-  assessResponses() {
-    return this._llmOrchestration.assessResponses();
+  assessResponses(budget = null, runId = null) {
+    return this._llmOrchestration.assessResponses(budget, runId);
   }
 
   /**
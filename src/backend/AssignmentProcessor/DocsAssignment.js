@@ -0,0 +1,123 @@
+/**
+ * DocsAssignment Class
+ *
+ * Represents a Google Docs-based assignment within a course.
+ * Handles document-specific task extraction and processing; assessment uses the shared LLM flow.
+ */
+class DocsAssignment extends Assignment {
+  /**
+   * Constructs a DocsAssignment instance.
+   * @param {string} courseId - The ID of the course.
+   * @param {string} assignmentId - The ID of the assignment.
+   * @param {AssignmentDefinition|Object} assignmentDefinition - Embedded definition containing document type and task metadata.
+   */
+  constructor(courseId, assignmentId, assignmentDefinition) {
+    const definitionInstance =
+      assignmentDefinition instanceof AssignmentDefinition
+        ? assignmentDefinition
+        : AssignmentDefinition.fromJSON(assignmentDefinition);
+    super(courseId, assignmentId, definitionInstance);
+  }
+
+  /**
+   * Deserialises DocsAssignment from JSON data.
+   * @param {object} data - JSON data object.
+   * @returns {DocsAssignment} Reconstructed DocsAssignment instance.
+   */
+  static fromJSON(data) {
+    const inst = Assignment._baseFromJSON(data);
+    Object.setPrototypeOf(inst, DocsAssignment.prototype);
+    return inst;
+  }
+
+  /**
+   * Populates tasks from the reference and template documents.
+   * Combines reference and template content based on task titles.
+   * Implements the abstract populateTasks method from the base class.
+   */
+  populateTasks() {
+    const { referenceDocumentId, templateDocumentId } = this.assignmentDefinition;
+    const parser = new DocsParser();
+    const defs = parser.extractTaskDefinitions(referenceDocumentId, templateDocumentId);
+    const validDefs = [];
+
+    defs.forEach((definition) => {
+      const validation = definition.validate();
+      if (!validation.ok) {
+        const message = `Task "${definition.taskTitle}" is missing required document artifacts.`;
+        this.progressTracker.logError(message, {
+          taskId: definition.getId(),
+          pageId: definition.pageId,
+          errors: validation.errors,
+        });
+        return;
+      }
+      validDefs.push(definition);
+    });
+
+    this.assignmentDefinition.tasks = Object.fromEntries(validDefs.map((td) => [td.getId(), td]));
+    ABLogger.getInstance().info(
+      `Populated ${validDefs.length} TaskDefinitions from docs (input: ${defs.length}).`
+    );
+  }
+
+  /**
+   * Fetches and assigns submitted Google Docs documents for each student.
+   * Only accepts Google Docs MIME type.
+   */
+  fetchSubmittedDocuments() {
+    // Google Docs MIME type
+    const DOCS_MIME_TYPE = 'application/vnd.google-apps.document';
+    this.fetchSubmittedDocumentsByMimeType(DOCS_MIME_TYPE);
+  }
+
+  /**
+   * Processes all student submissions by extracting responses.
+   * Implements the abstract processAllSubmissions method from the base class.
+   * Submissions already extracted in this run are skipped, so a resumed run only
+   * extracts the remainder. Re-extracting an existing item updates its contentHash, which
+   * is what marks changed work for reassessment.
+   * @param {ExecutionBudget|null} [budget=null] - Stops extraction early once the budget runs low.
+   * @returns {boolean} True when every submission has been extracted; false when stopped early.
+   */
+  processAllSubmissions(budget = null) {
+    const parser = new DocsParser();
+    const taskDefs = Object.values(this.assignmentDefinition.tasks);
+    const total = this.submissions.length;
+    for (const [index, sub] of this.submissions.entries()) {
+      if (!sub.documentId) {
+        console.warn(`No document ID for student: ${sub.studentName}. Skipping.`);
+        continue;
+      }
+      if (sub.isExtracted()) {
+        continue;
+      }
+      if (budget?.isRunningLow()) {
+        return false;
+      }
+      // Update progress with ordinal position (e.g. "Extracting response 3 of 12...")
+      this.progressTracker.updateProgress(`Extracting response ${index + 1} of ${total}...`, false);
+      const artifacts = parser.extractSubmissionArtifacts(sub.documentId, taskDefs);
+      artifacts.forEach((a) => {
+        const taskDefinition = this.assignmentDefinition.tasks[a.taskId];
+        if (!taskDefinition) {
+          console.warn('Submission artifact references unknown taskId ' + a.taskId);
+          return;
+        }
+        sub.upsertItemFromExtraction(taskDefinition, {
+          pageId: a.pageId,
+          content: a.content,
+          metadata: a.metadata,
+          documentId: a.documentId,
+        });
+      });
+      sub.markExtracted();
+    }
+    return true;
+  }
+}
+
+// Export for Node/Vitest environment (ignored in GAS runtime)
+if (typeof module !== 'undefined') {
+  module.exports = DocsAssignment;
+}
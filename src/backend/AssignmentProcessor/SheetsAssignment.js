@@ -54,18 +54,29 @@ class SheetsAssignment extends Assignment {
   /**
    * Processes all student submissions by extracting responses.
    * Implements the abstract processAllSubmissions method from the base class.
+   * Submissions already extracted in this run are skipped, so a resumed run only
+   * extracts the remainder. Re-extracting an existing item updates its contentHash, which
+   * is what marks changed work for reassessment.
+   * @param {ExecutionBudget|null} [budget=null] - Stops extraction early once the budget runs low.
+   * @returns {boolean} True when every submission has been extracted; false when stopped early.
    */
-  processAllSubmissions() {
+  processAllSubmissions(budget = null) {
     const parser = new SheetsParser();
     const taskDefs = Object.values(this.assignmentDefinition.tasks);
-    this.submissions.forEach((sub) => {
+    for (const sub of this.submissions) {
+      if (sub.isExtracted()) {
+        continue;
+      }
+      if (budget?.isRunningLow()) {
+        return false;
+      }
       this.progressTracker.updateProgress(
         `Extracting work from spreadsheet for student ${sub.studentId}.`,
         false
       );
       if (!sub.documentId) {
         ABLogger.getInstance().warn(`No document ID for studentId ${sub.studentId}; skipping.`);
-        return;
+        continue;
       }
       const artifacts = parser.extractSubmissionArtifacts(sub.documentId, taskDefs);
       artifacts.forEach((a) => {
@@ -83,7 +94,9 @@ class SheetsAssignment extends Assignment {
           documentId: a.documentId,
         });
       });
-    });
+      sub.markExtracted();
+    }
+    return true;
   }
 
   /**
@@ -100,7 +113,7 @@ class SheetsAssignment extends Assignment {
     const assessor = new SheetsAssessor(this.getTasks(), this.submissions);
     assessor.assessResponses();
 
-    const feedbackPopulator = new SheetsFeedback(this.submissions);
+    const feedbackPopulator = new SheetsFeedback(this.submissions, this.assignmentDefinition);
     feedbackPopulator.applyFeedback();
   }
 }
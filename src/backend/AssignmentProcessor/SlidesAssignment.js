@@ -109,15 +109,26 @@ class SlidesAssignment extends Assignment {
   /**
    * Processes all student submissions by extracting responses.
    * Implements the abstract processAllSubmissions method from the base class.
+   * Submissions already extracted in this run are skipped, so a resumed run only
+   * extracts the remainder. Re-extracting an existing item updates its contentHash, which
+   * is what marks changed work for reassessment.
+   * @param {ExecutionBudget|null} [budget=null] - Stops extraction early once the budget runs low.
+   * @returns {boolean} True when every submission has been extracted; false when stopped early.
    */
-  processAllSubmissions() {
+  processAllSubmissions(budget = null) {
     const parser = new SlidesParser();
     const taskDefs = Object.values(this.assignmentDefinition.tasks);
     const total = this.submissions.length;
-    this.submissions.forEach((sub, index) => {
+    for (const [index, sub] of this.submissions.entries()) {
       if (!sub.documentId) {
         console.warn(`No document ID for student: ${sub.studentName}. Skipping.`);
-        return;
+        continue;
+      }
+      if (sub.isExtracted()) {
+        continue;
+      }
+      if (budget?.isRunningLow()) {
+        return false;
       }
       // Update progress with ordinal position (e.g. "Extracting response 3 of 12...")
       this.progressTracker.updateProgress(`Extracting response ${index + 1} of ${total}...`, false);
@@ -135,7 +146,9 @@ class SlidesAssignment extends Assignment {
           documentId: a.documentId,
         });
       });
-    });
+      sub.markExtracted();
+    }
+    return true;
   }
 }
 
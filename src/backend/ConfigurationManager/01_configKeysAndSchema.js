@@ -7,13 +7,16 @@
 // require them here to avoid duplicate declaration errors when running in
 // the GAS runtime where these are already present on the global object.
 // Tests will populate these on globalThis in `tests/setupGlobals.js`.
-/* global validateLogLevel, validateApiKey, toBooleanString, Validate */
+/* global validateLogLevel, validateApiKey, validateAssessorProfiles, toBooleanString, Validate */
 
 const BACKEND_ASSESSOR_BATCH_MAX = 500;
 const SLIDES_FETCH_BATCH_MAX = 100;
 const DAYS_UNTIL_AUTH_REVOKE_MAX = 365;
 const JSON_DB_LOCK_TIMEOUT_MIN_MS = 1000;
 const JSON_DB_LOCK_TIMEOUT_MAX_MS = 600000;
+const ASSESSMENT_CACHE_RETENTION_DAYS_MAX = 365;
+const ASSESSMENT_CACHE_MAX_ENTRIES_MIN = 100;
+const ASSESSMENT_CACHE_MAX_ENTRIES_MAX = 20000;
 
 const CONFIG_KEYS = Object.freeze({
   BACKEND_ASSESSOR_BATCH_SIZE: 'backendAssessorBatchSize',
@@ -27,6 +30,9 @@ const CONFIG_KEYS = Object.freeze({
   JSON_DB_LOG_LEVEL: 'jsonDbLogLevel',
   JSON_DB_BACKUP_ON_INITIALISE: 'jsonDbBackupOnInitialise',
   JSON_DB_ROOT_FOLDER_ID: 'jsonDbRootFolderId',
+  ASSESSMENT_CACHE_RETENTION_DAYS: 'assessmentCacheRetentionDays',
+  ASSESSMENT_CACHE_MAX_ENTRIES: 'assessmentCacheMaxEntries',
+  ASSESSOR_PROFILES: 'assessorProfiles',
 });
 
 const CONFIG_SCHEMA = Object.freeze({
@@ -100,6 +106,30 @@ const CONFIG_SCHEMA = Object.freeze({
       return trimmed;
     },
   },
+  [CONFIG_KEYS.ASSESSMENT_CACHE_RETENTION_DAYS]: {
+    storage: 'script',
+    validate: (v) =>
+      Validate.validateIntegerInRange(
+        'Assessment Cache Retention Days',
+        v,
+        1,
+        ASSESSMENT_CACHE_RETENTION_DAYS_MAX
+      ),
+  },
+  [CONFIG_KEYS.ASSESSMENT_CACHE_MAX_ENTRIES]: {
+    storage: 'script',
+    validate: (v) =>
+      Validate.validateIntegerInRange(
+        'Assessment Cache Max Entries',
+        v,
+        ASSESSMENT_CACHE_MAX_ENTRIES_MIN,
+        ASSESSMENT_CACHE_MAX_ENTRIES_MAX
+      ),
+  },
+  [CONFIG_KEYS.ASSESSOR_PROFILES]: {
+    storage: 'script',
+    validate: validateAssessorProfiles,
+  },
 });
 
 if (!globalThis.__CONFIG_MANAGER_STATICS_INITIALISED__) {
@@ -11,6 +11,8 @@ const DEFAULTS = Object.freeze({
   JSON_DB_LOG_LEVEL: 'INFO',
   JSON_DB_BACKUP_ON_INITIALISE: false,
   JSON_DB_ROOT_FOLDER_ID: null,
+  ASSESSMENT_CACHE_RETENTION_DAYS: 90,
+  ASSESSMENT_CACHE_MAX_ENTRIES: 5000,
 });
 
 if (typeof module !== 'undefined' && module.exports) {
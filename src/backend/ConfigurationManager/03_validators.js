@@ -9,6 +9,11 @@
 const API_KEY_PATTERN = /^[A-Za-z0-9]+_[A-Za-z0-9_-]{32}$/u;
 const DRIVE_ID_PATTERN = /^[\w-]{10,}$/u;
 const JSON_DB_LOG_LEVELS = Object.freeze(['DEBUG', 'INFO', 'WARN', 'ERROR']);
+// The backend URL and API key stored outside the profile list form the built-in profile.
+const DEFAULT_ASSESSOR_PROFILE_NAME = 'Default';
+const ASSESSOR_PROFILE_TASK_TYPES = Object.freeze(['TEXT', 'TABLE', 'IMAGE']);
+const ASSESSOR_PROFILE_NAME_MAX_LENGTH = 40;
+const ASSESSOR_PROFILE_BATCH_MAX = 500;
 
 /**
  * Validates a configured JsonDbApp log level and normalises it to uppercase.
@@ -78,6 +83,93 @@ function toBooleanString(value) {
   return toBoolean(value) ? 'true' : 'false';
 }
 
+/**
+ * Validates one assessor profile and returns its canonical form.
+ * @param {*} profile - Candidate profile.
+ * @param {number} index - Position in the list, for error messages.
+ * @returns {{name: string, backendUrl: string, apiKey: string, batchSize: number, taskTypes: string[], failoverProfile: string|null}}
+ *   Canonical profile.
+ * @throws {Error} If a field is missing or malformed.
+ */
+function validateAssessorProfile(profile, index) {
+  const label = `Assessor profile ${index + 1}`;
+  Validate.validatePlainObject(label, profile);
+  const name = Validate.validateTrimmedNonEmptyString(`${label} name`, profile.name);
+  if (name.length > ASSESSOR_PROFILE_NAME_MAX_LENGTH) {
+    throw new Error(
+      `${label} name must be at most ${ASSESSOR_PROFILE_NAME_MAX_LENGTH} characters.`
+    );
+  }
+  if (name.toLowerCase() === DEFAULT_ASSESSOR_PROFILE_NAME.toLowerCase()) {
+    throw new Error(`${label} name "${DEFAULT_ASSESSOR_PROFILE_NAME}" is reserved.`);
+  }
+
+  const taskTypes = Array.isArray(profile.taskTypes)
+    ? [...new Set(profile.taskTypes.map((type) => String(type).trim().toUpperCase()))]
+    : [];
+  if (
+    taskTypes.length === 0 ||
+    !taskTypes.every((type) => ASSESSOR_PROFILE_TASK_TYPES.includes(type))
+  ) {
+    throw new Error(
+      `${label} task types must be a non-empty list of ${ASSESSOR_PROFILE_TASK_TYPES.join(', ')}.`
+    );
+  }
+
+  const failoverProfile = profile.failoverProfile ?? null;
+  if (failoverProfile !== null && !Validate.isNonEmptyString(failoverProfile)) {
+    throw new Error(`${label} failover profile must be a profile name or null.`);
+  }
+
+  return {
+    name,
+    backendUrl: Validate.validateUrl(`${label} backend URL`, profile.backendUrl),
+    apiKey: validateApiKey(profile.apiKey),
+    batchSize: Validate.validateIntegerInRange(
+      `${label} batch size`,
+      profile.batchSize,
+      1,
+      ASSESSOR_PROFILE_BATCH_MAX
+    ),
+    taskTypes,
+    failoverProfile: failoverProfile?.trim() ?? null,
+  };
+}
+
+/**
+ * Validates the list of named assessor profiles and serialises it for storage.
+ * Names must be unique ignoring case, and a failover profile must name another profile or
+ * the built-in default.
+ * @param {Array<Object>|string} value - Profiles, or their JSON serialisation.
+ * @returns {string} JSON serialisation of the canonical profiles.
+ * @throws {Error} If the list or any profile is invalid.
+ */
+function validateAssessorProfiles(value) {
+  const profiles = typeof value === 'string' ? JSON.parse(value) : value;
+  if (!Array.isArray(profiles)) {
+    throw new TypeError('Assessor profiles must be a list.');
+  }
+
+  const canonical = profiles.map((profile, index) => validateAssessorProfile(profile, index));
+  const names = canonical.map(({ name }) => name.toLowerCase());
+  canonical.forEach(({ name, failoverProfile }, index) => {
+    if (names.indexOf(name.toLowerCase()) !== index) {
+      throw new Error(`Assessor profile name "${name}" is used more than once.`);
+    }
+    if (failoverProfile === null) return;
+    const target = failoverProfile.toLowerCase();
+    if (target === name.toLowerCase()) {
+      throw new Error(`Assessor profile "${name}" cannot fail over to itself.`);
+    }
+    if (target !== DEFAULT_ASSESSOR_PROFILE_NAME.toLowerCase() && !names.includes(target)) {
+      throw new Error(
+        `Assessor profile "${name}" fails over to unknown profile "${failoverProfile}".`
+      );
+    }
+  });
+  return JSON.stringify(canonical);
+}
+
 /**
  * Converts an internal camel-case key to a human-readable label.
  * @param {string} key - Internal configuration key.
@@ -141,8 +233,11 @@ if (typeof module !== 'undefined' && module.exports) {
     API_KEY_PATTERN,
     DRIVE_ID_PATTERN,
     JSON_DB_LOG_LEVELS,
+    DEFAULT_ASSESSOR_PROFILE_NAME,
+    ASSESSOR_PROFILE_TASK_TYPES,
     validateLogLevel,
     validateApiKey,
+    validateAssessorProfiles,
     validateClassInfo,
     toBoolean,
     toBooleanString,
@@ -118,6 +118,22 @@ class ConfigurationManager extends BaseSingleton {
     return ConfigurationManager._JSON_DB_LOG_LEVELS || JSON_DB_LOG_LEVELS;
   }
 
+  /**
+   * Gets the name of the built-in assessor profile.
+   * @returns {string} The default profile name.
+   */
+  static get DEFAULT_ASSESSOR_PROFILE_NAME() {
+    return ConfigurationManager._DEFAULT_ASSESSOR_PROFILE_NAME || DEFAULT_ASSESSOR_PROFILE_NAME;
+  }
+
+  /**
+   * Gets the task types an assessor profile can enable.
+   * @returns {Array<string>} Supported task types.
+   */
+  static get ASSESSOR_PROFILE_TASK_TYPES() {
+    return ConfigurationManager._ASSESSOR_PROFILE_TASK_TYPES || ASSESSOR_PROFILE_TASK_TYPES;
+  }
+
   /**
    * Gets the configuration store key used for persisting all settings.
    * @returns {string} The key for retrieving stored configuration data.
@@ -458,6 +474,70 @@ class ConfigurationManager extends BaseSingleton {
     return String(value).trim();
   }
 
+  /**
+   * Retrieves how long cached assessments are kept before they are pruned.
+   * @returns {number} The retention period in days, constrained between 1 and 365.
+   */
+  getAssessmentCacheRetentionDays() {
+    return this.getIntConfig(
+      ConfigurationManager.CONFIG_KEYS.ASSESSMENT_CACHE_RETENTION_DAYS,
+      ConfigurationManager.DEFAULTS.ASSESSMENT_CACHE_RETENTION_DAYS,
+      { min: 1, max: 365 }
+    );
+  }
+
+  /**
+   * Retrieves the maximum number of entries kept in the assessment cache.
+   * @returns {number} The entry limit, constrained between 100 and 20000.
+   */
+  getAssessmentCacheMaxEntries() {
+    return this.getIntConfig(
+      ConfigurationManager.CONFIG_KEYS.ASSESSMENT_CACHE_MAX_ENTRIES,
+      ConfigurationManager.DEFAULTS.ASSESSMENT_CACHE_MAX_ENTRIES,
+      { min: 100, max: 20000 }
+    );
+  }
+
+  /**
+   * Retrieves the named assessor profiles.
+   * @returns {Array<{name: string, backendUrl: string, apiKey: string, batchSize: number, taskTypes: string[], failoverProfile: string|null}>}
+   *   The profiles, or an empty list when none are configured or the stored value is unreadable.
+   */
+  getAssessorProfiles() {
+    const value = this.getProperty(ConfigurationManager.CONFIG_KEYS.ASSESSOR_PROFILES);
+    if (!value) return [];
+    try {
+      const profiles = JSON.parse(value);
+      return Array.isArray(profiles) ? profiles : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Resolves an assessor profile by name. The built-in default profile is made from the
+   * backend URL, API key and batch size settings, assesses every task type and has no failover.
+   * @param {string|null} [name=null] - Profile name, matched ignoring case; null for the default.
+   * @returns {Object|null} The profile, or null when no profile has that name.
+   */
+  getAssessorProfile(name = null) {
+    const defaultName = ConfigurationManager.DEFAULT_ASSESSOR_PROFILE_NAME;
+    if (name === null || name.toLowerCase() === defaultName.toLowerCase()) {
+      return {
+        name: defaultName,
+        backendUrl: this.getBackendUrl(),
+        apiKey: this.getApiKey(),
+        batchSize: this.getBackendAssessorBatchSize(),
+        taskTypes: [...ConfigurationManager.ASSESSOR_PROFILE_TASK_TYPES],
+        failoverProfile: null,
+      };
+    }
+    const target = name.toLowerCase();
+    return (
+      this.getAssessorProfiles().find((profile) => profile.name.toLowerCase() === target) ?? null
+    );
+  }
+
   /**
    * Sets the batch size for backend assessor operations.
    * @param {number} batchSize - The batch size to configure, typically between 1 and 500.
@@ -494,6 +574,27 @@ class ConfigurationManager extends BaseSingleton {
     this.setProperty(ConfigurationManager.CONFIG_KEYS.BACKEND_URL, url);
   }
 
+  /**
+   * Replaces the named assessor profiles. A profile sent without an API key keeps the key
+   * stored for the profile of the same name, so the masked keys never need to be sent back.
+   * @param {Array<Object>} profiles - Profiles to store.
+   * @returns {void}
+   */
+  setAssessorProfiles(profiles) {
+    const stored = this.getAssessorProfiles();
+    const withKeys = Array.isArray(profiles)
+      ? profiles.map((profile) => {
+          if (!profile || typeof profile !== 'object' || profile.apiKey) return profile;
+          const name = String(profile.name ?? '')
+            .trim()
+            .toLowerCase();
+          const previous = stored.find((entry) => entry.name.toLowerCase() === name);
+          return { ...profile, apiKey: previous?.apiKey };
+        })
+      : profiles;
+    this.setProperty(ConfigurationManager.CONFIG_KEYS.ASSESSOR_PROFILES, withKeys);
+  }
+
   /**
    * Sets the master index key for the JSON database.
    * @param {string} masterIndexKey - The master index key to store.
@@ -563,6 +664,24 @@ class ConfigurationManager extends BaseSingleton {
     this.setProperty(ConfigurationManager.CONFIG_KEYS.DAYS_UNTIL_AUTH_REVOKE, days);
   }
 
+  /**
+   * Sets how long cached assessments are kept before they are pruned.
+   * @param {number} days - The retention period in days, typically between 1 and 365.
+   * @returns {void}
+   */
+  setAssessmentCacheRetentionDays(days) {
+    this.setProperty(ConfigurationManager.CONFIG_KEYS.ASSESSMENT_CACHE_RETENTION_DAYS, days);
+  }
+
+  /**
+   * Sets the maximum number of entries kept in the assessment cache.
+   * @param {number} maxEntries - The entry limit, typically between 100 and 20000.
+   * @returns {void}
+   */
+  setAssessmentCacheMaxEntries(maxEntries) {
+    this.setProperty(ConfigurationManager.CONFIG_KEYS.ASSESSMENT_CACHE_MAX_ENTRIES, maxEntries);
+  }
+
   /**
    * Converts a value to a strict boolean, treating truthy/falsy values according to conversion rules.
    * @param {*} value - The value to convert to a boolean.
@@ -631,6 +750,8 @@ if (typeof module !== 'undefined' && module.exports) {
   ConfigurationManager._API_KEY_PATTERN = validators.API_KEY_PATTERN;
   ConfigurationManager._DRIVE_ID_PATTERN = validators.DRIVE_ID_PATTERN;
   ConfigurationManager._JSON_DB_LOG_LEVELS = validators.JSON_DB_LOG_LEVELS;
+  ConfigurationManager._DEFAULT_ASSESSOR_PROFILE_NAME = validators.DEFAULT_ASSESSOR_PROFILE_NAME;
+  ConfigurationManager._ASSESSOR_PROFILE_TASK_TYPES = validators.ASSESSOR_PROFILE_TASK_TYPES;
   ConfigurationManager._CONFIG_STORE_KEY = '__CONFIG_STORE_KEY__';
   ConfigurationManager._toBoolean = validators.toBoolean;
   ConfigurationManager._toBooleanString = validators.toBooleanString;
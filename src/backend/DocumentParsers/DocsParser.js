@@ -0,0 +1,311 @@
+/**
+ * Number of hash characters retained for stable Docs task IDs.
+ */
+const DOCS_TASK_ID_HASH_LENGTH = 12;
+
+/**
+ * Prefix marking a named range as a task, mirroring the Slides `#` title tag.
+ */
+const DOCS_TASK_RANGE_PREFIX = '#';
+
+/**
+ * DocsParser Class
+ *
+ * Handles extraction of task content from Google Docs documents.
+ * A task is either a named range called `#Task title`, or, when a document has no such ranges,
+ * a heading (levels 1–6) together with every element up to the next heading.
+ * Matches task definitions across documents by task title, so students' copies only need to
+ * keep the heading text or named range intact.
+ */
+class DocsParser extends DocumentParser {
+  /**
+   * Build TaskDefinitions from reference/template documents.
+   * Each task's artifact is a TABLE when the reference section holds only tables, otherwise TEXT
+   * (with any tables rendered as Markdown). Section order establishes TaskDefinition.index.
+   * @param {string} referenceDocumentId - The ID of the reference Google Doc.
+   * @param {string|null} templateDocumentId - The ID of the template Google Doc, or null when absent.
+   * @returns {TaskDefinition[]} Ordered task definitions extracted from the reference and template documents.
+   */
+  extractTaskDefinitions(referenceDocumentId, templateDocumentId) {
+    const referenceSections = this.readTaskSections(DocumentApp.openById(referenceDocumentId));
+    const templateSections = templateDocumentId
+      ? this.readTaskSections(DocumentApp.openById(templateDocumentId))
+      : [];
+
+    const definitionMap = new Map();
+    referenceSections.forEach((section) => {
+      const definition = this.ensureTaskDefinition(section.title, definitionMap);
+      const artifactType = this.resolveArtifactType(section.blocks);
+      definition.addReferenceArtifact(
+        this.buildArtifactParameters(definition, section.blocks, artifactType, referenceDocumentId)
+      );
+    });
+    templateSections.forEach((section) => {
+      const definition = this.ensureTaskDefinition(section.title, definitionMap);
+      const artifactType =
+        definition.getPrimaryReference()?.getType() ?? this.resolveArtifactType(section.blocks);
+      definition.addTemplateArtifact(
+        this.buildArtifactParameters(definition, section.blocks, artifactType, templateDocumentId)
+      );
+    });
+
+    return [...definitionMap.values()];
+  }
+
+  /**
+   * Extract student submission artifacts as primitives.
+   * Sections are matched by task title; named ranges take precedence over headings so a
+   * student who restyles a heading still matches through the range.
+   * Returns array of { taskId, pageId, content, documentId }.
+   * @param {string} documentId - The student document ID to extract from.
+   * @param {TaskDefinition[]} taskDefs - Task definitions to match against the submission.
+   * @returns {Array<{taskId: string, pageId: null, content: *, metadata?: Object, documentId: string}>} Submission artifacts.
+   */
+  extractSubmissionArtifacts(documentId, taskDefs) {
+    const document = DocumentApp.openById(documentId);
+    const sectionsByTitle = new Map([
+      ...this.readHeadingSections(document.getBody()).map((section) => [
+        section.title,
+        section.blocks,
+      ]),
+      ...this.readNamedRangeSections(document).map((section) => [section.title, section.blocks]),
+    ]);
+    const artifacts = [];
+
+    taskDefs.forEach((definition) => {
+      const primary = definition.getPrimaryReference() || definition.getPrimaryTemplate();
+      if (!primary) return;
+
+      const blocks = sectionsByTitle.get(definition.taskTitle);
+      const content = blocks ? this.buildSectionContent(blocks, primary.getType()) : null;
+
+      if (content === null) {
+        // Same well-formed placeholder as SlidesParser, so the stored submission stays complete.
+        artifacts.push({
+          type: primary.getType(),
+          taskId: definition.getId(),
+          pageId: null,
+          content: null,
+          contentHash: null,
+          documentId,
+          role: 'submission',
+          metadata: {},
+        });
+        ABLogger.getInstance().error(
+          `Failed to extract artifact for task "${definition.taskTitle}" in document ${documentId}.`
+        );
+        return;
+      }
+
+      artifacts.push({
+        taskId: definition.getId(),
+        pageId: null,
+        documentId,
+        content,
+      });
+    });
+
+    return artifacts;
+  }
+
+  /**
+   * Read the task sections of a reference or template document: its `#` named ranges when it
+   * has any, otherwise its headings.
+   * @param {GoogleAppsScript.Document.Document} document - Document to read.
+   * @returns {Array<{title: string, blocks: Array<{kind: string, text?: string, cells?: Array<Array<string>>}>}>} Ordered task sections.
+   */
+  readTaskSections(document) {
+    const namedSections = this.readNamedRangeSections(document);
+    return namedSections.length > 0 ? namedSections : this.readHeadingSections(document.getBody());
+  }
+
+  /**
+   * Read sections from named ranges whose name starts with `#`.
+   * @param {GoogleAppsScript.Document.Document} document - Document to read.
+   * @returns {Array<{title: string, blocks: Array<Object>}>} Sections in named-range order.
+   */
+  readNamedRangeSections(document) {
+    return document
+      .getNamedRanges()
+      .map((namedRange) => ({ namedRange, name: namedRange.getName().trim() }))
+      .filter(({ name }) => name.startsWith(DOCS_TASK_RANGE_PREFIX))
+      .map(({ namedRange, name }) => ({
+        title: name.slice(DOCS_TASK_RANGE_PREFIX.length).trim(),
+        blocks: namedRange
+          .getRange()
+          .getRangeElements()
+          .map((rangeElement) => this.readRangeElement(rangeElement)),
+      }))
+      .filter(({ title }) => title.length > 0);
+  }
+
+  /**
+   * Read sections from headings. A section runs from a heading to the next heading of any level;
+   * content before the first heading is ignored.
+   * @param {GoogleAppsScript.Document.Body} body - Document body to read.
+   * @returns {Array<{title: string, blocks: Array<Object>}>} Sections in document order.
+   */
+  readHeadingSections(body) {
+    const sections = [];
+    let current = null;
+
+    for (let index = 0; index < body.getNumChildren(); index++) {
+      const element = body.getChild(index);
+      if (this.isTaskHeading(element)) {
+        const title = element.asParagraph().getText().trim();
+        current = title ? { title, blocks: [] } : null;
+        if (current) sections.push(current);
+        continue;
+      }
+      current?.blocks.push(this.readElement(element));
+    }
+
+    return sections;
+  }
+
+  /**
+   * Check whether a body element is a heading paragraph that starts a task section.
+   * Title and subtitle paragraphs are document furniture, not tasks.
+   * @param {GoogleAppsScript.Document.Element} element - Body element.
+   * @returns {boolean} True for HEADING1–HEADING6 paragraphs.
+   */
+  isTaskHeading(element) {
+    if (element.getType() !== DocumentApp.ElementType.PARAGRAPH) return false;
+    const heading = element.asParagraph().getHeading();
+    return (
+      heading !== DocumentApp.ParagraphHeading.NORMAL &&
+      heading !== DocumentApp.ParagraphHeading.TITLE &&
+      heading !== DocumentApp.ParagraphHeading.SUBTITLE
+    );
+  }
+
+  /**
+   * Read one element of a named range, keeping only the selected characters of partial text.
+   * @param {GoogleAppsScript.Document.RangeElement} rangeElement - Range element to read.
+   * @returns {{kind: string, text?: string, cells?: Array<Array<string>>}} Content block.
+   */
+  readRangeElement(rangeElement) {
+    const element = rangeElement.getElement();
+    if (rangeElement.isPartial() && element.getType() === DocumentApp.ElementType.TEXT) {
+      const text = element
+        .asText()
+        .getText()
+        .slice(rangeElement.getStartOffset(), rangeElement.getEndOffsetInclusive() + 1);
+      return { kind: 'text', text: text.trim() };
+    }
+    return this.readElement(element);
+  }
+
+  /**
+   * Read a body element into a content block. Tables keep their cells; everything else keeps
+   * its plain text.
+   * @param {GoogleAppsScript.Document.Element} element - Element to read.
+   * @returns {{kind: string, text?: string, cells?: Array<Array<string>>}} Content block.
+   */
+  readElement(element) {
+    if (element.getType() === DocumentApp.ElementType.TABLE) {
+      return { kind: 'table', cells: this.extractTableCells(element.asTable()) };
+    }
+    const text = typeof element.getText === 'function' ? element.getText() : '';
+    return { kind: 'text', text: text.trim() };
+  }
+
+  /**
+   * Extract a raw 2D cell array from a Docs table.
+   * @param {GoogleAppsScript.Document.Table} table - The table to extract cells from.
+   * @returns {Array<Array<string>>} Trimmed cell text; empty cells as '' (later normalised to null by TableTaskArtifact).
+   */
+  extractTableCells(table) {
+    const rows = [];
+    for (let r = 0; r < table.getNumRows(); r++) {
+      const row = table.getRow(r);
+      const cells = [];
+      for (let c = 0; c < row.getNumCells(); c++) {
+        cells.push(row.getCell(c).getText().trim());
+      }
+      rows.push(cells);
+    }
+    return rows;
+  }
+
+  /**
+   * Pick the artifact type for a reference section.
+   * @param {Array<{kind: string, text?: string}>} blocks - Section content blocks.
+   * @returns {'TABLE'|'TEXT'} TABLE when the section holds tables and no text, otherwise TEXT.
+   */
+  resolveArtifactType(blocks) {
+    const hasTable = blocks.some((block) => block.kind === 'table');
+    const hasText = blocks.some((block) => block.kind === 'text' && block.text);
+    return hasTable && !hasText ? 'TABLE' : 'TEXT';
+  }
+
+  /**
+   * Build artifact content of the required type from section blocks.
+   * @param {Array<{kind: string, text?: string, cells?: Array<Array<string>>}>} blocks - Section content blocks.
+   * @param {string} artifactType - TEXT or TABLE.
+   * @returns {string|Array<Array<string>>|null} Content, or null when a TABLE task's section has no table.
+   */
+  buildSectionContent(blocks, artifactType) {
+    if (artifactType === 'TABLE') {
+      return blocks.find((block) => block.kind === 'table')?.cells ?? null;
+    }
+    return blocks
+      .map((block) =>
+        block.kind === 'table' ? this.convertToMarkdownTable(block.cells) : block.text
+      )
+      .filter(Boolean)
+      .join('\n')
+      .trim();
+  }
+
+  /**
+   * Build the artifact parameters for a definition section.
+   * @param {TaskDefinition} definition - Definition receiving the artifact.
+   * @param {Array<Object>} blocks - Section content blocks.
+   * @param {string} artifactType - TEXT or TABLE.
+   * @param {string} documentId - Source document ID.
+   * @returns {Object} Artifact parameters for TaskDefinition.addReferenceArtifact/addTemplateArtifact.
+   */
+  buildArtifactParameters(definition, blocks, artifactType, documentId) {
+    return {
+      type: artifactType,
+      pageId: null,
+      content: this.buildSectionContent(blocks, artifactType),
+      taskIndex: definition.index,
+      documentId,
+    };
+  }
+
+  /**
+   * Ensure a task definition exists for the given title.
+   * @param {string} taskTitle - Heading text or named-range title.
+   * @param {Map<string, TaskDefinition>} definitionMap - Definitions keyed by title.
+   * @returns {TaskDefinition} Existing or newly created task definition.
+   */
+  ensureTaskDefinition(taskTitle, definitionMap) {
+    let definition = definitionMap.get(taskTitle);
+    if (!definition) {
+      definition = new TaskDefinition({
+        taskTitle,
+        pageId: null,
+        id: this.buildDocsTaskId(taskTitle),
+      });
+      definition.index = definitionMap.size;
+      definitionMap.set(taskTitle, definition);
+    }
+    return definition;
+  }
+
+  /**
+   * Build a stable Docs task ID from task title only.
+   * @param {string} taskTitle - Heading text or named-range title.
+   * @returns {string} Stable task ID for Docs definitions.
+   */
+  buildDocsTaskId(taskTitle) {
+    return 't_' + Utils.generateHash(taskTitle || '').slice(0, DOCS_TASK_ID_HASH_LENGTH);
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { DocsParser };
+}
@@ -1,30 +1,121 @@
+/* global ABLogger, BatchUpdateUtility, ProgressTracker, Sheets, SpreadsheetFormulaParser */
+
+const SHEETS_FEEDBACK_FORMULA_HINT = Object.freeze({
+  NONE: 'none',
+  PATTERN: 'pattern',
+  FORMULA: 'formula',
+});
+
+const SHEETS_FEEDBACK_SUMMARY_TITLE = 'Feedback';
+const SHEETS_FEEDBACK_SUMMARY_HEADERS = [
+  'Task',
+  'Completeness',
+  'Accuracy',
+  'Correct cells',
+  'Incorrect cells',
+  'Missing cells',
+];
+const SHEETS_FEEDBACK_CELL_FIELDS = 'userEnteredFormat.backgroundColor,note';
+// Token types a formula pattern keeps; every other operand is shown as an ellipsis.
+const SHEETS_FEEDBACK_PATTERN_TOKENS = new Set(['function', 'open', 'close', 'operator']);
+
 /**
  * Sheets Feedback Class
  * This class is responsible for handling the provision of feedback to student spreadsheets when completing a spreadsheet task.
- * At some point this will need to be split off into a `BaseFeedback` class and a `SlidesFeedback` class will also be necessary.
- * However, today is not that day.
+ * Each assessed cell is coloured by status and given a note explaining the result, and a "Feedback" tab summarises
+ * the scores for each task. Reruns refresh the notes and the tab rather than adding to them.
+ * Feedback for Slides decks is written by `SlidesFeedback`.
  * @class SheetsFeedback
  */
-
-/**
- *
- */
 class SheetsFeedback {
   /**
    * Creates an instance of SheetsFeedback.
    * @param {Array<StudentSubmission>} studentTasksOrSubmissions - Array of StudentSubmission objects to process feedback for.
+   * @param {AssignmentDefinition} [assignmentDefinition] - Definition supplying reference formulae, task titles and
+   *   the template spreadsheet. Without it, notes carry no formula hint and the summary tab is skipped.
+   * @param {Object} [options] - Populator options.
+   * @param {string} [options.formulaHint='pattern'] - What incorrect and missing cell notes reveal of the expected
+   *   formula: `'none'`, `'pattern'` (functions and operators only) or `'formula'` (the full reference formula).
    */
-  constructor(studentTasksOrSubmissions) {
+  constructor(
+    studentTasksOrSubmissions,
+    assignmentDefinition = null,
+    { formulaHint = 'pattern' } = {}
+  ) {
+    if (!Object.values(SHEETS_FEEDBACK_FORMULA_HINT).includes(formulaHint)) {
+      throw new RangeError(`Unknown Sheets feedback formula hint: ${formulaHint}`);
+    }
     // Accept new model submissions array; fall back for backward compatibility.
     this.submissions = studentTasksOrSubmissions;
+    this.assignmentDefinition = assignmentDefinition;
+    this.formulaHint = formulaHint;
     this.progressTracker = ProgressTracker.getInstance();
+    this._templateBackgrounds = null;
   }
 
   /**
    * Applies visual feedback to all student spreadsheets based on their assessments.
-   * Uses different colors for correct, incorrect, and not attempted cells.   * @returns {void}   */
+   * Uses different colors for correct, incorrect, and not attempted cells, notes incorrect and missing cells,
+   * and refreshes the summary tab. A spreadsheet that cannot be updated is logged and counted, and the others
+   * are still processed.
+   * @returns {{documentsUpdated: number, documentsFailed: number, itemsWritten: number}} Counts of what changed.
+   */
   applyFeedback() {
-    const batchUpdates = [];
+    const summary = this._forEachSpreadsheet('Generating feedback for', (sub, sheetsByTitle) => {
+      const entries = this._collectCellFeedback(sub);
+      const requests = [
+        ...this._buildCellRequests(entries),
+        ...this.generateSummarySheetRequests(sub, sheetsByTitle),
+      ];
+      return { requests, itemsWritten: entries.length };
+    });
+    this.progressTracker.updateProgress(
+      summary.documentsUpdated > 0
+        ? `Applied cell colour feedback to ${summary.documentsUpdated} student sheets.`
+        : 'No spreadsheet feedback to apply.',
+      false
+    );
+    return summary;
+  }
+
+  /**
+   * Clears feedback from all student spreadsheets: assessed cells get back the background colour they have in
+   * the template and lose their notes, and the summary tab is deleted.
+   * @returns {{documentsUpdated: number, documentsFailed: number, itemsWritten: number}} Counts of what changed;
+   *   `itemsWritten` is always 0.
+   */
+  removeFeedback() {
+    const templateBackgrounds = this._getTemplateBackgrounds();
+    const summary = this._forEachSpreadsheet('Clearing feedback from', (sub, sheetsByTitle) => {
+      const requests = this._collectCellFeedback(sub).flatMap(({ sheetId, feedbackItems }) =>
+        feedbackItems.map(({ location: [rowIndex = 0, colIndex = 0] }) =>
+          this._createCellRequest(rowIndex, colIndex, sheetId, {
+            userEnteredFormat: {
+              backgroundColor: templateBackgrounds.get(`${sheetId}:${rowIndex}:${colIndex}`),
+            },
+          })
+        )
+      );
+      const summarySheet = sheetsByTitle.get(SHEETS_FEEDBACK_SUMMARY_TITLE);
+      if (summarySheet) requests.push({ deleteSheet: { sheetId: summarySheet.sheetId } });
+      return { requests, itemsWritten: 0 };
+    });
+    this.progressTracker.updateProgress(
+      `Cleared feedback from ${summary.documentsUpdated} student sheets.`,
+      false
+    );
+    return summary;
+  }
+
+  /**
+   * Builds and sends the batch update for each submission's spreadsheet.
+   * @param {string} progressVerb - Progress message prefix, such as `'Generating feedback for'`.
+   * @param {function(StudentSubmission, Map<string, Object>): {requests: Array, itemsWritten: number}} buildRequests -
+   *   Builds a spreadsheet's requests from its submission and its sheet properties keyed by title.
+   * @returns {{documentsUpdated: number, documentsFailed: number, itemsWritten: number}} Counts of what changed.
+   */
+  _forEachSpreadsheet(progressVerb, buildRequests) {
+    const summary = { documentsUpdated: 0, documentsFailed: 0, itemsWritten: 0 };
     (this.submissions || []).forEach((sub) => {
       if (!sub || !sub.documentId) {
         ABLogger.getInstance().warn(
@@ -33,25 +124,40 @@ class SheetsFeedback {
         return;
       }
       const studentLabel = sub.student?.name || sub.studentName || sub.studentId;
-      this.progressTracker.updateProgress(
-        `Generating feedback for ${studentLabel}'s spreadsheet.`,
-        false
-      );
-      const requests = this.generateBatchRequestsForSubmission(sub);
-      if (requests.length > 0) {
-        batchUpdates.push({ requests, spreadsheetId: sub.documentId });
+      this.progressTracker.updateProgress(`${progressVerb} ${studentLabel}'s spreadsheet.`, false);
+      try {
+        const { requests, itemsWritten } = buildRequests(
+          sub,
+          this._readSheetsByTitle(sub.documentId)
+        );
+        if (requests.length === 0) return;
+        BatchUpdateUtility.executeBatchUpdate(requests, sub.documentId);
+        summary.documentsUpdated += 1;
+        summary.itemsWritten += itemsWritten;
+      } catch (error) {
+        ABLogger.getInstance().warn('Failed to update Sheets feedback', {
+          studentId: sub.studentId,
+          documentId: sub.documentId,
+          err: error,
+        });
+        summary.documentsFailed += 1;
       }
     });
-    this.progressTracker.updateProgress('Applying feedback to student sheets');
-    if (batchUpdates.length > 0) {
-      BatchUpdateUtility.executeMultipleBatchUpdates(batchUpdates);
-      this.progressTracker.updateProgress(
-        `Applied cell colour feedback to ${batchUpdates.length} student sheets.`,
-        false
-      );
-    } else {
-      this.progressTracker.updateProgress('No spreadsheet feedback to apply.', false);
-    }
+    return summary;
+  }
+
+  /**
+   * Reads the properties of every sheet in a spreadsheet.
+   * @param {string} spreadsheetId - The spreadsheet ID.
+   * @returns {Map<string, {sheetId: number, title: string}>} Sheet properties keyed by title.
+   */
+  _readSheetsByTitle(spreadsheetId) {
+    const response = Sheets.Spreadsheets.get(spreadsheetId, {
+      fields: 'sheets.properties(sheetId,title)',
+    });
+    return new Map(
+      (response?.sheets || []).map(({ properties }) => [properties.title, properties])
+    );
   }
 
   /**
@@ -60,7 +166,32 @@ class SheetsFeedback {
    * @returns {Array} Array of batch update request objects.
    */
   generateBatchRequestsForSubmission(sub) {
-    const requests = [];
+    return this._buildCellRequests(this._collectCellFeedback(sub));
+  }
+
+  /**
+   * Builds the colour and note request for every cell with feedback.
+   * @param {Array<{item: Object, sheetId: number, feedbackItems: Array}>} entries - Items with their cell feedback.
+   * @returns {Array} Array of batch update request objects.
+   */
+  _buildCellRequests(entries) {
+    return entries.flatMap(({ item, sheetId, feedbackItems }) =>
+      feedbackItems.map((cfItem) => {
+        const rowIndex = cfItem.location[0] || 0;
+        const colIndex = cfItem.location[1] || 0;
+        const note = this.buildCellNote(cfItem.status, this._getReferenceFormula(item, cfItem));
+        return this.createCellFormatRequest(rowIndex, colIndex, cfItem.status, sheetId, note);
+      })
+    );
+  }
+
+  /**
+   * Lists the submission items that carry cell reference feedback, with the sheet each belongs to.
+   * @param {StudentSubmission} sub - The student submission.
+   * @returns {Array<{item: Object, sheetId: number, feedbackItems: Array}>} Items with their cell feedback.
+   */
+  _collectCellFeedback(sub) {
+    const entries = [];
     const items = sub.items || {};
     Object.values(items).forEach((item) => {
       if (!item || !item.feedback) return;
@@ -79,25 +210,221 @@ class SheetsFeedback {
       const feedbackItems = cellFeedback?.getItems ? cellFeedback.getItems() : cellFeedback?.items;
       if (!Array.isArray(feedbackItems)) return;
 
-      feedbackItems.forEach((cfItem) => {
-        const rowIndex = cfItem.location[0] || 0;
-        const colIndex = cfItem.location[1] || 0;
-        const request = this.createCellFormatRequest(rowIndex, colIndex, cfItem.status, sheetId);
-        if (request) requests.push(request);
+      entries.push({ item, sheetId, feedbackItems });
+    });
+    return entries;
+  }
+
+  /**
+   * Builds the note for a cell. Correct cells get an empty note, which clears one left by an earlier run.
+   * @param {string} status - The status of the cell ("correct", "incorrect", "notAttempted").
+   * @param {string|null} referenceFormula - The formula the cell should hold, when known.
+   * @returns {string} The note text.
+   */
+  buildCellNote(status, referenceFormula) {
+    let finding;
+    if (status === 'incorrect') {
+      finding = 'This formula is incorrect.';
+    } else if (status === 'notAttempted') {
+      finding = 'This cell is missing a formula.';
+    } else {
+      return '';
+    }
+
+    const hint = this._describeExpectedFormula(referenceFormula);
+    return hint ? `${finding}\n${hint}` : finding;
+  }
+
+  /**
+   * Describes the expected formula as far as the formula hint setting allows.
+   * @param {string|null} referenceFormula - The reference formula.
+   * @returns {string|null} The hint, or null when nothing may or can be shown.
+   */
+  _describeExpectedFormula(referenceFormula) {
+    if (!referenceFormula || this.formulaHint === SHEETS_FEEDBACK_FORMULA_HINT.NONE) return null;
+    if (this.formulaHint === SHEETS_FEEDBACK_FORMULA_HINT.FORMULA) {
+      return `Expected: ${referenceFormula}`;
+    }
+    const pattern = SheetsFeedback.toFormulaPattern(referenceFormula);
+    return pattern ? `Expected a formula like: ${pattern}` : null;
+  }
+
+  /**
+   * Reduces a formula to its functions and operators, replacing references, numbers and text with an ellipsis,
+   * so the hint shows the shape of the answer without giving it away.
+   * @param {string} formula - Formula text.
+   * @returns {string|null} The pattern, such as `=SUM(…)/COUNT(…)`, or null when the formula cannot be read.
+   */
+  static toFormulaPattern(formula) {
+    const tokens = SpreadsheetFormulaParser.tokenise(formula);
+    if (!tokens || tokens.length === 0) return null;
+
+    let pattern = '=';
+    for (const { type, text } of tokens) {
+      if (type === 'separator') {
+        pattern += ', ';
+      } else if (SHEETS_FEEDBACK_PATTERN_TOKENS.has(type)) {
+        pattern += type === 'function' ? text.toUpperCase() : text;
+      } else if (!pattern.endsWith('…')) {
+        pattern += '…';
+      }
+    }
+    return pattern;
+  }
+
+  /**
+   * Finds the reference formula for a cell from the item's task definition.
+   * @param {Object} item - The submission item.
+   * @param {{location: Array<number>}} cfItem - The cell feedback item.
+   * @returns {string|null} The reference formula, or null when the definition does not supply one.
+   */
+  _getReferenceFormula(item, cfItem) {
+    const task = this.assignmentDefinition?.tasks?.[item.taskId];
+    const referenceGrid = task?.getPrimaryReference?.()?.content;
+    if (!Array.isArray(referenceGrid)) return null;
+
+    // Cell feedback locations are sheet coordinates; the reference grid starts at the task's bounding box.
+    const bbox = task.taskMetadata?.bbox || task.taskMetadata?.boundingBox || null;
+    const rowOffset = bbox ? (bbox.startRow || 1) - 1 : 0;
+    const columnOffset = bbox ? (bbox.startColumn || 1) - 1 : 0;
+    const [rowIndex = 0, colIndex = 0] = cfItem.location;
+    return referenceGrid[rowIndex - rowOffset]?.[colIndex - columnOffset] || null;
+  }
+
+  /**
+   * Generates the requests that add or refresh the summary tab: one row per task with its completeness and
+   * accuracy scores and its cell counts. Teacher overrides take the place of the assessor's scores.
+   * @param {StudentSubmission} sub - The student submission.
+   * @param {Map<string, {sheetId: number, title: string}>} sheetsByTitle - The spreadsheet's sheet properties.
+   * @returns {Array} Batch update requests, empty when there is no definition or nothing to summarise.
+   */
+  generateSummarySheetRequests(sub, sheetsByTitle) {
+    const rows = this._buildSummaryRows(sub);
+    if (rows.length === 0) return [];
+
+    const requests = [];
+    let sheetId = sheetsByTitle.get(SHEETS_FEEDBACK_SUMMARY_TITLE)?.sheetId;
+    if (sheetId === undefined) {
+      sheetId = Math.max(0, ...Array.from(sheetsByTitle.values(), (sheet) => sheet.sheetId)) + 1;
+      requests.push({
+        addSheet: { properties: { sheetId, title: SHEETS_FEEDBACK_SUMMARY_TITLE } },
       });
+    } else {
+      requests.push({ updateCells: { range: { sheetId }, fields: 'userEnteredValue' } });
+    }
+
+    requests.push({
+      updateCells: {
+        start: { sheetId, rowIndex: 0, columnIndex: 0 },
+        rows: [SHEETS_FEEDBACK_SUMMARY_HEADERS, ...rows].map((row) => ({
+          values: row.map((value) => ({
+            userEnteredValue:
+              typeof value === 'number' ? { numberValue: value } : { stringValue: value },
+          })),
+        })),
+        fields: 'userEnteredValue',
+      },
     });
     return requests;
   }
 
+  /**
+   * Builds a summary row for each task the submission has an item for, in task order.
+   * @param {StudentSubmission} sub - The student submission.
+   * @returns {Array<Array<string|number>>} Summary rows.
+   */
+  _buildSummaryRows(sub) {
+    const { tasks, criteria = [] } = this.assignmentDefinition || {};
+    const describeScore = (item, key) => {
+      const assessment = item.getEffectiveAssessment?.(key);
+      if (!assessment) return '';
+      if (typeof assessment.score !== 'number') return 'Not attempted';
+      const maxScore = criteria.find((criterion) => criterion.key === key)?.maxScore;
+      return maxScore ? `${assessment.score}/${maxScore}` : String(assessment.score);
+    };
+
+    return Object.entries(tasks || {})
+      .toSorted(([, left], [, right]) => (left.index ?? 0) - (right.index ?? 0))
+      .flatMap(([taskId, task]) => {
+        const item = sub.getItem?.(taskId);
+        if (!item) return [];
+        const cellItems = item.getFeedback?.('cellReference')?.items || [];
+        const scores = ['completeness', 'accuracy'].map((key) => describeScore(item, key));
+        const counts = ['correct', 'incorrect', 'notAttempted'].map(
+          (status) => cellItems.filter((cell) => cell.status === status).length
+        );
+        return [[task.taskTitle, ...scores, ...counts]];
+      });
+  }
+
+  /**
+   * Reads the background colour of every template cell, so clearing feedback can restore it.
+   * A template that cannot be read is logged, and cleared cells fall back to no background colour.
+   * @returns {Map<string, Object>} Background colours keyed by `sheetId:rowIndex:columnIndex`.
+   */
+  _getTemplateBackgrounds() {
+    if (this._templateBackgrounds) return this._templateBackgrounds;
+
+    this._templateBackgrounds = new Map();
+    const templateDocumentId = this.assignmentDefinition?.templateDocumentId;
+    if (!templateDocumentId) return this._templateBackgrounds;
+
+    try {
+      const response = Sheets.Spreadsheets.get(templateDocumentId, {
+        includeGridData: true,
+        fields:
+          'sheets(properties(sheetId),data(startRow,startColumn,rowData(values(userEnteredFormat(backgroundColor)))))',
+      });
+      for (const { properties, data = [] } of response?.sheets || []) {
+        for (const { startRow = 0, startColumn = 0, rowData = [] } of data) {
+          rowData.forEach(({ values = [] } = {}, rowOffset) => {
+            values.forEach((value, columnOffset) => {
+              const backgroundColor = value?.userEnteredFormat?.backgroundColor;
+              if (!backgroundColor) return;
+              const key = `${properties.sheetId}:${startRow + rowOffset}:${startColumn + columnOffset}`;
+              this._templateBackgrounds.set(key, backgroundColor);
+            });
+          });
+        }
+      }
+    } catch (error) {
+      ABLogger.getInstance().warn('Failed to read template cell formatting', {
+        templateDocumentId,
+        err: error,
+      });
+    }
+    return this._templateBackgrounds;
+  }
+
   /**
    * Creates a batch update request from row and column indices.
    * @param {number} rowIndex - Zero-based row index.
    * @param {number} colIndex - Zero-based column index.
    * @param {string} status - The status of the cell ("correct", "incorrect", "notAttempted").
    * @param {number} sheetId - The sheet ID (defaults to 0 for the first sheet).
+   * @param {string} [note] - Note to set on the cell; an empty string clears it. The note is left alone when omitted.
    * @returns {Object} A batch update request object for formatting the cell.
    */
-  createCellFormatRequest(rowIndex, colIndex, status, sheetId = 0) {
+  createCellFormatRequest(rowIndex, colIndex, status, sheetId = 0, note) {
+    // Get the appropriate color format based on status
+    const userEnteredFormat = this.getFormatForStatus(status);
+
+    const cell = note ? { userEnteredFormat, note } : { userEnteredFormat };
+    const fields =
+      note === undefined ? 'userEnteredFormat.backgroundColor' : SHEETS_FEEDBACK_CELL_FIELDS;
+    return this._createCellRequest(rowIndex, colIndex, sheetId, cell, fields);
+  }
+
+  /**
+   * Creates a request that writes the given fields of one cell. Listed fields missing from `cell` are cleared.
+   * @param {number} rowIndex - Zero-based row index.
+   * @param {number} colIndex - Zero-based column index.
+   * @param {number} sheetId - The sheet ID.
+   * @param {Object} cell - Cell data holding the new format and note.
+   * @param {string} [fields] - Field mask of what to write; defaults to the background colour and note.
+   * @returns {Object} A batch update request object.
+   */
+  _createCellRequest(rowIndex, colIndex, sheetId, cell, fields = SHEETS_FEEDBACK_CELL_FIELDS) {
     // Create a grid range directly from indices
     const gridRange = {
       sheetId: sheetId,
@@ -107,17 +434,11 @@ class SheetsFeedback {
       endColumnIndex: colIndex + 1,
     };
 
-    // Get the appropriate color format based on status
-    const userEnteredFormat = this.getFormatForStatus(status);
-
-    // Return the complete request
     return {
       repeatCell: {
         range: gridRange,
-        cell: {
-          userEnteredFormat: userEnteredFormat,
-        },
-        fields: 'userEnteredFormat.backgroundColor',
+        cell,
+        fields,
       },
     };
   }
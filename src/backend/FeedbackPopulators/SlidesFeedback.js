@@ -0,0 +1,270 @@
+/* global ABLogger, ITEM_NOT_FOUND_INDEX, SlidesApp, SlidesParser */
+
+const SLIDES_FEEDBACK_PLACEMENT = Object.freeze({
+  SPEAKER_NOTES: 'speakerNotes',
+  TEXT_BOX: 'textBox',
+});
+
+// Marks everything this populator writes so reruns can find and replace it.
+const SLIDES_FEEDBACK_NOTES_START = '[AssessmentBot feedback]';
+const SLIDES_FEEDBACK_NOTES_END = '[End of AssessmentBot feedback]';
+const SLIDES_FEEDBACK_TEXT_BOX_DESCRIPTION = 'AssessmentBot feedback';
+
+const SLIDES_FEEDBACK_TEXT_BOX_HEIGHT = 90;
+const SLIDES_FEEDBACK_TEXT_BOX_GAP = 6;
+const SLIDES_FEEDBACK_FONT_SIZE = 9;
+
+/**
+ * Slides Feedback Class
+ * Writes assessment scores and reasoning into student Slides decks, either in the speaker notes
+ * of each task's slide or as a text box beneath the tagged task element.
+ *
+ * Everything it writes is marked, so applying feedback again replaces the previous feedback
+ * rather than adding to it, and removing feedback leaves the rest of the deck untouched.
+ * @class SlidesFeedback
+ */
+class SlidesFeedback {
+  /**
+   * Creates an instance of SlidesFeedback.
+   * @param {Array<StudentSubmission>} submissions - Submissions to write feedback for.
+   * @param {AssignmentDefinition} assignmentDefinition - Full definition supplying task titles and criteria.
+   * @param {Object} [options] - Populator options.
+   * @param {string} [options.placement='speakerNotes'] - `'speakerNotes'` or `'textBox'`.
+   */
+  constructor(submissions, assignmentDefinition, { placement = 'speakerNotes' } = {}) {
+    if (!Object.values(SLIDES_FEEDBACK_PLACEMENT).includes(placement)) {
+      throw new RangeError(`Unknown Slides feedback placement: ${placement}`);
+    }
+    this.submissions = submissions || [];
+    this.assignmentDefinition = assignmentDefinition;
+    this.placement = placement;
+    this.parser = new SlidesParser();
+  }
+
+  /**
+   * Replaces any previous feedback in each student's deck with feedback for their assessed items.
+   * A deck that cannot be updated is logged and counted, and the others are still processed.
+   * @returns {{documentsUpdated: number, documentsFailed: number, itemsWritten: number}} Counts of what changed.
+   */
+  applyFeedback() {
+    return this._forEachDocument((presentation, submission) => {
+      this._removeFromPresentation(presentation);
+      return this._writeFeedback(presentation, submission);
+    });
+  }
+
+  /**
+   * Removes feedback previously written by this populator from each student's deck.
+   * @returns {{documentsUpdated: number, documentsFailed: number, itemsWritten: number}} Counts of what changed;
+   *   `itemsWritten` is always 0.
+   */
+  removeFeedback() {
+    return this._forEachDocument((presentation) => {
+      this._removeFromPresentation(presentation);
+      return 0;
+    });
+  }
+
+  /**
+   * Opens each submission's deck, runs the action and saves the deck.
+   * @param {function(GoogleAppsScript.Slides.Presentation, StudentSubmission): number} action -
+   *   Updates the deck and returns the number of items written.
+   * @returns {{documentsUpdated: number, documentsFailed: number, itemsWritten: number}} Counts of what changed.
+   */
+  _forEachDocument(action) {
+    const summary = { documentsUpdated: 0, documentsFailed: 0, itemsWritten: 0 };
+    for (const submission of this.submissions) {
+      if (!submission?.documentId) {
+        ABLogger.getInstance().warn(
+          `Missing document ID for student: ${submission?.studentId || 'Unknown'}`
+        );
+        continue;
+      }
+      try {
+        const presentation = SlidesApp.openById(submission.documentId);
+        summary.itemsWritten += action(presentation, submission);
+        presentation.saveAndClose();
+        summary.documentsUpdated += 1;
+      } catch (error) {
+        ABLogger.getInstance().warn('Failed to update Slides feedback', {
+          studentId: submission.studentId,
+          documentId: submission.documentId,
+          err: error,
+        });
+        summary.documentsFailed += 1;
+      }
+    }
+    return summary;
+  }
+
+  /**
+   * Writes feedback for every assessed item in a submission.
+   * @param {GoogleAppsScript.Slides.Presentation} presentation - The student's deck.
+   * @param {StudentSubmission} submission - The student's submission.
+   * @returns {number} The number of items written.
+   */
+  _writeFeedback(presentation, submission) {
+    const notesBySlide = new Map();
+    let itemsWritten = 0;
+
+    for (const [taskId, task] of this._getTasksInOrder()) {
+      const item = submission.getItem(taskId);
+      const text = this.buildFeedbackText(item);
+      const slide = text ? this._findSlide(presentation, item) : null;
+      if (!slide) continue;
+
+      if (this.placement === SLIDES_FEEDBACK_PLACEMENT.TEXT_BOX) {
+        if (!this._insertTextBox(presentation, slide, { taskId, task }, text)) continue;
+      } else {
+        const sections = notesBySlide.get(slide) ?? [];
+        sections.push(`${task.taskTitle}\n${text}`);
+        notesBySlide.set(slide, sections);
+      }
+      itemsWritten += 1;
+    }
+
+    for (const [slide, sections] of notesBySlide) {
+      this._appendSpeakerNotes(slide, sections.join('\n\n'));
+    }
+    return itemsWritten;
+  }
+
+  /**
+   * Builds the feedback for one item: a line per assessed criterion with its score and reasoning.
+   * Teacher overrides take the place of the assessor's result.
+   * @param {StudentSubmissionItem|null} item - The submission item.
+   * @returns {string|null} The feedback text, or null when the item has not been assessed.
+   */
+  buildFeedbackText(item) {
+    if (!item) return null;
+    const lines = [];
+    for (const { key, label, maxScore } of this.assignmentDefinition.criteria) {
+      const assessment = item.getEffectiveAssessment(key);
+      if (!assessment) continue;
+      const score =
+        typeof assessment.score === 'number' ? `${assessment.score}/${maxScore}` : 'Not attempted';
+      lines.push(
+        assessment.reasoning ? `${label}: ${score}. ${assessment.reasoning}` : `${label}: ${score}.`
+      );
+    }
+    return lines.length > 0 ? lines.join('\n') : null;
+  }
+
+  /**
+   * Lists the definition's tasks in task order.
+   * @returns {Array<[string, TaskDefinition]>} Task id and definition pairs.
+   */
+  _getTasksInOrder() {
+    return Object.entries(this.assignmentDefinition.tasks || {}).toSorted(
+      ([, left], [, right]) => (left.index ?? 0) - (right.index ?? 0)
+    );
+  }
+
+  /**
+   * Finds the slide an item's response was extracted from.
+   * @param {GoogleAppsScript.Slides.Presentation} presentation - The student's deck.
+   * @param {StudentSubmissionItem} item - The submission item.
+   * @returns {GoogleAppsScript.Slides.Slide|null} The slide, or null when it no longer exists.
+   */
+  _findSlide(presentation, item) {
+    const pageId = item.artifact?.pageId;
+    const slide = pageId ? presentation.getSlideById(pageId) : null;
+    if (!slide) {
+      ABLogger.getInstance().warn(
+        `Skipping Slides feedback for task ${item.taskId}: its slide was not found.`
+      );
+    }
+    return slide;
+  }
+
+  /**
+   * Inserts a feedback text box beneath the task's tagged element, kept on the slide.
+   * @param {GoogleAppsScript.Slides.Presentation} presentation - The student's deck.
+   * @param {GoogleAppsScript.Slides.Slide} slide - The task's slide.
+   * @param {{taskId: string, task: TaskDefinition}} taskEntry - The task's id and definition.
+   * @param {string} text - The feedback text.
+   * @returns {boolean} Whether the text box was inserted.
+   */
+  _insertTextBox(presentation, slide, { taskId, task }, text) {
+    const taskElement = slide.getPageElements().find((pageElement) => {
+      const { tag, tagText } = this.parser.parseDescriptionTag(pageElement.getDescription());
+      return tag === '#' && (tagText === task.taskTitle || tagText === taskId);
+    });
+    if (!taskElement) {
+      ABLogger.getInstance().warn(
+        `Skipping Slides feedback for task "${task.taskTitle}": its tagged element was not found.`
+      );
+      return false;
+    }
+
+    const top = Math.min(
+      taskElement.getTop() + taskElement.getHeight() + SLIDES_FEEDBACK_TEXT_BOX_GAP,
+      presentation.getPageHeight() - SLIDES_FEEDBACK_TEXT_BOX_HEIGHT
+    );
+    const textBox = slide.insertTextBox(
+      text,
+      taskElement.getLeft(),
+      Math.max(0, top),
+      taskElement.getWidth(),
+      SLIDES_FEEDBACK_TEXT_BOX_HEIGHT
+    );
+    textBox.setDescription(SLIDES_FEEDBACK_TEXT_BOX_DESCRIPTION);
+    textBox.getText().getTextStyle().setFontSize(SLIDES_FEEDBACK_FONT_SIZE);
+    return true;
+  }
+
+  /**
+   * Appends a marked feedback block to a slide's speaker notes.
+   * @param {GoogleAppsScript.Slides.Slide} slide - The task's slide.
+   * @param {string} text - The feedback for every task on the slide.
+   */
+  _appendSpeakerNotes(slide, text) {
+    const notes = slide.getNotesPage().getSpeakerNotesShape().getText();
+    const existing = notes.asString().trimEnd();
+    const block = `${SLIDES_FEEDBACK_NOTES_START}\n${text}\n${SLIDES_FEEDBACK_NOTES_END}`;
+    notes.setText(existing ? `${existing}\n\n${block}` : block);
+  }
+
+  /**
+   * Removes marked text boxes and speaker-notes blocks from every slide of a deck.
+   * @param {GoogleAppsScript.Slides.Presentation} presentation - The student's deck.
+   */
+  _removeFromPresentation(presentation) {
+    for (const slide of presentation.getSlides()) {
+      for (const pageElement of slide.getPageElements()) {
+        if (pageElement.getDescription() === SLIDES_FEEDBACK_TEXT_BOX_DESCRIPTION) {
+          pageElement.remove();
+        }
+      }
+
+      const notes = slide.getNotesPage().getSpeakerNotesShape().getText();
+      const current = notes.asString();
+      const stripped = SlidesFeedback.stripNotesFeedback(current);
+      if (stripped !== current) notes.setText(stripped);
+    }
+  }
+
+  /**
+   * Removes every marked feedback block from speaker-notes text.
+   * An unterminated block is removed to the end of the notes.
+   * @param {string} notesText - The speaker notes.
+   * @returns {string} The notes without feedback blocks, trailing whitespace trimmed.
+   */
+  static stripNotesFeedback(notesText) {
+    let remaining = notesText;
+    let start = remaining.indexOf(SLIDES_FEEDBACK_NOTES_START);
+    while (start !== ITEM_NOT_FOUND_INDEX) {
+      const end = remaining.indexOf(SLIDES_FEEDBACK_NOTES_END, start);
+      const after =
+        end === ITEM_NOT_FOUND_INDEX ? '' : remaining.slice(end + SLIDES_FEEDBACK_NOTES_END.length);
+      const before = remaining.slice(0, start).trimEnd();
+      remaining = before ? before + after : after.trimStart();
+      start = remaining.indexOf(SLIDES_FEEDBACK_NOTES_START);
+    }
+    return remaining === notesText ? notesText : remaining.trimEnd();
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SlidesFeedback;
+}
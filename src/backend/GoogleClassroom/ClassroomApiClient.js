@@ -2,7 +2,8 @@
 
 /**
  * Handles operations related to Google Classroom entities.
- * This object is responsible solely for read-only interactions with the Google Classroom API.
+ * This object is responsible for interactions with the Google Classroom API. Apart from
+ * writing draft grades onto student submissions, every method is read-only.
  */
 const ClassroomApiClient = {
   /**
@@ -185,6 +186,89 @@ const ClassroomApiClient = {
     }
   },
 
+  /**
+   * Fetch the maximum points a piece of coursework is graded out of.
+   * @param {string} courseId - The ID of the course.
+   * @param {string} courseWorkId - The ID of the coursework.
+   * @returns {number|null} The coursework's max points, or null when it is ungraded.
+   */
+  fetchCourseWorkMaxPoints(courseId, courseWorkId) {
+    try {
+      const courseWork = Classroom.Courses.CourseWork.get(courseId, courseWorkId);
+      return courseWork?.maxPoints ?? null;
+    } catch (error) {
+      ABLogger.getInstance().error('Failed to fetch coursework max points.', {
+        courseId,
+        courseWorkId,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Fetch all student submissions for a piece of coursework.
+   * Paginates through all pages.
+   * @param {string} courseId - The ID of the course.
+   * @param {string} courseWorkId - The ID of the coursework.
+   * @returns {Array<{id: string, userId: string, state: string|null, draftGrade: number|null}>} Submission summaries.
+   */
+  fetchStudentSubmissions(courseId, courseWorkId) {
+    try {
+      const submissions = [];
+      let pageToken;
+
+      do {
+        const parameters = pageToken ? { pageToken } : {};
+        const response = Classroom.Courses.CourseWork.StudentSubmissions.list(
+          courseId,
+          courseWorkId,
+          parameters
+        );
+
+        (response.studentSubmissions || []).forEach((submission) => {
+          submissions.push({
+            id: submission.id,
+            userId: submission.userId,
+            state: submission.state || null,
+            draftGrade: submission.draftGrade ?? null,
+          });
+        });
+
+        pageToken = response.nextPageToken;
+      } while (pageToken);
+
+      return submissions;
+    } catch (error) {
+      ABLogger.getInstance().error('Failed to fetch student submissions.', {
+        courseId,
+        courseWorkId,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Sets the draft grade on a student submission. Classroom only accepts this for coursework
+   * created by the same Google Cloud project as the script.
+   * @param {string} courseId - The ID of the course.
+   * @param {string} courseWorkId - The ID of the coursework.
+   * @param {string} submissionId - The ID of the student submission.
+   * @param {number} draftGrade - The draft grade, in the coursework's points.
+   * @returns {{id: string, draftGrade: number|null}} The updated submission's id and draft grade.
+   */
+  patchDraftGrade(courseId, courseWorkId, submissionId, draftGrade) {
+    const updated = Classroom.Courses.CourseWork.StudentSubmissions.patch(
+      { draftGrade },
+      courseId,
+      courseWorkId,
+      submissionId,
+      { updateMask: 'draftGrade' }
+    );
+    return { id: updated.id, draftGrade: updated.draftGrade ?? null };
+  },
+
   /**
    * Fetch teachers for a given course.
    * Maps Classroom API teacher resources to `Teacher` model instances.
@@ -1,5 +1,16 @@
 // Assessment.gs
 
+/**
+ * Criteria used when an assignment definition does not define its own.
+ * Weightings match the analyser's long-standing completeness/accuracy/SPaG split.
+ */
+const DEFAULT_ASSESSMENT_CRITERIA = Object.freeze([
+  Object.freeze({ key: 'completeness', label: 'Completeness', maxScore: 5, weighting: 0.4 }),
+  Object.freeze({ key: 'accuracy', label: 'Accuracy', maxScore: 5, weighting: 0.4 }),
+  Object.freeze({ key: 'spag', label: 'SPaG', maxScore: 5, weighting: 0.2 }),
+]);
+const CRITERION_KEY_PATTERN = /^[a-z][\dA-Za-z]*$/u;
+
 /**
  * Assessment Class
  *
@@ -8,11 +19,11 @@
 class Assessment {
   /**
    * Constructs an Assessment instance.
-   * @param {number} score - Score between 0 and 5.
+   * @param {number|string} score - Score between 0 and the criterion's max score, or 'N' when not attempted.
    * @param {string} reasoning - Reasoning provided by the LLM.
    */
   constructor(score, reasoning) {
-    this.score = score; // integer between 0 and 5
+    this.score = score; // integer between 0 and the criterion's max score
     this.reasoning = reasoning; // string explanation
   }
 
@@ -36,8 +47,96 @@ class Assessment {
     const { score, reasoning } = json;
     return new Assessment(score, reasoning);
   }
+
+  /**
+   * Returns fresh copies of the default criteria, safe for callers to mutate.
+   * @returns {Array<{key: string, label: string, maxScore: number, weighting: number}>} Default criteria.
+   */
+  static getDefaultCriteria() {
+    return DEFAULT_ASSESSMENT_CRITERIA.map((criterion) => ({ ...criterion }));
+  }
+
+  /**
+   * Validates assessment criteria and returns trimmed copies, or the defaults when none are given.
+   * Keys must be camelCase identifiers that stay unique once lower-cased, because the assessor
+   * response is matched to criteria case-insensitively.
+   * @param {Array<{key: string, label: string, maxScore: number, weighting: number}>|null} criteria - Criteria to validate.
+   * @returns {Array<{key: string, label: string, maxScore: number, weighting: number}>} Normalised criteria.
+   * @throws {TypeError} If criteria is not a non-empty array or an entry has a malformed field.
+   * @throws {RangeError} If a key is duplicated, or maxScore/weighting are out of range.
+   */
+  static normaliseCriteria(criteria) {
+    if (criteria === null || criteria === undefined) {
+      return Assessment.getDefaultCriteria();
+    }
+    if (!Array.isArray(criteria) || criteria.length === 0) {
+      throw new TypeError('criteria must be a non-empty array');
+    }
+
+    const seenKeys = new Set();
+    const normalised = criteria.map((criterion, index) => {
+      const { key, label, maxScore, weighting } = criterion ?? {};
+      if (typeof key !== 'string' || !CRITERION_KEY_PATTERN.test(key)) {
+        throw new TypeError(`criteria[${index}].key must be a camelCase identifier`);
+      }
+      if (seenKeys.has(key.toLowerCase())) {
+        throw new RangeError(`criteria[${index}].key duplicates another criterion: ${key}`);
+      }
+      seenKeys.add(key.toLowerCase());
+      if (typeof label !== 'string' || label.trim() === '') {
+        throw new TypeError(`criteria[${index}].label must be a non-empty string`);
+      }
+      if (!Number.isInteger(maxScore) || maxScore < 1) {
+        throw new RangeError(`criteria[${index}].maxScore must be a positive integer`);
+      }
+      if (typeof weighting !== 'number' || !Number.isFinite(weighting) || weighting < 0) {
+        throw new RangeError(`criteria[${index}].weighting must be a non-negative number`);
+      }
+      return { key, label: label.trim(), maxScore, weighting };
+    });
+
+    if (normalised.every((criterion) => criterion.weighting === 0)) {
+      throw new RangeError('criteria must include at least one positive weighting');
+    }
+    return normalised;
+  }
+
+  /**
+   * Checks that raw assessor output for one criterion has a numeric score within
+   * the criterion's range and a string reasoning.
+   * @param {*} details - Raw `{ score, reasoning }` value for the criterion.
+   * @param {{maxScore: number}} criterion - Criterion the details were scored against.
+   * @returns {boolean} True when the details are usable.
+   */
+  static isValidForCriterion(details, criterion) {
+    if (!details || typeof details !== 'object') return false;
+    const { score, reasoning } = details;
+    return (
+      typeof score === 'number' &&
+      score >= 0 &&
+      score <= criterion.maxScore &&
+      typeof reasoning === 'string'
+    );
+  }
+
+  /**
+   * Selects the entries for each criterion from assessor output whose keys have
+   * been lower-cased, restoring each criterion's own key casing. Keys that do
+   * not belong to a criterion are dropped.
+   * @param {Object} data - Assessor output keyed by lower-cased criterion key.
+   * @param {Array<{key: string}>} criteria - Criteria the output was requested for.
+   * @returns {Object} Entries keyed by criterion key.
+   */
+  static selectCriteriaData(data, criteria) {
+    const entries = new Map(Object.entries(data));
+    return Object.fromEntries(
+      criteria
+        .map(({ key }) => [key, entries.get(key) ?? entries.get(key.toLowerCase())])
+        .filter(([, details]) => details !== undefined)
+    );
+  }
 }
 
 if (typeof module !== 'undefined') {
-  module.exports = { Assessment };
+  module.exports = { Assessment, DEFAULT_ASSESSMENT_CRITERIA };
 }
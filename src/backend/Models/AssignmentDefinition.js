@@ -1,3 +1,4 @@
+/* global NotAttemptedDetectionSettings */
 // AssignmentDefinition.js
 // Represents a reusable assignment/lesson definition persisted in JsonDbApp.
 
@@ -18,7 +19,7 @@ class AssignmentDefinition {
    * @param {string|null} [params.yearGroupLabel=null] - Resolved year-group display label when available.
    * @param {string[]} [params.alternateTitles=[]] - Known title variants.
    * @param {string[]} [params.alternateTopics=[]] - Known topic variants.
-   * @param {string} params.documentType - Document type ('SLIDES' | 'SHEETS').
+   * @param {string} params.documentType - Document type ('SLIDES' | 'SHEETS' | 'DOCS').
    * @param {string} params.referenceDocumentId - Reference document ID.
    * @param {string} params.templateDocumentId - Template document ID.
    * @param {string|null} [params.referenceLastModified=null] - ISO timestamp snapshot for reference document.
@@ -32,9 +33,18 @@ class AssignmentDefinition {
    * @param {string|null} [params.createdAt=null] - ISO created timestamp; defaults to now when null.
    * @param {string|null} [params.updatedAt=null] - ISO updated timestamp; defaults to now when null.
    * @param {string|null} [params.definitionKey=null] - Stable definition key used for persistence.
+   * @param {Array<{key: string, label: string, maxScore: number, weighting: number}>|null} [params.criteria=null] -
+   *   Assessment criteria for this definition. Defaults to completeness/accuracy/SPaG when null/undefined.
+   *   See {@link Assessment.normaliseCriteria}.
+   * @param {string|null} [params.assessorProfile=null] - Assessor profile name; null for the default profile.
+   * @param {{minChangedCharacters?: number, minChangedCells?: number, maxImageDistance?: number|null}|null}
+   *   [params.notAttemptedDetection=null] - Thresholds for treating a submission as unchanged from the
+   *   template, stored as normalised by {@link NotAttemptedDetectionSettings.normalise}.
    * @throws {TypeError} If params contain deprecated yearGroup property.
    * @throws {TypeError} If yearGroupKey is not a string.
    * @throws {RangeError} If assignmentWeighting is outside range 0-10.
+   * @throws {TypeError|RangeError} If criteria are malformed.
+   * @throws {TypeError|RangeError} If notAttemptedDetection is malformed.
    * @remarks This constructor enforces the refactored year-group handling per SPEC.md v1.9.0 Option B:
    * - The deprecated numeric `yearGroup` field is completely removed; its presence throws a TypeError.
    * - `yearGroupKey` (string) is now the canonical year-group reference and must be provided (controller guarantees non-null).
@@ -60,6 +70,9 @@ class AssignmentDefinition {
     createdAt = null,
     updatedAt = null,
     definitionKey = null,
+    criteria = null,
+    assessorProfile = null,
+    notAttemptedDetection = null,
   } = {}) {
     // Fail-fast: reject deprecated yearGroup property
     if (arguments[0] && 'yearGroup' in arguments[0]) {
@@ -101,6 +114,10 @@ class AssignmentDefinition {
       this.assignmentWeighting = number_;
     }
 
+    this.criteria = Assessment.normaliseCriteria(criteria);
+    this.assessorProfile = assessorProfile ?? null;
+    this.notAttemptedDetection = NotAttemptedDetectionSettings.normalise(notAttemptedDetection);
+
     this.definitionKey = definitionKey;
     this.createdAt = createdAt || new Date().toISOString();
     this.updatedAt = updatedAt || this.createdAt;
@@ -312,6 +329,9 @@ class AssignmentDefinition {
       referenceLastModified: this.referenceLastModified,
       templateLastModified: this.templateLastModified,
       assignmentWeighting: this.assignmentWeighting,
+      criteria: this.criteria,
+      assessorProfile: this.assessorProfile,
+      notAttemptedDetection: this.notAttemptedDetection,
       definitionKey: this.definitionKey,
       tasks,
       createdAt: this.createdAt,
@@ -344,6 +364,9 @@ class AssignmentDefinition {
       referenceDocumentId: this.referenceDocumentId,
       templateDocumentId: this.templateDocumentId,
       assignmentWeighting: this.assignmentWeighting,
+      criteria: this.criteria,
+      assessorProfile: this.assessorProfile,
+      notAttemptedDetection: this.notAttemptedDetection,
       definitionKey: this.definitionKey,
       tasks: this._computePartialTasks(),
       createdAt: this.createdAt,
@@ -424,6 +447,9 @@ class AssignmentDefinition {
       referenceLastModified: json.referenceLastModified ?? null,
       templateLastModified: json.templateLastModified ?? null,
       assignmentWeighting: json.assignmentWeighting,
+      criteria: json.criteria ?? null,
+      assessorProfile: json.assessorProfile ?? null,
+      notAttemptedDetection: json.notAttemptedDetection ?? null,
       tasks: tasksValue,
       createdAt: json.createdAt ?? null,
       updatedAt: json.updatedAt ?? null,
@@ -21,6 +21,9 @@ class StudentSubmissionItem {
     this.artifact = artifact;
     this.assessments = {}; // criterion -> { score, reasoning }
     this.feedback = {}; // type -> feedback JSON or object
+    this.assessedContentHash = null; // artifact contentHash the assessments were made against
+    this.overrides = {}; // criterion -> { score, reasoning, overriddenBy, overriddenAt, contentHash }
+    this.overrideHistory = []; // audit trail of every override, oldest first
     this.id = this._deriveId();
   }
 
@@ -43,6 +46,8 @@ class StudentSubmissionItem {
 
   /**
    * Adds an assessment for a specific criterion.
+   * Records the artifact's current contentHash so a later run can tell whether the
+   * assessment still applies.
    * @param {string} criterion - The criterion identifier
    * @param {Assessment|Object} assessment - The assessment object or JSON
    */
@@ -50,12 +55,14 @@ class StudentSubmissionItem {
     if (!criterion)
       throw new Error('addAssessment requires criterion when recording assessment data');
     if (!assessment) return;
+    this._dropStaleOverrides();
     // Guard against missing Assessment class in pure test environment
     if (typeof Assessment !== 'undefined' && assessment instanceof Assessment) {
       this.assessments[criterion] = assessment.toJSON();
     } else if (typeof assessment === 'object') {
       this.assessments[criterion] = assessment; // assume already JSON shape
     }
+    this.assessedContentHash = this.artifact.contentHash ?? null;
   }
 
   /**
@@ -68,6 +75,75 @@ class StudentSubmissionItem {
     return this.assessments[criterion] || null;
   }
 
+  /**
+   * Records a teacher-supplied score for a criterion alongside the unchanged original
+   * assessment, appending it to the audit trail with the score it replaced.
+   * @param {string} criterion - The criterion identifier
+   * @param {Object} override - The teacher's assessment
+   * @param {number|string} override.score - Score between 0 and the criterion's `maxScore`, or 'N' when not applicable
+   * @param {string} override.reasoning - The teacher's reasoning for the change
+   * @param {string|null} [override.overriddenBy=null] - Email of the teacher making the change
+   * @returns {Object} The stored override
+   */
+  overrideAssessment(criterion, { score, reasoning, overriddenBy = null }) {
+    if (!criterion) throw new Error('overrideAssessment requires a criterion');
+    const previousScore = this.getEffectiveAssessment(criterion)?.score ?? null;
+    const override = {
+      score,
+      reasoning,
+      overriddenBy,
+      overriddenAt: new Date().toISOString(),
+      contentHash: this.artifact.contentHash ?? null,
+    };
+    this.overrides[criterion] = override;
+    this.overrideHistory.push({ criterion, previousScore, ...override });
+    return override;
+  }
+
+  /**
+   * Removes overrides made against earlier content: a teacher's score judged the work as
+   * it was then. The audit trail keeps the record.
+   * @private
+   */
+  _dropStaleOverrides() {
+    const contentHash = this.artifact.contentHash ?? null;
+    this.overrides = Object.fromEntries(
+      Object.entries(this.overrides).filter(([, override]) => override.contentHash === contentHash)
+    );
+  }
+
+  /**
+   * Gets the teacher override for a criterion, if any.
+   * @param {string} criterion - The criterion identifier
+   * @returns {Object|null} The override, or null when the criterion has not been overridden
+   */
+  getOverride(criterion) {
+    return this.overrides[criterion] || null;
+  }
+
+  /**
+   * Gets the assessment that should count for a criterion: the teacher override when
+   * present, otherwise the original assessment.
+   * @param {string} criterion - The criterion identifier
+   * @returns {Object|null} The effective assessment, or null if neither exists
+   */
+  getEffectiveAssessment(criterion) {
+    return this.getOverride(criterion) ?? this.getAssessment(criterion);
+  }
+
+  /**
+   * Reports whether this item has been assessed against its current content.
+   * Assessments made before the artifact's contentHash changed (for example when a
+   * student edits their work after a previous run) no longer count.
+   * @returns {boolean} True when assessment data has been recorded for the current content
+   */
+  isAssessed() {
+    return (
+      Object.keys(this.assessments || {}).length > 0 &&
+      this.assessedContentHash === (this.artifact.contentHash ?? null)
+    );
+  }
+
   /**
    * Adds feedback of a specific type.
    * @param {string} type - The feedback type identifier
@@ -110,7 +186,9 @@ class StudentSubmissionItem {
       artifact: this.artifact.toJSON(),
       assessments: this.assessments,
       feedback: this.feedback,
-      // lastAssessedHash intentionally removed; submission.updatedAt is authoritative
+      assessedContentHash: this.assessedContentHash,
+      overrides: this.overrides,
+      overrideHistory: this.overrideHistory,
     };
   }
 
@@ -122,6 +200,8 @@ class StudentSubmissionItem {
     const json = this.toJSON();
     json.artifact = this.artifact.toPartialJSON();
     json.assessments = StudentSubmissionItem._stripAssessmentReasoning(json.assessments);
+    json.overrides = StudentSubmissionItem._stripAssessmentReasoning(json.overrides);
+    delete json.overrideHistory;
     return json;
   }
 
@@ -168,7 +248,10 @@ class StudentSubmissionItem {
     if (json.id) item.id = json.id;
     item.assessments = json.assessments || {};
     item.feedback = json.feedback || {};
-    // previous lastAssessedHash is ignored in new model
+    // Items persisted before assessedContentHash existed are reassessed on the next run.
+    item.assessedContentHash = json.assessedContentHash ?? null;
+    item.overrides = json.overrides || {};
+    item.overrideHistory = json.overrideHistory || [];
     return item;
   }
 }
@@ -193,6 +276,7 @@ class StudentSubmission {
     this.documentId = documentId;
     this.studentName = studentName; //Temporary addition for V0.7.2 - will be removed later.
     this.items = {}; // taskId -> StudentSubmissionItem
+    this.extractedAt = null; // set once work is extracted in the current run
     const now = new Date().toISOString();
     this.createdAt = now;
     this.updatedAt = now;
@@ -219,6 +303,40 @@ class StudentSubmission {
     return this.items[taskId];
   }
 
+  /**
+   * Reports whether work has been extracted from this submission's document in the
+   * current run.
+   * @returns {boolean} True once markExtracted has been called since the last reset
+   */
+  isExtracted() {
+    return this.extractedAt !== null;
+  }
+
+  /**
+   * Records that work has been extracted from this submission's document.
+   */
+  markExtracted() {
+    this.extractedAt = new Date().toISOString();
+    this.touchUpdated();
+  }
+
+  /**
+   * Marks the submission for extraction again on a repeat run. Existing items, with
+   * their content hashes and assessments, are kept so unchanged work is not reassessed.
+   */
+  resetExtraction() {
+    this.extractedAt = null;
+  }
+
+  /**
+   * Reports whether every extracted item has been assessed.
+   * A submission with no extracted items has nothing left to assess.
+   * @returns {boolean} True when no item is awaiting assessment
+   */
+  isAssessed() {
+    return Object.values(this.items).every((item) => item.isAssessed());
+  }
+
   /**
    * Upserts submission artifacts from primitive extraction results (student side only).
    * Creates the submission artifact via ArtifactFactory when none exists, or merges content/metadata
@@ -333,6 +451,7 @@ class StudentSubmission {
       assignmentId: this.assignmentId,
       documentId: this.documentId,
       items: Object.fromEntries(Object.entries(this.items).map(([k, v]) => [k, v.toJSON()])),
+      extractedAt: this.extractedAt,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
     };
@@ -365,6 +484,7 @@ class StudentSubmission {
     );
     sub.createdAt = json.createdAt || new Date().toISOString();
     sub.updatedAt = json.updatedAt || sub.createdAt;
+    sub.extractedAt = json.extractedAt ?? null;
     if (json.items) {
       for (const [taskId, itemJson] of Object.entries(json.items)) {
         const item = StudentSubmissionItem.fromJSON(itemJson);
@@ -5,6 +5,7 @@
 // Artifacts are defined in `Artifacts.js` and loaded in the same runtime. We only reference by name here.
 
 const TASK_DEFINITION_HASH_LENGTH = 12;
+const MIN_FORMULA_EQUIVALENCE_SET_SIZE = 2;
 
 /**
  * Represents a task definition within an assignment.
@@ -20,10 +21,21 @@ class TaskDefinition {
    * @param {Object} [params.taskMetadata] - Optional task metadata
    * @param {string} [params.id] - Stable ID (if omitted, derived from title+pageId)
    * @param {number} [params.index] - Positional index within source document
+   * @param {Object|null} [params.rubric] - Optional mark scheme sent to the assessor.
+   *   See {@link TaskDefinition.normaliseRubric}.
    * @param {number|null} [taskWeighting] - Optional task weighting (not yet implemented)
+   * @throws {TypeError|RangeError} If the rubric is malformed.
    */
   constructor(
-    { taskTitle, pageId = null, taskNotes = null, taskMetadata = {}, id = null, index = null } = {},
+    {
+      taskTitle,
+      pageId = null,
+      taskNotes = null,
+      taskMetadata = {},
+      id = null,
+      index = null,
+      rubric = null,
+    } = {},
     taskWeighting = 1
   ) {
     if (!taskTitle) throw new Error('TaskDefinition requires taskTitle');
@@ -31,6 +43,7 @@ class TaskDefinition {
     this.pageId = pageId;
     this.taskNotes = taskNotes;
     this.taskMetadata = taskMetadata || {};
+    this.rubric = TaskDefinition.normaliseRubric(rubric);
     this.index = index; // set by parser / assignment population stage
     this.taskWeighting = taskWeighting;
 
@@ -122,6 +135,127 @@ class TaskDefinition {
     return this.artifacts.template.length > 0 ? this.artifacts.template[0] : null;
   }
 
+  /**
+   * Gets the reference hash used to key cached assessments for this task.
+   * Without a rubric this is the primary reference's content hash; with one, the rubric is
+   * folded in so that editing the mark scheme stops earlier assessments being reused.
+   * @returns {string|null} The hash, or null when there is no hashed reference artifact.
+   */
+  getAssessmentReferenceHash() {
+    const referenceHash = this.getPrimaryReference()?.contentHash ?? null;
+    if (!referenceHash || !this.rubric) return referenceHash;
+    return Utils.generateHash(`${referenceHash}::${JSON.stringify(this.rubric)}`);
+  }
+
+  /**
+   * Gets the part of the rubric sent to the LLM assessor. Formula equivalence sets are
+   * applied by SheetsAssessor and are not part of the mark scheme.
+   * @returns {{levels: Array<Object>, acceptableAnswers: string[]}|null} Mark scheme, or null without a rubric.
+   */
+  getAssessorRubric() {
+    if (!this.rubric) return null;
+    const { levels, acceptableAnswers } = this.rubric;
+    return { levels, acceptableAnswers };
+  }
+
+  /**
+   * Validates a rubric and returns a trimmed copy, or null when there is nothing to send.
+   * A rubric holds level descriptors (what a given score on a criterion looks like),
+   * acceptable answers (alternatives the assessor should credit besides the reference) and,
+   * for spreadsheet tasks, formula equivalence sets (formulae SheetsAssessor treats as
+   * interchangeable). Criterion keys are checked against the definition's criteria by the controller.
+   * @param {{levels?: Array<{criterion: string, score: number, descriptor: string}>, acceptableAnswers?: string[], formulaEquivalenceSets?: string[][]}|null} rubric - Rubric to validate.
+   * @returns {{levels: Array<{criterion: string, score: number, descriptor: string}>, acceptableAnswers: string[], formulaEquivalenceSets: string[][]}|null} Normalised rubric.
+   * @throws {TypeError} If the rubric or an entry has a malformed field.
+   * @throws {RangeError} If a score is negative or repeated for the same criterion, or an
+   *   equivalence set lists fewer than two formulae.
+   */
+  static normaliseRubric(rubric) {
+    if (rubric === null || rubric === undefined) return null;
+    if (typeof rubric !== 'object' || Array.isArray(rubric)) {
+      throw new TypeError('rubric must be an object');
+    }
+    const { levels = [], acceptableAnswers = [], formulaEquivalenceSets = [] } = rubric;
+    if (!Array.isArray(levels)) throw new TypeError('rubric.levels must be an array');
+    if (!Array.isArray(acceptableAnswers)) {
+      throw new TypeError('rubric.acceptableAnswers must be an array');
+    }
+
+    const seenLevels = new Set();
+    const normalisedLevels = levels.map((level, index) => {
+      const { criterion, score, descriptor } = level ?? {};
+      if (typeof criterion !== 'string' || criterion.trim() === '') {
+        throw new TypeError(`rubric.levels[${index}].criterion must be a non-empty string`);
+      }
+      if (!Number.isInteger(score) || score < 0) {
+        throw new RangeError(`rubric.levels[${index}].score must be a non-negative integer`);
+      }
+      if (typeof descriptor !== 'string' || descriptor.trim() === '') {
+        throw new TypeError(`rubric.levels[${index}].descriptor must be a non-empty string`);
+      }
+      const levelKey = `${criterion.trim()}::${score}`;
+      if (seenLevels.has(levelKey)) {
+        throw new RangeError(`rubric.levels[${index}] repeats score ${score} for ${criterion}`);
+      }
+      seenLevels.add(levelKey);
+      return { criterion: criterion.trim(), score, descriptor: descriptor.trim() };
+    });
+
+    const normalisedAnswers = acceptableAnswers.map((answer, index) => {
+      if (typeof answer !== 'string' || answer.trim() === '') {
+        throw new TypeError(`rubric.acceptableAnswers[${index}] must be a non-empty string`);
+      }
+      return answer.trim();
+    });
+
+    const normalisedSets = TaskDefinition.normaliseFormulaEquivalenceSets(formulaEquivalenceSets);
+
+    if (
+      normalisedLevels.length === 0 &&
+      normalisedAnswers.length === 0 &&
+      normalisedSets.length === 0
+    ) {
+      return null;
+    }
+    return {
+      levels: normalisedLevels,
+      acceptableAnswers: normalisedAnswers,
+      formulaEquivalenceSets: normalisedSets,
+    };
+  }
+
+  /**
+   * Validates a rubric's formula equivalence sets and returns trimmed copies.
+   * @param {string[][]} formulaEquivalenceSets - Sets of formulae to treat as interchangeable.
+   * @returns {string[][]} Normalised sets.
+   * @throws {TypeError} If the sets or a formula are malformed.
+   * @throws {RangeError} If a set lists fewer than two formulae.
+   */
+  static normaliseFormulaEquivalenceSets(formulaEquivalenceSets) {
+    if (!Array.isArray(formulaEquivalenceSets)) {
+      throw new TypeError('rubric.formulaEquivalenceSets must be an array');
+    }
+
+    return formulaEquivalenceSets.map((formulae, setIndex) => {
+      if (!Array.isArray(formulae)) {
+        throw new TypeError(`rubric.formulaEquivalenceSets[${setIndex}] must be an array`);
+      }
+      if (formulae.length < MIN_FORMULA_EQUIVALENCE_SET_SIZE) {
+        throw new RangeError(
+          `rubric.formulaEquivalenceSets[${setIndex}] must list at least two formulae`
+        );
+      }
+      return formulae.map((formula, index) => {
+        if (typeof formula !== 'string' || formula.trim() === '') {
+          throw new TypeError(
+            `rubric.formulaEquivalenceSets[${setIndex}][${index}] must be a non-empty string`
+          );
+        }
+        return formula.trim();
+      });
+    });
+  }
+
   /**
    * Validates that this task definition has required artefacts.
    * @returns {Object} Object with 'ok' boolean and 'errors' array
@@ -148,6 +282,7 @@ class TaskDefinition {
       taskMetadata: this.taskMetadata,
       taskWeighting: this.taskWeighting,
       index: this.index,
+      rubric: this.rubric,
       artifacts: {
         reference: this.artifacts.reference.map((a) => a.toJSON()),
         template: this.artifacts.template.map((a) => a.toJSON()),
@@ -182,6 +317,7 @@ class TaskDefinition {
       taskMetadata: json.taskMetadata,
       id: json.id,
       index: json.index,
+      rubric: json.rubric ?? null,
     });
     // If taskWeighting was stored, set it on the instance (constructor accepts it as second arg)
     if (json.taskWeighting != null) td.taskWeighting = json.taskWeighting;
@@ -0,0 +1,373 @@
+/**
+ * AssessorCapabilities Class
+ *
+ * Performs the handshake with the assessor backend's `/capabilities` endpoint and shapes
+ * assessor requests to what the backend says it supports: the API version in the request
+ * URL, the task types it can assess, whether it scores custom criteria and how large a
+ * request body may be. The descriptor is cached in the script cache per backend URL.
+ *
+ * Each instance negotiates with one assessor profile: a named backend URL, API key, batch size
+ * and set of enabled task types from `ConfigurationManager.getAssessorProfile`.
+ *
+ * Backends that predate the endpoint answer 404 and are treated as the original `/v1`
+ * assessor: every task type, custom criteria and no size limit.
+ */
+
+/* global AbortRequestError, ABLogger, Assessment, CacheService, ConfigurationManager, ProgressTracker, UrlFetchApp, Utilities */
+
+// Versions of the assessor API this client can speak, most preferred first.
+const CLIENT_ASSESSOR_API_VERSIONS = ['v1'];
+const ASSESSOR_TASK_TYPES = ['TEXT', 'TABLE', 'IMAGE'];
+const ASSESSOR_CAPABILITIES_PATH = '/capabilities';
+const ASSESSOR_CAPABILITIES_CACHE_KEY_PREFIX = 'assessorCapabilities:';
+const ASSESSOR_CAPABILITIES_CACHE_TTL_SECONDS = 3600;
+const ASSESSOR_CAPABILITIES_STATUS = {
+  OK: 200,
+  UNAUTHORISED: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+};
+
+/**
+ * Assessor capability negotiation.
+ */
+class AssessorCapabilities {
+  /**
+   * Initialises the negotiation against an assessor profile. Nothing is fetched until the
+   * descriptor is first needed.
+   * @param {Object} profile - Assessor profile from `ConfigurationManager.getAssessorProfile`.
+   * @param {ConfigurationManager} [configManager] - Source of the failover profile.
+   */
+  constructor(profile, configManager = ConfigurationManager.getInstance()) {
+    this.profile = profile;
+    this.configManager = configManager;
+    this.cache = CacheService.getScriptCache();
+    this.logger = ABLogger.getInstance();
+    this.descriptor = null;
+  }
+
+  /**
+   * Returns the capability descriptor for the configured backend, from the script cache
+   * when possible. When the backend cannot be reached or answers with an unreadable
+   * descriptor, the legacy descriptor is used for this run and nothing is cached, so the
+   * assessor requests themselves report the underlying problem.
+   * @returns {Object} The capability descriptor.
+   * @throws {AbortRequestError} When the backend rejects the API key.
+   * @throws {Error} When the backend shares no API version with this client.
+   */
+  get() {
+    if (this.descriptor) return this.descriptor;
+    const cached = this._readCache();
+    if (cached) {
+      this.descriptor = cached;
+      return cached;
+    }
+    try {
+      return this.refresh();
+    } catch (error) {
+      if (error instanceof AbortRequestError || error.incompatible) throw error;
+      this.logger.warn('Assessor capabilities unavailable; assuming the v1 assessor.', {
+        message: error.message,
+      });
+      this.descriptor = AssessorCapabilities.legacyDescriptor();
+      return this.descriptor;
+    }
+  }
+
+  /**
+   * Fetches the capability descriptor from the backend and replaces the cached copy.
+   * @returns {Object} The capability descriptor.
+   * @throws {AbortRequestError} When the backend rejects the API key.
+   * @throws {Error} When the request fails, the descriptor is unreadable, or the backend
+   *   shares no API version with this client.
+   */
+  refresh() {
+    const url = this._baseUrl() + ASSESSOR_CAPABILITIES_PATH;
+    const response = UrlFetchApp.fetch(url, {
+      method: 'get',
+      headers: { Authorization: `Bearer ${this.profile.apiKey}` },
+      muteHttpExceptions: true,
+    });
+    const code = response.getResponseCode();
+    if (
+      code === ASSESSOR_CAPABILITIES_STATUS.UNAUTHORISED ||
+      code === ASSESSOR_CAPABILITIES_STATUS.FORBIDDEN
+    ) {
+      throw new AbortRequestError(code, url, response.getContentText());
+    }
+
+    let descriptor;
+    if (code === ASSESSOR_CAPABILITIES_STATUS.NOT_FOUND) {
+      descriptor = AssessorCapabilities.legacyDescriptor();
+    } else if (code === ASSESSOR_CAPABILITIES_STATUS.OK) {
+      descriptor = AssessorCapabilities.normalise(AssessorCapabilities._parse(response));
+    } else {
+      throw new Error(`Capabilities request to ${url} failed with status ${code}.`);
+    }
+
+    this.cache.put(
+      this._cacheKey(),
+      JSON.stringify(descriptor),
+      ASSESSOR_CAPABILITIES_CACHE_TTL_SECONDS
+    );
+    this.descriptor = descriptor;
+    return descriptor;
+  }
+
+  /**
+   * Resolves the criteria an assessment is scored and validated against. A backend that
+   * cannot score custom criteria always scores its own defaults.
+   * @param {Object[]|undefined|null} definedCriteria - Criteria from the assignment definition.
+   * @returns {Object[]} The criteria to request and validate.
+   */
+  resolveCriteria(definedCriteria) {
+    const descriptor = this.get();
+    if (descriptor.customCriteria) return definedCriteria ?? Assessment.getDefaultCriteria();
+    if (definedCriteria) {
+      this.logger.warn('Assessor does not support custom criteria; using its default criteria.');
+    }
+    return descriptor.defaultCriteria.map((criterion) => ({ ...criterion }));
+  }
+
+  /**
+   * Builds the request for one assessment, or logs why the backend cannot take it.
+   * @param {string} uid - Identifier used to route the response.
+   * @param {Object} payload - Assessor payload without criteria.
+   * @param {Object[]} criteria - Criteria from `resolveCriteria`.
+   * @returns {Object|null} A request compatible with UrlFetchApp.fetchAll(), or null when skipped.
+   */
+  buildRequest(uid, payload, criteria) {
+    const descriptor = this.get();
+    const progressTracker = ProgressTracker.getInstance();
+    if (!this.profile.taskTypes.includes(payload.taskType)) {
+      progressTracker.logError(
+        `Skipping UID: ${uid}. Assessor profile "${this.profile.name}" does not assess ${payload.taskType} tasks.`
+      );
+      return null;
+    }
+    if (!descriptor.taskTypes.includes(payload.taskType)) {
+      progressTracker.logError(
+        `Skipping UID: ${uid}. The assessor does not support ${payload.taskType} tasks.`
+      );
+      return null;
+    }
+
+    const body = JSON.stringify(
+      descriptor.customCriteria
+        ? {
+            ...payload,
+            criteria: criteria.map(({ key, label, maxScore }) => ({ key, label, maxScore })),
+          }
+        : payload
+    );
+    if (descriptor.maxPayloadBytes !== null) {
+      const size = Utilities.newBlob(body).getBytes().length;
+      if (size > descriptor.maxPayloadBytes) {
+        progressTracker.logError(
+          `Skipping UID: ${uid}. Request body is ${size} bytes; the assessor accepts at most ${descriptor.maxPayloadBytes}.`
+        );
+        return null;
+      }
+    }
+
+    return {
+      uid,
+      url: `${this._baseUrl()}/${descriptor.apiVersion}/assessor`,
+      method: 'post',
+      contentType: 'application/json',
+      payload: body,
+      headers: { Authorization: `Bearer ${this.profile.apiKey}` },
+      muteHttpExceptions: true,
+    };
+  }
+
+  /**
+   * Rebuilds a request made for another profile so it is sent to this one.
+   * @param {Object} request - Request from another profile's `buildRequest`.
+   * @param {Object[]} criteria - Criteria from this profile's `resolveCriteria`.
+   * @returns {Object|null} The request for this profile, or null when it cannot take it.
+   */
+  retarget(request, criteria) {
+    const payload = JSON.parse(request.payload);
+    delete payload.criteria;
+    return this.buildRequest(request.uid, payload, criteria);
+  }
+
+  /**
+   * Returns the negotiation for this profile's failover profile.
+   * @returns {AssessorCapabilities|null} The failover negotiation, or null when there is none.
+   */
+  failover() {
+    if (!this.profile.failoverProfile) return null;
+    const profile = this.configManager.getAssessorProfile(this.profile.failoverProfile);
+    return profile ? new AssessorCapabilities(profile, this.configManager) : null;
+  }
+
+  /**
+   * Creates the negotiation for a named profile. A name that no longer matches a profile,
+   * for example because it was deleted after a definition chose it, uses the default profile.
+   * @param {string|null} [name=null] - Profile name; null for the default profile.
+   * @param {ConfigurationManager} [configManager] - Source of the profiles.
+   * @returns {AssessorCapabilities} The negotiation for the profile.
+   */
+  static forProfile(name = null, configManager = ConfigurationManager.getInstance()) {
+    let profile = configManager.getAssessorProfile(name);
+    if (!profile) {
+      ABLogger.getInstance().warn(
+        `Assessor profile "${name}" not found; using the default profile.`
+      );
+      profile = configManager.getAssessorProfile();
+    }
+    return new AssessorCapabilities(profile, configManager);
+  }
+
+  /**
+   * Describes a backend without a capabilities endpoint: the original `/v1` assessor.
+   * @returns {Object} The legacy capability descriptor.
+   */
+  static legacyDescriptor() {
+    return {
+      apiVersions: ['v1'],
+      apiVersion: 'v1',
+      taskTypes: [...ASSESSOR_TASK_TYPES],
+      customCriteria: true,
+      defaultCriteria: Assessment.getDefaultCriteria(),
+      maxPayloadBytes: null,
+      legacy: true,
+      checkedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Validates a raw `/capabilities` response and negotiates the API version.
+   * @param {Object} raw - Parsed response body.
+   * @returns {Object} The capability descriptor.
+   * @throws {Error} When the response is malformed, or (with `incompatible` set) when the
+   *   backend shares no API version with this client.
+   */
+  static normalise(raw) {
+    const {
+      apiVersions,
+      taskTypes = ASSESSOR_TASK_TYPES,
+      criteria = {},
+      maxPayloadBytes = null,
+    } = raw ?? {};
+    if (!AssessorCapabilities._isStringList(apiVersions) || apiVersions.length === 0) {
+      throw new Error('Assessor capabilities must list at least one API version.');
+    }
+    if (!AssessorCapabilities._isStringList(taskTypes)) {
+      throw new Error('Assessor capabilities taskTypes must be a list of strings.');
+    }
+    const { custom = true, defaults = Assessment.getDefaultCriteria() } = criteria;
+    if (typeof custom !== 'boolean' || !AssessorCapabilities._isCriteriaList(defaults)) {
+      throw new Error(
+        'Assessor capabilities criteria must have a boolean custom flag and default criteria.'
+      );
+    }
+    if (maxPayloadBytes !== null && (!Number.isInteger(maxPayloadBytes) || maxPayloadBytes <= 0)) {
+      throw new Error('Assessor capabilities maxPayloadBytes must be a positive integer.');
+    }
+
+    const apiVersion = CLIENT_ASSESSOR_API_VERSIONS.find((version) =>
+      apiVersions.includes(version)
+    );
+    if (!apiVersion) {
+      const error = new Error(
+        `The assessor supports API versions ${apiVersions.join(', ')}, but this version of Assessment Bot needs ${CLIENT_ASSESSOR_API_VERSIONS.join(' or ')}.`
+      );
+      error.incompatible = true;
+      throw error;
+    }
+
+    return {
+      apiVersions: [...apiVersions],
+      apiVersion,
+      taskTypes: taskTypes.map((type) => type.toUpperCase()),
+      customCriteria: custom,
+      defaultCriteria: defaults.map(({ key, label, maxScore }) => ({
+        key,
+        label: label ?? key,
+        maxScore,
+      })),
+      maxPayloadBytes,
+      legacy: false,
+      checkedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Parses a capabilities response body.
+   * @param {HTTPResponse} response - The successful response.
+   * @returns {Object} The parsed body.
+   * @throws {Error} When the body is not JSON.
+   */
+  static _parse(response) {
+    try {
+      return JSON.parse(response.getContentText());
+    } catch {
+      throw new Error('Assessor capabilities response is not valid JSON.');
+    }
+  }
+
+  /**
+   * Reports whether a value is a list of strings.
+   * @param {*} value - Value to check.
+   * @returns {boolean} True for an array whose entries are all strings.
+   */
+  static _isStringList(value) {
+    return Array.isArray(value) && value.every((entry) => typeof entry === 'string');
+  }
+
+  /**
+   * Reports whether a value is a usable list of default criteria.
+   * @param {*} value - Value to check.
+   * @returns {boolean} True for a non-empty list of `{ key, maxScore }` entries.
+   */
+  static _isCriteriaList(value) {
+    return (
+      Array.isArray(value) &&
+      value.length > 0 &&
+      value.every(
+        (criterion) =>
+          typeof criterion?.key === 'string' &&
+          typeof criterion.maxScore === 'number' &&
+          criterion.maxScore > 0
+      )
+    );
+  }
+
+  /**
+   * Returns the profile's backend URL without a trailing slash.
+   * @returns {string} The backend URL.
+   */
+  _baseUrl() {
+    return String(this.profile.backendUrl ?? '').replace(/\/$/u, '');
+  }
+
+  /**
+   * Returns the script cache key for the profile's backend.
+   * @returns {string} The cache key.
+   */
+  _cacheKey() {
+    return ASSESSOR_CAPABILITIES_CACHE_KEY_PREFIX + this._baseUrl();
+  }
+
+  /**
+   * Reads the cached descriptor for the profile's backend.
+   * @returns {Object|null} The descriptor, or null when none is cached or it cannot be read.
+   */
+  _readCache() {
+    const cached = this.cache.get(this._cacheKey());
+    if (!cached) return null;
+    try {
+      return JSON.parse(cached);
+    } catch {
+      return null;
+    }
+  }
+}
+
+// Export for Node/Vitest environment
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AssessorCapabilities;
+}
@@ -0,0 +1,130 @@
+/**
+ * AssessorFailover Class
+ *
+ * Sends an assignment's assessor requests through its assessor profile and, when that profile
+ * keeps failing, sends the rest to the profile's failover profile. A profile is failing once
+ * its last `maxComponentBuildErrors` responses were all server errors (5xx, which includes
+ * Langflow component build errors) or no response at all.
+ *
+ * Failover happens at most once per run, so two profiles that fail over to each other cannot
+ * loop. Without a failover profile every request is sent as before.
+ */
+
+/* global ABLogger, ProgressTracker */
+
+const ASSESSOR_SERVER_ERROR_MIN_STATUS = 500;
+
+/**
+ * Assessor failover.
+ */
+class AssessorFailover {
+  /**
+   * Initialises failover for a request manager.
+   * @param {LLMRequestManager} manager - Manager whose `capabilities`, `definedCriteria` and
+   *   `uidIndex` were set by `generateRequestObjects`.
+   */
+  constructor(manager) {
+    this.manager = manager;
+    this.logger = ABLogger.getInstance();
+    this.progressTracker = ProgressTracker.getInstance();
+  }
+
+  /**
+   * Sends the requests and processes their responses, failing over when the profile keeps
+   * failing. Requests left unsent because the budget ran low are assessed on a later run.
+   * @param {Object[]} requests - Requests from `generateRequestObjects`.
+   * @param {Assignment} assignment - The Assignment instance.
+   * @param {ExecutionBudget|null} [budget=null] - Stops sending batches once the budget runs low.
+   * @returns {void}
+   */
+  send(requests, assignment, budget = null) {
+    const { capabilities } = this.manager;
+    const failover = capabilities.failover();
+    let isFailing = false;
+    const responses = this.manager.sendRequestsInBatches(requests, budget, {
+      batchSize: capabilities.profile.batchSize,
+      // Once failing, the profile stays failing so later responses are not retried against it.
+      shouldStop: (responsesSoFar) => {
+        isFailing = isFailing || (failover !== null && this._isFailing(responsesSoFar));
+        return isFailing;
+      },
+    });
+
+    if (!isFailing) {
+      this.manager.processResponses(responses, requests, assignment);
+      return;
+    }
+
+    const failed = [];
+    const answered = { responses: [], requests: [] };
+    requests.forEach((request, index) => {
+      const response = responses.at(index);
+      if (index >= responses.length || this._isServerError(response)) {
+        failed.push(request);
+        return;
+      }
+      answered.responses.push(response);
+      answered.requests.push(request);
+    });
+    this.manager.processResponses(answered.responses, answered.requests, assignment);
+    this._sendToFailover(failover, failed, assignment, budget);
+  }
+
+  /**
+   * Sends the requests the failing profile did not assess to the failover profile.
+   * @param {AssessorCapabilities} failover - Negotiation for the failover profile.
+   * @param {Object[]} failed - Requests built for the failing profile.
+   * @param {Assignment} assignment - The Assignment instance.
+   * @param {ExecutionBudget|null} budget - Stops sending batches once the budget runs low.
+   * @returns {void}
+   */
+  _sendToFailover(failover, failed, assignment, budget) {
+    const primaryName = this.manager.capabilities.profile.name;
+    const message = `Assessor profile "${primaryName}" returned repeated server errors; sending ${failed.length} requests to "${failover.profile.name}".`;
+    this.logger.warn(message);
+    this.progressTracker.updateProgress(message, false);
+
+    const criteria = failover.resolveCriteria(this.manager.definedCriteria);
+    const requests = failed
+      .map((request) => failover.retarget(request, criteria))
+      .filter((request) => request !== null);
+    const retargeted = new Set(requests.map(({ uid }) => uid));
+    Object.entries(this.manager.uidIndex).forEach(([uid, entry]) => {
+      if (retargeted.has(uid)) entry.criteria = criteria;
+    });
+    if (requests.length === 0) return;
+
+    this.manager.usage.recordProfile(failover.profile.name);
+    const responses = this.manager.sendRequestsInBatches(requests, budget, {
+      batchSize: failover.profile.batchSize,
+    });
+    this.manager.processResponses(responses, requests, assignment);
+  }
+
+  /**
+   * Reports whether the most recent responses are all server errors.
+   * @param {HTTPResponse[]} responses - Responses so far, in request order.
+   * @returns {boolean} True when the profile should be failed over.
+   */
+  _isFailing(responses) {
+    const limit = this.manager.maxComponentBuildErrors;
+    return (
+      responses.length >= limit &&
+      responses.slice(-limit).every((response) => this._isServerError(response))
+    );
+  }
+
+  /**
+   * Reports whether a response is a server error or missing.
+   * @param {HTTPResponse|null} response - The response.
+   * @returns {boolean} True for no response or a 5xx status.
+   */
+  _isServerError(response) {
+    return !response || response.getResponseCode() >= ASSESSOR_SERVER_ERROR_MIN_STATUS;
+  }
+}
+
+// Export for Node/Vitest environment
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AssessorFailover;
+}
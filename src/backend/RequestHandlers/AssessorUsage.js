@@ -0,0 +1,190 @@
+/**
+ * AssessorUsage Class
+ *
+ * Counts what one execution of an assessment run cost at the assessor: requests sent, retries,
+ * responses that failed validation, items answered from the cache or marked not attempted,
+ * request payload sizes, and any numeric fields the assessor returned in a top-level `usage`
+ * object (token counts, cost). The counts are kept on the assignment as one usage record per
+ * run, so they travel with the assignment partial stored in `ABClass`.
+ *
+ * A run that stops at a checkpoint is resumed by a later execution; its counts are added to
+ * the record already stored for the run rather than starting a new one.
+ */
+
+/* global Utilities */
+
+// Counters summed when an execution's usage is added to a run record.
+const ASSESSOR_USAGE_COUNTERS = Object.freeze([
+  'requests',
+  'retries',
+  'validationFailures',
+  'cacheHits',
+  'notAttempted',
+  'payloadBytes',
+]);
+
+/**
+ * Assessor usage counters for one execution.
+ */
+class AssessorUsage {
+  /**
+   * Initialises every counter at zero.
+   */
+  constructor() {
+    Object.assign(this, AssessorUsage.emptyCounters());
+    this.maxPayloadBytes = 0;
+    this.profiles = [];
+    this.assessorUsage = {};
+  }
+
+  /**
+   * Counts a request sent for the first time.
+   * @param {Object} request - Request with a string `payload`.
+   * @returns {void}
+   */
+  recordRequest(request) {
+    this.requests++;
+    this._recordPayload(request);
+  }
+
+  /**
+   * Counts another attempt at a request already sent.
+   * @param {Object} request - Request with a string `payload`.
+   * @returns {void}
+   */
+  recordRetry(request) {
+    this.retries++;
+    this._recordPayload(request);
+  }
+
+  /**
+   * Counts a response that could not be read or failed validation.
+   * @returns {void}
+   */
+  recordValidationFailure() {
+    this.validationFailures++;
+  }
+
+  /**
+   * Counts items that were assessed without a request.
+   * @param {Object} counts - Item counts.
+   * @param {number} counts.cacheHits - Items answered from the assessment cache.
+   * @param {number} counts.notAttempted - Items marked not attempted.
+   * @returns {void}
+   */
+  recordSkipped({ cacheHits, notAttempted }) {
+    this.cacheHits += cacheHits;
+    this.notAttempted += notAttempted;
+  }
+
+  /**
+   * Notes an assessor profile that requests were sent to.
+   * @param {string} name - Profile name.
+   * @returns {void}
+   */
+  recordProfile(name) {
+    if (!this.profiles.includes(name)) this.profiles.push(name);
+  }
+
+  /**
+   * Adds the numeric fields of an assessor response's `usage` object. Other values are ignored,
+   * so assessors may report whichever token and cost fields they have.
+   * @param {*} usage - The response's `usage` value.
+   * @returns {void}
+   */
+  recordAssessorUsage(usage) {
+    if (!usage || typeof usage !== 'object' || Array.isArray(usage)) return;
+    this.assessorUsage = AssessorUsage.addNumericFields(this.assessorUsage, usage);
+  }
+
+  /**
+   * Adds the size of a request body to the payload totals.
+   * @param {Object} request - Request with a string `payload`.
+   * @returns {void}
+   */
+  _recordPayload(request) {
+    const size = request?.payload ? Utilities.newBlob(request.payload).getBytes().length : 0;
+    this.payloadBytes += size;
+    this.maxPayloadBytes = Math.max(this.maxPayloadBytes, size);
+  }
+
+  /**
+   * Adds this execution's counts to the run's record, or appends a new record when the run has
+   * none yet. Runs without an id always get a new record.
+   * @param {Object[]|null} runs - Usage records already stored on the assignment.
+   * @param {Object} run - Run details.
+   * @param {string|null} run.runId - Assessment run id.
+   * @param {string|null} run.definitionKey - Key of the definition assessed.
+   * @param {string} run.startedAt - ISO timestamp used when the record is new.
+   * @returns {Object[]} The updated records.
+   */
+  addToRuns(runs, { runId, definitionKey, startedAt }) {
+    const records = Array.isArray(runs) ? runs : [];
+    const existing = runId ? (records.find((record) => record.runId === runId) ?? null) : null;
+    const base = existing ?? {
+      runId,
+      definitionKey,
+      startedAt,
+      profiles: [],
+      maxPayloadBytes: 0,
+      assessorUsage: {},
+      ...AssessorUsage.emptyCounters(),
+    };
+    const record = {
+      ...base,
+      ...AssessorUsage.addCounters(base, this),
+      profiles: [...new Set([...base.profiles, ...this.profiles])],
+      maxPayloadBytes: Math.max(base.maxPayloadBytes, this.maxPayloadBytes),
+      assessorUsage: AssessorUsage.addNumericFields(base.assessorUsage, this.assessorUsage),
+    };
+    if (!existing) return [...records, record];
+    return records.map((candidate) => (candidate === existing ? record : candidate));
+  }
+
+  /**
+   * Returns every usage counter set to zero.
+   * @returns {Object<string, number>} The counters.
+   */
+  static emptyCounters() {
+    return Object.fromEntries(ASSESSOR_USAGE_COUNTERS.map((counter) => [counter, 0]));
+  }
+
+  /**
+   * Sums the usage counters of two records.
+   * @param {Object} left - Record with counter fields.
+   * @param {Object} right - Record with counter fields.
+   * @returns {Object<string, number>} The summed counters.
+   */
+  static addCounters(left, right) {
+    const leftCounts = new Map(Object.entries(left));
+    const rightCounts = new Map(Object.entries(right));
+    return Object.fromEntries(
+      ASSESSOR_USAGE_COUNTERS.map((counter) => [
+        counter,
+        (Number(leftCounts.get(counter)) || 0) + (Number(rightCounts.get(counter)) || 0),
+      ])
+    );
+  }
+
+  /**
+   * Sums the finite numeric fields of two objects, keeping fields present in either.
+   * @param {Object} totals - Running totals.
+   * @param {Object} fields - Fields to add.
+   * @returns {Object<string, number>} The new totals.
+   */
+  static addNumericFields(totals, fields) {
+    const sums = new Map(Object.entries(totals ?? {}));
+    Object.entries(fields ?? {}).forEach(([key, value]) => {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return;
+      sums.set(key, (sums.get(key) ?? 0) + value);
+    });
+    return Object.fromEntries(sums);
+  }
+}
+
+AssessorUsage.COUNTERS = ASSESSOR_USAGE_COUNTERS;
+
+// Export for Node/Vitest environment
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AssessorUsage;
+}
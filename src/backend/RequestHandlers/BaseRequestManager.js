@@ -23,6 +23,7 @@ class BaseRequestManager {
     this.cache = CacheService.getScriptCache(); // Initialize the script cache
     this.progressTracker = ProgressTracker.getInstance();
     this.logger = ABLogger.getInstance();
+    this.usage = null; // AssessorUsage counting what is sent, when the subclass keeps one
   }
 
   /**
@@ -65,6 +66,7 @@ class BaseRequestManager {
     let delay = INITIAL_RETRY_DELAY_MS; // Initial delay of 5 seconds. When extracting whole slide images you get rate limited quite early. A 5 second delay seems to be the minimum needed to avoid a retry.
 
     while (attempt <= maxRetries) {
+      this.usage?.recordRetry(request);
       try {
         const response = UrlFetchApp.fetch(request.url, request);
         const responseCode = response.getResponseCode();
@@ -151,11 +153,22 @@ class BaseRequestManager {
 
   /**
    * Sends multiple HTTP requests in batches with retries and exponential backoff.
+   * When a budget is supplied, batches after the first are only sent while time remains, so
+   * responses may cover a leading subset of the requests. The same holds when `shouldStop`
+   * returns true, which also stops failed responses from being retried.
    * @param {Object[]} requests - An array of request objects compatible with UrlFetchApp.fetchAll().
-   * @returns {HTTPResponse[]} An array of HTTPResponse objects from all batches.
+   * @param {ExecutionBudget|null} [budget=null] - Stops sending further batches once the budget runs low.
+   * @param {Object} [options] - Sending options.
+   * @param {number} [options.batchSize] - Requests per batch; defaults to the configured batch size.
+   * @param {function(HTTPResponse[]): boolean} [options.shouldStop] - Called with the responses so
+   *   far before each later batch and before each retry.
+   * @returns {HTTPResponse[]} An array of HTTPResponse objects, in request order, from the batches sent.
    */
-  sendRequestsInBatches(requests) {
-    const batchSize = ConfigurationManager.getInstance().getBackendAssessorBatchSize();
+  sendRequestsInBatches(requests, budget = null, options = {}) {
+    const {
+      batchSize = ConfigurationManager.getInstance().getBackendAssessorBatchSize(),
+      shouldStop = () => false,
+    } = options;
     const batches = [];
 
     // Split requests into batches
@@ -169,7 +182,17 @@ class BaseRequestManager {
     const currentProgress = this.progressTracker.getCurrentProgress();
     const currentMessage = currentProgress.message; //Gets the current message before the loop so you don't end up concatentating all the previous updates.
 
-    batches.forEach((batch, index) => {
+    for (const [index, batch] of batches.entries()) {
+      if (index > 0 && budget?.isRunningLow()) {
+        this.logger.info(
+          `Execution time running low; ${batches.length - index} batches left for a later run.`
+        );
+        break;
+      }
+      if (index > 0 && shouldStop(allResponses)) {
+        this.logger.info(`Stopped sending; ${batches.length - index} batches were not sent.`);
+        break;
+      }
       this.progressTracker.updateProgress(
         `${currentMessage}: Sending batch ${index + 1} of ${batches.length}.`,
         false
@@ -183,6 +206,7 @@ class BaseRequestManager {
         muteHttpExceptions: request.muteHttpExceptions || true,
       }));
 
+      batch.forEach((request) => this.usage?.recordRequest(request));
       const responses = UrlFetchApp.fetchAll(fetchAllRequests);
 
       // Handle each response with retries if necessary
@@ -192,6 +216,10 @@ class BaseRequestManager {
           response.getResponseCode() !== BaseRequestManager.HTTP_STATUS_OK &&
           response.getResponseCode() !== BaseRequestManager.HTTP_STATUS_CREATED
         ) {
+          if (shouldStop([...allResponses, response])) {
+            allResponses.push(response);
+            return;
+          }
           console.warn(
             `Batch ${index + 1}, Request ${
               index_ + 1
@@ -207,7 +235,7 @@ class BaseRequestManager {
           allResponses.push(response);
         }
       });
-    });
+    }
 
     return allResponses;
   }
@@ -2,27 +2,43 @@
  * CacheManager Class
  *
  * Handles caching of assessment data to prevent redundant processing.
+ * Entries live in a durable JsonDbApp collection so identical responses to an
+ * unchanged reference are reused across runs, classes and weeks. Each entry
+ * belongs to one assignment definition, so clearing or invalidating one
+ * definition never touches another's entries.
  */
-const CACHE_EXPIRY_HOURS = 6;
+
+/* global ConfigurationManager, DbManager, RuntimeConstants, Utils */
+
+const ASSESSMENT_CACHE_COLLECTION_NAME = 'assessment_cache';
+const HOURS_PER_DAY = 24;
 
 /**
  * Cache manager.
  */
 class CacheManager {
   /**
-   * Initialises the CacheManager with the Apps Script cache service.
+   * Initialises the CacheManager with the shared database and the configured
+   * retention and size limits. The collection itself is loaded on first use.
    */
   constructor() {
-    this.cache = CacheService.getScriptCache();
+    const configManager = ConfigurationManager.getInstance();
+    this.dbManager = DbManager.getInstance();
+    this.retentionDays = configManager.getAssessmentCacheRetentionDays();
+    this.maxEntries = configManager.getAssessmentCacheMaxEntries();
+    this._collection = null;
+    this._hasPendingWrites = false;
+    this._hasNewEntries = false;
   }
 
   /**
    * Generates a unique cache key based on content hashes.
    * @param {string} contentHashReference - Hash of the reference content.
    * @param {string} contentHashResponse - Hash of the student's response content.
-   * @returns {string|null} The cache key, or null if either input is falsy.
+   * @param {string|null} [definitionKey=null] - Assignment definition the entry belongs to.
+   * @returns {string|null} The cache key, or null if either hash is falsy.
    */
-  generateCacheKey(contentHashReference, contentHashResponse) {
+  generateCacheKey(contentHashReference, contentHashResponse, definitionKey = null) {
     // If either input is falsy, return null to indicate no usable key.
     if (!contentHashReference || !contentHashResponse) {
       return null;
@@ -30,31 +46,40 @@ class CacheManager {
 
     // Use a clear separator between the two hashes to make the raw key unambiguous
     // before hashing. We still hash the combined string so the final cache key is
-    // a fixed-length SHA-256 hex string (64 chars) which stays well under Apps
-    // Script's 250-character cache key limit.
-    const raw = `${contentHashReference}::${contentHashResponse}`;
+    // a fixed-length SHA-256 hex string (64 chars) that can be used as the
+    // document _id.
+    const hashes = `${contentHashReference}::${contentHashResponse}`;
+    const raw = definitionKey ? `${definitionKey}::${hashes}` : hashes;
     return Utils.generateHash(raw);
   }
 
   /**
-   * Retrieves cached assessment data if available.
+   * Retrieves cached assessment data if available and still within the
+   * retention period. A hit refreshes the entry's last-used time.
    * @param {string} contentHashReference - Hash of the reference content.
    * @param {string} contentHashResponse - Hash of the student's response content.
+   * @param {string|null} [definitionKey=null] - Assignment definition being assessed.
    * @returns {Object|null} The cached assessment data, or null if not found.
    */
-  getCachedAssessment(contentHashReference, contentHashResponse) {
-    const cacheKey = this.generateCacheKey(contentHashReference, contentHashResponse);
+  getCachedAssessment(contentHashReference, contentHashResponse, definitionKey = null) {
+    const cacheKey = this.generateCacheKey(
+      contentHashReference,
+      contentHashResponse,
+      definitionKey
+    );
     if (!cacheKey) return null;
 
     try {
-      const cached = this.cache.get(cacheKey);
-      if (!cached) return null;
-      try {
-        return JSON.parse(cached);
-      } catch (error) {
-        console.error('Error parsing cached assessment data:', error);
-        return null;
-      }
+      const collection = this._getCollection();
+      const entry = collection.findOne({ _id: cacheKey });
+      if (!entry) return null;
+
+      const now = new Date();
+      if (this._isExpired(entry, now.getTime())) return null;
+
+      collection.updateOne({ _id: cacheKey }, { $set: { lastUsedAt: now.toISOString() } });
+      this._hasPendingWrites = true;
+      return entry.assessment;
     } catch (error) {
       console.error('Error retrieving cached assessment:', error);
       return null;
@@ -62,26 +87,164 @@ class CacheManager {
   }
 
   /**
-   * Stores assessment data in the cache.
+   * Stores assessment data in the cache. The write is held in memory until
+   * `flush()` persists the collection.
    * @param {string} contentHashReference - Hash of the reference content.
    * @param {string} contentHashResponse - Hash of the student's response content.
    * @param {Object} assessmentData - The assessment data to cache.
+   * @param {Object} [context={}] - Where the assessment came from.
+   * @param {string|null} [context.definitionKey=null] - Assignment definition that produced it.
+   * @param {string|null} [context.taskId=null] - Task the response answers.
    * @returns {void}
    */
-  setCachedAssessment(contentHashReference, contentHashResponse, assessmentData) {
-    const cacheKey = this.generateCacheKey(contentHashReference, contentHashResponse);
+  setCachedAssessment(contentHashReference, contentHashResponse, assessmentData, context = {}) {
+    const definitionKey = context.definitionKey ?? null;
+    const cacheKey = this.generateCacheKey(
+      contentHashReference,
+      contentHashResponse,
+      definitionKey
+    );
     if (!cacheKey) return;
 
-    const serialized = JSON.stringify(assessmentData);
-    const cacheExpirationInSeconds =
-      CACHE_EXPIRY_HOURS * RuntimeConstants.MINUTES_PER_HOUR * RuntimeConstants.SECONDS_PER_MINUTE;
+    const now = new Date().toISOString();
+    const entry = {
+      _id: cacheKey,
+      definitionKey,
+      taskId: context.taskId ?? null,
+      referenceHash: contentHashReference,
+      responseHash: contentHashResponse,
+      assessment: assessmentData,
+      createdAt: now,
+      lastUsedAt: now,
+    };
     try {
-      this.cache.put(cacheKey, serialized, cacheExpirationInSeconds);
+      this._getCollection().updateOne({ _id: cacheKey }, { $set: entry }, { upsert: true });
+      this._hasPendingWrites = true;
+      this._hasNewEntries = true;
     } catch (error) {
       console.error('Error storing cached assessment data:', error);
       // Don't throw — caching should be best-effort.
     }
   }
+
+  /**
+   * Drops entries cached for a task under an earlier version of its reference
+   * artifact. Their keys can never match again once the reference hash has
+   * changed, so keeping them would only use up the size limit.
+   * @param {string} definitionKey - Assignment definition the task belongs to.
+   * @param {string} taskId - Task whose reference may have changed.
+   * @param {string} contentHashReference - Hash of the current reference content.
+   * @returns {number} The number of entries removed.
+   */
+  invalidateChangedReference(definitionKey, taskId, contentHashReference) {
+    if (!definitionKey || !taskId || !contentHashReference) return 0;
+
+    try {
+      const collection = this._getCollection();
+      const staleEntries = collection
+        .find({ definitionKey, taskId })
+        .filter((entry) => entry.referenceHash !== contentHashReference);
+      staleEntries.forEach((entry) => collection.deleteOne({ _id: entry._id }));
+      if (staleEntries.length > 0) {
+        this._hasPendingWrites = true;
+      }
+      return staleEntries.length;
+    } catch (error) {
+      console.error('Error invalidating cached assessments:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Removes every entry cached for an assignment definition and persists the
+   * collection immediately.
+   * @param {string} definitionKey - Assignment definition whose entries should be cleared.
+   * @returns {number} The number of entries removed.
+   */
+  clearDefinition(definitionKey) {
+    const collection = this._getCollection();
+    const entries = collection.find({ definitionKey });
+    entries.forEach((entry) => collection.deleteOne({ _id: entry._id }));
+    collection.save();
+    this._hasPendingWrites = false;
+    return entries.length;
+  }
+
+  /**
+   * Persists pending writes. Does nothing when no entry has been read or
+   * written since the last flush.
+   *
+   * @remarks
+   * Pruning scans the whole collection, so it only runs when entries were
+   * added: reads only refresh last-used times and cannot push the cache past
+   * its size limit, and expired entries are never served in the meantime.
+   * @returns {void}
+   */
+  flush() {
+    if (!this._hasPendingWrites) return;
+
+    try {
+      const collection = this._getCollection();
+      if (this._hasNewEntries) {
+        this._pruneEntries(collection);
+      }
+      collection.save();
+      this._hasPendingWrites = false;
+      this._hasNewEntries = false;
+    } catch (error) {
+      console.error('Error saving assessment cache:', error);
+      // Don't throw — caching should be best-effort.
+    }
+  }
+
+  /**
+   * Returns the cache collection, loading it on first use.
+   * @returns {Object} The JsonDbApp collection holding cached assessments.
+   * @private
+   */
+  _getCollection() {
+    if (!this._collection) {
+      this._collection = this.dbManager.getCollection(ASSESSMENT_CACHE_COLLECTION_NAME);
+    }
+    return this._collection;
+  }
+
+  /**
+   * Reports whether an entry has gone unused for longer than the retention period.
+   * @param {Object} entry - Cached entry.
+   * @param {number} nowMs - Current time in milliseconds.
+   * @returns {boolean} True when the entry should no longer be served.
+   * @private
+   */
+  _isExpired(entry, nowMs) {
+    const retentionMs =
+      this.retentionDays *
+      HOURS_PER_DAY *
+      RuntimeConstants.MINUTES_PER_HOUR *
+      RuntimeConstants.SECONDS_PER_MINUTE *
+      RuntimeConstants.MS_PER_SECOND;
+    return nowMs - new Date(entry.lastUsedAt).getTime() > retentionMs;
+  }
+
+  /**
+   * Deletes expired entries, then the least recently used entries beyond the
+   * configured size limit.
+   * @param {Object} collection - The cache collection.
+   * @param {number} [nowMs=Date.now()] - Current time, injectable for tests.
+   * @returns {number} The number of entries removed.
+   * @private
+   */
+  _pruneEntries(collection, nowMs = Date.now()) {
+    const entries = collection.find({});
+    const expired = entries.filter((entry) => this._isExpired(entry, nowMs));
+    const excess = entries
+      .filter((entry) => !this._isExpired(entry, nowMs))
+      .toSorted((left, right) => right.lastUsedAt.localeCompare(left.lastUsedAt))
+      .slice(this.maxEntries);
+
+    [...expired, ...excess].forEach((entry) => collection.deleteOne({ _id: entry._id }));
+    return expired.length + excess.length;
+  }
 }
 
 // Export for Node.js tests
@@ -21,9 +21,8 @@ class LLMRequestManager extends BaseRequestManager {
     this.retryAttempts = {}; // Tracks retry attempts for each UID
     this.maxValidationRetries = 1; // Maximum retries for data validation
     this.cacheManager = new CacheManager(); // Use the CacheManager
-    this.componentBuildErrorCount = 0; // Track repeated Langflow component build errors
-    this.maxComponentBuildErrors = 2; // Threshold for aborting on backend errors
-    this.abortOnComponentBuildError = false; // Flag to abort further processing
+    this.maxComponentBuildErrors = 2; // Consecutive server errors before failing over
+    this.usage = new AssessorUsage(); // Counts for the assignment's usage record
   }
 
   /**
@@ -40,11 +39,24 @@ class LLMRequestManager extends BaseRequestManager {
     // Build uid -> { submission, item, taskDefinition } map for response routing.
     // Retain taskDef alias for existing callers and tests during the migration.
     this.uidIndex = {}; // reset per generation
-    const baseUrl = this.configManager.getBackendUrl();
-    const apiKey = this.configManager.getApiKey();
+    const {
+      definitionKey = null,
+      tasks,
+      criteria: definedCriteria,
+      assessorProfile = null,
+      notAttemptedDetection = null,
+    } = assignment.assignmentDefinition;
+    // The backend decides the API version, task types, criteria and size limit requests must fit
+    const capabilities = AssessorCapabilities.forProfile(assessorProfile, this.configManager);
+    const criteria = capabilities.resolveCriteria(definedCriteria);
+    this.capabilities = capabilities;
+    this.definedCriteria = definedCriteria;
+    this._invalidateChangedReferences(definitionKey, tasks);
+    const notAttemptedDetector = new NotAttemptedDetector(
+      NotAttemptedDetectionSettings.normalise(notAttemptedDetection)
+    );
 
     assignment.submissions.forEach((submission) => {
-      const tasks = assignment.assignmentDefinition.tasks;
       Object.values(submission.items).forEach((item) => {
         const taskDefinition = tasks[item.taskId];
         if (!taskDefinition) {
@@ -64,26 +76,28 @@ class LLMRequestManager extends BaseRequestManager {
         }
         const studentArtifact = item.artifact;
 
-        // Not attempted detection: submission hash equals template hash
-        if (
-          studentArtifact.contentHash === templateTask.contentHash ||
-          studentArtifact.content === ''
-        ) {
-          const notAttempted = this.createNotAttemptedAssessment();
+        // Already assessed earlier in this run (resumed after a checkpoint)
+        if (item.isAssessed()) return;
+
+        // Not attempted detection: submission empty or unchanged from the template
+        if (notAttemptedDetector.isNotAttempted(studentArtifact, templateTask)) {
+          const notAttempted = this.createNotAttemptedAssessment(criteria);
           this._assignAssessmentArtifacts(item, notAttempted);
           notAttemptedCount++;
           return;
         }
 
-        // Cache lookup using reference & student hashes
-        const referenceTaskHash = referenceTask.contentHash;
+        // Cache lookup using reference (and rubric) & student hashes
+        const referenceTaskHash = taskDefinition.getAssessmentReferenceHash();
         const studentResponseHash = studentArtifact.contentHash;
         if (referenceTaskHash && studentResponseHash) {
           const cached = this.cacheManager.getCachedAssessment(
             referenceTaskHash,
-            studentResponseHash
+            studentResponseHash,
+            definitionKey
           );
-          if (cached) {
+          // Entries made under different criteria are treated as a miss
+          if (cached && this.validateAssessmentData(cached, criteria)) {
             this._assignAssessmentArtifacts(item, cached);
             cacheHits++;
             return;
@@ -91,36 +105,54 @@ class LLMRequestManager extends BaseRequestManager {
         }
 
         const uid = studentArtifact.getUid();
-        this.uidIndex[uid] = {
-          submission,
-          item,
-          taskDefinition,
-          taskDef: taskDefinition,
-        };
         const payload = {
           taskType: type,
           reference: referenceTask.content,
           template: templateTask.content,
           studentResponse: studentArtifact.content,
         };
-        requests.push({
-          uid,
-          url: `${baseUrl}/v1/assessor`,
-          method: 'post',
-          contentType: 'application/json',
-          payload: JSON.stringify(payload),
-          headers: { Authorization: `Bearer ${apiKey}` },
-          muteHttpExceptions: true,
-        });
+        if (taskDefinition.rubric) payload.rubric = taskDefinition.getAssessorRubric();
+        const request = capabilities.buildRequest(uid, payload, criteria);
+        if (!request) return;
+        this.uidIndex[uid] = {
+          submission,
+          item,
+          taskDefinition,
+          taskDef: taskDefinition,
+          definitionKey,
+          criteria,
+        };
+        requests.push(request);
         newRequests++;
       });
     });
+    this.cacheManager.flush();
+    this.usage.recordSkipped({ cacheHits, notAttempted: notAttemptedCount });
     ABLogger.getInstance().info(
       `Generated ${requests.length} request objects for LLM (cache hits: ${cacheHits}, new requests: ${newRequests}, not attempted: ${notAttemptedCount}).`
     );
     return requests;
   }
 
+  /**
+   * Drops cached assessments made against an earlier version of each task's
+   * reference artifact or rubric, so edits to a definition invalidate its cache.
+   * @param {string|null} definitionKey - Key of the assignment definition being assessed.
+   * @param {Object<string, TaskDefinition>} tasks - Task definitions keyed by task id.
+   * @returns {void}
+   */
+  _invalidateChangedReferences(definitionKey, tasks) {
+    if (!definitionKey) return;
+    Object.values(tasks).forEach((taskDefinition) => {
+      const referenceHash = taskDefinition.getAssessmentReferenceHash();
+      this.cacheManager.invalidateChangedReference(
+        definitionKey,
+        taskDefinition.getId(),
+        referenceHash
+      );
+    });
+  }
+
   /**
    * Processes the responses from the LLM and assigns assessments to StudentTasks.
    * Also caches successful assessments.
@@ -144,6 +176,7 @@ class LLMRequestManager extends BaseRequestManager {
    * @param {Assignment} assignment - The Assignment instance.
    */
   handleValidationFailure(uid, request, assignment) {
+    this.usage.recordValidationFailure();
     if (!this.retryAttempts[uid]) this.retryAttempts[uid] = 0;
 
     if (this.retryAttempts[uid] >= this.maxValidationRetries) {
@@ -164,40 +197,38 @@ class LLMRequestManager extends BaseRequestManager {
   }
 
   /**
-   * Validates the structure of the assessment data returned by the LLM.
-   * @param {Object} data - The assessment data.
-   * @returns {boolean} True if valid, false otherwise.
+   * Validates the assessment data returned by the LLM against the assessed criteria.
+   * @param {Object} data - The assessment data, keyed by criterion key.
+   * @param {Object[]} [criteria] - Criteria to require; defaults to completeness/accuracy/SPaG.
+   * @returns {boolean} True if every criterion has an in-range score and reasoning.
    */
-  validateAssessmentData(data) {
-    const requiredCriteria = ['completeness', 'accuracy', 'spag'];
-    return requiredCriteria.every(
-      (criterion) =>
-        data.hasOwnProperty(criterion) &&
-        typeof data[criterion].score === 'number' &&
-        Validate.isString(data[criterion].reasoning)
+  validateAssessmentData(data, criteria = Assessment.getDefaultCriteria()) {
+    return criteria.every((criterion) =>
+      Assessment.isValidForCriterion(data[criterion.key], criterion)
     );
   }
 
   /**
    * Sends requests to Langflow and processes the responses, adding assessment data to the assignment object.
+   * Requests go to the definition's assessor profile and, if it keeps failing, to its failover profile.
    * @param {Object[]} requests - An array of request objects to send.
    * @param {Object} assignment - The Assignment instance containing StudentTasks.
+   * @param {ExecutionBudget|null} [budget=null] - Stops sending batches once the budget runs low.
    * @returns {void}
    */
-  processStudentResponses(requests, assignment) {
+  processStudentResponses(requests, assignment, budget = null) {
     if (!requests || requests.length === 0) {
       ABLogger.getInstance().info('No requests to send.');
       return;
     }
+    const { name, batchSize } = this.capabilities.profile;
+    this.usage.recordProfile(name);
     ABLogger.getInstance().info(
-      `Sending student responses in batches of ${this.configManager.getBackendAssessorBatchSize()}.`
+      `Sending student responses to assessor profile "${name}" in batches of ${batchSize}.`
     );
 
-    // Use BaseRequestManager's sendRequestsInBatches method
-    const responses = this.sendRequestsInBatches(requests);
-
-    // Process responses
-    this.processResponses(responses, requests, assignment);
+    new AssessorFailover(this).send(requests, assignment, budget);
+    this.cacheManager.flush();
   }
 
   /**
@@ -309,8 +340,9 @@ class LLMRequestManager extends BaseRequestManager {
    */
   _processRetryResponse(uid, request, assignment, response) {
     try {
-      const assessmentData = this._extractAssessmentData(response);
-      if (!this.validateAssessmentData(assessmentData)) {
+      const criteria = this.uidIndex?.[uid]?.criteria;
+      const assessmentData = this._extractAssessmentData(response, criteria);
+      if (!this.validateAssessmentData(assessmentData, criteria)) {
         this.progressTracker.logError(
           'Invalid assessment data for UID: ' +
             uid +
@@ -332,20 +364,16 @@ class LLMRequestManager extends BaseRequestManager {
     }
   }
 
-  // Removed legacy findStudentTaskByUid & findTaskKeyByUid (StudentTask model deprecated)
-
   /**
    * Creates a default assessment for unattempted tasks.
+   * @param {Object[]} [criteria] - Criteria to mark; defaults to completeness/accuracy/SPaG.
    * @returns {Object} An object with default assessments for each criterion.
    */
-  createNotAttemptedAssessment() {
-    const criteria = ['completeness', 'accuracy', 'spag'];
+  createNotAttemptedAssessment(criteria = Assessment.getDefaultCriteria()) {
     const assessments = {};
-
-    criteria.forEach((criterion) => {
-      assessments[criterion] = new Assessment('N', 'Task not attempted');
+    criteria.forEach(({ key }) => {
+      assessments[key] = new Assessment('N', 'Task not attempted');
     });
-
     return assessments;
   }
 
@@ -407,10 +435,10 @@ class LLMRequestManager extends BaseRequestManager {
       code === BaseRequestManager.HTTP_STATUS_CREATED
     ) {
       // Successful response
-      this.componentBuildErrorCount = 0;
       try {
-        const assessmentData = this._extractAssessmentData(response);
-        if (this.validateAssessmentData(assessmentData)) {
+        const criteria = this.uidIndex?.[uid]?.criteria;
+        const assessmentData = this._extractAssessmentData(response, criteria);
+        if (this.validateAssessmentData(assessmentData, criteria)) {
           this._assignAndCacheAssessment(uid, assessmentData);
           this.retryAttempts[uid] = 0;
         } else {
@@ -432,13 +460,14 @@ class LLMRequestManager extends BaseRequestManager {
   /**
    * Extracts and parses assessment data from an HTTPResponse.
    * @param {HTTPResponse} response - The HTTP response containing the assessment data.
-   * @returns {Object} Normalised assessment data.
+   * @param {Object[]} [criteria] - Criteria requested; defaults to completeness/accuracy/SPaG.
+   * @returns {Object} Assessment data keyed by criterion key.
    */
-  _extractAssessmentData(response) {
-    // Parse direct JSON payload from new /v1/assessor API
-    const text = response.getContentText();
-    const data = JSON.parse(text);
-    return Utils.normaliseKeysToLowerCase(data);
+  _extractAssessmentData(response, criteria = Assessment.getDefaultCriteria()) {
+    // Parse direct JSON payload from the assessor API; keys may arrive in any case
+    const data = Utils.normaliseKeysToLowerCase(JSON.parse(response.getContentText()));
+    this.usage.recordAssessorUsage(data.usage);
+    return Assessment.selectCriteriaData(data, criteria);
   }
 
   /**
@@ -450,12 +479,14 @@ class LLMRequestManager extends BaseRequestManager {
   _assignAndCacheAssessment(uid, assessmentData) {
     this.assignAssessmentToStudentTask(uid, this.createAssessmentFromData(assessmentData));
     if (this.uidIndex?.[uid]) {
-      const { item, taskDefinition } = this.uidIndex[uid];
-      const reference = taskDefinition.getPrimaryReference();
-      const referenceHash = reference?.contentHash;
+      const { item, taskDefinition, definitionKey } = this.uidIndex[uid];
+      const referenceHash = taskDefinition.getAssessmentReferenceHash();
       const respHash = item.artifact?.contentHash;
       if (referenceHash && respHash) {
-        this.cacheManager.setCachedAssessment(referenceHash, respHash, assessmentData);
+        this.cacheManager.setCachedAssessment(referenceHash, respHash, assessmentData, {
+          definitionKey,
+          taskId: item.taskId,
+        });
       }
     }
   }
@@ -0,0 +1,356 @@
+// AssessmentRunQueue.js
+
+/* global ABLogger, GASPropertiesUtils, LockService, RuntimeConstants, Validate */
+
+/**
+ * UserProperties key holding the serialised run queue.
+ */
+const ASSESSMENT_RUN_QUEUE_PROPERTY_KEY = 'assessmentRunQueue';
+
+/**
+ * Maximum number of runs held in the queue at once.
+ * UserProperties values are capped at 9KB, so the queue is bounded.
+ */
+const ASSESSMENT_RUN_QUEUE_LIMIT = 20;
+
+/**
+ * Age after which a `running` entry is treated as abandoned. Apps Script
+ * executions are killed well before this, so an older entry can only belong
+ * to an execution that died without cleaning up.
+ */
+const ASSESSMENT_RUN_STALE_MINUTES = 30;
+
+/**
+ * How long a queue change waits for the user lock. API calls and trigger
+ * executions change the queue concurrently, so every read-modify-write holds it.
+ */
+const ASSESSMENT_RUN_QUEUE_LOCK_TIMEOUT_MS = 1000;
+
+const ASSESSMENT_RUN_SCHEDULED_MESSAGE =
+  'Assessment run scheduled; waiting for the trigger to start.';
+const ASSESSMENT_RUN_STARTING_MESSAGE = 'Assessment run starting.';
+const ASSESSMENT_RUN_CHECKPOINTED_MESSAGE =
+  'Assessment run paused at a checkpoint; waiting to resume.';
+
+/**
+ * AssessmentRunQueue
+ *
+ * Persisted, per-user FIFO of assessment runs waiting for
+ * `triggerProcessSelectedAssignment`. Each entry carries everything the
+ * trigger needs to process one run, so several runs (for example the same
+ * homework across several classes) can be scheduled without overwriting each
+ * other. Runs are processed one at a time in enqueue order.
+ *
+ * Entry shape: `{ runId, assignmentId, definitionKey, courseId, status, enqueuedAt, startedAt,
+ * checkpointedAt, continuations }` where `status` is `'queued'` or `'running'`. A run that
+ * stopped at a checkpoint goes back to `'queued'` with `checkpointedAt` set, keeping its place
+ * at the front of the queue so the next execution resumes it.
+ */
+class AssessmentRunQueue {
+  /**
+   * Creates a queue bound to a properties store.
+   *
+   * @param {GoogleAppsScript.Properties.Properties} [properties] - Store holding the queue.
+   *   Defaults to the current user's properties.
+   */
+  constructor(properties = GASPropertiesUtils.getUserProperties()) {
+    this.properties = properties;
+  }
+
+  /**
+   * Returns every run in the queue, oldest first.
+   *
+   * @returns {Array<Object>} Copies of the queue entries. Checkpoint fields default for
+   *   entries stored before runs could be checkpointed.
+   */
+  list() {
+    return this._load().map((entry) => ({ checkpointedAt: null, continuations: 0, ...entry }));
+  }
+
+  /**
+   * Appends a run to the end of the queue.
+   *
+   * @param {Object} run - Run to enqueue.
+   * @param {string} run.runId - Unique run identifier.
+   * @param {string} run.assignmentId - Google Classroom coursework ID.
+   * @param {string} run.definitionKey - Assignment definition key.
+   * @param {string} run.courseId - Google Classroom course ID.
+   * @returns {Object} The stored queue entry.
+   * @throws {Error} If a field is missing or the queue is full.
+   */
+  enqueue({ runId, assignmentId, definitionKey, courseId }) {
+    Validate.requireParams({ runId, assignmentId, definitionKey, courseId }, 'enqueue');
+
+    return this._withLock(() => {
+      const entries = this._load();
+      if (entries.length >= ASSESSMENT_RUN_QUEUE_LIMIT) {
+        throw new Error(
+          `The assessment queue is full (${ASSESSMENT_RUN_QUEUE_LIMIT} runs). Wait for queued runs to finish or cancel some before starting another.`
+        );
+      }
+
+      const entry = {
+        runId,
+        assignmentId,
+        definitionKey,
+        courseId,
+        status: 'queued',
+        enqueuedAt: new Date().toISOString(),
+        startedAt: null,
+        checkpointedAt: null,
+        continuations: 0,
+      };
+      entries.push(entry);
+      this._save(entries);
+      return { ...entry };
+    });
+  }
+
+  /**
+   * Returns the next queued run without changing it.
+   *
+   * @returns {Object|null} The oldest queued entry, or null when nothing is waiting.
+   */
+  peekNext() {
+    const next = this._load().find((entry) => entry.status === 'queued');
+    return next ? { ...next } : null;
+  }
+
+  /**
+   * Marks a queued run as running.
+   *
+   * @remarks
+   * Runs are processed sequentially, so any other entry still marked as
+   * running belongs to an execution that died and is dropped here.
+   *
+   * @param {string} runId - Run to mark.
+   * @returns {void}
+   */
+  markRunning(runId) {
+    const startedAt = new Date().toISOString();
+    this._withLock(() => {
+      const entries = this._load()
+        .filter((entry) => entry.status !== 'running' || entry.runId === runId)
+        .map((entry) =>
+          entry.runId === runId ? { ...entry, status: 'running', startedAt } : entry
+        );
+      this._save(entries);
+    });
+  }
+
+  /**
+   * Returns a running run to the queue after it persisted a checkpoint, so a
+   * continuation execution can resume it.
+   *
+   * @param {string} runId - Run that stopped at a checkpoint.
+   * @returns {Object|null} The updated entry, or null when the run is no longer in the queue.
+   */
+  markCheckpointed(runId) {
+    const checkpointedAt = new Date().toISOString();
+    return this._withLock(() => {
+      let updated = null;
+      const entries = this._load().map((entry) => {
+        if (entry.runId !== runId) {
+          return entry;
+        }
+        updated = {
+          ...entry,
+          status: 'queued',
+          checkpointedAt,
+          continuations: (entry.continuations ?? 0) + 1,
+        };
+        return updated;
+      });
+      if (updated) {
+        this._save(entries);
+      }
+      return updated ? { ...updated } : null;
+    });
+  }
+
+  /**
+   * Removes a run from the queue regardless of its status.
+   *
+   * @param {string} runId - Run to remove.
+   * @returns {void}
+   */
+  remove(runId) {
+    this._withLock(() => {
+      const entries = this._load();
+      const remaining = entries.filter((entry) => entry.runId !== runId);
+      if (remaining.length !== entries.length) {
+        this._save(remaining);
+      }
+    });
+  }
+
+  /**
+   * Cancels a run that has not started yet.
+   *
+   * @param {string} runId - Run to cancel.
+   * @returns {boolean} True when a queued run was removed; false when the run has
+   *   already started (including runs paused at a checkpoint) or is no longer in the queue.
+   */
+  cancel(runId) {
+    return this._withLock(() => {
+      const entries = this._load();
+      const target = entries.find((entry) => entry.runId === runId);
+      if (!target || target.status !== 'queued' || target.checkpointedAt) {
+        return false;
+      }
+      this._save(entries.filter((entry) => entry.runId !== runId));
+      return true;
+    });
+  }
+
+  /**
+   * Reports whether any run is still waiting to be processed.
+   *
+   * @returns {boolean} True when at least one entry is queued.
+   */
+  hasQueuedRuns() {
+    return this._load().some((entry) => entry.status === 'queued');
+  }
+
+  /**
+   * Reports whether a run is currently being processed.
+   *
+   * @param {number} [nowMs=Date.now()] - Current time, injectable for tests.
+   * @returns {boolean} True when a running entry started within the stale window.
+   */
+  hasActiveRun(nowMs = Date.now()) {
+    const staleAfterMs =
+      ASSESSMENT_RUN_STALE_MINUTES *
+      RuntimeConstants.SECONDS_PER_MINUTE *
+      RuntimeConstants.MS_PER_SECOND;
+    return this._load().some(
+      (entry) => entry.status === 'running' && nowMs - Date.parse(entry.startedAt) < staleAfterMs
+    );
+  }
+
+  /**
+   * Builds a run status for a run the ProgressTracker is not tracking yet.
+   * Mirrors the shape returned by `ProgressTracker.getRunStatus`.
+   *
+   * @param {string} runId - Run to describe.
+   * @returns {Object|null} A pending run status, or null when the run is not queued.
+   */
+  getRunStatus(runId) {
+    const entries = this._load();
+    const entry = entries.find((candidate) => candidate.runId === runId);
+    if (!entry) {
+      return null;
+    }
+
+    const message = AssessmentRunQueue._describePendingRun(entry, entries.indexOf(entry));
+    const timestamp = entry.startedAt ?? entry.enqueuedAt;
+
+    return {
+      runId,
+      step: 0,
+      message,
+      completed: false,
+      error: null,
+      errors: [],
+      history: [{ step: 0, message, timestamp }],
+      timestamp,
+    };
+  }
+
+  /**
+   * Describes where a pending run sits in the queue.
+   *
+   * @param {Object} entry - Queue entry.
+   * @param {number} runsAhead - Number of entries ahead of this one.
+   * @returns {string} User-facing status message.
+   * @private
+   */
+  static _describePendingRun(entry, runsAhead) {
+    if (entry.status === 'running') {
+      return ASSESSMENT_RUN_STARTING_MESSAGE;
+    }
+    if (entry.checkpointedAt) {
+      return ASSESSMENT_RUN_CHECKPOINTED_MESSAGE;
+    }
+    if (runsAhead === 0) {
+      return ASSESSMENT_RUN_SCHEDULED_MESSAGE;
+    }
+    const noun = runsAhead === 1 ? 'run' : 'runs';
+    return `Assessment run queued; waiting for ${runsAhead} earlier ${noun} to finish.`;
+  }
+
+  /**
+   * Runs a queue change while holding the user lock, so concurrent API calls
+   * and trigger executions cannot overwrite each other's writes.
+   *
+   * @param {function(): *} change - Reads, updates and saves the queue.
+   * @returns {*} Whatever `change` returns.
+   * @throws {Error} If the lock cannot be acquired in time.
+   * @private
+   */
+  _withLock(change) {
+    const lock = LockService.getUserLock();
+    if (!lock.tryLock(ASSESSMENT_RUN_QUEUE_LOCK_TIMEOUT_MS)) {
+      throw new Error('Could not lock the assessment queue. Please retry.');
+    }
+
+    try {
+      return change();
+    } finally {
+      lock.releaseLock();
+    }
+  }
+
+  /**
+   * Reads the queue from the properties store.
+   * Returns an empty queue if the stored value is absent or unreadable.
+   *
+   * @returns {Array<Object>} Queue entries.
+   * @private
+   */
+  _load() {
+    const raw = this.properties.getProperty(ASSESSMENT_RUN_QUEUE_PROPERTY_KEY);
+    if (!raw) {
+      return [];
+    }
+
+    try {
+      const parsed = JSON.parse(raw);
+      if (Array.isArray(parsed)) {
+        return parsed;
+      }
+    } catch (error) {
+      ABLogger.getInstance().warn(
+        'Failed to parse assessment run queue — resetting to empty.',
+        error
+      );
+      return [];
+    }
+
+    ABLogger.getInstance().warn(
+      'Assessment run queue contained an unexpected value — resetting to empty.'
+    );
+    return [];
+  }
+
+  /**
+   * Writes the queue to the properties store, deleting the key when empty.
+   *
+   * @param {Array<Object>} entries - Queue entries to persist.
+   * @returns {void}
+   * @private
+   */
+  _save(entries) {
+    if (entries.length === 0) {
+      GASPropertiesUtils.clearProperties(this.properties, [ASSESSMENT_RUN_QUEUE_PROPERTY_KEY]);
+      return;
+    }
+    GASPropertiesUtils.applyProperties(this.properties, {
+      [ASSESSMENT_RUN_QUEUE_PROPERTY_KEY]: JSON.stringify(entries),
+    });
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AssessmentRunQueue;
+}
@@ -0,0 +1,63 @@
+// ExecutionBudget.js
+
+/* global RuntimeConstants */
+
+/**
+ * Apps Script kills a trigger execution after six minutes.
+ */
+const APPS_SCRIPT_EXECUTION_LIMIT_SECONDS = 360;
+
+/**
+ * Time kept back from the execution limit so a run can persist its checkpoint
+ * and schedule a continuation trigger before it is killed.
+ */
+const EXECUTION_BUDGET_RESERVE_SECONDS = 90;
+
+/**
+ * ExecutionBudget
+ *
+ * Tracks how much of the current Apps Script execution has been used so
+ * long-running work can stop at a safe point and continue in a later
+ * execution instead of being killed part-way through.
+ */
+class ExecutionBudget {
+  /**
+   * Starts a budget for the current execution.
+   *
+   * @param {number} [budgetMs] - Milliseconds available before work should stop.
+   *   Defaults to the Apps Script execution limit minus a persistence reserve.
+   * @param {number} [startedAtMs=Date.now()] - Execution start time, injectable for tests.
+   */
+  constructor(
+    budgetMs = (APPS_SCRIPT_EXECUTION_LIMIT_SECONDS - EXECUTION_BUDGET_RESERVE_SECONDS) *
+      RuntimeConstants.MS_PER_SECOND,
+    startedAtMs = Date.now()
+  ) {
+    this.budgetMs = budgetMs;
+    this.startedAtMs = startedAtMs;
+  }
+
+  /**
+   * Returns the time used so far.
+   *
+   * @param {number} [nowMs=Date.now()] - Current time, injectable for tests.
+   * @returns {number} Elapsed milliseconds since the budget started.
+   */
+  elapsedMs(nowMs = Date.now()) {
+    return nowMs - this.startedAtMs;
+  }
+
+  /**
+   * Reports whether the budget is used up and work should checkpoint.
+   *
+   * @param {number} [nowMs=Date.now()] - Current time, injectable for tests.
+   * @returns {boolean} True once the elapsed time reaches the budget.
+   */
+  isRunningLow(nowMs = Date.now()) {
+    return this.elapsedMs(nowMs) >= this.budgetMs;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExecutionBudget;
+}
@@ -1,3 +1,14 @@
+/**
+ * Maximum number of stage entries retained in the stored progress history.
+ * UserProperties values are capped at 9KB, so the history is bounded.
+ */
+const PROGRESS_HISTORY_LIMIT = 30;
+
+/**
+ * Maximum number of user-facing errors retained in the stored error log.
+ */
+const PROGRESS_ERROR_LOG_LIMIT = 10;
+
 /**
  * ProgressTracker class to manage progress updates.
  * Implemented as a Singleton to ensure only one instance exists.
@@ -56,21 +67,46 @@ class ProgressTracker extends BaseSingleton {
 
   /**
    * Initializes the progress tracking by resetting any existing progress data.
+   *
+   * @param {string|null} [runId=null] - Identifier of the assessment run being tracked.
    */
-  startTracking() {
+  startTracking(runId = null) {
     this.ensureInitialized();
     this.resetSteps();
+    const timestamp = new Date().toISOString();
+    const message = 'Starting the assessment. This may take up to a minute...';
     const initialData = {
+      runId,
       step: this.step,
-      message: 'Starting the assessment. This may take up to a minute...',
+      message,
       completed: false,
       error: null,
-      timestamp: new Date().toISOString(),
+      timestamp,
+      history: [{ step: this.step, message, timestamp }],
+      errors: [],
     };
     this.properties.setProperty(this.propertyKey, JSON.stringify(initialData));
     ABLogger.getInstance().info('Progress tracking started.');
   }
 
+  /**
+   * Continues tracking a run in a new execution, keeping its step count,
+   * history and error log. Starts fresh tracking when the stored progress
+   * belongs to another run.
+   *
+   * @param {string} runId - Identifier of the assessment run being resumed.
+   */
+  resumeTracking(runId) {
+    this.ensureInitialized();
+    const progress = this.getCurrentProgress();
+    if (progress?.runId !== runId) {
+      this.startTracking(runId);
+      return;
+    }
+    this.step = progress.step ?? 0;
+    ABLogger.getInstance().info(`Progress tracking resumed at step ${this.step}.`);
+  }
+
   /**
    * Updates the current progress with the given step number and message.
    * @param {string} message - A descriptive message for the current step.
@@ -83,12 +119,20 @@ class ProgressTracker extends BaseSingleton {
       this.incrementStep();
     }
 
+    const currentData = this.getCurrentProgress() || {};
+    const timestamp = new Date().toISOString();
     const updatedData = {
+      ...currentData,
       step: this.step,
       message: message,
       completed: false,
       error: null,
-      timestamp: new Date().toISOString(),
+      timestamp,
+      history: this._appendBounded(
+        currentData.history,
+        { step: this.step, message, timestamp },
+        PROGRESS_HISTORY_LIMIT
+      ),
     };
     this.properties.setProperty(this.propertyKey, JSON.stringify(updatedData));
     ABLogger.getInstance().info(`Progress updated: Step ${this.step} - ${message}`);
@@ -145,12 +189,18 @@ class ProgressTracker extends BaseSingleton {
    */
   logError(errorMessage, extraErrorDetails) {
     const currentData = this.getCurrentProgress() || {};
+    const timestamp = new Date().toISOString();
     const updatedData = {
       ...currentData,
       step: this.step,
       error: errorMessage, // This is what users will see in the UI
       message: 'An error occurred.',
-      timestamp: new Date().toISOString(),
+      timestamp,
+      errors: this._appendBounded(
+        currentData.errors,
+        { step: this.step, message: errorMessage, timestamp },
+        PROGRESS_ERROR_LOG_LIMIT
+      ),
     };
     this.properties.setProperty(this.propertyKey, JSON.stringify(updatedData));
     ABLogger.getInstance().error('ProgressTracker logged a user-facing error.', {
@@ -162,6 +212,20 @@ class ProgressTracker extends BaseSingleton {
     }
   }
 
+  /**
+   * Appends an entry to a stored list, dropping the oldest entries beyond the limit.
+   *
+   * @private
+   * @param {Array<Object>|undefined} list - The stored list (absent for legacy progress data).
+   * @param {Object} entry - The entry to append.
+   * @param {number} limit - Maximum number of entries to retain.
+   * @returns {Array<Object>} A new list containing at most `limit` entries.
+   */
+  _appendBounded(list, entry, limit) {
+    const entries = Array.isArray(list) ? [...list, entry] : [entry];
+    return entries.slice(-limit);
+  }
+
   /**
    * Helper method to log developer-only error details.
    * This method formats different types of error details appropriately for console logging.
@@ -284,6 +348,34 @@ class ProgressTracker extends BaseSingleton {
     return progress;
   }
 
+  /**
+   * Retrieves the stored progress for a specific assessment run.
+   *
+   * Progress is stored per user, so a newer run replaces an older one. When the
+   * stored progress belongs to a different run (or no run has been tracked),
+   * `null` is returned rather than another run's status.
+   *
+   * @param {string} runId - Identifier returned when the run was started.
+   * @returns {Object|null} The run status, or null when the run is not the tracked run.
+   */
+  getRunStatus(runId) {
+    const progress = this.getCurrentProgress();
+    if (!progress || progress.runId !== runId) {
+      return null;
+    }
+
+    return {
+      runId,
+      step: progress.step,
+      message: progress.message,
+      completed: progress.completed,
+      error: progress.error ?? null,
+      errors: progress.errors ?? [],
+      history: progress.history ?? [],
+      timestamp: progress.timestamp,
+    };
+  }
+
   /**
    * Extracts and returns the step number as an integer.
    * If the step contains text and numbers, it parses and extracts the number.
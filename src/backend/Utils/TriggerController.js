@@ -73,6 +73,16 @@ class TriggerController {
       }
     });
   }
+
+  /**
+   * Checks whether a trigger with the given ID is still installed.
+   *
+   * @param {string} triggerId - The unique ID of the trigger to look for.
+   * @returns {boolean} True if the trigger exists.
+   */
+  triggerExists(triggerId) {
+    return ScriptApp.getProjectTriggers().some((trigger) => trigger.getUniqueId() === triggerId);
+  }
 }
 
 // Static: required OAuth scopes for trigger installation and execution.
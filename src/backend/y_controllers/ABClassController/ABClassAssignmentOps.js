@@ -1,4 +1,4 @@
-/* global ABLogger, Assignment, AssignmentNotFoundError, TypeError, AssignmentDefinitionController, Validate */
+/* global ABLogger, Assessment, Assignment, AssignmentNotFoundError, TypeError, AssignmentDefinitionController, Validate */
 
 /**
  * ABClassAssignmentOps
@@ -192,6 +192,69 @@ class ABClassAssignmentOps {
     return hydratedAssignment;
   }
 
+  /**
+   * Applies a teacher override to the submission item for a student and task.
+   *
+   * @param {Assignment} assignment - The fully hydrated assignment.
+   * @param {Object} override - Override details.
+   * @param {string} override.studentId - The student whose work is being moderated.
+   * @param {string} override.taskId - The task the submission item answers.
+   * @param {string} override.criterion - The criterion being overridden.
+   * @param {number|string} override.score - The teacher's score.
+   * @param {string} override.reasoning - The teacher's reasoning.
+   * @param {string|null} [override.overriddenBy=null] - Email of the teacher.
+   * @returns {Object} `{ courseId, assignmentId, studentId, taskId, criterion, assessment, override }`,
+   *   where `assessment` is the original assessment or null.
+   * @throws {Error} If the student has no submission or the task has no submission item.
+   * @throws {RangeError} If the criterion is not defined for the assignment or the score exceeds its max score.
+   */
+  applyAssessmentOverride(
+    assignment,
+    { studentId, taskId, criterion, score, reasoning, overriddenBy = null }
+  ) {
+    const { courseId, assignmentId, submissions, assignmentDefinition } = assignment;
+    const criteria = assignmentDefinition?.criteria ?? Assessment.getDefaultCriteria();
+    const criterionDefinition = criteria.find((entry) => entry.key === criterion);
+    if (!criterionDefinition) {
+      throw new RangeError(
+        `overrideAssessment: criterion ${criterion} is not defined for assignment ${assignmentId}`
+      );
+    }
+    if (typeof score === 'number' && score > criterionDefinition.maxScore) {
+      throw new RangeError(
+        `overrideAssessment: score for ${criterion} must not exceed ${criterionDefinition.maxScore}`
+      );
+    }
+
+    const submission = submissions.find((entry) => entry.studentId === studentId);
+    const item = submission?.getItem(taskId);
+    if (!item) {
+      throw new Error(
+        `overrideAssessment: no submission item for studentId=${studentId}, taskId=${taskId} in assignment ${assignmentId}`
+      );
+    }
+
+    const override = item.overrideAssessment(criterion, { score, reasoning, overriddenBy });
+    submission.touchUpdated();
+    ABLogger.getInstance().info('overrideAssessment: recorded teacher override', {
+      courseId,
+      assignmentId,
+      studentId,
+      taskId,
+      criterion,
+    });
+
+    return {
+      courseId,
+      assignmentId,
+      studentId,
+      taskId,
+      criterion,
+      assessment: item.getAssessment(criterion),
+      override,
+    };
+  }
+
   /**
    * Loads the full assignment document from its dedicated collection.
    *
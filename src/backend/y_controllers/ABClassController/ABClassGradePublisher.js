@@ -0,0 +1,239 @@
+/* global ABLogger, ClassroomApiClient */
+
+const DRAFT_GRADE_DECIMAL_PLACES = 2;
+
+/**
+ * Classroom rejects draft grades from any Cloud project other than the one
+ * that created the coursework with this error. It applies to every student
+ * alike, so it stops the publication rather than failing each write.
+ */
+const CLASSROOM_PROJECT_PERMISSION_DENIED_PATTERN = /ProjectPermissionDenied/;
+
+const CLASSROOM_PUBLICATION_STATUS = Object.freeze({
+  PUBLISHED: 'published',
+  SKIPPED: 'skipped',
+  FAILED: 'failed',
+});
+
+/**
+ * ABClassGradePublisher
+ *
+ * Publishes assessment results to Google Classroom. Converts each student's
+ * weighted overall score into a draft grade on their Classroom submission and
+ * returns a record of what was published. Teachers still review and return
+ * the grades in Classroom.
+ */
+class ABClassGradePublisher {
+  /**
+   * Writes a draft grade for every student with assessed work and records the
+   * publication on the assignment as `classroomPublication`.
+   *
+   * @remarks
+   * The Classroom API has no endpoint for private comments, so when
+   * `includeComments` is set the per-task reasoning is composed and kept on
+   * each student's entry for the teacher to paste into Classroom.
+   *
+   * @param {Assignment} assignment - The fully hydrated assignment.
+   * @param {Object} [options] - Publication options.
+   * @param {boolean} [options.includeComments=false] - Whether to compose per-task reasoning comments.
+   * @param {string|null} [options.publishedBy=null] - Email of the teacher publishing.
+   * @returns {Object} The publication record: `{ publishedAt, publishedBy, includeComments, maxPoints, students }`.
+   * @throws {RangeError} If the Classroom coursework has no point value.
+   * @throws {Error} If Classroom does not let this script grade the coursework because
+   *   another Cloud project, such as the Classroom UI, created it.
+   */
+  publish(assignment, { includeComments = false, publishedBy = null } = {}) {
+    const { courseId, assignmentId, assignmentDefinition, submissions } = assignment;
+    const maxPoints = ClassroomApiClient.fetchCourseWorkMaxPoints(courseId, assignmentId);
+    if (!maxPoints) {
+      throw new RangeError(
+        `publishToClassroom: assignment ${assignmentId} has no point value in Google Classroom`
+      );
+    }
+
+    const classroomSubmissions = new Map(
+      ClassroomApiClient.fetchStudentSubmissions(courseId, assignmentId).map((submission) => [
+        submission.userId,
+        submission,
+      ])
+    );
+    const context = {
+      courseId,
+      assignmentId,
+      assignmentDefinition,
+      maxPoints,
+      classroomSubmissions,
+      includeComments,
+    };
+    const students = submissions.map((submission) => this._publishStudent(context, submission));
+
+    const publication = {
+      publishedAt: new Date().toISOString(),
+      publishedBy,
+      includeComments,
+      maxPoints,
+      students,
+    };
+    assignment.classroomPublication = publication;
+
+    ABLogger.getInstance().info('publishToClassroom: wrote draft grades', {
+      courseId,
+      assignmentId,
+      published: students.filter((entry) => entry.status === CLASSROOM_PUBLICATION_STATUS.PUBLISHED)
+        .length,
+      total: students.length,
+    });
+    return publication;
+  }
+
+  /**
+   * Computes a student's weighted overall score as a fraction of full marks.
+   * Each task scores the criterion-weighted mean of its numeric criterion
+   * scores (teacher overrides win); tasks the student did not attempt count as
+   * zero, weighted by the task's weighting.
+   *
+   * @param {StudentSubmission} submission - The student's submission.
+   * @param {AssignmentDefinition} assignmentDefinition - The full assignment definition.
+   * @returns {number|null} A score from 0 to 1, or null when no task has a numeric score.
+   */
+  computeOverallScore(submission, assignmentDefinition) {
+    const { criteria, tasks } = assignmentDefinition;
+    let weightedSum = 0;
+    let totalWeight = 0;
+    let hasScoredTask = false;
+
+    for (const [taskId, task] of Object.entries(tasks)) {
+      const taskWeighting = task.taskWeighting ?? 1;
+      if (taskWeighting === 0) continue;
+
+      const taskScore = this._computeTaskScore(submission.getItem(taskId), criteria);
+      if (taskScore !== null) hasScoredTask = true;
+      weightedSum += taskWeighting * (taskScore ?? 0);
+      totalWeight += taskWeighting;
+    }
+
+    return hasScoredTask ? weightedSum / totalWeight : null;
+  }
+
+  /**
+   * Publishes one student's draft grade.
+   *
+   * @param {Object} context - Values shared by every student in the publication.
+   * @param {StudentSubmission} submission - The student's submission.
+   * @returns {{studentId: string, status: string, draftGrade: number|null, reason: string|null, comment?: string|null}}
+   *   The student's publication entry.
+   */
+  _publishStudent(context, submission) {
+    const {
+      courseId,
+      assignmentId,
+      assignmentDefinition,
+      maxPoints,
+      classroomSubmissions,
+      includeComments,
+    } = context;
+    const { studentId } = submission;
+    const entry = { studentId, status: CLASSROOM_PUBLICATION_STATUS.SKIPPED, draftGrade: null };
+    if (includeComments) {
+      entry.comment = this._buildComment(submission, assignmentDefinition);
+    }
+
+    const score = this.computeOverallScore(submission, assignmentDefinition);
+    if (score === null) {
+      return { ...entry, reason: 'Not attempted.' };
+    }
+    const classroomSubmission = classroomSubmissions.get(studentId);
+    if (!classroomSubmission) {
+      return { ...entry, reason: 'No Classroom submission found for this student.' };
+    }
+
+    const draftGrade = Number((score * maxPoints).toFixed(DRAFT_GRADE_DECIMAL_PLACES));
+    try {
+      ClassroomApiClient.patchDraftGrade(
+        courseId,
+        assignmentId,
+        classroomSubmission.id,
+        draftGrade
+      );
+    } catch (error) {
+      if (CLASSROOM_PROJECT_PERMISSION_DENIED_PATTERN.test(error?.message ?? '')) {
+        throw new Error(
+          `publishToClassroom: Google Classroom only accepts draft grades from the project that created the coursework, and assignment ${assignmentId} was created elsewhere (for example in Classroom itself). No grades were written.`
+        );
+      }
+      ABLogger.getInstance().warn('publishToClassroom: failed to write draft grade', {
+        courseId,
+        assignmentId,
+        studentId,
+        err: error,
+      });
+      return { ...entry, status: CLASSROOM_PUBLICATION_STATUS.FAILED, reason: error.message };
+    }
+    return { ...entry, status: CLASSROOM_PUBLICATION_STATUS.PUBLISHED, draftGrade, reason: null };
+  }
+
+  /**
+   * Computes the criterion-weighted mean of a submission item's numeric scores,
+   * each taken as a fraction of its criterion's max score.
+   *
+   * @param {StudentSubmissionItem|null} item - The submission item for the task.
+   * @param {Array<{key: string, maxScore: number, weighting: number}>} criteria - Assessment criteria.
+   * @returns {number|null} A score from 0 to 1, or null when no criterion has a numeric score.
+   */
+  _computeTaskScore(item, criteria) {
+    if (!item) return null;
+    let weightedSum = 0;
+    let totalWeight = 0;
+
+    for (const { key, maxScore, weighting } of criteria) {
+      const score = item.getEffectiveAssessment(key)?.score;
+      if (typeof score !== 'number') continue;
+      weightedSum += weighting * (score / maxScore);
+      totalWeight += weighting;
+    }
+
+    return totalWeight > 0 ? weightedSum / totalWeight : null;
+  }
+
+  /**
+   * Composes a comment listing each task's criterion scores and reasoning, in task order.
+   *
+   * @param {StudentSubmission} submission - The student's submission.
+   * @param {AssignmentDefinition} assignmentDefinition - The full assignment definition.
+   * @returns {string|null} The comment, or null when no task has reasoning.
+   */
+  _buildComment(submission, assignmentDefinition) {
+    const { criteria, tasks } = assignmentDefinition;
+    const sections = Object.entries(tasks)
+      .toSorted(([, left], [, right]) => (left.index ?? 0) - (right.index ?? 0))
+      .map(([taskId, task]) => {
+        const item = submission.getItem(taskId);
+        const lines = criteria
+          .map((criterion) => this._describeAssessment(criterion, item))
+          .filter(Boolean);
+        return lines.length > 0 ? [task.taskTitle, ...lines].join('\n') : null;
+      })
+      .filter(Boolean);
+
+    return sections.length > 0 ? sections.join('\n\n') : null;
+  }
+
+  /**
+   * Describes one criterion's effective assessment for a comment.
+   *
+   * @param {{key: string, label: string, maxScore: number}} criterion - The criterion.
+   * @param {StudentSubmissionItem|null} item - The submission item for the task.
+   * @returns {string|null} A `- Label (score/max): reasoning` line, or null without reasoning.
+   */
+  _describeAssessment({ key, label, maxScore }, item) {
+    const assessment = item?.getEffectiveAssessment(key);
+    if (!assessment?.reasoning) return null;
+    const score = typeof assessment.score === 'number' ? ` (${assessment.score}/${maxScore})` : '';
+    return `- ${label}${score}: ${assessment.reasoning}`;
+  }
+}
+
+// Export for Node tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ABClassGradePublisher;
+}
@@ -0,0 +1,272 @@
+/* global ABLogger, BatchUpdateUtility, DriveManager, Sheets */
+
+const GRADEBOOK_SHEET_TITLE = 'Gradebook';
+const GRADEBOOK_SPREADSHEET_URL_PREFIX = 'https://docs.google.com/spreadsheets/d/';
+
+// Heatmap bands on the 0–5 metric scale, matching the class page's red → amber → green gradient.
+const GRADEBOOK_HEATMAP_MIN = 0;
+const GRADEBOOK_HEATMAP_MID = 2.5;
+const GRADEBOOK_HEATMAP_MAX = 5;
+const GRADEBOOK_HEATMAP_COLOURS = Object.freeze({
+  low: { red: 0.902, green: 0.486, blue: 0.451 }, // #e67c73
+  mid: { red: 1, green: 0.839, blue: 0.4 }, // #ffd666
+  high: { red: 0.341, green: 0.733, blue: 0.541 }, // #57bb8a
+  notAttempted: { red: 0.91, green: 0.91, blue: 0.91 }, // #e8e8e8
+  error: { red: 1, green: 0.949, blue: 0.91 }, // #fff2e8
+});
+
+/**
+ * Converts a gradebook value into a Sheets cell; nulls become blank cells.
+ *
+ * @param {string|number|null} value - Cell value.
+ * @returns {Object} A `CellData` object.
+ */
+function toGradebookCell(value) {
+  if (value === null || value === undefined) return {};
+  return {
+    userEnteredValue:
+      typeof value === 'number' ? { numberValue: value } : { stringValue: String(value) },
+  };
+}
+
+/**
+ * Builds a numeric gradient interpolation point.
+ *
+ * @param {number} value - Point on the metric scale.
+ * @param {Object} color - Sheets colour.
+ * @returns {Object} An `InterpolationPoint`.
+ */
+function toGradientPoint(value, color) {
+  return { type: 'NUMBER', value: String(value), color };
+}
+
+/**
+ * ABClassGradebookExporter
+ *
+ * Writes a class gradebook into a Google Sheet. The table itself is built by
+ * the frontend from the averaging analysis, so the exporter only lays it out:
+ * a bold, frozen header row, a frozen name column and heatmap conditional
+ * formatting over the metric columns.
+ */
+class ABClassGradebookExporter {
+  /**
+   * Creates or refreshes the gradebook spreadsheet and writes the table into its first sheet.
+   *
+   * @param {Object} gradebook - The gradebook to write.
+   * @param {string} gradebook.title - Spreadsheet name.
+   * @param {Array<string>} gradebook.headers - Column headers.
+   * @param {Array<Array<string|number|null>>} gradebook.rows - One row per student, aligned with `headers`.
+   * @param {Array<number>} [gradebook.metricColumnIndexes] - Zero-based columns holding 0–5 metrics.
+   * @param {string|null} [gradebook.templateSpreadsheetId] - Template to copy with
+   *   `DriveManager.copyTemplateSheet`; a blank spreadsheet is created when omitted.
+   * @returns {{spreadsheetId: string, spreadsheetUrl: string, rowCount: number}} The written spreadsheet.
+   */
+  export({ title, headers, rows, metricColumnIndexes = [], templateSpreadsheetId = null }) {
+    const rowCount = rows.length + 1;
+    const columnCount = headers.length;
+    const target = templateSpreadsheetId
+      ? this._prepareTemplateCopy(templateSpreadsheetId, title, rowCount, columnCount)
+      : this._createSpreadsheet(title, rowCount, columnCount);
+
+    const requests = [
+      ...target.requests,
+      this._buildValuesRequest(target.sheetId, headers, rows),
+      ...this._buildLayoutRequests(target.sheetId, columnCount),
+      ...this._buildHeatmapRequests(target.sheetId, metricColumnIndexes, rowCount),
+    ];
+    BatchUpdateUtility.executeBatchUpdate(requests, target.spreadsheetId);
+
+    ABLogger.getInstance().info('exportGradebook: wrote gradebook spreadsheet', {
+      spreadsheetId: target.spreadsheetId,
+      rows: rows.length,
+      columns: columnCount,
+    });
+    return {
+      spreadsheetId: target.spreadsheetId,
+      spreadsheetUrl: `${GRADEBOOK_SPREADSHEET_URL_PREFIX}${target.spreadsheetId}/edit`,
+      rowCount: rows.length,
+    };
+  }
+
+  /**
+   * Creates a blank spreadsheet whose single sheet is exactly the size of the gradebook.
+   *
+   * @param {string} title - Spreadsheet name.
+   * @param {number} rowCount - Rows including the header row.
+   * @param {number} columnCount - Columns.
+   * @returns {{spreadsheetId: string, sheetId: number, requests: Array}} The new spreadsheet.
+   */
+  _createSpreadsheet(title, rowCount, columnCount) {
+    const spreadsheet = Sheets.Spreadsheets.create({
+      properties: { title },
+      sheets: [
+        {
+          properties: { title: GRADEBOOK_SHEET_TITLE, gridProperties: { rowCount, columnCount } },
+        },
+      ],
+    });
+    return {
+      spreadsheetId: spreadsheet.spreadsheetId,
+      sheetId: spreadsheet.sheets[0].properties.sheetId,
+      requests: [],
+    };
+  }
+
+  /**
+   * Copies the template, or reuses the copy an earlier export made under the same name, and
+   * builds the requests that clear its first sheet's values and heatmap rules and grow the
+   * grid to fit.
+   *
+   * @param {string} templateSpreadsheetId - Template spreadsheet ID.
+   * @param {string} title - Spreadsheet name.
+   * @param {number} rowCount - Rows including the header row.
+   * @param {number} columnCount - Columns.
+   * @returns {{spreadsheetId: string, sheetId: number, requests: Array}} The copy and its preparation requests.
+   */
+  _prepareTemplateCopy(templateSpreadsheetId, title, rowCount, columnCount) {
+    const { fileId } = DriveManager.copyTemplateSheet(templateSpreadsheetId, null, title);
+    const response = Sheets.Spreadsheets.get(fileId, {
+      fields: 'sheets(properties(sheetId,gridProperties(rowCount,columnCount)),conditionalFormats)',
+    });
+    const { properties, conditionalFormats = [] } = response.sheets[0];
+    const { sheetId, gridProperties = {} } = properties;
+
+    // Delete from the last rule down so earlier indexes stay valid.
+    const requests = conditionalFormats
+      .map((_, index) => ({ deleteConditionalFormatRule: { sheetId, index } }))
+      .toReversed();
+    requests.push({ updateCells: { range: { sheetId }, fields: 'userEnteredValue' } });
+
+    const missingRows = rowCount - (gridProperties.rowCount || 0);
+    const missingColumns = columnCount - (gridProperties.columnCount || 0);
+    if (missingRows > 0) {
+      requests.push({ appendDimension: { sheetId, dimension: 'ROWS', length: missingRows } });
+    }
+    if (missingColumns > 0) {
+      requests.push({
+        appendDimension: { sheetId, dimension: 'COLUMNS', length: missingColumns },
+      });
+    }
+    return { spreadsheetId: fileId, sheetId, requests };
+  }
+
+  /**
+   * Builds the request writing the header and student rows from A1.
+   *
+   * @param {number} sheetId - Target sheet.
+   * @param {Array<string>} headers - Column headers.
+   * @param {Array<Array<string|number|null>>} rows - Student rows.
+   * @returns {Object} An `updateCells` request.
+   */
+  _buildValuesRequest(sheetId, headers, rows) {
+    return {
+      updateCells: {
+        start: { sheetId, rowIndex: 0, columnIndex: 0 },
+        rows: [headers, ...rows].map((row) => ({
+          values: row.map((value) => toGradebookCell(value)),
+        })),
+        fields: 'userEnteredValue',
+      },
+    };
+  }
+
+  /**
+   * Builds the requests that bold the header row and freeze it with the name column.
+   *
+   * @param {number} sheetId - Target sheet.
+   * @param {number} columnCount - Columns.
+   * @returns {Array} Batch update requests.
+   */
+  _buildLayoutRequests(sheetId, columnCount) {
+    return [
+      {
+        repeatCell: {
+          range: {
+            sheetId,
+            startRowIndex: 0,
+            endRowIndex: 1,
+            startColumnIndex: 0,
+            endColumnIndex: columnCount,
+          },
+          cell: { userEnteredFormat: { textFormat: { bold: true } } },
+          fields: 'userEnteredFormat.textFormat.bold',
+        },
+      },
+      {
+        updateSheetProperties: {
+          properties: { sheetId, gridProperties: { frozenRowCount: 1, frozenColumnCount: 1 } },
+          fields: 'gridProperties.frozenRowCount,gridProperties.frozenColumnCount',
+        },
+      },
+    ];
+  }
+
+  /**
+   * Builds the heatmap rules for the metric columns: a red → amber → green gradient over
+   * numeric scores, grey for not attempted (`N`) and orange for errors (`E`).
+   *
+   * @param {number} sheetId - Target sheet.
+   * @param {Array<number>} metricColumnIndexes - Zero-based metric columns.
+   * @param {number} rowCount - Rows including the header row.
+   * @returns {Array} `addConditionalFormatRule` requests; empty when there are no metric columns or rows.
+   */
+  _buildHeatmapRequests(sheetId, metricColumnIndexes, rowCount) {
+    const hasStudentRows = rowCount > 1;
+    if (metricColumnIndexes.length === 0 || !hasStudentRows) return [];
+
+    const ranges = ABClassGradebookExporter.toColumnRuns(metricColumnIndexes).map(
+      ([startColumnIndex, endColumnIndex]) => ({
+        sheetId,
+        startRowIndex: 1,
+        endRowIndex: rowCount,
+        startColumnIndex,
+        endColumnIndex,
+      })
+    );
+    const textRule = (text, backgroundColor) => ({
+      ranges,
+      booleanRule: {
+        condition: { type: 'TEXT_EQ', values: [{ userEnteredValue: text }] },
+        format: { backgroundColor },
+      },
+    });
+
+    return [
+      {
+        ranges,
+        gradientRule: {
+          minpoint: toGradientPoint(GRADEBOOK_HEATMAP_MIN, GRADEBOOK_HEATMAP_COLOURS.low),
+          midpoint: toGradientPoint(GRADEBOOK_HEATMAP_MID, GRADEBOOK_HEATMAP_COLOURS.mid),
+          maxpoint: toGradientPoint(GRADEBOOK_HEATMAP_MAX, GRADEBOOK_HEATMAP_COLOURS.high),
+        },
+      },
+      textRule('N', GRADEBOOK_HEATMAP_COLOURS.notAttempted),
+      textRule('E', GRADEBOOK_HEATMAP_COLOURS.error),
+    ].map((rule, index) => ({ addConditionalFormatRule: { rule, index } }));
+  }
+
+  /**
+   * Groups column indexes into contiguous half-open runs.
+   *
+   * @param {Array<number>} columnIndexes - Zero-based column indexes, in any order.
+   * @returns {Array<[number, number]>} `[start, end)` runs in column order.
+   */
+  static toColumnRuns(columnIndexes) {
+    const runs = [];
+    let currentRun = null;
+    for (const index of [...new Set(columnIndexes)].toSorted((left, right) => left - right)) {
+      if (currentRun && currentRun[1] === index) {
+        currentRun[1] = index + 1;
+      } else {
+        currentRun = [index, index + 1];
+        runs.push(currentRun);
+      }
+    }
+    return runs;
+  }
+}
+
+// Export for Node tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ABClassGradebookExporter;
+}
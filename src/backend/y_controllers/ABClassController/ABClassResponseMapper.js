@@ -78,7 +78,8 @@ class ABClassResponseMapper {
         ? abClass.assignments.map((assignment) => {
             const partial = assignment.toPartialJSON();
             // Defence-in-depth: strip _hydrationLevel and progressTracker
-            const { _hydrationLevel, progressTracker, ...safe } = partial;
+            // Usage records are served by getAssessmentUsageReport, not the class read view.
+            const { _hydrationLevel, progressTracker, assessmentUsage, ...safe } = partial;
             // Replace the embedded assignmentDefinition with just the definitionKey.
             // The frontend resolves definition details from its own registry
             // (AssignmentDefinitionPartials), so the full embedded object is redundant
@@ -0,0 +1,154 @@
+/* global ABLogger, AssessorUsage */
+
+// Length of the `YYYY-MM` prefix of an ISO timestamp.
+const USAGE_REPORT_MONTH_LENGTH = 7;
+
+/**
+ * ABClassUsageReport
+ *
+ * Aggregates the assessor usage records stored on each class's assignment partials into
+ * totals per class, per assignment definition and per calendar month. Reads the stored class
+ * documents directly: no roster refresh, no Classroom calls and no writes.
+ */
+class ABClassUsageReport {
+  /**
+   * Constructs ABClassUsageReport.
+   * @param {Object} options - Options object.
+   * @param {Object} options.dbManager - The DbManager instance for collection access.
+   */
+  constructor({ dbManager }) {
+    this._dbManager = dbManager;
+  }
+
+  /**
+   * Builds the usage report across every class in the partials registry.
+   * @returns {{totals: Object, byClass: Object[], byDefinition: Object[], byMonth: Object[]}}
+   *   Usage totals overall and per group. Each group row carries its key fields plus `runs`,
+   *   the usage counters, `maxPayloadBytes` and summed `assessorUsage` fields.
+   */
+  build() {
+    const totals = ABClassUsageReport.emptyTotals();
+    const byClass = new Map();
+    const byDefinition = new Map();
+    const byMonth = new Map();
+
+    this._readClassDocuments().forEach(({ classId, className, assignments }) => {
+      assignments.forEach((assignment) => {
+        const runs = Array.isArray(assignment?.assessmentUsage) ? assignment.assessmentUsage : [];
+        runs.forEach((run) => {
+          const definitionKey =
+            run.definitionKey ?? assignment.assignmentDefinition?.definitionKey ?? null;
+          ABClassUsageReport.addRun(totals, run);
+          ABClassUsageReport.addRun(
+            ABClassUsageReport._group(byClass, classId, { classId, className }),
+            run
+          );
+          ABClassUsageReport.addRun(
+            ABClassUsageReport._group(byDefinition, definitionKey, {
+              definitionKey,
+              primaryTitle: assignment.assignmentDefinition?.primaryTitle ?? null,
+            }),
+            run
+          );
+          const month = ABClassUsageReport.toMonth(run.startedAt);
+          ABClassUsageReport.addRun(ABClassUsageReport._group(byMonth, month, { month }), run);
+        });
+      });
+    });
+
+    return {
+      totals,
+      byClass: [...byClass.values()].toSorted((a, b) =>
+        String(a.className ?? a.classId).localeCompare(String(b.className ?? b.classId))
+      ),
+      byDefinition: [...byDefinition.values()].toSorted((a, b) =>
+        String(a.primaryTitle ?? a.definitionKey ?? '').localeCompare(
+          String(b.primaryTitle ?? b.definitionKey ?? '')
+        )
+      ),
+      byMonth: [...byMonth.values()].toSorted((a, b) =>
+        String(a.month ?? '').localeCompare(String(b.month ?? ''))
+      ),
+    };
+  }
+
+  /**
+   * Reads each registered class's stored document, skipping classes whose document is missing.
+   * @returns {Array<{classId: string, className: string|null, assignments: Object[]}>} The classes.
+   */
+  _readClassDocuments() {
+    const partials = this._dbManager.getCollection('abclass_partials').find({});
+    if (!Array.isArray(partials)) {
+      throw new TypeError('getAssessmentUsageReport: unexpected non-array result from find()');
+    }
+
+    return partials
+      .filter((partial) => typeof partial?.classId === 'string' && partial.classId !== '')
+      .map((partial) => {
+        const document = this._dbManager
+          .getCollection(partial.classId)
+          .findOne({ classId: partial.classId });
+        if (!document) {
+          ABLogger.getInstance().warn('getAssessmentUsageReport: class document missing', {
+            classId: partial.classId,
+          });
+        }
+        return {
+          classId: partial.classId,
+          className: partial.className ?? null,
+          assignments: Array.isArray(document?.assignments) ? document.assignments : [],
+        };
+      });
+  }
+
+  /**
+   * Returns the group row for a key, creating it with the given key fields when absent.
+   * @param {Map<*, Object>} groups - Rows by key.
+   * @param {*} key - Group key.
+   * @param {Object} fields - Key fields copied onto a new row.
+   * @returns {Object} The row.
+   */
+  static _group(groups, key, fields) {
+    if (!groups.has(key)) groups.set(key, { ...fields, ...ABClassUsageReport.emptyTotals() });
+    return groups.get(key);
+  }
+
+  /**
+   * Returns a totals row with nothing counted.
+   * @returns {Object} The totals.
+   */
+  static emptyTotals() {
+    return { runs: 0, ...AssessorUsage.emptyCounters(), maxPayloadBytes: 0, assessorUsage: {} };
+  }
+
+  /**
+   * Adds one run's usage record to a totals row in place.
+   * @param {Object} row - Totals row.
+   * @param {Object} run - Usage record from `Assignment.assessmentUsage`.
+   * @returns {void}
+   */
+  static addRun(row, run) {
+    Object.assign(row, AssessorUsage.addCounters(row, run), {
+      runs: row.runs + 1,
+      maxPayloadBytes: Math.max(row.maxPayloadBytes, Number(run.maxPayloadBytes) || 0),
+      assessorUsage: AssessorUsage.addNumericFields(row.assessorUsage, run.assessorUsage),
+    });
+  }
+
+  /**
+   * Converts a run's start time to its UTC calendar month.
+   * @param {string|null} startedAt - ISO timestamp.
+   * @returns {string|null} The month as `YYYY-MM`, or null when the time is unreadable.
+   */
+  static toMonth(startedAt) {
+    const date = new Date(startedAt ?? Number.NaN);
+    return Number.isNaN(date.getTime())
+      ? null
+      : date.toISOString().slice(0, USAGE_REPORT_MONTH_LENGTH);
+  }
+}
+
+// Export for Node tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ABClassUsageReport;
+}
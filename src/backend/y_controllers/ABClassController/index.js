@@ -6,7 +6,7 @@
  *
  * Public API contract is preserved from the original monolithic class.
  */
-/* global ABClassValidation, ABClassPersistence, ABClassRoster, ABClassAssignmentOps, ABClassResponseMapper, DbManager, ABLogger, ClassroomApiClient, Teacher, ABClass, Assignment, AssignmentNotFoundError, AssignmentDefinitionController, ClassNotFoundError, Validate, TypeError, RangeError */
+/* global ABClassValidation, ABClassPersistence, ABClassRoster, ABClassAssignmentOps, ABClassGradePublisher, ABClassGradebookExporter, ABClassUsageReport, ABClassResponseMapper, SheetsFeedback, SlidesFeedback, DbManager, ABLogger, ClassroomApiClient, Teacher, ABClass, Assignment, AssignmentNotFoundError, AssignmentDefinitionController, ClassNotFoundError, Validate, TypeError, RangeError */
 
 /**
  * Loads, persists, and mutates ABClass records stored in JsonDbApp-backed
@@ -14,7 +14,7 @@
  * after its classId, with plain serialized ABClass objects written via
  * ABClass.toJSON().
  *
- * Delegates to five focused sub-classes injected at construction time.
+ * Delegates to six focused sub-classes injected at construction time.
  * @class
  */
 class ABClassController {
@@ -40,6 +40,9 @@ class ABClassController {
       validation: this._validation,
       persistence: this._persistence,
     });
+    this._gradePublisher = new ABClassGradePublisher();
+    this._gradebookExporter = new ABClassGradebookExporter();
+    this._usageReport = new ABClassUsageReport({ dbManager: databaseManager });
     this._responseMapper = new ABClassResponseMapper();
   }
 
@@ -226,13 +229,28 @@ class ABClassController {
    * `_toReadView` method.
    */
   readClass(classId) {
+    const abClass = this._readStoredClass(classId, 'readClass');
+    ABLogger.getInstance().info('readClass: returning read view', { classId });
+    return this._responseMapper._toReadView(abClass);
+  }
+
+  /**
+   * Reads and deserialises a stored ABClass without refreshing its roster.
+   *
+   * @param {string} classId - The Classroom course identifier.
+   * @param {string} methodName - Calling method, used in log and error messages.
+   * @returns {ABClass} The stored class instance.
+   * @throws {TypeError} If classId is falsy.
+   * @throws {ClassNotFoundError} If no stored class document exists for the given classId.
+   */
+  _readStoredClass(classId, methodName) {
     if (!classId) throw new TypeError('classId is required');
     const logger = ABLogger.getInstance();
 
     const collection = this._dbManager.getCollection(classId);
-    logger.info('readClass: called', { classId, hasCollection: !!collection });
+    logger.info(`${methodName}: called`, { classId, hasCollection: !!collection });
     if (!collection) {
-      throw new ClassNotFoundError(`readClass: no stored class found for classId=${classId}`, {
+      throw new ClassNotFoundError(`${methodName}: no stored class found for classId=${classId}`, {
         courseId: classId,
       });
     }
@@ -240,14 +258,12 @@ class ABClassController {
     // Collection exists — read the single stored document (if any)
     const document = collection.findOne({ classId }) || null;
     if (!document) {
-      throw new ClassNotFoundError(`readClass: no stored class found for classId=${classId}`, {
+      throw new ClassNotFoundError(`${methodName}: no stored class found for classId=${classId}`, {
         courseId: classId,
       });
     }
 
-    const abClass = ABClass.fromJSON(document);
-    logger.info('readClass: returning read view', { classId });
-    return this._responseMapper._toReadView(abClass);
+    return ABClass.fromJSON(document);
   }
 
   /**
@@ -449,6 +465,127 @@ class ABClassController {
     this.saveClass(abClass);
   }
 
+  /**
+   * Records a teacher override for one criterion of a student's submission item and
+   * persists the assignment. The original assessment is kept alongside the override.
+   * Reads the class without a roster refresh, since only the assignment changes.
+   * @param {Object} parameters - Override parameters.
+   * @param {string} parameters.courseId - The Classroom course identifier.
+   * @param {string} parameters.assignmentId - The assignment ID.
+   * @param {string} parameters.studentId - The student whose work is being moderated.
+   * @param {string} parameters.taskId - The task the submission item answers.
+   * @param {string} parameters.criterion - The criterion being overridden.
+   * @param {number|string} parameters.score - The teacher's score (0-5, or 'N').
+   * @param {string} parameters.reasoning - The teacher's reasoning.
+   * @param {string|null} [parameters.overriddenBy=null] - Email of the teacher.
+   * @returns {Object} The item's original assessment and the stored override.
+   * @throws {ClassNotFoundError} If the class does not exist.
+   * @throws {AssignmentNotFoundError} If the assignment has not been persisted.
+   * @throws {Error} If the student or task has no submission item.
+   */
+  overrideAssessment(parameters) {
+    const { courseId, assignmentId } = parameters;
+    const abClass = this._readStoredClass(courseId, 'overrideAssessment');
+    const assignment = this.readRehydrateAssignment(courseId, assignmentId);
+    const result = this._assignmentOps.applyAssessmentOverride(assignment, parameters);
+    this.persistAssignmentRun(abClass, assignment);
+    return result;
+  }
+
+  /**
+   * Writes each student's weighted overall score to Google Classroom as a draft grade
+   * and persists the publication record on the assignment.
+   * Reads the class without a roster refresh, since only the assignment changes.
+   * @param {Object} parameters - Publication parameters.
+   * @param {string} parameters.courseId - The Classroom course identifier.
+   * @param {string} parameters.assignmentId - The assignment ID.
+   * @param {boolean} [parameters.includeComments=false] - Whether to compose per-task reasoning comments.
+   * @param {string|null} [parameters.publishedBy=null] - Email of the teacher publishing.
+   * @returns {Object} The publication record.
+   * @throws {ClassNotFoundError} If the class does not exist.
+   * @throws {AssignmentNotFoundError} If the assignment has not been persisted.
+   * @throws {RangeError} If the Classroom coursework has no point value.
+   */
+  publishToClassroom(parameters) {
+    const { courseId, assignmentId, includeComments, publishedBy } = parameters;
+    const abClass = this._readStoredClass(courseId, 'publishToClassroom');
+    const assignment = this.readRehydrateAssignment(courseId, assignmentId);
+    const publication = this._gradePublisher.publish(assignment, { includeComments, publishedBy });
+    this.persistAssignmentRun(abClass, assignment);
+    return publication;
+  }
+
+  /**
+   * Writes assessment feedback into each student's document, or removes feedback written
+   * previously. Writing replaces earlier feedback, so repeated calls do not duplicate it.
+   * Google Slides and Google Sheets assignments are supported.
+   * @param {Object} parameters - Feedback parameters.
+   * @param {string} parameters.courseId - The Classroom course identifier.
+   * @param {string} parameters.assignmentId - The assignment ID.
+   * @param {string} [parameters.mode='update'] - `'update'` to write feedback or `'remove'` to clear it.
+   * @param {string} [parameters.placement='speakerNotes'] - Slides only: `'speakerNotes'` or `'textBox'`.
+   * @param {string} [parameters.formulaHint='pattern'] - Sheets only: `'none'`, `'pattern'` or `'formula'`.
+   * @returns {{documentsUpdated: number, documentsFailed: number, itemsWritten: number}} Counts of what changed.
+   * @throws {ClassNotFoundError} If the class does not exist.
+   * @throws {AssignmentNotFoundError} If the assignment has not been persisted.
+   * @throws {RangeError} If the assignment is neither a Slides nor a Sheets assignment.
+   */
+  populateStudentFeedback(parameters) {
+    const { courseId, assignmentId, mode = 'update', placement, formulaHint } = parameters;
+    this._readStoredClass(courseId, 'populateStudentFeedback');
+    const assignment = this.readRehydrateAssignment(courseId, assignmentId);
+    const { submissions, assignmentDefinition } = assignment;
+    const documentType = assignment.getDocumentType();
+    let populator;
+    if (documentType === 'SLIDES') {
+      populator = new SlidesFeedback(submissions, assignmentDefinition, { placement });
+    } else if (documentType === 'SHEETS') {
+      populator = new SheetsFeedback(submissions, assignmentDefinition, { formulaHint });
+    } else {
+      throw new RangeError(
+        `populateStudentFeedback: ${documentType} assignments do not support written feedback`
+      );
+    }
+
+    const summary = mode === 'remove' ? populator.removeFeedback() : populator.applyFeedback();
+    ABLogger.getInstance().info('populateStudentFeedback: updated student documents', {
+      courseId,
+      assignmentId,
+      mode,
+      ...summary,
+    });
+    return summary;
+  }
+
+  /**
+   * Writes a class gradebook into a Google Sheet, copying the template when one is given.
+   * The rows are built by the caller from the class averaging analysis.
+   * @param {Object} parameters - Export parameters.
+   * @param {string} parameters.courseId - The Classroom course identifier.
+   * @param {string} parameters.title - Spreadsheet name.
+   * @param {Array<string>} parameters.headers - Column headers.
+   * @param {Array<Array<string|number|null>>} parameters.rows - One row per student.
+   * @param {Array<number>} [parameters.metricColumnIndexes] - Columns to heatmap.
+   * @param {string|null} [parameters.templateSpreadsheetId] - Template to copy.
+   * @returns {{spreadsheetId: string, spreadsheetUrl: string, rowCount: number}} The written spreadsheet.
+   * @throws {ClassNotFoundError} If the class does not exist.
+   */
+  exportGradebook(parameters) {
+    const { courseId, ...gradebook } = parameters;
+    this._readStoredClass(courseId, 'exportGradebook');
+    return this._gradebookExporter.export(gradebook);
+  }
+
+  /**
+   * Aggregates the assessor usage recorded on every class's assignments by class, assignment
+   * definition and month. Pure read; delegates to ABClassUsageReport.
+   * @returns {{totals: Object, byClass: Object[], byDefinition: Object[], byMonth: Object[]}}
+   *   The usage report.
+   */
+  getAssessmentUsageReport() {
+    return this._usageReport.build();
+  }
+
   /**
    * Read-only rehydrate: loads and hydrates an assignment directly from its
    * dedicated collection without needing an ABClass instance.
@@ -0,0 +1,241 @@
+// AssessmentRunCoordinator.js
+
+/* global ABLogger, AssessmentRunQueue, AssignmentNotFoundError, GASPropertiesUtils, TriggerController, Utilities */
+
+const ASSESSMENT_RUN_TOAST_DURATION_SECONDS = 5;
+const ASSESSMENT_RUN_CHECKPOINT_MESSAGE =
+  'Time limit approaching; progress saved and the run will resume shortly.';
+
+/**
+ * Upper bound on continuation executions for a single run. A run that still
+ * has not finished after this many checkpoints is failed rather than
+ * rescheduled indefinitely.
+ */
+const ASSESSMENT_RUN_MAX_CONTINUATIONS = 10;
+
+/**
+ * AssessmentRunCoordinator
+ *
+ * Owns the lifecycle of queued assessment runs for AssignmentController: queueing runs,
+ * keeping a `triggerProcessSelectedAssignment` trigger pending while work is waiting, taking
+ * the next run for an execution, and checkpointing, resuming or finishing it. The assessment
+ * pipeline itself stays on AssignmentController.
+ */
+class AssessmentRunCoordinator {
+  /**
+   * Creates a coordinator bound to the current user's run queue.
+   * @param {Object} options - Options object.
+   * @param {ProgressTracker} options.progressTracker - Tracker reporting run progress.
+   * @param {Object} options.utils - Utils used for toast messages.
+   */
+  constructor({ progressTracker, utils }) {
+    this.progressTracker = progressTracker;
+    this.utils = utils;
+    this.runQueue = new AssessmentRunQueue();
+  }
+
+  /**
+   * Queues a run and, when nothing is already running, makes sure a trigger is pending to
+   * process it.
+   *
+   * @param {string} assignmentId - The ID of the assignment to be processed.
+   * @param {string} definitionKey - The key of the assignment definition to use.
+   * @param {string} courseId - Classroom course ID used for downstream processing.
+   * @returns {string} The id of the queued run.
+   * @throws {Error} If the queue is full, or if trigger creation fails.
+   */
+  enqueueRun(assignmentId, definitionKey, courseId) {
+    const runId = Utilities.getUuid();
+
+    this.runQueue.enqueue({ runId, assignmentId, definitionKey, courseId });
+    ABLogger.getInstance().info(`Assessment run ${runId} queued.`);
+
+    // A run in progress schedules the next trigger itself when it finishes.
+    if (!this.runQueue.hasActiveRun()) {
+      this.scheduleQueuedRuns();
+    }
+
+    return runId;
+  }
+
+  /**
+   * Ensures a `triggerProcessSelectedAssignment` trigger is pending, creating one unless the
+   * trigger recorded in UserProperties is still installed.
+   *
+   * @returns {void}
+   * @throws {Error} If trigger creation fails or if setting user properties fails
+   */
+  scheduleQueuedRuns() {
+    // Lazily instantiate TriggerController
+    const triggerController = new TriggerController();
+    const properties = GASPropertiesUtils.getUserProperties();
+    const pendingTriggerId = properties.getProperty('triggerId');
+    if (pendingTriggerId && triggerController.triggerExists(pendingTriggerId)) {
+      return;
+    }
+
+    let triggerId;
+    try {
+      triggerId = triggerController.createTimeBasedTrigger('triggerProcessSelectedAssignment');
+      ABLogger.getInstance().info(
+        `Trigger created for triggerProcessSelectedAssignment with triggerId: ${triggerId}`
+      );
+    } catch (error) {
+      this.progressTracker.logAndThrowError(`Error creating trigger: ${error.message}`, error);
+      this.utils.toastMessage(
+        'Failed to create trigger: ' + error.message,
+        'Error',
+        ASSESSMENT_RUN_TOAST_DURATION_SECONDS
+      );
+    }
+
+    try {
+      GASPropertiesUtils.applyProperties(properties, { triggerId });
+      ABLogger.getInstance().info('Properties set for processing.');
+    } catch (error) {
+      this.progressTracker.logAndThrowError(`Error setting properties: ${error.message}`, error);
+      this.utils.toastMessage(
+        'Failed to set processing properties: ' + error.message,
+        'Error',
+        ASSESSMENT_RUN_TOAST_DURATION_SECONDS
+      );
+    }
+  }
+
+  /**
+   * Consumes the trigger that started this execution and returns the next queued run.
+   * Removes any leftover triggers when nothing is waiting.
+   *
+   * @returns {Object|null} The oldest queued entry, or null when the queue is empty.
+   */
+  takeNextRun() {
+    const properties = GASPropertiesUtils.getUserProperties();
+    const triggerId = properties.getProperty('triggerId');
+
+    // Lazily instantiate TriggerController for trigger deletion
+    const triggerController = new TriggerController();
+    if (triggerId) {
+      triggerController.deleteTriggerById(triggerId);
+      GASPropertiesUtils.clearProperties(properties, ['triggerId']);
+      ABLogger.getInstance().info('Trigger deleted after processing.');
+    }
+
+    const run = this.runQueue.peekNext();
+    if (!run) {
+      triggerController.removeTriggers('triggerProcessSelectedAssignment');
+      ABLogger.getInstance().info('No queued assessment runs to process.');
+    }
+    return run;
+  }
+
+  /**
+   * Marks a run as running and starts, or for a checkpointed run resumes, its progress tracking.
+   *
+   * @param {Object} run - Queue entry returned by `takeNextRun`.
+   * @returns {boolean} True when the run is resuming from a checkpoint.
+   */
+  startRun(run) {
+    const { runId, checkpointedAt } = run;
+    const resuming = Boolean(checkpointedAt);
+    if (resuming) {
+      this.progressTracker.resumeTracking(runId);
+      this.runQueue.markRunning(runId);
+      this.progressTracker.updateProgress('Resuming assessment run from checkpoint.');
+    } else {
+      this.progressTracker.startTracking(runId);
+      this.runQueue.markRunning(runId);
+      this.progressTracker.updateProgress('Assessment run starting.');
+    }
+    return resuming;
+  }
+
+  /**
+   * Rehydrates the previous run of this coursework so a repeat run only reassesses work that
+   * changed or was handed in since. Every submission is marked for extraction again; items whose
+   * artifact contentHash is unchanged keep their prior assessments.
+   *
+   * @param {ABClassController} abClassController - Controller used to read the previous run.
+   * @param {AssignmentDefinition} definition - Definition the new run will use.
+   * @param {string} courseId - The Classroom course ID.
+   * @param {string} assignmentId - The assignment ID.
+   * @returns {SlidesAssignment|SheetsAssignment|null} The previous run ready to re-run, or null when
+   *   there is none or it was assessed against a different definition.
+   */
+  loadPreviousRun(abClassController, definition, courseId, assignmentId) {
+    let previous;
+    try {
+      previous = abClassController.readRehydrateAssignment(courseId, assignmentId);
+    } catch (error) {
+      if (!(error instanceof AssignmentNotFoundError)) {
+        ABLogger.getInstance().warn(
+          'Previous assessment run could not be loaded; assessing every submission.',
+          error
+        );
+      }
+      return null;
+    }
+
+    const previousDefinition = previous.assignmentDefinition;
+    if (
+      previousDefinition?.definitionKey !== definition.definitionKey ||
+      previousDefinition?.updatedAt !== definition.updatedAt
+    ) {
+      ABLogger.getInstance().info(
+        'Assignment definition changed since the previous run; assessing every submission.'
+      );
+      return null;
+    }
+
+    previous.submissions.forEach((submission) => submission.resetExtraction());
+    this.progressTracker.updateProgress(
+      'Previous run found; only new or changed work will be assessed.',
+      false
+    );
+    return previous;
+  }
+
+  /**
+   * Returns a checkpointed run to the front of the queue and schedules a continuation trigger.
+   *
+   * @param {string} runId - The run that stopped at a checkpoint.
+   * @returns {void}
+   * @throws {Error} If the run has used up its continuations or the trigger cannot be created.
+   */
+  scheduleContinuation(runId) {
+    const entry = this.runQueue.markCheckpointed(runId);
+    if (entry && entry.continuations > ASSESSMENT_RUN_MAX_CONTINUATIONS) {
+      throw new Error(
+        `Assessment run did not finish after ${ASSESSMENT_RUN_MAX_CONTINUATIONS} continuations. Assessed work has been saved; start the run again to continue.`
+      );
+    }
+
+    this.scheduleQueuedRuns();
+    this.progressTracker.updateProgress(ASSESSMENT_RUN_CHECKPOINT_MESSAGE, false);
+    ABLogger.getInstance().info(`Assessment run ${runId} checkpointed; continuation scheduled.`);
+  }
+
+  /**
+   * Removes a processed run from the queue and schedules the next queued run, if any.
+   *
+   * @param {string} runId - The run that has just finished or failed.
+   * @returns {void}
+   */
+  finishRun(runId) {
+    try {
+      this.runQueue.remove(runId);
+      if (this.runQueue.hasQueuedRuns()) {
+        this.scheduleQueuedRuns();
+      }
+      ABLogger.getInstance().info('Assessment run queue updated.');
+    } catch (cleanupError) {
+      this.progressTracker.logError(`Failed to update the run queue: ${cleanupError.message}`, {
+        err: cleanupError,
+      });
+    }
+  }
+}
+
+// Export for Node tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AssessmentRunCoordinator;
+}
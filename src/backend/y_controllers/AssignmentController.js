@@ -25,133 +25,118 @@ class AssignmentController {
   }
 
   /**
-   * Initiates the Assignment Assessment Workflow by creating a time-based trigger and storing necessary properties.
-   * This method sets up `triggerProcessSelectedAssignment` by creating the trigger and storing assignment details
-   * in UserProperties for access when the trigger executes.
+   * Initiates the Assignment Assessment Workflow by queueing the run and, when nothing is already
+   * scheduled or running, creating a time-based trigger for `triggerProcessSelectedAssignment`.
+   * Queued runs are persisted in UserProperties via AssessmentRunQueue and processed one at a time,
+   * so starting several runs in succession never overwrites an earlier one.
    *
    * @param {string} assignmentId - The ID of the assignment to be processed
    * @param {string} definitionKey - The key of the assignment definition to use
    * @param {string} courseId - Classroom course ID used for downstream processing.
-   * @throws {Error} If trigger creation fails or if setting user properties fails
+   * @returns {string} The run id used to poll progress via `getAssessmentRunStatus`.
+   * @throws {Error} If the queue is full, or if trigger creation fails
    */
   startProcessing(assignmentId, definitionKey, courseId = '') {
-    // Lazily instantiate TriggerController
-    const triggerController = new TriggerController();
-    const properties = GASPropertiesUtils.getUserProperties();
-    let triggerId;
-
-    try {
-      triggerId = triggerController.createTimeBasedTrigger('triggerProcessSelectedAssignment');
-      ABLogger.getInstance().info(
-        `Trigger created for triggerProcessSelectedAssignment with triggerId: ${triggerId}`
-      );
-    } catch (error) {
-      this.progressTracker.logAndThrowError(`Error creating trigger: ${error.message}`, error);
-      this.utils.toastMessage(
-        'Failed to create trigger: ' + error.message,
-        'Error',
-        TOAST_DURATION_SECONDS
-      );
-    }
-
-    try {
-      const propertyMap = {
-        assignmentId,
-        definitionKey,
-        triggerId,
-        courseId,
-      };
-      GASPropertiesUtils.applyProperties(properties, propertyMap);
-      ABLogger.getInstance().info('Properties set for processing.');
-    } catch (error) {
-      this.progressTracker.logAndThrowError(`Error setting properties: ${error.message}`, error);
-      this.utils.toastMessage(
-        'Failed to set processing properties: ' + error.message,
-        'Error',
-        TOAST_DURATION_SECONDS
-      );
-    }
+    return this._createRunCoordinator().enqueueRun(assignmentId, definitionKey, courseId);
   }
 
   /**
-   * Processes and assesses a selected Google Classroom assignment.
+   * Processes and assesses the next queued Google Classroom assignment run.
    * This is the main orchestration method that handles the complete assessment workflow:
-   * - Retrieves and validates required parameters
-   * - Creates an Assignment instance with student data
+   * - Takes the oldest queued run from AssessmentRunQueue
+   * - Creates an Assignment instance with student data, or rehydrates the persisted
+   *   checkpoint when the run is resuming, or the previous run of the same coursework so only
+   *   new or changed submissions are reassessed
    * - Extracts and processes student submissions
    * - Processes images from submissions (Slides only)
    * - Assesses student responses
    * - Persists assignment data
    *
+   * Work is bounded by an ExecutionBudget. When time runs low the pipeline stops at the next
+   * safe point, the assignment is persisted as a checkpoint via `persistAssignmentRun`, and a
+   * continuation trigger is scheduled to resume the run. Submissions already extracted or
+   * assessed are skipped on resume. The run is only marked complete once every
+   * StudentSubmission is assessed.
+   *
    * The method includes progress tracking and error handling throughout the process.
-   * It cleans up resources (locks, properties) even if errors occur.
+   * Unless the run stopped at a checkpoint, it removes the run from the queue and schedules the
+   * next queued run even if errors occur.
    *
-   * @throws {Error} If required parameters are missing or if processing fails
+   * @throws {Error} If the queued run cannot be resolved or if processing fails
    * @returns {void}
    *
    * Dependencies:
-   * - Requires UserProperties: assignmentId, definitionKey, triggerId
+   * - Requires UserProperties: assessmentRunQueue (triggerId is optional)
    * - Uses services: PropertiesService
    * - Relies on controllers: triggerController, progressTracker, abClassController
    * - Integrates with: Assignment, StudentSubmission, ABClass
    */
   processSelectedAssignment() {
+    const coordinator = this._createRunCoordinator();
+    const budget = new ExecutionBudget();
+    let run = null;
+    let checkpointed = false;
+
     try {
-      const properties = GASPropertiesUtils.getUserProperties();
-      const assignmentId = properties.getProperty('assignmentId');
-      const definitionKey = properties.getProperty('definitionKey');
-      const triggerId = properties.getProperty('triggerId');
-      const storedCourseId = properties.getProperty('courseId');
-
-      if (!assignmentId || !definitionKey || !triggerId) {
-        // Lazily instantiate TriggerController to clean up pending triggers
-        const triggerController = new TriggerController();
-        triggerController.removeTriggers('triggerProcessSelectedAssignment');
-        this.progressTracker.logAndThrowError('Missing parameters for processing.');
+      run = coordinator.takeNextRun();
+      if (!run) {
+        return;
       }
 
-      // Lazily instantiate TriggerController for trigger deletion
-      const triggerController = new TriggerController();
-      triggerController.deleteTriggerById(triggerId);
-      ABLogger.getInstance().info('Trigger deleted after processing.');
-      this.progressTracker.startTracking();
-      this.progressTracker.updateProgress('Assessment run starting.');
+      const { runId, assignmentId, definitionKey, courseId } = run;
+      const resuming = coordinator.startRun(run);
 
       const definitionController = new AssignmentDefinitionController();
       const definition = definitionController.getDefinitionByKey(definitionKey, { form: 'full' });
       if (!definition) {
-        this.progressTracker.logAndThrowError(
+        throw new Error(
           `Assignment definition not found for key ${definitionKey}. Cannot proceed.`
         );
       }
 
-      const courseId = storedCourseId;
-      if (!courseId) {
-        this.progressTracker.logAndThrowError(
-          'Course ID could not be determined. It is missing from stored properties.'
-        );
-      }
-
       ABLogger.getInstance().info('Course ID retrieved: ' + courseId);
       this.progressTracker.updateProgress(`Course ID retrieved: ${courseId}`, false);
 
       const abClassController = new ABClassController();
       const abClass = abClassController.loadClass(courseId);
 
-      const assignment = this.createAssignmentInstance(definition, courseId, assignmentId);
+      const assignment = resuming
+        ? abClassController.readRehydrateAssignment(courseId, assignmentId)
+        : (coordinator.loadPreviousRun(abClassController, definition, courseId, assignmentId) ??
+          this.createAssignmentInstance(definition, courseId, assignmentId));
 
       const students = abClass.students;
       const includeImages = definition.documentType === 'SLIDES';
-      this.runAssignmentPipeline(assignment, students, { includeImages });
+      const finished = this.runAssignmentPipeline(assignment, students, {
+        includeImages,
+        budget,
+        resume: resuming,
+        runId,
+      });
 
       // Update updatedAt value and persist assignment data
 
       assignment.touchUpdated();
 
       // Persist assignment using controller pattern - writes full assignment to dedicated
-      // collection and stores partial summary in ABClass
+      // collection and stores partial summary in ABClass. This is also the checkpoint a
+      // continuation resumes from.
       abClassController.persistAssignmentRun(abClass, assignment);
 
+      if (!finished) {
+        coordinator.scheduleContinuation(runId);
+        checkpointed = true;
+        return;
+      }
+
+      const unassessedCount = assignment.submissions.filter((sub) => !sub.isAssessed()).length;
+      if (unassessedCount > 0) {
+        const noun = unassessedCount === 1 ? 'submission' : 'submissions';
+        throw new Error(
+          `${unassessedCount} ${noun} could not be assessed. Assessed work has been saved; start the run again to retry the rest.`
+        );
+      }
+
       this.progressTracker.updateProgress(ASSESSMENT_RUN_SUCCESS_MESSAGE, false);
       this.progressTracker.complete();
 
@@ -160,25 +145,24 @@ class AssignmentController {
     } catch (error) {
       this.progressTracker.logAndThrowError(error.message, error);
     } finally {
-      try {
-        // Use the hydrated roster from the class record for processing. This data is transient
-        // and must not be persisted with the Assignment to prevent data duplication.
-        const properties = GASPropertiesUtils.getUserProperties();
-        GASPropertiesUtils.clearProperties(properties, [
-          'assignmentId',
-          'definitionKey',
-          'triggerId',
-          'courseId',
-        ]);
-        ABLogger.getInstance().info('User properties cleaned up.');
-      } catch (cleanupError) {
-        this.progressTracker.logError(`Failed to clean up properties: ${cleanupError.message}`, {
-          err: cleanupError,
-        });
+      if (run && !checkpointed) {
+        coordinator.finishRun(run.runId);
       }
     }
   }
 
+  /**
+   * Creates the coordinator that owns the run queue and trigger scheduling.
+   * @returns {AssessmentRunCoordinator} Coordinator bound to the current user's run queue.
+   * @private
+   */
+  _createRunCoordinator() {
+    return new AssessmentRunCoordinator({
+      progressTracker: this.progressTracker,
+      utils: this.utils,
+    });
+  }
+
   /**
    * Starts an assessment run for the given definition, assignment, and course.
    *
@@ -190,7 +174,7 @@ class AssignmentController {
    * @param {string} params.definitionKey - The key of the existing AssignmentDefinition.
    * @param {string} params.assignmentId - The Google Classroom coursework ID.
    * @param {string} params.courseId - The Google Classroom course ID.
-   * @returns {null} Null on success (no payload).
+   * @returns {{ runId: string }} The id of the scheduled run, used for status polling.
    * @throws {Error} If the definition is not found in the registry.
    * @throws {DefinitionStaleError} If reference or template documents have changed.
    */
@@ -209,10 +193,9 @@ class AssignmentController {
     this._validateDefinitionFreshness(definition);
 
     // Delegate to startProcessing for trigger creation
-    this.startProcessing(assignmentId, definitionKey, courseId);
+    const runId = this.startProcessing(assignmentId, definitionKey, courseId);
 
-    // Return null (no payload)
-    return null;
+    return { runId };
   }
 
   /**
@@ -233,15 +216,26 @@ class AssignmentController {
   /**
    * Runs shared assignment stages with optional image processing.
    * Orchestrates the complete pipeline: adds students, populates tasks, fetches submissions,
-   * processes work and images, and assesses responses.
+   * processes work, checks answers for similarity between students, processes images and
+   * assesses responses.
+   *
+   * When a budget is supplied, the pipeline stops at the next safe point once it runs low and
+   * returns false so the caller can checkpoint. Submissions already extracted and items
+   * already assessed are skipped, so calling it again on the persisted assignment resumes
+   * where it stopped.
    * @param {SlidesAssignment|SheetsAssignment} assignment - Assignment instance to populate.
    * @param {Array<Object>} students - Students sourced from the class record.
    * @param {Object} [options] - Additional pipeline configuration.
    * @param {boolean} [options.includeImages=false] - Whether to process images.
-   * @returns {void}
+   * @param {ExecutionBudget|null} [options.budget=null] - Time budget for this execution.
+   * @param {boolean} [options.resume=false] - Whether the assignment was rehydrated from a
+   *   checkpoint, in which case submitted documents are not fetched again.
+   * @param {string|null} [options.runId=null] - Queued run id; assessor usage from every
+   *   execution of the run is added to one usage record.
+   * @returns {boolean} True when every stage ran to the end; false when the budget ran low.
    */
   runAssignmentPipeline(assignment, students, options = {}) {
-    const { includeImages = false } = options;
+    const { includeImages = false, budget = null, resume = false, runId = null } = options;
 
     this.runStage(
       'Adding students from class record.',
@@ -255,20 +249,38 @@ class AssignmentController {
 
     this.progressTracker.updateProgress('Tasks are up to date; skipping parse.', false);
 
-    this.runStage(
-      'Fetching submitted documents from students.',
-      () => {
-        assignment.fetchSubmittedDocuments();
-      },
-      'Submitted documents fetched.'
+    if (resume) {
+      this.progressTracker.updateProgress(
+        'Submitted documents restored from checkpoint; skipping fetch.',
+        false
+      );
+    } else {
+      this.runStage(
+        'Fetching submitted documents from students.',
+        () => {
+          assignment.fetchSubmittedDocuments();
+        },
+        'Submitted documents fetched.'
+      );
+    }
+
+    const allExtracted = this.runStage('Extracting student work from documents.', () =>
+      assignment.processAllSubmissions(budget)
     );
+    if (allExtracted === false) {
+      return false;
+    }
+    this.progressTracker.updateProgress('All student work extracted.', false);
 
     this.runStage(
-      'Extracting student work from documents.',
+      'Checking answers for similarity between students.',
       () => {
-        assignment.processAllSubmissions();
+        assignment.similarityReport = SubmissionSimilarityDetector.detect(
+          assignment.submissions,
+          assignment.assignmentDefinition.tasks
+        );
       },
-      'All student work extracted.'
+      'Similarity check complete.'
     );
 
     if (includeImages) {
@@ -281,13 +293,20 @@ class AssignmentController {
       );
     }
 
+    if (budget?.isRunningLow()) {
+      return false;
+    }
+
     this.runStage(
       'Assessing student responses.',
       () => {
-        assignment.assessResponses();
+        assignment.assessResponses(budget, runId);
       },
       'Responses assessed.'
     );
+
+    // Batches skipped for time leave items unassessed; the caller checkpoints and resumes.
+    return !budget?.isRunningLow() || assignment.submissions.every((sub) => sub.isAssessed());
   }
 
   /**
@@ -342,11 +361,11 @@ class AssignmentController {
   }
 
   /**
-   * Detects and validates document types (Slides or Sheets) from reference and template IDs.
+   * Detects and validates document types (Slides, Sheets or Docs) from reference and template IDs.
    * Enforces that both documents exist, are different, and have matching MIME types.
    * @param {string} referenceDocumentId - The reference document Google ID.
    * @param {string} templateDocumentId - The template document Google ID.
-   * @returns {string} The document type ('SLIDES' or 'SHEETS').
+   * @returns {string} The document type ('SLIDES', 'SHEETS' or 'DOCS').
    * @throws {Error} If documents are identical, types mismatch, or types are unsupported.
    * @private
    */
@@ -366,13 +385,15 @@ class AssignmentController {
 
     const SLIDES_MIME = 'application/vnd.google-apps.presentation';
     const SHEETS_MIME = 'application/vnd.google-apps.spreadsheet';
+    const DOCS_MIME = 'application/vnd.google-apps.document';
     const resolveType = (documentId) => {
       const file = DriveApp.getFileById(documentId);
       const mimeType = file.getMimeType();
       if (mimeType === SLIDES_MIME) return 'SLIDES';
       if (mimeType === SHEETS_MIME) return 'SHEETS';
+      if (mimeType === DOCS_MIME) return 'DOCS';
       progressTracker.logAndThrowError(
-        `Unsupported document type: ${mimeType} for document ID ${documentId}. Only Google Slides and Sheets are supported.`
+        `Unsupported document type: ${mimeType} for document ID ${documentId}. Only Google Slides, Sheets and Docs are supported.`
       );
     };
     const referenceType = resolveType(referenceDocumentId);
@@ -1,10 +1,10 @@
 /**
  * AssignmentDefinitionReferenceData
  *
- * Resolves reference data (topics, year groups) for assignment definition operations.
+ * Resolves reference data (topics, year groups, assessor profiles) for assignment definition operations.
  * Creates ReferenceDataController instances as needed for database lookups.
  */
-/* global ReferenceDataController */
+/* global ConfigurationManager, ReferenceDataController */
 /**
  *
  */
@@ -69,6 +69,30 @@ class AssignmentDefinitionReferenceData {
     const controller = new ReferenceDataController();
     return controller.listYearGroups();
   }
+
+  /**
+   * Resolves an assessor profile name to its stored spelling.
+   *
+   * @param {string|null} assessorProfile - Profile name; null or blank for the default profile.
+   * @returns {string|null} The profile name, or null for the default profile.
+   * @throws {Error} When no profile has that name.
+   */
+  resolveAssessorProfile(assessorProfile) {
+    if (assessorProfile === null || String(assessorProfile).trim().length === 0) {
+      return null;
+    }
+    const profile = ConfigurationManager.getInstance().getAssessorProfile(
+      String(assessorProfile).trim()
+    );
+
+    if (!profile) {
+      throw new Error(`Unknown assessorProfile: ${assessorProfile}`);
+    }
+
+    return profile.name === ConfigurationManager.DEFAULT_ASSESSOR_PROFILE_NAME
+      ? null
+      : profile.name;
+  }
 }
 
 // Export for Node tests / CommonJS environments
@@ -64,6 +64,7 @@ class AssignmentDefinitionResponseMapper {
         taskId,
         taskTitle: task.taskTitle,
         taskWeighting: task.taskWeighting,
+        rubric: task.rubric ?? null,
       }));
 
     const result = {
@@ -79,6 +80,9 @@ class AssignmentDefinitionResponseMapper {
       referenceDocumentId: source.referenceDocumentId,
       templateDocumentId: source.templateDocumentId,
       assignmentWeighting: source.assignmentWeighting,
+      criteria: source.criteria ?? Assessment.getDefaultCriteria(),
+      assessorProfile: source.assessorProfile ?? null,
+      notAttemptedDetection: NotAttemptedDetectionSettings.normalise(source.notAttemptedDetection),
       tasks: canonicalTasks,
       createdAt: source.createdAt || null,
       updatedAt: source.updatedAt || null,
@@ -1,7 +1,7 @@
 /**
  * AssignmentDefinitionTaskParser
  *
- * Parses task definitions from Google Slides and Sheets documents.
+ * Parses task definitions from Google Slides, Sheets and Docs documents.
  * Dispatches to type-specific parsers based on document type.
  */
 class AssignmentDefinitionTaskParser {
@@ -19,7 +19,7 @@ class AssignmentDefinitionTaskParser {
    * Dispatches to type-specific parsers based on document type.
    *
    * @param {Object} params - Destructured parameters.
-   * @param {string} params.documentType - Document type ('SLIDES' or 'SHEETS').
+   * @param {string} params.documentType - Document type ('SLIDES', 'SHEETS' or 'DOCS').
    * @param {string} params.referenceDocumentId - Reference document Google ID.
    * @param {string} params.templateDocumentId - Template document Google ID.
    * @returns {Object} Task definitions map with task ID as key.
@@ -27,13 +27,16 @@ class AssignmentDefinitionTaskParser {
    */
   parseTasks({ documentType, referenceDocumentId, templateDocumentId }) {
     const type = documentType.toUpperCase();
-    /* global SlidesParser, SheetsParser, TaskDefinition */
+    /* global SlidesParser, SheetsParser, DocsParser, TaskDefinition */
     if (type === 'SLIDES') {
       return this._parseSlidesTasks(referenceDocumentId, templateDocumentId);
     }
     if (type === 'SHEETS') {
       return this._parseSheetsTasks(referenceDocumentId, templateDocumentId);
     }
+    if (type === 'DOCS') {
+      return this._parseDocsTasks(referenceDocumentId, templateDocumentId);
+    }
     this.progressTracker.logAndThrowError(
       `Unknown documentType '${documentType}' when parsing tasks.`
     );
@@ -94,6 +97,40 @@ class AssignmentDefinitionTaskParser {
       definitions.map((td) => [td.getId(), TaskDefinition.fromJSON(td.toJSON())])
     );
   }
+
+  /**
+   * Parses task definitions from Google Docs documents.
+   * Validates each task definition and logs errors for invalid tasks.
+   *
+   * @param {string} referenceDocumentId - Reference document Google ID.
+   * @param {string} templateDocumentId - Template document Google ID.
+   * @returns {Object} Map of valid task definitions indexed by task ID.
+   * @private
+   */
+  _parseDocsTasks(referenceDocumentId, templateDocumentId) {
+    /* global DocsParser, ABLogger, TaskDefinition */
+    const parser = new DocsParser();
+    const definitions = parser.extractTaskDefinitions(referenceDocumentId, templateDocumentId);
+    const validDefs = definitions.filter((definition) => {
+      const validation = definition.validate();
+      if (!validation.ok) {
+        this.progressTracker.logError('TaskDefinition missing required document artifacts.', {
+          taskId: definition.getId(),
+          errors: validation.errors,
+        });
+      }
+      return validation.ok;
+    });
+
+    ABLogger.getInstance().info('Parsed document task definitions', {
+      parsed: definitions.length,
+      valid: validDefs.length,
+    });
+
+    return Object.fromEntries(
+      validDefs.map((td) => [td.getId(), TaskDefinition.fromJSON(td.toJSON())])
+    );
+  }
 }
 
 // Export for Node tests / CommonJS environments
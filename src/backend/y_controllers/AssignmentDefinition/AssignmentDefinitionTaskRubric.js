@@ -0,0 +1,114 @@
+/**
+ * AssignmentDefinitionTaskRubric
+ *
+ * Manages task rubric operations: carrying stored rubrics across re-parses,
+ * applying payload patches, and checking rubrics against the definition's criteria.
+ */
+class AssignmentDefinitionTaskRubric {
+  /**
+   * Creates the instance with injected dependencies.
+   * @param {Object} deps - Dependency injection.
+   * @param {Object} deps.validation - AssignmentDefinitionValidation instance.
+   */
+  constructor({ validation } = {}) {
+    this.validation = validation;
+  }
+
+  /**
+   * Applies existing task rubrics to parsed task sets, so re-parsing a document
+   * keeps the rubrics of tasks that still exist.
+   *
+   * @param {Object} existingTasks - Existing task map.
+   * @param {Object} parsedTasks - Parsed task map.
+   * @returns {Object} Parsed tasks with preserved matching rubrics.
+   */
+  applyStoredRubrics(existingTasks, parsedTasks) {
+    Object.entries(existingTasks || {}).forEach(([taskId, existingTask]) => {
+      const parsedTask = this._findTaskById(parsedTasks, taskId);
+      if (!parsedTask || !existingTask?.rubric) {
+        return;
+      }
+
+      parsedTask.rubric = existingTask.rubric;
+    });
+
+    return parsedTasks;
+  }
+
+  /**
+   * Applies payload task-rubric patches to known tasks. A null rubric removes it.
+   *
+   * @param {Object} tasks - Task map.
+   * @param {Array<Object>} taskRubrics - Patch list of `{ taskId, rubric }`.
+   * @returns {Object} Patched task map.
+   * @throws {TypeError|RangeError|Error} When taskRubrics is invalid or contains unknown taskIds.
+   */
+  applyTaskRubrics(tasks, taskRubrics) {
+    /* global TaskDefinition */
+    if (!Array.isArray(taskRubrics)) {
+      throw new TypeError('taskRubrics must be an array when provided.');
+    }
+
+    taskRubrics.forEach((patch) => {
+      if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+        throw new TypeError('taskRubrics entries must be objects.');
+      }
+
+      const taskId = this.validation.requireTrimmedString(patch.taskId, 'taskRubrics.taskId');
+
+      const task = this._findTaskById(tasks, taskId);
+      if (!task) {
+        throw new Error(`taskRubrics contains unknown taskId: ${taskId}`);
+      }
+
+      task.rubric = TaskDefinition.normaliseRubric(patch.rubric ?? null);
+    });
+
+    return tasks;
+  }
+
+  /**
+   * Checks every task rubric only describes levels of the definition's criteria,
+   * within each criterion's score range.
+   *
+   * @param {Object} tasks - Task map.
+   * @param {Array<{key: string, maxScore: number}>} criteria - Normalised definition criteria.
+   * @throws {RangeError} When a level names an unknown criterion or exceeds its max score.
+   */
+  assertRubricsMatchCriteria(tasks, criteria) {
+    const maxScores = new Map(criteria.map(({ key, maxScore }) => [key, maxScore]));
+
+    Object.entries(tasks || {}).forEach(([taskId, task]) => {
+      (task?.rubric?.levels ?? []).forEach(({ criterion, score }) => {
+        if (!maxScores.has(criterion)) {
+          throw new RangeError(
+            `Task ${taskId} rubric describes criterion ${criterion}, which is not defined on the assignment definition.`
+          );
+        }
+        if (score > maxScores.get(criterion)) {
+          throw new RangeError(
+            `Task ${taskId} rubric score ${score} for ${criterion} exceeds its max score of ${maxScores.get(criterion)}.`
+          );
+        }
+      });
+    });
+  }
+
+  /**
+   * Finds a task object by ID from a task map using direct property access.
+   *
+   * @param {Object} tasks - Task map keyed by task ID.
+   * @param {string} taskId - Task ID.
+   * @returns {Object|null} Task object or null.
+   * @private
+   */
+  _findTaskById(tasks, taskId) {
+    /* eslint-disable-next-line security/detect-object-injection -- taskId is a validated string from the task map keys */
+    return tasks ? tasks[taskId] || null : null;
+  }
+}
+
+// Export for Node tests / CommonJS environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AssignmentDefinitionTaskRubric;
+}
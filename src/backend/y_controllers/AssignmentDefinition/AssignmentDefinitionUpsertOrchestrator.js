@@ -3,7 +3,7 @@
  *
  * Orchestrates the full upsert flow for assignment definitions:
  * validation, reference data resolution, task parsing, task weighting,
- * deduplication checks, persistence, and rollback.
+ * task rubrics, deduplication checks, persistence, and rollback.
  */
 class AssignmentDefinitionUpsertOrchestrator {
   /**
@@ -13,6 +13,7 @@ class AssignmentDefinitionUpsertOrchestrator {
    * @param {Object} deps.persistence - AssignmentDefinitionPersistence instance.
    * @param {Object} deps.taskParser - AssignmentDefinitionTaskParser instance.
    * @param {Object} deps.taskWeighting - AssignmentDefinitionTaskWeighting instance.
+   * @param {Object} deps.taskRubric - AssignmentDefinitionTaskRubric instance.
    * @param {Object} deps.referenceData - AssignmentDefinitionReferenceData instance.
    * @param {Object} deps.validation - AssignmentDefinitionValidation instance.
    */
@@ -21,6 +22,7 @@ class AssignmentDefinitionUpsertOrchestrator {
     persistence,
     taskParser,
     taskWeighting,
+    taskRubric,
     referenceData,
     validation,
   } = {}) {
@@ -28,6 +30,7 @@ class AssignmentDefinitionUpsertOrchestrator {
     this.persistence = persistence;
     this.taskParser = taskParser;
     this.taskWeighting = taskWeighting;
+    this.taskRubric = taskRubric;
     this.referenceData = referenceData;
     this.validation = validation;
   }
@@ -94,10 +97,22 @@ class AssignmentDefinitionUpsertOrchestrator {
       templateDocumentId,
     });
 
-    const finalTasks = this._applyTaskWeightingsIfProvided({
-      tasks: taskState.finalTasks,
+    const finalTasks = this._applyTaskRubricsIfProvided({
+      tasks: this._applyTaskWeightingsIfProvided({ tasks: taskState.finalTasks, payload }),
       payload,
     });
+    const criteria = Assessment.normaliseCriteria(
+      this._resolveCriteria({ payload, isUpdate, existingDefinition })
+    );
+    this.taskRubric.assertRubricsMatchCriteria(finalTasks, criteria);
+    const assessorProfile = Object.hasOwn(payload, 'assessorProfile')
+      ? this.referenceData.resolveAssessorProfile(payload.assessorProfile)
+      : (existingDefinition?.assessorProfile ?? null);
+    const notAttemptedDetection = NotAttemptedDetectionSettings.normalise(
+      Object.hasOwn(payload, 'notAttemptedDetection')
+        ? payload.notAttemptedDetection
+        : (existingDefinition?.notAttemptedDetection ?? null)
+    );
 
     const definition = new AssignmentDefinition({
       primaryTitle,
@@ -120,6 +135,9 @@ class AssignmentDefinitionUpsertOrchestrator {
         isUpdate,
         existingDefinition,
       }),
+      criteria,
+      assessorProfile,
+      notAttemptedDetection,
       documentType: this._resolveDocumentType({ payload, existingDefinition }),
       referenceDocumentId,
       templateDocumentId,
@@ -214,6 +232,30 @@ class AssignmentDefinitionUpsertOrchestrator {
     }
   }
 
+  /**
+   * Resolves assessment criteria for upsert operations.
+   * Returns the raw payload value; the model validates it and substitutes the
+   * defaults for null.
+   *
+   * @param {Object} params - Resolution parameters.
+   * @param {Object} params.payload - Upsert payload.
+   * @param {boolean} params.isUpdate - Whether this is an update.
+   * @param {Object|null} params.existingDefinition - Existing definition when updating.
+   * @returns {Array<Object>|null} Assessment criteria (raw payload value).
+   * @private
+   */
+  _resolveCriteria({ payload, isUpdate, existingDefinition }) {
+    if (Object.hasOwn(payload, 'criteria')) {
+      return payload.criteria;
+    }
+
+    if (isUpdate && existingDefinition) {
+      return existingDefinition.criteria ?? null;
+    }
+
+    return null;
+  }
+
   /**
    * Resolves year-group context for upsert operations.
    *
@@ -268,11 +310,14 @@ class AssignmentDefinitionUpsertOrchestrator {
       templateLastModified = DriveManager.getFileModifiedTime(templateDocumentId);
       const freshTasks = this.taskWeighting.applyStoredWeightings(
         existingTasks,
-        this.taskParser.parseTasks({
-          documentType,
-          referenceDocumentId,
-          templateDocumentId,
-        })
+        this.taskRubric.applyStoredRubrics(
+          existingTasks,
+          this.taskParser.parseTasks({
+            documentType,
+            referenceDocumentId,
+            templateDocumentId,
+          })
+        )
       );
 
       return {
@@ -302,11 +347,14 @@ class AssignmentDefinitionUpsertOrchestrator {
       finalTasks: this.taskWeighting.defaultTaskWeightings(
         this.taskWeighting.applyStoredWeightings(
           existingTasks,
-          this.taskParser.parseTasks({
-            documentType,
-            referenceDocumentId,
-            templateDocumentId,
-          })
+          this.taskRubric.applyStoredRubrics(
+            existingTasks,
+            this.taskParser.parseTasks({
+              documentType,
+              referenceDocumentId,
+              templateDocumentId,
+            })
+          )
         )
       ),
       referenceLastModified: latestReferenceModified,
@@ -331,6 +379,23 @@ class AssignmentDefinitionUpsertOrchestrator {
     return this.taskWeighting.applyTaskWeightings(tasks, payload.taskWeightings);
   }
 
+  /**
+   * Applies task-rubric patches when present in payload.
+   *
+   * @param {Object} params - Parameters.
+   * @param {Object} params.tasks - Task map.
+   * @param {Object} params.payload - Upsert payload.
+   * @returns {Object} Patched or original tasks.
+   * @private
+   */
+  _applyTaskRubricsIfProvided({ tasks, payload }) {
+    if (!Object.hasOwn(payload, 'taskRubrics')) {
+      return tasks;
+    }
+
+    return this.taskRubric.applyTaskRubrics(tasks, payload.taskRubrics);
+  }
+
   /**
    * Returns whether reference/template IDs changed during update.
    *
@@ -3,19 +3,20 @@
  *
  * Thin facade delegating to focused sub-classes for persistence,
  * upsert orchestration, reference data resolution, task parsing,
- * task weighting, response mapping, and validation.
+ * task weighting, task rubrics, response mapping, and validation.
  *
  * Public API contract is preserved from the original monolithic class.
  */
 /* global DbManager, ProgressTracker */
 /* global AssignmentDefinitionValidation, AssignmentDefinitionReferenceData */
 /* global AssignmentDefinitionTaskParser, AssignmentDefinitionTaskWeighting, AssignmentDefinitionPersistence */
+/* global AssignmentDefinitionTaskRubric */
 /* global AssignmentDefinitionUpsertOrchestrator, AssignmentDefinitionResponseMapper */
 
 /**
  * Controller for assignment-definition lifecycle operations.
  *
- * Delegates to seven focused sub-classes injected at construction time.
+ * Delegates to eight focused sub-classes injected at construction time.
  * @class
  */
 class AssignmentDefinitionController {
@@ -30,6 +31,7 @@ class AssignmentDefinitionController {
     this._referenceData = new AssignmentDefinitionReferenceData();
     this._taskParser = new AssignmentDefinitionTaskParser({ progressTracker });
     this._taskWeighting = new AssignmentDefinitionTaskWeighting({ validation: this._validation });
+    this._taskRubric = new AssignmentDefinitionTaskRubric({ validation: this._validation });
     this._persistence = new AssignmentDefinitionPersistence({
       dbManager: databaseManager,
       validation: this._validation,
@@ -39,6 +41,7 @@ class AssignmentDefinitionController {
       persistence: this._persistence,
       taskParser: this._taskParser,
       taskWeighting: this._taskWeighting,
+      taskRubric: this._taskRubric,
       referenceData: this._referenceData,
       validation: this._validation,
     });
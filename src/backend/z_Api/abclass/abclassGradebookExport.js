@@ -0,0 +1,154 @@
+/* global ABClassController, ApiValidationError, validateParametersObject_, validateSafeTrimmedIdentifier_ */
+
+const EXPORT_GRADEBOOK_METHOD = 'exportGradebook';
+const GRADEBOOK_TITLE_MAX_LENGTH = 200;
+
+/**
+ * Whether a value can be written to a gradebook cell.
+ *
+ * @param {*} value - Cell candidate.
+ * @returns {boolean} True for strings, finite numbers and null.
+ */
+function isGradebookCell_(value) {
+  return (
+    value === null ||
+    typeof value === 'string' ||
+    (typeof value === 'number' && Number.isFinite(value))
+  );
+}
+
+/**
+ * Throws an ApiValidationError for exportGradebook validation failures.
+ *
+ * @param {string} message - Validation failure message.
+ * @param {string} fieldName - Related field name.
+ * @throws {ApiValidationError} Always throws.
+ */
+function throwGradebookValidationError_(message, fieldName) {
+  throw new ApiValidationError(message, {
+    method: EXPORT_GRADEBOOK_METHOD,
+    fieldName,
+  });
+}
+
+/**
+ * Validates a safe, already-trimmed identifier for the gradebook export.
+ *
+ * @param {*} value - Identifier candidate.
+ * @param {string} fieldName - Field name for diagnostics.
+ * @throws {ApiValidationError} If value is not a valid identifier.
+ */
+function validateGradebookIdentifier_(value, fieldName) {
+  validateSafeTrimmedIdentifier_(value, {
+    throwValidationError: throwGradebookValidationError_,
+    typeErrorMessage: `${fieldName} must be a string.`,
+    nonEmptyErrorMessage: `${fieldName} must be a non-empty string.`,
+    trimmedErrorMessage: `${fieldName} must already be trimmed.`,
+    unsafeErrorMessage: `${fieldName} contains unsafe characters.`,
+    fieldNames: {
+      type: fieldName,
+      nonEmpty: fieldName,
+      trimmed: fieldName,
+      unsafe: fieldName,
+    },
+  });
+}
+
+/**
+ * Validates the gradebook table: string headers, rows of the same width holding
+ * strings, finite numbers or nulls, and metric column indexes inside the table.
+ *
+ * @param {*} headers - Header candidate.
+ * @param {*} rows - Rows candidate.
+ * @param {*} metricColumnIndexes - Metric column indexes candidate.
+ * @throws {ApiValidationError} If the table is malformed.
+ */
+function validateGradebookTable_(headers, rows, metricColumnIndexes) {
+  if (
+    !Array.isArray(headers) ||
+    headers.length === 0 ||
+    !headers.every((header) => typeof header === 'string')
+  ) {
+    throwGradebookValidationError_('headers must be a non-empty array of strings.', 'headers');
+  }
+
+  const isRow = (row) =>
+    Array.isArray(row) &&
+    row.length === headers.length &&
+    row.every((value) => isGradebookCell_(value));
+  if (!Array.isArray(rows) || !rows.every((row) => isRow(row))) {
+    throwGradebookValidationError_(
+      'rows must be arrays of strings, numbers or nulls with one value per header.',
+      'rows'
+    );
+  }
+
+  const isColumnIndex = (index) => Number.isInteger(index) && index >= 0 && index < headers.length;
+  if (
+    !Array.isArray(metricColumnIndexes) ||
+    !metricColumnIndexes.every((index) => isColumnIndex(index))
+  ) {
+    throwGradebookValidationError_(
+      'metricColumnIndexes must be column indexes within headers.',
+      'metricColumnIndexes'
+    );
+  }
+}
+
+/**
+ * Transport-boundary handler for exportGradebook.
+ * Writes a class gradebook, built by the frontend from the averaging analysis,
+ * into a Google Sheet with heatmap formatting over its metric columns.
+ *
+ * @param {*} parameters - Request payload.
+ * @param {string} parameters.classId - The class ID.
+ * @param {string} parameters.title - Spreadsheet name, at most 200 characters.
+ * @param {Array<string>} parameters.headers - Column headers.
+ * @param {Array<Array<string|number|null>>} parameters.rows - One row per student.
+ * @param {Array<number>} [parameters.metricColumnIndexes=[]] - Columns to heatmap.
+ * @param {string|null} [parameters.templateSpreadsheetId=null] - Template to copy.
+ * @returns {{spreadsheetId: string, spreadsheetUrl: string, rowCount: number}} The written spreadsheet.
+ * @throws {ApiValidationError} If parameters shape is invalid, an identifier is
+ *   not a safe, trimmed, non-empty string, the title is empty or too long, or
+ *   the table is malformed.
+ */
+function exportGradebook_(parameters) {
+  validateParametersObject_(parameters, EXPORT_GRADEBOOK_METHOD);
+
+  const {
+    classId,
+    title,
+    headers,
+    rows,
+    metricColumnIndexes = [],
+    templateSpreadsheetId = null,
+  } = parameters;
+  validateGradebookIdentifier_(classId, 'classId');
+  if (
+    typeof title !== 'string' ||
+    title.trim().length === 0 ||
+    title.length > GRADEBOOK_TITLE_MAX_LENGTH
+  ) {
+    throwGradebookValidationError_(
+      `title must be a non-empty string of at most ${GRADEBOOK_TITLE_MAX_LENGTH} characters.`,
+      'title'
+    );
+  }
+  validateGradebookTable_(headers, rows, metricColumnIndexes);
+  if (templateSpreadsheetId !== null) {
+    validateGradebookIdentifier_(templateSpreadsheetId, 'templateSpreadsheetId');
+  }
+
+  return new ABClassController().exportGradebook({
+    courseId: classId,
+    title,
+    headers,
+    rows,
+    metricColumnIndexes,
+    templateSpreadsheetId,
+  });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { exportGradebook_ };
+}
@@ -1,4 +1,4 @@
-/* global ABLogger, ConfigurationManager, ApiValidationError */
+/* global ABLogger, ConfigurationManager, ApiValidationError, AssessorCapabilities, AbortRequestError */
 
 const API_KEY_MASK_VISIBLE_SUFFIX_LENGTH = 4;
 const API_KEY_MASK_PREFIX = '****';
@@ -21,6 +21,15 @@ function maskApiKey_(key) {
   return API_KEY_MASK_PREFIX + asString.slice(-API_KEY_MASK_VISIBLE_SUFFIX_LENGTH);
 }
 
+/**
+ * Describes an assessor profile for the settings payload with its API key masked.
+ * @param {Object} profile - Stored assessor profile.
+ * @returns {Object} Public profile payload.
+ */
+function toPublicAssessorProfile_(profile) {
+  return { ...profile, apiKey: maskApiKey_(profile.apiKey), hasApiKey: !!profile.apiKey };
+}
+
 /**
  * Reads the current backend configuration using the legacy public payload shape.
  * @returns {Object} Public configuration payload.
@@ -44,6 +53,11 @@ function getBackendConfig_() {
     jsonDbLogLevel: configManager.getJsonDbLogLevel(),
     jsonDbBackupOnInitialise: configManager.getJsonDbBackupOnInitialise(),
     jsonDbRootFolderId: jsonDatabaseRootFolderId || '',
+    assessmentCacheRetentionDays: configManager.getAssessmentCacheRetentionDays(),
+    assessmentCacheMaxEntries: configManager.getAssessmentCacheMaxEntries(),
+    assessorProfiles: configManager
+      .getAssessorProfiles()
+      .map((profile) => toPublicAssessorProfile_(profile)),
   };
 
   return config;
@@ -120,6 +134,21 @@ function setBackendConfig_(config) {
       value: config.jsonDbRootFolderId,
       applySetting: (value) => configManager.setJsonDbRootFolderId(value),
     },
+    {
+      name: 'assessmentCacheRetentionDays',
+      value: config.assessmentCacheRetentionDays,
+      applySetting: (value) => configManager.setAssessmentCacheRetentionDays(value),
+    },
+    {
+      name: 'assessmentCacheMaxEntries',
+      value: config.assessmentCacheMaxEntries,
+      applySetting: (value) => configManager.setAssessmentCacheMaxEntries(value),
+    },
+    {
+      name: 'assessorProfiles',
+      value: config.assessorProfiles,
+      applySetting: (value) => configManager.setAssessorProfiles(value),
+    },
   ];
 
   /**
@@ -160,9 +189,54 @@ function setBackendConfig_(config) {
   return { success: true };
 }
 
+/**
+ * Tests a saved assessor profile by fetching the assessor's capabilities. A successful test
+ * also refreshes the cached capability descriptor used by assessment runs.
+ * @param {{ profileName?: string|null }} [parameters] - Profile to test; the default profile
+ *   (the backend URL and API key settings) when omitted.
+ * @returns {{ success: true, latencyMs: number, capabilities: Object } | { success: false, error: string }}
+ *   Result payload.
+ */
+function testBackendConnection_(parameters = {}) {
+  const profileName = parameters?.profileName ?? null;
+  if (profileName !== null && typeof profileName !== 'string') {
+    throw new ApiValidationError('profileName must be a string when provided.', {
+      method: 'testBackendConnection',
+      fieldName: 'profileName',
+    });
+  }
+
+  const profile = ConfigurationManager.getInstance().getAssessorProfile(profileName);
+  if (!profile) {
+    return { success: false, error: `No saved assessor profile is named "${profileName}".` };
+  }
+  if (!profile.backendUrl || !profile.apiKey) {
+    return {
+      success: false,
+      error: 'Save a backend URL and API key before testing the connection.',
+    };
+  }
+
+  const startedAt = Date.now();
+  try {
+    const capabilities = new AssessorCapabilities(profile).refresh();
+    return { success: true, latencyMs: Date.now() - startedAt, capabilities };
+  } catch (error) {
+    ABLogger.getInstance().warn('Backend connection test failed.', {
+      errorName: error?.name ?? 'Error',
+      message: error?.message,
+    });
+    if (error instanceof AbortRequestError) {
+      return { success: false, error: `The backend rejected the API key (${error.statusCode}).` };
+    }
+    return { success: false, error: error?.message ?? 'The backend could not be reached.' };
+  }
+}
+
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     getBackendConfig_,
     setBackendConfig_,
+    testBackendConnection_,
   };
 }
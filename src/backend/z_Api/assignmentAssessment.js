@@ -1,4 +1,9 @@
-/* global ABClassController, ABLogger, ApiValidationError, AssignmentNotFoundError, DateUtils, Validate, validateSafeTrimmedIdentifier_ */
+/* global ABClassController, ABLogger, ApiValidationError, AssessmentRunQueue, CacheManager, AssignmentNotFoundError, DateUtils, ProgressTracker, Session, Validate, validateSafeTrimmedIdentifier_ */
+
+const OVERRIDE_NOT_APPLICABLE_SCORE = 'N';
+const STUDENT_FEEDBACK_MODES = Object.freeze(['update', 'remove']);
+const STUDENT_FEEDBACK_PLACEMENTS = Object.freeze(['speakerNotes', 'textBox']);
+const STUDENT_FEEDBACK_FORMULA_HINTS = Object.freeze(['none', 'pattern', 'formula']);
 
 /**
  * Transport-boundary handler for startAssessmentRun.
@@ -6,7 +11,7 @@
  * delegates to AssignmentController.startAssessmentRun.
  *
  * @param {*} parameters - Request payload containing definitionKey, assignmentId, courseId.
- * @returns {null} Null on success (no payload).
+ * @returns {{ runId: string }} The id of the scheduled run for status polling.
  * @throws {ApiValidationError} If parameters is not a plain object.
  * @throws {Error} If required fields are missing or not non-empty strings.
  */
@@ -31,11 +36,12 @@ function startAssessmentRun_(parameters) {
  *
  * @param {string} message - Validation failure message.
  * @param {string} fieldName - Related field name.
+ * @param {string} [method='getAssignment'] - API method name for diagnostics.
  * @throws {ApiValidationError} Always throws.
  */
-function throwAssignmentValidationError_(message, fieldName) {
+function throwAssignmentValidationError_(message, fieldName, method = 'getAssignment') {
   throw new ApiValidationError(message, {
-    method: 'getAssignment',
+    method,
     fieldName,
   });
 }
@@ -46,11 +52,13 @@ function throwAssignmentValidationError_(message, fieldName) {
  *
  * @param {string} value - Identifier candidate.
  * @param {string} fieldName - Field name for diagnostics in thrown errors.
+ * @param {string} [method='getAssignment'] - API method name for diagnostics.
  * @throws {ApiValidationError} If value is not a valid identifier.
  */
-function validateIdentifier_(value, fieldName) {
+function validateIdentifier_(value, fieldName, method = 'getAssignment') {
   validateSafeTrimmedIdentifier_(value, {
-    throwValidationError: throwAssignmentValidationError_,
+    throwValidationError: (message, field) =>
+      throwAssignmentValidationError_(message, field, method),
     typeErrorMessage: `${fieldName} must be a string.`,
     nonEmptyErrorMessage: `${fieldName} must be a non-empty string.`,
     trimmedErrorMessage: `${fieldName} must already be trimmed.`,
@@ -141,6 +149,277 @@ function getAssignment_(parameters) {
   }
 }
 
+/**
+ * Validates that the request payload is a plain parameters object.
+ *
+ * @param {*} parameters - Request payload.
+ * @param {string} method - API method name for diagnostics.
+ * @throws {ApiValidationError} If parameters is not a plain object.
+ */
+function requireParametersObject_(parameters, method) {
+  if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters)) {
+    throw new ApiValidationError(`${method} requires a parameters object`, {
+      method,
+    });
+  }
+}
+
+/**
+ * Transport-boundary handler for getAssessmentRunStatus.
+ * Returns the live progress of an assessment run started via
+ * `startAssessmentRun`, as recorded by the ProgressTracker, or a pending
+ * status while the run is still waiting in the AssessmentRunQueue.
+ *
+ * @remarks
+ * Progress is stored per user in UserProperties, so only the run currently
+ * (or most recently) processed is tracked. A `null` response means the
+ * requested run is neither queued nor the tracked run; the frontend treats
+ * this as "status unavailable" rather than an error.
+ *
+ * @param {*} parameters - Request payload containing runId.
+ * @param {string} parameters.runId - Run id returned by `startAssessmentRun`.
+ * @returns {Object|null} The run status (`runId`, `step`, `message`,
+ *   `completed`, `error`, `errors`, `history`, `timestamp`), or `null` when
+ *   the run is neither queued nor tracked.
+ * @throws {ApiValidationError} If parameters shape is invalid or runId is not
+ *   a safe, trimmed, non-empty string.
+ */
+function getAssessmentRunStatus_(parameters) {
+  requireParametersObject_(parameters, 'getAssessmentRunStatus');
+
+  const { runId } = parameters;
+  validateIdentifier_(runId, 'runId', 'getAssessmentRunStatus');
+
+  return (
+    ProgressTracker.getInstance().getRunStatus(runId) ??
+    new AssessmentRunQueue().getRunStatus(runId)
+  );
+}
+
+/**
+ * Transport-boundary handler for getAssessmentRunQueue.
+ * Lists the current user's queued and running assessment runs, oldest first.
+ *
+ * @returns {Array<Object>} Queue entries (`runId`, `assignmentId`,
+ *   `definitionKey`, `courseId`, `status`, `enqueuedAt`, `startedAt`).
+ */
+function getAssessmentRunQueue_() {
+  return new AssessmentRunQueue().list();
+}
+
+/**
+ * Transport-boundary handler for cancelAssessmentRun.
+ * Removes a run from the queue if it has not started yet. Runs already being
+ * processed cannot be interrupted and are reported as not cancelled.
+ *
+ * @param {*} parameters - Request payload containing runId.
+ * @param {string} parameters.runId - Run id returned by `startAssessmentRun`.
+ * @returns {{ runId: string, cancelled: boolean }} Whether the run was removed.
+ * @throws {ApiValidationError} If parameters shape is invalid or runId is not
+ *   a safe, trimmed, non-empty string.
+ */
+function cancelAssessmentRun_(parameters) {
+  requireParametersObject_(parameters, 'cancelAssessmentRun');
+
+  const { runId } = parameters;
+  validateIdentifier_(runId, 'runId', 'cancelAssessmentRun');
+
+  const cancelled = new AssessmentRunQueue().cancel(runId);
+  ABLogger.getInstance().info('cancelAssessmentRun completed', { runId, cancelled });
+  return { runId, cancelled };
+}
+
+/**
+ * Transport-boundary handler for clearAssessmentCache.
+ * Removes every cached assessment recorded for an assignment definition so
+ * its next run sends all attempted responses to the assessor again.
+ *
+ * @param {*} parameters - Request payload containing definitionKey.
+ * @param {string} parameters.definitionKey - Assignment definition to clear.
+ * @returns {{ definitionKey: string, cleared: number }} The number of entries removed.
+ * @throws {ApiValidationError} If parameters shape is invalid or definitionKey
+ *   is not a safe, trimmed, non-empty string.
+ */
+function clearAssessmentCache_(parameters) {
+  requireParametersObject_(parameters, 'clearAssessmentCache');
+
+  const { definitionKey } = parameters;
+  validateIdentifier_(definitionKey, 'definitionKey', 'clearAssessmentCache');
+
+  const cleared = new CacheManager().clearDefinition(definitionKey);
+  ABLogger.getInstance().info('clearAssessmentCache completed', { definitionKey, cleared });
+  return { definitionKey, cleared };
+}
+
+/**
+ * Transport-boundary handler for overrideAssessment.
+ * Records a teacher-supplied score and reasoning for one criterion of a
+ * student's submission item. The original assessment is kept alongside the
+ * override, together with who made the change and when.
+ *
+ * @param {*} parameters - Request payload.
+ * @param {string} parameters.courseId - The Classroom course ID.
+ * @param {string} parameters.assignmentId - The assignment ID.
+ * @param {string} parameters.studentId - The student whose work is being moderated.
+ * @param {string} parameters.taskId - The task the submission item answers.
+ * @param {string} parameters.criterion - The criterion to override.
+ * @param {number|string} parameters.score - Non-negative integer no greater than the
+ *   criterion's max score, or 'N' when not applicable.
+ * @param {string} parameters.reasoning - The teacher's reasoning.
+ * @returns {Object} The original assessment (or `null`) and the stored override.
+ * @throws {ApiValidationError} If parameters shape is invalid, an identifier is
+ *   not a safe, trimmed, non-empty string, the score is not a non-negative
+ *   integer or 'N', or the reasoning is blank.
+ */
+function overrideAssessment_(parameters) {
+  const method = 'overrideAssessment';
+  requireParametersObject_(parameters, method);
+
+  const { courseId, assignmentId, studentId, taskId, criterion, score, reasoning } = parameters;
+  validateIdentifier_(courseId, 'courseId', method);
+  validateIdentifier_(assignmentId, 'assignmentId', method);
+  validateIdentifier_(studentId, 'studentId', method);
+  validateIdentifier_(taskId, 'taskId', method);
+  validateIdentifier_(criterion, 'criterion', method);
+
+  const isValidScore =
+    score === OVERRIDE_NOT_APPLICABLE_SCORE || (Number.isInteger(score) && score >= 0);
+  if (!isValidScore) {
+    throwAssignmentValidationError_(
+      `score must be a non-negative integer or '${OVERRIDE_NOT_APPLICABLE_SCORE}'.`,
+      'score',
+      method
+    );
+  }
+  if (typeof reasoning !== 'string' || reasoning.trim().length === 0) {
+    throwAssignmentValidationError_('reasoning must be a non-empty string.', 'reasoning', method);
+  }
+
+  const overriddenBy = Session.getActiveUser().getEmail() || null;
+  return new ABClassController().overrideAssessment({
+    courseId,
+    assignmentId,
+    studentId,
+    taskId,
+    criterion,
+    score,
+    reasoning: reasoning.trim(),
+    overriddenBy,
+  });
+}
+
+/**
+ * Transport-boundary handler for publishToClassroom.
+ * Writes each student's weighted overall score to their Google Classroom
+ * submission as a draft grade and records what was published on the
+ * assignment. Teachers still return the grades from Classroom.
+ *
+ * @param {*} parameters - Request payload.
+ * @param {string} parameters.courseId - The Classroom course ID.
+ * @param {string} parameters.assignmentId - The assignment ID.
+ * @param {boolean} [parameters.includeComments=false] - Whether to compose per-task
+ *   reasoning comments for each student.
+ * @returns {Object} The publication record (`publishedAt`, `publishedBy`,
+ *   `includeComments`, `maxPoints`, `students`).
+ * @throws {ApiValidationError} If parameters shape is invalid, an identifier is
+ *   not a safe, trimmed, non-empty string, or includeComments is not a boolean.
+ */
+function publishToClassroom_(parameters) {
+  const method = 'publishToClassroom';
+  requireParametersObject_(parameters, method);
+
+  const { courseId, assignmentId, includeComments = false } = parameters;
+  validateIdentifier_(courseId, 'courseId', method);
+  validateIdentifier_(assignmentId, 'assignmentId', method);
+  if (typeof includeComments !== 'boolean') {
+    throwAssignmentValidationError_(
+      'includeComments must be a boolean.',
+      'includeComments',
+      method
+    );
+  }
+
+  const publishedBy = Session.getActiveUser().getEmail() || null;
+  return new ABClassController().publishToClassroom({
+    courseId,
+    assignmentId,
+    includeComments,
+    publishedBy,
+  });
+}
+
+/**
+ * Transport-boundary handler for populateStudentFeedback.
+ * Writes each student's feedback into their Google Slides deck or Google
+ * Sheets spreadsheet, or removes feedback written earlier. Rewriting replaces
+ * the previous feedback rather than adding to it.
+ *
+ * @param {*} parameters - Request payload.
+ * @param {string} parameters.courseId - The Classroom course ID.
+ * @param {string} parameters.assignmentId - The assignment ID.
+ * @param {string} [parameters.mode='update'] - `'update'` or `'remove'`.
+ * @param {string} [parameters.placement='speakerNotes'] - `'speakerNotes'` or `'textBox'`.
+ * @param {string} [parameters.formulaHint='pattern'] - `'none'`, `'pattern'` or `'formula'`.
+ * @returns {{documentsUpdated: number, documentsFailed: number, itemsWritten: number}}
+ *   Counts of what changed.
+ * @throws {ApiValidationError} If parameters shape is invalid, an identifier is
+ *   not a safe, trimmed, non-empty string, or mode, placement or formulaHint
+ *   is not recognised.
+ */
+function populateStudentFeedback_(parameters) {
+  const method = 'populateStudentFeedback';
+  requireParametersObject_(parameters, method);
+
+  const {
+    courseId,
+    assignmentId,
+    mode = 'update',
+    placement = 'speakerNotes',
+    formulaHint = 'pattern',
+  } = parameters;
+  validateIdentifier_(courseId, 'courseId', method);
+  validateIdentifier_(assignmentId, 'assignmentId', method);
+  if (!STUDENT_FEEDBACK_MODES.includes(mode)) {
+    throwAssignmentValidationError_(
+      `mode must be one of: ${STUDENT_FEEDBACK_MODES.join(', ')}.`,
+      'mode',
+      method
+    );
+  }
+  if (!STUDENT_FEEDBACK_PLACEMENTS.includes(placement)) {
+    throwAssignmentValidationError_(
+      `placement must be one of: ${STUDENT_FEEDBACK_PLACEMENTS.join(', ')}.`,
+      'placement',
+      method
+    );
+  }
+  if (!STUDENT_FEEDBACK_FORMULA_HINTS.includes(formulaHint)) {
+    throwAssignmentValidationError_(
+      `formulaHint must be one of: ${STUDENT_FEEDBACK_FORMULA_HINTS.join(', ')}.`,
+      'formulaHint',
+      method
+    );
+  }
+
+  return new ABClassController().populateStudentFeedback({
+    courseId,
+    assignmentId,
+    mode,
+    placement,
+    formulaHint,
+  });
+}
+
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { startAssessmentRun_, getAssignment_ };
+  module.exports = {
+    startAssessmentRun_,
+    getAssignment_,
+    getAssessmentRunStatus_,
+    getAssessmentRunQueue_,
+    cancelAssessmentRun_,
+    clearAssessmentCache_,
+    overrideAssessment_,
+    publishToClassroom_,
+    populateStudentFeedback_,
+  };
 }
@@ -4,6 +4,7 @@ const DOCS_URL_HOST = 'docs.google.com';
 const DOCUMENT_TYPE_BY_PATH_PREFIX = Object.freeze({
   '/presentation/d/': 'SLIDES',
   '/spreadsheets/d/': 'SHEETS',
+  '/document/d/': 'DOCS',
 });
 
 /**
@@ -65,10 +66,19 @@ function extractSupportedDocumentDescriptor_(urlValue, fieldName) {
   }
 
   let documentType = null;
-  if (matchingPrefix === '/presentation/d/') {
-    documentType = 'SLIDES';
-  } else if (matchingPrefix === '/spreadsheets/d/') {
-    documentType = 'SHEETS';
+  switch (matchingPrefix) {
+    case '/presentation/d/': {
+      documentType = 'SLIDES';
+      break;
+    }
+    case '/spreadsheets/d/': {
+      documentType = 'SHEETS';
+      break;
+    }
+    case '/document/d/': {
+      documentType = 'DOCS';
+      break;
+    }
   }
 
   return {
@@ -266,6 +266,10 @@ function validateUpsertParameters_(parameters) {
   }
 
   validateTaskWeightingsShape_(parameters.taskWeightings);
+  validateTaskRubricsShape_(parameters.taskRubrics);
+  validateCriteriaShape_(parameters.criteria);
+  validateAssessorProfileShape_(parameters.assessorProfile);
+  validateNotAttemptedDetectionShape_(parameters.notAttemptedDetection);
   validateRequiredYearGroupKey_(parameters);
 }
 
@@ -318,6 +322,10 @@ function validateWizardUpsertParameters_(parameters) {
 
   validateRequiredYearGroupKey_(parameters);
   validateTaskWeightingsShape_(parameters.taskWeightings);
+  validateTaskRubricsShape_(parameters.taskRubrics);
+  validateCriteriaShape_(parameters.criteria);
+  validateAssessorProfileShape_(parameters.assessorProfile);
+  validateNotAttemptedDetectionShape_(parameters.notAttemptedDetection);
 
   const referenceDescriptor = extractSupportedDocumentDescriptor_(
     parameters.referenceDocumentUrl,
@@ -392,6 +400,120 @@ function validateTaskWeightingsShape_(taskWeightings) {
   });
 }
 
+/**
+ * Validates taskRubrics transport shape when supplied.
+ * Rubric contents are validated by the TaskDefinition model; a null rubric removes it.
+ *
+ * @param {*} taskRubrics - Candidate taskRubrics payload.
+ */
+function validateTaskRubricsShape_(taskRubrics) {
+  if (taskRubrics === undefined) {
+    return;
+  }
+
+  if (!Array.isArray(taskRubrics)) {
+    throwUpsertValidationError_('taskRubrics must be an array when provided.', 'taskRubrics');
+  }
+
+  taskRubrics.forEach((taskRubric, index) => {
+    if (!taskRubric || typeof taskRubric !== 'object' || Array.isArray(taskRubric)) {
+      throwUpsertValidationError_('taskRubrics entries must be objects.', 'taskRubrics');
+    }
+
+    validateSafeTrimmedIdentifier_(taskRubric.taskId, {
+      throwValidationError: throwUpsertValidationError_,
+      typeErrorMessage: 'taskRubrics.taskId must be a string.',
+      nonEmptyErrorMessage: 'taskRubrics.taskId must be a non-empty string.',
+      trimmedErrorMessage: 'taskRubrics.taskId must already be trimmed.',
+      unsafeErrorMessage: 'taskRubrics.taskId contains unsafe characters.',
+      fieldNames: {
+        type: `taskRubrics[${index}].taskId`,
+        nonEmpty: `taskRubrics[${index}].taskId`,
+        trimmed: `taskRubrics[${index}].taskId`,
+        unsafe: `taskRubrics[${index}].taskId`,
+      },
+    });
+
+    if (!Object.hasOwn(taskRubric, 'rubric')) {
+      throwUpsertValidationError_(
+        'taskRubrics entries must include rubric.',
+        `taskRubrics[${index}].rubric`
+      );
+    }
+  });
+}
+
+/**
+ * Validates criteria transport shape when supplied.
+ * Field values are validated by the AssignmentDefinition model; null selects the defaults.
+ *
+ * @param {*} criteria - Candidate criteria payload.
+ */
+function validateCriteriaShape_(criteria) {
+  if (criteria === undefined || criteria === null) {
+    return;
+  }
+
+  if (!Array.isArray(criteria)) {
+    throwUpsertValidationError_('criteria must be an array when provided.', 'criteria');
+  }
+
+  criteria.forEach((criterion, index) => {
+    if (!criterion || typeof criterion !== 'object' || Array.isArray(criterion)) {
+      throwUpsertValidationError_('criteria entries must be objects.', 'criteria');
+    }
+
+    ['key', 'label', 'maxScore', 'weighting'].forEach((fieldName) => {
+      if (!Object.hasOwn(criterion, fieldName)) {
+        throwUpsertValidationError_(
+          `criteria entries must include ${fieldName}.`,
+          `criteria[${index}].${fieldName}`
+        );
+      }
+    });
+  });
+}
+
+/**
+ * Validates assessorProfile transport shape when supplied.
+ * The upsert orchestrator checks the name against the configured profiles; null selects the
+ * default profile.
+ *
+ * @param {*} assessorProfile - Candidate assessor profile name.
+ */
+function validateAssessorProfileShape_(assessorProfile) {
+  if (assessorProfile === undefined || assessorProfile === null) {
+    return;
+  }
+
+  if (typeof assessorProfile !== 'string') {
+    throwUpsertValidationError_(
+      'assessorProfile must be a string or null when provided.',
+      'assessorProfile'
+    );
+  }
+}
+
+/**
+ * Validates notAttemptedDetection transport shape when supplied.
+ * Threshold ranges are checked by `NotAttemptedDetectionSettings.normalise`; null
+ * restores the defaults.
+ *
+ * @param {*} notAttemptedDetection - Candidate not-attempted detection settings.
+ */
+function validateNotAttemptedDetectionShape_(notAttemptedDetection) {
+  if (notAttemptedDetection === undefined || notAttemptedDetection === null) {
+    return;
+  }
+
+  if (typeof notAttemptedDetection !== 'object' || Array.isArray(notAttemptedDetection)) {
+    throwUpsertValidationError_(
+      'notAttemptedDetection must be an object or null when provided.',
+      'notAttemptedDetection'
+    );
+  }
+}
+
 /**
  * Validates required yearGroupKey shape for save-compatible upsert writes.
  *
@@ -692,6 +814,10 @@ if (typeof module !== 'undefined' && module.exports) {
     validateUpsertParameters_,
     validateWizardUpsertParameters_,
     validateTaskWeightingsShape_,
+    validateTaskRubricsShape_,
+    validateCriteriaShape_,
+    validateAssessorProfileShape_,
+    validateNotAttemptedDetectionShape_,
     validateRequiredYearGroupKey_,
     validateReadParameters_,
     validateRequiredFields_,
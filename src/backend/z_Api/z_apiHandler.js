@@ -23,6 +23,7 @@ const API_ERROR_CODE_MAP = {
 const ALLOWLISTED_METHOD_HANDLERS = Object.freeze({
   getAuthorisationStatus: () => new ScriptAppManager().isAuthorised(),
   getABClassPartials: () => new ABClassController().getAllClassPartials(),
+  getAssessmentUsageReport: () => new ABClassController().getAssessmentUsageReport(),
   getAssignmentDefinitionPartials: (parameters) => getAssignmentDefinitionPartials_(parameters),
   getAssignmentDefinition: (parameters) => getAssignmentDefinition_(parameters),
   deleteAssignmentDefinition: (parameters) => deleteAssignmentDefinition_(parameters),
@@ -34,9 +35,18 @@ const ALLOWLISTED_METHOD_HANDLERS = Object.freeze({
   updateABClass: (parameters) => updateABClass_(parameters),
   deleteABClass: (parameters) => deleteABClass_(parameters),
   getABClass: (parameters) => getABClass_(parameters),
+  exportGradebook: (parameters) => exportGradebook_(parameters),
   getBackendConfig: () => getBackendConfig_(),
   setBackendConfig: (parameters) => setBackendConfig_(parameters),
+  testBackendConnection: (parameters) => testBackendConnection_(parameters),
   startAssessmentRun: (parameters) => startAssessmentRun_(parameters),
+  getAssessmentRunStatus: (parameters) => getAssessmentRunStatus_(parameters),
+  getAssessmentRunQueue: () => getAssessmentRunQueue_(),
+  cancelAssessmentRun: (parameters) => cancelAssessmentRun_(parameters),
+  clearAssessmentCache: (parameters) => clearAssessmentCache_(parameters),
+  overrideAssessment: (parameters) => overrideAssessment_(parameters),
+  publishToClassroom: (parameters) => publishToClassroom_(parameters),
+  populateStudentFeedback: (parameters) => populateStudentFeedback_(parameters),
   getCohorts: () => new ReferenceDataController().listCohorts(),
   createCohort: (parameters) => new ReferenceDataController().createCohort(parameters.record),
   updateCohort: (parameters) => new ReferenceDataController().updateCohort(parameters),
@@ -55,9 +65,8 @@ const ALLOWLISTED_METHOD_HANDLERS = Object.freeze({
 });
 
 if (typeof module !== 'undefined' && module.exports) {
-  const apiConfigFns = require('./apiConfig.js');
-  globalThis.getBackendConfig_ = apiConfigFns.getBackendConfig_;
-  globalThis.setBackendConfig_ = apiConfigFns.setBackendConfig_;
+  // Transport handlers are bundle globals in GAS; expose every export the same way here.
+  Object.assign(globalThis, require('./apiConfig.js'), require('./assignmentAssessment.js'));
   ({
     LOCK_TIMEOUT_MS: lockTimeoutMs,
     LOCK_WAIT_WARN_THRESHOLD_MS: lockWaitWarnThresholdMs,
@@ -69,8 +78,6 @@ if (typeof module !== 'undefined' && module.exports) {
   apiValidationErrorName = require('../Utils/ErrorTypes/ApiValidationError.js').name;
   apiDisabledErrorName = require('../Utils/ErrorTypes/ApiDisabledError.js').name;
   apiDefinitionStaleErrorName = require('../Utils/ErrorTypes/DefinitionStaleError.js').name;
-  globalThis.startAssessmentRun_ = require('./assignmentAssessment.js').startAssessmentRun_;
-  globalThis.getAssignment_ = require('./assignmentAssessment.js').getAssignment_;
   // Wire only if not already set (allows test harness to install mocks before this module loads).
   if (globalThis.upsertABClass_ === undefined) {
     const abclassMutationsFns = require('./abclass/abclassMutations.js');
@@ -82,6 +89,9 @@ if (typeof module !== 'undefined' && module.exports) {
     const abclassReadFns = require('./abclass/abclassRead.js');
     globalThis.getABClass_ = abclassReadFns.getABClass_;
   }
+  if (globalThis.exportGradebook_ === undefined) {
+    globalThis.exportGradebook_ = require('./abclass/abclassGradebookExport.js').exportGradebook_;
+  }
 } else {
   // In GAS, these are loaded as global constants and functions from the bundle.
   lockTimeoutMs = LOCK_TIMEOUT_MS;
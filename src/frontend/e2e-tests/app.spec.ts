@@ -36,6 +36,8 @@ const backendSettingsFixture = {
   jsonDbLogLevel: 'INFO',
   jsonDbBackupOnInitialise: true,
   jsonDbRootFolderId: 'folder-1234',
+  assessmentCacheRetentionDays: 90,
+  assessmentCacheMaxEntries: 5000,
 };
 
 /**
@@ -61,6 +61,8 @@ export const backendSettingsFixture = {
   jsonDbLogLevel: 'INFO',
   jsonDbBackupOnInitialise: true,
   jsonDbRootFolderId: 'folder-1234',
+  assessmentCacheRetentionDays: 90,
+  assessmentCacheMaxEntries: 5000,
 } as const;
 
 // ============================================================================
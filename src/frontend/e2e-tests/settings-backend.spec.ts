@@ -66,6 +66,8 @@ const baseBackendConfig = {
   jsonDbLogLevel: 'INFO',
   jsonDbBackupOnInitialise: true,
   jsonDbRootFolderId: 'folder-1234',
+  assessmentCacheRetentionDays: 90,
+  assessmentCacheMaxEntries: 5000,
 } satisfies BackendConfig;
 
 const refreshedBackendConfig = {
@@ -73,6 +75,8 @@ const refreshedBackendConfig = {
   backendAssessorBatchSize: 48,
   jsonDbMasterIndexKey: 'refreshed-master-index',
   jsonDbRootFolderId: 'folder-5678',
+  assessmentCacheRetentionDays: 90,
+  assessmentCacheMaxEntries: 5000,
 } satisfies BackendConfig;
 
 const partialLoadBackendConfig = {
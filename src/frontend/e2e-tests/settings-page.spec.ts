@@ -21,6 +21,8 @@ const backendConfig = {
   jsonDbLogLevel: 'INFO',
   jsonDbBackupOnInitialise: true,
   jsonDbRootFolderId: 'folder-1234',
+  assessmentCacheRetentionDays: 90,
+  assessmentCacheMaxEntries: 5000,
 } satisfies BackendConfig;
 
 /**
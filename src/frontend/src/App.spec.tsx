@@ -255,6 +255,7 @@ describe('App', () => {
     vi.doUnmock('antd');
     vi.doUnmock('react-dom/client');
     vi.doUnmock('./navigation/appNavigation');
+    vi.doUnmock('./features/dashboard/DepartmentQaDashboard');
   });
 
   it('menu renders all four entries in expanded mode with expected labels', async () => {
@@ -575,6 +576,11 @@ describe('App', () => {
   });
 
   it('theme toggle updates the Ant Design shell styling', async () => {
+    vi.resetModules();
+    // The bare shell has no query or warm-up providers for the dashboard feature.
+    vi.doMock('./features/dashboard/DepartmentQaDashboard', () => ({
+      DepartmentQaDashboard: () => <div data-testid="mock-department-qa-dashboard" />,
+    }));
     const { AppThemeShell } = await import('./AppThemeShell');
 
     await act(async () => {
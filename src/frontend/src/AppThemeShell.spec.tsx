@@ -3,6 +3,12 @@ import { act, render, screen } from '@testing-library/react';
 import { afterEach, vi } from 'vitest';
 import { AppThemeShell } from './AppThemeShell';
 
+vi.mock('./features/dashboard/DepartmentQaDashboard', () => ({
+  DepartmentQaDashboard() {
+    return <div>Department QA dashboard feature entry</div>;
+  },
+}));
+
 /**
  * Reads the Ant Design App context exposed by the shell.
  *
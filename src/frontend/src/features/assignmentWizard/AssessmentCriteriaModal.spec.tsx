@@ -0,0 +1,115 @@
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { describe, expect, it, vi } from 'vitest';
+import { DEFAULT_ASSESSMENT_CRITERIA } from '../../services/assignmentDefinition/assessmentCriterion.zod';
+import type { AssessmentCriterion } from '../../services/assignmentDefinition/assessmentCriterion.zod';
+import { setTextboxValue } from '../../test/assignmentDefinition/wizardTestHelpers';
+import { AssessmentCriteriaModal } from './AssessmentCriteriaModal';
+
+/**
+ * Renders the criteria modal.
+ *
+ * @param {readonly AssessmentCriterion[]} criteria Initial criteria.
+ * @returns {{ onSave: ReturnType<typeof vi.fn>; onCancel: ReturnType<typeof vi.fn> }} Callback spies.
+ */
+function renderCriteriaModal(criteria: readonly AssessmentCriterion[]) {
+  const onSave = vi.fn();
+  const onCancel = vi.fn();
+  render(<AssessmentCriteriaModal open criteria={criteria} onCancel={onCancel} onSave={onSave} />);
+  return { onSave, onCancel };
+}
+
+/**
+ * Clicks the modal's Apply button.
+ *
+ * @returns {Promise<void>} Completion signal.
+ */
+async function clickApply(): Promise<void> {
+  await act(async () => {
+    fireEvent.click(screen.getByRole('button', { name: 'Apply' }));
+  });
+}
+
+describe('AssessmentCriteriaModal', () => {
+  it('hydrates the current criteria and saves them back unchanged', async () => {
+    const { onSave } = renderCriteriaModal(DEFAULT_ASSESSMENT_CRITERIA);
+
+    expect(screen.getByRole('dialog', { name: 'Assessment criteria' })).toBeVisible();
+    expect(screen.getByRole('textbox', { name: 'Criterion 3 label' })).toHaveValue('SPaG');
+    expect(screen.getByRole('spinbutton', { name: 'Criterion 3 weighting' })).toHaveValue('0.2');
+
+    await clickApply();
+
+    await waitFor(() => {
+      expect(onSave).toHaveBeenCalledWith([...DEFAULT_ASSESSMENT_CRITERIA]);
+    });
+  });
+
+  it('adds a criterion and reweights an existing one', async () => {
+    const { onSave } = renderCriteriaModal(DEFAULT_ASSESSMENT_CRITERIA);
+
+    setTextboxValue(screen.getByRole('spinbutton', { name: 'Criterion 3 weighting' }), '3');
+    fireEvent.click(screen.getByRole('button', { name: 'Add criterion' }));
+    setTextboxValue(screen.getByRole('textbox', { name: 'Criterion 4 label' }), ' Code quality ');
+    setTextboxValue(screen.getByRole('textbox', { name: 'Criterion 4 key' }), 'codeQuality');
+    setTextboxValue(screen.getByRole('spinbutton', { name: 'Criterion 4 maximum score' }), '10');
+    setTextboxValue(screen.getByRole('spinbutton', { name: 'Criterion 4 weighting' }), '1');
+    await clickApply();
+
+    await waitFor(() => {
+      expect(onSave).toHaveBeenCalledWith([
+        DEFAULT_ASSESSMENT_CRITERIA[0],
+        DEFAULT_ASSESSMENT_CRITERIA[1],
+        { key: 'spag', label: 'SPaG', maxScore: 5, weighting: 3 },
+        { key: 'codeQuality', label: 'Code quality', maxScore: 10, weighting: 1 },
+      ]);
+    });
+  });
+
+  it('rejects a key that is not camelCase', async () => {
+    const { onSave } = renderCriteriaModal(DEFAULT_ASSESSMENT_CRITERIA);
+
+    setTextboxValue(screen.getByRole('textbox', { name: 'Criterion 1 key' }), 'Code quality');
+    await clickApply();
+
+    expect(
+      await screen.findByText('Use a camelCase key, such as codeQuality.')
+    ).toBeInTheDocument();
+    expect(onSave).not.toHaveBeenCalled();
+  });
+
+  it('rejects keys that differ only in case', async () => {
+    const { onSave } = renderCriteriaModal(DEFAULT_ASSESSMENT_CRITERIA);
+
+    setTextboxValue(screen.getByRole('textbox', { name: 'Criterion 2 key' }), 'spaG');
+    await clickApply();
+
+    expect(await screen.findAllByText('Each criterion needs a different key.')).not.toHaveLength(0);
+    expect(onSave).not.toHaveBeenCalled();
+  });
+
+  it('rejects criteria without a positive weighting', async () => {
+    const { onSave } = renderCriteriaModal([
+      { key: 'accuracy', label: 'Accuracy', maxScore: 5, weighting: 1 },
+    ]);
+
+    setTextboxValue(screen.getByRole('spinbutton', { name: 'Criterion 1 weighting' }), '0');
+    await clickApply();
+
+    expect(
+      await screen.findByText('At least one criterion needs a weighting above 0.')
+    ).toBeInTheDocument();
+    expect(onSave).not.toHaveBeenCalled();
+  });
+
+  it('rejects an empty criteria list', async () => {
+    const { onSave } = renderCriteriaModal([
+      { key: 'accuracy', label: 'Accuracy', maxScore: 5, weighting: 1 },
+    ]);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Remove' }));
+    await clickApply();
+
+    expect(await screen.findByText('Add at least one criterion.')).toBeInTheDocument();
+    expect(onSave).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,198 @@
+import { Button, Form, Input, InputNumber, Modal, Space, Typography } from 'antd';
+import type { FormInstance, FormListFieldData, FormListOperation } from 'antd';
+import type { JSX } from 'react';
+import {
+  ASSESSMENT_CRITERION_KEY_PATTERN,
+  type AssessmentCriterion,
+} from '../../services/assignmentDefinition/assessmentCriterion.zod';
+
+const { Text } = Typography;
+
+const DUPLICATE_KEY_MESSAGE = 'Each criterion needs a different key.';
+const NO_POSITIVE_WEIGHTING_MESSAGE = 'At least one criterion needs a weighting above 0.';
+
+export type AssessmentCriteriaModalProperties = Readonly<{
+  open: boolean;
+  criteria: readonly AssessmentCriterion[];
+  onCancel: () => void;
+  onSave: (criteria: AssessmentCriterion[]) => void;
+}>;
+
+type AssessmentCriteriaFormValues = {
+  criteria?: Array<{ key?: string; label?: string; maxScore?: number; weighting?: number }>;
+};
+
+/**
+ * Converts submitted form values into criteria, trimming text fields.
+ *
+ * @param {AssessmentCriteriaFormValues} values Submitted form values.
+ * @returns {AssessmentCriterion[]} The edited criteria.
+ */
+function buildCriteriaFromFormValues(values: AssessmentCriteriaFormValues): AssessmentCriterion[] {
+  return (values.criteria ?? []).map((criterion) => ({
+    key: (criterion.key ?? '').trim(),
+    label: (criterion.label ?? '').trim(),
+    maxScore: criterion.maxScore ?? 0,
+    weighting: criterion.weighting ?? 0,
+  }));
+}
+
+/**
+ * Checks a criterion key's shape and that no other criterion uses it. Keys are compared
+ * case-insensitively because the assessor echoes them lower-cased.
+ *
+ * @param {FormInstance<AssessmentCriteriaFormValues>} form Criteria form instance.
+ * @param {number} criterionIndex Index of the criterion being validated.
+ * @param {unknown} key Candidate key.
+ * @returns {Promise<void>} Resolves when the key is valid.
+ */
+async function validateCriterionKey(
+  form: FormInstance<AssessmentCriteriaFormValues>,
+  criterionIndex: number,
+  key: unknown
+): Promise<void> {
+  if (typeof key !== 'string' || key.trim() === '') {
+    return;
+  }
+  const candidate = key.trim();
+  if (!ASSESSMENT_CRITERION_KEY_PATTERN.test(candidate)) {
+    throw new Error('Use a camelCase key, such as codeQuality.');
+  }
+  const criteria = form.getFieldValue('criteria') as AssessmentCriteriaFormValues['criteria'];
+  const isDuplicate = (criteria ?? []).some(
+    (criterion, index) =>
+      index !== criterionIndex && criterion.key?.trim().toLowerCase() === candidate.toLowerCase()
+  );
+  if (isDuplicate) {
+    throw new Error(DUPLICATE_KEY_MESSAGE);
+  }
+}
+
+/**
+ * Checks the criteria list as a whole: it must not be empty and at least one weighting must be
+ * positive, or the overall score could not be weighted.
+ *
+ * @param {AssessmentCriteriaFormValues['criteria']} criteria Current form criteria.
+ * @returns {Promise<void>} Resolves when the list is valid.
+ */
+async function validateCriteriaList(
+  criteria: AssessmentCriteriaFormValues['criteria']
+): Promise<void> {
+  if (criteria === undefined || criteria.length === 0) {
+    throw new Error('Add at least one criterion.');
+  }
+  if (!criteria.some((criterion) => (criterion.weighting ?? 0) > 0)) {
+    throw new Error(NO_POSITIVE_WEIGHTING_MESSAGE);
+  }
+}
+
+/**
+ * Renders one criterion row.
+ *
+ * @param {FormListFieldData} field Form list field.
+ * @param {FormListOperation['remove']} remove Removes the row.
+ * @param {FormInstance<AssessmentCriteriaFormValues>} form Criteria form instance.
+ * @returns {JSX.Element} The criterion row.
+ */
+function renderCriterionRow(
+  field: FormListFieldData,
+  remove: FormListOperation['remove'],
+  form: FormInstance<AssessmentCriteriaFormValues>
+): JSX.Element {
+  return (
+    <Space key={field.key} align="start" style={{ display: 'flex' }}>
+      <Form.Item
+        name={[field.name, 'label']}
+        rules={[{ required: true, whitespace: true, message: 'Enter a label.' }]}
+        style={{ flex: 1 }}
+      >
+        <Input aria-label={`Criterion ${field.name + 1} label`} placeholder="Label" />
+      </Form.Item>
+      <Form.Item
+        name={[field.name, 'key']}
+        rules={[
+          { required: true, whitespace: true, message: 'Enter a key.' },
+          { validator: (_, value: unknown) => validateCriterionKey(form, field.name, value) },
+        ]}
+      >
+        <Input aria-label={`Criterion ${field.name + 1} key`} placeholder="Key" />
+      </Form.Item>
+      <Form.Item
+        name={[field.name, 'maxScore']}
+        rules={[{ required: true, message: 'Enter a maximum score.' }]}
+      >
+        <InputNumber
+          aria-label={`Criterion ${field.name + 1} maximum score`}
+          min={1}
+          placeholder="Max score"
+          precision={0}
+        />
+      </Form.Item>
+      <Form.Item
+        name={[field.name, 'weighting']}
+        rules={[{ required: true, message: 'Enter a weighting.' }]}
+      >
+        <InputNumber
+          aria-label={`Criterion ${field.name + 1} weighting`}
+          min={0}
+          placeholder="Weighting"
+        />
+      </Form.Item>
+      <Button onClick={() => remove(field.name)}>Remove</Button>
+    </Space>
+  );
+}
+
+/**
+ * Renders the editor for the assignment definition's assessment criteria: a label, key,
+ * maximum score and weighting for each criterion the assessor scores.
+ *
+ * @remarks
+ * The parent mounts this modal only while it is open, so the form's initial values always
+ * match the current criteria. Rubric levels written against a removed criterion, or above a
+ * lowered maximum score, are dropped by the wizard when the criteria are applied.
+ *
+ * @param {AssessmentCriteriaModalProperties} properties Modal properties.
+ * @returns {JSX.Element} The criteria modal.
+ */
+export function AssessmentCriteriaModal(
+  properties: AssessmentCriteriaModalProperties
+): JSX.Element {
+  const [form] = Form.useForm<AssessmentCriteriaFormValues>();
+
+  return (
+    <Modal
+      destroyOnHidden
+      okText="Apply"
+      onCancel={properties.onCancel}
+      onOk={() => form.submit()}
+      open={properties.open}
+      title="Assessment criteria"
+      width="var(--app-modal-width-wide-data)"
+    >
+      <Form<AssessmentCriteriaFormValues>
+        form={form}
+        initialValues={{ criteria: properties.criteria.map((criterion) => ({ ...criterion })) }}
+        layout="vertical"
+        onFinish={(values) => properties.onSave(buildCriteriaFromFormValues(values))}
+      >
+        <Text type="secondary">
+          Removing a criterion or lowering its maximum score also removes rubric levels that no
+          longer fit.
+        </Text>
+        <Form.List
+          name="criteria"
+          rules={[{ validator: (_, value) => validateCriteriaList(value) }]}
+        >
+          {(fields, { add, remove }, { errors }) => (
+            <>
+              {fields.map((field) => renderCriterionRow(field, remove, form))}
+              <Form.ErrorList errors={errors} />
+              <Button onClick={() => add()}>Add criterion</Button>
+            </>
+          )}
+        </Form.List>
+      </Form>
+    </Modal>
+  );
+}
@@ -119,8 +119,8 @@ function createStageOneParseResponse(
     templateDocumentUrl: 'https://docs.google.com/presentation/d/new-tpl',
     assignmentWeighting: 1,
     tasks: [
-      { taskId: 'task-1', taskTitle: 'Task 1', taskWeighting: 1 },
-      { taskId: 'task-2', taskTitle: 'Task 2', taskWeighting: 1 },
+      { taskId: 'task-1', taskTitle: 'Task 1', taskWeighting: 1, rubric: null },
+      { taskId: 'task-2', taskTitle: 'Task 2', taskWeighting: 1, rubric: null },
     ],
     createdAt: '2025-01-01T00:00:00.000Z',
     updatedAt: '2025-01-01T00:00:00.000Z',
@@ -156,8 +156,8 @@ function createFinalSaveResponse(
     templateDocumentUrl: 'https://docs.google.com/presentation/d/new-tpl',
     assignmentWeighting: 5,
     tasks: [
-      { taskId: 'task-1', taskTitle: 'Task 1', taskWeighting: 2 },
-      { taskId: 'task-2', taskTitle: 'Task 2', taskWeighting: 3 },
+      { taskId: 'task-1', taskTitle: 'Task 1', taskWeighting: 2, rubric: null },
+      { taskId: 'task-2', taskTitle: 'Task 2', taskWeighting: 3, rubric: null },
     ],
     createdAt: '2025-01-01T00:00:00.000Z',
     updatedAt: '2025-01-02T00:00:00.000Z',
@@ -443,8 +443,8 @@ describe('AssignmentDefinitionWizardModal', () => {
         ...mockFullAssignmentDefinition,
         definitionKey: 'algebra-baseline',
         tasks: [
-          { taskId: 'task-1', taskTitle: 'Solve quadratic equations', taskWeighting: 2 },
-          { taskId: 'task-4', taskTitle: 'Complete revision quiz', taskWeighting: 1 },
+          { taskId: 'task-1', taskTitle: 'Solve quadratic equations', taskWeighting: 2, rubric: null },
+          { taskId: 'task-4', taskTitle: 'Complete revision quiz', taskWeighting: 1, rubric: null },
         ],
       };
       upsertAssignmentDefinitionMock.mockResolvedValueOnce(reparseResponse);
@@ -594,8 +594,8 @@ describe('AssignmentDefinitionWizardModal', () => {
       // Now mock the final save response
       await performFinalSave(modal, 'test-create-key', {
         tasks: [
-          { taskId: 'task-1', taskTitle: 'Task 1', taskWeighting: 2 },
-          { taskId: 'task-2', taskTitle: 'Task 2', taskWeighting: 3 },
+          { taskId: 'task-1', taskTitle: 'Task 1', taskWeighting: 2, rubric: null },
+          { taskId: 'task-2', taskTitle: 'Task 2', taskWeighting: 3, rubric: null },
         ],
       });
 
@@ -687,8 +687,8 @@ describe('AssignmentDefinitionWizardModal', () => {
         ...mockFullAssignmentDefinition,
         definitionKey: 'test-update-key',
         tasks: [
-          { taskId: 'task-1', taskTitle: 'Original Task 1', taskWeighting: 2 },
-          { taskId: 'task-2', taskTitle: 'Original Task 2', taskWeighting: 1 },
+          { taskId: 'task-1', taskTitle: 'Original Task 1', taskWeighting: 2, rubric: null },
+          { taskId: 'task-2', taskTitle: 'Original Task 2', taskWeighting: 1, rubric: null },
         ],
       };
       setupUpdateModeMocks(initialDefinition);
@@ -726,8 +726,8 @@ describe('AssignmentDefinitionWizardModal', () => {
         templateDocumentUrl: 'https://docs.google.com/presentation/d/tpl-doc-456',
         assignmentWeighting: 5,
         tasks: [
-          { taskId: 'task-1', taskTitle: 'Updated Task 1', taskWeighting: 2 },
-          { taskId: 'task-3', taskTitle: 'New Task 3', taskWeighting: 1 },
+          { taskId: 'task-1', taskTitle: 'Updated Task 1', taskWeighting: 2, rubric: null },
+          { taskId: 'task-3', taskTitle: 'New Task 3', taskWeighting: 1, rubric: null },
         ],
         createdAt: '2025-01-01T00:00:00.000Z',
         updatedAt: '2025-01-02T00:00:00.000Z',
@@ -836,8 +836,8 @@ describe('AssignmentDefinitionWizardModal', () => {
           referenceDocumentUrl: 'https://docs.google.com/presentation/d/ref',
           templateDocumentUrl: 'https://docs.google.com/presentation/d/tpl',
           tasks: [
-            { taskId: 'task-1', taskTitle: 'Original Task 1', taskWeighting: 1 },
-            { taskId: 'task-2', taskTitle: 'Original Task 2', taskWeighting: 1 },
+            { taskId: 'task-1', taskTitle: 'Original Task 1', taskWeighting: 1, rubric: null },
+            { taskId: 'task-2', taskTitle: 'Original Task 2', taskWeighting: 1, rubric: null },
           ],
         })
       );
@@ -980,7 +980,7 @@ describe('AssignmentDefinitionWizardModal', () => {
         templateDocumentUrl: 'https://docs.google.com/presentation/d/sub-tpl',
         assignmentWeighting: 1,
         tasks: [
-          { taskId: 'task-1', taskTitle: 'Task 1', taskWeighting: 1 },
+          { taskId: 'task-1', taskTitle: 'Task 1', taskWeighting: 1, rubric: null },
         ],
         createdAt: '2025-01-01T00:00:00.000Z',
         updatedAt: '2025-01-01T00:00:00.000Z',
@@ -1205,12 +1205,12 @@ describe('AssignmentDefinitionWizardModal', () => {
 
         await performStageOneParse(modal, 'test-no-close-key', {
           tasks: [
-            { taskId: 'task-1', taskTitle: 'Task 1', taskWeighting: 1 },
+            { taskId: 'task-1', taskTitle: 'Task 1', taskWeighting: 1, rubric: null },
           ],
         });
         await performFinalSave(modal, 'test-no-close-key', {
           tasks: [
-            { taskId: 'task-1', taskTitle: 'Task 1', taskWeighting: 2 },
+            { taskId: 'task-1', taskTitle: 'Task 1', taskWeighting: 2, rubric: null },
           ],
         });
 
@@ -1224,12 +1224,12 @@ describe('AssignmentDefinitionWizardModal', () => {
 
         await performStageOneParse(modal, 'test-close-key', {
           tasks: [
-            { taskId: 'task-1', taskTitle: 'Task 1', taskWeighting: 1 },
+            { taskId: 'task-1', taskTitle: 'Task 1', taskWeighting: 1, rubric: null },
           ],
         });
         await performFinalSave(modal, 'test-close-key', {
           tasks: [
-            { taskId: 'task-1', taskTitle: 'Task 1', taskWeighting: 2 },
+            { taskId: 'task-1', taskTitle: 'Task 1', taskWeighting: 2, rubric: null },
           ],
         });
 
@@ -1275,5 +1275,81 @@ describe('AssignmentDefinitionWizardModal', () => {
         expect(onCloseSpy).toHaveBeenCalled();
       });
     });
+
+    // Test Case 22: Rubric edits mark the form dirty and are sent with the save request
+    it('sends task rubric edits with the save request in update mode', async () => {
+      setupUpdateModeMocks(mockFullAssignmentDefinition);
+      const renderOptions = createBaseUpdateOptions('algebra-baseline', mockFullAssignmentDefinition);
+      const { modal } = await renderWizardModal(renderOptions);
+
+      await act(async () => {
+        fireEvent.click(within(modal).getByRole('button', { name: 'Edit rubric for Solve quadratic equations' }));
+      });
+      // Nested antd modals share the mocked title id, so find the rubric dialog by its title text.
+      const rubricTitle = await screen.findByText('Rubric: Solve quadratic equations');
+      const rubricDialog = rubricTitle.closest<HTMLElement>('[role="dialog"]')!;
+      fireEvent.click(within(rubricDialog).getByRole('button', { name: 'Add answer' }));
+      setTextboxValue(within(rubricDialog).getByRole('textbox', { name: 'Acceptable answer 1' }), 'x = 2');
+      await act(async () => {
+        fireEvent.click(within(rubricDialog).getByRole('button', { name: 'Apply' }));
+      });
+
+      await waitFor(() => {
+        expect(within(getTaskTable({ modal })).getByText('0 levels, 1 answer')).toBeInTheDocument();
+      });
+
+      await act(async () => {
+        fireEvent.click(getSaveButton({ modal }));
+      });
+
+      await waitFor(() => {
+        expect(upsertAssignmentDefinitionMock).toHaveBeenCalledTimes(1);
+      });
+      const saveCall = upsertAssignmentDefinitionMock.mock.calls[0][0] as Record<string, unknown>;
+      expect(saveCall.taskRubrics).toEqual([
+        {
+          taskId: 'task-1',
+          rubric: { levels: [], acceptableAnswers: ['x = 2'], formulaEquivalenceSets: [] },
+        },
+        { taskId: 'task-2', rubric: null },
+        { taskId: 'task-3', rubric: null },
+      ]);
+    });
+
+    // Test Case 23: Criteria edits mark the form dirty and are sent with the save request
+    it('sends assessment criteria edits with the save request in update mode', async () => {
+      setupUpdateModeMocks(mockFullAssignmentDefinition);
+      const renderOptions = createBaseUpdateOptions('algebra-baseline', mockFullAssignmentDefinition);
+      const { modal } = await renderWizardModal(renderOptions);
+
+      await act(async () => {
+        fireEvent.click(within(modal).getByRole('button', { name: 'Edit assessment criteria' }));
+      });
+      // Nested antd modals share the mocked title id, so find the criteria dialog by its title text.
+      const criteriaTitle = await screen.findByText('Assessment criteria', { selector: '.ant-modal-title' });
+      const criteriaDialog = criteriaTitle.closest<HTMLElement>('[role="dialog"]')!;
+      setTextboxValue(within(criteriaDialog).getByRole('spinbutton', { name: 'Criterion 3 weighting' }), '2');
+      await act(async () => {
+        fireEvent.click(within(criteriaDialog).getByRole('button', { name: 'Apply' }));
+      });
+
+      await waitFor(() => {
+        expect(within(modal).getByText(/SPaG \(out of 5, weighting 2\)/)).toBeInTheDocument();
+      });
+
+      await act(async () => {
+        fireEvent.click(getSaveButton({ modal }));
+      });
+
+      await waitFor(() => {
+        expect(upsertAssignmentDefinitionMock).toHaveBeenCalledTimes(1);
+      });
+      const saveCall = upsertAssignmentDefinitionMock.mock.calls[0][0] as Record<string, unknown>;
+      expect(saveCall.criteria).toEqual([
+        { key: 'completeness', label: 'Completeness', maxScore: 5, weighting: 0.4 },
+        { key: 'accuracy', label: 'Accuracy', maxScore: 5, weighting: 0.4 },
+        { key: 'spag', label: 'SPaG', maxScore: 5, weighting: 2 },
+      ]);
+    });
   });
 });
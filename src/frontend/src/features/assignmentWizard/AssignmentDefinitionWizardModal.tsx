@@ -4,6 +4,8 @@ import { useAssignmentDefinitionWizard } from './useAssignmentDefinitionWizard';
 import { AssignmentDefinitionWizardModalShell } from './AssignmentDefinitionWizardModalShell';
 import { ManageTopicsModal } from '../referenceData/ManageTopicsModal';
 import { ManageYearGroupsModal } from '../referenceData/ManageYearGroupsModal';
+import { TaskRubricModal } from './TaskRubricModal';
+import { AssessmentCriteriaModal } from './AssessmentCriteriaModal';
 import { type AssignmentDefinitionWizardModalProperties } from './useAssignmentDefinitionWizard';
 
 const { Text } = Typography;
@@ -15,12 +17,14 @@ const { Text } = Typography;
  * @remarks
  * The modal implements a two-stage workflow:
  * - Stage one (create mode): parse document URLs first, then proceed to edit metadata and task weightings.
- * - Stage two (shared edit surface): edit metadata, year group, assignment weighting, and task weightings.
+ * - Stage two (shared edit surface): edit metadata, year group, assignment weighting, assessment criteria
+ *   (edited in AssessmentCriteriaModal), task weightings, and task rubrics (edited one task at a time in
+ *   TaskRubricModal).
  *
  * Document change re-parse gating: when document URLs change after initial parse, other edits are disabled
  * until the user either re-parses (refreshes tasks from new URLs) or cancels (restores persisted URLs).
  *
- * Dirty state tracking: unsaved metadata or weighting edits disable document URL fields. Closing the modal
+ * Dirty state tracking: unsaved metadata, weighting, criteria or rubric edits disable document URL fields. Closing the modal
  * with dirty edits requires explicit discard confirmation.
  *
  * @param {AssignmentDefinitionWizardModalProperties} properties Modal properties.
@@ -32,11 +36,15 @@ export function AssignmentDefinitionWizardModal(
   const { open, mode, definitionKey, onClose, initialValues, onCreateSuccess } = properties;
   const [manageTopicsModalOpen, setManageTopicsModalOpen] = useState(false);
   const [manageYearGroupsModalOpen, setManageYearGroupsModalOpen] = useState(false);
+  const [rubricTaskId, setRubricTaskId] = useState<string | null>(null);
+  const [isCriteriaModalOpen, setIsCriteriaModalOpen] = useState(false);
 
   const {
     form,
     hasParsedTasks,
     taskRows,
+    criteria,
+    documentType,
     documentChange,
     hasDirtyEdits,
     showDiscardConfirm,
@@ -57,6 +65,8 @@ export function AssignmentDefinitionWizardModal(
     handleDiscardConfirm,
     handleKeepEditing,
     handleTaskWeightingChange,
+    handleTaskRubricChange,
+    handleCriteriaChange,
     handlePrimaryAction,
     handleTopicAddNew,
     handleYearGroupAddNew,
@@ -65,6 +75,7 @@ export function AssignmentDefinitionWizardModal(
   } = useAssignmentDefinitionWizard({ open, mode, definitionKey, onClose, initialValues, onCreateSuccess });
 
   const isClosable = !isSubmitting && !documentChange.hasPendingChange;
+  const rubricTask = taskRows.find((row) => row.taskId === rubricTaskId);
 
   // Handlers for opening modals
   const handleOpenTopicsModal = useCallback(() => {
@@ -117,6 +128,7 @@ export function AssignmentDefinitionWizardModal(
         hasDirtyEdits={hasDirtyEdits}
         hasParsedTasks={hasParsedTasks}
         taskRows={taskRows}
+        criteria={criteria}
         documentChange={documentChange}
         form={form}
         topicOptions={topicOptions}
@@ -129,6 +141,8 @@ export function AssignmentDefinitionWizardModal(
         onReparse={handleReparse}
         onReparseCancel={handleReparseCancel}
         onTaskWeightingChange={handleTaskWeightingChange}
+        onTaskRubricEdit={setRubricTaskId}
+        onCriteriaEdit={() => setIsCriteriaModalOpen(true)}
         onTopicAddNew={combinedTopicAddNew}
         onYearGroupAddNew={combinedYearGroupAddNew}
         selectedTopicKey={selectedTopicKey}
@@ -147,6 +161,34 @@ export function AssignmentDefinitionWizardModal(
         onEntityCreated={combinedYearGroupEntityCreated}
       />
 
+      {rubricTask && (
+        <TaskRubricModal
+          key={rubricTask.taskId}
+          open
+          taskTitle={rubricTask.taskTitle}
+          rubric={rubricTask.rubric}
+          criteria={criteria}
+          showFormulaEquivalenceSets={documentType === 'SHEETS'}
+          onCancel={() => setRubricTaskId(null)}
+          onSave={(rubric) => {
+            handleTaskRubricChange(rubricTask.taskId, rubric);
+            setRubricTaskId(null);
+          }}
+        />
+      )}
+
+      {isCriteriaModalOpen && (
+        <AssessmentCriteriaModal
+          open
+          criteria={criteria}
+          onCancel={() => setIsCriteriaModalOpen(false)}
+          onSave={(nextCriteria) => {
+            handleCriteriaChange(nextCriteria);
+            setIsCriteriaModalOpen(false);
+          }}
+        />
+      )}
+
       <Modal
         centered
         destroyOnHidden
@@ -1,5 +1,8 @@
-import { render, screen } from '@testing-library/react';
-import { describe, expect, it } from 'vitest';
+import { fireEvent, render, screen } from '@testing-library/react';
+import { Form } from 'antd';
+import type { JSX } from 'react';
+import { describe, expect, it, vi } from 'vitest';
+import type { AssignmentDefinitionWizardModalShellProperties } from './AssignmentDefinitionWizardModalShell';
 
 const baseProperties = {
   open: true,
@@ -22,6 +25,22 @@ async function loadAssignmentDefinitionWizardModalShell() {
   return import(/* @vite-ignore */ modulePath);
 }
 
+/**
+ * Renders the shell with a live form instance, as the wizard modal does.
+ *
+ * @param {AssignmentDefinitionWizardModalShellProperties & { Shell: (properties: AssignmentDefinitionWizardModalShellProperties) => JSX.Element }} properties Shell properties plus the shell component.
+ * @returns {JSX.Element} The shell bound to a form.
+ */
+function ShellWithForm({
+  Shell,
+  ...properties
+}: AssignmentDefinitionWizardModalShellProperties & {
+  Shell: (properties: AssignmentDefinitionWizardModalShellProperties) => JSX.Element;
+}): JSX.Element {
+  const [form] = Form.useForm();
+  return <Shell {...properties} form={form} onFormValuesChange={() => {}} />;
+}
+
 describe('AssignmentDefinitionWizardModalShell', () => {
   it('renders hydrated, loading, and blocking-error shell states for the assignment-definition wizard modal', async () => {
     const { AssignmentDefinitionWizardModalShell } = await loadAssignmentDefinitionWizardModalShell();
@@ -53,4 +72,72 @@ describe('AssignmentDefinitionWizardModalShell', () => {
     expect(screen.getByRole('alert')).toHaveTextContent(/could not be loaded/i);
     expect(screen.queryByRole('textbox', { name: /reference document url/i })).not.toBeInTheDocument();
   });
+
+  it('summarises each task rubric and opens the editor for the chosen task', async () => {
+    const { AssignmentDefinitionWizardModalShell } = await loadAssignmentDefinitionWizardModalShell();
+    const onTaskRubricEdit = vi.fn();
+
+    render(
+      <ShellWithForm
+        {...baseProperties}
+        Shell={AssignmentDefinitionWizardModalShell}
+        mode="update"
+        hasParsedTasks
+        documentChange={{ hasPendingChange: false, previousReferenceUrl: '', previousTemplateUrl: '' }}
+        taskRows={[
+          { key: 'task-1', taskId: 'task-1', taskTitle: 'Task 1', taskWeighting: 1, rubric: null },
+          {
+            key: 'task-2',
+            taskId: 'task-2',
+            taskTitle: 'Task 2',
+            taskWeighting: 1,
+            rubric: {
+              levels: [{ criterion: 'accuracy', score: 5, descriptor: 'Fully correct.' }],
+              acceptableAnswers: ['42', 'forty-two'],
+              formulaEquivalenceSets: [],
+            },
+          },
+        ]}
+        onTaskWeightingChange={() => {}}
+        onTaskRubricEdit={onTaskRubricEdit}
+      />
+    );
+
+    expect(screen.getByText('None')).toBeInTheDocument();
+    expect(screen.getByText('1 level, 2 answers')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Edit rubric for Task 2' }));
+
+    expect(onTaskRubricEdit).toHaveBeenCalledWith('task-2');
+  });
+
+  it('summarises the assessment criteria and opens the criteria editor', async () => {
+    const { AssignmentDefinitionWizardModalShell } = await loadAssignmentDefinitionWizardModalShell();
+    const onCriteriaEdit = vi.fn();
+
+    render(
+      <ShellWithForm
+        {...baseProperties}
+        Shell={AssignmentDefinitionWizardModalShell}
+        mode="update"
+        hasParsedTasks
+        documentChange={{ hasPendingChange: false, previousReferenceUrl: '', previousTemplateUrl: '' }}
+        taskRows={[]}
+        criteria={[
+          { key: 'codeQuality', label: 'Code quality', maxScore: 10, weighting: 2 },
+          { key: 'explanation', label: 'Explanation', maxScore: 5, weighting: 1 },
+        ]}
+        onTaskWeightingChange={() => {}}
+        onCriteriaEdit={onCriteriaEdit}
+      />
+    );
+
+    expect(
+      screen.getByText('Code quality (out of 10, weighting 2), Explanation (out of 5, weighting 1)')
+    ).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Edit assessment criteria' }));
+
+    expect(onCriteriaEdit).toHaveBeenCalledTimes(1);
+  });
 });
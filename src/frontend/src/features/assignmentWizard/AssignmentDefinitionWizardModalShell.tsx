@@ -1,11 +1,13 @@
 import { Alert, Button, Form, Input, InputNumber, Modal, Skeleton, Space, Table } from 'antd';
 import { type FormInstance } from 'antd';
 import type { JSX, ReactNode } from 'react';
+import type { AssessmentCriterion } from '../../services/assignmentDefinition/assessmentCriterion.zod';
 import {
   DEFAULT_WEIGHTING_VALUE,
   MAX_WEIGHTING_VALUE,
   MIN_WEIGHTING_VALUE,
 } from '../../services/assignmentDefinition/assignmentDefinition.zod';
+import type { TaskRubric } from '../../services/assignmentDefinition/taskRubric.zod';
 import { SelectWithAddNew } from '../../components/SelectWithAddNew/SelectWithAddNew';
 import { type DocumentChangeState, type TaskRow } from './useAssignmentDefinitionWizard';
 
@@ -27,6 +29,7 @@ export type AssignmentDefinitionWizardModalShellProperties = Readonly<{
   hasDirtyEdits?: boolean;
   hasParsedTasks?: boolean;
   taskRows?: TaskRow[];
+  criteria?: readonly AssessmentCriterion[];
   documentChange?: DocumentChangeState;
   form?: FormInstance;
   topicOptions?: Array<{ value: string; label: string }>;
@@ -40,6 +43,8 @@ export type AssignmentDefinitionWizardModalShellProperties = Readonly<{
   onReparse?: () => Promise<void>;
   onReparseCancel?: () => void;
   onTaskWeightingChange?: (taskId: string, value: number | null) => void;
+  onTaskRubricEdit?: (taskId: string) => void;
+  onCriteriaEdit?: () => void;
   onTopicAddNew?: () => void;
   onYearGroupAddNew?: () => void;
   selectedTopicKey?: string;
@@ -316,6 +321,7 @@ function renderPostParseSections(properties: AssignmentDefinitionWizardModalShel
     return (
       <>
         {renderAssignmentWeightingInput()}
+        {renderCriteriaSummary(properties, documentChange)}
         {renderTaskWeightingsTable(properties, documentChange, properties.taskRows)}
       </>
     );
@@ -355,6 +361,32 @@ function renderAssignmentWeightingInput(): JSX.Element {
   );
 }
 
+/**
+ * Renders the assessment criteria summary and edit button.
+ *
+ * @param {AssignmentDefinitionWizardModalShellProperties} properties Shell properties.
+ * @param {DocumentChangeState} documentChange Document change state.
+ * @returns {JSX.Element | null} The criteria form item, or null when criteria cannot be edited.
+ */
+function renderCriteriaSummary(properties: AssignmentDefinitionWizardModalShellProperties, documentChange: DocumentChangeState): JSX.Element | null {
+  if (properties.onCriteriaEdit === undefined || properties.criteria === undefined) {
+    return null;
+  }
+
+  const summary = properties.criteria.map((criterion) => `${criterion.label} (out of ${criterion.maxScore}, weighting ${criterion.weighting})`).join(', ');
+
+  return (
+    <Form.Item label="Assessment criteria">
+      <Space>
+        <span>{summary}</span>
+        <Button aria-label="Edit assessment criteria" disabled={documentChange.hasPendingChange} onClick={properties.onCriteriaEdit} size="small">
+          Edit
+        </Button>
+      </Space>
+    </Form.Item>
+  );
+}
+
 /**
  * Renders the task weightings table.
  *
@@ -373,14 +405,17 @@ function renderTaskWeightingsTable(properties: AssignmentDefinitionWizardModalSh
       <Table
         aria-label="Task weightings"
         columns={[
-          { title: 'Task', dataIndex: 'taskTitle', key: 'taskTitle', width: '60%' },
+          { title: 'Task', dataIndex: 'taskTitle', key: 'taskTitle', width: '45%' },
           {
             title: 'Weighting',
             dataIndex: 'taskWeighting',
             key: 'taskWeighting',
-            width: '40%',
+            width: '20%',
             render: renderTaskWeightingInputCell(documentChange, properties),
           },
+          ...(properties.onTaskRubricEdit === undefined
+            ? []
+            : [{ title: 'Rubric', dataIndex: 'rubric', key: 'rubric', width: '35%', render: renderTaskRubricCell(documentChange, properties) }]),
         ]}
         dataSource={taskRows}
         pagination={false}
@@ -413,3 +448,45 @@ function renderTaskWeightingInputCell(documentChange: DocumentChangeState, prope
     />
   );
 }
+
+/**
+ * Summarises a task rubric for the task table.
+ *
+ * @param {TaskRubric | null} rubric Task rubric.
+ * @returns {string} Summary text.
+ */
+function summariseRubric(rubric: TaskRubric | null): string {
+  if (rubric === null) {
+    return 'None';
+  }
+  const levelCount = rubric.levels.length;
+  const answerCount = rubric.acceptableAnswers.length;
+  const setCount = rubric.formulaEquivalenceSets.length;
+  const summary = `${levelCount} ${levelCount === 1 ? 'level' : 'levels'}, ${answerCount} ${answerCount === 1 ? 'answer' : 'answers'}`;
+  if (setCount === 0) {
+    return summary;
+  }
+  return `${summary}, ${setCount} ${setCount === 1 ? 'formula set' : 'formula sets'}`;
+}
+
+/**
+ * Renders the task rubric summary and edit button cell for the table.
+ *
+ * @param {DocumentChangeState} documentChange Document change state.
+ * @param {AssignmentDefinitionWizardModalShellProperties} properties Shell properties.
+ * @returns {function} Render function for table cell.
+ */
+function renderTaskRubricCell(documentChange: DocumentChangeState, properties: AssignmentDefinitionWizardModalShellProperties): (value: unknown, record: TaskRow, index: number) => ReactNode {
+  if (properties.onTaskRubricEdit === undefined) {
+    return () => null;
+  }
+
+  return (_: unknown, record: TaskRow) => (
+    <Space>
+      <span>{summariseRubric(record.rubric)}</span>
+      <Button aria-label={`Edit rubric for ${record.taskTitle}`} disabled={documentChange.hasPendingChange} onClick={() => properties.onTaskRubricEdit!(record.taskId)} size="small">
+        Edit
+      </Button>
+    </Space>
+  );
+}
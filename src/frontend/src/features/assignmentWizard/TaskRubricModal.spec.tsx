@@ -0,0 +1,194 @@
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { describe, expect, it, vi } from 'vitest';
+import { DEFAULT_ASSESSMENT_CRITERIA } from '../../services/assignmentDefinition/assessmentCriterion.zod';
+import type { TaskRubric } from '../../services/assignmentDefinition/taskRubric.zod';
+import {
+  chooseSelectOption,
+  setTextboxValue,
+} from '../../test/assignmentDefinition/wizardTestHelpers';
+import { TaskRubricModal } from './TaskRubricModal';
+
+const DUPLICATE_LEVEL_COUNT = 2;
+
+const existingRubric: TaskRubric = {
+  levels: [{ criterion: 'accuracy', score: 5, descriptor: 'Correct roots with working.' }],
+  acceptableAnswers: ['x = 2 or x = 3'],
+  formulaEquivalenceSets: [],
+};
+
+const sheetsRubric: TaskRubric = {
+  levels: [],
+  acceptableAnswers: [],
+  formulaEquivalenceSets: [['=AVERAGE(B2:B10)', '=MEDIAN(B2:B10)']],
+};
+
+/**
+ * Renders the rubric modal for a single task.
+ *
+ * @param {TaskRubric | null} rubric Initial rubric.
+ * @param {boolean} showFormulaEquivalenceSets Whether the task is a Sheets task.
+ * @returns {{ onSave: ReturnType<typeof vi.fn>; onCancel: ReturnType<typeof vi.fn> }} Callback spies.
+ */
+function renderRubricModal(rubric: TaskRubric | null, showFormulaEquivalenceSets = false) {
+  const onSave = vi.fn();
+  const onCancel = vi.fn();
+  render(
+    <TaskRubricModal
+      open
+      taskTitle="Solve quadratic equations"
+      rubric={rubric}
+      criteria={DEFAULT_ASSESSMENT_CRITERIA}
+      showFormulaEquivalenceSets={showFormulaEquivalenceSets}
+      onCancel={onCancel}
+      onSave={onSave}
+    />
+  );
+  return { onSave, onCancel };
+}
+
+/**
+ * Clicks the modal's Apply button.
+ *
+ * @returns {Promise<void>} Completion signal.
+ */
+async function clickApply(): Promise<void> {
+  await act(async () => {
+    fireEvent.click(screen.getByRole('button', { name: 'Apply' }));
+  });
+}
+
+describe('TaskRubricModal', () => {
+  it('hydrates the existing rubric and saves it back unchanged', async () => {
+    const { onSave } = renderRubricModal(existingRubric);
+
+    expect(screen.getByRole('dialog', { name: 'Rubric: Solve quadratic equations' })).toBeVisible();
+    expect(screen.getByRole('textbox', { name: 'Level 1 descriptor' })).toHaveValue(
+      'Correct roots with working.'
+    );
+    expect(screen.getByRole('textbox', { name: 'Acceptable answer 1' })).toHaveValue(
+      'x = 2 or x = 3'
+    );
+
+    await clickApply();
+
+    await waitFor(() => {
+      expect(onSave).toHaveBeenCalledWith(existingRubric);
+    });
+  });
+
+  it('adds a level descriptor for a chosen criterion and trims its text', async () => {
+    const { onSave } = renderRubricModal(null);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Add level' }));
+    await chooseSelectOption('Level 1 criterion', 'SPaG');
+    setTextboxValue(screen.getByRole('spinbutton', { name: 'Level 1 score' }), '3');
+    setTextboxValue(screen.getByRole('textbox', { name: 'Level 1 descriptor' }), '  Few errors. ');
+    await clickApply();
+
+    await waitFor(() => {
+      expect(onSave).toHaveBeenCalledWith({
+        levels: [{ criterion: 'spag', score: 3, descriptor: 'Few errors.' }],
+        acceptableAnswers: [],
+        formulaEquivalenceSets: [],
+      });
+    });
+  });
+
+  it("rejects a score above the criterion's max score", async () => {
+    const { onSave } = renderRubricModal(existingRubric);
+
+    setTextboxValue(screen.getByRole('spinbutton', { name: 'Level 1 score' }), '6');
+    await clickApply();
+
+    expect(await screen.findByText('Score must be between 0 and 5.')).toBeInTheDocument();
+    expect(onSave).not.toHaveBeenCalled();
+  });
+
+  it('rejects a second descriptor for the same criterion and score', async () => {
+    const { onSave } = renderRubricModal({
+      ...existingRubric,
+      levels: [
+        ...existingRubric.levels,
+        { criterion: 'accuracy', score: 3, descriptor: 'Correct roots, no working.' },
+      ],
+    });
+
+    setTextboxValue(screen.getByRole('spinbutton', { name: 'Level 2 score' }), '5');
+    await clickApply();
+
+    expect(
+      await screen.findAllByText('Each criterion can only have one descriptor per score.')
+    ).toHaveLength(DUPLICATE_LEVEL_COUNT);
+    expect(onSave).not.toHaveBeenCalled();
+  });
+
+  it('saves null when every level and answer is removed', async () => {
+    const { onSave } = renderRubricModal(existingRubric);
+
+    for (const removeButton of screen.getAllByRole('button', { name: 'Remove' })) {
+      fireEvent.click(removeButton);
+    }
+    await clickApply();
+
+    await waitFor(() => {
+      expect(onSave).toHaveBeenCalledWith(null);
+    });
+  });
+
+  it('edits formula equivalence sets for Sheets tasks, one formula per line', async () => {
+    const { onSave } = renderRubricModal(sheetsRubric, true);
+
+    expect(screen.getByRole('textbox', { name: 'Equivalent formulae 1' })).toHaveValue(
+      '=AVERAGE(B2:B10)\n=MEDIAN(B2:B10)'
+    );
+    fireEvent.click(screen.getByRole('button', { name: 'Add equivalence set' }));
+    setTextboxValue(
+      screen.getByRole('textbox', { name: 'Equivalent formulae 2' }),
+      ' =MAX(C2:C10) \n\n=LARGE(C2:C10,1)'
+    );
+    await clickApply();
+
+    await waitFor(() => {
+      expect(onSave).toHaveBeenCalledWith({
+        ...sheetsRubric,
+        formulaEquivalenceSets: [
+          ...sheetsRubric.formulaEquivalenceSets,
+          ['=MAX(C2:C10)', '=LARGE(C2:C10,1)'],
+        ],
+      });
+    });
+  });
+
+  it('rejects an equivalence set with a single formula', async () => {
+    const { onSave } = renderRubricModal(null, true);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Add equivalence set' }));
+    setTextboxValue(screen.getByRole('textbox', { name: 'Equivalent formulae 1' }), '=A1');
+    await clickApply();
+
+    expect(
+      await screen.findByText('List at least two formulae, one per line.')
+    ).toBeInTheDocument();
+    expect(onSave).not.toHaveBeenCalled();
+  });
+
+  it('hides equivalence sets for other tasks but keeps any already stored', async () => {
+    const { onSave } = renderRubricModal(sheetsRubric);
+
+    expect(screen.queryByText('Equivalent formulae')).not.toBeInTheDocument();
+    await clickApply();
+
+    await waitFor(() => {
+      expect(onSave).toHaveBeenCalledWith(sheetsRubric);
+    });
+  });
+
+  it('calls onCancel without saving', () => {
+    const { onSave, onCancel } = renderRubricModal(existingRubric);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+
+    expect(onCancel).toHaveBeenCalled();
+    expect(onSave).not.toHaveBeenCalled();
+  });
+});
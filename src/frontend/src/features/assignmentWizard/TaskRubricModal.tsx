@@ -0,0 +1,331 @@
+import { Button, Form, Input, InputNumber, Modal, Select, Space, Typography } from 'antd';
+import type { FormInstance, FormListFieldData, FormListOperation } from 'antd';
+import type { JSX } from 'react';
+import type { AssessmentCriterion } from '../../services/assignmentDefinition/assessmentCriterion.zod';
+import {
+  MIN_FORMULA_EQUIVALENCE_SET_SIZE,
+  type TaskRubric,
+} from '../../services/assignmentDefinition/taskRubric.zod';
+
+const { Text } = Typography;
+
+const DUPLICATE_LEVEL_MESSAGE = 'Each criterion can only have one descriptor per score.';
+
+export type TaskRubricModalProperties = Readonly<{
+  open: boolean;
+  taskTitle: string;
+  rubric: TaskRubric | null;
+  criteria: readonly AssessmentCriterion[];
+  showFormulaEquivalenceSets?: boolean;
+  onCancel: () => void;
+  onSave: (rubric: TaskRubric | null) => void;
+}>;
+
+type TaskRubricFormValues = {
+  levels?: Array<{ criterion?: string; score?: number; descriptor?: string }>;
+  acceptableAnswers?: string[];
+  formulaEquivalenceSets?: string[];
+};
+
+/**
+ * Splits an equivalence-set text area into its formulae, one per non-blank line.
+ *
+ * @param {string | undefined} text Text area value.
+ * @returns {string[]} Trimmed formulae.
+ */
+function splitFormulaLines(text: string | undefined): string[] {
+  return (text ?? '')
+    .split('\n')
+    .map((line) => line.trim())
+    .filter((line) => line !== '');
+}
+
+/**
+ * Builds the form's initial values from the task's rubric.
+ *
+ * @param {TaskRubric | null} rubric Task rubric.
+ * @returns {TaskRubricFormValues} Initial form values.
+ */
+function buildInitialFormValues(rubric: TaskRubric | null): TaskRubricFormValues {
+  return {
+    levels: rubric?.levels ?? [],
+    acceptableAnswers: rubric?.acceptableAnswers ?? [],
+    formulaEquivalenceSets: (rubric?.formulaEquivalenceSets ?? []).map((formulae) =>
+      formulae.join('\n')
+    ),
+  };
+}
+
+/**
+ * Resolves the equivalence sets to save: the edited sets when the section is shown,
+ * otherwise the task's existing sets unchanged.
+ *
+ * @param {TaskRubricFormValues} values Submitted form values.
+ * @param {TaskRubricModalProperties} properties Modal properties.
+ * @returns {string[][]} Formula equivalence sets.
+ */
+function resolveFormulaEquivalenceSets(
+  values: TaskRubricFormValues,
+  properties: TaskRubricModalProperties
+): string[][] {
+  if (properties.showFormulaEquivalenceSets !== true) {
+    return properties.rubric?.formulaEquivalenceSets ?? [];
+  }
+  return (values.formulaEquivalenceSets ?? []).map((text) => splitFormulaLines(text));
+}
+
+/**
+ * Converts submitted form values into a rubric, trimming text and collapsing an empty rubric to null.
+ *
+ * @param {TaskRubricFormValues} values Submitted form values.
+ * @param {string[][]} formulaEquivalenceSets Formula equivalence sets to save.
+ * @returns {TaskRubric | null} The rubric, or null when it has no levels, answers or equivalence sets.
+ */
+function buildRubricFromFormValues(
+  values: TaskRubricFormValues,
+  formulaEquivalenceSets: string[][]
+): TaskRubric | null {
+  const levels = (values.levels ?? []).map((level) => ({
+    criterion: level.criterion ?? '',
+    score: level.score ?? 0,
+    descriptor: (level.descriptor ?? '').trim(),
+  }));
+  const acceptableAnswers = (values.acceptableAnswers ?? []).map((answer) => answer.trim());
+
+  return levels.length === 0 &&
+    acceptableAnswers.length === 0 &&
+    formulaEquivalenceSets.length === 0
+    ? null
+    : { levels, acceptableAnswers, formulaEquivalenceSets };
+}
+
+/**
+ * Checks whether another level already describes the same criterion and score.
+ *
+ * @param {TaskRubricFormValues['levels']} levels Current form levels.
+ * @param {number} levelIndex Index of the level being validated.
+ * @returns {boolean} True when the level repeats another level.
+ */
+function isDuplicateLevel(levels: TaskRubricFormValues['levels'], levelIndex: number): boolean {
+  const candidate = levels?.[levelIndex];
+  return (levels ?? []).some(
+    (level, index) =>
+      index !== levelIndex &&
+      level.criterion === candidate?.criterion &&
+      level.score === candidate?.score
+  );
+}
+
+/**
+ * Checks a level's score against its criterion's range and the other levels of the rubric.
+ *
+ * @param {readonly AssessmentCriterion[]} criteria Definition criteria.
+ * @param {FormInstance<TaskRubricFormValues>} form Rubric form instance.
+ * @param {number} levelIndex Index of the level being validated.
+ * @param {unknown} score Candidate score.
+ * @returns {Promise<void>} Resolves when the score is valid.
+ */
+async function validateLevelScore(
+  criteria: readonly AssessmentCriterion[],
+  form: FormInstance<TaskRubricFormValues>,
+  levelIndex: number,
+  score: unknown
+): Promise<void> {
+  const levels = form.getFieldValue('levels') as TaskRubricFormValues['levels'];
+  const criterion = criteria.find((candidate) => candidate.key === levels?.[levelIndex]?.criterion);
+  if (typeof score !== 'number' || criterion === undefined) {
+    return;
+  }
+  if (score > criterion.maxScore) {
+    throw new Error(`Score must be between 0 and ${criterion.maxScore}.`);
+  }
+  if (isDuplicateLevel(levels, levelIndex)) {
+    throw new Error(DUPLICATE_LEVEL_MESSAGE);
+  }
+}
+
+/**
+ * Renders one level-descriptor row.
+ *
+ * @param {FormListFieldData} field Form list field.
+ * @param {FormListOperation['remove']} remove Removes the row.
+ * @param {readonly AssessmentCriterion[]} criteria Definition criteria.
+ * @param {FormInstance<TaskRubricFormValues>} form Rubric form instance.
+ * @returns {JSX.Element} The level row.
+ */
+function renderLevelRow(
+  field: FormListFieldData,
+  remove: FormListOperation['remove'],
+  criteria: readonly AssessmentCriterion[],
+  form: FormInstance<TaskRubricFormValues>
+): JSX.Element {
+  return (
+    <Space key={field.key} align="start" style={{ display: 'flex' }}>
+      <Form.Item
+        name={[field.name, 'criterion']}
+        rules={[{ required: true, message: 'Select a criterion.' }]}
+      >
+        <Select
+          aria-label={`Level ${field.name + 1} criterion`}
+          options={criteria.map((criterion) => ({ value: criterion.key, label: criterion.label }))}
+          style={{ width: 160 }}
+        />
+      </Form.Item>
+      <Form.Item
+        dependencies={[['levels', field.name, 'criterion']]}
+        name={[field.name, 'score']}
+        rules={[
+          { required: true, message: 'Enter a score.' },
+          {
+            validator: (_, value: unknown) => validateLevelScore(criteria, form, field.name, value),
+          },
+        ]}
+      >
+        <InputNumber aria-label={`Level ${field.name + 1} score`} min={0} precision={0} />
+      </Form.Item>
+      <Form.Item
+        name={[field.name, 'descriptor']}
+        rules={[{ required: true, whitespace: true, message: 'Describe this level.' }]}
+        style={{ flex: 1 }}
+      >
+        <Input.TextArea aria-label={`Level ${field.name + 1} descriptor`} autoSize />
+      </Form.Item>
+      <Button onClick={() => remove(field.name)}>Remove</Button>
+    </Space>
+  );
+}
+
+/**
+ * Renders one acceptable-answer row.
+ *
+ * @param {FormListFieldData} field Form list field.
+ * @param {FormListOperation['remove']} remove Removes the row.
+ * @returns {JSX.Element} The answer row.
+ */
+function renderAnswerRow(
+  field: FormListFieldData,
+  remove: FormListOperation['remove']
+): JSX.Element {
+  return (
+    <Space key={field.key} align="start" style={{ display: 'flex' }}>
+      <Form.Item
+        name={field.name}
+        rules={[{ required: true, whitespace: true, message: 'Enter an answer.' }]}
+        style={{ flex: 1 }}
+      >
+        <Input aria-label={`Acceptable answer ${field.name + 1}`} />
+      </Form.Item>
+      <Button onClick={() => remove(field.name)}>Remove</Button>
+    </Space>
+  );
+}
+
+/**
+ * Renders one formula-equivalence-set row.
+ *
+ * @param {FormListFieldData} field Form list field.
+ * @param {FormListOperation['remove']} remove Removes the row.
+ * @returns {JSX.Element} The equivalence-set row.
+ */
+function renderFormulaEquivalenceSetRow(
+  field: FormListFieldData,
+  remove: FormListOperation['remove']
+): JSX.Element {
+  return (
+    <Space key={field.key} align="start" style={{ display: 'flex' }}>
+      <Form.Item
+        name={field.name}
+        rules={[
+          {
+            validator: async (_, value: unknown) => {
+              if (
+                splitFormulaLines(value as string | undefined).length <
+                MIN_FORMULA_EQUIVALENCE_SET_SIZE
+              ) {
+                throw new Error('List at least two formulae, one per line.');
+              }
+            },
+          },
+        ]}
+        style={{ flex: 1 }}
+      >
+        <Input.TextArea aria-label={`Equivalent formulae ${field.name + 1}`} autoSize />
+      </Form.Item>
+      <Button onClick={() => remove(field.name)}>Remove</Button>
+    </Space>
+  );
+}
+
+/**
+ * Renders the rubric editor for one task: level descriptors per criterion, acceptable
+ * alternative answers and, for Sheets tasks, sets of formulae to credit interchangeably.
+ * Saving with nothing in any section removes the rubric.
+ *
+ * @remarks
+ * The parent mounts this modal per task, so the form's initial values always match the task.
+ *
+ * @param {TaskRubricModalProperties} properties Modal properties.
+ * @returns {JSX.Element} The rubric modal.
+ */
+export function TaskRubricModal(properties: TaskRubricModalProperties): JSX.Element {
+  const [form] = Form.useForm<TaskRubricFormValues>();
+
+  return (
+    <Modal
+      destroyOnHidden
+      okText="Apply"
+      onCancel={properties.onCancel}
+      onOk={() => form.submit()}
+      open={properties.open}
+      title={`Rubric: ${properties.taskTitle}`}
+      width="var(--app-modal-width-wide-data)"
+    >
+      <Form<TaskRubricFormValues>
+        form={form}
+        initialValues={buildInitialFormValues(properties.rubric)}
+        layout="vertical"
+        onFinish={(values) =>
+          properties.onSave(
+            buildRubricFromFormValues(values, resolveFormulaEquivalenceSets(values, properties))
+          )
+        }
+      >
+        <Text strong>Level descriptors</Text>
+        <Form.List name="levels">
+          {(fields, { add, remove }) => (
+            <>
+              {fields.map((field) => renderLevelRow(field, remove, properties.criteria, form))}
+              <Button onClick={() => add()}>Add level</Button>
+            </>
+          )}
+        </Form.List>
+        <div style={{ marginTop: 16 }}>
+          <Text strong>Acceptable answers</Text>
+        </div>
+        <Form.List name="acceptableAnswers">
+          {(fields, { add, remove }) => (
+            <>
+              {fields.map((field) => renderAnswerRow(field, remove))}
+              <Button onClick={() => add('')}>Add answer</Button>
+            </>
+          )}
+        </Form.List>
+        {properties.showFormulaEquivalenceSets === true && (
+          <>
+            <div style={{ marginTop: 16 }}>
+              <Text strong>Equivalent formulae</Text>
+            </div>
+            <Form.List name="formulaEquivalenceSets">
+              {(fields, { add, remove }) => (
+                <>
+                  {fields.map((field) => renderFormulaEquivalenceSetRow(field, remove))}
+                  <Button onClick={() => add('')}>Add equivalence set</Button>
+                </>
+              )}
+            </Form.List>
+          </>
+        )}
+      </Form>
+    </Modal>
+  );
+}
@@ -108,7 +108,7 @@ function createParseResponse(
     referenceDocumentUrl: 'https://docs.google.com/presentation/d/ref-doc/edit',
     templateDocumentUrl: 'https://docs.google.com/presentation/d/tpl-doc/edit',
     assignmentWeighting: 1,
-    tasks: [{ taskId: 't1', taskTitle: 'Task 1', taskWeighting: 1 }],
+    tasks: [{ taskId: 't1', taskTitle: 'Task 1', taskWeighting: 1, rubric: null }],
     createdAt: '2025-01-01T00:00:00.000Z',
     updatedAt: '2025-01-01T00:00:00.000Z',
     ...overrides,
@@ -215,7 +215,7 @@ describe('useAssignmentDefinitionWizard', () => {
     const saveResponse = {
       ...parseResponse,
       assignmentWeighting: 3,
-      tasks: [{ taskId: 't1', taskTitle: 'Task 1', taskWeighting: 3 }],
+      tasks: [{ taskId: 't1', taskTitle: 'Task 1', taskWeighting: 3, rubric: null }],
     };
 
     upsertAssignmentDefinitionMock
@@ -280,4 +280,97 @@ describe('useAssignmentDefinitionWizard', () => {
     // onCreateSuccess should NOT have been called
     expect(onCreateSuccess).not.toHaveBeenCalled();
   });
+
+  it('exposes the parsed criteria and document type and applies rubric edits to the matching task row', async () => {
+    const upsertAssignmentDefinitionMock = await getUpsertDefinitionMock();
+    const criteria = [{ key: 'codeQuality', label: 'Code quality', maxScore: 10, weighting: 1 }];
+    upsertAssignmentDefinitionMock.mockResolvedValueOnce(
+      createParseResponse('test-rubric-key', { criteria })
+    );
+
+    const { result } = await renderWizardHook({
+      open: true,
+      mode: 'create',
+      definitionKey: null,
+      onClose: vi.fn(),
+    });
+
+    await setWizardFormValues(result);
+    await triggerParseAndWait(result);
+
+    expect(result.current.criteria).toEqual(criteria);
+    expect(result.current.documentType).toBe('SLIDES');
+
+    const rubric = {
+      levels: [{ criterion: 'codeQuality', score: 10, descriptor: 'Idiomatic and tested.' }],
+      acceptableAnswers: [],
+      formulaEquivalenceSets: [],
+    };
+    act(() => {
+      result.current.handleTaskRubricChange('t1', rubric);
+    });
+
+    expect(result.current.taskRows[0].rubric).toEqual(rubric);
+  });
+
+  it('applies criteria edits, drops rubric levels they orphan and saves the edited criteria', async () => {
+    const upsertAssignmentDefinitionMock = await getUpsertDefinitionMock();
+    const rubric = {
+      levels: [
+        { criterion: 'accuracy', score: 5, descriptor: 'Fully correct.' },
+        { criterion: 'spag', score: 5, descriptor: 'No errors.' },
+      ],
+      acceptableAnswers: [],
+      formulaEquivalenceSets: [],
+    };
+    upsertAssignmentDefinitionMock
+      .mockResolvedValueOnce(
+        createParseResponse('test-criteria-key', {
+          criteria: [
+            { key: 'accuracy', label: 'Accuracy', maxScore: 5, weighting: 0.5 },
+            { key: 'spag', label: 'SPaG', maxScore: 5, weighting: 0.5 },
+          ],
+          tasks: [{ taskId: 't1', taskTitle: 'Task 1', taskWeighting: 1, rubric }],
+        })
+      )
+      .mockResolvedValueOnce(createParseResponse('test-criteria-key'));
+
+    const { result } = await renderWizardHook({
+      open: true,
+      mode: 'create',
+      definitionKey: null,
+      onClose: vi.fn(),
+    });
+
+    await setWizardFormValues(result);
+    await triggerParseAndWait(result);
+
+    const editedCriteria = [
+      { key: 'accuracy', label: 'Accuracy', maxScore: 5, weighting: 1 },
+      { key: 'codeQuality', label: 'Code quality', maxScore: 10, weighting: 2 },
+    ];
+    act(() => {
+      result.current.handleCriteriaChange(editedCriteria);
+    });
+
+    expect(result.current.criteria).toEqual(editedCriteria);
+    expect(result.current.taskRows[0].rubric?.levels).toEqual([rubric.levels[0]]);
+    await waitFor(() => {
+      expect(result.current.hasDirtyEdits).toBe(true);
+    });
+
+    await act(async () => {
+      (result.current.handlePrimaryAction as () => void)();
+    });
+
+    await waitFor(() => {
+      expect(upsertAssignmentDefinitionMock.mock.lastCall?.[0]).toEqual(
+        expect.objectContaining({
+          definitionKey: 'test-criteria-key',
+          criteria: editedCriteria,
+          taskRubrics: [{ taskId: 't1', rubric: { ...rubric, levels: [rubric.levels[0]] } }],
+        })
+      );
+    });
+  });
 });
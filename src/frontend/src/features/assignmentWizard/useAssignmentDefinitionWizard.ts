@@ -14,13 +14,21 @@ import {
   getAssignmentTopicsQueryOptions,
   getYearGroupsQueryOptions,
 } from '../../query/sharedQueries';
-import { DEFAULT_WEIGHTING_VALUE } from '../../services/assignmentDefinition/assignmentDefinition.zod';
+import {
+  type AssessmentCriterion,
+  DEFAULT_ASSESSMENT_CRITERIA,
+} from '../../services/assignmentDefinition/assessmentCriterion.zod';
+import {
+  DEFAULT_WEIGHTING_VALUE,
+  type DocumentType,
+} from '../../services/assignmentDefinition/assignmentDefinition.zod';
 import {
   type AssignmentDefinition,
   type UpsertAssignmentDefinitionResponse,
   type UpsertAssignmentDefinitionRequest,
   upsertAssignmentDefinition,
 } from '../../services/assignmentDefinition/assignmentDefinitionService';
+import type { TaskRubric } from '../../services/assignmentDefinition/taskRubric.zod';
 
 export type ModalMode = 'create' | 'update';
 
@@ -29,6 +37,7 @@ export type TaskRow = Readonly<{
   taskId: string;
   taskTitle: string;
   taskWeighting: number;
+  rubric: TaskRubric | null;
 }>;
 
 export type DocumentChangeState = Readonly<{
@@ -45,9 +54,10 @@ type ParsedCreateBaseline = Readonly<{
   templateDocumentUrl: string;
   referenceDocumentId: string;
   templateDocumentId: string;
-  documentType: 'SLIDES' | 'SHEETS';
+  documentType: DocumentType;
   assignmentWeighting: number | null;
   taskWeightings: ReadonlyMap<string, number>;
+  taskRubrics: ReadonlyMap<string, TaskRubric | null>;
 }>;
 
 /**
@@ -67,19 +77,21 @@ export type AssignmentDefinitionWizardModalProperties = Readonly<{
   onCreateSuccess?: (definitionKey: string) => void;
 }>;
 
+const CANONICAL_URL_BASE_BY_DOCUMENT_TYPE: Readonly<Record<DocumentType, string>> = {
+  SLIDES: 'https://docs.google.com/presentation/d',
+  SHEETS: 'https://docs.google.com/spreadsheets/d',
+  DOCS: 'https://docs.google.com/document/d',
+};
+
 /**
- * Builds a canonical Google Docs/Sheets URL from a document ID and type.
+ * Builds a canonical Google Slides/Sheets/Docs URL from a document ID and type.
  *
  * @param {string} documentId - The Google document ID.
- * @param {'SLIDES' | 'SHEETS'} documentType - The type of Google document.
+ * @param {DocumentType} documentType - The type of Google document.
  * @returns {string} The canonical URL.
  */
-function buildCanonicalUrl(documentId: string, documentType: 'SLIDES' | 'SHEETS'): string {
-  const base =
-    documentType === 'SLIDES'
-      ? 'https://docs.google.com/presentation/d'
-      : 'https://docs.google.com/spreadsheets/d';
-  return `${base}/${documentId}/edit`;
+function buildCanonicalUrl(documentId: string, documentType: DocumentType): string {
+  return `${CANONICAL_URL_BASE_BY_DOCUMENT_TYPE[documentType]}/${documentId}/edit`;
 }
 
 /**
@@ -92,7 +104,7 @@ function buildCanonicalUrl(documentId: string, documentType: 'SLIDES' | 'SHEETS'
 function buildDocumentUrlsFromDefinition(
   definition: Record<string, unknown>
 ): { referenceUrl: string; templateUrl: string } | null {
-  const resolvedDocumentType = definition.documentType as 'SLIDES' | 'SHEETS';
+  const resolvedDocumentType = definition.documentType as DocumentType;
   const resolvedReferenceDocumentId = definition.referenceDocumentId as string;
   const resolvedTemplateDocumentId = definition.templateDocumentId as string;
 
@@ -258,9 +270,11 @@ export interface FormInitializationOptions {
   formValues: Record<string, unknown>;
   taskRows: TaskRow[];
   hasParsedTasks: boolean;
+  hasCriteriaChanges: boolean;
   localDefinitionKey: string | null;
   setHasParsedTasks: (value: boolean) => void;
   setTaskRows: (rows: TaskRow[]) => void;
+  setEditedCriteria: (criteria: AssessmentCriterion[] | null) => void;
   setDocumentChange: (state: DocumentChangeState) => void;
   setHasDirtyEdits: (value: boolean) => void;
   setSubmitBlockingError: (error: string | null) => void;
@@ -293,9 +307,11 @@ function useFormInitialization(
     formValues,
     taskRows,
     hasParsedTasks,
+    hasCriteriaChanges,
     localDefinitionKey,
     setHasParsedTasks,
     setTaskRows,
+    setEditedCriteria,
     setDocumentChange,
     setHasDirtyEdits,
     setSubmitBlockingError,
@@ -315,6 +331,7 @@ function useFormInitialization(
 
     setHasParsedTasks(false);
     setTaskRows([]);
+    setEditedCriteria(null);
     setDocumentChange({
       hasPendingChange: false,
       previousReferenceUrl: '',
@@ -349,6 +366,7 @@ function useFormInitialization(
     definition,
     form,
     setTaskRows,
+    setEditedCriteria,
     setHasParsedTasks,
     setDocumentChange,
     setHasDirtyEdits,
@@ -376,8 +394,16 @@ function useFormInitialization(
       isCreateMode,
       hasParsedTasks
     );
-    setHasDirtyEdits(isDirty);
-  }, [formValues, definition, taskRows, isCreateMode, hasParsedTasks, setHasDirtyEdits]);
+    setHasDirtyEdits(isDirty || hasCriteriaChanges);
+  }, [
+    formValues,
+    definition,
+    taskRows,
+    isCreateMode,
+    hasParsedTasks,
+    hasCriteriaChanges,
+    setHasDirtyEdits,
+  ]);
 
   // Function to store parse baseline after successful stage-one create
   const storeParseBaseline = useCallback((response: UpsertAssignmentDefinitionResponse) => {
@@ -398,6 +424,7 @@ function useFormInitialization(
       // Use the actual assignmentWeighting from the response, not the default
       assignmentWeighting: response.assignmentWeighting,
       taskWeightings: new Map(response.tasks.map((task) => [task.taskId, task.taskWeighting])),
+      taskRubrics: new Map(response.tasks.map((task) => [task.taskId, task.rubric])),
     };
   }, []);
 
@@ -433,6 +460,7 @@ function useFormInitialization(
           taskWeightings: new Map(
             cachedDefinition.tasks.map((task) => [task.taskId, task.taskWeighting])
           ),
+          taskRubrics: new Map(cachedDefinition.tasks.map((task) => [task.taskId, task.rubric])),
         };
       }
     }
@@ -520,18 +548,34 @@ function hasCreateModeMetadataChanges(
 }
 
 /**
- * Checks if task weighting values differ from baseline in create mode.
+ * Compares two task rubrics by value.
+ *
+ * @param {TaskRubric | null | undefined} left - First rubric.
+ * @param {TaskRubric | null | undefined} right - Second rubric.
+ * @returns {boolean} True when both describe the same rubric.
+ */
+function isSameRubric(
+  left: TaskRubric | null | undefined,
+  right: TaskRubric | null | undefined
+): boolean {
+  return JSON.stringify(left ?? null) === JSON.stringify(right ?? null);
+}
+
+/**
+ * Checks if task weighting or rubric values differ from baseline in create mode.
  *
  * @param {TaskRow[]} taskRows - Current task rows.
  * @param {ParsedCreateBaseline} parsedCreateBaseline - Parsed baseline.
- * @returns {boolean} True if there are task weighting changes.
+ * @returns {boolean} True if there are task weighting or rubric changes.
  */
-function hasCreateModeTaskWeightingChanges(
+function hasCreateModeTaskChanges(
   taskRows: TaskRow[],
   parsedCreateBaseline: ParsedCreateBaseline
 ): boolean {
   return taskRows.some(
-    (row) => parsedCreateBaseline.taskWeightings.get(row.taskId) !== row.taskWeighting
+    (row) =>
+      parsedCreateBaseline.taskWeightings.get(row.taskId) !== row.taskWeighting ||
+      !isSameRubric(parsedCreateBaseline.taskRubrics.get(row.taskId), row.rubric)
   );
 }
 
@@ -572,6 +616,7 @@ function hydrateFormFromDefinition(
       taskId: t.taskId,
       taskTitle: t.taskTitle,
       taskWeighting: t.taskWeighting,
+      rubric: t.rubric,
     }))
   );
 
@@ -698,9 +743,9 @@ function hasCreateModeDirtyEdits(
   taskRows: TaskRow[]
 ): boolean {
   const hasMetadataChanges = hasCreateModeMetadataChanges(values, parsedCreateBaseline);
-  const hasTaskWeightingChanges = hasCreateModeTaskWeightingChanges(taskRows, parsedCreateBaseline);
+  const hasTaskChanges = hasCreateModeTaskChanges(taskRows, parsedCreateBaseline);
 
-  return hasMetadataChanges || hasTaskWeightingChanges;
+  return hasMetadataChanges || hasTaskChanges;
 }
 
 /**
@@ -727,11 +772,13 @@ function hasUpdateModeDirtyEdits(
     values.yearGroup !== definition.yearGroupKey ||
     currentAssignmentWeighting !== definition.assignmentWeighting;
 
-  const hasTaskWeightingChanges = taskRows.some((row) => {
+  const hasTaskChanges = taskRows.some((row) => {
     const tasks = definition.tasks;
     if (!Array.isArray(tasks)) return false;
     const task = tasks.find(
-      (candidate): candidate is { taskId: string; taskWeighting: number } =>
+      (
+        candidate
+      ): candidate is { taskId: string; taskWeighting: number; rubric?: TaskRubric | null } =>
         typeof candidate === 'object' &&
         candidate !== null &&
         'taskId' in candidate &&
@@ -740,10 +787,12 @@ function hasUpdateModeDirtyEdits(
         typeof candidate.taskWeighting === 'number' &&
         candidate.taskId === row.taskId
     );
-    return task === undefined ? false : task.taskWeighting !== row.taskWeighting;
+    return task === undefined
+      ? false
+      : task.taskWeighting !== row.taskWeighting || !isSameRubric(task.rubric, row.rubric);
   });
 
-  return hasMetadataChanges || hasTaskWeightingChanges;
+  return hasMetadataChanges || hasTaskChanges;
 }
 
 /**
@@ -774,6 +823,106 @@ function calculateDirtyState(
   return definition ? hasUpdateModeDirtyEdits(values, definition, taskRows) : false;
 }
 
+/**
+ * Derives the criteria that task rubric levels are written against.
+ * Create mode only knows the definition's criteria once the documents have been parsed.
+ *
+ * @param {boolean} isCreateMode - Whether in create mode.
+ * @param {AssessmentCriterion[] | null} parsedCriteria - Criteria from the latest parse response.
+ * @param {AssignmentDefinition | undefined} definition - Definition for update mode.
+ * @returns {readonly AssessmentCriterion[]} The effective criteria.
+ */
+function deriveCriteria(
+  isCreateMode: boolean,
+  parsedCriteria: AssessmentCriterion[] | null,
+  definition: AssignmentDefinition | undefined
+): readonly AssessmentCriterion[] {
+  return (isCreateMode ? parsedCriteria : definition?.criteria) ?? DEFAULT_ASSESSMENT_CRITERIA;
+}
+
+/**
+ * Compares two criteria lists by value, including their order.
+ *
+ * @param {readonly AssessmentCriterion[]} left - First criteria list.
+ * @param {readonly AssessmentCriterion[]} right - Second criteria list.
+ * @returns {boolean} True when both describe the same criteria.
+ */
+function isSameCriteria(
+  left: readonly AssessmentCriterion[],
+  right: readonly AssessmentCriterion[]
+): boolean {
+  return JSON.stringify(left) === JSON.stringify(right);
+}
+
+/**
+ * Resolves the criteria shown in the wizard: unsaved edits when there are any, otherwise the
+ * saved criteria.
+ *
+ * @param {readonly AssessmentCriterion[]} savedCriteria - Criteria of the saved or parsed definition.
+ * @param {AssessmentCriterion[] | null} editedCriteria - Unsaved criteria edits, or null when none.
+ * @returns {{ criteria: readonly AssessmentCriterion[]; hasCriteriaChanges: boolean }} The effective
+ *   criteria and whether they differ from the saved criteria.
+ */
+function resolveEditedCriteria(
+  savedCriteria: readonly AssessmentCriterion[],
+  editedCriteria: AssessmentCriterion[] | null
+): { criteria: readonly AssessmentCriterion[]; hasCriteriaChanges: boolean } {
+  if (editedCriteria === null) {
+    return { criteria: savedCriteria, hasCriteriaChanges: false };
+  }
+  return {
+    criteria: editedCriteria,
+    hasCriteriaChanges: !isSameCriteria(editedCriteria, savedCriteria),
+  };
+}
+
+/**
+ * Drops rubric levels that no longer fit the criteria: levels for a removed criterion and
+ * levels scored above a lowered maximum. The backend rejects a save that keeps either.
+ *
+ * @param {TaskRubric | null} rubric - Task rubric.
+ * @param {readonly AssessmentCriterion[]} criteria - Criteria the rubric must fit.
+ * @returns {TaskRubric | null} The rubric without orphaned levels, or null when nothing is left.
+ */
+function fitRubricToCriteria(
+  rubric: TaskRubric | null,
+  criteria: readonly AssessmentCriterion[]
+): TaskRubric | null {
+  if (rubric === null) {
+    return null;
+  }
+  const maxScoreByKey = new Map(criteria.map((criterion) => [criterion.key, criterion.maxScore]));
+  const levels = rubric.levels.filter((level) => {
+    const maxScore = maxScoreByKey.get(level.criterion);
+    return maxScore !== undefined && level.score <= maxScore;
+  });
+  if (levels.length === rubric.levels.length) {
+    return rubric;
+  }
+  return levels.length === 0 &&
+    rubric.acceptableAnswers.length === 0 &&
+    rubric.formulaEquivalenceSets.length === 0
+    ? null
+    : { ...rubric, levels };
+}
+
+/**
+ * Derives the document type of the definition being edited, which decides the rubric
+ * sections on offer. Create mode only knows it once the documents have been parsed.
+ *
+ * @param {boolean} isCreateMode - Whether in create mode.
+ * @param {DocumentType | null} parsedDocumentType - Document type from the latest parse response.
+ * @param {AssignmentDefinition | undefined} definition - Definition for update mode.
+ * @returns {DocumentType | null} The document type, or null when not yet known.
+ */
+function deriveDocumentType(
+  isCreateMode: boolean,
+  parsedDocumentType: DocumentType | null,
+  definition: AssignmentDefinition | undefined
+): DocumentType | null {
+  return (isCreateMode ? parsedDocumentType : definition?.documentType) ?? null;
+}
+
 /**
  * Return type for the useAssignmentDefinitionWizard hook.
  *
@@ -786,6 +935,8 @@ export type UseAssignmentDefinitionWizardReturn = Readonly<{
   form: FormInstance<Record<string, unknown>>;
   hasParsedTasks: boolean;
   taskRows: TaskRow[];
+  criteria: readonly AssessmentCriterion[];
+  documentType: DocumentType | null;
   documentChange: DocumentChangeState;
   hasDirtyEdits: boolean;
   showDiscardConfirm: boolean;
@@ -809,6 +960,8 @@ export type UseAssignmentDefinitionWizardReturn = Readonly<{
   handleDiscardConfirm: () => void;
   handleKeepEditing: () => void;
   handleTaskWeightingChange: (taskId: string, value: number | null) => void;
+  handleTaskRubricChange: (taskId: string, rubric: TaskRubric | null) => void;
+  handleCriteriaChange: (criteria: AssessmentCriterion[]) => void;
   handlePrimaryAction: () => void;
   handleTopicAddNew: () => void;
   handleYearGroupAddNew: () => void;
@@ -857,6 +1010,9 @@ export function useAssignmentDefinitionWizard(
 
   const [hasParsedTasks, setHasParsedTasks] = useState(false);
   const [taskRows, setTaskRows] = useState<TaskRow[]>([]);
+  const [parsedCriteria, setParsedCriteria] = useState<AssessmentCriterion[] | null>(null);
+  const [editedCriteria, setEditedCriteria] = useState<AssessmentCriterion[] | null>(null);
+  const [parsedDocumentType, setParsedDocumentType] = useState<DocumentType | null>(null);
   const [documentChange, setDocumentChange] = useState<DocumentChangeState>({
     hasPendingChange: false,
     previousReferenceUrl: '',
@@ -892,6 +1048,11 @@ export function useAssignmentDefinitionWizard(
 
   const topicOptions = useMemo(() => buildTopicOptions(topics), [topics]);
   const yearGroupOptions = useMemo(() => buildYearGroupOptions(yearGroups), [yearGroups]);
+  const { criteria, hasCriteriaChanges } = resolveEditedCriteria(
+    deriveCriteria(isCreateMode, parsedCriteria, definition),
+    editedCriteria
+  );
+  const documentType = deriveDocumentType(isCreateMode, parsedDocumentType, definition);
 
   const watchedFormValues = Form.useWatch([], form);
   const formValues = useMemo(() => watchedFormValues ?? {}, [watchedFormValues]);
@@ -916,9 +1077,11 @@ export function useAssignmentDefinitionWizard(
       formValues,
       taskRows,
       hasParsedTasks,
+      hasCriteriaChanges,
       localDefinitionKey,
       setHasParsedTasks,
       setTaskRows,
+      setEditedCriteria,
       setDocumentChange,
       setHasDirtyEdits,
       setSubmitBlockingError,
@@ -974,29 +1137,30 @@ export function useAssignmentDefinitionWizard(
   );
 
   /**
-   * Builds task rows from response tasks, optionally preserving existing weightings for re-parse.
+   * Builds task rows from response tasks, optionally preserving existing weightings and rubrics for re-parse.
    *
-   * @param {Array<{ taskId: string; taskTitle: string; taskWeighting: number }>} responseTasks - Tasks from the response.
-   * @param {TaskRow[]} existingTaskRows - Current task rows for weighting preservation.
+   * @param {UpsertAssignmentDefinitionResponse['tasks']} responseTasks - Tasks from the response.
    * @param {'parse' | 'reparse'} actionType - Whether this is a parse or re-parse action.
    * @returns {TaskRow[]} New task rows.
    */
   const buildTaskRowsFromResponse = useCallback(
     (
-      responseTasks: Array<{ taskId: string; taskTitle: string; taskWeighting: number }>,
+      responseTasks: UpsertAssignmentDefinitionResponse['tasks'],
       actionType: 'parse' | 'reparse'
     ) => {
-      const existingWeightings =
-        actionType === 'reparse'
-          ? new Map(taskRows.map((row) => [row.taskId, row.taskWeighting]))
-          : null;
-
-      const newTaskRows: TaskRow[] = responseTasks.map((t) => ({
-        key: t.taskId,
-        taskId: t.taskId,
-        taskTitle: t.taskTitle,
-        taskWeighting: existingWeightings?.get(t.taskId) ?? t.taskWeighting,
-      }));
+      const existingRows =
+        actionType === 'reparse' ? new Map(taskRows.map((row) => [row.taskId, row])) : null;
+
+      const newTaskRows: TaskRow[] = responseTasks.map((t) => {
+        const existingRow = existingRows?.get(t.taskId);
+        return {
+          key: t.taskId,
+          taskId: t.taskId,
+          taskTitle: t.taskTitle,
+          taskWeighting: existingRow?.taskWeighting ?? t.taskWeighting,
+          rubric: existingRow === undefined ? t.rubric : existingRow.rubric,
+        };
+      });
 
       return newTaskRows;
     },
@@ -1016,6 +1180,9 @@ export function useAssignmentDefinitionWizard(
       const newTaskRows = buildTaskRowsFromResponse(response.tasks, actionType);
 
       setTaskRows(newTaskRows);
+      setParsedCriteria(response.criteria);
+      setEditedCriteria(null);
+      setParsedDocumentType(documentType);
       setHasParsedTasks(true);
       setDocumentChange({
         hasPendingChange: false,
@@ -1230,17 +1397,29 @@ export function useAssignmentDefinitionWizard(
         taskId: row.taskId,
         taskWeighting: row.taskWeighting,
       })),
+      taskRubrics: taskRows.map((row) => ({ taskId: row.taskId, rubric: row.rubric })),
     };
     if (effectiveKey) {
       request.definitionKey = effectiveKey;
     }
+    if (editedCriteria !== null) {
+      request.criteria = editedCriteria;
+    }
     await runWizardMutation({
       actionType: 'save',
       request,
       definitionKey: effectiveKey,
       onCreateSuccess,
     });
-  }, [form, taskRows, definitionKey, localDefinitionKey, runWizardMutation, onCreateSuccess]);
+  }, [
+    form,
+    taskRows,
+    editedCriteria,
+    definitionKey,
+    localDefinitionKey,
+    runWizardMutation,
+    onCreateSuccess,
+  ]);
 
   // Handle re-parse
   const handleReparse = useCallback(async () => {
@@ -1310,6 +1489,22 @@ export function useAssignmentDefinitionWizard(
     );
   }, []);
 
+  const handleTaskRubricChange = useCallback((taskId: string, rubric: TaskRubric | null) => {
+    setTaskRows((previous) =>
+      previous.map((row) => (row.taskId === taskId ? { ...row, rubric } : row))
+    );
+  }, []);
+
+  const handleCriteriaChange = useCallback((nextCriteria: AssessmentCriterion[]) => {
+    setEditedCriteria(nextCriteria);
+    setTaskRows((previous) =>
+      previous.map((row) => {
+        const rubric = fitRubricToCriteria(row.rubric, nextCriteria);
+        return rubric === row.rubric ? row : { ...row, rubric };
+      })
+    );
+  }, []);
+
   const handlePrimaryAction = useCallback(() => {
     const action = isCreateMode && !hasParsedTasks ? handleParseAndContinue : handleSave;
     action().catch((error) => {
@@ -1348,6 +1543,8 @@ export function useAssignmentDefinitionWizard(
     form,
     hasParsedTasks,
     taskRows,
+    criteria,
+    documentType,
     documentChange,
     hasDirtyEdits,
     showDiscardConfirm,
@@ -1368,6 +1565,8 @@ export function useAssignmentDefinitionWizard(
     handleDiscardConfirm,
     handleKeepEditing,
     handleTaskWeightingChange,
+    handleTaskRubricChange,
+    handleCriteriaChange,
     handlePrimaryAction,
     handleTopicAddNew,
     handleYearGroupAddNew,
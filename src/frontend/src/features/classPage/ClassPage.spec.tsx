@@ -48,6 +48,17 @@ const { mockTaskHeatmapTable } = vi.hoisted(() => ({
   }),
 }));
 
+const { mockUseGradebookExport } = vi.hoisted(() => ({
+  mockUseGradebookExport: vi.fn(() => ({
+    gradebook: null,
+    isExportingToSheets: false,
+    outcome: null,
+    downloadCsv: vi.fn(),
+    exportToSheets: vi.fn(),
+    dismissOutcome: vi.fn(),
+  })),
+}));
+
 const { mockGetAssignment } = vi.hoisted(() => ({ mockGetAssignment: vi.fn() }));
 mockGetAssignment.mockResolvedValue({
   courseId: 'class-abc-123',
@@ -99,6 +110,10 @@ vi.mock('./useClassPageData', () => ({
   useClassPageData: mockUseClassPageData,
 }));
 
+vi.mock('./useGradebookExport', () => ({
+  useGradebookExport: mockUseGradebookExport,
+}));
+
 vi.mock('./ClassPageContent', () => ({
   ClassPageContent: mockClassPageContent,
 }));
@@ -456,4 +471,72 @@ describe('ClassPage', () => {
       callCountBeforeReopen
     );
   });
+
+  it('switches to the student view and hides Back to Classes when a student is opened', () => {
+    mockUseClassPageData.mockReturnValue(createReadyClassPageData());
+
+    render(
+      createElement(ClassPage, {
+        classId: DEFAULT_CLASS_ID,
+      })
+    );
+
+    const onOpenStudent = getLastCallArguments(mockClassPageContent).onOpenStudent as (
+      studentId: string
+    ) => void;
+    act(() => {
+      onOpenStudent('s-1');
+    });
+
+    expect(getLastCallArguments(mockClassPageContent).selectedView).toEqual({
+      view: 'student',
+      studentId: 's-1',
+    });
+    expect(screen.queryByLabelText('Back to Classes')).not.toBeInTheDocument();
+  });
+
+  it('switches to the topics view when the topic heatmap is opened', () => {
+    mockUseClassPageData.mockReturnValue(createReadyClassPageData());
+
+    render(
+      createElement(ClassPage, {
+        classId: DEFAULT_CLASS_ID,
+      })
+    );
+
+    const onOpenTopics = getLastCallArguments(mockClassPageContent).onOpenTopics as () => void;
+    act(() => {
+      onOpenTopics();
+    });
+
+    expect(getLastCallArguments(mockClassPageContent).selectedView).toEqual({ view: 'topics' });
+    expect(screen.queryByLabelText('Back to Classes')).not.toBeInTheDocument();
+  });
+
+  it('shows a link to the spreadsheet after a Google Sheets export', () => {
+    mockUseClassPageData.mockReturnValue(createReadyClassPageData());
+    mockUseGradebookExport.mockReturnValue({
+      gradebook: null,
+      isExportingToSheets: false,
+      outcome: {
+        type: 'success',
+        spreadsheetUrl: 'https://docs.google.com/spreadsheets/d/sheet-1/edit',
+      },
+      downloadCsv: vi.fn(),
+      exportToSheets: vi.fn(),
+      dismissOutcome: vi.fn(),
+    } as unknown as ReturnType<typeof mockUseGradebookExport>);
+
+    render(
+      createElement(ClassPage, {
+        classId: DEFAULT_CLASS_ID,
+      })
+    );
+
+    expect(screen.getByText('Gradebook exported to Google Sheets.')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Open the spreadsheet' })).toHaveAttribute(
+      'href',
+      'https://docs.google.com/spreadsheets/d/sheet-1/edit'
+    );
+  });
 });
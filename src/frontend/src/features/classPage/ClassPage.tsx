@@ -13,6 +13,7 @@
  *   the current class
  * - {@link pageContent} — static strings for the page (heading, summary, empty states)
  * - {@link useClassSelection} — class-selection context for the "Back to Classes" navigation
+ * - {@link useGradebookExport} — gradebook CSV download and Google Sheets export
  *
  * The `AssessTaskModal` is rendered at the page root (not inside `ClassPageContent`)
  * because the modal open/close state spans the loading/blocking/ready transitions.
@@ -24,10 +25,15 @@
  */
 
 import { useState, type JSX } from 'react';
-import { Flex } from 'antd';
-import { ClassPageContent } from './ClassPageContent';
+import { Alert, Flex } from 'antd';
+import { ClassPageContent, type ClassPageView } from './ClassPageContent';
 import { ClassPageHeaderActions } from './ClassPageHeaderActions';
 import { useClassPageData } from './useClassPageData';
+import {
+  useGradebookExport,
+  type GradebookExport,
+  type GradebookExportOutcome,
+} from './useGradebookExport';
 import { AssessTaskModal } from '../../features/classes/AssessTaskModal/AssessTaskModal';
 import { pageContent } from '../../pages/pageContent';
 import { useClassSelection } from '../../ClassSelectionContext';
@@ -48,6 +54,15 @@ type ClassPageHeaderProperties = Readonly<{
   onNavigateToClasses: () => void;
   /** Callback invoked when the user clicks "Start New Assessment". */
   onStartNewAssessment: () => void;
+  /** Gradebook export state and actions for the header buttons. */
+  gradebookExport: GradebookExport;
+}>;
+
+type GradebookExportAlertProperties = Readonly<{
+  /** The latest Google Sheets export outcome. */
+  outcome: GradebookExportOutcome;
+  /** Callback invoked when the alert is closed. */
+  onClose: () => void;
 }>;
 
 /**
@@ -55,7 +70,7 @@ type ClassPageHeaderProperties = Readonly<{
  *
  * Always shows the class-name {@link PageTitleCard}. The parent {@link PageNavCard}
  * ("Back to Classes") is shown only in the overview view; when a child view
- * (heatmap) is active, the child page renders its own navigation card so that
+ * (heatmap or student profile) is active, the child page renders its own navigation card so that
  * only the most-junior nav card is visible.
  *
  * @param {ClassPageHeaderProperties} properties - Component properties.
@@ -63,6 +78,7 @@ type ClassPageHeaderProperties = Readonly<{
  * @param {boolean} properties.isOverview - Whether the overview view is active.
  * @param {() => void} properties.onNavigateToClasses - Back-to-classes callback.
  * @param {() => void} properties.onStartNewAssessment - Start-assessment callback.
+ * @param {GradebookExport} properties.gradebookExport - Gradebook export state and actions.
  * @returns {JSX.Element} The rendered header.
  */
 function ClassPageHeader({
@@ -70,6 +86,7 @@ function ClassPageHeader({
   isOverview,
   onNavigateToClasses,
   onStartNewAssessment,
+  gradebookExport,
 }: ClassPageHeaderProperties): JSX.Element {
   return (
     <>
@@ -79,13 +96,49 @@ function ClassPageHeader({
           onBack={onNavigateToClasses}
           backLabel="Back to Classes"
           backAriaLabel="Back to Classes"
-          actions={<ClassPageHeaderActions onStartNewAssessment={onStartNewAssessment} />}
+          actions={
+            <ClassPageHeaderActions
+              onStartNewAssessment={onStartNewAssessment}
+              canExportGradebook={gradebookExport.gradebook !== null}
+              isExportingToSheets={gradebookExport.isExportingToSheets}
+              onDownloadCsv={gradebookExport.downloadCsv}
+              onExportToSheets={gradebookExport.exportToSheets}
+            />
+          }
         />
       )}
     </>
   );
 }
 
+/**
+ * Render the outcome of the latest Google Sheets gradebook export: a link to
+ * the spreadsheet on success, or the failure message.
+ *
+ * @param {GradebookExportAlertProperties} properties - Component properties.
+ * @param {GradebookExportOutcome} properties.outcome - The export outcome.
+ * @param {() => void} properties.onClose - Close callback.
+ * @returns {JSX.Element} The closable outcome alert.
+ */
+function GradebookExportAlert({ outcome, onClose }: GradebookExportAlertProperties): JSX.Element {
+  if (outcome.type === 'error') {
+    return <Alert type="error" showIcon closable={{ onClose }} title={outcome.message} />;
+  }
+  return (
+    <Alert
+      type="success"
+      showIcon
+      closable={{ onClose }}
+      title="Gradebook exported to Google Sheets."
+      description={
+        <a href={outcome.spreadsheetUrl} target="_blank" rel="noreferrer">
+          Open the spreadsheet
+        </a>
+      }
+    />
+  );
+}
+
 /**
  * Render the Class page composition root.
  *
@@ -98,15 +151,26 @@ function ClassPageHeader({
  */
 export function ClassPage({ classId }: ClassPageProperties): JSX.Element {
   const { onNavigateToClasses } = useClassSelection();
-  const { surfaceState, classFull, analyserResult, adapterResult, error, refetch, assignmentDefinitionPartials } =
-    useClassPageData(classId);
+  const {
+    surfaceState,
+    classFull,
+    analyserResult,
+    adapterResult,
+    error,
+    refetch,
+    assignmentDefinitionPartials,
+  } = useClassPageData(classId);
+
+  const gradebookExport = useGradebookExport({
+    classId,
+    classFull,
+    analyserResult,
+    assignmentDefinitionPartials,
+  });
 
   const [isAssessModalOpen, setIsAssessModalOpen] = useState<boolean>(false);
 
-  const [selectedView, setSelectedView] = useState<{
-    view: 'overview' | 'heatmap';
-    assignmentId?: string;
-  }>({ view: 'overview' });
+  const [selectedView, setSelectedView] = useState<ClassPageView>({ view: 'overview' });
 
   const className: string = classFull?.className ?? '';
   const isLoading: boolean = surfaceState.status === 'loading';
@@ -136,6 +200,22 @@ export function ClassPage({ classId }: ClassPageProperties): JSX.Element {
     setSelectedView({ view: 'heatmap', assignmentId });
   }
 
+  /**
+   * Switch to the student profile view for the given student.
+   *
+   * @param {string} studentId - The student ID to open the profile for.
+   */
+  function handleOpenStudent(studentId: string): void {
+    setSelectedView({ view: 'student', studentId });
+  }
+
+  /**
+   * Switch to the topic heatmap view.
+   */
+  function handleOpenTopics(): void {
+    setSelectedView({ view: 'topics' });
+  }
+
   /**
    * Return to the overview view.
    */
@@ -152,6 +232,14 @@ export function ClassPage({ classId }: ClassPageProperties): JSX.Element {
             isOverview={isOverview}
             onNavigateToClasses={onNavigateToClasses}
             onStartNewAssessment={handleStartNewAssessment}
+            gradebookExport={gradebookExport}
+          />
+        )}
+
+        {isOverview && gradebookExport.outcome !== null && (
+          <GradebookExportAlert
+            outcome={gradebookExport.outcome}
+            onClose={gradebookExport.dismissOutcome}
           />
         )}
 
@@ -164,6 +252,8 @@ export function ClassPage({ classId }: ClassPageProperties): JSX.Element {
           selectedView={selectedView}
           assignmentDefinitionPartials={assignmentDefinitionPartials}
           onOpenHeatmap={handleOpenHeatmap}
+          onOpenStudent={handleOpenStudent}
+          onOpenTopics={handleOpenTopics}
           onBack={handleBack}
           refetch={refetch}
           onStartNewAssessment={handleStartNewAssessment}
@@ -56,6 +56,26 @@ vi.mock('./TaskHeatmapPage', () => ({
   TaskHeatmapPage: mockTaskHeatmapPage,
 }));
 
+const { mockStudentProfilePage } = vi.hoisted(() => ({
+  mockStudentProfilePage: vi.fn(function MockStudentProfilePage() {
+    return createElement('div', { 'data-testid': 'student-profile-page' });
+  }),
+}));
+
+vi.mock('./StudentProfilePage', () => ({
+  StudentProfilePage: mockStudentProfilePage,
+}));
+
+const { mockTopicHeatmapPage } = vi.hoisted(() => ({
+  mockTopicHeatmapPage: vi.fn(function MockTopicHeatmapPage() {
+    return createElement('div', { 'data-testid': 'topic-heatmap-page' });
+  }),
+}));
+
+vi.mock('./TopicHeatmapPage', () => ({
+  TopicHeatmapPage: mockTopicHeatmapPage,
+}));
+
 // ===========================================================================
 // Fixture helpers
 // ===========================================================================
@@ -160,6 +180,8 @@ describe('ClassPageContent', () => {
         classFull: null,
         selectedView: { view: 'overview' },
         onOpenHeatmap: vi.fn(),
+        onOpenStudent: vi.fn(),
+        onOpenTopics: vi.fn(),
         onBack: vi.fn(),
         refetch: vi.fn(),
         assignmentDefinitionPartials: null,
@@ -200,6 +222,8 @@ describe('ClassPageContent', () => {
         classFull: null,
         selectedView: { view: 'overview' },
         onOpenHeatmap: vi.fn(),
+        onOpenStudent: vi.fn(),
+        onOpenTopics: vi.fn(),
         onBack: vi.fn(),
         refetch: vi.fn(),
         assignmentDefinitionPartials: null,
@@ -246,6 +270,8 @@ describe('ClassPageContent', () => {
         classFull: null,
         selectedView: { view: 'overview' },
         onOpenHeatmap: vi.fn(),
+        onOpenStudent: vi.fn(),
+        onOpenTopics: vi.fn(),
         onBack: vi.fn(),
         refetch: vi.fn(),
         assignmentDefinitionPartials: null,
@@ -291,6 +317,8 @@ describe('ClassPageContent', () => {
         classFull: null,
         selectedView: { view: 'overview' },
         onOpenHeatmap: vi.fn(),
+        onOpenStudent: vi.fn(),
+        onOpenTopics: vi.fn(),
         onBack: vi.fn(),
         refetch: vi.fn(),
         assignmentDefinitionPartials: null,
@@ -336,6 +364,8 @@ describe('ClassPageContent', () => {
         classFull: null,
         selectedView: { view: 'overview' },
         onOpenHeatmap: vi.fn(),
+        onOpenStudent: vi.fn(),
+        onOpenTopics: vi.fn(),
         onBack: vi.fn(),
         refetch: vi.fn(),
         assignmentDefinitionPartials: null,
@@ -383,6 +413,8 @@ describe('ClassPageContent', () => {
         classFull: null,
         selectedView: { view: 'overview' },
         onOpenHeatmap: vi.fn(),
+        onOpenStudent: vi.fn(),
+        onOpenTopics: vi.fn(),
         onBack: vi.fn(),
         refetch: vi.fn(),
         assignmentDefinitionPartials: null,
@@ -426,6 +458,8 @@ describe('ClassPageContent', () => {
         classFull: null,
         selectedView: { view: 'overview' },
         onOpenHeatmap: vi.fn(),
+        onOpenStudent: vi.fn(),
+        onOpenTopics: vi.fn(),
         onBack: vi.fn(),
         refetch: vi.fn(),
         assignmentDefinitionPartials: null,
@@ -465,6 +499,8 @@ describe('ClassPageContent', () => {
         classFull: null,
         selectedView: { view: 'overview' },
         onOpenHeatmap: vi.fn(),
+        onOpenStudent: vi.fn(),
+        onOpenTopics: vi.fn(),
         onBack: vi.fn(),
         refetch: vi.fn(),
         assignmentDefinitionPartials: null,
@@ -486,6 +522,7 @@ describe('ClassPageContent', () => {
     // Verify StudentAveragesTableCard receives the adapterResult
     const studentTableProperties = getFirstCallArguments(mockStudentAveragesTableCard);
     expect(studentTableProperties.adapterResult).toEqual(adapterResult);
+    expect(typeof studentTableProperties.onOpenStudent).toBe('function');
   });
 
   // -----------------------------------------------------------------------
@@ -508,6 +545,8 @@ describe('ClassPageContent', () => {
         classFull: nonNullClassFull,
         selectedView: { view: 'heatmap', assignmentId: 'a-1' },
         onOpenHeatmap: vi.fn(),
+        onOpenStudent: vi.fn(),
+        onOpenTopics: vi.fn(),
         onBack: vi.fn(),
         refetch: vi.fn(),
         assignmentDefinitionPartials: [],
@@ -547,6 +586,8 @@ describe('ClassPageContent', () => {
         classFull: nonNullClassFull,
         selectedView: { view: 'heatmap', assignmentId: 'a-1' },
         onOpenHeatmap: vi.fn(),
+        onOpenStudent: vi.fn(),
+        onOpenTopics: vi.fn(),
         onBack: vi.fn(),
         refetch: vi.fn(),
         assignmentDefinitionPartials: null,
@@ -560,4 +601,83 @@ describe('ClassPageContent', () => {
     expect(mockRecentAssignmentsSection).toHaveBeenCalled();
     expect(mockStudentAveragesTableCard).toHaveBeenCalled();
   });
+
+  // -----------------------------------------------------------------------
+  // Student profile view
+  // -----------------------------------------------------------------------
+
+  it('renders StudentProfilePage when selectedView.view is student', () => {
+    const adapterResult = createAdapterResult();
+    const surfaceState: ClassPageSurfaceState = { status: 'ready' };
+
+    render(
+      createElement(ClassPageContent, {
+        surfaceState,
+        adapterResult,
+        error: null,
+        onStartNewAssessment: vi.fn(),
+        onNavigateToClasses: vi.fn(),
+        onRetry: vi.fn(),
+        analyserResult: nonNullAnalyserResult,
+        classFull: nonNullClassFull,
+        selectedView: { view: 'student', studentId: 's-1' },
+        onOpenHeatmap: vi.fn(),
+        onOpenStudent: vi.fn(),
+        onOpenTopics: vi.fn(),
+        onBack: vi.fn(),
+        refetch: vi.fn(),
+        assignmentDefinitionPartials: [],
+      })
+    );
+
+    expect(mockStudentProfilePage).toHaveBeenCalledTimes(1);
+    const callArguments = getFirstCallArguments(mockStudentProfilePage);
+    expect(callArguments).toMatchObject({
+      classFull: { classId: 'c-1' },
+      studentId: 's-1',
+      assignmentDefinitionPartials: [],
+    });
+    expect(typeof callArguments.onBack).toBe('function');
+    expect(mockRecentAssignmentsSection).not.toHaveBeenCalled();
+    expect(mockStudentAveragesTableCard).not.toHaveBeenCalled();
+  });
+
+  // -----------------------------------------------------------------------
+  // Topic heatmap view
+  // -----------------------------------------------------------------------
+
+  it('renders TopicHeatmapPage when selectedView.view is topics', () => {
+    const adapterResult = createAdapterResult();
+    const surfaceState: ClassPageSurfaceState = { status: 'ready' };
+
+    render(
+      createElement(ClassPageContent, {
+        surfaceState,
+        adapterResult,
+        error: null,
+        onStartNewAssessment: vi.fn(),
+        onNavigateToClasses: vi.fn(),
+        onRetry: vi.fn(),
+        analyserResult: nonNullAnalyserResult,
+        classFull: nonNullClassFull,
+        selectedView: { view: 'topics' },
+        onOpenHeatmap: vi.fn(),
+        onOpenStudent: vi.fn(),
+        onOpenTopics: vi.fn(),
+        onBack: vi.fn(),
+        refetch: vi.fn(),
+        assignmentDefinitionPartials: [],
+      })
+    );
+
+    expect(mockTopicHeatmapPage).toHaveBeenCalledTimes(1);
+    const callArguments = getFirstCallArguments(mockTopicHeatmapPage);
+    expect(callArguments).toMatchObject({
+      classFull: { classId: 'c-1' },
+      assignmentDefinitionPartials: [],
+    });
+    expect(typeof callArguments.onBack).toBe('function');
+    expect(mockRecentAssignmentsSection).not.toHaveBeenCalled();
+    expect(mockStudentAveragesTableCard).not.toHaveBeenCalled();
+  });
 });
@@ -41,11 +41,20 @@ import type { AssignmentDefinitionPartialsResponse } from '../../services/assign
 import { RecentAssignmentsSection } from './RecentAssignmentsSection';
 import { StudentAveragesTableCard } from './StudentAveragesTableCard';
 import { TaskHeatmapPage } from './TaskHeatmapPage';
+import { StudentProfilePage } from './StudentProfilePage';
+import { TopicHeatmapPage } from './TopicHeatmapPage';
 
 // ---------------------------------------------------------------------------
 // Types
 // ---------------------------------------------------------------------------
 
+/** The Class page view selection owned by `ClassPage`. */
+export type ClassPageView = {
+  view: 'overview' | 'heatmap' | 'student' | 'topics';
+  assignmentId?: string;
+  studentId?: string;
+};
+
 type ClassPageContentProperties = Readonly<{
   /** The combined surface state (`loading` | `blocking` | `ready`). */
   surfaceState: ClassPageSurfaceState;
@@ -61,13 +70,17 @@ type ClassPageContentProperties = Readonly<{
   analyserResult: AveragingResult | null;
   /** The full class data — non-null when `surfaceState.status === 'ready'`. */
   classFull: ClassFull | null;
-  /** The current view selection (overview or heatmap with optional assignmentId). */
-  selectedView: { view: 'overview' | 'heatmap'; assignmentId?: string };
+  /** The current view selection (overview, heatmap with an assignmentId, student with a studentId, or topics). */
+  selectedView: ClassPageView;
   /** Warm-up assignment-definition partials (non-null when `surfaceState.status === 'ready'`). */
   assignmentDefinitionPartials: AssignmentDefinitionPartialsResponse | null;
   /** Callback invoked when a RecentAssignmentCard is clicked to open the heatmap. */
   onOpenHeatmap: (assignmentId: string) => void;
-  /** Callback invoked to return from the heatmap view to the overview. */
+  /** Callback invoked when a student name is clicked to open the student profile. */
+  onOpenStudent: (studentId: string) => void;
+  /** Callback invoked when "View by topic" is clicked to open the topic heatmap. */
+  onOpenTopics: () => void;
+  /** Callback invoked to return from the heatmap, student or topic view to the overview. */
   onBack: () => void;
   /** Callback invoked to re-run the data pipeline (refresh). */
   refetch: () => void;
@@ -89,6 +102,10 @@ type ClassPageReadyProperties = Readonly<{
   adapterResult: ClassPageAdapterResult;
   /** Callback forwarded to RecentAssignmentsSection for opening the heatmap view. */
   onOpenHeatmap: (assignmentId: string) => void;
+  /** Callback forwarded to StudentAveragesTableCard for opening the student view. */
+  onOpenStudent: (studentId: string) => void;
+  /** Callback forwarded to StudentAveragesTableCard for opening the topic heatmap. */
+  onOpenTopics: () => void;
   /** Callback invoked when the user clicks "Start New Assessment" (used by empty-state CTA). */
   onStartNewAssessment: () => void;
 }>;
@@ -291,75 +308,144 @@ interface RenderReadyContentOptions {
   assignmentDefinitionPartials: AssignmentDefinitionPartialsResponse | null;
   adapterResult: ClassPageAdapterResult;
   onOpenHeatmap: (assignmentId: string) => void;
+  onOpenStudent: (studentId: string) => void;
+  onOpenTopics: () => void;
   onBack: () => void;
   refetch: () => void;
   onStartNewAssessment: () => void;
 }
 
 /**
- * Render the appropriate ready-state content: either the heatmap page or the
- * overview tree, depending on `selectedView`.
+ * Render the heatmap page when the heatmap view is selected and its data is
+ * available.
  *
  * @param {RenderReadyContentOptions} options - The ready-content options.
- * @returns {JSX.Element} The rendered ready-state content.
+ * @returns {JSX.Element | null} The heatmap page, or `null` when not applicable.
  */
-function renderReadyContent(options: RenderReadyContentOptions): JSX.Element {
-  const {
-    selectedView,
-    analyserResult,
-    classFull,
-    assignmentDefinitionPartials,
-    adapterResult,
-    onOpenHeatmap,
-    onBack,
-    refetch,
-    onStartNewAssessment,
-  } = options;
+function renderHeatmapView(options: RenderReadyContentOptions): JSX.Element | null {
+  const { selectedView, analyserResult, classFull, assignmentDefinitionPartials, onBack, refetch } =
+    options;
   if (
-    selectedView.view === 'heatmap' &&
-    selectedView.assignmentId !== undefined &&
-    analyserResult !== null &&
-    classFull !== null &&
-    assignmentDefinitionPartials !== null
+    selectedView.view !== 'heatmap' ||
+    selectedView.assignmentId === undefined ||
+    analyserResult === null ||
+    classFull === null ||
+    assignmentDefinitionPartials === null
   ) {
-    return (
-      <TaskHeatmapPage
-        analyserResult={analyserResult}
-        classFull={classFull}
-        assignmentId={selectedView.assignmentId}
-        assignmentDefinitionPartials={assignmentDefinitionPartials}
-        onBack={onBack}
-        refetch={refetch}
-      />
-    );
+    return null;
   }
+  return (
+    <TaskHeatmapPage
+      analyserResult={analyserResult}
+      classFull={classFull}
+      assignmentId={selectedView.assignmentId}
+      assignmentDefinitionPartials={assignmentDefinitionPartials}
+      onBack={onBack}
+      refetch={refetch}
+    />
+  );
+}
 
+/**
+ * Render the student profile page when the student view is selected and its
+ * data is available.
+ *
+ * @param {RenderReadyContentOptions} options - The ready-content options.
+ * @returns {JSX.Element | null} The student profile page, or `null` when not applicable.
+ */
+function renderStudentView(options: RenderReadyContentOptions): JSX.Element | null {
+  const { selectedView, classFull, assignmentDefinitionPartials, onBack, refetch } = options;
+  if (
+    selectedView.view !== 'student' ||
+    selectedView.studentId === undefined ||
+    classFull === null ||
+    assignmentDefinitionPartials === null
+  ) {
+    return null;
+  }
   return (
-    <ClassPageReady
-      adapterResult={adapterResult}
-      onOpenHeatmap={onOpenHeatmap}
-      onStartNewAssessment={onStartNewAssessment}
+    <StudentProfilePage
+      classFull={classFull}
+      studentId={selectedView.studentId}
+      assignmentDefinitionPartials={assignmentDefinitionPartials}
+      onBack={onBack}
+      refetch={refetch}
     />
   );
 }
 
+/**
+ * Render the topic heatmap page when the topics view is selected and its data
+ * is available.
+ *
+ * @param {RenderReadyContentOptions} options - The ready-content options.
+ * @returns {JSX.Element | null} The topic heatmap page, or `null` when not applicable.
+ */
+function renderTopicsView(options: RenderReadyContentOptions): JSX.Element | null {
+  const { selectedView, classFull, assignmentDefinitionPartials, onBack, refetch } = options;
+  if (
+    selectedView.view !== 'topics' ||
+    classFull === null ||
+    assignmentDefinitionPartials === null
+  ) {
+    return null;
+  }
+  return (
+    <TopicHeatmapPage
+      classFull={classFull}
+      assignmentDefinitionPartials={assignmentDefinitionPartials}
+      onBack={onBack}
+      refetch={refetch}
+    />
+  );
+}
+
+/**
+ * Render the appropriate ready-state content: the heatmap page, the student
+ * profile page, the topic heatmap page, or the overview tree, depending on
+ * `selectedView`.
+ *
+ * @param {RenderReadyContentOptions} options - The ready-content options.
+ * @returns {JSX.Element} The rendered ready-state content.
+ */
+function renderReadyContent(options: RenderReadyContentOptions): JSX.Element {
+  return (
+    renderHeatmapView(options) ??
+    renderStudentView(options) ??
+    renderTopicsView(options) ?? (
+      <ClassPageReady
+        adapterResult={options.adapterResult}
+        onOpenHeatmap={options.onOpenHeatmap}
+        onOpenStudent={options.onOpenStudent}
+        onOpenTopics={options.onOpenTopics}
+        onStartNewAssessment={options.onStartNewAssessment}
+      />
+    )
+  );
+}
+
 /**
  * Ready-state content for the Class page.
  *
  * Renders the full content tree:
  * 1. `RecentAssignmentsSection` with `adapterResult.recentAssignments`
  *    and the `onOpenHeatmap` callback
- * 2. `StudentAveragesTableCard` with `adapterResult`
+ * 2. `StudentAveragesTableCard` with `adapterResult` and the `onOpenStudent`
+ *    and `onOpenTopics` callbacks
  *
  * @param {ClassPageReadyProperties} properties - Component properties.
  * @param {ClassPageAdapterResult} properties.adapterResult - The adapter result.
  * @param {(assignmentId: string) => void} properties.onOpenHeatmap - Callback to open the heatmap.
+ * @param {(studentId: string) => void} properties.onOpenStudent - Callback to open a student profile.
+ * @param {() => void} properties.onOpenTopics - Callback to open the topic heatmap.
  * @param {() => void} properties.onStartNewAssessment - Callback to start a new assessment (empty-state CTA).
  * @returns {JSX.Element} The rendered ready-state content tree.
  */
 function ClassPageReady({
   adapterResult,
   onOpenHeatmap,
+  onOpenStudent,
+  onOpenTopics,
   onStartNewAssessment,
 }: ClassPageReadyProperties): JSX.Element {
   return (
@@ -371,6 +457,8 @@ function ClassPageReady({
       />
       <StudentAveragesTableCard
         adapterResult={adapterResult}
+        onOpenStudent={onOpenStudent}
+        onOpenTopics={onOpenTopics}
       />
     </>
   );
@@ -410,6 +498,8 @@ export function ClassPageContent({
   selectedView,
   assignmentDefinitionPartials,
   onOpenHeatmap,
+  onOpenStudent,
+  onOpenTopics,
   onBack,
   refetch,
 }: ClassPageContentProperties): JSX.Element {
@@ -430,9 +520,9 @@ export function ClassPageContent({
     }
 
     case 'ready': {
-      // When the heatmap view is selected and both analyserResult and classFull
-      // are non-null (guaranteed by the ready gate), render the heatmap page
-      // instead of the overview tree.
+      // When the heatmap, student or topics view is selected and its data is non-null
+      // (guaranteed by the ready gate), render that page instead of the
+      // overview tree.
       return renderReadyContent({
         selectedView,
         analyserResult,
@@ -440,6 +530,8 @@ export function ClassPageContent({
         assignmentDefinitionPartials,
         adapterResult: adapterResult!,
         onOpenHeatmap,
+        onOpenStudent,
+        onOpenTopics,
         onBack,
         refetch,
         onStartNewAssessment,
@@ -2,9 +2,10 @@
  * Tests for `ClassPageHeaderActions` — the two top-right header action buttons.
  *
  * @remarks
- * The component renders a disabled `Edit Student Details` button (wrapped in
- * a `Tooltip` with "Coming soon") and an enabled `Start New Assessment`
- * button. Pure presentational; receives `onStartNewAssessment` as a prop.
+ * The component renders the gradebook export buttons, a disabled
+ * `Edit Student Details` button (wrapped in a `Tooltip` with "Coming soon")
+ * and an enabled `Start New Assessment` button. Pure presentational; receives
+ * its callbacks and export state as props.
  *
  * @see SPEC_CLASS_PAGE.md - "ClassPageHeaderActions"
  * @see CLASS_PAGE_LAYOUT.md - "Page Heading and Header Actions"
@@ -15,6 +16,25 @@ import { render, screen } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import { ClassPageHeaderActions } from './ClassPageHeaderActions';
 
+/**
+ * Build the component properties with export actions enabled and idle.
+ *
+ * @param {Partial<Parameters<typeof ClassPageHeaderActions>[0]>} [overrides] - Property overrides.
+ * @returns {Parameters<typeof ClassPageHeaderActions>[0]} The component properties.
+ */
+function buildProperties(
+  overrides: Partial<Parameters<typeof ClassPageHeaderActions>[0]> = {}
+): Parameters<typeof ClassPageHeaderActions>[0] {
+  return {
+    onStartNewAssessment: vi.fn(),
+    canExportGradebook: true,
+    isExportingToSheets: false,
+    onDownloadCsv: vi.fn(),
+    onExportToSheets: vi.fn(),
+    ...overrides,
+  };
+}
+
 describe('ClassPageHeaderActions', () => {
   let user: ReturnType<typeof userEvent.setup>;
 
@@ -27,21 +47,21 @@ describe('ClassPageHeaderActions', () => {
   });
 
   it('renders the disabled Edit Student Details button', () => {
-    render(<ClassPageHeaderActions onStartNewAssessment={vi.fn()} />);
+    render(<ClassPageHeaderActions {...buildProperties()} />);
 
     const button = screen.getByRole('button', { name: /edit student details/i });
     expect(button).toBeDisabled();
   });
 
   it('renders the enabled Start New Assessment button', () => {
-    render(<ClassPageHeaderActions onStartNewAssessment={vi.fn()} />);
+    render(<ClassPageHeaderActions {...buildProperties()} />);
 
     const button = screen.getByRole('button', { name: /start new assessment/i });
     expect(button).toBeEnabled();
   });
 
   it('renders EditOutlined icon on disabled Edit Student Details and PlusOutlined icon on Start New Assessment', () => {
-    render(<ClassPageHeaderActions onStartNewAssessment={vi.fn()} />);
+    render(<ClassPageHeaderActions {...buildProperties()} />);
 
     const editButton = screen.getByRole('button', { name: /edit student details/i });
     expect(editButton.querySelector('.anticon-edit')).toBeInTheDocument();
@@ -53,7 +73,7 @@ describe('ClassPageHeaderActions', () => {
   it('calls onStartNewAssessment when the primary button is clicked', async () => {
     const onStartNewAssessment = vi.fn();
 
-    render(<ClassPageHeaderActions onStartNewAssessment={onStartNewAssessment} />);
+    render(<ClassPageHeaderActions {...buildProperties({ onStartNewAssessment })} />);
 
     const button = screen.getByRole('button', { name: /start new assessment/i });
     await user.click(button);
@@ -62,7 +82,7 @@ describe('ClassPageHeaderActions', () => {
   });
 
   it('wraps the disabled button in a Tooltip with Coming soon text', async () => {
-    render(<ClassPageHeaderActions onStartNewAssessment={vi.fn()} />);
+    render(<ClassPageHeaderActions {...buildProperties()} />);
 
     // The Tooltip wraps a <span> around the disabled Button so the hover
     // event is captured by the Tooltip trigger (antd v6 Tooltip does not
@@ -76,4 +96,24 @@ describe('ClassPageHeaderActions', () => {
     const tooltip = await screen.findByText('Coming soon');
     expect(tooltip).toBeInTheDocument();
   });
+
+  it('calls the export callbacks when the export buttons are clicked', async () => {
+    const onDownloadCsv = vi.fn();
+    const onExportToSheets = vi.fn();
+
+    render(<ClassPageHeaderActions {...buildProperties({ onDownloadCsv, onExportToSheets })} />);
+
+    await user.click(screen.getByRole('button', { name: /download csv/i }));
+    await user.click(screen.getByRole('button', { name: /export to google sheets/i }));
+
+    expect(onDownloadCsv).toHaveBeenCalledTimes(1);
+    expect(onExportToSheets).toHaveBeenCalledTimes(1);
+  });
+
+  it('disables the export buttons until the gradebook is ready', () => {
+    render(<ClassPageHeaderActions {...buildProperties({ canExportGradebook: false })} />);
+
+    expect(screen.getByRole('button', { name: /download csv/i })).toBeDisabled();
+    expect(screen.getByRole('button', { name: /export to google sheets/i })).toBeDisabled();
+  });
 });
@@ -1,10 +1,13 @@
 /**
  * Presentational header action buttons for the Class page.
  *
- * Renders two top-right buttons:
- * 1. `Edit Student Details` — disabled, wrapped in a `Tooltip` via a `<span>`
+ * Renders the top-right buttons:
+ * 1. `Download CSV` and `Export to Google Sheets` — gradebook exports, disabled
+ *    until the gradebook is ready; the Sheets button shows a spinner while the
+ *    export is in flight.
+ * 2. `Edit Student Details` — disabled, wrapped in a `Tooltip` via a `<span>`
  *    (Ant Design v6 `Tooltip` does not trigger on a disabled `Button` directly).
- * 2. `Start New Assessment` — enabled, calls `onStartNewAssessment` on click.
+ * 3. `Start New Assessment` — enabled, calls `onStartNewAssessment` on click.
  *
  * @remarks
  * The `<span>`-wrapper pattern on the disabled button's `Tooltip` is the
@@ -18,30 +21,64 @@
 
 import type { JSX } from 'react';
 import { Button, Space, Tooltip } from 'antd';
-import { EditOutlined, PlusOutlined } from '@ant-design/icons';
+import { DownloadOutlined, EditOutlined, FileExcelOutlined, PlusOutlined } from '@ant-design/icons';
 import { APP_SPACE_SIZE_TIGHT } from '../../theme/spacing';
 
 type ClassPageHeaderActionsProperties = Readonly<{
   /** Callback invoked when the user clicks "Start New Assessment". */
   onStartNewAssessment: () => void;
+  /** Whether the gradebook is ready to export. */
+  canExportGradebook: boolean;
+  /** Whether a Google Sheets export is in flight. */
+  isExportingToSheets: boolean;
+  /** Callback invoked when the user clicks "Download CSV". */
+  onDownloadCsv: () => void;
+  /** Callback invoked when the user clicks "Export to Google Sheets". */
+  onExportToSheets: () => void;
 }>;
 
 /**
  * Render the header action buttons for the Class page.
  *
- * Renders a disabled `Edit Student Details` button (wrapped in a `Tooltip`
- * via a `<span>`) and an enabled `Start New Assessment` button that invokes
- * the `onStartNewAssessment` callback.
+ * Renders the gradebook export buttons, a disabled `Edit Student Details`
+ * button (wrapped in a `Tooltip` via a `<span>`) and an enabled
+ * `Start New Assessment` button that invokes the `onStartNewAssessment`
+ * callback.
  *
  * @param {Readonly<ClassPageHeaderActionsProperties>} root0 - Component properties.
  * @param {() => void} root0.onStartNewAssessment - Callback invoked when the user clicks "Start New Assessment".
+ * @param {boolean} root0.canExportGradebook - Whether the gradebook is ready to export.
+ * @param {boolean} root0.isExportingToSheets - Whether a Google Sheets export is in flight.
+ * @param {() => void} root0.onDownloadCsv - Callback invoked when the user clicks "Download CSV".
+ * @param {() => void} root0.onExportToSheets - Callback invoked when the user clicks "Export to Google Sheets".
  * @returns {JSX.Element} The header action buttons in a horizontal Space.
  */
 export function ClassPageHeaderActions({
   onStartNewAssessment,
+  canExportGradebook,
+  isExportingToSheets,
+  onDownloadCsv,
+  onExportToSheets,
 }: ClassPageHeaderActionsProperties): JSX.Element {
   return (
     <Space size={APP_SPACE_SIZE_TIGHT}>
+      <Button
+        type="default"
+        icon={<DownloadOutlined />}
+        disabled={!canExportGradebook}
+        onClick={onDownloadCsv}
+      >
+        Download CSV
+      </Button>
+      <Button
+        type="default"
+        icon={<FileExcelOutlined />}
+        disabled={!canExportGradebook}
+        loading={isExportingToSheets}
+        onClick={onExportToSheets}
+      >
+        Export to Google Sheets
+      </Button>
       <Tooltip title="Coming soon" placement="top">
         <span>
           <Button type="default" disabled icon={<EditOutlined />}>
@@ -191,6 +191,7 @@ const analyserResultFixture: AveragingResult = {
       accuracy: COMPUTED_4,
       spag: COMPUTED_3,
       overall: COMPUTED_4,
+      criteria: { completeness: COMPUTED_5, accuracy: COMPUTED_4, spag: COMPUTED_3 },
     },
   ],
 };
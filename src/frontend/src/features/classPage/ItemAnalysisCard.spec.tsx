@@ -0,0 +1,145 @@
+/**
+ * Tests for `ItemAnalysisCard`.
+ *
+ * @remarks
+ * The card runs the real `DataAnalysisService`, so the statistics shown are
+ * the item-analysis analyser's output. Only the frontend logger is mocked.
+ */
+
+import { render, screen, within } from '@testing-library/react';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import type { ClassFull } from '../../services/googleClassrooms/classDetail/classDetailService.zod';
+import type { AssignmentDefinitionPartialsResponse } from '../../services/assignmentDefinition/assignmentDefinitionPartials.zod';
+import {
+  createAssignmentPartial,
+  createClassFull,
+  createDefinitionPartial,
+  createSubmission,
+  createSubmissionItem,
+  createTaskPartial,
+} from '../../test/dataAnalysis/fixtures';
+import { ItemAnalysisCard } from './ItemAnalysisCard';
+
+const { mockLogFrontendError } = vi.hoisted(() => ({ mockLogFrontendError: vi.fn() }));
+
+vi.mock('../../logging/frontendLogger', () => ({
+  logFrontendError: mockLogFrontendError,
+  logFrontendEvent: vi.fn(),
+}));
+
+/** Task scores used by the fixtures; `FULL_MARKS` is the top of the 0–5 scale. */
+const FULL_MARKS = 5;
+const MID_SCORE = 3;
+
+const DEFINITION_PARTIALS = [
+  createDefinitionPartial({
+    definitionKey: 'dk_essay',
+    tasks: [createTaskPartial('t_002', 1, 'Draft'), createTaskPartial('t_001', 1, 'Plan')],
+  }),
+] as AssignmentDefinitionPartialsResponse;
+
+/**
+ * Build a class whose students score `[t_001, t_002]` on every criterion.
+ *
+ * @param {Record<string, [number | 'N', number | 'N']>} scores - Student
+ *   identifier → scores for `t_001` and `t_002`.
+ * @returns {ClassFull} The class fixture.
+ */
+function buildClass(scores: Record<string, [number | 'N', number | 'N']>): ClassFull {
+  return createClassFull({
+    classId: 'c_001',
+    assignments: [
+      createAssignmentPartial({
+        assignmentId: 'a_001',
+        definitionKey: 'dk_essay',
+        submissions: Object.entries(scores).map(([studentId, taskScores]) =>
+          createSubmission(
+            studentId,
+            studentId,
+            'a_001',
+            Object.fromEntries(
+              ['t_001', 't_002'].map((taskId, index) => {
+                const score = taskScores[index]!;
+                return [
+                  taskId,
+                  createSubmissionItem(taskId, {
+                    completeness: { score },
+                    accuracy: { score },
+                    spag: { score },
+                  }),
+                ];
+              })
+            )
+          )
+        ),
+      }),
+    ],
+  }) as ClassFull;
+}
+
+afterEach(() => {
+  mockLogFrontendError.mockReset();
+});
+
+describe('ItemAnalysisCard', () => {
+  it('lists each task in definition order with its statistics and flags', () => {
+    render(
+      <ItemAnalysisCard
+        classFull={buildClass({
+          s_001: [FULL_MARKS, FULL_MARKS],
+          s_002: [MID_SCORE, FULL_MARKS],
+          s_003: [1, 'N'],
+        })}
+        definitionKey="dk_essay"
+        assignmentDefinitionPartials={DEFINITION_PARTIALS}
+      />
+    );
+
+    const table = screen.getByRole('table', { name: 'Item analysis' });
+    const rows = within(table).getAllByRole('row').slice(1);
+    expect(rows.map((row) => within(row).getAllByRole('cell')[0]?.textContent)).toEqual([
+      'Draft',
+      'Plan',
+    ]);
+
+    const [draft, plan] = rows;
+    expect(within(draft!).getByText('1.00')).toBeInTheDocument();
+    expect(within(draft!).getByText('33%')).toBeInTheDocument();
+    expect(within(draft!).getByText('Too easy')).toBeInTheDocument();
+    expect(within(plan!).getByText('0.60')).toBeInTheDocument();
+    expect(within(plan!).getByText('0.80')).toBeInTheDocument();
+    expect(
+      within(plan!).getByRole('img', {
+        name: 'Students per score band: 0–1: 0, 1–2: 1, 2–3: 0, 3–4: 1, 4–5: 1',
+      })
+    ).toBeInTheDocument();
+    expect(within(plan!).queryByText('Too easy')).not.toBeInTheDocument();
+  });
+
+  it('logs the error and shows a warning when the analysis fails', () => {
+    render(
+      <ItemAnalysisCard
+        classFull={{ ...buildClass({}), classId: '' } as ClassFull}
+        definitionKey="dk_essay"
+        assignmentDefinitionPartials={DEFINITION_PARTIALS}
+      />
+    );
+
+    expect(screen.getByText('Item analysis is currently unavailable.')).toBeInTheDocument();
+    expect(screen.queryByRole('table')).not.toBeInTheDocument();
+    expect(mockLogFrontendError).toHaveBeenCalledOnce();
+    expect(mockLogFrontendError).toHaveBeenCalledWith('ItemAnalysisCard', expect.any(Error));
+  });
+
+  it('renders nothing when the assignment has no definition', () => {
+    const { container } = render(
+      <ItemAnalysisCard
+        classFull={buildClass({ s_001: [MID_SCORE, MID_SCORE] })}
+        definitionKey={null}
+        assignmentDefinitionPartials={DEFINITION_PARTIALS}
+      />
+    );
+
+    expect(container).toBeEmptyDOMElement();
+  });
+});
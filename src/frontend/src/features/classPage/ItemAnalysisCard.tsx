@@ -0,0 +1,245 @@
+/**
+ * Item analysis card for the Task Heatmap page header.
+ *
+ * Runs the `'itemAnalysis'` analyser for one class and one assignment
+ * definition, and lists each task's facility index, discrimination index,
+ * not-attempted rate and score distribution, with a tag for every quality
+ * flag raised.
+ *
+ * @remarks
+ * Used between years to spot template tasks worth rewriting. Analysis errors
+ * are logged once and replace the table with an in-card `Alert`; the heatmap
+ * below is unaffected.
+ */
+
+import { useMemo, type JSX } from 'react';
+import { Alert, Card, Flex, Table, Tag } from 'antd';
+import type { TableColumnsType } from 'antd';
+import { DataAnalysisService } from '../../services/dataAnalysis/dataAnalysisService';
+import type {
+  ItemAnalysisFlag,
+  ItemAnalysisResult,
+  ItemAnalysisRow,
+} from '../../services/dataAnalysis/dataAnalysis.zod';
+import { ScoreBandChart } from '../../services/dataAnalysis/metricDisplay/ScoreBandChart';
+import type { ClassFull } from '../../services/googleClassrooms/classDetail/classDetailService.zod';
+import type { AssignmentDefinitionPartialsResponse } from '../../services/assignmentDefinition/assignmentDefinitionPartials.zod';
+import { logFrontendError } from '../../logging/frontendLogger';
+import { useLogOnce } from '../../hooks/useLogOnce';
+
+const INDEX_PRECISION = 2;
+const PERCENT_SCALE = 100;
+const NO_DATA_TEXT = '—';
+
+/** Display label and tag colour for each quality flag. */
+const FLAG_DISPLAY: Readonly<Record<ItemAnalysisFlag, { label: string; color: string }>> = {
+  tooEasy: { label: 'Too easy', color: 'gold' },
+  tooHard: { label: 'Too hard', color: 'volcano' },
+  nonDiscriminating: { label: 'Not discriminating', color: 'purple' },
+};
+
+type ItemAnalysisState = Readonly<{
+  result: ItemAnalysisResult | null;
+  error: unknown;
+}>;
+
+/** One table row: the analyser row with its display label. */
+type ItemAnalysisTableRow = ItemAnalysisRow & Readonly<{ taskLabel: string }>;
+
+type ItemAnalysisCardProperties = Readonly<{
+  /** The full class data. */
+  classFull: ClassFull;
+  /** The assignment definition whose tasks are analysed, or `null` when none. */
+  definitionKey: string | null;
+  /** Warm-up assignment-definition partials, for weightings and task titles. */
+  assignmentDefinitionPartials: AssignmentDefinitionPartialsResponse;
+}>;
+
+/**
+ * Create the module-level `DataAnalysisService` instance.
+ *
+ * A factory function is used so that `vi.mock` patching of `DataAnalysisService`
+ * as a function (not a class constructor) works correctly in tests.
+ *
+ * @returns {DataAnalysisService} A new service instance.
+ */
+function createAnalysisService(): DataAnalysisService {
+  return new DataAnalysisService();
+}
+
+const _analysisService: DataAnalysisService = createAnalysisService();
+
+/**
+ * Run the item-analysis analyser for one class and definition, catching
+ * errors into state.
+ *
+ * @param {ClassFull} classFull - The full class data.
+ * @param {string | null} definitionKey - The definition to analyse.
+ * @param {AssignmentDefinitionPartialsResponse} assignmentDefinitionPartials -
+ *   The definition registry.
+ * @returns {ItemAnalysisState} The class result, `null` when there is no
+ *   definition to analyse, or the error.
+ */
+function computeItemAnalysis(
+  classFull: ClassFull,
+  definitionKey: string | null,
+  assignmentDefinitionPartials: AssignmentDefinitionPartialsResponse
+): ItemAnalysisState {
+  if (definitionKey === null) {
+    return { result: null, error: null };
+  }
+  try {
+    const [result] = _analysisService.analyse(
+      {
+        filter: { classIds: [classFull.classId], assignmentDefinitionKeys: [definitionKey] },
+        classes: [classFull],
+        assignmentDefinitionPartials,
+      },
+      'itemAnalysis'
+    );
+    return { result: result ?? null, error: null };
+  } catch (error: unknown) {
+    return { result: null, error };
+  }
+}
+
+/**
+ * Label the analyser rows with their task titles, in definition task order.
+ *
+ * @param {readonly ItemAnalysisRow[]} items - The analyser rows.
+ * @param {AssignmentDefinitionPartialsResponse[number] | undefined} definition -
+ *   The definition partial, when registered.
+ * @returns {ItemAnalysisTableRow[]} The table rows.
+ */
+function buildTableRows(
+  items: readonly ItemAnalysisRow[],
+  definition: AssignmentDefinitionPartialsResponse[number] | undefined
+): ItemAnalysisTableRow[] {
+  const tasks = definition?.tasks ?? [];
+  const order = new Map(tasks.map(({ taskId }, index) => [taskId, index]));
+  return items
+    .map((item) => ({
+      ...item,
+      taskLabel: tasks.find(({ taskId }) => taskId === item.taskId)?.taskTitle ?? item.taskId,
+    }))
+    .toSorted(
+      (a, b) =>
+        (order.get(a.taskId) ?? tasks.length) - (order.get(b.taskId) ?? tasks.length) ||
+        a.taskId.localeCompare(b.taskId)
+    );
+}
+
+/**
+ * Format a nullable 0–1 index.
+ *
+ * @param {number | null} value - The index.
+ * @returns {string} The index at display precision, or an em dash.
+ */
+function formatIndex(value: number | null): string {
+  return value === null ? NO_DATA_TEXT : value.toFixed(INDEX_PRECISION);
+}
+
+/**
+ * Format a nullable 0–1 rate as a whole percentage.
+ *
+ * @param {number | null} value - The rate.
+ * @returns {string} The percentage, or an em dash.
+ */
+function formatPercent(value: number | null): string {
+  return value === null ? NO_DATA_TEXT : `${Math.round(value * PERCENT_SCALE)}%`;
+}
+
+const COLUMNS: TableColumnsType<ItemAnalysisTableRow> = [
+  { title: 'Task', dataIndex: 'taskLabel', key: 'taskLabel' },
+  { title: 'Students', dataIndex: 'studentCount', key: 'studentCount' },
+  {
+    title: 'Facility',
+    key: 'facilityIndex',
+    render: (_, row) => formatIndex(row.facilityIndex),
+  },
+  {
+    title: 'Discrimination',
+    key: 'discriminationIndex',
+    render: (_, row) => formatIndex(row.discriminationIndex),
+  },
+  {
+    title: 'Not attempted',
+    key: 'notAttemptedRate',
+    render: (_, row) => formatPercent(row.notAttemptedRate),
+  },
+  {
+    title: 'Distribution',
+    key: 'distribution',
+    render: (_, row) => <ScoreBandChart distribution={row.distribution} />,
+  },
+  {
+    title: 'Flags',
+    key: 'flags',
+    render: (_, row) => (
+      <Flex gap="small" wrap>
+        {row.flags.map((flag) => (
+          <Tag key={flag} color={FLAG_DISPLAY[flag].color}>
+            {FLAG_DISPLAY[flag].label}
+          </Tag>
+        ))}
+      </Flex>
+    ),
+  },
+];
+
+/**
+ * Render the item analysis card for one assignment definition.
+ *
+ * @param {ItemAnalysisCardProperties} properties - Component properties.
+ * @param {ClassFull} properties.classFull - The full class data.
+ * @param {string | null} properties.definitionKey - The definition to analyse.
+ * @param {AssignmentDefinitionPartialsResponse} properties.assignmentDefinitionPartials -
+ *   Warm-up partials.
+ * @returns {JSX.Element | null} The card, or `null` when the assignment has no
+ *   definition.
+ */
+export function ItemAnalysisCard({
+  classFull,
+  definitionKey,
+  assignmentDefinitionPartials,
+}: ItemAnalysisCardProperties): JSX.Element | null {
+  const state = useMemo<ItemAnalysisState>(
+    () => computeItemAnalysis(classFull, definitionKey, assignmentDefinitionPartials),
+    [classFull, definitionKey, assignmentDefinitionPartials]
+  );
+
+  const rows = useMemo<ItemAnalysisTableRow[]>(
+    () =>
+      buildTableRows(
+        state.result?.items ?? [],
+        assignmentDefinitionPartials.find((partial) => partial.definitionKey === definitionKey)
+      ),
+    [state.result, assignmentDefinitionPartials, definitionKey]
+  );
+
+  useLogOnce(state.error !== null, () => {
+    logFrontendError('ItemAnalysisCard', state.error);
+  });
+
+  if (definitionKey === null) {
+    return null;
+  }
+
+  return (
+    <Card size="small" title="Item analysis">
+      {state.error === null ? (
+        <Table<ItemAnalysisTableRow>
+          size="small"
+          aria-label="Item analysis"
+          columns={COLUMNS}
+          dataSource={rows}
+          rowKey="taskId"
+          pagination={false}
+          scroll={{ x: 'max-content' }}
+        />
+      ) : (
+        <Alert type="warning" showIcon title="Item analysis is currently unavailable." />
+      )}
+    </Card>
+  );
+}
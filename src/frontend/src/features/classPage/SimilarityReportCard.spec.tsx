@@ -0,0 +1,115 @@
+/**
+ * Tests for `SimilarityReportCard`.
+ */
+
+import { render, screen, within } from '@testing-library/react';
+import { describe, expect, it } from 'vitest';
+import type {
+  AssignmentFull,
+  SimilarityReport,
+} from '../../services/assignmentAssessment/assignmentAssessment.zod';
+import { validFullAssignment } from '../../services/assignmentAssessment/assignmentAssessment.zod.fixtures';
+import type { HeatmapResult } from '../../services/dataAnalysis/heatmapAdapter';
+import { SimilarityReportCard } from './SimilarityReportCard';
+
+const HEATMAP_RESULT: HeatmapResult = {
+  assignmentId: 'a-1',
+  assignmentName: 'Assignment One',
+  className: 'Class A',
+  rows: [
+    { studentId: 's-1', studentName: 'Ada', cells: [] },
+    { studentId: 's-2', studentName: 'Ben', cells: [] },
+    { studentId: 's-3', studentName: 'Cat', cells: [] },
+  ],
+  taskColumns: [
+    { taskKey: 'def-1::t-1', taskId: 't-1', taskTitle: 'Plan' },
+    { taskKey: 'def-1::t-2', taskId: 't-2', taskTitle: 'Draft' },
+  ],
+  criteria: [],
+};
+
+/**
+ * Build a full assignment whose similarity report flags the given tasks.
+ *
+ * @param {SimilarityReport['tasks']} tasks - The flagged tasks.
+ * @returns {AssignmentFull} The assignment.
+ */
+function buildAssignment(tasks: SimilarityReport['tasks']): AssignmentFull {
+  return {
+    ...validFullAssignment,
+    similarityReport: {
+      checkedAt: '2026-01-02T00:00:00.000Z',
+      shingleSize: 5,
+      threshold: 0.5,
+      tasks,
+    },
+  } as AssignmentFull;
+}
+
+describe('SimilarityReportCard', () => {
+  it('lists each flagged pair with its match and shared passages', () => {
+    render(
+      <SimilarityReportCard
+        heatmapResult={HEATMAP_RESULT}
+        assignment={buildAssignment([
+          {
+            taskId: 't-1',
+            comparedCount: 3,
+            pairs: [
+              {
+                studentIds: ['s-1', 's-2'],
+                method: 'exact',
+                similarity: 1,
+                matchedSpans: ['Light energy makes glucose.'],
+              },
+            ],
+            clusters: [{ studentIds: ['s-1', 's-2'] }],
+          },
+          {
+            taskId: 't-2',
+            comparedCount: 3,
+            pairs: [
+              {
+                studentIds: ['s-2', 's-3'],
+                method: 'fuzzy',
+                similarity: 0.625,
+                matchedSpans: ['Water and carbon dioxide.', 'Oxygen is released.'],
+              },
+            ],
+            clusters: [{ studentIds: ['s-2', 's-3'] }],
+          },
+        ])}
+      />
+    );
+
+    const table = screen.getByRole('table', { name: 'Similar answers' });
+    const [plan, draft] = within(table).getAllByRole('row').slice(1);
+    expect(within(plan!).getByText('Plan')).toBeInTheDocument();
+    expect(within(plan!).getByText('Ada & Ben')).toBeInTheDocument();
+    expect(within(plan!).getByText('Identical')).toBeInTheDocument();
+    expect(within(plan!).getByText('“Light energy makes glucose.”')).toBeInTheDocument();
+    expect(within(draft!).getByText('Ben & Cat')).toBeInTheDocument();
+    expect(within(draft!).getByText('63% similar')).toBeInTheDocument();
+    expect(within(draft!).getByText('“Oxygen is released.”')).toBeInTheDocument();
+  });
+
+  it('renders nothing while loading, without a report or when no answers matched', () => {
+    const { container, rerender } = render(
+      <SimilarityReportCard heatmapResult={HEATMAP_RESULT} assignment={undefined} />
+    );
+    expect(container).toBeEmptyDOMElement();
+
+    rerender(
+      <SimilarityReportCard
+        heatmapResult={HEATMAP_RESULT}
+        assignment={{ ...buildAssignment([]), similarityReport: null }}
+      />
+    );
+    expect(container).toBeEmptyDOMElement();
+
+    rerender(
+      <SimilarityReportCard heatmapResult={HEATMAP_RESULT} assignment={buildAssignment([])} />
+    );
+    expect(container).toBeEmptyDOMElement();
+  });
+});
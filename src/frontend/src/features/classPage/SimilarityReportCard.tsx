@@ -0,0 +1,94 @@
+/**
+ * Similar answers card for the Task Heatmap page header.
+ *
+ * Lists every pair of students whose answers to a task were flagged by the
+ * backend similarity check as identical or near-identical, with the passages
+ * they share.
+ *
+ * @remarks
+ * The report is read from the full assignment payload, so the card renders
+ * nothing until that query resolves, for assignments last run before the
+ * check existed, and when no answers matched. Flags are for the teacher to
+ * review; they do not affect any score.
+ */
+
+import type { JSX } from 'react';
+import { Card, Flex, Table, Tag, Typography } from 'antd';
+import type { TableColumnsType } from 'antd';
+import type { AssignmentFullResponse } from '../../services/assignmentAssessment/assignmentAssessment.zod';
+import type { HeatmapResult } from '../../services/dataAnalysis/heatmapAdapter';
+import { buildSimilarityPairRows, type SimilarityPairRow } from './similarityReportModel';
+
+const PERCENT_SCALE = 100;
+
+type SimilarityReportCardProperties = Readonly<{
+  /** The full assignment payload, or `undefined` while it loads. */
+  assignment: AssignmentFullResponse | undefined;
+  /** The heatmap view model, for student names and task titles. */
+  heatmapResult: HeatmapResult;
+}>;
+
+const COLUMNS: TableColumnsType<SimilarityPairRow> = [
+  { title: 'Task', dataIndex: 'taskLabel', key: 'taskLabel' },
+  {
+    title: 'Students',
+    key: 'studentNames',
+    render: (_, row) => row.studentNames.join(' & '),
+  },
+  {
+    title: 'Match',
+    key: 'match',
+    render: (_, row) =>
+      row.method === 'exact' ? (
+        <Tag color="red">Identical</Tag>
+      ) : (
+        <Tag color="orange">{`${Math.round(row.similarity * PERCENT_SCALE)}% similar`}</Tag>
+      ),
+  },
+  {
+    title: 'Shared passages',
+    key: 'matchedSpans',
+    render: (_, row) => (
+      <Flex vertical>
+        {row.matchedSpans.map((span) => (
+          <Typography.Text key={span} type="secondary">
+            {`“${span}”`}
+          </Typography.Text>
+        ))}
+      </Flex>
+    ),
+  },
+];
+
+/**
+ * Render the similar answers card for one assignment.
+ *
+ * @param {SimilarityReportCardProperties} properties - Component properties.
+ * @param {AssignmentFullResponse | undefined} properties.assignment - The full
+ *   assignment payload.
+ * @param {HeatmapResult} properties.heatmapResult - The heatmap view model.
+ * @returns {JSX.Element | null} The card, or `null` when no pair was flagged.
+ */
+export function SimilarityReportCard({
+  assignment,
+  heatmapResult,
+}: SimilarityReportCardProperties): JSX.Element | null {
+  const rows = buildSimilarityPairRows(assignment?.similarityReport, heatmapResult);
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return (
+    <Card size="small" title="Similar answers">
+      <Table<SimilarityPairRow>
+        size="small"
+        aria-label="Similar answers"
+        columns={COLUMNS}
+        dataSource={rows}
+        rowKey="key"
+        pagination={false}
+        scroll={{ x: 'max-content' }}
+      />
+    </Card>
+  );
+}
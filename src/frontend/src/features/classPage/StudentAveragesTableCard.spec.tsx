@@ -382,4 +382,40 @@ describe('StudentAveragesTableCard', () => {
     expect(inputElement).toBeInTheDocument();
     expect(inputElement).toHaveAttribute('type', 'search');
   });
+
+  // -----------------------------------------------------------------------
+  // Student profile link
+  // -----------------------------------------------------------------------
+  it('forwards onOpenStudent to the column builder', () => {
+    const onOpenStudent = vi.fn();
+
+    render(
+      <StudentAveragesTableCard
+        adapterResult={buildAdapterResult()}
+        onOpenStudent={onOpenStudent}
+      />
+    );
+
+    expect(mockBuildColumns).toHaveBeenCalledWith(expect.anything(), onOpenStudent);
+  });
+
+  // -----------------------------------------------------------------------
+  // Topic heatmap link
+  // -----------------------------------------------------------------------
+  it('renders a View by topic link that calls onOpenTopics', async () => {
+    const onOpenTopics = vi.fn();
+
+    render(
+      <StudentAveragesTableCard adapterResult={buildAdapterResult()} onOpenTopics={onOpenTopics} />
+    );
+
+    await user.click(screen.getByRole('button', { name: 'View by topic' }));
+    expect(onOpenTopics).toHaveBeenCalledOnce();
+  });
+
+  it('omits the View by topic link without onOpenTopics', () => {
+    render(<StudentAveragesTableCard adapterResult={buildAdapterResult()} />);
+
+    expect(screen.queryByRole('button', { name: 'View by topic' })).not.toBeInTheDocument();
+  });
 });
@@ -22,7 +22,7 @@
  * keyed on `[adapterResult, searchTerm, sort]`, and the model is called with
  * `filters: { searchTerm }`.
  * `buildStudentAveragesTableColumns` is called inside a `useMemo` keyed on
- * `[filters]`.
+ * `[filters, onOpenStudent]`.
  *
  * **Sort mapping (`onChange`).** The `sorter` argument is
  * `SorterResult<StudentAverageRowModel> | SorterResult<StudentAverageRowModel>[]`.
@@ -49,7 +49,7 @@
 
 import type { JSX, ChangeEvent } from 'react';
 import { useState, useMemo, useCallback } from 'react';
-import { Card, Input, Space, Typography, Flex, Table, Empty } from 'antd';
+import { Button, Card, Input, Space, Typography, Flex, Table, Empty } from 'antd';
 import type { TableColumnsType, TablePaginationConfig } from 'antd';
 import type { FilterValue, SorterResult } from 'antd/es/table/interface';
 import { SearchOutlined } from '@ant-design/icons';
@@ -83,6 +83,10 @@ type SortState = {
 
 export type StudentAveragesTableCardProperties = {
   readonly adapterResult: ClassPageAdapterResult;
+  /** Optional callback that opens a student's profile from their row. */
+  readonly onOpenStudent?: (studentId: string) => void;
+  /** Optional callback that opens the topic heatmap from the card header. */
+  readonly onOpenTopics?: () => void;
 };
 
 // ---------------------------------------------------------------------------
@@ -162,12 +166,16 @@ function normaliseSorter(
  *
  * @param {StudentAveragesTableCardProperties} properties - Component properties.
  * @param {ClassPageAdapterResult} properties.adapterResult - The adapter's canonical output.
+ * @param {(studentId: string) => void} [properties.onOpenStudent] - Optional
+ *   callback that makes student names open the student profile.
+ * @param {() => void} [properties.onOpenTopics] - Optional callback that adds a
+ *   "View by topic" link to the card header.
  * @returns {JSX.Element} The Student Averages table card.
  */
 export function StudentAveragesTableCard(
   properties: StudentAveragesTableCardProperties
 ): JSX.Element {
-  const { adapterResult } = properties;
+  const { adapterResult, onOpenStudent, onOpenTopics } = properties;
 
   // ── State ──────────────────────────────────────────────────────────────
   const [searchTerm, setSearchTerm] = useState<string>('');
@@ -187,8 +195,8 @@ export function StudentAveragesTableCard(
   );
 
   const columns: TableColumnsType<StudentAverageRowModel> = useMemo(
-    () => buildStudentAveragesTableColumns(filters),
-    [filters]
+    () => buildStudentAveragesTableColumns(filters, onOpenStudent),
+    [filters, onOpenStudent]
   );
 
   // ── Event handlers ─────────────────────────────────────────────────────
@@ -242,7 +250,17 @@ export function StudentAveragesTableCard(
   // ── Render ─────────────────────────────────────────────────────────────
 
   return (
-    <Card size="small" title="Student Averages">
+    <Card
+      size="small"
+      title="Student Averages"
+      extra={
+        onOpenTopics && (
+          <Button type="link" onClick={onOpenTopics}>
+            View by topic
+          </Button>
+        )
+      }
+    >
       <Flex justify="space-between" align="center">
         <Space.Compact className="ant-input-search">
           <Input
@@ -0,0 +1,193 @@
+/**
+ * Tests for `StudentProfilePage`.
+ *
+ * @remarks
+ * The profile is built by the real adapter and `DataAnalysisService`; only the
+ * assignment read behind the expanded-row previews is mocked.
+ */
+
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import type { AssignmentFull } from '../../services/assignmentAssessment/assignmentAssessment.zod';
+import type { ClassFull } from '../../services/googleClassrooms/classDetail/classDetailService.zod';
+import type { AssignmentDefinitionPartialsResponse } from '../../services/assignmentDefinition/assignmentDefinitionPartials.zod';
+import {
+  createAssignmentPartial,
+  createClassFull,
+  createDefinitionPartial,
+  createSubmission,
+  createSubmissionItem,
+  createTaskPartial,
+} from '../../test/dataAnalysis/fixtures';
+import { StudentProfilePage } from './StudentProfilePage';
+
+const { mockGetAssignment } = vi.hoisted(() => ({ mockGetAssignment: vi.fn() }));
+
+vi.mock('../../services/assignmentAssessment/assignmentAssessmentService', () => ({
+  getAssignment: mockGetAssignment,
+}));
+
+/** Number of poetry assignments the student sits. */
+const ASSIGNMENT_COUNT = 3;
+/** SPaG score on the first assignment; each later one is a point lower. */
+const FIRST_SPAG_SCORE = 5;
+const SPAG_SCORES = Array.from(
+  { length: ASSIGNMENT_COUNT },
+  (_, index) => FIRST_SPAG_SCORE - index
+);
+
+const DEFINITION_PARTIALS = [
+  {
+    ...createDefinitionPartial({
+      definitionKey: 'dk_poetry',
+      primaryTopicKey: 'poetry',
+      tasks: [createTaskPartial('t_001', 1, 'Imagery')],
+    }),
+    primaryTitle: 'Poetry essay',
+    primaryTopic: 'Poetry',
+  },
+] as AssignmentDefinitionPartialsResponse;
+
+/**
+ * Build a class where student `s_001` sits three poetry assignments with
+ * falling SPaG scores.
+ *
+ * @returns {ClassFull} The class fixture.
+ */
+function buildClass(): ClassFull {
+  const assignments = SPAG_SCORES.map((spag, index) =>
+    createAssignmentPartial({
+      assignmentId: `a${index + 1}`,
+      definitionKey: 'dk_poetry',
+      createdAt: `2026-01-0${index + 1}T00:00:00.000Z`,
+      submissions: [
+        createSubmission('s_001', 'Ada', `a${index + 1}`, {
+          t_001: createSubmissionItem('t_001', {
+            completeness: { score: 4 },
+            accuracy: { score: 4 },
+            spag: { score: spag },
+          }),
+        }),
+      ],
+    })
+  );
+  return createClassFull({ classId: 'c1', studentIds: ['s_001'], assignments }) as ClassFull;
+}
+
+/**
+ * Build the full assignment returned for an expanded row.
+ *
+ * @returns {AssignmentFull} An assignment with one assessed submission.
+ */
+function buildAssignmentFull(): AssignmentFull {
+  return {
+    assignmentId: 'a1',
+    submissions: [
+      {
+        studentId: 's_001',
+        studentName: 'Ada',
+        assignmentId: 'a1',
+        items: {
+          t_001: {
+            id: 't_001_item',
+            taskId: 't_001',
+            artifact: { taskId: 't_001', type: 'TEXT', content: 'The moon is a ghostly galleon.' },
+            assessments: {
+              completeness: { score: 4, reasoning: 'Covers every stanza.' },
+              accuracy: { score: 4, reasoning: 'Correct device names.' },
+              spag: { score: 5, reasoning: 'Clean punctuation.' },
+            },
+            feedback: {},
+          },
+        },
+        createdAt: '2026-01-01T00:00:00.000Z',
+        updatedAt: '2026-01-01T00:00:00.000Z',
+      },
+    ],
+  } as unknown as AssignmentFull;
+}
+
+/**
+ * Render the page inside a fresh query client.
+ *
+ * @param {string} [studentId='s_001'] - The student to profile.
+ * @returns {{ onBack: ReturnType<typeof vi.fn> }} The back callback.
+ */
+function renderPage(studentId = 's_001') {
+  const onBack = vi.fn();
+  const queryClient = new QueryClient({ defaultOptions: { queries: { retry: false } } });
+  render(
+    <QueryClientProvider client={queryClient}>
+      <StudentProfilePage
+        classFull={buildClass()}
+        studentId={studentId}
+        assignmentDefinitionPartials={DEFINITION_PARTIALS}
+        onBack={onBack}
+        refetch={vi.fn()}
+      />
+    </QueryClientProvider>
+  );
+  return { onBack };
+}
+
+afterEach(() => {
+  mockGetAssignment.mockReset();
+});
+
+describe('StudentProfilePage', () => {
+  it('renders the student name, back navigation and a card per topic', async () => {
+    const { onBack } = renderPage();
+
+    expect(screen.getByText('Student s_001')).toBeInTheDocument();
+    const topic = screen.getByRole('region', { name: 'Poetry' });
+    expect(
+      within(topic).getByRole('img', { name: 'Poetry criterion scores over time' })
+    ).toBeInTheDocument();
+    expect(within(topic).getAllByText('Poetry essay')).toHaveLength(SPAG_SCORES.length);
+
+    await userEvent.click(screen.getByRole('button', { name: 'Back to Class overview' }));
+    expect(onBack).toHaveBeenCalledOnce();
+  });
+
+  it('highlights a criterion that is trending down', () => {
+    renderPage();
+
+    expect(screen.getByText('Consistent weaknesses')).toBeInTheDocument();
+    expect(
+      screen.getByText('SPaG is trending down across 3 assignments (5.0 → 3.0).')
+    ).toBeInTheDocument();
+  });
+
+  it('shows task previews with reasoning when an assignment row is expanded', async () => {
+    mockGetAssignment.mockResolvedValue(buildAssignmentFull());
+    renderPage();
+
+    const [firstExpand] = screen.getAllByRole('button', { name: /expand row/i });
+    await userEvent.click(firstExpand!);
+
+    expect(await screen.findByText('Covers every stanza.')).toBeInTheDocument();
+    expect(screen.getByText('Imagery')).toBeInTheDocument();
+    expect(screen.getByText('Clean punctuation.')).toBeInTheDocument();
+    expect(mockGetAssignment).toHaveBeenCalledWith(expect.objectContaining({ assignmentId: 'a1' }));
+  });
+
+  it('shows an error when the expanded assignment cannot be loaded', async () => {
+    mockGetAssignment.mockRejectedValue(new Error('boom'));
+    renderPage();
+
+    const [firstExpand] = screen.getAllByRole('button', { name: /expand row/i });
+    await userEvent.click(firstExpand!);
+
+    expect(await screen.findByText("Couldn't load task details")).toBeInTheDocument();
+  });
+
+  it('renders a not-found result for a student who is not on the roster', async () => {
+    const { onBack } = renderPage('s_missing');
+
+    expect(screen.getByText('Student not found in this class')).toBeInTheDocument();
+    await userEvent.click(screen.getByRole('button', { name: 'Back to Class overview' }));
+    expect(onBack).toHaveBeenCalledOnce();
+  });
+});
@@ -0,0 +1,289 @@
+/**
+ * Student profile page for the Class page.
+ *
+ * Renders one student's progress across every assignment in the class:
+ * detected weaknesses, then one card per `AssignmentTopic` with a criterion
+ * trend chart and a table of per-assignment scores. Expanding an assignment
+ * row loads the full assignment and shows a `TaskPreviewCard` per task and
+ * criterion, with the assessor's reasoning.
+ *
+ * @remarks
+ * The profile is derived from the already-loaded `ClassFull` via
+ * {@link buildStudentProfile}; only the expanded assignment rows fetch more
+ * data, through the shared `getAssignmentQueryOptions` query used by the
+ * heatmap previews.
+ */
+
+import { useMemo, type JSX } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { Alert, Button, Card, Empty, Flex, Result, Skeleton, Table, Typography } from 'antd';
+import type { TableColumnsType } from 'antd';
+import { RefreshCw } from 'lucide-react';
+import { DataAnalysisService } from '../../services/dataAnalysis/dataAnalysisService';
+import { MetricPill } from '../../services/dataAnalysis/metricDisplay/MetricPill';
+import type { ClassFull } from '../../services/googleClassrooms/classDetail/classDetailService.zod';
+import type { AssignmentDefinitionPartialsResponse } from '../../services/assignmentDefinition/assignmentDefinitionPartials.zod';
+import { getAssignmentQueryOptions } from '../../query/sharedQueries';
+import { PageTitleCard, PageNavCard } from '../../components/PageHeader/PageHeader';
+import { APP_GAP_MD, APP_GAP_SM } from '../../theme/spacing';
+import { buildCellPreviewLookup } from './buildCellPreviewLookup';
+import { assembleTaskPreviewData } from './assembleTaskPreviewData';
+import { TaskPreviewCard } from './TaskPreviewCard';
+import { StudentTrendChart } from './StudentTrendChart';
+import {
+  buildStudentProfile,
+  CONSISTENTLY_LOW_THRESHOLD,
+  type StudentProfileAssignment,
+  type StudentWeakness,
+} from './studentProfileAdapter';
+
+const BACK_LABEL = 'Back to Class overview';
+const SCORE_PRECISION = 1;
+const TASK_SKELETON_ROWS = 3;
+
+type StudentProfilePageProperties = Readonly<{
+  /** The full class data (non-null, narrowed by the ready gate). */
+  classFull: ClassFull;
+  /** The student to profile. */
+  studentId: string;
+  /** Warm-up assignment-definition partials (non-null, narrowed by the ready gate). */
+  assignmentDefinitionPartials: AssignmentDefinitionPartialsResponse;
+  /** Callback invoked when the user clicks Back to return to the overview. */
+  onBack: () => void;
+  /** Callback invoked when the user clicks Refresh to re-run the data pipeline. */
+  refetch: () => void;
+}>;
+
+type StudentAssignmentTasksProperties = Readonly<{
+  classId: string;
+  studentId: string;
+  assignment: StudentProfileAssignment;
+}>;
+
+/**
+ * Create the module-level `DataAnalysisService` instance.
+ *
+ * A factory function is used so that `vi.mock` patching of `DataAnalysisService`
+ * as a function (not a class constructor) works correctly in tests.
+ *
+ * @returns {DataAnalysisService} A new service instance.
+ */
+function createAnalysisService(): DataAnalysisService {
+  return new DataAnalysisService();
+}
+
+const _analysisService: DataAnalysisService = createAnalysisService();
+
+const ASSIGNMENT_COLUMNS: TableColumnsType<StudentProfileAssignment> = [
+  { title: 'Assignment', dataIndex: 'title', key: 'title' },
+  {
+    title: 'Date',
+    key: 'date',
+    render: (_, row) => new Date(row.date).toLocaleDateString(),
+  },
+  {
+    title: 'Completeness',
+    key: 'completeness',
+    render: (_, row) => <MetricPill metric={row.metrics.completeness} />,
+  },
+  {
+    title: 'Accuracy',
+    key: 'accuracy',
+    render: (_, row) => <MetricPill metric={row.metrics.accuracy} />,
+  },
+  {
+    title: 'SPaG',
+    key: 'spag',
+    render: (_, row) => <MetricPill metric={row.metrics.spag} />,
+  },
+  {
+    title: 'Average',
+    key: 'overall',
+    render: (_, row) => <MetricPill metric={row.metrics.overall} />,
+  },
+];
+
+/**
+ * Describe a detected weakness in plain language.
+ *
+ * @param {StudentWeakness} weakness - The weakness.
+ * @returns {string} The sentence shown to the teacher.
+ */
+function describeWeakness(weakness: StudentWeakness): string {
+  const { label, kind, scores } = weakness;
+  if (kind === 'trendingDown') {
+    const first = scores[0]?.toFixed(SCORE_PRECISION);
+    const last = scores.toReversed()[0]?.toFixed(SCORE_PRECISION);
+    return `${label} is trending down across ${scores.length} assignments (${first} → ${last}).`;
+  }
+  return `${label} has been below ${CONSISTENTLY_LOW_THRESHOLD} in the last ${scores.length} assignments.`;
+}
+
+/**
+ * Task-level previews for one assignment, loaded when its row is expanded.
+ *
+ * @param {StudentAssignmentTasksProperties} properties - Component properties.
+ * @param {string} properties.classId - The class (course) identifier.
+ * @param {string} properties.studentId - The student identifier.
+ * @param {StudentProfileAssignment} properties.assignment - The assignment entry.
+ * @returns {JSX.Element} A skeleton, an error alert, or the task previews.
+ */
+function StudentAssignmentTasks({
+  classId,
+  studentId,
+  assignment,
+}: StudentAssignmentTasksProperties): JSX.Element {
+  const assignmentQuery = useQuery(getAssignmentQueryOptions(classId, assignment.assignmentId));
+
+  const studentLookup = useMemo(
+    () =>
+      assignmentQuery.data
+        ? (buildCellPreviewLookup(assignmentQuery.data).get(studentId) ?? null)
+        : null,
+    [assignmentQuery.data, studentId]
+  );
+
+  if (assignmentQuery.isPending) {
+    return <Skeleton active paragraph={{ rows: TASK_SKELETON_ROWS }} />;
+  }
+
+  if (assignmentQuery.isError || assignmentQuery.data === null) {
+    return <Alert type="error" showIcon title="Couldn't load task details" />;
+  }
+
+  if (assignment.tasks.length === 0) {
+    return <Empty description="No tasks for this assignment" />;
+  }
+
+  return (
+    <Flex vertical gap={APP_GAP_MD}>
+      {assignment.tasks.map((task) => (
+        <Flex key={task.taskId} vertical gap={APP_GAP_SM}>
+          <Typography.Text strong>{task.taskTitle}</Typography.Text>
+          <Flex gap={APP_GAP_SM} wrap>
+            {task.criteria.map(({ key, label, metric }) => (
+              <TaskPreviewCard
+                key={key}
+                data={assembleTaskPreviewData(
+                  studentLookup?.get(task.taskId) ?? null,
+                  metric,
+                  key,
+                  task.taskId,
+                  label
+                )}
+              />
+            ))}
+          </Flex>
+        </Flex>
+      ))}
+    </Flex>
+  );
+}
+
+/**
+ * Render the student profile page.
+ *
+ * @param {StudentProfilePageProperties} properties - Component properties.
+ * @param {ClassFull} properties.classFull - The full class data.
+ * @param {string} properties.studentId - The student to profile.
+ * @param {AssignmentDefinitionPartialsResponse} properties.assignmentDefinitionPartials -
+ *   Warm-up partials for titles, topics, tasks and criteria.
+ * @param {() => void} properties.onBack - Back callback.
+ * @param {() => void} properties.refetch - Refresh callback.
+ * @returns {JSX.Element} The student profile, or a not-found result when the
+ *   student is no longer on the class roster.
+ */
+export function StudentProfilePage({
+  classFull,
+  studentId,
+  assignmentDefinitionPartials,
+  onBack,
+  refetch,
+}: StudentProfilePageProperties): JSX.Element {
+  const profile = useMemo(
+    () =>
+      buildStudentProfile({
+        classFull,
+        studentId,
+        assignmentDefinitionPartials,
+        analysisService: _analysisService,
+      }),
+    [classFull, studentId, assignmentDefinitionPartials]
+  );
+
+  if (profile === null) {
+    return (
+      <Result
+        status="warning"
+        title="Student not found in this class"
+        extra={<Button onClick={onBack}>{BACK_LABEL}</Button>}
+      />
+    );
+  }
+
+  return (
+    <Flex vertical gap={APP_GAP_MD}>
+      <PageTitleCard title={profile.studentName} />
+      <PageNavCard
+        onBack={onBack}
+        backLabel={BACK_LABEL}
+        backAriaLabel={BACK_LABEL}
+        actions={
+          <Button icon={<RefreshCw size={16} />} onClick={refetch}>
+            Refresh
+          </Button>
+        }
+      />
+      {profile.weaknesses.length > 0 && (
+        <Alert
+          type="warning"
+          showIcon
+          title="Consistent weaknesses"
+          description={
+            <ul style={{ margin: 0, paddingInlineStart: APP_GAP_MD }}>
+              {profile.weaknesses.map((weakness) => (
+                <li key={weakness.criterion}>{describeWeakness(weakness)}</li>
+              ))}
+            </ul>
+          }
+        />
+      )}
+      {profile.assignments.length === 0 ? (
+        <Empty description="No assignments for this class yet." />
+      ) : (
+        profile.topics.map((topic) => (
+          <Card
+            key={topic.topicKey ?? topic.topicLabel}
+            size="small"
+            title={topic.topicLabel}
+            aria-label={topic.topicLabel}
+            role="region"
+          >
+            <Flex vertical gap={APP_GAP_MD}>
+              <StudentTrendChart
+                title={`${topic.topicLabel} criterion scores over time`}
+                assignments={topic.assignments}
+              />
+              <Table<StudentProfileAssignment>
+                size="small"
+                columns={ASSIGNMENT_COLUMNS}
+                dataSource={[...topic.assignments]}
+                rowKey="assignmentId"
+                pagination={false}
+                expandable={{
+                  expandedRowRender: (assignment) => (
+                    <StudentAssignmentTasks
+                      classId={classFull.classId}
+                      studentId={profile.studentId}
+                      assignment={assignment}
+                    />
+                  ),
+                }}
+              />
+            </Flex>
+          </Card>
+        ))
+      )}
+    </Flex>
+  );
+}
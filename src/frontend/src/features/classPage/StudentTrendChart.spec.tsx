@@ -0,0 +1,76 @@
+/**
+ * Tests for `StudentTrendChart`.
+ */
+
+import { render, screen } from '@testing-library/react';
+import { describe, expect, it } from 'vitest';
+import {
+  createComputedMetricResult,
+  createNotAttemptedMetricResult,
+} from '../../test/dataAnalysis/fixtures';
+import type { MetricResult } from '../../services/dataAnalysis/dataAnalysis.zod';
+import type { StudentProfileAssignment } from './studentProfileAdapter';
+import { StudentTrendChart } from './StudentTrendChart';
+
+/** Runs the SPaG line splits into around an unscored assignment. */
+const SPAG_SEGMENT_COUNT = 2;
+/** Assignments with a SPaG score in the gap test. */
+const SCORED_SPAG_COUNT = 2;
+
+/**
+ * Build a timeline entry with the given criterion metrics.
+ *
+ * @param {string} assignmentId - The assignment identifier, also used as its title.
+ * @param {MetricResult} spag - The SPaG metric; the other criteria score 3.
+ * @returns {StudentProfileAssignment} The entry.
+ */
+function buildAssignment(assignmentId: string, spag: MetricResult): StudentProfileAssignment {
+  const computed = createComputedMetricResult({ value: 3 });
+  return {
+    assignmentId,
+    title: assignmentId,
+    topicKey: 'poetry',
+    topicLabel: 'Poetry',
+    date: '2026-01-01T00:00:00.000Z',
+    metrics: { completeness: computed, accuracy: computed, spag, overall: computed },
+    tasks: [],
+  };
+}
+
+describe('StudentTrendChart', () => {
+  it('renders a labelled chart with a legend entry per criterion', () => {
+    render(
+      <StudentTrendChart
+        title="Poetry criterion scores over time"
+        assignments={[buildAssignment('a1', createComputedMetricResult({ value: 4 }))]}
+      />
+    );
+
+    expect(
+      screen.getByRole('img', { name: 'Poetry criterion scores over time' })
+    ).toBeInTheDocument();
+    expect(screen.getByText('● Completeness')).toBeInTheDocument();
+    expect(screen.getByText('● Accuracy')).toBeInTheDocument();
+    expect(screen.getByText('● SPaG')).toBeInTheDocument();
+  });
+
+  it('plots one point per scored assignment and breaks the line at unscored ones', () => {
+    const assignments = [
+      buildAssignment('a1', createComputedMetricResult({ value: 4 })),
+      buildAssignment('a2', createNotAttemptedMetricResult()),
+      buildAssignment('a3', createComputedMetricResult({ value: 2 })),
+    ];
+    const { container } = render(<StudentTrendChart title="Trend" assignments={assignments} />);
+
+    const spagSegments = container.querySelectorAll('[data-criterion="spag"]');
+    expect(spagSegments).toHaveLength(SPAG_SEGMENT_COUNT);
+    expect(container.querySelectorAll('[data-criterion="spag"] circle')).toHaveLength(
+      SCORED_SPAG_COUNT
+    );
+    expect(container.querySelectorAll('[data-criterion="accuracy"]')).toHaveLength(1);
+    expect(container.querySelectorAll('[data-criterion="accuracy"] circle')).toHaveLength(
+      assignments.length
+    );
+    expect(screen.getByText('a3 SPaG: 2.0')).toBeInTheDocument();
+  });
+});
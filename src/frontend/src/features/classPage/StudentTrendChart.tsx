@@ -0,0 +1,184 @@
+/**
+ * Student criterion trend chart.
+ *
+ * Plots a student's completeness, accuracy and SPaG scores across a run of
+ * assignments as an inline SVG line chart on the 0–5 score scale. Assignments
+ * where a criterion was not attempted or could not be scored leave a gap in
+ * that line rather than dropping to zero.
+ *
+ * Line colours come from Ant Design tokens via `theme.useToken()`, so the
+ * chart follows the active light or dark theme.
+ */
+
+import type { JSX } from 'react';
+import { Flex, Typography, theme } from 'antd';
+import { APP_GAP_SM } from '../../theme/spacing';
+import {
+  TREND_CRITERIA,
+  type StudentProfileAssignment,
+  type TrendCriterionKey,
+} from './studentProfileAdapter';
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 200;
+const CHART_PADDING = 24;
+const PLOT_LEFT = CHART_PADDING;
+const PLOT_RIGHT = CHART_WIDTH - CHART_PADDING;
+const PLOT_TOP = CHART_PADDING;
+const PLOT_BOTTOM = CHART_HEIGHT - CHART_PADDING;
+/** Fraction of a span at its midpoint, used to centre a lone point and the tick labels. */
+const MIDPOINT_FRACTION = 0.5;
+const MAX_SCORE = 5;
+const POINT_RADIUS = 4;
+const LINE_STROKE_WIDTH = 2;
+const SCORE_TICKS = Array.from({ length: MAX_SCORE + 1 }, (_, tick) => tick);
+
+type StudentTrendChartProperties = Readonly<{
+  /** Accessible name for the chart. */
+  title: string;
+  /** Assignments to plot, oldest first. */
+  assignments: readonly StudentProfileAssignment[];
+}>;
+
+type ChartPoint = Readonly<{ x: number; y: number; label: string }>;
+
+/**
+ * Horizontal position of an assignment on the chart.
+ *
+ * @param {number} index - The assignment index.
+ * @param {number} count - The number of assignments.
+ * @returns {number} The x coordinate; a lone assignment is centred.
+ */
+function toX(index: number, count: number): number {
+  return count === 1
+    ? CHART_WIDTH * MIDPOINT_FRACTION
+    : PLOT_LEFT + ((PLOT_RIGHT - PLOT_LEFT) * index) / (count - 1);
+}
+
+/**
+ * Vertical position of a score on the chart.
+ *
+ * @param {number} score - The score on the 0–5 scale.
+ * @returns {number} The y coordinate.
+ */
+function toY(score: number): number {
+  return PLOT_TOP + (PLOT_BOTTOM - PLOT_TOP) * (1 - score / MAX_SCORE);
+}
+
+/**
+ * Split one criterion's scores into runs of consecutive computed points.
+ *
+ * @param {readonly StudentProfileAssignment[]} assignments - Assignments, oldest first.
+ * @param {TrendCriterionKey} criterion - The criterion to plot.
+ * @param {string} criterionLabel - The criterion display label.
+ * @returns {ChartPoint[][]} One array per unbroken run of scores.
+ */
+function toSegments(
+  assignments: readonly StudentProfileAssignment[],
+  criterion: TrendCriterionKey,
+  criterionLabel: string
+): ChartPoint[][] {
+  const segments: ChartPoint[][] = [];
+  let current: ChartPoint[] = [];
+  for (const [index, assignment] of assignments.entries()) {
+    const metric = assignment.metrics[criterion];
+    if (metric.state === 'computed') {
+      current.push({
+        x: toX(index, assignments.length),
+        y: toY(metric.value),
+        label: `${assignment.title} ${criterionLabel}: ${metric.value.toFixed(1)}`,
+      });
+    } else if (current.length > 0) {
+      segments.push(current);
+      current = [];
+    }
+  }
+  if (current.length > 0) {
+    segments.push(current);
+  }
+  return segments;
+}
+
+/**
+ * Render the criterion trend chart for a set of assignments.
+ *
+ * @param {StudentTrendChartProperties} properties - Component properties.
+ * @param {string} properties.title - Accessible name for the chart.
+ * @param {readonly StudentProfileAssignment[]} properties.assignments - Assignments, oldest first.
+ * @returns {JSX.Element} The chart with its legend.
+ */
+export function StudentTrendChart({
+  title,
+  assignments,
+}: StudentTrendChartProperties): JSX.Element {
+  const { token } = theme.useToken();
+  const criterionColours: Record<TrendCriterionKey, string> = {
+    completeness: token.colorPrimary,
+    accuracy: token.colorSuccess,
+    spag: token.colorWarning,
+  };
+
+  return (
+    <Flex vertical gap={APP_GAP_SM}>
+      <svg
+        role="img"
+        aria-label={title}
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        width="100%"
+        style={{ maxHeight: CHART_HEIGHT }}
+      >
+        {SCORE_TICKS.map((tick) => (
+          <g key={tick}>
+            <line
+              x1={PLOT_LEFT}
+              x2={PLOT_RIGHT}
+              y1={toY(tick)}
+              y2={toY(tick)}
+              stroke={token.colorBorderSecondary}
+            />
+            <text
+              x={PLOT_LEFT * MIDPOINT_FRACTION}
+              y={toY(tick)}
+              fontSize={token.fontSizeSM}
+              fill={token.colorTextSecondary}
+              textAnchor="middle"
+              dominantBaseline="middle"
+            >
+              {tick}
+            </text>
+          </g>
+        ))}
+        {TREND_CRITERIA.map(({ key, label }) =>
+          toSegments(assignments, key, label).map((segment) => (
+            <g key={`${key}-${segment[0]?.x}`} data-criterion={key}>
+              <polyline
+                points={segment.map(({ x, y }) => `${x},${y}`).join(' ')}
+                fill="none"
+                stroke={criterionColours[key]}
+                strokeWidth={LINE_STROKE_WIDTH}
+              />
+              {segment.map((point) => (
+                <circle
+                  key={point.x}
+                  cx={point.x}
+                  cy={point.y}
+                  r={POINT_RADIUS}
+                  fill={criterionColours[key]}
+                >
+                  <title>{point.label}</title>
+                </circle>
+              ))}
+            </g>
+          ))
+        )}
+      </svg>
+      <Flex gap={APP_GAP_SM} wrap>
+        {TREND_CRITERIA.map(({ key, label }) => (
+          <Typography.Text key={key} style={{ color: criterionColours[key] }}>
+            {`● ${label}`}
+          </Typography.Text>
+        ))}
+      </Flex>
+    </Flex>
+  );
+}
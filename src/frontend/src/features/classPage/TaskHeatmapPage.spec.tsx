@@ -18,9 +18,7 @@ import { createElement } from 'react';
 import { App } from 'antd';
 import { QueryClientProvider, QueryClient } from '@tanstack/react-query';
 import type { AveragingResult } from '../../services/dataAnalysis/dataAnalysis.zod';
-import type {
-  AssignmentFull,
-} from '../../services/assignmentAssessment/assignmentAssessment.zod';
+import type { AssignmentFull } from '../../services/assignmentAssessment/assignmentAssessment.zod';
 import type { ClassFull } from '../../services/googleClassrooms/classDetail/classDetailService.zod';
 import { TaskHeatmapPage } from './TaskHeatmapPage';
 import { logFrontendError } from '../../logging/frontendLogger';
@@ -108,6 +106,24 @@ vi.mock('./TaskHeatmapTable', () => ({
   TaskHeatmapTable: mockTaskHeatmapTable,
 }));
 
+const { mockItemAnalysisCard } = vi.hoisted(() => ({
+  mockItemAnalysisCard: vi.fn(() => createElement('div', { 'data-testid': 'item-analysis-card' })),
+}));
+
+vi.mock('./ItemAnalysisCard', () => ({
+  ItemAnalysisCard: mockItemAnalysisCard,
+}));
+
+const { mockSimilarityReportCard } = vi.hoisted(() => ({
+  mockSimilarityReportCard: vi.fn(() =>
+    createElement('div', { 'data-testid': 'similarity-report-card' })
+  ),
+}));
+
+vi.mock('./SimilarityReportCard', () => ({
+  SimilarityReportCard: mockSimilarityReportCard,
+}));
+
 // Set default mock to a non-null AssignmentFull fixture so existing tests
 // that render through the real TaskHeatmapPage don't fire a real callApi.
 mockGetAssignment.mockResolvedValue(buildDefaultAssignmentFixture());
@@ -202,6 +218,7 @@ const analyserResultFixture: AveragingResult = {
       accuracy: COMPUTED_4,
       spag: COMPUTED_3,
       overall: COMPUTED_4,
+      criteria: { completeness: COMPUTED_5, accuracy: COMPUTED_4, spag: COMPUTED_3 },
     },
   ],
 };
@@ -253,8 +270,12 @@ describe('TaskHeatmapPage — TaskTitlesUnavailableError and generic Error handl
 
     const queryClient = createTestQueryClient();
     render(
-      createElement(QueryClientProvider, { client: queryClient },
-        createElement(App, null,
+      createElement(
+        QueryClientProvider,
+        { client: queryClient },
+        createElement(
+          App,
+          null,
           createElement(TaskHeatmapPage, {
             analyserResult: analyserResultFixture,
             classFull: classFullFixture,
@@ -304,8 +325,12 @@ describe('TaskHeatmapPage — TaskTitlesUnavailableError and generic Error handl
     // Pass an unknown assignmentId that the adapter will reject with a generic Error
     const queryClient = createTestQueryClient();
     render(
-      createElement(QueryClientProvider, { client: queryClient },
-        createElement(App, null,
+      createElement(
+        QueryClientProvider,
+        { client: queryClient },
+        createElement(
+          App,
+          null,
           createElement(TaskHeatmapPage, {
             analyserResult: analyserResultFixture,
             classFull: classFullFixture,
@@ -357,8 +382,12 @@ describe('TaskHeatmapPage — assignment useQuery wiring', () => {
     const queryClient = createTestQueryClient();
 
     render(
-      createElement(QueryClientProvider, { client: queryClient },
-        createElement(App, null,
+      createElement(
+        QueryClientProvider,
+        { client: queryClient },
+        createElement(
+          App,
+          null,
           createElement(TaskHeatmapPage, {
             analyserResult: analyserResultFixture,
             classFull: classFullFixture,
@@ -407,8 +436,12 @@ describe('TaskHeatmapPage — assignment useQuery wiring', () => {
     const queryClient = createTestQueryClient();
 
     render(
-      createElement(QueryClientProvider, { client: queryClient },
-        createElement(App, null,
+      createElement(
+        QueryClientProvider,
+        { client: queryClient },
+        createElement(
+          App,
+          null,
           createElement(TaskHeatmapPage, {
             analyserResult: analyserResultFixture,
             classFull: classFullFixture,
@@ -440,8 +473,12 @@ describe('TaskHeatmapPage — assignment useQuery wiring', () => {
     const queryClient = createTestQueryClient();
 
     render(
-      createElement(QueryClientProvider, { client: queryClient },
-        createElement(App, null,
+      createElement(
+        QueryClientProvider,
+        { client: queryClient },
+        createElement(
+          App,
+          null,
           createElement(TaskHeatmapPage, {
             analyserResult: analyserResultFixture,
             classFull: classFullFixture,
@@ -470,8 +507,12 @@ describe('TaskHeatmapPage — assignment useQuery wiring', () => {
     const queryClient = createTestQueryClient();
 
     render(
-      createElement(QueryClientProvider, { client: queryClient },
-        createElement(App, null,
+      createElement(
+        QueryClientProvider,
+        { client: queryClient },
+        createElement(
+          App,
+          null,
           createElement(TaskHeatmapPage, {
             analyserResult: analyserResultFixture,
             classFull: classFullFixture,
@@ -500,8 +541,12 @@ describe('TaskHeatmapPage — assignment useQuery wiring', () => {
     const queryClient = createTestQueryClient();
 
     render(
-      createElement(QueryClientProvider, { client: queryClient },
-        createElement(App, null,
+      createElement(
+        QueryClientProvider,
+        { client: queryClient },
+        createElement(
+          App,
+          null,
           createElement(TaskHeatmapPage, {
             analyserResult: analyserResultFixture,
             classFull: classFullFixture,
@@ -530,8 +575,12 @@ describe('TaskHeatmapPage — assignment useQuery wiring', () => {
     const queryClient = createTestQueryClient();
 
     render(
-      createElement(QueryClientProvider, { client: queryClient },
-        createElement(App, null,
+      createElement(
+        QueryClientProvider,
+        { client: queryClient },
+        createElement(
+          App,
+          null,
           createElement(TaskHeatmapPage, {
             analyserResult: analyserResultFixture,
             classFull: classFullFixture,
@@ -574,8 +623,12 @@ describe('TaskHeatmapPage — assignment useQuery wiring', () => {
     const queryClient = createTestQueryClient();
 
     render(
-      createElement(QueryClientProvider, { client: queryClient },
-        createElement(App, null,
+      createElement(
+        QueryClientProvider,
+        { client: queryClient },
+        createElement(
+          App,
+          null,
           createElement(TaskHeatmapPage, {
             analyserResult: analyserResultFixture,
             classFull: classFullFixture,
@@ -589,10 +642,7 @@ describe('TaskHeatmapPage — assignment useQuery wiring', () => {
     );
 
     await waitFor(() => {
-      expect(mockLogFrontendError).toHaveBeenCalledWith(
-        'TaskHeatmapPage',
-        expect.any(Error)
-      );
+      expect(mockLogFrontendError).toHaveBeenCalledWith('TaskHeatmapPage', expect.any(Error));
     });
 
     // Assert it was called exactly once (not twice from StrictMode double-effect)
@@ -612,8 +662,12 @@ describe('TaskHeatmapPage — assignment useQuery wiring', () => {
     const queryClient = createTestQueryClient();
 
     render(
-      createElement(QueryClientProvider, { client: queryClient },
-        createElement(App, null,
+      createElement(
+        QueryClientProvider,
+        { client: queryClient },
+        createElement(
+          App,
+          null,
           createElement(TaskHeatmapPage, {
             analyserResult: analyserResultFixture,
             classFull: classFullFixture,
@@ -650,8 +704,12 @@ describe('TaskHeatmapPage — assignment useQuery wiring', () => {
     const queryClient = createTestQueryClient();
 
     render(
-      createElement(QueryClientProvider, { client: queryClient },
-        createElement(App, null,
+      createElement(
+        QueryClientProvider,
+        { client: queryClient },
+        createElement(
+          App,
+          null,
           createElement(TaskHeatmapPage, {
             analyserResult: analyserResultFixture,
             classFull: classFullFixture,
@@ -684,3 +742,120 @@ describe('TaskHeatmapPage — assignment useQuery wiring', () => {
     expect(mockGetAssignment).toHaveBeenCalledTimes(1);
   });
 });
+
+// ===========================================================================
+// Item analysis header card
+// ===========================================================================
+
+describe('TaskHeatmapPage — item analysis header card', () => {
+  beforeEach(() => {
+    mockGetAssignment.mockResolvedValue(buildDefaultAssignmentFixture());
+  });
+
+  afterEach(() => {
+    vi.resetAllMocks();
+  });
+
+  it('renders the item analysis card for the assignment definition above the heatmap', () => {
+    const queryClient = createTestQueryClient();
+
+    render(
+      createElement(
+        QueryClientProvider,
+        { client: queryClient },
+        createElement(
+          App,
+          null,
+          createElement(TaskHeatmapPage, {
+            analyserResult: analyserResultFixture,
+            classFull: classFullFixture,
+            assignmentId: 'a-1',
+            assignmentDefinitionPartials: [VALID_ASSIGNMENT_PARTIAL],
+            onBack: vi.fn(),
+            refetch: vi.fn(),
+          })
+        )
+      )
+    );
+
+    const card = screen.getByTestId('item-analysis-card');
+    expect(
+      card.compareDocumentPosition(screen.getByTestId('task-heatmap-table')) &
+        Node.DOCUMENT_POSITION_FOLLOWING
+    ).toBeTruthy();
+    const [properties] = mockItemAnalysisCard.mock.lastCall as unknown as [Record<string, unknown>];
+    expect(properties).toMatchObject({
+      classFull: classFullFixture,
+      definitionKey: 'def-1',
+      assignmentDefinitionPartials: [VALID_ASSIGNMENT_PARTIAL],
+    });
+  });
+});
+
+// ===========================================================================
+// Similarity report
+// ===========================================================================
+
+describe('TaskHeatmapPage — similarity report', () => {
+  afterEach(() => {
+    vi.resetAllMocks();
+  });
+
+  it('passes the assignment similarity report to the card and flags students in the heatmap', async () => {
+    const similarityReport = {
+      checkedAt: '2026-01-02T00:00:00.000Z',
+      shingleSize: 5,
+      threshold: 0.5,
+      tasks: [
+        {
+          taskId: 't-1',
+          comparedCount: 2,
+          pairs: [
+            {
+              studentIds: ['s-1', 's-2'] as [string, string],
+              method: 'exact' as const,
+              similarity: 1,
+              matchedSpans: ['Same answer.'],
+            },
+          ],
+          clusters: [{ studentIds: ['s-1', 's-2'] }],
+        },
+      ],
+    };
+    mockGetAssignment.mockResolvedValue({ ...buildDefaultAssignmentFixture(), similarityReport });
+    const queryClient = createTestQueryClient();
+
+    render(
+      createElement(
+        QueryClientProvider,
+        { client: queryClient },
+        createElement(
+          App,
+          null,
+          createElement(TaskHeatmapPage, {
+            analyserResult: analyserResultFixture,
+            classFull: classFullFixture,
+            assignmentId: 'a-1',
+            assignmentDefinitionPartials: [VALID_ASSIGNMENT_PARTIAL],
+            onBack: vi.fn(),
+            refetch: vi.fn(),
+          })
+        )
+      )
+    );
+
+    await waitFor(() => {
+      expect(getHeatmapTableProperties().similarityFlags).toEqual(
+        new Map([
+          ['s-1', ['Task One']],
+          ['s-2', ['Task One']],
+        ])
+      );
+    });
+    const [properties] = mockSimilarityReportCard.mock.lastCall as unknown as [
+      Record<string, unknown>,
+    ];
+    expect(properties.assignment).toMatchObject({ similarityReport });
+    expect(screen.getByTestId('similarity-report-card')).toBeInTheDocument();
+  });
+});
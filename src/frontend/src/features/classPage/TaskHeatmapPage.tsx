@@ -2,7 +2,11 @@
  * Task Heatmap page component.
  *
  * Renders the full heatmap view for a single assignment, consuming an already-
- * computed `AveragingResult` (no second `useClassPageData` call).  The component
+ * computed `AveragingResult` (no second `useClassPageData` call).  The header
+ * carries an {@link ItemAnalysisCard} with per-task difficulty and
+ * discrimination statistics for the assignment's definition, and a
+ * {@link SimilarityReportCard} listing students whose answers matched; the
+ * matched students are also tagged in the heatmap.  The component
  * wraps `adaptMetricsToHeatmap` in a `try`/`catch`; on error it logs the error
  * via the frontend logger and calls `onBack` (no in-view error UI).
  *
@@ -29,6 +33,9 @@ import { buildCellPreviewLookup } from './buildCellPreviewLookup';
 import type { CellPreviewLookup } from './buildCellPreviewLookup';
 import { getAssignmentQueryOptions } from '../../query/sharedQueries';
 import { TaskHeatmapTable } from './TaskHeatmapTable';
+import { ItemAnalysisCard } from './ItemAnalysisCard';
+import { SimilarityReportCard } from './SimilarityReportCard';
+import { buildSimilarityFlags } from './similarityReportModel';
 import { PageTitleCard, PageNavCard } from '../../components/PageHeader/PageHeader';
 
 type HeatmapPageState = Readonly<{
@@ -38,6 +45,8 @@ type HeatmapPageState = Readonly<{
 
 type HeaderLabels = Readonly<{
   assignmentName: string;
+  /** The assignment's definition key, or `null` when it has none. */
+  definitionKey: string | null;
 }>;
 
 type TaskHeatmapPageProperties = Readonly<{
@@ -80,6 +89,7 @@ function getHeaderLabels(
     : undefined;
   return {
     assignmentName: partial?.primaryTitle ?? '',
+    definitionKey: definitionKey ?? null,
   };
 }
 
@@ -149,7 +159,7 @@ export function TaskHeatmapPage({
     [analyserResult, classFull, assignmentId, assignmentDefinitionPartials]
   );
 
-  const { assignmentName } = useMemo<HeaderLabels>(
+  const { assignmentName, definitionKey } = useMemo<HeaderLabels>(
     () => getHeaderLabels(classFull, assignmentId, assignmentDefinitionPartials),
     [classFull, assignmentId, assignmentDefinitionPartials]
   );
@@ -168,6 +178,14 @@ export function TaskHeatmapPage({
     [assignmentQuery.data],
   );
 
+  const similarityFlags = useMemo<Map<string, string[]> | undefined>(
+    () =>
+      state.heatmapResult
+        ? buildSimilarityFlags(assignmentQuery.data?.similarityReport, state.heatmapResult)
+        : undefined,
+    [assignmentQuery.data, state.heatmapResult],
+  );
+
   const showAssignmentError: boolean = assignmentQuery.isError || assignmentQuery.data === null;
   const isAssignmentLoading: boolean = assignmentQuery.isPending;
 
@@ -240,9 +258,21 @@ export function TaskHeatmapPage({
           </Button>
         }
       />
+      <ItemAnalysisCard
+        classFull={classFull}
+        definitionKey={definitionKey}
+        assignmentDefinitionPartials={assignmentDefinitionPartials}
+      />
+      <SimilarityReportCard assignment={assignmentQuery.data} heatmapResult={heatmapResult!} />
       <Card size="small">
-        <TaskHeatmapTable heatmapResult={heatmapResult!} cellPreviewLookup={cellPreviewLookup} isAssignmentLoading={isAssignmentLoading} showAssignmentError={showAssignmentError} />
+        <TaskHeatmapTable
+          heatmapResult={heatmapResult!}
+          cellPreviewLookup={cellPreviewLookup}
+          isAssignmentLoading={isAssignmentLoading}
+          showAssignmentError={showAssignmentError}
+          similarityFlags={similarityFlags}
+        />
       </Card>
     </Flex>
   );
-}
\ No newline at end of file
+}
@@ -20,6 +20,7 @@ import type {
   HeatmapResult,
   HeatmapRow,
   HeatmapCell,
+  HeatmapCriterion,
   HeatmapTaskColumn,
 } from '../../services/dataAnalysis/heatmapAdapter';
 import {
@@ -61,6 +62,13 @@ const TASK_COLUMNS: HeatmapTaskColumn[] = [
   { taskKey: 'definitionKey::task_002', taskId: TASK_2_ID, taskTitle: TASK_2_TITLE },
 ];
 
+/** Default criterion sub-columns. */
+const CRITERIA: HeatmapCriterion[] = [
+  { key: 'completeness', label: 'Completeness' },
+  { key: 'accuracy', label: 'Accuracy' },
+  { key: 'spag', label: 'SPaG' },
+];
+
 // ---------------------------------------------------------------------------
 // CellPreviewLookup fixtures for popover state tests
 // ---------------------------------------------------------------------------
@@ -187,6 +195,7 @@ function buildHeatmapResult(overrides: Partial<HeatmapResult> = {}): HeatmapResu
     className: 'Class A',
     rows,
     taskColumns: TASK_COLUMNS,
+    criteria: CRITERIA,
     ...overrides,
   };
 }
@@ -254,6 +263,7 @@ function buildNoSubmissionsResult(): HeatmapResult {
     className: 'Class A',
     rows,
     taskColumns: TASK_COLUMNS,
+    criteria: CRITERIA,
   };
 }
 
@@ -269,6 +279,7 @@ function buildZeroTasksResult(): HeatmapResult {
     className: 'Class A',
     rows: [],
     taskColumns: [],
+    criteria: CRITERIA,
   };
 }
 
@@ -359,6 +370,41 @@ describe('TaskHeatmapTable', () => {
     expect(spagHeaders).toHaveLength(TASK_GROUP_COUNT);
   });
 
+  it('renders one sub-column per criterion defined on the assignment definition', () => {
+    const codeQuality = createComputedMetricResult({ value: DEFAULT_COMPLETENESS });
+    const explanation = createNotAttemptedMetricResult();
+    const result = buildHeatmapResult({
+      criteria: [
+        { key: 'codeQuality', label: 'Code quality' },
+        { key: 'explanation', label: 'Explanation' },
+      ],
+      rows: [
+        {
+          studentId: 's-1',
+          studentName: 'Student One',
+          cells: [
+            { codeQuality, explanation },
+            { codeQuality, explanation },
+          ],
+        },
+      ],
+    });
+    render(<TaskHeatmapTable heatmapResult={result} cellPreviewLookup={null} isAssignmentLoading={false} showAssignmentError={false} />);
+
+    expect(
+      screen.getAllByRole('columnheader', { name: /code quality/i })
+    ).toHaveLength(TASK_GROUP_COUNT);
+    expect(
+      screen.getAllByRole('columnheader', { name: /explanation/i })
+    ).toHaveLength(TASK_GROUP_COUNT);
+    expect(
+      screen.queryAllByRole('columnheader', { name: /completeness/i })
+    ).toHaveLength(0);
+    expect(
+      getHeatmapCellByLabel(`Student One, ${TASK_1_ID}, Code quality: ${DEFAULT_COMPLETENESS}`)
+    ).toBeInTheDocument();
+  });
+
   // -------------------------------------------------------------------------
   // 2. Score-range filter UI — the Task 1 > Completeness column exposes a
   //    numeric range filter (two-thumb Slider + Reset) instead of the old
@@ -478,6 +524,24 @@ describe('TaskHeatmapTable', () => {
     expect(cellAriaError).toBeInTheDocument();
   });
 
+  it('tags students flagged by the similarity check with the tasks their answers matched on', () => {
+    render(
+      <TaskHeatmapTable
+        heatmapResult={buildHeatmapResult()}
+        cellPreviewLookup={null}
+        isAssignmentLoading={false}
+        showAssignmentError={false}
+        similarityFlags={new Map([['s-2', [TASK_1_TITLE, TASK_2_TITLE]]])}
+      />
+    );
+
+    const flaggedRow = screen.getByText('Student Two').closest('tr')!;
+    expect(
+      within(flaggedRow).getByLabelText('Similar answers: Task 1, Task 2')
+    ).toHaveTextContent('Similar');
+    expect(screen.getAllByText('Similar')).toHaveLength(1);
+  });
+
   // -------------------------------------------------------------------------
   // 5. Empty-state — two sub-fixtures:
   //    (a) "no submissions": all cells = notAttempted
@@ -3,9 +3,9 @@
  *
  * Renders a grouped-header Ant Design Table from a `HeatmapResult` view model.
  * The first column (Student Name) is sticky with locale-aware sorting and
- * default ascending order. Each task column groups three metric sub-columns
- * (Completeness, Accuracy, SPaG) with score-range filters and a SPEC-ordered metric
- * comparator.
+ * default ascending order. Each task column groups one metric sub-column per
+ * assessment criterion (by default Completeness, Accuracy, SPaG) with
+ * score-range filters and a SPEC-ordered metric comparator.
  *
  * The component owns local filter state (keyed by column key) so the score-range
  * filter dropdowns are functional.  Rows are paginated at 50 per page to bound
@@ -18,11 +18,13 @@
 
 import type { CSSProperties, JSX } from 'react';
 import { useMemo, useState } from 'react';
-import { Alert, Popover, Skeleton, Table, Typography } from 'antd';
+import { Alert, Popover, Skeleton, Table, Tag, Tooltip, Typography } from 'antd';
 import type { TableColumnsType } from 'antd';
 import type { FilterValue } from 'antd/es/table/interface';
 
 import type {
+  HeatmapCell,
+  HeatmapCriterion,
   HeatmapResult,
   HeatmapRow,
   HeatmapTaskColumn,
@@ -32,11 +34,7 @@ import {
   compareHeatmapStudentName,
   METRIC_STATE_RANK_ASC,
 } from './classPageModel';
-import {
-  METRIC_DISPLAY_META,
-  HEATMAP_METRIC_KEYS,
-} from '../../services/dataAnalysis/metricDisplay/metricDisplayMeta';
-import type { HeatmapMetricKey } from '../../services/dataAnalysis/metricDisplay/metricDisplayMeta';
+import { getCriterionIcon } from '../../services/dataAnalysis/metricDisplay/metricDisplayMeta';
 import {
   resolveMetricTone,
   type MetricToneRange,
@@ -69,40 +67,25 @@ const INDIVIDUAL_SCORE_PRECISION = 0;
 // ---------------------------------------------------------------------------
 
 /**
- * Retrieve the display label for a heatmap metric key.
+ * Extract a single cell metric by criterion key.
  *
- * @param {HeatmapMetricKey} key - The metric key.
- * @returns {string} The display title.
+ * @param {HeatmapCell} cell - The heatmap cell keyed by criterion key.
+ * @param {string} key - The criterion key to extract.
+ * @returns {MetricResult} The matching metric result.
  */
-function getDisplayTitle(key: HeatmapMetricKey): string {
-  return METRIC_DISPLAY_META.get(key)!.label;
+function getCellMetric(cell: HeatmapCell, key: string): MetricResult {
+  return cell[key];
 }
 
 /**
- * Extract a single cell metric by key via direct property access.
+ * Whether every criterion in a cell is not attempted.
  *
- * @param {object} cell - The heatmap cell containing three metric results.
- * @param {MetricResult} cell.completeness - The completeness metric result.
- * @param {MetricResult} cell.accuracy - The accuracy metric result.
- * @param {MetricResult} cell.spag - The SPaG metric result.
- * @param {HeatmapMetricKey} key - The metric key to extract.
- * @returns {MetricResult} The matching metric result.
+ * @param {HeatmapCell} cell - The heatmap cell keyed by criterion key.
+ * @param {ReadonlyArray<HeatmapCriterion>} criteria - The criterion sub-columns.
+ * @returns {boolean} True when no criterion has a score or error.
  */
-function getCellMetric(
-  cell: { completeness: MetricResult; accuracy: MetricResult; spag: MetricResult },
-  key: HeatmapMetricKey,
-): MetricResult {
-  switch (key) {
-    case 'completeness': {
-      return cell.completeness;
-    }
-    case 'accuracy': {
-      return cell.accuracy;
-    }
-    case 'spag': {
-      return cell.spag;
-    }
-  }
+function isCellNotAttempted(cell: HeatmapCell, criteria: ReadonlyArray<HeatmapCriterion>): boolean {
+  return criteria.every(({ key }) => getCellMetric(cell, key).state === 'notAttempted');
 }
 
 /**
@@ -158,12 +141,12 @@ function heatmapMetricComparator(
  * index.
  *
  * @param {number} taskIndex - The index of the task column.
- * @param {HeatmapMetricKey} metric - The metric key.
+ * @param {string} metric - The metric key.
  * @returns {(a: HeatmapRow, b: HeatmapRow) => number} A compare function.
  */
 function buildMetricSorter(
   taskIndex: number,
-  metric: HeatmapMetricKey,
+  metric: string,
 ): (a: HeatmapRow, b: HeatmapRow) => number {
   return (a: HeatmapRow, b: HeatmapRow): number =>
     heatmapMetricComparator(
@@ -227,7 +210,8 @@ function TaskPreviewSkeleton(): JSX.Element {
  *
  * @param {CellPreviewData | null} cellData - The cell preview data from the lookup.
  * @param {MetricResult} metricResult - The analyser's metric result for this cell.
- * @param {HeatmapMetricKey} metricKey - Which metric column this preview is for.
+ * @param {string} metricKey - Which metric column this preview is for.
+ * @param {string} metricLabel - The criterion's display label.
  * @param {string} taskId - The heatmap column's task ID.
  * @param {boolean} isAssignmentLoading - Whether the assignment query is pending.
  * @param {boolean} showAssignmentError - Whether the assignment query errored or returned null.
@@ -237,13 +221,15 @@ function CellPopoverContent({
   cellData,
   metricResult,
   metricKey,
+  metricLabel,
   taskId,
   isAssignmentLoading,
   showAssignmentError,
 }: Readonly<{
   cellData: CellPreviewData | null;
   metricResult: MetricResult;
-  metricKey: HeatmapMetricKey;
+  metricKey: string;
+  metricLabel: string;
   taskId: string;
   isAssignmentLoading: boolean;
   showAssignmentError: boolean;
@@ -257,34 +243,40 @@ function CellPopoverContent({
   }
 
   // Defer the expensive assembleTaskPreviewData call until the popover opens.
-  const previewData = assembleTaskPreviewData(cellData, metricResult, metricKey, taskId);
+  const previewData = assembleTaskPreviewData(
+    cellData,
+    metricResult,
+    metricKey,
+    taskId,
+    metricLabel,
+  );
   return <TaskPreviewCard data={previewData} />;
 }
 
 /**
- * Build the three metric sub-columns (Completeness, Accuracy, SPaG) for a
- * single task group.
+ * Build one metric sub-column per criterion for a single task group.
  *
  * Extracted to avoid excessive function nesting inside `useMemo`.
  *
  * @param {HeatmapTaskColumn} taskColumn - The task column descriptor.
+ * @param {ReadonlyArray<HeatmapCriterion>} criteria - The criterion sub-columns, in order.
  * @param {number} taskIndex - The index of the task within the heatmap.
  * @param {Record<string, FilterValue | null>} tableFilters - Current filter state.
  * @param {CellPreviewLookup | null} cellPreviewLookup - Assignment lookup keyed by studentId × taskId.
  * @param {boolean} isAssignmentLoading - Whether the assignment query is still pending.
  * @param {boolean} showAssignmentError - Whether the assignment query errored or returned null.
- * @returns {TableColumnsType<HeatmapRow>} Three metric sub-column definitions.
+ * @returns {TableColumnsType<HeatmapRow>} One metric sub-column definition per criterion.
  */
 function buildTaskMetricSubColumns(
   taskColumn: HeatmapTaskColumn,
+  criteria: ReadonlyArray<HeatmapCriterion>,
   taskIndex: number,
   tableFilters: Record<string, FilterValue | null>,
   cellPreviewLookup: CellPreviewLookup | null,
   isAssignmentLoading: boolean,
   showAssignmentError: boolean,
 ): TableColumnsType<HeatmapRow> {
-  return HEATMAP_METRIC_KEYS.map((metric) => {
-    const meta = METRIC_DISPLAY_META.get(metric)!;
+  return criteria.map(({ key: metric, label }) => {
     const columnKey = `${taskColumn.taskKey}::${metric}`;
     const filterValue = tableFilters[columnKey];
     const rangeFilter = buildMetricRangeFilter<HeatmapRow>({
@@ -297,7 +289,7 @@ function buildTaskMetricSubColumns(
     });
     return {
       key: columnKey,
-      title: <MetricIconLabel icon={meta.icon} label={meta.label} />,
+      title: <MetricIconLabel icon={getCriterionIcon(metric)} label={label} />,
       align: 'center' as const,
       width: APP_COL_WIDTH_METRIC,
       ...rangeFilter,
@@ -309,7 +301,7 @@ function buildTaskMetricSubColumns(
         const m = getCellMetric(record.cells[taskIndex], metric);
         const { cellStyle } = resolveMetricTone(m);
         const score = renderScore(m);
-        const ariaLabel = `${record.studentName}, ${taskColumn.taskId}, ${getDisplayTitle(metric)}: ${score}`;
+        const ariaLabel = `${record.studentName}, ${taskColumn.taskId}, ${label}: ${score}`;
         return {
           style: cellStyle,
           'aria-label': ariaLabel,
@@ -319,7 +311,7 @@ function buildTaskMetricSubColumns(
         const m = getCellMetric(record.cells[taskIndex], metric);
         const cellData = cellPreviewLookup?.get(record.studentId)?.get(taskColumn.taskId) ?? null;
         const score = renderScore(m);
-        const ariaLabel = `${record.studentName}, ${taskColumn.taskId}, ${getDisplayTitle(metric)}: ${score}`;
+        const ariaLabel = `${record.studentName}, ${taskColumn.taskId}, ${label}: ${score}`;
 
         return (
           <Popover
@@ -330,6 +322,7 @@ function buildTaskMetricSubColumns(
                 cellData={cellData}
                 metricResult={m}
                 metricKey={metric}
+                metricLabel={label}
                 taskId={taskColumn.taskId}
                 isAssignmentLoading={isAssignmentLoading}
                 showAssignmentError={showAssignmentError}
@@ -361,6 +354,33 @@ function buildTaskMetricSubColumns(
   });
 }
 
+/**
+ * Render a student's name, with a "Similar" tag when the similarity check
+ * matched their answer to another student's on any task.
+ *
+ * @param {Readonly<{ studentName: string; flaggedTasks: readonly string[] | undefined }>} props - Component properties.
+ * @returns {JSX.Element} The name cell content.
+ */
+function StudentNameCell({
+  studentName,
+  flaggedTasks,
+}: Readonly<{ studentName: string; flaggedTasks: readonly string[] | undefined }>): JSX.Element {
+  if (!flaggedTasks?.length) {
+    return <Typography.Text>{studentName}</Typography.Text>;
+  }
+  const description = `Similar answers: ${flaggedTasks.join(', ')}`;
+  return (
+    <Typography.Text>
+      {studentName}{' '}
+      <Tooltip title={description}>
+        <Tag color="volcano" aria-label={description}>
+          Similar
+        </Tag>
+      </Tooltip>
+    </Typography.Text>
+  );
+}
+
 // ---------------------------------------------------------------------------
 // Component
 // ---------------------------------------------------------------------------
@@ -368,7 +388,9 @@ function buildTaskMetricSubColumns(
 /**
  * Render a heatmap table from the given `HeatmapResult`.
  *
- * @param {Readonly<{ heatmapResult: HeatmapResult; cellPreviewLookup: CellPreviewLookup | null; isAssignmentLoading: boolean; showAssignmentError: boolean }>} props - Component properties.
+ * @param {Readonly<{ heatmapResult: HeatmapResult; cellPreviewLookup: CellPreviewLookup | null; isAssignmentLoading: boolean; showAssignmentError: boolean; similarityFlags?: ReadonlyMap<string, readonly string[]> }>} props - Component properties.
+ *   `similarityFlags` maps each student flagged by the similarity check to the
+ *   tasks their answer matched on.
  * @returns {JSX.Element} The rendered table.
  */
 export function TaskHeatmapTable({
@@ -376,13 +398,15 @@ export function TaskHeatmapTable({
   cellPreviewLookup,
   isAssignmentLoading,
   showAssignmentError,
+  similarityFlags,
 }: Readonly<{
   heatmapResult: HeatmapResult;
   cellPreviewLookup: CellPreviewLookup | null;
   isAssignmentLoading: boolean;
   showAssignmentError: boolean;
+  similarityFlags?: ReadonlyMap<string, readonly string[]>;
 }>): JSX.Element {
-  const { taskColumns, rows } = heatmapResult;
+  const { taskColumns, rows, criteria } = heatmapResult;
 
   // ── Table-level filter state lifted from the onChange callback ──────────
   const [tableFilters, setTableFilters] = useState<Record<string, FilterValue | null>>({});
@@ -405,14 +429,9 @@ export function TaskHeatmapTable({
       taskColumns.length > 0 &&
       rows.length > 0 &&
       rows.every((row) =>
-        row.cells.every(
-          (cell) =>
-            cell.completeness.state === 'notAttempted' &&
-            cell.accuracy.state === 'notAttempted' &&
-            cell.spag.state === 'notAttempted',
-        ),
+        row.cells.every((cell) => isCellNotAttempted(cell, criteria)),
       ),
-    [rows, taskColumns],
+    [rows, taskColumns, criteria],
   );
 
   const columns: TableColumnsType<HeatmapRow> = useMemo(
@@ -426,7 +445,10 @@ export function TaskHeatmapTable({
         sorter: { compare: compareHeatmapStudentName, multiple: 1 },
         defaultSortOrder: 'ascend',
         render: (_: unknown, record: HeatmapRow): JSX.Element => (
-          <Typography.Text>{record.studentName}</Typography.Text>
+          <StudentNameCell
+            studentName={record.studentName}
+            flaggedTasks={similarityFlags?.get(record.studentId)}
+          />
         ),
       },
 
@@ -436,6 +458,7 @@ export function TaskHeatmapTable({
         title: taskColumn.taskTitle ?? taskColumn.taskId,
         children: buildTaskMetricSubColumns(
           taskColumn,
+          criteria,
           taskIndex,
           tableFilters,
           cellPreviewLookup,
@@ -444,7 +467,15 @@ export function TaskHeatmapTable({
         ),
       })),
     ],
-    [taskColumns, tableFilters, cellPreviewLookup, isAssignmentLoading, showAssignmentError],
+    [
+      taskColumns,
+      criteria,
+      tableFilters,
+      cellPreviewLookup,
+      isAssignmentLoading,
+      showAssignmentError,
+      similarityFlags,
+    ],
   );
 
   return (
@@ -39,7 +39,9 @@ export interface TaskPreviewData {
   readonly taskId: string;
   readonly artifactType: 'IMAGE' | 'TEXT' | 'TABLE';
   readonly artifactContent: string;
-  readonly metricKey: 'completeness' | 'accuracy' | 'spag';
+  readonly metricKey: string;
+  /** Display label for criteria without an entry in `METRIC_DISPLAY_META`. */
+  readonly metricLabel?: string;
   readonly metricScore: number | 'N' | 'E';
   readonly metricState: 'computed' | 'notAttempted' | 'error';
   readonly reasoning: string;
@@ -183,13 +185,16 @@ export function TaskPreviewCard({
     artifactType,
     artifactContent,
     metricKey,
+    metricLabel,
     metricScore,
     metricState,
     reasoning,
   } = data;
 
-  const meta = METRIC_DISPLAY_META.get(metricKey)!;
-  const label = meta.label;
+  const label =
+    metricLabel ??
+    (METRIC_DISPLAY_META as ReadonlyMap<string, { label: string }>).get(metricKey)?.label ??
+    metricKey;
 
   const metricResult = buildMetricResult(metricState, metricScore);
 
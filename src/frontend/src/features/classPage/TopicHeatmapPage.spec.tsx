@@ -0,0 +1,171 @@
+/**
+ * Tests for `TopicHeatmapPage`.
+ *
+ * @remarks
+ * The grid is built by the real `DataAnalysisService` topic-mastery analyser,
+ * so the scores checked here are the same rollups the analyser returns.
+ */
+
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { describe, expect, it, vi } from 'vitest';
+import type { ClassFull } from '../../services/googleClassrooms/classDetail/classDetailService.zod';
+import type { AssignmentDefinitionPartialsResponse } from '../../services/assignmentDefinition/assignmentDefinitionPartials.zod';
+import {
+  createAssignmentPartial,
+  createClassFull,
+  createDefinitionPartial,
+  createSubmission,
+  createSubmissionItem,
+} from '../../test/dataAnalysis/fixtures';
+import { TopicHeatmapPage } from './TopicHeatmapPage';
+
+vi.mock('../../logging/frontendLogger', () => ({
+  logFrontendError: vi.fn(),
+  logFrontendEvent: vi.fn(),
+}));
+
+const STUDENT_NAMES: Readonly<Record<string, string>> = { s_001: 'Ada', s_002: 'Ben' };
+
+/** Ada's score on every criterion of the poetry assignment. */
+const ADA_POETRY_SCORE = 4;
+/** Ada's score on every criterion of the prose assignment. */
+const ADA_PROSE_SCORE = 3;
+/** Ben's poetry completeness and accuracy scores. */
+const BEN_POETRY_SCORE = 2;
+/** Ben's poetry SPaG score. */
+const BEN_POETRY_SPAG = 5;
+
+const DEFINITION_PARTIALS = [
+  {
+    ...createDefinitionPartial({ definitionKey: 'dk_poetry', primaryTopicKey: 'poetry' }),
+    primaryTopic: 'Poetry',
+  },
+  {
+    ...createDefinitionPartial({ definitionKey: 'dk_prose', primaryTopicKey: 'prose' }),
+    primaryTopic: 'Prose',
+  },
+] as AssignmentDefinitionPartialsResponse;
+
+/**
+ * Build a submission scoring every default criterion on task `t_001`.
+ *
+ * @param {string} studentId - The student identifier.
+ * @param {string} assignmentId - The assignment identifier.
+ * @param {[number, number, number]} scores - Completeness, accuracy and SPaG.
+ * @returns {ReturnType<typeof createSubmission>} The submission.
+ */
+function scoredSubmission(
+  studentId: string,
+  assignmentId: string,
+  [completeness, accuracy, spag]: [number, number, number]
+) {
+  return createSubmission(studentId, STUDENT_NAMES[studentId]!, assignmentId, {
+    t_001: createSubmissionItem('t_001', {
+      completeness: { score: completeness },
+      accuracy: { score: accuracy },
+      spag: { score: spag },
+    }),
+  });
+}
+
+/**
+ * Build a class where both students sit a poetry assignment and only `s_001`
+ * sits a prose assignment.
+ *
+ * @returns {ClassFull} The class fixture.
+ */
+function buildClass(): ClassFull {
+  return createClassFull({
+    classId: 'c1',
+    className: '10A English',
+    studentIds: ['s_001', 's_002'],
+    assignments: [
+      createAssignmentPartial({
+        assignmentId: 'a_poetry',
+        definitionKey: 'dk_poetry',
+        submissions: [
+          scoredSubmission('s_001', 'a_poetry', [
+            ADA_POETRY_SCORE,
+            ADA_POETRY_SCORE,
+            ADA_POETRY_SCORE,
+          ]),
+          scoredSubmission('s_002', 'a_poetry', [
+            BEN_POETRY_SCORE,
+            BEN_POETRY_SCORE,
+            BEN_POETRY_SPAG,
+          ]),
+        ],
+      }),
+      createAssignmentPartial({
+        assignmentId: 'a_prose',
+        definitionKey: 'dk_prose',
+        submissions: [
+          scoredSubmission('s_001', 'a_prose', [ADA_PROSE_SCORE, ADA_PROSE_SCORE, ADA_PROSE_SCORE]),
+        ],
+      }),
+    ],
+  }) as ClassFull;
+}
+
+/**
+ * Render the page.
+ *
+ * @param {ClassFull} [classFull] - The class fixture; defaults to {@link buildClass}.
+ * @returns {{ onBack: ReturnType<typeof vi.fn> }} The back callback.
+ */
+function renderPage(classFull: ClassFull = buildClass()) {
+  const onBack = vi.fn();
+  render(
+    <TopicHeatmapPage
+      classFull={classFull}
+      assignmentDefinitionPartials={DEFINITION_PARTIALS}
+      onBack={onBack}
+      refetch={vi.fn()}
+    />
+  );
+  return { onBack };
+}
+
+describe('TopicHeatmapPage', () => {
+  it('renders a column per topic with each student’s average and a class row', async () => {
+    const { onBack } = renderPage();
+
+    expect(screen.getByText('10A English topic mastery')).toBeInTheDocument();
+    expect(screen.getByRole('columnheader', { name: 'Poetry' })).toBeInTheDocument();
+    expect(screen.getByRole('columnheader', { name: 'Prose' })).toBeInTheDocument();
+    expect(screen.getByLabelText('Ben, Poetry: 2.6')).toHaveTextContent('2.6');
+    expect(screen.getByLabelText('Ben, Prose: no data')).toHaveTextContent('—');
+
+    const classRow = screen.getByText('Class average').closest('tr')!;
+    expect(within(classRow).getByText('3.3')).toBeInTheDocument();
+
+    await userEvent.click(screen.getByRole('button', { name: 'Back to Class overview' }));
+    expect(onBack).toHaveBeenCalledOnce();
+  });
+
+  it('switches the cells to the selected criterion', async () => {
+    renderPage();
+
+    await userEvent.click(screen.getByText('SPaG'));
+
+    expect(screen.getByLabelText('Ben, Poetry: 5.0')).toHaveTextContent('5.0');
+    expect(screen.getByLabelText('Ada, Prose: 3.0')).toBeInTheDocument();
+  });
+
+  it('shows an empty state when the class has no assessed assignments', () => {
+    renderPage(createClassFull({ classId: 'c1', assignments: [] }) as ClassFull);
+
+    expect(screen.getByText('No assessed assignments with a topic yet.')).toBeInTheDocument();
+  });
+
+  it('shows an error alert when the analysis fails', () => {
+    const classFull = buildClass();
+    renderPage({
+      ...classFull,
+      assignments: [{ ...classFull.assignments[0]!, assignmentDefinitionKey: '' }],
+    } as ClassFull);
+
+    expect(screen.getByText("Couldn't compute topic mastery")).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,295 @@
+/**
+ * Topic heatmap page for the Class page.
+ *
+ * Renders a students × topics grid of mastery scores from the `'topicMastery'`
+ * analyser, with a class-average summary row. A criterion switch selects which
+ * metric the cells show; each student cell carries the same tone as the task
+ * heatmap via `resolveMetricTone`.
+ *
+ * @remarks
+ * Topic mastery is derived from the already-loaded `ClassFull` and
+ * assignment-definition partials, so the page performs no fetching of its own.
+ * A student with no work in a topic shows an em dash rather than a metric
+ * state, because the analyser emits no row for them.
+ */
+
+import { useMemo, useState, type CSSProperties, type JSX } from 'react';
+import { Alert, Button, Card, Empty, Flex, Segmented, Table, Typography } from 'antd';
+import type { TableColumnsType } from 'antd';
+import { RefreshCw } from 'lucide-react';
+import { DataAnalysisService } from '../../services/dataAnalysis/dataAnalysisService';
+import type {
+  MetricResult,
+  PerClassTopicRow,
+  PerStudentTopicRow,
+  TopicMasteryResult,
+} from '../../services/dataAnalysis/dataAnalysis.zod';
+import { MetricPill } from '../../services/dataAnalysis/metricDisplay/MetricPill';
+import { resolveMetricTone } from '../../services/dataAnalysis/metricDisplay/metricTone';
+import type { ClassFull } from '../../services/googleClassrooms/classDetail/classDetailService.zod';
+import type { AssignmentDefinitionPartialsResponse } from '../../services/assignmentDefinition/assignmentDefinitionPartials.zod';
+import { logFrontendError } from '../../logging/frontendLogger';
+import { useLogOnce } from '../../hooks/useLogOnce';
+import { PageTitleCard, PageNavCard } from '../../components/PageHeader/PageHeader';
+import { APP_COL_WIDTH_STUDENT_NAME, APP_GAP_MD } from '../../theme/spacing';
+
+const BACK_LABEL = 'Back to Class overview';
+const SCORE_PRECISION = 1;
+const NO_DATA_TEXT = '—';
+
+/** The metric a topic cell shows. */
+type TopicMetricKey = 'overall' | 'completeness' | 'accuracy' | 'spag';
+
+const METRIC_OPTIONS: ReadonlyArray<{ value: TopicMetricKey; label: string }> = [
+  { value: 'overall', label: 'Average' },
+  { value: 'completeness', label: 'Completeness' },
+  { value: 'accuracy', label: 'Accuracy' },
+  { value: 'spag', label: 'SPaG' },
+];
+
+type TopicHeatmapPageProperties = Readonly<{
+  /** The full class data (non-null, narrowed by the ready gate). */
+  classFull: ClassFull;
+  /** Warm-up assignment-definition partials (non-null, narrowed by the ready gate). */
+  assignmentDefinitionPartials: AssignmentDefinitionPartialsResponse;
+  /** Callback invoked when the user clicks Back to return to the overview. */
+  onBack: () => void;
+  /** Callback invoked when the user clicks Refresh to re-run the data pipeline. */
+  refetch: () => void;
+}>;
+
+type TopicMasteryState = Readonly<{
+  result: TopicMasteryResult | null;
+  error: unknown;
+}>;
+
+/** One student row of the grid: the student's topic rows keyed by topic key. */
+type TopicHeatmapRow = Readonly<{
+  studentId: string;
+  studentName: string;
+  topics: ReadonlyMap<string, PerStudentTopicRow>;
+}>;
+
+/**
+ * Create the module-level `DataAnalysisService` instance.
+ *
+ * A factory function is used so that `vi.mock` patching of `DataAnalysisService`
+ * as a function (not a class constructor) works correctly in tests.
+ *
+ * @returns {DataAnalysisService} A new service instance.
+ */
+function createAnalysisService(): DataAnalysisService {
+  return new DataAnalysisService();
+}
+
+const _analysisService: DataAnalysisService = createAnalysisService();
+
+/**
+ * Run the topic-mastery analyser for the class, catching errors into state.
+ *
+ * @param {ClassFull} classFull - The full class data.
+ * @param {AssignmentDefinitionPartialsResponse} assignmentDefinitionPartials -
+ *   The definition registry.
+ * @returns {TopicMasteryState} The class result or the error.
+ */
+function computeTopicMastery(
+  classFull: ClassFull,
+  assignmentDefinitionPartials: AssignmentDefinitionPartialsResponse
+): TopicMasteryState {
+  try {
+    const [result] = _analysisService.analyse(
+      {
+        filter: { classIds: [classFull.classId] },
+        classes: [classFull],
+        assignmentDefinitionPartials,
+      },
+      'topicMastery'
+    );
+    return { result: result ?? null, error: null };
+  } catch (error: unknown) {
+    return { result: null, error };
+  }
+}
+
+/**
+ * Pivot the per-(student, topic) rows into one grid row per student.
+ *
+ * @param {readonly PerStudentTopicRow[]} perStudent - The analyser rows.
+ * @returns {TopicHeatmapRow[]} Rows sorted by student name, then student id.
+ */
+function buildTopicHeatmapRows(perStudent: readonly PerStudentTopicRow[]): TopicHeatmapRow[] {
+  const rows = new Map<
+    string,
+    { studentId: string; studentName: string; topics: Map<string, PerStudentTopicRow> }
+  >();
+  for (const row of perStudent) {
+    let entry = rows.get(row.studentId);
+    if (!entry) {
+      entry = {
+        studentId: row.studentId,
+        studentName: row.studentName ?? row.studentId,
+        topics: new Map(),
+      };
+      rows.set(row.studentId, entry);
+    }
+    entry.topics.set(row.topicKey, row);
+  }
+  return [...rows.values()].toSorted(
+    (a, b) => a.studentName.localeCompare(b.studentName) || a.studentId.localeCompare(b.studentId)
+  );
+}
+
+/**
+ * Format a metric as cell text.
+ *
+ * @param {MetricResult | undefined} metric - The metric, if the student has work in the topic.
+ * @returns {string} The score, `N`, `E`, or an em dash when there is no work.
+ */
+function formatMetric(metric: MetricResult | undefined): string {
+  if (metric === undefined) return NO_DATA_TEXT;
+  return metric.state === 'computed' ? metric.value.toFixed(SCORE_PRECISION) : metric.value;
+}
+
+/**
+ * Build the grid columns: a fixed student column, then one column per topic.
+ *
+ * @param {TopicMasteryResult} result - The class topic-mastery result.
+ * @param {TopicMetricKey} metricKey - The metric the cells show.
+ * @returns {TableColumnsType<TopicHeatmapRow>} The table columns.
+ */
+function buildTopicColumns(
+  result: TopicMasteryResult,
+  metricKey: TopicMetricKey
+): TableColumnsType<TopicHeatmapRow> {
+  return [
+    {
+      title: 'Student',
+      dataIndex: 'studentName',
+      key: 'studentName',
+      fixed: 'start',
+      width: APP_COL_WIDTH_STUDENT_NAME,
+    },
+    ...result.topics.map(({ topicKey, topicLabel }) => ({
+      title: topicLabel,
+      key: topicKey,
+      align: 'center' as const,
+      onCell: (record: TopicHeatmapRow): { style: CSSProperties; 'aria-label': string } => {
+        const metric = record.topics.get(topicKey)?.[metricKey];
+        return {
+          style: metric === undefined ? {} : resolveMetricTone(metric).cellStyle,
+          'aria-label': `${record.studentName}, ${topicLabel}: ${metric === undefined ? 'no data' : formatMetric(metric)}`,
+        };
+      },
+      render: (_: unknown, record: TopicHeatmapRow): string =>
+        formatMetric(record.topics.get(topicKey)?.[metricKey]),
+    })),
+  ];
+}
+
+/**
+ * Render the class-average summary row under the student rows.
+ *
+ * @param {readonly PerClassTopicRow[]} perClass - The per-(class, topic) rows, in topic order.
+ * @param {TopicMetricKey} metricKey - The metric the cells show.
+ * @returns {JSX.Element} The summary row.
+ */
+function renderClassSummary(
+  perClass: readonly PerClassTopicRow[],
+  metricKey: TopicMetricKey
+): JSX.Element {
+  return (
+    <Table.Summary.Row>
+      <Table.Summary.Cell index={0}>
+        <Typography.Text strong>Class average</Typography.Text>
+      </Table.Summary.Cell>
+      {perClass.map((row, index) => (
+        <Table.Summary.Cell key={row.topicKey} index={index + 1} align="center">
+          <MetricPill metric={row[metricKey]} precision={SCORE_PRECISION} />
+        </Table.Summary.Cell>
+      ))}
+    </Table.Summary.Row>
+  );
+}
+
+/**
+ * Render the topic heatmap page.
+ *
+ * @param {TopicHeatmapPageProperties} properties - Component properties.
+ * @param {ClassFull} properties.classFull - The full class data.
+ * @param {AssignmentDefinitionPartialsResponse} properties.assignmentDefinitionPartials -
+ *   Warm-up partials supplying each assignment's topics.
+ * @param {() => void} properties.onBack - Back callback.
+ * @param {() => void} properties.refetch - Refresh callback.
+ * @returns {JSX.Element} The topic heatmap, an empty state when no assessed
+ *   work has a topic, or an error alert when the analysis fails.
+ */
+export function TopicHeatmapPage({
+  classFull,
+  assignmentDefinitionPartials,
+  onBack,
+  refetch,
+}: TopicHeatmapPageProperties): JSX.Element {
+  const [metricKey, setMetricKey] = useState<TopicMetricKey>('overall');
+
+  const state = useMemo<TopicMasteryState>(
+    () => computeTopicMastery(classFull, assignmentDefinitionPartials),
+    [classFull, assignmentDefinitionPartials]
+  );
+  const { result, error } = state;
+
+  useLogOnce(error !== null, () => {
+    logFrontendError('TopicHeatmapPage', error, { classId: classFull.classId });
+  });
+
+  const rows = useMemo(() => buildTopicHeatmapRows(result?.perStudent ?? []), [result]);
+  const columns = useMemo(
+    () => (result ? buildTopicColumns(result, metricKey) : []),
+    [result, metricKey]
+  );
+
+  return (
+    <Flex vertical gap={APP_GAP_MD}>
+      <PageTitleCard title={`${classFull.className ?? ''} topic mastery`.trim()} />
+      <PageNavCard
+        onBack={onBack}
+        backLabel={BACK_LABEL}
+        backAriaLabel={BACK_LABEL}
+        actions={
+          <Button icon={<RefreshCw size={16} />} onClick={refetch}>
+            Refresh
+          </Button>
+        }
+      />
+      {result === null ? (
+        <Alert type="error" showIcon title="Couldn't compute topic mastery" />
+      ) : (
+        <Card
+          size="small"
+          title="Topic mastery"
+          extra={
+            <Segmented<TopicMetricKey>
+              aria-label="Metric"
+              options={[...METRIC_OPTIONS]}
+              value={metricKey}
+              onChange={setMetricKey}
+            />
+          }
+        >
+          {result.topics.length === 0 ? (
+            <Empty description="No assessed assignments with a topic yet." />
+          ) : (
+            <Table<TopicHeatmapRow>
+              size="small"
+              columns={columns}
+              dataSource={rows}
+              rowKey="studentId"
+              pagination={false}
+              scroll={{ x: 'max-content' }}
+              summary={() => renderClassSummary(result.perClass, metricKey)}
+            />
+          )}
+        </Card>
+      )}
+    </Flex>
+  );
+}
@@ -1,26 +1,28 @@
 import type { CellPreviewData } from './buildCellPreviewLookup';
 import type { MetricResult } from '../../services/dataAnalysis/dataAnalysis.zod';
-import type { HeatmapMetricKey } from '../../services/dataAnalysis/metricDisplay/metricDisplayMeta';
 import type { TaskPreviewData } from './TaskPreviewCard';
 import { spreadsheetToMarkdownTable } from './spreadsheetToMarkdownTable';
 
 /**
  * Assembles a `TaskPreviewData` from a `CellPreviewData` (or `null`), the
- * analyser's `MetricResult`, the metric key, and the task ID.
+ * analyser's `MetricResult`, the metric key, the task ID and, for criteria
+ * defined on the assignment definition, the criterion's display label.
  *
  * @param {CellPreviewData | null} cellData - The cell preview data from the
  *                   lookup, or `null` when no submission exists for the
  *                   (student, task) pair.
  * @param {MetricResult} metricResult - The analyser's metric result for this cell.
- * @param {HeatmapMetricKey} metricKey - Which metric column this preview is for.
+ * @param {string} metricKey - Which metric column this preview is for.
  * @param {string} taskId - The heatmap column's task ID (forwarded unchanged).
+ * @param {string} [metricLabel] - The criterion's display label (forwarded unchanged).
  * @returns {TaskPreviewData} A `TaskPreviewData` object ready for the `TaskPreviewCard`.
  */
 export function assembleTaskPreviewData(
   cellData: CellPreviewData | null,
   metricResult: MetricResult,
-  metricKey: HeatmapMetricKey,
-  taskId: string
+  metricKey: string,
+  taskId: string,
+  metricLabel?: string
 ): TaskPreviewData {
   // Null cellData: return empty defaults matching the no-submission contract.
   // Even if the metric result says 'computed', no submission means not attempted.
@@ -30,6 +32,7 @@ export function assembleTaskPreviewData(
       artifactType: 'TEXT',
       artifactContent: '',
       metricKey,
+      metricLabel,
       metricScore: 'N' as const,
       metricState: 'notAttempted' as const,
       reasoning: '',
@@ -45,6 +48,7 @@ export function assembleTaskPreviewData(
     artifactType,
     artifactContent,
     metricKey,
+    metricLabel,
     metricScore: metricResult.value,
     metricState: metricResult.state,
     reasoning: cellData.reasoning[metricKey] ?? '',
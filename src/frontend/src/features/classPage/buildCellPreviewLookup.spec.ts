@@ -299,6 +299,51 @@ describe('buildCellPreviewLookup', () => {
     expect(cellData!.reasoning.spag).toBeNull();
   });
 
+  it('prefers teacher override reasoning over the assessed reasoning', () => {
+    const assignment = createAssignment([
+      {
+        studentId: 'student-1',
+        studentName: 'Alice',
+        assignmentId: 'assignment-1',
+        documentId: null,
+        items: {
+          'item-1': {
+            id: 'item-1',
+            taskId: 'task-1',
+            artifact: {
+              ...BASE_ARTIFACT_FIELDS,
+              type: 'TEXT' as const,
+              content: 'Answer',
+              taskId: 'task-1',
+            },
+            assessments: {
+              completeness: { score: 3, reasoning: 'Some points covered' },
+              accuracy: { score: 1, reasoning: 'Wrong answer' },
+            },
+            overrides: {
+              accuracy: {
+                score: 4,
+                reasoning: 'Correct method, arithmetic slip',
+                overriddenBy: 'teacher@example.com',
+                overriddenAt: DEFAULT_DATE,
+                contentHash: null,
+              },
+            },
+            feedback: {},
+          },
+        },
+        createdAt: DEFAULT_DATE,
+        updatedAt: DEFAULT_DATE,
+      },
+    ]);
+
+    const cellData = buildCellPreviewLookup(assignment).get('student-1')?.get('task-1');
+
+    expect(cellData!.reasoning.completeness).toBe('Some points covered');
+    expect(cellData!.reasoning.accuracy).toBe('Correct method, arithmetic slip');
+    expect(cellData!.reasoning.spag).toBeNull();
+  });
+
   // -----------------------------------------------------------------------
   // Test 3 — multiple submissions for different students
   // -----------------------------------------------------------------------
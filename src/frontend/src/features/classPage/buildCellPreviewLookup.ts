@@ -4,7 +4,6 @@ import type {
   BaseTaskArtifactSchema,
 } from '../../services/assignmentAssessment/assignmentAssessment.zod';
 import { HEATMAP_METRIC_KEYS } from '../../services/dataAnalysis/metricDisplay/metricDisplayMeta';
-import type { HeatmapMetricKey } from '../../services/dataAnalysis/metricDisplay/metricDisplayMeta';
 import type { z } from 'zod';
 
 /**
@@ -39,8 +38,12 @@ export type CellPreviewData = {
   [K in ArtifactType]: {
     readonly artifactType: K;
     readonly artifactContent: ArtifactContentByType<K>;
-    /** Per-metric reasoning strings (null when assessment is absent for that metric). */
-    readonly reasoning: Record<HeatmapMetricKey, string | null>;
+    /**
+     * Per-criterion reasoning strings, keyed by criterion key. The default
+     * criteria are always present (null when assessment is absent for that
+     * criterion).
+     */
+    readonly reasoning: Record<string, string | null>;
   };
 }[ArtifactType];
 
@@ -58,23 +61,32 @@ export type CellPreviewLookup = ReadonlyMap<string, ReadonlyMap<string, CellPrev
  * @param {ArtifactType} artifactType - The artifact type discriminator.
  * @param {unknown} artifactContent - The artifact content.
  * @param {Record<string, Assessment>} assessments - The per-metric assessments.
+ * @param {Record<string, Assessment>} [overrides] - Per-metric teacher overrides, which take
+ *   precedence over the matching assessment so the preview explains the score shown.
  * @returns {CellPreviewData} The assembled cell preview data.
  */
 function createCellPreviewData(
   artifactType: ArtifactType,
   artifactContent: unknown,
-  assessments: Record<string, Assessment>
+  assessments: Record<string, Assessment>,
+  overrides: Record<string, Assessment> = {}
 ): CellPreviewData {
   return {
     artifactType,
     artifactContent,
-    // `assessments` is keyed by backend metric names (`completeness`,
-    // `accuracy`, `spag`). `HEATMAP_METRIC_KEYS` provides the same three
-    // keys used for lookup. If a metric key is absent, `reasoning` defaults
-    // to `null`.
+    // `assessments` is keyed by criterion key. The default criterion keys
+    // from `HEATMAP_METRIC_KEYS` are always looked up, plus any criterion
+    // defined on the assignment definition that was assessed or overridden.
+    // If a criterion key is absent, `reasoning` defaults to `null`.
     reasoning: Object.fromEntries(
-      HEATMAP_METRIC_KEYS.map((key) => [key, assessments[key]?.reasoning ?? null])
-    ) as Record<HeatmapMetricKey, string | null>,
+      [
+        ...new Set([
+          ...HEATMAP_METRIC_KEYS,
+          ...Object.keys(assessments),
+          ...Object.keys(overrides),
+        ]),
+      ].map((key) => [key, (overrides[key] ?? assessments[key])?.reasoning ?? null])
+    ) as Record<string, string | null>,
   } as CellPreviewData;
 }
 
@@ -96,7 +108,12 @@ export function buildCellPreviewLookup(assignment: AssignmentFull): CellPreviewL
       if (!innerMap.has(item.taskId)) {
         innerMap.set(
           item.taskId,
-          createCellPreviewData(item.artifact.type, item.artifact.content, item.assessments)
+          createCellPreviewData(
+            item.artifact.type,
+            item.artifact.content,
+            item.assessments,
+            item.overrides
+          )
         );
       }
     }
@@ -0,0 +1,74 @@
+import { describe, expect, it } from 'vitest';
+import type { SimilarityReport } from '../../services/assignmentAssessment/assignmentAssessment.zod';
+import type { HeatmapResult } from '../../services/dataAnalysis/heatmapAdapter';
+import { buildSimilarityFlags, buildSimilarityPairRows } from './similarityReportModel';
+
+const HEATMAP_RESULT: HeatmapResult = {
+  assignmentId: 'a-1',
+  assignmentName: 'Assignment One',
+  className: 'Class A',
+  rows: [
+    { studentId: 's-1', studentName: 'Ada', cells: [] },
+    { studentId: 's-2', studentName: 'Ben', cells: [] },
+    { studentId: 's-3', studentName: 'Cat', cells: [] },
+  ],
+  taskColumns: [
+    { taskKey: 'def-1::t-1', taskId: 't-1', taskTitle: 'Plan' },
+    { taskKey: 'def-1::t-2', taskId: 't-2', taskTitle: null },
+  ],
+  criteria: [],
+};
+
+const REPORT: SimilarityReport = {
+  checkedAt: '2026-01-02T00:00:00.000Z',
+  shingleSize: 5,
+  threshold: 0.5,
+  tasks: [
+    {
+      taskId: 't-1',
+      comparedCount: 3,
+      pairs: [
+        { studentIds: ['s-1', 's-2'], method: 'exact', similarity: 1, matchedSpans: ['Same.'] },
+        { studentIds: ['s-2', 's-9'], method: 'fuzzy', similarity: 0.6, matchedSpans: ['Part.'] },
+      ],
+      clusters: [{ studentIds: ['s-1', 's-2', 's-9'] }],
+    },
+    {
+      taskId: 't-2',
+      comparedCount: 3,
+      pairs: [{ studentIds: ['s-2', 's-3'], method: 'fuzzy', similarity: 0.75, matchedSpans: [] }],
+      clusters: [{ studentIds: ['s-2', 's-3'] }],
+    },
+  ],
+};
+
+describe('similarityReportModel', () => {
+  it('labels each pair with task titles and student names, falling back to identifiers', () => {
+    expect(
+      buildSimilarityPairRows(REPORT, HEATMAP_RESULT).map(({ taskLabel, studentNames }) => [
+        taskLabel,
+        studentNames,
+      ])
+    ).toEqual([
+      ['Plan', ['Ada', 'Ben']],
+      ['Plan', ['Ben', 's-9']],
+      ['t-2', ['Ben', 'Cat']],
+    ]);
+  });
+
+  it('maps each clustered student to the tasks they were flagged on', () => {
+    expect(buildSimilarityFlags(REPORT, HEATMAP_RESULT)).toEqual(
+      new Map([
+        ['s-1', ['Plan']],
+        ['s-2', ['Plan', 't-2']],
+        ['s-9', ['Plan']],
+        ['s-3', ['t-2']],
+      ])
+    );
+  });
+
+  it('returns nothing when the assignment has no report', () => {
+    expect(buildSimilarityPairRows(undefined, HEATMAP_RESULT)).toEqual([]);
+    expect(buildSimilarityFlags(null, HEATMAP_RESULT).size).toBe(0);
+  });
+});
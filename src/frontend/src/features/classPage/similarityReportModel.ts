@@ -0,0 +1,94 @@
+/**
+ * View-model helpers for the similarity report on the Task Heatmap page.
+ *
+ * Resolve the student and task identifiers in a `SimilarityReport` to the
+ * names and titles the heatmap already shows, for the similar-answers card and
+ * the student-name markers in the heatmap table.
+ */
+
+import type {
+  SimilarityPair,
+  SimilarityReport,
+} from '../../services/assignmentAssessment/assignmentAssessment.zod';
+import type { HeatmapResult } from '../../services/dataAnalysis/heatmapAdapter';
+
+/** One matched pair of students on one task, with display labels. */
+export type SimilarityPairRow = Readonly<{
+  key: string;
+  taskLabel: string;
+  studentNames: readonly [string, string];
+  method: SimilarityPair['method'];
+  similarity: number;
+  matchedSpans: readonly string[];
+}>;
+
+/**
+ * Build the lookups from identifiers to heatmap display labels.
+ *
+ * @param {HeatmapResult} heatmapResult - The heatmap view model.
+ * @returns {{ taskLabel: (taskId: string) => string; studentName: (studentId: string) => string }}
+ *   Label resolvers that fall back to the identifier.
+ */
+function buildLabelLookups(heatmapResult: HeatmapResult): {
+  taskLabel: (taskId: string) => string;
+  studentName: (studentId: string) => string;
+} {
+  const taskTitles = new Map(
+    heatmapResult.taskColumns.map(({ taskId, taskTitle }) => [taskId, taskTitle ?? taskId])
+  );
+  const studentNames = new Map(
+    heatmapResult.rows.map(({ studentId, studentName }) => [studentId, studentName])
+  );
+  return {
+    taskLabel: (taskId) => taskTitles.get(taskId) ?? taskId,
+    studentName: (studentId) => studentNames.get(studentId) ?? studentId,
+  };
+}
+
+/**
+ * Flatten a similarity report into table rows, in report order: task
+ * definition order, then student.
+ *
+ * @param {SimilarityReport | null | undefined} report - The assignment's report.
+ * @param {HeatmapResult} heatmapResult - The heatmap view model.
+ * @returns {SimilarityPairRow[]} One row per matched pair; empty without a report.
+ */
+export function buildSimilarityPairRows(
+  report: SimilarityReport | null | undefined,
+  heatmapResult: HeatmapResult
+): SimilarityPairRow[] {
+  const { taskLabel, studentName } = buildLabelLookups(heatmapResult);
+  return (report?.tasks ?? []).flatMap(({ taskId, pairs }) =>
+    pairs.map(({ studentIds, method, similarity, matchedSpans }) => ({
+      key: `${taskId}::${studentIds.join('::')}`,
+      taskLabel: taskLabel(taskId),
+      studentNames: [studentName(studentIds[0]), studentName(studentIds[1])] as const,
+      method,
+      similarity,
+      matchedSpans,
+    }))
+  );
+}
+
+/**
+ * Map each flagged student to the tasks on which their answer matched another
+ * student's.
+ *
+ * @param {SimilarityReport | null | undefined} report - The assignment's report.
+ * @param {HeatmapResult} heatmapResult - The heatmap view model.
+ * @returns {Map<string, string[]>} Student identifier → task labels, in
+ *   definition order.
+ */
+export function buildSimilarityFlags(
+  report: SimilarityReport | null | undefined,
+  heatmapResult: HeatmapResult
+): Map<string, string[]> {
+  const { taskLabel } = buildLabelLookups(heatmapResult);
+  const flags = new Map<string, string[]>();
+  for (const { taskId, clusters } of report?.tasks ?? []) {
+    for (const studentId of clusters.flatMap(({ studentIds }) => studentIds)) {
+      flags.set(studentId, [...(flags.get(studentId) ?? []), taskLabel(taskId)]);
+    }
+  }
+  return flags;
+}
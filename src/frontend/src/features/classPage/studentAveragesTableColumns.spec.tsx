@@ -7,8 +7,9 @@
  * @see ACTION_PLAN.md §5 — Required test cases 1-5
  */
 
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi } from 'vitest';
 import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
 import {
   buildStudentAveragesTableColumns,
 } from './studentAveragesTableColumns';
@@ -255,6 +256,18 @@ describe('buildStudentAveragesTableColumns', () => {
     expect(screen.getByText('Alice')).toBeInTheDocument();
   });
 
+  it('studentName column renders a link that opens the student profile when onOpenStudent is given', async () => {
+    const onOpenStudent = vi.fn();
+    const columns = buildStudentAveragesTableColumns(EMPTY_FILTERS, onOpenStudent);
+    const nameColumn = columns.find((c) => c.key === 'studentName');
+
+    const record = buildRow({ studentId: 's-1', studentName: 'Alice' });
+    render(<>{nameColumn!.render!('Alice', record, 0)}</>);
+    await userEvent.click(screen.getByRole('button', { name: 'Open profile for Alice' }));
+
+    expect(onOpenStudent).toHaveBeenCalledWith('s-1');
+  });
+
   // -----------------------------------------------------------------------
   // activeFilterKey: raw encoded key is preserved, N/E toggles honoured
   // -----------------------------------------------------------------------
@@ -23,7 +23,7 @@
  */
 
 import type { CSSProperties, JSX } from 'react';
-import { Typography } from 'antd';
+import { Button, Typography } from 'antd';
 import type { TableColumnsType, TableColumnType } from 'antd';
 import type { FilterValue } from 'antd/es/table/interface';
 
@@ -159,13 +159,19 @@ function buildMetricColumn(
  * case-insensitive comparison and a `studentId` tie-breaker. The four metric
  * columns each have a numeric score-range filter (via `buildMetricRangeFilter`)
  * and a `resolveMetricTone`-based gradient `cellStyle`.
- * 
+ *
+ * When `onOpenStudent` is supplied the student name renders as a link button
+ * that opens that student's profile; otherwise it is plain text.
+ *
  * @param {StudentAveragesTableFilters} filters - The current filter state for
  *   each metric column. Empty arrays mean no filter.
+ * @param {(studentId: string) => void} [onOpenStudent] - Optional callback
+ *   invoked with the row's `studentId` when the student name is clicked.
  * @returns {TableColumnsType<StudentAverageRowModel>} Five column definitions.
  */
 export function buildStudentAveragesTableColumns(
-  filters: StudentAveragesTableFilters
+  filters: StudentAveragesTableFilters,
+  onOpenStudent?: (studentId: string) => void
 ): TableColumnsType<StudentAverageRowModel> {
   return [
     // ── Student Name (no filters) ──────────────────────────────────────
@@ -178,9 +184,19 @@ export function buildStudentAveragesTableColumns(
         multiple: 1,
       },
       defaultSortOrder: 'ascend',
-      render: (_: unknown, record: StudentAverageRowModel): JSX.Element => (
-        <Typography.Text>{record.studentName}</Typography.Text>
-      ),
+      render: (_: unknown, record: StudentAverageRowModel): JSX.Element =>
+        onOpenStudent === undefined ? (
+          <Typography.Text>{record.studentName}</Typography.Text>
+        ) : (
+          <Button
+            type="link"
+            style={{ padding: 0 }}
+            onClick={() => onOpenStudent(record.studentId)}
+            aria-label={`Open profile for ${record.studentName}`}
+          >
+            {record.studentName}
+          </Button>
+        ),
     },
 
     // ── Metric columns ─────────────────────────────────────────────────
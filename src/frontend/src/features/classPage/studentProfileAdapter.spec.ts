@@ -0,0 +1,326 @@
+/**
+ * Tests for `buildStudentProfile` and `computeSlope`.
+ *
+ * @remarks
+ * The adapter runs the real `DataAnalysisService`, so the per-assignment
+ * scores checked here are the same weighted averages the Class page shows.
+ */
+
+import { describe, expect, it } from 'vitest';
+import { DataAnalysisService } from '../../services/dataAnalysis/dataAnalysisService';
+import type { ClassFull } from '../../services/googleClassrooms/classDetail/classDetailService.zod';
+import type { AssignmentDefinitionPartialsResponse } from '../../services/assignmentDefinition/assignmentDefinitionPartials.zod';
+import {
+  createAssignmentPartial,
+  createClassFull,
+  createDefinitionPartial,
+  createSubmission,
+  createSubmissionItem,
+  createTaskPartial,
+} from '../../test/dataAnalysis/fixtures';
+import {
+  buildStudentProfile,
+  computeSlope,
+  NO_TOPIC_LABEL,
+  type StudentProfileInput,
+} from './studentProfileAdapter';
+
+/** Scores used in the slope and weakness tests, highest first. */
+const TOP_SCORE = 5;
+const HIGH_SCORE = 4;
+const MID_SCORE = 3;
+const LOW_SCORE = 2;
+/** Slope of `[1, MID_SCORE, LOW_SCORE]`: up two, then down one. */
+const UNEVEN_RISE_SLOPE = 0.5;
+
+type AssignmentSpec = Readonly<{
+  assignmentId: string;
+  definitionKey: string;
+  createdAt: string;
+  completeness: number | 'N';
+  accuracy: number | 'N';
+  spag: number | 'N';
+  dueDate?: string;
+}>;
+
+/**
+ * Build a class where student `s_001` has one submission per assignment spec.
+ *
+ * @param {readonly AssignmentSpec[]} specs - Assignments in any order.
+ * @returns {ClassFull} The class fixture.
+ */
+function buildClass(specs: readonly AssignmentSpec[]): ClassFull {
+  const assignments = specs.map((spec) => ({
+    ...createAssignmentPartial({
+      assignmentId: spec.assignmentId,
+      definitionKey: spec.definitionKey,
+      createdAt: spec.createdAt,
+      submissions: [
+        createSubmission('s_001', 'Ada', spec.assignmentId, {
+          t_001: createSubmissionItem('t_001', {
+            completeness: { score: spec.completeness },
+            accuracy: { score: spec.accuracy },
+            spag: { score: spec.spag },
+          }),
+        }),
+      ],
+    }),
+    dueDate: spec.dueDate ?? null,
+  }));
+  return createClassFull({
+    classId: 'c1',
+    studentIds: ['s_001', 's_002'],
+    assignments,
+  }) as ClassFull;
+}
+
+const DEFINITION_PARTIALS = [
+  {
+    ...createDefinitionPartial({
+      definitionKey: 'dk_poetry',
+      primaryTopicKey: 'poetry',
+      tasks: [createTaskPartial('t_001', 1, 'Imagery')],
+    }),
+    primaryTitle: 'Poetry essay',
+    primaryTopic: 'Poetry',
+  },
+  {
+    ...createDefinitionPartial({ definitionKey: 'dk_prose', primaryTopicKey: 'prose' }),
+    primaryTitle: 'Prose analysis',
+    primaryTopic: 'Prose',
+  },
+] as AssignmentDefinitionPartialsResponse;
+
+/**
+ * Build the adapter input for a class.
+ *
+ * @param {ClassFull} classFull - The class fixture.
+ * @param {string} [studentId='s_001'] - The student to profile.
+ * @returns {StudentProfileInput} The input.
+ */
+function buildProfileInput(classFull: ClassFull, studentId = 's_001'): StudentProfileInput {
+  return {
+    classFull,
+    studentId,
+    assignmentDefinitionPartials: DEFINITION_PARTIALS,
+    analysisService: new DataAnalysisService(),
+  };
+}
+
+describe('computeSlope', () => {
+  it('returns the least-squares change per step', () => {
+    expect(computeSlope([TOP_SCORE, HIGH_SCORE, MID_SCORE])).toBeCloseTo(HIGH_SCORE - TOP_SCORE);
+    expect(computeSlope([LOW_SCORE, LOW_SCORE, LOW_SCORE, LOW_SCORE])).toBe(0);
+    expect(computeSlope([1, MID_SCORE, LOW_SCORE])).toBeCloseTo(UNEVEN_RISE_SLOPE);
+  });
+
+  it('returns zero for a single value', () => {
+    expect(computeSlope([HIGH_SCORE])).toBe(0);
+  });
+});
+
+describe('buildStudentProfile', () => {
+  it('returns null for a student who is not on the roster', () => {
+    expect(buildStudentProfile(buildProfileInput(buildClass([]), 's_missing'))).toBeNull();
+  });
+
+  it('orders assignments by due date, falling back to creation date', () => {
+    const profile = buildStudentProfile(
+      buildProfileInput(
+        buildClass([
+          {
+            assignmentId: 'a_late',
+            definitionKey: 'dk_poetry',
+            createdAt: '2026-01-01T00:00:00.000Z',
+            dueDate: '2026-03-01T00:00:00.000Z',
+            completeness: 4,
+            accuracy: 4,
+            spag: 4,
+          },
+          {
+            assignmentId: 'a_early',
+            definitionKey: 'dk_prose',
+            createdAt: '2026-02-01T00:00:00.000Z',
+            completeness: 2,
+            accuracy: 3,
+            spag: 'N',
+          },
+        ])
+      )
+    );
+
+    expect(profile).toMatchObject({
+      studentName: 'Student s_001',
+      assignments: [
+        {
+          assignmentId: 'a_early',
+          date: '2026-02-01T00:00:00.000Z',
+          metrics: { completeness: { value: 2 }, spag: { state: 'notAttempted' } },
+        },
+        {
+          assignmentId: 'a_late',
+          date: '2026-03-01T00:00:00.000Z',
+          metrics: { overall: { value: 4 } },
+        },
+      ],
+    });
+  });
+
+  it('groups assignments by primary topic and resolves task criteria', () => {
+    const profile = buildStudentProfile(
+      buildProfileInput(
+        buildClass([
+          {
+            assignmentId: 'a1',
+            definitionKey: 'dk_poetry',
+            createdAt: '2026-01-01T00:00:00.000Z',
+            completeness: 5,
+            accuracy: 3,
+            spag: 1,
+          },
+          {
+            assignmentId: 'a2',
+            definitionKey: 'dk_prose',
+            createdAt: '2026-01-02T00:00:00.000Z',
+            completeness: 3,
+            accuracy: 3,
+            spag: 3,
+          },
+          {
+            assignmentId: 'a3',
+            definitionKey: 'dk_poetry',
+            createdAt: '2026-01-03T00:00:00.000Z',
+            completeness: 4,
+            accuracy: 4,
+            spag: 4,
+          },
+          {
+            assignmentId: 'a4',
+            definitionKey: 'dk_unknown',
+            createdAt: '2026-01-04T00:00:00.000Z',
+            completeness: 4,
+            accuracy: 4,
+            spag: 4,
+          },
+        ])
+      )
+    );
+
+    const { topics, assignments } = profile!;
+    expect(
+      topics.map(({ topicLabel, assignments: topicAssignments }) => [
+        topicLabel,
+        topicAssignments.map(({ assignmentId }) => assignmentId),
+      ])
+    ).toEqual([
+      ['Poetry', ['a1', 'a3']],
+      ['Prose', ['a2']],
+      [NO_TOPIC_LABEL, ['a4']],
+    ]);
+
+    expect(assignments[0]!.tasks).toMatchObject([
+      {
+        taskTitle: 'Imagery',
+        criteria: [
+          { key: 'completeness', metric: { state: 'computed', value: 5 } },
+          { key: 'accuracy', metric: { state: 'computed', value: 3 } },
+          { key: 'spag', metric: { state: 'computed', value: 1 } },
+        ],
+      },
+    ]);
+    expect(assignments[3]!.tasks).toEqual([]);
+  });
+
+  it('flags a criterion trending down and one that stays low', () => {
+    const scores: ReadonlyArray<[number, number]> = [
+      [TOP_SCORE, LOW_SCORE],
+      [HIGH_SCORE, LOW_SCORE],
+      [MID_SCORE, 1],
+      [LOW_SCORE, LOW_SCORE],
+    ];
+    const profile = buildStudentProfile(
+      buildProfileInput(
+        buildClass(
+          scores.map(([spag, accuracy], index) => ({
+            assignmentId: `a${index + 1}`,
+            definitionKey: 'dk_poetry',
+            createdAt: `2026-01-0${index + 1}T00:00:00.000Z`,
+            completeness: 4,
+            accuracy,
+            spag,
+          }))
+        )
+      )
+    );
+
+    expect(profile?.weaknesses).toEqual([
+      {
+        criterion: 'accuracy',
+        label: 'Accuracy',
+        kind: 'consistentlyLow',
+        scores: [LOW_SCORE, 1, LOW_SCORE],
+      },
+      {
+        criterion: 'spag',
+        label: 'SPaG',
+        kind: 'trendingDown',
+        scores: [TOP_SCORE, HIGH_SCORE, MID_SCORE, LOW_SCORE],
+      },
+    ]);
+  });
+
+  it('ignores not-attempted work and needs enough scored assignments', () => {
+    const profile = buildStudentProfile(
+      buildProfileInput(
+        buildClass([
+          {
+            assignmentId: 'a1',
+            definitionKey: 'dk_poetry',
+            createdAt: '2026-01-01T00:00:00.000Z',
+            completeness: 5,
+            accuracy: 5,
+            spag: 5,
+          },
+          {
+            assignmentId: 'a2',
+            definitionKey: 'dk_poetry',
+            createdAt: '2026-01-02T00:00:00.000Z',
+            completeness: 'N',
+            accuracy: 'N',
+            spag: 'N',
+          },
+          {
+            assignmentId: 'a3',
+            definitionKey: 'dk_poetry',
+            createdAt: '2026-01-03T00:00:00.000Z',
+            completeness: 1,
+            accuracy: 1,
+            spag: 1,
+          },
+        ])
+      )
+    );
+
+    expect(profile?.weaknesses).toEqual([]);
+  });
+
+  it('marks assignments the student has no submission for as errors', () => {
+    const profile = buildStudentProfile(
+      buildProfileInput(
+        buildClass([
+          {
+            assignmentId: 'a1',
+            definitionKey: 'dk_poetry',
+            createdAt: '2026-01-01T00:00:00.000Z',
+            completeness: 5,
+            accuracy: 5,
+            spag: 5,
+          },
+        ]),
+        's_002'
+      )
+    );
+
+    expect(profile?.assignments[0]?.metrics.overall.state).not.toBe('computed');
+  });
+});
@@ -0,0 +1,326 @@
+/**
+ * Student profile adapter for the Class page.
+ *
+ * @remarks
+ * Builds one student's longitudinal view of a class: every assignment in date
+ * order with the student's weighted criterion scores, per-task criterion
+ * metrics, grouping by the definition's primary `AssignmentTopic`, and
+ * detected weaknesses.
+ *
+ * Per-assignment scores come from `DataAnalysisService` run over the class
+ * restricted to that one assignment, so each point on the timeline is the
+ * same weighted average the averaging analyser produces for the class page.
+ * Assignments set twice from the same definition therefore stay separate
+ * points rather than merging under their shared task keys.
+ */
+
+import type { DataAnalysisService } from '../../services/dataAnalysis/dataAnalysisService';
+import type { AveragingResult, MetricResult } from '../../services/dataAnalysis/dataAnalysis.zod';
+import type {
+  AssignmentPartial,
+  ClassFull,
+} from '../../services/googleClassrooms/classDetail/classDetailService.zod';
+import type {
+  AssignmentDefinitionPartial,
+  AssignmentDefinitionPartialsResponse,
+} from '../../services/assignmentDefinition/assignmentDefinitionPartials.zod';
+import { getAssignmentDefinitionPartial } from '../../services/assignmentDefinition/assignmentDefinitionUtilities';
+import { DEFAULT_ASSESSMENT_CRITERIA } from '../../services/assignmentDefinition/assessmentCriterion.zod';
+
+/** Weighted criteria tracked across the timeline and checked for weaknesses. */
+export const TREND_CRITERIA = [
+  { key: 'completeness', label: 'Completeness' },
+  { key: 'accuracy', label: 'Accuracy' },
+  { key: 'spag', label: 'SPaG' },
+] as const;
+
+/** A criterion tracked on the timeline. */
+export type TrendCriterionKey = (typeof TREND_CRITERIA)[number]['key'];
+
+/** Minimum scored assignments before a weakness is reported. */
+export const MIN_POINTS_FOR_WEAKNESS = 3;
+
+/** Least-squares slope, in score points per assignment, at or below which a criterion is trending down. */
+export const TRENDING_DOWN_SLOPE = -0.25;
+
+/** Score below which every recent assignment must fall for a criterion to be consistently low. */
+export const CONSISTENTLY_LOW_THRESHOLD = 2.5;
+
+/** Label for assignments whose definition has no resolvable topic. */
+export const NO_TOPIC_LABEL = 'No topic';
+
+/** The student's metrics for one task of an assignment. */
+export type StudentProfileTask = Readonly<{
+  taskId: string;
+  taskTitle: string;
+  criteria: ReadonlyArray<Readonly<{ key: string; label: string; metric: MetricResult }>>;
+}>;
+
+/** One assignment on the student's timeline. */
+export type StudentProfileAssignment = Readonly<{
+  assignmentId: string;
+  title: string;
+  topicKey: string | null;
+  topicLabel: string;
+  /** ISO timestamp the timeline is ordered by: the due date, else the creation date. */
+  date: string;
+  metrics: Readonly<Record<TrendCriterionKey | 'overall', MetricResult>>;
+  tasks: readonly StudentProfileTask[];
+}>;
+
+/** Assignments sharing a primary topic, in date order. */
+export type StudentProfileTopic = Readonly<{
+  topicKey: string | null;
+  topicLabel: string;
+  assignments: readonly StudentProfileAssignment[];
+}>;
+
+/** A criterion where the student is consistently weak. */
+export type StudentWeakness = Readonly<{
+  criterion: TrendCriterionKey;
+  label: string;
+  kind: 'trendingDown' | 'consistentlyLow';
+  /** The scored values the weakness was detected from, oldest first. */
+  scores: readonly number[];
+}>;
+
+/** The student profile view model. */
+export type StudentProfile = Readonly<{
+  studentId: string;
+  studentName: string;
+  assignments: readonly StudentProfileAssignment[];
+  topics: readonly StudentProfileTopic[];
+  weaknesses: readonly StudentWeakness[];
+}>;
+
+/** Inputs for {@link buildStudentProfile}. */
+export type StudentProfileInput = Readonly<{
+  classFull: ClassFull;
+  studentId: string;
+  assignmentDefinitionPartials: AssignmentDefinitionPartialsResponse;
+  analysisService: DataAnalysisService;
+}>;
+
+/** Metric used when the analysis has no row for the student. */
+const NO_DATA_METRIC: MetricResult = {
+  state: 'error',
+  value: 'E',
+  totalWeight: 0,
+  applicableDataPoints: 0,
+  totalDataPoints: 0,
+};
+
+/**
+ * Resolve the timeline date for an assignment.
+ *
+ * @param {AssignmentPartial} assignment - The assignment.
+ * @returns {string} The due date when set, else the creation date.
+ */
+function toTimelineDate(assignment: AssignmentPartial): string {
+  return assignment.dueDate ?? assignment.createdAt;
+}
+
+/**
+ * Resolve the student's assignment-level metrics from an analyser result.
+ *
+ * @param {AveragingResult | undefined} result - The single-assignment result.
+ * @param {string} studentId - The student identifier.
+ * @returns {StudentProfileAssignment['metrics']} The criterion and overall metrics.
+ */
+function toAssignmentMetrics(
+  result: AveragingResult | undefined,
+  studentId: string
+): StudentProfileAssignment['metrics'] {
+  const row = result?.perStudent.find((candidate) => candidate.studentId === studentId);
+  if (row === undefined) {
+    return {
+      completeness: NO_DATA_METRIC,
+      accuracy: NO_DATA_METRIC,
+      spag: NO_DATA_METRIC,
+      overall: NO_DATA_METRIC,
+    };
+  }
+  return {
+    completeness: row.completeness,
+    accuracy: row.accuracy,
+    spag: row.spag,
+    overall: row.overall,
+  };
+}
+
+/**
+ * Resolve the student's per-task criterion metrics from an analyser result.
+ *
+ * @param {AveragingResult | undefined} result - The single-assignment result.
+ * @param {string} studentId - The student identifier.
+ * @param {AssignmentDefinitionPartial} partial - The assignment's definition.
+ * @returns {StudentProfileTask[]} One entry per definition task, in task order.
+ */
+function toProfileTasks(
+  result: AveragingResult | undefined,
+  studentId: string,
+  partial: AssignmentDefinitionPartial
+): StudentProfileTask[] {
+  const taskMetrics = new Map(
+    (result?.perStudentTaskMetrics ?? [])
+      .filter((metric) => metric.studentId === studentId)
+      .map((metric) => [metric.taskKey, metric.criteria])
+  );
+  const criteria = partial.criteria ?? DEFAULT_ASSESSMENT_CRITERIA;
+
+  return partial.tasks.map((task) => {
+    const metrics = taskMetrics.get(`${partial.definitionKey}::${task.taskId}`) ?? {};
+    return {
+      taskId: task.taskId,
+      taskTitle: task.taskTitle ?? task.taskId,
+      criteria: criteria.map(({ key, label }) => ({
+        key,
+        label,
+        metric: metrics[key] ?? NO_DATA_METRIC,
+      })),
+    };
+  });
+}
+
+/**
+ * Build one assignment's timeline entry for the student.
+ *
+ * @param {StudentProfileInput} input - The profile input.
+ * @param {AssignmentPartial} assignment - The assignment to analyse.
+ * @returns {StudentProfileAssignment} The timeline entry. Assignments whose
+ *   definition is missing from the registry keep their place on the timeline
+ *   with no-data metrics and no tasks, as the analyser skips them.
+ */
+function buildProfileAssignment(
+  input: StudentProfileInput,
+  assignment: AssignmentPartial
+): StudentProfileAssignment {
+  const { classFull, studentId, assignmentDefinitionPartials, analysisService } = input;
+  const definitionKey = assignment.assignmentDefinitionKey;
+  const partial = getAssignmentDefinitionPartial(assignmentDefinitionPartials, definitionKey);
+
+  const [result] = analysisService.analyse(
+    {
+      filter: { classIds: [classFull.classId] },
+      classes: [{ ...classFull, assignments: [assignment] }],
+      assignmentDefinitionPartials,
+    },
+    'averaging'
+  );
+
+  const entry = {
+    assignmentId: assignment.assignmentId,
+    date: toTimelineDate(assignment),
+    metrics: toAssignmentMetrics(result, studentId),
+  };
+  if (partial === null) {
+    return {
+      ...entry,
+      title: definitionKey,
+      topicKey: null,
+      topicLabel: NO_TOPIC_LABEL,
+      tasks: [],
+    };
+  }
+  return {
+    ...entry,
+    title: partial.primaryTitle,
+    topicKey: partial.primaryTopicKey,
+    topicLabel: partial.primaryTopic,
+    tasks: toProfileTasks(result, studentId, partial),
+  };
+}
+
+/**
+ * Group timeline entries by topic, in order of each topic's first assignment.
+ *
+ * @param {readonly StudentProfileAssignment[]} assignments - Entries in date order.
+ * @returns {StudentProfileTopic[]} One group per topic.
+ */
+function groupByTopic(assignments: readonly StudentProfileAssignment[]): StudentProfileTopic[] {
+  const topics = new Map<string | null, StudentProfileTopic>();
+  for (const assignment of assignments) {
+    const topic = topics.get(assignment.topicKey);
+    topics.set(assignment.topicKey, {
+      topicKey: assignment.topicKey,
+      topicLabel: assignment.topicLabel,
+      assignments: [...(topic?.assignments ?? []), assignment],
+    });
+  }
+  return [...topics.values()];
+}
+
+/**
+ * Least-squares slope of equally spaced values.
+ *
+ * @param {readonly number[]} values - Values in order, at least two.
+ * @returns {number} The change per step.
+ */
+export function computeSlope(values: readonly number[]): number {
+  const meanIndex = values.reduce((sum, _value, index) => sum + index, 0) / values.length;
+  const meanValue = values.reduce((sum, value) => sum + value, 0) / values.length;
+  let numerator = 0;
+  let denominator = 0;
+  for (const [index, value] of values.entries()) {
+    const offset = index - meanIndex;
+    numerator += offset * (value - meanValue);
+    denominator += offset * offset;
+  }
+  return denominator === 0 ? 0 : numerator / denominator;
+}
+
+/**
+ * Detect criteria that are trending down or consistently low.
+ *
+ * @param {readonly StudentProfileAssignment[]} assignments - Entries in date order.
+ * @returns {StudentWeakness[]} At most one weakness per criterion; a downward
+ *   trend takes precedence over consistently low scores.
+ *
+ * @remarks
+ * Not-attempted and no-data assignments are skipped rather than counted as
+ * zero, matching how the analyser excludes them from averages.
+ */
+function detectWeaknesses(assignments: readonly StudentProfileAssignment[]): StudentWeakness[] {
+  return TREND_CRITERIA.flatMap(({ key, label }): StudentWeakness[] => {
+    const scores = assignments.flatMap(({ metrics }) =>
+      metrics[key].state === 'computed' ? [metrics[key].value] : []
+    );
+    if (scores.length < MIN_POINTS_FOR_WEAKNESS) {
+      return [];
+    }
+    if (computeSlope(scores) <= TRENDING_DOWN_SLOPE) {
+      return [{ criterion: key, label, kind: 'trendingDown', scores }];
+    }
+    const recentScores = scores.slice(-MIN_POINTS_FOR_WEAKNESS);
+    if (recentScores.every((score) => score < CONSISTENTLY_LOW_THRESHOLD)) {
+      return [{ criterion: key, label, kind: 'consistentlyLow', scores: recentScores }];
+    }
+    return [];
+  });
+}
+
+/**
+ * Build the student profile for one student in a class.
+ *
+ * @param {StudentProfileInput} input - Class data, the student and the analysis service.
+ * @returns {StudentProfile | null} The profile, or `null` when the student is
+ *   not on the class roster.
+ */
+export function buildStudentProfile(input: StudentProfileInput): StudentProfile | null {
+  const student = input.classFull.students.find((candidate) => candidate.id === input.studentId);
+  if (student === undefined) {
+    return null;
+  }
+
+  const assignments = input.classFull.assignments
+    .toSorted((left, right) => Date.parse(toTimelineDate(left)) - Date.parse(toTimelineDate(right)))
+    .map((assignment) => buildProfileAssignment(input, assignment));
+
+  return {
+    studentId: student.id,
+    studentName: student.name,
+    assignments,
+    topics: groupByTopic(assignments),
+    weaknesses: detectWeaknesses(assignments),
+  };
+}
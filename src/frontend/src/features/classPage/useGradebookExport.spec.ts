@@ -0,0 +1,143 @@
+/**
+ * Tests for `useGradebookExport` — the Class page gradebook export hook.
+ *
+ * @remarks
+ * The gradebook adapter and the `exportGradebook` service are mocked; these
+ * tests cover the readiness gate, the CSV download and the Sheets export
+ * outcome.
+ */
+
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { act, renderHook, waitFor } from '@testing-library/react';
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+import { createElement, type ReactNode } from 'react';
+import type { AveragingResult } from '../../services/dataAnalysis/dataAnalysis.zod';
+import type { ClassFull } from '../../services/googleClassrooms/classDetail/classDetailService.zod';
+import {
+  SHEETS_EXPORT_FAILURE_MESSAGE,
+  toCsvFileName,
+  useGradebookExport,
+  type UseGradebookExportOptions,
+} from './useGradebookExport';
+
+const { mockExportGradebook } = vi.hoisted(() => ({ mockExportGradebook: vi.fn() }));
+
+vi.mock('../../services/googleClassrooms/classGradebookService', () => ({
+  exportGradebook: mockExportGradebook,
+}));
+
+vi.mock('../../services/dataAnalysis/gradebookAdapter', () => ({
+  adaptMetricsToGradebook: () => GRADEBOOK,
+  gradebookToCsv: () => 'Student,Overall\r\nAlice,4.5',
+}));
+
+vi.mock('../../logging/frontendLogger', () => ({
+  logFrontendError: vi.fn(),
+}));
+
+/** Alice's overall score in the gradebook fixture. */
+const ALICE_OVERALL = 4.5;
+
+const GRADEBOOK = {
+  title: '10A/Maths Gradebook',
+  headers: ['Student', 'Overall'],
+  rows: [['Alice', ALICE_OVERALL]],
+  metricColumnIndexes: [1],
+};
+
+const READY_OPTIONS: UseGradebookExportOptions = {
+  classId: 'class-1',
+  classFull: {} as ClassFull,
+  analyserResult: {} as AveragingResult,
+  assignmentDefinitionPartials: [],
+};
+
+/**
+ * Render the hook inside a fresh QueryClient.
+ *
+ * @param {UseGradebookExportOptions} options - Hook options.
+ * @returns {ReturnType<typeof renderHook>} The render result.
+ */
+function renderGradebookExport(options: UseGradebookExportOptions) {
+  const queryClient = new QueryClient({ defaultOptions: { mutations: { retry: false } } });
+  return renderHook(() => useGradebookExport(options), {
+    wrapper: ({ children }: { children: ReactNode }) =>
+      createElement(QueryClientProvider, { client: queryClient }, children),
+  });
+}
+
+describe('useGradebookExport', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+    mockExportGradebook.mockReset();
+  });
+
+  it('returns no gradebook until the analysis is ready', () => {
+    const { result } = renderGradebookExport({ ...READY_OPTIONS, analyserResult: null });
+
+    expect(result.current.gradebook).toBeNull();
+    act(() => {
+      result.current.exportToSheets();
+    });
+    expect(mockExportGradebook).not.toHaveBeenCalled();
+  });
+
+  it('downloads the CSV through an object URL', () => {
+    const createObjectURL = vi.fn(() => 'blob:gradebook');
+    const revokeObjectURL = vi.fn();
+    vi.stubGlobal('URL', { ...URL, createObjectURL, revokeObjectURL });
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+    const { result } = renderGradebookExport(READY_OPTIONS);
+    result.current.downloadCsv();
+
+    expect(createObjectURL).toHaveBeenCalledWith(expect.any(Blob));
+    expect(click).toHaveBeenCalledTimes(1);
+    expect(revokeObjectURL).toHaveBeenCalledWith('blob:gradebook');
+    vi.unstubAllGlobals();
+  });
+
+  it('exports to Google Sheets and records the spreadsheet URL', async () => {
+    mockExportGradebook.mockResolvedValueOnce({
+      spreadsheetId: 'sheet-1',
+      spreadsheetUrl: 'https://docs.google.com/spreadsheets/d/sheet-1/edit',
+      rowCount: 1,
+    });
+
+    const { result } = renderGradebookExport(READY_OPTIONS);
+    act(() => {
+      result.current.exportToSheets();
+    });
+
+    await waitFor(() => {
+      expect(result.current.outcome).toEqual({
+        type: 'success',
+        spreadsheetUrl: 'https://docs.google.com/spreadsheets/d/sheet-1/edit',
+      });
+    });
+    expect(mockExportGradebook).toHaveBeenCalledWith({ classId: 'class-1', ...GRADEBOOK });
+  });
+
+  it('records a failure message when the export fails', async () => {
+    mockExportGradebook.mockRejectedValueOnce(new Error('Quota exceeded'));
+
+    const { result } = renderGradebookExport(READY_OPTIONS);
+    act(() => {
+      result.current.exportToSheets();
+    });
+
+    await waitFor(() => {
+      expect(result.current.outcome).toEqual({
+        type: 'error',
+        message: SHEETS_EXPORT_FAILURE_MESSAGE,
+      });
+    });
+  });
+});
+
+describe('toCsvFileName', () => {
+  it('strips characters that are unsafe in file names', () => {
+    expect(toCsvFileName('10A/Maths Gradebook')).toBe('10AMaths Gradebook.csv');
+    expect(toCsvFileName('///')).toBe('Gradebook.csv');
+  });
+});
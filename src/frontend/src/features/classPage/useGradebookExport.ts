@@ -0,0 +1,136 @@
+/**
+ * Gradebook export hook for the Class page.
+ *
+ * @remarks
+ * Builds the class gradebook from the averaging analysis once the page is
+ * ready and exposes the two export actions: a CSV download produced in the
+ * browser, and a Google Sheets export written by the backend
+ * (`exportGradebook`). Both use the same table, so the spreadsheet and the
+ * CSV always agree.
+ *
+ * `gradebook` is `null` until `analyserResult`, `classFull` and the warm-up
+ * partials are all available; the header disables the export buttons until
+ * then.
+ */
+
+import { useMemo, useState } from 'react';
+import { useMutation } from '@tanstack/react-query';
+import {
+  adaptMetricsToGradebook,
+  gradebookToCsv,
+  type Gradebook,
+} from '../../services/dataAnalysis/gradebookAdapter';
+import { exportGradebook } from '../../services/googleClassrooms/classGradebookService';
+import { logFrontendError } from '../../logging/frontendLogger';
+import type { AveragingResult } from '../../services/dataAnalysis/dataAnalysis.zod';
+import type { ClassFull } from '../../services/googleClassrooms/classDetail/classDetailService.zod';
+import type { AssignmentDefinitionPartialsResponse } from '../../services/assignmentDefinition/assignmentDefinitionPartials.zod';
+
+/** User-facing message shown when the Google Sheets export fails. */
+export const SHEETS_EXPORT_FAILURE_MESSAGE = "Couldn't export the gradebook to Google Sheets.";
+
+/** Outcome of the latest Google Sheets export, shown under the page header. */
+export type GradebookExportOutcome =
+  { type: 'success'; spreadsheetUrl: string } | { type: 'error'; message: string };
+
+/** Inputs for {@link useGradebookExport}. */
+export type UseGradebookExportOptions = Readonly<{
+  classId: string;
+  classFull: ClassFull | null;
+  analyserResult: AveragingResult | null;
+  assignmentDefinitionPartials: AssignmentDefinitionPartialsResponse | null;
+}>;
+
+/** Values returned by {@link useGradebookExport}. */
+export type GradebookExport = Readonly<{
+  /** The gradebook table, or `null` while the class page is not ready. */
+  gradebook: Gradebook | null;
+  /** Whether a Google Sheets export is in flight. */
+  isExportingToSheets: boolean;
+  /** Outcome of the latest Google Sheets export, or `null` before the first one. */
+  outcome: GradebookExportOutcome | null;
+  /** Download the gradebook as a CSV file. No-op while `gradebook` is `null`. */
+  downloadCsv: () => void;
+  /** Write the gradebook into a Google Sheet. No-op while `gradebook` is `null`. */
+  exportToSheets: () => void;
+  /** Clear the latest outcome. */
+  dismissOutcome: () => void;
+}>;
+
+/**
+ * Turn a gradebook title into a safe download file name.
+ *
+ * @param {string} title - The gradebook title.
+ * @returns {string} The file name, ending in `.csv`.
+ */
+export function toCsvFileName(title: string): string {
+  const baseName = title.replaceAll(/[^\w -]+/g, '').trim() || 'Gradebook';
+  return `${baseName}.csv`;
+}
+
+/**
+ * Save text as a file through a temporary object URL.
+ *
+ * @param {string} fileName - Download file name.
+ * @param {string} csv - CSV text.
+ */
+function saveCsvFile(fileName: string, csv: string): void {
+  const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Build the class gradebook and expose CSV and Google Sheets export actions.
+ *
+ * @param {UseGradebookExportOptions} options - Class page data.
+ * @returns {GradebookExport} The gradebook, export actions and latest outcome.
+ */
+export function useGradebookExport(options: UseGradebookExportOptions): GradebookExport {
+  const { classId, classFull, analyserResult, assignmentDefinitionPartials } = options;
+  const [outcome, setOutcome] = useState<GradebookExportOutcome | null>(null);
+
+  const gradebook = useMemo(
+    () =>
+      analyserResult === null || classFull === null || assignmentDefinitionPartials === null
+        ? null
+        : adaptMetricsToGradebook(analyserResult, classFull, assignmentDefinitionPartials),
+    [analyserResult, classFull, assignmentDefinitionPartials]
+  );
+
+  const sheetsMutation = useMutation({
+    mutationFn: async (table: Gradebook) => exportGradebook({ classId, ...table }),
+    onMutate: () => {
+      setOutcome(null);
+    },
+    onSuccess: ({ spreadsheetUrl }) => {
+      setOutcome({ type: 'success', spreadsheetUrl });
+    },
+    onError: (error: Error) => {
+      logFrontendError('features/classPage.useGradebookExport', error, { classId });
+      setOutcome({ type: 'error', message: SHEETS_EXPORT_FAILURE_MESSAGE });
+    },
+  });
+
+  return {
+    gradebook,
+    isExportingToSheets: sheetsMutation.isPending,
+    outcome,
+    downloadCsv: () => {
+      if (gradebook !== null) {
+        saveCsvFile(toCsvFileName(gradebook.title), gradebookToCsv(gradebook));
+      }
+    },
+    exportToSheets: () => {
+      if (gradebook !== null) {
+        sheetsMutation.mutate(gradebook);
+      }
+    },
+    dismissOutcome: () => {
+      setOutcome(null);
+    },
+  };
+}
@@ -13,6 +13,7 @@ import { createAppQueryClient } from '../../../query/queryClient';
 import { ApiTransportError } from '../../../errors/apiTransportError';
 import { createFixtureClassPartial } from '../../../test/classes/classesPageTestHelpers';
 import type { AssignmentTopic } from '../../../services/referenceData/referenceData.zod';
+import type { StartAssessmentRunResponse } from '../../../services/assignmentAssessment/assignmentAssessment.zod';
 import type { GoogleClassroomAssignmentsResponse } from '../../../services/googleClassrooms/googleClassroomAssignments.zod';
 import {
   type RenderWithCacheOptions,
@@ -21,6 +22,7 @@ import {
   MOCK_EMPTY_ASSIGNMENTS,
   MODAL_TITLE,
   DEFAULT_UPSERT_RESULT,
+  DEFAULT_START_RUN_RESULT,
   defaultProperties,
   createPendingPromise,
   renderAssessTaskModal,
@@ -56,6 +58,12 @@ vi.mock('./matchDefinitionForAssignment', () => ({
   findMatchingDefinition: vi.fn(),
 }));
 
+vi.mock('./AssessmentRunProgressPanel', () => ({
+  AssessmentRunProgressPanel: vi.fn(({ runId }: { runId: string }) => (
+    <div data-testid="run-progress-mock">{runId}</div>
+  )),
+}));
+
 /**
  * Removes function values from an object, replacing them with a marker,
  * so the remaining object can be safely JSON-serialized.
@@ -536,7 +544,7 @@ describe('Assessment run interaction', () => {
       ],
       definitionPartials: [matchedDefinition],
       findMatchResult: { kind: 'matched', definition: matchedDefinition },
-      startRunResult: null,
+      startRunResult: DEFAULT_START_RUN_RESULT,
       startRunType: 'resolve',
     });
 
@@ -560,6 +568,65 @@ describe('Assessment run interaction', () => {
     expect(within(footer!).getByRole('button', { name: 'Close' })).toBeInTheDocument();
   });
 
+  it('shows the run progress panel for the started run after a successful start', async () => {
+    const matchedDefinition = createDefinitionPartial();
+    const { dialog } = renderWithCache({
+      classPartials: [
+        createFixtureClassPartial({ classId: MOCK_CLASS_ID, yearGroupKey: 'year-10' }),
+      ],
+      definitionPartials: [matchedDefinition],
+      findMatchResult: { kind: 'matched', definition: matchedDefinition },
+      startRunResult: { runId: 'run-xyz' },
+      startRunType: 'resolve',
+    });
+
+    expect(within(dialog).queryByTestId('run-progress-mock')).toBeNull();
+
+    await selectAssignment(dialog);
+    await clickStartAssessment(dialog);
+
+    expect(await within(dialog).findByTestId('run-progress-mock')).toHaveTextContent('run-xyz');
+  });
+
+  it('refreshes the assessment run queue after a successful start', async () => {
+    const matchedDefinition = createDefinitionPartial();
+    const { dialog, queryClient } = renderWithCache({
+      classPartials: [
+        createFixtureClassPartial({ classId: MOCK_CLASS_ID, yearGroupKey: 'year-10' }),
+      ],
+      definitionPartials: [matchedDefinition],
+      findMatchResult: { kind: 'matched', definition: matchedDefinition },
+      startRunResult: { runId: 'run-xyz' },
+      startRunType: 'resolve',
+    });
+    const invalidateSpy = vi.spyOn(queryClient, 'invalidateQueries');
+
+    await selectAssignment(dialog);
+    await clickStartAssessment(dialog);
+
+    await within(dialog).findByTestId('run-progress-mock');
+    expect(invalidateSpy).toHaveBeenCalledWith({ queryKey: queryKeys.assessmentRunQueue() });
+  });
+
+  it('does not show the run progress panel when startAssessmentRun fails', async () => {
+    const matchedDefinition = createDefinitionPartial();
+    const { dialog } = renderWithCache({
+      classPartials: [
+        createFixtureClassPartial({ classId: MOCK_CLASS_ID, yearGroupKey: 'year-10' }),
+      ],
+      definitionPartials: [matchedDefinition],
+      findMatchResult: { kind: 'matched', definition: matchedDefinition },
+      startRunResult: new Error('Something went wrong'),
+      startRunType: 'reject',
+    });
+
+    await selectAssignment(dialog);
+    await clickStartAssessment(dialog);
+
+    await within(dialog).findByText('Something went wrong');
+    expect(within(dialog).queryByTestId('run-progress-mock')).toBeNull();
+  });
+
   it('shows error Alert when startAssessmentRun rejects with generic API error', async () => {
     const matchedDefinition = createDefinitionPartial();
     const genericError = new Error('Something went wrong');
@@ -652,8 +719,8 @@ describe('Assessment run interaction', () => {
 
   it('shows loading on Start Assessment button during API call, reverts on completion', async () => {
     const matchedDefinition = createDefinitionPartial();
-    let resolveRun!: (value: null) => void;
-    const pendingRun = new Promise<null>((resolve) => {
+    let resolveRun!: (value: StartAssessmentRunResponse) => void;
+    const pendingRun = new Promise<StartAssessmentRunResponse>((resolve) => {
       resolveRun = resolve;
     });
     vi.mocked(startAssessmentRun).mockReturnValue(pendingRun);
@@ -676,7 +743,7 @@ describe('Assessment run interaction', () => {
 
     // Resolve the API call
     await act(async () => {
-      resolveRun(null);
+      resolveRun(DEFAULT_START_RUN_RESULT);
     });
 
     // After completion, loading should be gone (success state shown)
@@ -830,7 +897,7 @@ describe('No-match resolution — choice state', () => {
       ],
       definitionPartials: [matchedDefinition],
       findMatchResult: { kind: 'matched', definition: matchedDefinition },
-      startRunResult: null,
+      startRunResult: DEFAULT_START_RUN_RESULT,
       startRunType: 'resolve',
     });
 
@@ -867,7 +934,7 @@ describe('Success state close', () => {
       kind: 'matched',
       definition: matchedDefinition,
     });
-    vi.mocked(startAssessmentRun).mockImplementation(() => Promise.resolve(null));
+    vi.mocked(startAssessmentRun).mockImplementation(() => Promise.resolve(DEFAULT_START_RUN_RESULT));
 
     const queryClient = createAppQueryClient();
     queryClient.setQueryData(queryKeys.classPartials(), [
@@ -1047,7 +1114,7 @@ describe('No-match resolution — creating state and wizard integration', () =>
 
   it('calls startAssessmentRun and shows success state when wizard saves successfully', async () => {
     const { dialog } = await setupWizardTest({
-      startRunResult: null,
+      startRunResult: DEFAULT_START_RUN_RESULT,
       startRunType: 'resolve',
     });
 
@@ -1131,8 +1198,8 @@ describe('No-match resolution — creating state and wizard integration', () =>
   });
 
   it('shows correct UI during auto-assessment loading and final state after resolution', async () => {
-    let resolveRun!: (value: null) => void;
-    const pendingRun = new Promise<null>((resolve) => {
+    let resolveRun!: (value: StartAssessmentRunResponse) => void;
+    const pendingRun = new Promise<StartAssessmentRunResponse>((resolve) => {
       resolveRun = resolve;
     });
     vi.mocked(startAssessmentRun).mockReturnValue(pendingRun);
@@ -1158,7 +1225,7 @@ describe('No-match resolution — creating state and wizard integration', () =>
 
     // Resolve the API call
     await act(async () => {
-      resolveRun(null);
+      resolveRun(DEFAULT_START_RUN_RESULT);
     });
 
     // After resolution: success state shown
@@ -1177,7 +1244,7 @@ describe('No-match resolution — creating state and wizard integration', () =>
     const onClose = vi.fn();
 
     // Mock startAssessmentRun with a pending promise so auto-assessment stays loading
-    const pendingRun = new Promise<null>(() => {});
+    const pendingRun = new Promise<StartAssessmentRunResponse>(() => {});
     vi.mocked(startAssessmentRun).mockReturnValue(pendingRun);
 
     const { dialog } = await setupWizardTest({ onClose });
@@ -1294,7 +1361,7 @@ describe('No-match resolution — linking state and link flow', () => {
     const { dialog } = renderWithNoMatchCache({
       upsertResult: DEFAULT_UPSERT_RESULT,
       upsertType: 'resolve',
-      startRunResult: null,
+      startRunResult: DEFAULT_START_RUN_RESULT,
       startRunType: 'resolve',
     });
 
@@ -1362,7 +1429,7 @@ describe('No-match resolution — linking state and link flow', () => {
     const { dialog } = renderWithNoMatchCache({
       upsertResult: DEFAULT_UPSERT_RESULT,
       upsertType: 'resolve',
-      startRunResult: null,
+      startRunResult: DEFAULT_START_RUN_RESULT,
       startRunType: 'resolve',
     });
 
@@ -1623,7 +1690,7 @@ describe('Inline event handler stability', () => {
     const { dialog } = renderWithNoMatchCache({
       upsertResult: DEFAULT_UPSERT_RESULT,
       upsertType: 'resolve',
-      startRunResult: null,
+      startRunResult: DEFAULT_START_RUN_RESULT,
       startRunType: 'resolve',
     });
 
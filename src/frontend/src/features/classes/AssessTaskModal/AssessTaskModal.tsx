@@ -16,6 +16,7 @@ import { LinkableDefinitionList } from './LinkableDefinitionList';
 import { getLinkableDefinitionsForModal, type LinkableDefinition } from './getLinkableDefinitionsForModal';
 import { caseInsensitiveTrimmedEquals } from './stringComparison';
 import { AssignmentSelectSkeleton } from './AssignmentSelectSkeleton';
+import { AssessmentRunProgressPanel } from './AssessmentRunProgressPanel';
 
 /**
  * Deduplicates and adds a new title to the alternateTitles array using
@@ -88,8 +89,9 @@ type CacheValidationError = {
  * **`assessmentState`** (`'idle' | 'loading' | 'success' | 'error'`) governs the assessment lifecycle:
  * - **idle**: ready for user interaction (Select shown, Start Assessment enabled).
  * - **loading**: assessment run API call in progress (button shows loading indicator).
- * - **success**: API call succeeded; success Alert replaces body content; footer
- *   shows single Close button.
+ * - **success**: API call succeeded; success Alert replaces body content and the
+ *   `AssessmentRunProgressPanel` polls the started run's progress; footer shows
+ *   single Close button.
  * - **error**: ambiguous, cache-miss, null data, or API failure; error Alert shown
  *   in body; modal stays open for re-selection or dismissal.
  *
@@ -123,6 +125,7 @@ export function AssessTaskModal(properties: Readonly<AssessTaskModalProperties>)
   const [selectedAssignmentForChoice, setSelectedAssignmentForChoice] = useState<Assignment | null>(null);
   const [hasCreateSucceeded, setHasCreateSucceeded] = useState(false);
   const [selectedDefinitionForLink, setSelectedDefinitionForLink] = useState<LinkableDefinition | null>(null);
+  const [activeRunId, setActiveRunId] = useState<string | null>(null);
 
   // Read cached data for wizard pre-population
   const assignmentTopics = queryClient.getQueryData<AssignmentTopic[]>(queryKeys.assignmentTopics());
@@ -207,6 +210,7 @@ export function AssessTaskModal(properties: Readonly<AssessTaskModalProperties>)
           setSelectedDefinitionForLink(null);
           setAssessmentState('idle');
           setAssessmentError(undefined);
+          setActiveRunId(null);
           setSelectedAssignmentId(undefined);
           setAssignments(data);
           setFetchState('ready');
@@ -221,6 +225,7 @@ export function AssessTaskModal(properties: Readonly<AssessTaskModalProperties>)
           setSelectedDefinitionForLink(null);
           setAssessmentState('idle');
           setAssessmentError(undefined);
+          setActiveRunId(null);
           setSelectedAssignmentId(undefined);
           const message = error instanceof Error ? error.message : 'Failed to fetch assignments';
           setErrorMessage(message);
@@ -245,6 +250,17 @@ export function AssessTaskModal(properties: Readonly<AssessTaskModalProperties>)
     setAssessmentState('error');
   }
 
+  /**
+   * Shows progress for a newly started run and refreshes the shared run queue
+   * so the Classes page lists it alongside any earlier queued runs.
+   *
+   * @param {string} runId The run id returned by `startAssessmentRun`.
+   */
+  function trackStartedRun(runId: string): void {
+    setActiveRunId(runId);
+    queryClient.invalidateQueries({ queryKey: queryKeys.assessmentRunQueue() });
+  }
+
   /**
    * Reads class partials and definition partials from the React Query cache,
    * validates them, and returns the matched class partial or a validation error.
@@ -345,12 +361,13 @@ export function AssessTaskModal(properties: Readonly<AssessTaskModalProperties>)
     }
 
     // Matched — call the API
-    await startAssessmentRun({
+    const { runId } = await startAssessmentRun({
       definitionKey: matchResult.definition.definitionKey,
       assignmentId: selectedAssignment.assignmentId,
       courseId: classId,
     });
 
+    trackStartedRun(runId);
     setAssessmentAlertType('success');
     setAssessmentError(`Assessment started for '${selectedAssignment.title}'.`);
     setAssessmentState('success');
@@ -542,7 +559,7 @@ export function AssessTaskModal(properties: Readonly<AssessTaskModalProperties>)
       linkWasCommitted = true;
 
       // Start the assessment run
-      await startAssessmentRun({
+      const { runId } = await startAssessmentRun({
         definitionKey: selectedDefinitionForLink.definitionKey,
         assignmentId: selectedAssignmentForChoice.assignmentId,
         courseId: classId,
@@ -550,6 +567,7 @@ export function AssessTaskModal(properties: Readonly<AssessTaskModalProperties>)
 
       // Success — reset selection slot per SPEC state-reset rule
       setSelectedDefinitionForLink(null);
+      trackStartedRun(runId);
       setNoMatchResolution('idle');
       setAssessmentAlertType('success');
       setAssessmentError(`Assessment started for '${selectedAssignmentForChoice.title}'.`);
@@ -607,12 +625,13 @@ export function AssessTaskModal(properties: Readonly<AssessTaskModalProperties>)
         return;
       }
 
-      await startAssessmentRun({
+      const { runId } = await startAssessmentRun({
         definitionKey,
         assignmentId: selectedAssignment.assignmentId,
         courseId: classId,
       });
 
+      trackStartedRun(runId);
       setNoMatchResolution('idle');
       setAssessmentAlertType('success');
       setAssessmentError(`Assessment started for '${selectedAssignment.title}'.`);
@@ -691,6 +710,7 @@ export function AssessTaskModal(properties: Readonly<AssessTaskModalProperties>)
     return (
       <Space vertical style={{ width: '100%' }}>
         {assessmentAlert}
+        {renderRunProgress()}
         <Typography.Text>Select assignment</Typography.Text>
         <Select
           data-testid="assignment-select"
@@ -713,6 +733,18 @@ export function AssessTaskModal(properties: Readonly<AssessTaskModalProperties>)
     );
   }
 
+  /**
+   * Renders the live progress panel for the run started by this modal.
+   *
+   * @returns {React.ReactNode} The progress panel, or null when no run has been started.
+   */
+  function renderRunProgress(): React.ReactNode {
+    if (assessmentState !== 'success' || activeRunId === null) {
+      return null;
+    }
+    return <AssessmentRunProgressPanel runId={activeRunId} />;
+  }
+
   /**
    * Determines the loading button label for the footer during assessment loading.
    *
@@ -766,7 +798,12 @@ export function AssessTaskModal(properties: Readonly<AssessTaskModalProperties>)
     }
 
     if (assessmentState === 'success') {
-      return <Alert type="success" showIcon title={assessmentError} style={{ marginBottom: 16 }} />;
+      return (
+        <Space vertical style={{ width: '100%' }}>
+          <Alert type="success" showIcon title={assessmentError} style={{ marginBottom: 16 }} />
+          {renderRunProgress()}
+        </Space>
+      );
     }
 
     if (assessmentState === 'error' && assessmentError) {
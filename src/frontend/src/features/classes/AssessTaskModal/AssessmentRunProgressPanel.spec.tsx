@@ -0,0 +1,124 @@
+import { screen } from '@testing-library/react';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { AssessmentRunProgressPanel } from './AssessmentRunProgressPanel';
+import { getAssessmentRunStatus } from '../../../services/assignmentAssessment/assignmentAssessmentService';
+import type { AssessmentRunStatus } from '../../../services/assignmentAssessment/assignmentAssessment.zod';
+import { renderWithFrontendProviders } from '../../../test/renderWithFrontendProviders';
+
+vi.mock('../../../services/assignmentAssessment/assignmentAssessmentService', () => ({
+  getAssessmentRunStatus: vi.fn(),
+}));
+
+/**
+ * Builds an in-progress run status with optional overrides.
+ *
+ * @param {Partial<AssessmentRunStatus>} [overrides] Field overrides.
+ * @returns {AssessmentRunStatus} The run status fixture.
+ */
+function createRunStatus(overrides: Partial<AssessmentRunStatus> = {}): AssessmentRunStatus {
+  return {
+    runId: 'run-001',
+    step: 2,
+    message: 'Fetching submitted documents from students.',
+    completed: false,
+    error: null,
+    errors: [],
+    history: [
+      {
+        step: 0,
+        message: 'Assessment run scheduled; waiting for the trigger to start.',
+        timestamp: '2026-06-01T09:00:00.000Z',
+      },
+      {
+        step: 2,
+        message: 'Fetching submitted documents from students.',
+        timestamp: '2026-06-01T09:01:00.000Z',
+      },
+    ],
+    timestamp: '2026-06-01T09:01:00.000Z',
+    ...overrides,
+  };
+}
+
+describe('AssessmentRunProgressPanel', () => {
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('requests the status for the given run id', async () => {
+    vi.mocked(getAssessmentRunStatus).mockResolvedValue(createRunStatus());
+
+    renderWithFrontendProviders(<AssessmentRunProgressPanel runId="run-001" />);
+
+    await screen.findByTestId('assessment-run-progress');
+    expect(getAssessmentRunStatus).toHaveBeenCalledWith({ runId: 'run-001' });
+  });
+
+  it('shows a loading treatment while the first status is pending', () => {
+    vi.mocked(getAssessmentRunStatus).mockReturnValue(new Promise(() => {}));
+
+    renderWithFrontendProviders(<AssessmentRunProgressPanel runId="run-001" />);
+
+    expect(screen.getByLabelText('Loading assessment progress')).toBeInTheDocument();
+  });
+
+  it('lists each recorded stage in order', async () => {
+    vi.mocked(getAssessmentRunStatus).mockResolvedValue(createRunStatus());
+
+    renderWithFrontendProviders(<AssessmentRunProgressPanel runId="run-001" />);
+
+    const panel = await screen.findByTestId('assessment-run-progress');
+    const text = panel.textContent ?? '';
+    expect(text.indexOf('Assessment run scheduled')).toBeLessThan(
+      text.indexOf('Fetching submitted documents from students.')
+    );
+    expect(screen.queryByRole('alert')).toBeNull();
+  });
+
+  it('shows a success Alert once the run completes', async () => {
+    vi.mocked(getAssessmentRunStatus).mockResolvedValue(createRunStatus({ completed: true }));
+
+    renderWithFrontendProviders(<AssessmentRunProgressPanel runId="run-001" />);
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Assessment run completed.');
+  });
+
+  it('shows every logged error when the run fails', async () => {
+    vi.mocked(getAssessmentRunStatus).mockResolvedValue(
+      createRunStatus({
+        error: 'Assessor unavailable',
+        errors: [
+          { step: 3, message: 'Image upload failed', timestamp: '2026-06-01T09:02:00.000Z' },
+          { step: 4, message: 'Assessor unavailable', timestamp: '2026-06-01T09:03:00.000Z' },
+        ],
+      })
+    );
+
+    renderWithFrontendProviders(<AssessmentRunProgressPanel runId="run-001" />);
+
+    const alert = await screen.findByRole('alert');
+    expect(alert).toHaveTextContent('Assessment run failed.');
+    expect(alert).toHaveTextContent('Image upload failed');
+    expect(alert).toHaveTextContent('Assessor unavailable');
+  });
+
+  it('explains when the run is no longer tracked', async () => {
+    vi.mocked(getAssessmentRunStatus).mockResolvedValue(null);
+
+    renderWithFrontendProviders(<AssessmentRunProgressPanel runId="run-001" />);
+
+    expect(await screen.findByRole('alert')).toHaveTextContent(
+      'Progress for this run is no longer available.'
+    );
+  });
+
+  it('shows a warning when the status request fails', async () => {
+    vi.mocked(getAssessmentRunStatus).mockRejectedValue(new Error('Network down'));
+
+    renderWithFrontendProviders(<AssessmentRunProgressPanel runId="run-001" />);
+
+    const alert = await screen.findByRole('alert');
+    expect(alert).toHaveTextContent('Unable to load assessment progress.');
+    expect(alert).toHaveTextContent('Network down');
+  });
+});
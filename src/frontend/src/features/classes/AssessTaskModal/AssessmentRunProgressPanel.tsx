@@ -0,0 +1,124 @@
+import { Alert, Flex, Skeleton, Timeline, Typography } from 'antd';
+import { useQuery } from '@tanstack/react-query';
+import type { JSX } from 'react';
+import {
+  getAssessmentRunStatusQueryOptions,
+  isAssessmentRunStatusTerminal,
+} from '../../../query/sharedQueries';
+import type {
+  AssessmentRunLogEntry,
+  AssessmentRunStatus,
+} from '../../../services/assignmentAssessment/assignmentAssessment.zod';
+
+export type AssessmentRunProgressPanelProperties = Readonly<{
+  runId: string;
+}>;
+
+/**
+ * Builds the Timeline items for the stages recorded during a run.
+ *
+ * @remarks
+ * The latest stage is shown as loading while the run is still in progress so
+ * teachers can see which stage the backend is currently working on.
+ *
+ * @param {AssessmentRunStatus} status The latest run status.
+ * @returns {Array<object>} Timeline items, oldest first.
+ */
+function buildTimelineItems(status: AssessmentRunStatus) {
+  const isInProgress = !isAssessmentRunStatusTerminal(status);
+  const lastIndex = status.history.length - 1;
+
+  return status.history.map((entry: AssessmentRunLogEntry, index) => ({
+    key: `${entry.timestamp}-${index}`,
+    color: 'blue',
+    loading: isInProgress && index === lastIndex,
+    content: entry.message,
+  }));
+}
+
+/**
+ * Renders the outcome Alert for a run that has finished or failed.
+ *
+ * @param {AssessmentRunStatus} status The latest run status.
+ * @returns {JSX.Element | null} The outcome Alert, or null while the run is in progress.
+ */
+function renderOutcome(status: AssessmentRunStatus): JSX.Element | null {
+  if (status.error !== null) {
+    const errorMessages =
+      status.errors.length > 0 ? status.errors.map((entry) => entry.message) : [status.error];
+    return (
+      <Alert
+        type="error"
+        showIcon
+        title="Assessment run failed."
+        description={
+          <Flex vertical>
+            {errorMessages.map((message, index) => (
+              <span key={`${index}-${message}`}>{message}</span>
+            ))}
+          </Flex>
+        }
+      />
+    );
+  }
+  if (status.completed) {
+    return <Alert type="success" showIcon title="Assessment run completed." />;
+  }
+  return null;
+}
+
+/**
+ * Polls and displays the live progress of an assessment run.
+ *
+ * @remarks
+ * Polling is driven by `getAssessmentRunStatusQueryOptions`, which stops once
+ * the run completes, fails, or is no longer tracked. A `null` status means the
+ * backend is tracking a different (newer) run for this user, so progress for
+ * this run can no longer be shown.
+ *
+ * @param {AssessmentRunProgressPanelProperties} properties Component properties.
+ * @returns {JSX.Element} The progress panel.
+ */
+export function AssessmentRunProgressPanel(
+  properties: AssessmentRunProgressPanelProperties
+): JSX.Element {
+  const { runId } = properties;
+  const { data: status, error, isPending } = useQuery(getAssessmentRunStatusQueryOptions(runId));
+
+  if (isPending) {
+    return (
+      <output aria-label="Loading assessment progress">
+        <Skeleton active title={false} paragraph={{ rows: 2 }} />
+      </output>
+    );
+  }
+
+  if (error) {
+    return (
+      <Alert
+        type="warning"
+        showIcon
+        title="Unable to load assessment progress."
+        description={error.message}
+      />
+    );
+  }
+
+  if (status === null) {
+    return (
+      <Alert
+        type="info"
+        showIcon
+        title="Progress for this run is no longer available. A newer assessment run may have started."
+      />
+    );
+  }
+
+  return (
+    <Flex vertical gap="middle" data-testid="assessment-run-progress">
+      <Typography.Text strong>Assessment progress</Typography.Text>
+      <Timeline items={buildTimelineItems(status)} />
+      {renderOutcome(status)}
+    </Flex>
+  );
+}
@@ -1,4 +1,5 @@
 import Fuse from 'fuse.js';
+import type { DocumentType } from '../../../services/assignmentDefinition/assignmentDefinition.zod';
 import type { AssignmentDefinitionPartial } from '../../../services/assignmentDefinition/assignmentDefinitionPartials.zod';
 
 /**
@@ -29,7 +30,7 @@ export type LinkableDefinition = {
   updatedAt: string;
   alternateTitles: string[];
   alternateTopics: string[];
-  documentType: 'SLIDES' | 'SHEETS';
+  documentType: DocumentType;
   referenceDocumentId: string;
   templateDocumentId: string;
 };
@@ -135,7 +136,7 @@ export function getLinkableDefinitionsForModal(
     updatedAt: partial.updatedAt ?? '',
     alternateTitles: partial.alternateTitles ?? [],
     alternateTopics: partial.alternateTopics ?? [],
-    documentType: partial.documentType as 'SLIDES' | 'SHEETS',
+    documentType: partial.documentType as DocumentType,
     referenceDocumentId: partial.referenceDocumentId,
     templateDocumentId: partial.templateDocumentId,
   }));
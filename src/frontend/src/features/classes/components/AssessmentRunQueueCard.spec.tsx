@@ -0,0 +1,165 @@
+import { screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { AssessmentRunQueueCard } from './AssessmentRunQueueCard';
+import {
+  cancelAssessmentRun,
+  getAssessmentRunQueue,
+} from '../../../services/assignmentAssessment/assignmentAssessmentService';
+import type { AssessmentRunQueueEntry } from '../../../services/assignmentAssessment/assignmentAssessment.zod';
+import { queryKeys } from '../../../query/queryKeys';
+import { renderWithFrontendProviders } from '../../../test/renderWithFrontendProviders';
+
+vi.mock('../../../services/assignmentAssessment/assignmentAssessmentService', () => ({
+  getAssessmentRunQueue: vi.fn(),
+  cancelAssessmentRun: vi.fn(),
+}));
+
+const CLASS_NAMES_BY_ID: ReadonlyMap<string, string> = new Map([
+  ['course-1', 'Maths 10A'],
+  ['course-2', 'Maths 10B'],
+]);
+
+/**
+ * Builds a queue entry with optional overrides.
+ *
+ * @param {Partial<AssessmentRunQueueEntry>} [overrides] Field overrides.
+ * @returns {AssessmentRunQueueEntry} The queue entry fixture.
+ */
+function createQueueEntry(
+  overrides: Partial<AssessmentRunQueueEntry> = {}
+): AssessmentRunQueueEntry {
+  return {
+    runId: 'run-002',
+    assignmentId: 'assign-1',
+    definitionKey: 'algebra-baseline',
+    courseId: 'course-2',
+    status: 'queued',
+    enqueuedAt: '2026-06-01T09:00:00.000Z',
+    startedAt: null,
+    checkpointedAt: null,
+    continuations: 0,
+    ...overrides,
+  };
+}
+
+const RUNNING_ENTRY = createQueueEntry({
+  runId: 'run-001',
+  courseId: 'course-1',
+  status: 'running',
+  startedAt: '2026-06-01T09:01:00.000Z',
+});
+
+describe('AssessmentRunQueueCard', () => {
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('renders nothing while the queue is empty', async () => {
+    vi.mocked(getAssessmentRunQueue).mockResolvedValue([]);
+
+    const { container } = renderWithFrontendProviders(
+      <AssessmentRunQueueCard classNamesById={CLASS_NAMES_BY_ID} />
+    );
+
+    await waitFor(() => {
+      expect(getAssessmentRunQueue).toHaveBeenCalled();
+    });
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('lists queued and running runs by class name', async () => {
+    vi.mocked(getAssessmentRunQueue).mockResolvedValue([RUNNING_ENTRY, createQueueEntry()]);
+
+    renderWithFrontendProviders(<AssessmentRunQueueCard classNamesById={CLASS_NAMES_BY_ID} />);
+
+    const [, runningRow, queuedRow] = await screen.findAllByRole('row');
+    expect(runningRow).toHaveTextContent('Maths 10A');
+    expect(runningRow).toHaveTextContent('Running');
+    expect(within(runningRow).queryByRole('button', { name: 'Cancel' })).toBeNull();
+    expect(queuedRow).toHaveTextContent('Maths 10B');
+    expect(queuedRow).toHaveTextContent('algebra-baseline');
+    expect(queuedRow).toHaveTextContent('Queued');
+  });
+
+  it('shows a run paused at a checkpoint without a cancel action', async () => {
+    vi.mocked(getAssessmentRunQueue).mockResolvedValue([
+      createQueueEntry({
+        startedAt: '2026-06-01T09:01:00.000Z',
+        checkpointedAt: '2026-06-01T09:05:30.000Z',
+        continuations: 1,
+      }),
+    ]);
+
+    renderWithFrontendProviders(<AssessmentRunQueueCard classNamesById={CLASS_NAMES_BY_ID} />);
+
+    const [, pausedRow] = await screen.findAllByRole('row');
+    expect(pausedRow).toHaveTextContent('Paused');
+    expect(within(pausedRow).queryByRole('button', { name: 'Cancel' })).toBeNull();
+  });
+
+  it('falls back to the course id when the class name is unknown', async () => {
+    vi.mocked(getAssessmentRunQueue).mockResolvedValue([
+      createQueueEntry({ courseId: 'course-9' }),
+    ]);
+
+    renderWithFrontendProviders(<AssessmentRunQueueCard classNamesById={CLASS_NAMES_BY_ID} />);
+
+    expect(await screen.findByText('course-9')).toBeInTheDocument();
+  });
+
+  it('cancels a queued run and refreshes the queue', async () => {
+    const user = userEvent.setup();
+    vi.mocked(getAssessmentRunQueue).mockResolvedValue([createQueueEntry()]);
+    vi.mocked(cancelAssessmentRun).mockResolvedValue({ runId: 'run-002', cancelled: true });
+
+    const { queryClient } = renderWithFrontendProviders(
+      <AssessmentRunQueueCard classNamesById={CLASS_NAMES_BY_ID} />
+    );
+    const invalidateSpy = vi.spyOn(queryClient, 'invalidateQueries');
+
+    await user.click(await screen.findByRole('button', { name: 'Cancel' }));
+
+    expect(cancelAssessmentRun).toHaveBeenCalledWith({ runId: 'run-002' });
+    await waitFor(() => {
+      expect(invalidateSpy).toHaveBeenCalledWith({ queryKey: queryKeys.assessmentRunQueue() });
+    });
+    expect(screen.queryByRole('alert')).toBeNull();
+  });
+
+  it('explains when the run started before it could be cancelled', async () => {
+    const user = userEvent.setup();
+    vi.mocked(getAssessmentRunQueue).mockResolvedValue([createQueueEntry()]);
+    vi.mocked(cancelAssessmentRun).mockResolvedValue({ runId: 'run-002', cancelled: false });
+
+    renderWithFrontendProviders(<AssessmentRunQueueCard classNamesById={CLASS_NAMES_BY_ID} />);
+
+    await user.click(await screen.findByRole('button', { name: 'Cancel' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent(
+      'This run has already started and can no longer be cancelled.'
+    );
+  });
+
+  it('shows the error when cancelling fails', async () => {
+    const user = userEvent.setup();
+    vi.mocked(getAssessmentRunQueue).mockResolvedValue([createQueueEntry()]);
+    vi.mocked(cancelAssessmentRun).mockRejectedValue(new Error('Backend unavailable'));
+
+    renderWithFrontendProviders(<AssessmentRunQueueCard classNamesById={CLASS_NAMES_BY_ID} />);
+
+    await user.click(await screen.findByRole('button', { name: 'Cancel' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Backend unavailable');
+  });
+
+  it('shows a warning when the queue cannot be loaded', async () => {
+    vi.mocked(getAssessmentRunQueue).mockRejectedValue(new Error('Network down'));
+
+    renderWithFrontendProviders(<AssessmentRunQueueCard classNamesById={CLASS_NAMES_BY_ID} />);
+
+    const alert = await screen.findByRole('alert');
+    expect(alert).toHaveTextContent('Unable to load the assessment queue.');
+    expect(alert).toHaveTextContent('Network down');
+  });
+});
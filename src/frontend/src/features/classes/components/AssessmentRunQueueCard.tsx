@@ -0,0 +1,136 @@
+import { Alert, Button, Card, Flex, Table, Tag, type TableColumnsType } from 'antd';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { useState, type JSX } from 'react';
+import { queryKeys } from '../../../query/queryKeys';
+import { getAssessmentRunQueueQueryOptions } from '../../../query/sharedQueries';
+import { cancelAssessmentRun } from '../../../services/assignmentAssessment/assignmentAssessmentService';
+import type { AssessmentRunQueueEntry } from '../../../services/assignmentAssessment/assignmentAssessment.zod';
+
+const RUN_ALREADY_STARTED_MESSAGE = 'This run has already started and can no longer be cancelled.';
+
+export type AssessmentRunQueueCardProperties = Readonly<{
+  /** Class names keyed by class id, used to label each queued run. */
+  classNamesById: ReadonlyMap<string, string>;
+}>;
+
+/**
+ * Reports whether a run can still be cancelled: it is queued and has not
+ * started, so no checkpoint has been saved for it.
+ *
+ * @param {AssessmentRunQueueEntry} run The queued run.
+ * @returns {boolean} True when the run can be cancelled.
+ */
+function isCancellable(run: AssessmentRunQueueEntry): boolean {
+  return run.status === 'queued' && run.checkpointedAt === null;
+}
+
+/**
+ * Renders the status Tag for a queued run.
+ *
+ * @param {AssessmentRunQueueEntry} run The queued run.
+ * @returns {JSX.Element} The status Tag.
+ */
+function renderStatusTag(run: AssessmentRunQueueEntry): JSX.Element {
+  if (run.status === 'running') {
+    return <Tag color="processing">Running</Tag>;
+  }
+  return run.checkpointedAt === null ? <Tag>Queued</Tag> : <Tag color="warning">Paused</Tag>;
+}
+
+/**
+ * Lists the current user's queued and running assessment runs with a cancel
+ * action for runs that have not started. Runs paused at a checkpoint are
+ * shown as paused until a continuation resumes them.
+ *
+ * @remarks
+ * Renders nothing until the queue has loaded and while it is empty, so the
+ * Classes page only shows the card when runs are waiting. The queue query
+ * polls while it is non-empty, so finished runs drop out on their own.
+ *
+ * @param {AssessmentRunQueueCardProperties} properties Component properties.
+ * @returns {JSX.Element | null} The queue card, or null when there is nothing to show.
+ */
+export function AssessmentRunQueueCard(
+  properties: AssessmentRunQueueCardProperties
+): JSX.Element | null {
+  const { classNamesById } = properties;
+  const queryClient = useQueryClient();
+  const { data: queue, error } = useQuery(getAssessmentRunQueueQueryOptions());
+  const [cancelMessage, setCancelMessage] = useState<string | null>(null);
+
+  const cancelMutation = useMutation({
+    mutationFn: async (runId: string) => cancelAssessmentRun({ runId }),
+    onSuccess: (result) => {
+      setCancelMessage(result.cancelled ? null : RUN_ALREADY_STARTED_MESSAGE);
+      queryClient.invalidateQueries({ queryKey: queryKeys.assessmentRunQueue() });
+      queryClient.invalidateQueries({ queryKey: queryKeys.assessmentRunStatus(result.runId) });
+    },
+    onError: (mutationError: Error) => {
+      setCancelMessage(mutationError.message);
+    },
+  });
+
+  if (error) {
+    return (
+      <Alert
+        type="warning"
+        showIcon
+        title="Unable to load the assessment queue."
+        description={error.message}
+      />
+    );
+  }
+
+  if (queue === undefined || queue.length === 0) {
+    return null;
+  }
+
+  const columns: TableColumnsType<AssessmentRunQueueEntry> = [
+    {
+      title: 'Class',
+      key: 'class',
+      render: (_, run) => classNamesById.get(run.courseId) ?? run.courseId,
+    },
+    {
+      title: 'Assignment definition',
+      dataIndex: 'definitionKey',
+      key: 'definitionKey',
+    },
+    {
+      title: 'Status',
+      key: 'status',
+      render: (_, run) => renderStatusTag(run),
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      render: (_, run) =>
+        isCancellable(run) ? (
+          <Button
+            danger
+            disabled={cancelMutation.isPending}
+            onClick={() => {
+              cancelMutation.mutate(run.runId);
+            }}
+          >
+            Cancel
+          </Button>
+        ) : null,
+    },
+  ];
+
+  return (
+    <Card title="Assessment queue" size="small">
+      <Flex vertical gap="small">
+        {cancelMessage === null ? null : <Alert type="warning" showIcon title={cancelMessage} />}
+        <Table<AssessmentRunQueueEntry>
+          rowKey="runId"
+          size="small"
+          pagination={false}
+          columns={columns}
+          dataSource={queue}
+        />
+      </Flex>
+    </Card>
+  );
+}
@@ -0,0 +1,179 @@
+/**
+ * Tests for `CohortComparisonView`.
+ *
+ * @remarks
+ * `useCohortComparisonData` is mocked so each surface state can be rendered
+ * directly. The ready-state model is built by the real
+ * `buildCohortComparisonModel`, so the scores are the analyser's rollups.
+ */
+
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { DataAnalysisService } from '../../services/dataAnalysis/dataAnalysisService';
+import type { ClassFull } from '../../services/googleClassrooms/classDetail/classDetailService.zod';
+import type { AssignmentDefinitionPartialsResponse } from '../../services/assignmentDefinition/assignmentDefinitionPartials.zod';
+import {
+  createAssignmentPartial,
+  createClassFull,
+  createDefinitionPartial,
+  createSubmission,
+  createSubmissionItem,
+  createTaskPartial,
+} from '../../test/dataAnalysis/fixtures';
+import { buildCohortComparisonModel, type CohortComparisonModel } from './cohortComparisonModel';
+import type { CohortComparisonData } from './useCohortComparisonData';
+import { CohortComparisonView } from './CohortComparisonView';
+
+const { useCohortComparisonDataMock } = vi.hoisted(() => ({
+  useCohortComparisonDataMock: vi.fn<() => CohortComparisonData>(),
+}));
+
+vi.mock('./useCohortComparisonData', () => ({
+  useCohortComparisonData: useCohortComparisonDataMock,
+}));
+
+/**
+ * Build a class whose one student scores `[completeness, accuracy, spag]` on
+ * task `t_001` of the essay.
+ *
+ * @param {string} classId - The class identifier.
+ * @param {string} cohortKey - The class cohort.
+ * @param {[number, number, number]} scores - Completeness, accuracy and SPaG.
+ * @returns {ClassFull} The class fixture.
+ */
+function buildClass(
+  classId: string,
+  cohortKey: string,
+  [completeness, accuracy, spag]: [number, number, number]
+): ClassFull {
+  return {
+    ...createClassFull({
+      classId,
+      assignments: [
+        createAssignmentPartial({
+          assignmentId: `a_${classId}`,
+          definitionKey: 'dk_essay',
+          submissions: [
+            createSubmission(`s_${classId}`, `s_${classId}`, `a_${classId}`, {
+              t_001: createSubmissionItem('t_001', {
+                completeness: { score: completeness },
+                accuracy: { score: accuracy },
+                spag: { score: spag },
+              }),
+            }),
+          ],
+        }),
+      ],
+    }),
+    cohortKey,
+  } as ClassFull;
+}
+
+/** Cohort-a's score on every criterion. */
+const COHORT_A_SCORE = 4;
+/** Cohort-b's completeness and accuracy scores. */
+const COHORT_B_SCORE = 3;
+/** Cohort-b's SPaG score. */
+const COHORT_B_SPAG = 5;
+
+const MODEL: CohortComparisonModel = buildCohortComparisonModel({
+  classes: [
+    buildClass('c1', 'cohort-a', [COHORT_A_SCORE, COHORT_A_SCORE, COHORT_A_SCORE]),
+    buildClass('c2', 'cohort-b', [COHORT_B_SCORE, COHORT_B_SCORE, COHORT_B_SPAG]),
+  ],
+  assignmentDefinitionPartials: [
+    {
+      ...createDefinitionPartial({
+        definitionKey: 'dk_essay',
+        tasks: [createTaskPartial('t_001', 1, 'Plan')],
+      }),
+      primaryTitle: 'Essay',
+    },
+  ] as AssignmentDefinitionPartialsResponse,
+  cohorts: [
+    { key: 'cohort-a', name: '2024 intake', active: false, startYear: 2024, startMonth: 9 },
+    { key: 'cohort-b', name: '2025 intake', active: true, startYear: 2025, startMonth: 9 },
+  ],
+  analysisService: new DataAnalysisService(),
+});
+
+/**
+ * Configure the mocked hook result.
+ *
+ * @param {Partial<CohortComparisonData>} overrides - Fields to override.
+ * @returns {CohortComparisonData} The configured result.
+ */
+function mockData(overrides: Partial<CohortComparisonData> = {}): CohortComparisonData {
+  const data: CohortComparisonData = {
+    surfaceState: { status: 'ready', model: MODEL },
+    unavailableClassCount: 0,
+    refetch: vi.fn(),
+    ...overrides,
+  };
+  useCohortComparisonDataMock.mockReturnValue(data);
+  return data;
+}
+
+beforeEach(() => {
+  useCohortComparisonDataMock.mockReset();
+});
+
+describe('CohortComparisonView', () => {
+  it('renders cohort averages with their spread, oldest cohort first', async () => {
+    const onBack = vi.fn();
+    mockData();
+
+    render(<CohortComparisonView onBack={onBack} />);
+
+    const cohortTable = screen.getByRole('table', { name: 'Cohort averages' });
+    const rows = within(cohortTable).getAllByRole('row').slice(1);
+    expect(rows.map((row) => within(row).getAllByRole('cell')[0]?.textContent)).toEqual([
+      '2024 intake',
+      '2025 intake',
+    ]);
+    expect(within(rows[1]!).getByText('3.4 (3.4–3.4)')).toBeInTheDocument();
+    expect(
+      within(rows[1]!).getByRole('img', {
+        name: 'Students per score band: 0–1: 0, 1–2: 0, 2–3: 0, 3–4: 1, 4–5: 0',
+      })
+    ).toBeInTheDocument();
+
+    await userEvent.click(screen.getByRole('button', { name: 'Back to Department overview' }));
+    expect(onBack).toHaveBeenCalledOnce();
+  });
+
+  it('shows each task per cohort with the change for the selected metric', async () => {
+    mockData();
+
+    render(<CohortComparisonView onBack={vi.fn()} />);
+
+    const taskTable = screen.getByRole('table', { name: 'Task averages' });
+    const planRow = within(taskTable).getByText('Plan').closest('tr')!;
+    expect(within(planRow).getByText('-0.6')).toBeInTheDocument();
+
+    await userEvent.click(within(screen.getByLabelText('Metric')).getByText('SPaG'));
+
+    expect(within(planRow).getByText('+1.0')).toBeInTheDocument();
+  });
+
+  it('shows an empty state when no assignment was set to more than one cohort', () => {
+    mockData({ surfaceState: { status: 'ready', model: { definitions: [] } } });
+
+    render(<CohortComparisonView onBack={vi.fn()} />);
+
+    expect(
+      screen.getByText('No assignment has been set to more than one cohort yet.')
+    ).toBeInTheDocument();
+  });
+
+  it('renders a blocking result and refreshes on request', async () => {
+    const { refetch } = mockData({ surfaceState: { status: 'blocking' } });
+
+    render(<CohortComparisonView onBack={vi.fn()} />);
+    await userEvent.click(screen.getByRole('button', { name: 'Refresh' }));
+
+    expect(screen.getByText('Cohort data could not be trusted or loaded.')).toBeInTheDocument();
+    expect(refetch).toHaveBeenCalledOnce();
+  });
+});
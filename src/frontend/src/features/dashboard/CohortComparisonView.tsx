@@ -0,0 +1,271 @@
+/**
+ * Cohort comparison view for the Dashboard page.
+ *
+ * Compares how each cohort did on the same assignment definition: one table of
+ * cohort averages with the spread of per-student scores, and one table of task
+ * averages per cohort with the change between the two most recent cohorts.
+ * A metric switch selects which criterion the spread and task cells show.
+ *
+ * @remarks
+ * Used for curriculum review, to spot tasks that became harder or easier from
+ * one year to the next. Data loading and analysis live in
+ * {@link useCohortComparisonData}.
+ */
+
+import { useState, type JSX } from 'react';
+import {
+  Alert,
+  Button,
+  Card,
+  Empty,
+  Flex,
+  Result,
+  Segmented,
+  Select,
+  Skeleton,
+  Table,
+  Tag,
+} from 'antd';
+import type { TableColumnsType } from 'antd';
+import { RefreshCw } from 'lucide-react';
+import { MetricPill } from '../../services/dataAnalysis/metricDisplay/MetricPill';
+import { ScoreBandChart } from '../../services/dataAnalysis/metricDisplay/ScoreBandChart';
+import { PageNavCard } from '../../components/PageHeader/PageHeader';
+import { APP_GAP_MD } from '../../theme/spacing';
+import {
+  computeTaskChange,
+  type CohortComparisonColumn,
+  type CohortComparisonDefinition,
+  type CohortComparisonMetricKey,
+  type CohortComparisonTaskRow,
+} from './cohortComparisonModel';
+import { useCohortComparisonData } from './useCohortComparisonData';
+
+const BACK_LABEL = 'Back to Department overview';
+const LOADING_LABEL = 'Cohort comparison loading';
+const BLOCKING_TITLE = 'Cohort data could not be trusted or loaded.';
+const EMPTY_DESCRIPTION = 'No assignment has been set to more than one cohort yet.';
+const SCORE_PRECISION = 1;
+const NO_DATA_TEXT = '—';
+const LOADING_SKELETON_ROWS = 6;
+
+const METRIC_OPTIONS: ReadonlyArray<{ value: CohortComparisonMetricKey; label: string }> = [
+  { value: 'overall', label: 'Average' },
+  { value: 'completeness', label: 'Completeness' },
+  { value: 'accuracy', label: 'Accuracy' },
+  { value: 'spag', label: 'SPaG' },
+];
+
+type CohortComparisonViewProperties = Readonly<{
+  /** Callback invoked when the user clicks Back to return to the overview. */
+  onBack: () => void;
+}>;
+
+/**
+ * Format a nullable score.
+ *
+ * @param {number | null} value - The score.
+ * @returns {string} The score at display precision, or an em dash.
+ */
+function formatScore(value: number | null): string {
+  return value === null ? NO_DATA_TEXT : value.toFixed(SCORE_PRECISION);
+}
+
+/**
+ * Build the cohort averages columns.
+ *
+ * @param {CohortComparisonMetricKey} metricKey - The metric the spread shows.
+ * @returns {TableColumnsType<CohortComparisonColumn>} The table columns.
+ */
+function buildCohortColumns(
+  metricKey: CohortComparisonMetricKey
+): TableColumnsType<CohortComparisonColumn> {
+  return [
+    { title: 'Cohort', dataIndex: 'label', key: 'label' },
+    { title: 'Classes', dataIndex: 'classCount', key: 'classCount' },
+    { title: 'Students', dataIndex: 'studentCount', key: 'studentCount' },
+    ...METRIC_OPTIONS.map(({ value, label }) => ({
+      title: label,
+      key: value,
+      render: (_: unknown, row: CohortComparisonColumn) => (
+        <MetricPill metric={row.perCohort[value]} />
+      ),
+    })),
+    {
+      title: 'Median (IQR)',
+      key: 'spread',
+      render: (_, row) => {
+        const { median, lowerQuartile, upperQuartile } = row.distributions[metricKey];
+        return median === null
+          ? NO_DATA_TEXT
+          : `${formatScore(median)} (${formatScore(lowerQuartile)}–${formatScore(upperQuartile)})`;
+      },
+    },
+    {
+      title: 'Distribution',
+      key: 'distribution',
+      render: (_, row) => <ScoreBandChart distribution={row.distributions[metricKey]} />,
+    },
+  ];
+}
+
+/**
+ * Render a task's change between the two most recent cohorts.
+ *
+ * @param {number | null} change - The latest-minus-previous change.
+ * @returns {JSX.Element | string} A coloured tag, or an em dash.
+ */
+function renderChange(change: number | null): JSX.Element | string {
+  if (change === null) return NO_DATA_TEXT;
+  const text = `${change > 0 ? '+' : ''}${change.toFixed(SCORE_PRECISION)}`;
+  if (Number(text) === 0) return <Tag>{text}</Tag>;
+  return <Tag color={change > 0 ? 'green' : 'volcano'}>{text}</Tag>;
+}
+
+/**
+ * Build the task averages columns: the task, one column per cohort, then the
+ * change between the two most recent cohorts.
+ *
+ * @param {CohortComparisonDefinition} definition - The selected comparison.
+ * @param {CohortComparisonMetricKey} metricKey - The metric the cells show.
+ * @returns {TableColumnsType<CohortComparisonTaskRow>} The table columns.
+ */
+function buildTaskColumns(
+  definition: CohortComparisonDefinition,
+  metricKey: CohortComparisonMetricKey
+): TableColumnsType<CohortComparisonTaskRow> {
+  return [
+    { title: 'Task', dataIndex: 'taskLabel', key: 'taskLabel' },
+    ...definition.cohorts.map((cohort, index) => ({
+      title: cohort.label,
+      key: cohort.cohortKey ?? 'unassigned',
+      render: (_: unknown, row: CohortComparisonTaskRow) => {
+        const cell = row.cells[index];
+        return cell ? <MetricPill metric={cell[metricKey]} /> : NO_DATA_TEXT;
+      },
+    })),
+    {
+      title: 'Change',
+      key: 'change',
+      render: (_, row) => renderChange(computeTaskChange(definition, row, metricKey)),
+    },
+  ];
+}
+
+/**
+ * Render the comparison card for the ready state.
+ *
+ * @param {{ definitions: readonly CohortComparisonDefinition[] }} properties - Component properties.
+ * @param {readonly CohortComparisonDefinition[]} properties.definitions - The comparable definitions.
+ * @returns {JSX.Element} The card.
+ */
+function CohortComparisonCard({
+  definitions,
+}: Readonly<{ definitions: readonly CohortComparisonDefinition[] }>): JSX.Element {
+  const [selectedKey, setSelectedKey] = useState<string | null>(null);
+  const [metricKey, setMetricKey] = useState<CohortComparisonMetricKey>('overall');
+
+  if (definitions.length === 0) {
+    return (
+      <Card size="small" title="Cohort comparison">
+        <Empty description={EMPTY_DESCRIPTION} />
+      </Card>
+    );
+  }
+  const definition =
+    definitions.find((candidate) => candidate.definitionKey === selectedKey) ?? definitions[0];
+
+  return (
+    <Card
+      size="small"
+      title="Cohort comparison"
+      extra={
+        <Flex gap={APP_GAP_MD} align="center">
+          <Select<string>
+            aria-label="Assignment"
+            value={definition.definitionKey}
+            onChange={setSelectedKey}
+            options={definitions.map(({ definitionKey, title }) => ({
+              value: definitionKey,
+              label: title,
+            }))}
+            popupMatchSelectWidth={false}
+          />
+          <Segmented<CohortComparisonMetricKey>
+            aria-label="Metric"
+            options={[...METRIC_OPTIONS]}
+            value={metricKey}
+            onChange={setMetricKey}
+          />
+        </Flex>
+      }
+    >
+      <Flex vertical gap={APP_GAP_MD}>
+        <Table<CohortComparisonColumn>
+          size="small"
+          aria-label="Cohort averages"
+          columns={buildCohortColumns(metricKey)}
+          dataSource={[...definition.cohorts]}
+          rowKey={(row) => row.cohortKey ?? 'unassigned'}
+          pagination={false}
+        />
+        <Table<CohortComparisonTaskRow>
+          size="small"
+          aria-label="Task averages"
+          columns={buildTaskColumns(definition, metricKey)}
+          dataSource={[...definition.tasks]}
+          rowKey="taskId"
+          pagination={false}
+          scroll={{ x: 'max-content' }}
+        />
+      </Flex>
+    </Card>
+  );
+}
+
+/**
+ * Cohort comparison view.
+ *
+ * @param {CohortComparisonViewProperties} properties - Component properties.
+ * @param {() => void} properties.onBack - Back callback.
+ * @returns {JSX.Element} The view for the current surface state.
+ */
+export function CohortComparisonView({ onBack }: CohortComparisonViewProperties): JSX.Element {
+  const { surfaceState, unavailableClassCount, refetch } = useCohortComparisonData();
+
+  let content: JSX.Element;
+  if (surfaceState.status === 'loading') {
+    content = (
+      <div aria-label={LOADING_LABEL} aria-busy="true">
+        <Skeleton active paragraph={{ rows: LOADING_SKELETON_ROWS }} />
+      </div>
+    );
+  } else if (surfaceState.status === 'blocking') {
+    content = <Result status="error" title={BLOCKING_TITLE} />;
+  } else {
+    content = <CohortComparisonCard definitions={surfaceState.model.definitions} />;
+  }
+
+  return (
+    <Flex vertical gap={APP_GAP_MD}>
+      <PageNavCard
+        onBack={onBack}
+        backLabel={BACK_LABEL}
+        backAriaLabel={BACK_LABEL}
+        actions={
+          <Button icon={<RefreshCw size={16} />} onClick={refetch}>
+            Refresh
+          </Button>
+        }
+      />
+      {unavailableClassCount > 0 && (
+        <Alert
+          type="warning"
+          showIcon
+          title={`${unavailableClassCount} classes could not be loaded and are left out.`}
+        />
+      )}
+      {content}
+    </Flex>
+  );
+}
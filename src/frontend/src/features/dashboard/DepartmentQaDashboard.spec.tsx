@@ -0,0 +1,149 @@
+/**
+ * Tests for `DepartmentQaDashboard`.
+ *
+ * @remarks
+ * `useDepartmentQaData` is mocked so each surface state can be rendered
+ * directly; the model itself is covered by `departmentQaModel.spec.ts`.
+ */
+
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createComputedMetricResult } from '../../test/dataAnalysis/fixtures';
+import type { DepartmentQaModel } from './departmentQaModel';
+import type { DepartmentQaData } from './useDepartmentQaData';
+import { DepartmentQaDashboard } from './DepartmentQaDashboard';
+
+const { useDepartmentQaDataMock } = vi.hoisted(() => ({
+  useDepartmentQaDataMock: vi.fn<() => DepartmentQaData>(),
+}));
+
+vi.mock('./useDepartmentQaData', () => ({
+  useDepartmentQaData: useDepartmentQaDataMock,
+}));
+
+vi.mock('./CohortComparisonView', () => ({
+  CohortComparisonView: ({ onBack }: { onBack: () => void }) => (
+    <button type="button" onClick={onBack}>
+      Mock cohort comparison
+    </button>
+  ),
+}));
+
+const MODEL: DepartmentQaModel = {
+  classCount: 2,
+  departmentMean: 3.25,
+  yearGroups: [
+    {
+      key: 'yg-10',
+      label: 'Year 10',
+      classCount: 2,
+      overall: createComputedMetricResult({ value: 3.25 }),
+    },
+  ],
+  cohorts: [],
+  definitionComparisons: [
+    {
+      definitionKey: 'dk_essay',
+      title: 'Essay',
+      classes: [
+        { classId: 'c1', className: '10A', overall: createComputedMetricResult({ value: 2.5 }) },
+        { classId: 'c2', className: '10B', overall: createComputedMetricResult({ value: 4 }) },
+      ],
+    },
+  ],
+  freshness: [{ classId: 'c2', className: '10B', status: 'missing', lastActivityAt: null }],
+  outliers: [{ classId: 'c1', className: '10A', overall: 2.5, zScore: -1.8, direction: 'below' }],
+};
+
+/**
+ * Configure the mocked hook result.
+ *
+ * @param {Partial<DepartmentQaData>} overrides - Fields to override.
+ * @returns {DepartmentQaData} The configured result.
+ */
+function mockData(overrides: Partial<DepartmentQaData> = {}): DepartmentQaData {
+  const data: DepartmentQaData = {
+    surfaceState: { status: 'ready', model: MODEL },
+    unavailableClassCount: 0,
+    refetch: vi.fn(),
+    ...overrides,
+  };
+  useDepartmentQaDataMock.mockReturnValue(data);
+  return data;
+}
+
+beforeEach(() => {
+  useDepartmentQaDataMock.mockReset();
+});
+
+describe('DepartmentQaDashboard', () => {
+  it('renders a loading skeleton while data loads', () => {
+    mockData({ surfaceState: { status: 'loading' } });
+
+    render(<DepartmentQaDashboard />);
+
+    expect(screen.getByLabelText('Department overview loading')).toHaveAttribute(
+      'aria-busy',
+      'true'
+    );
+  });
+
+  it('renders a blocking result with a retry action', async () => {
+    const { refetch } = mockData({ surfaceState: { status: 'blocking' } });
+
+    render(<DepartmentQaDashboard />);
+    await userEvent.click(screen.getByRole('button', { name: 'Retry' }));
+
+    expect(screen.getByText('Department data could not be trusted or loaded.')).toBeInTheDocument();
+    expect(refetch).toHaveBeenCalledOnce();
+  });
+
+  it('renders the group, comparison, freshness and outlier cards', () => {
+    mockData();
+
+    render(<DepartmentQaDashboard />);
+
+    expect(screen.getByText('2 active classes · Department average 3.25')).toBeInTheDocument();
+    expect(
+      within(screen.getByRole('region', { name: 'Year group averages' })).getByText('Year 10')
+    ).toBeInTheDocument();
+    expect(
+      within(screen.getByRole('region', { name: 'Assignment comparisons' })).getAllByText('Essay')
+    ).toHaveLength(MODEL.classCount);
+    expect(
+      within(screen.getByRole('region', { name: 'Missing or stale assessments' })).getByText(
+        'No assessments'
+      )
+    ).toBeInTheDocument();
+    expect(
+      within(screen.getByRole('region', { name: 'Outlier classes' })).getByText('1.8 SD below')
+    ).toBeInTheDocument();
+  });
+
+  it('switches to the cohort comparison view and back', async () => {
+    mockData();
+
+    render(<DepartmentQaDashboard />);
+    await userEvent.click(screen.getByRole('button', { name: 'Compare cohorts' }));
+    await userEvent.click(screen.getByRole('button', { name: 'Mock cohort comparison' }));
+
+    expect(screen.getByRole('region', { name: 'Year group averages' })).toBeInTheDocument();
+  });
+
+  it('warns about classes that could not be loaded', () => {
+    mockData({ unavailableClassCount: 2 });
+
+    render(<DepartmentQaDashboard />);
+
+    expect(screen.getByText('2 classes could not be loaded and are left out.')).toBeInTheDocument();
+  });
+
+  it('renders an empty state when there are no active classes', () => {
+    mockData({ surfaceState: { status: 'ready', model: { ...MODEL, classCount: 0 } } });
+
+    render(<DepartmentQaDashboard />);
+
+    expect(screen.getByText('No active classes yet.')).toBeInTheDocument();
+  });
+});
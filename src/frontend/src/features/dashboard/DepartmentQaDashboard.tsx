@@ -0,0 +1,300 @@
+/**
+ * Department-wide Quality Assurance dashboard.
+ *
+ * Renders the {@link DepartmentQaModel} as a set of Ant Design cards: year
+ * group and cohort averages, assignment comparisons between classes, classes
+ * with missing or stale assessments, and outlier classes. "Compare cohorts"
+ * switches to the {@link CohortComparisonView}.
+ *
+ * @remarks
+ * Scores are rendered with `MetricPill`, so colours and `N`/`E` states match
+ * the Class page. Data loading and analysis live in
+ * {@link useDepartmentQaData}.
+ */
+
+import { useState, type JSX } from 'react';
+import {
+  Alert,
+  Button,
+  Card,
+  Col,
+  Empty,
+  Flex,
+  Result,
+  Row,
+  Skeleton,
+  Table,
+  Tag,
+  Typography,
+} from 'antd';
+import type { TableColumnsType } from 'antd';
+import { MetricPill } from '../../services/dataAnalysis/metricDisplay/MetricPill';
+import type { MetricResult } from '../../services/dataAnalysis/dataAnalysis.zod';
+import { APP_GAP_MD } from '../../theme/spacing';
+import { CohortComparisonView } from './CohortComparisonView';
+import {
+  STALE_ASSESSMENT_DAYS,
+  type DepartmentQaDefinitionComparison,
+  type DepartmentQaFreshnessRow,
+  type DepartmentQaGroupRow,
+  type DepartmentQaModel,
+  type DepartmentQaOutlierRow,
+} from './departmentQaModel';
+import { useDepartmentQaData } from './useDepartmentQaData';
+
+const DASHBOARD_LOADING_LABEL = 'Department overview loading';
+const DASHBOARD_BLOCKING_TITLE = 'Department data could not be trusted or loaded.';
+const DASHBOARD_EMPTY_DESCRIPTION = 'No active classes yet.';
+const SCORE_PRECISION = 2;
+const LOADING_SKELETON_ROWS = 6;
+
+/** Which dashboard view is shown. */
+type DashboardView = 'overview' | 'cohorts';
+
+/** One row of the flattened assignment comparison table. */
+type DefinitionComparisonTableRow = Readonly<{
+  key: string;
+  title: string;
+  className: string;
+  overall: MetricResult;
+}>;
+
+const GROUP_COLUMNS: TableColumnsType<DepartmentQaGroupRow> = [
+  { title: 'Group', dataIndex: 'label', key: 'label' },
+  { title: 'Classes', dataIndex: 'classCount', key: 'classCount' },
+  {
+    title: 'Average',
+    key: 'overall',
+    render: (_, row) => <MetricPill metric={row.overall} />,
+  },
+];
+
+const DEFINITION_COLUMNS: TableColumnsType<DefinitionComparisonTableRow> = [
+  { title: 'Assignment', dataIndex: 'title', key: 'title' },
+  { title: 'Class', dataIndex: 'className', key: 'className' },
+  {
+    title: 'Average',
+    key: 'overall',
+    render: (_, row) => <MetricPill metric={row.overall} />,
+  },
+];
+
+const FRESHNESS_COLUMNS: TableColumnsType<DepartmentQaFreshnessRow> = [
+  { title: 'Class', dataIndex: 'className', key: 'className' },
+  {
+    title: 'Status',
+    key: 'status',
+    render: (_, row) =>
+      row.status === 'missing' ? (
+        <Tag color="red">No assessments</Tag>
+      ) : (
+        <Tag color="gold">Stale</Tag>
+      ),
+  },
+  {
+    title: 'Last activity',
+    key: 'lastActivityAt',
+    render: (_, row) =>
+      row.lastActivityAt === null ? '—' : new Date(row.lastActivityAt).toLocaleDateString(),
+  },
+];
+
+const OUTLIER_COLUMNS: TableColumnsType<DepartmentQaOutlierRow> = [
+  { title: 'Class', dataIndex: 'className', key: 'className' },
+  {
+    title: 'Average',
+    key: 'overall',
+    render: (_, row) => row.overall.toFixed(SCORE_PRECISION),
+  },
+  {
+    title: 'Compared with department',
+    key: 'direction',
+    render: (_, row) => (
+      <Tag color={row.direction === 'above' ? 'green' : 'volcano'}>
+        {`${Math.abs(row.zScore).toFixed(1)} SD ${row.direction}`}
+      </Tag>
+    ),
+  },
+];
+
+/**
+ * Flatten assignment comparisons into one table row per class.
+ *
+ * @param {readonly DepartmentQaDefinitionComparison[]} comparisons - The comparisons.
+ * @returns {DefinitionComparisonTableRow[]} Table rows, grouped by assignment.
+ */
+function toDefinitionRows(
+  comparisons: readonly DepartmentQaDefinitionComparison[]
+): DefinitionComparisonTableRow[] {
+  return comparisons.flatMap((comparison) =>
+    comparison.classes.map((row) => ({
+      key: `${comparison.definitionKey}|${row.classId}`,
+      title: comparison.title,
+      className: row.className,
+      overall: row.overall,
+    }))
+  );
+}
+
+/** Properties for {@link DashboardTableCard}. */
+type DashboardTableCardProperties<RecordType> = Readonly<{
+  title: string;
+  columns: TableColumnsType<RecordType>;
+  dataSource: readonly RecordType[];
+  rowKey: keyof RecordType & string;
+  emptyDescription: string;
+}>;
+
+/**
+ * A small card holding one dashboard table.
+ *
+ * @param {DashboardTableCardProperties<RecordType>} properties - Card properties.
+ * @returns {JSX.Element} The card.
+ */
+function DashboardTableCard<RecordType extends object>({
+  title,
+  columns,
+  dataSource,
+  rowKey,
+  emptyDescription,
+}: DashboardTableCardProperties<RecordType>): JSX.Element {
+  return (
+    <Card size="small" title={title} aria-label={title} role="region">
+      <Table<RecordType>
+        size="small"
+        columns={columns}
+        dataSource={[...dataSource]}
+        rowKey={(record) => String(record[rowKey])}
+        pagination={false}
+        locale={{ emptyText: <Empty description={emptyDescription} /> }}
+      />
+    </Card>
+  );
+}
+
+/**
+ * Render the ready-state dashboard cards.
+ *
+ * @param {DepartmentQaModel} model - The dashboard view model.
+ * @param {() => void} onOpenCohorts - Opens the cohort comparison view.
+ * @returns {JSX.Element} The cards.
+ */
+function renderReadyDashboard(model: DepartmentQaModel, onOpenCohorts: () => void): JSX.Element {
+  const departmentMeanText =
+    model.departmentMean === null ? 'no scores yet' : model.departmentMean.toFixed(SCORE_PRECISION);
+
+  return (
+    <Row gutter={[APP_GAP_MD, APP_GAP_MD]}>
+      <Col span={24}>
+        <Flex justify="space-between" align="center">
+          <Typography.Text type="secondary">
+            {`${model.classCount} active classes · Department average ${departmentMeanText}`}
+          </Typography.Text>
+          <Button onClick={onOpenCohorts}>Compare cohorts</Button>
+        </Flex>
+      </Col>
+      <Col xs={24} lg={12}>
+        <DashboardTableCard
+          title="Year group averages"
+          columns={GROUP_COLUMNS}
+          dataSource={model.yearGroups}
+          rowKey="label"
+          emptyDescription="No year groups"
+        />
+      </Col>
+      <Col xs={24} lg={12}>
+        <DashboardTableCard
+          title="Cohort averages"
+          columns={GROUP_COLUMNS}
+          dataSource={model.cohorts}
+          rowKey="label"
+          emptyDescription="No cohorts"
+        />
+      </Col>
+      <Col span={24}>
+        <DashboardTableCard
+          title="Assignment comparisons"
+          columns={DEFINITION_COLUMNS}
+          dataSource={toDefinitionRows(model.definitionComparisons)}
+          rowKey="key"
+          emptyDescription="No assignment is set by more than one class"
+        />
+      </Col>
+      <Col xs={24} lg={12}>
+        <DashboardTableCard
+          title="Missing or stale assessments"
+          columns={FRESHNESS_COLUMNS}
+          dataSource={model.freshness}
+          rowKey="classId"
+          emptyDescription={`Every class has assessment activity in the last ${STALE_ASSESSMENT_DAYS} days`}
+        />
+      </Col>
+      <Col xs={24} lg={12}>
+        <DashboardTableCard
+          title="Outlier classes"
+          columns={OUTLIER_COLUMNS}
+          dataSource={model.outliers}
+          rowKey="classId"
+          emptyDescription="No outlier classes"
+        />
+      </Col>
+    </Row>
+  );
+}
+
+/**
+ * Department-wide QA dashboard.
+ *
+ * @returns {JSX.Element} The dashboard content for the current surface state.
+ */
+export function DepartmentQaDashboard(): JSX.Element {
+  const { surfaceState, unavailableClassCount, refetch } = useDepartmentQaData();
+  const [view, setView] = useState<DashboardView>('overview');
+
+  if (view === 'cohorts') {
+    return <CohortComparisonView onBack={() => setView('overview')} />;
+  }
+
+  if (surfaceState.status === 'loading') {
+    return (
+      <div aria-label={DASHBOARD_LOADING_LABEL} aria-busy="true">
+        <Skeleton active paragraph={{ rows: LOADING_SKELETON_ROWS }} />
+      </div>
+    );
+  }
+
+  if (surfaceState.status === 'blocking') {
+    return (
+      <Result
+        status="error"
+        title={DASHBOARD_BLOCKING_TITLE}
+        extra={
+          <Button type="primary" onClick={refetch}>
+            Retry
+          </Button>
+        }
+      />
+    );
+  }
+
+  const { model } = surfaceState;
+
+  return (
+    <>
+      {unavailableClassCount > 0 && (
+        <Alert
+          type="warning"
+          showIcon
+          title={`${unavailableClassCount} classes could not be loaded and are left out.`}
+          action={<Button onClick={refetch}>Retry</Button>}
+          style={{ marginBottom: APP_GAP_MD }}
+        />
+      )}
+      {model.classCount === 0 ? (
+        <Empty description={DASHBOARD_EMPTY_DESCRIPTION} />
+      ) : (
+        renderReadyDashboard(model, () => setView('cohorts'))
+      )}
+    </>
+  );
+}
@@ -0,0 +1,188 @@
+/**
+ * Tests for `buildCohortComparisonModel` and `computeTaskChange`.
+ *
+ * @remarks
+ * The model runs the real `DataAnalysisService`, so the cohort and task
+ * averages used here are the cohort-comparison analyser's rollups.
+ */
+
+import { describe, expect, it } from 'vitest';
+import { DataAnalysisService } from '../../services/dataAnalysis/dataAnalysisService';
+import type { ClassFull } from '../../services/googleClassrooms/classDetail/classDetailService.zod';
+import type { AssignmentDefinitionPartialsResponse } from '../../services/assignmentDefinition/assignmentDefinitionPartials.zod';
+import type { Cohort } from '../../services/referenceData/referenceData.zod';
+import {
+  createAssignmentPartial,
+  createClassFull,
+  createDefinitionPartial,
+  createSubmission,
+  createSubmissionItem,
+  createTaskPartial,
+} from '../../test/dataAnalysis/fixtures';
+import { UNASSIGNED_GROUP_LABEL } from './departmentQaModel';
+import {
+  buildCohortComparisonModel,
+  computeTaskChange,
+  type CohortComparisonModelInput,
+} from './cohortComparisonModel';
+
+const ESSAY_KEY = 'dk_essay';
+const QUIZ_KEY = 'dk_quiz';
+
+/** Plan score of the cohort-a (2024 intake) class. */
+const COHORT_A_PLAN_SCORE = 4;
+/** Plan score of the cohort-b (2025 intake) class. */
+const COHORT_B_PLAN_SCORE = 2;
+/** Draft score shared by both intakes, and the score of classes whose results do not matter. */
+const SHARED_SCORE = 3;
+/** Score of the unassigned class left out of the change. */
+const UNASSIGNED_SCORE = 5;
+
+const COHORTS: Cohort[] = [
+  { key: 'cohort-b', name: '2025 intake', active: true, startYear: 2025, startMonth: 9 },
+  { key: 'cohort-a', name: '2024 intake', active: false, startYear: 2024, startMonth: 9 },
+];
+
+const DEFINITION_PARTIALS = [
+  {
+    ...createDefinitionPartial({
+      definitionKey: ESSAY_KEY,
+      tasks: [createTaskPartial('t_001', 1, 'Plan'), createTaskPartial('t_002', 1, 'Draft')],
+    }),
+    primaryTitle: 'Essay',
+  },
+  { ...createDefinitionPartial({ definitionKey: QUIZ_KEY }), primaryTitle: 'Quiz' },
+] as AssignmentDefinitionPartialsResponse;
+
+/**
+ * Build a class with one student who scores `scores[taskIndex]` on every
+ * criterion of each essay task.
+ *
+ * @param {string} classId - The class identifier.
+ * @param {string | null} cohortKey - The class cohort.
+ * @param {readonly number[]} scores - Scores for `t_001` and `t_002`.
+ * @param {string} [definitionKey] - The definition the class set.
+ * @returns {ClassFull} The class fixture.
+ */
+function buildClass(
+  classId: string,
+  cohortKey: string | null,
+  scores: readonly number[],
+  definitionKey: string = ESSAY_KEY
+): ClassFull {
+  const studentId = `s_${classId}`;
+  const assignmentId = `a_${classId}`;
+  const items = Object.fromEntries(
+    scores.map((score, index) => {
+      const taskId = `t_00${index + 1}`;
+      return [
+        taskId,
+        createSubmissionItem(taskId, {
+          completeness: { score },
+          accuracy: { score },
+          spag: { score },
+        }),
+      ];
+    })
+  );
+  return {
+    ...createClassFull({
+      classId,
+      studentIds: [studentId],
+      assignments: [
+        createAssignmentPartial({
+          assignmentId,
+          definitionKey,
+          submissions: [createSubmission(studentId, studentId, assignmentId, items)],
+        }),
+      ],
+    }),
+    cohortKey,
+  } as ClassFull;
+}
+
+/**
+ * Build the model input.
+ *
+ * @param {readonly ClassFull[]} classes - The classes.
+ * @returns {CohortComparisonModelInput} The input.
+ */
+function buildModelInput(classes: readonly ClassFull[]): CohortComparisonModelInput {
+  return {
+    classes,
+    assignmentDefinitionPartials: DEFINITION_PARTIALS,
+    cohorts: COHORTS,
+    analysisService: new DataAnalysisService(),
+  };
+}
+
+describe('buildCohortComparisonModel', () => {
+  it('orders cohorts by start date with unassigned classes last', () => {
+    const model = buildCohortComparisonModel(
+      buildModelInput([
+        buildClass('c1', 'cohort-b', [COHORT_B_PLAN_SCORE, SHARED_SCORE]),
+        buildClass('c2', 'cohort-a', [COHORT_A_PLAN_SCORE, SHARED_SCORE]),
+        buildClass('c3', 'cohort-z', [SHARED_SCORE, SHARED_SCORE]),
+        buildClass('c4', null, [1, 1]),
+      ])
+    );
+
+    const [essay] = model.definitions;
+    expect(essay?.title).toBe('Essay');
+    expect(essay?.cohorts.map(({ label }) => label)).toEqual([
+      '2024 intake',
+      '2025 intake',
+      'cohort-z',
+      UNASSIGNED_GROUP_LABEL,
+    ]);
+    expect(essay?.cohorts[0]).toMatchObject({ classCount: 1, studentCount: 1 });
+  });
+
+  it('labels tasks from the definition and aligns cells with cohorts', () => {
+    const model = buildCohortComparisonModel(
+      buildModelInput([
+        buildClass('c1', 'cohort-b', [COHORT_B_PLAN_SCORE, SHARED_SCORE]),
+        buildClass('c2', 'cohort-a', [COHORT_A_PLAN_SCORE, SHARED_SCORE]),
+      ])
+    );
+
+    const [essay] = model.definitions;
+    expect(essay?.tasks.map(({ taskLabel }) => taskLabel)).toEqual(['Plan', 'Draft']);
+    expect(essay?.tasks[0]?.cells.map((cell) => cell?.completeness.value)).toEqual([
+      COHORT_A_PLAN_SCORE,
+      COHORT_B_PLAN_SCORE,
+    ]);
+  });
+
+  it('computes the change between the two most recent cohorts, ignoring unassigned classes', () => {
+    const model = buildCohortComparisonModel(
+      buildModelInput([
+        buildClass('c1', 'cohort-b', [COHORT_B_PLAN_SCORE, SHARED_SCORE]),
+        buildClass('c2', 'cohort-a', [COHORT_A_PLAN_SCORE, SHARED_SCORE]),
+        buildClass('c3', null, [UNASSIGNED_SCORE, UNASSIGNED_SCORE]),
+      ])
+    );
+
+    const [essay] = model.definitions;
+    expect(computeTaskChange(essay!, essay!.tasks[0]!, 'completeness')).toBe(
+      COHORT_B_PLAN_SCORE - COHORT_A_PLAN_SCORE
+    );
+    expect(computeTaskChange(essay!, essay!.tasks[1]!, 'completeness')).toBe(0);
+  });
+
+  it('leaves out definitions set by only one cohort', () => {
+    const model = buildCohortComparisonModel(
+      buildModelInput([
+        buildClass('c1', 'cohort-a', [SHARED_SCORE], QUIZ_KEY),
+        buildClass('c2', 'cohort-a', [SHARED_SCORE], QUIZ_KEY),
+        buildClass('c3', null, [SHARED_SCORE], QUIZ_KEY),
+      ])
+    );
+
+    expect(model.definitions).toEqual([]);
+  });
+
+  it('returns no definitions when there are no classes', () => {
+    expect(buildCohortComparisonModel(buildModelInput([]))).toEqual({ definitions: [] });
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * Cohort comparison model for the Dashboard page.
+ *
+ * @remarks
+ * Scores come from `DataAnalysisService` with the `'cohortComparison'`
+ * analyser, which pools every class that set an assignment definition by
+ * cohort. This model adds what the analyser cannot know: cohort names and
+ * chronological order from the `cohorts` reference data, and assignment and
+ * task titles from the definition partials.
+ *
+ * - Only definitions set by two or more cohorts are compared.
+ * - Cohorts run oldest first by `startYear` then `startMonth`; cohort keys
+ *   without reference data follow in key order, then classes without a cohort.
+ * - The task **change** is the latest cohort's score minus the previous
+ *   cohort's, ignoring classes without a cohort, so a negative change marks a
+ *   task this year's cohort found harder.
+ */
+
+import type { DataAnalysisService } from '../../services/dataAnalysis/dataAnalysisService';
+import type {
+  CohortComparisonCohort,
+  CohortComparisonResult,
+  MetricResult,
+  PerClassResult,
+  PerTaskRow,
+} from '../../services/dataAnalysis/dataAnalysis.zod';
+import type {
+  AssignmentDefinitionPartial,
+  AssignmentDefinitionPartialsResponse,
+} from '../../services/assignmentDefinition/assignmentDefinitionPartials.zod';
+import { getAssignmentDefinitionPartial } from '../../services/assignmentDefinition/assignmentDefinitionUtilities';
+import type { ClassFull } from '../../services/googleClassrooms/classDetail/classDetailService.zod';
+import type { Cohort } from '../../services/referenceData/referenceData.zod';
+import { UNASSIGNED_GROUP_LABEL } from './departmentQaModel';
+
+/** Minimum number of cohorts that must have set a definition for it to be compared. */
+export const MIN_COHORTS_FOR_COMPARISON = 2;
+
+/** The metric a comparison shows. */
+export type CohortComparisonMetricKey = keyof PerClassResult;
+
+/** One cohort's column in a definition comparison. */
+export type CohortComparisonColumn = Readonly<{
+  /** Cohort key; `null` for classes without a cohort. */
+  cohortKey: string | null;
+  label: string;
+  classCount: number;
+  studentCount: number;
+  perCohort: PerClassResult;
+  distributions: CohortComparisonCohort['distributions'];
+}>;
+
+/** One task row, with a cell per cohort column. */
+export type CohortComparisonTaskRow = Readonly<{
+  taskId: string;
+  taskLabel: string;
+  /** Per-task rollups aligned with the definition's `cohorts`; `null` when missing. */
+  cells: readonly (PerTaskRow | null)[];
+}>;
+
+/** Cohort-by-cohort comparison for one assignment definition. */
+export type CohortComparisonDefinition = Readonly<{
+  definitionKey: string;
+  title: string;
+  cohorts: readonly CohortComparisonColumn[];
+  tasks: readonly CohortComparisonTaskRow[];
+}>;
+
+/** Complete view model built by {@link buildCohortComparisonModel}. */
+export type CohortComparisonModel = Readonly<{
+  definitions: readonly CohortComparisonDefinition[];
+}>;
+
+/** Inputs for {@link buildCohortComparisonModel}. */
+export type CohortComparisonModelInput = Readonly<{
+  /** Every loaded class, active or not, so earlier cohorts are included. */
+  classes: readonly ClassFull[];
+  assignmentDefinitionPartials: AssignmentDefinitionPartialsResponse;
+  cohorts: readonly Cohort[];
+  analysisService: DataAnalysisService;
+}>;
+
+/**
+ * Order cohort keys chronologically.
+ *
+ * @param {ReadonlyArray<string | null>} cohortKeys - The keys to order.
+ * @param {readonly Cohort[]} cohorts - Cohort reference data.
+ * @returns {Array<string | null>} Known cohorts by start date, then unknown
+ *   keys in key order, then `null`.
+ */
+function orderCohortKeys(
+  cohortKeys: ReadonlyArray<string | null>,
+  cohorts: readonly Cohort[]
+): Array<string | null> {
+  const chronological = cohorts
+    .toSorted(
+      (left, right) => left.startYear - right.startYear || left.startMonth - right.startMonth
+    )
+    .map((cohort) => cohort.key);
+  return [
+    ...chronological.filter((key) => cohortKeys.includes(key)),
+    ...cohortKeys
+      .filter((key): key is string => key !== null && !chronological.includes(key))
+      .toSorted((left, right) => left.localeCompare(right)),
+    ...(cohortKeys.includes(null) ? [null] : []),
+  ];
+}
+
+/**
+ * Build the task rows for a definition.
+ *
+ * @param {readonly CohortComparisonCohort[]} cohorts - The ordered cohort results.
+ * @param {AssignmentDefinitionPartial | null} definition - The definition partial.
+ * @returns {CohortComparisonTaskRow[]} One row per task, in definition order
+ *   and then task-id order for tasks the definition no longer lists.
+ */
+function buildTaskRows(
+  cohorts: readonly CohortComparisonCohort[],
+  definition: AssignmentDefinitionPartial | null
+): CohortComparisonTaskRow[] {
+  const definitionTasks = definition?.tasks ?? [];
+  const definitionTaskIds = definitionTasks.map((task) => task.taskId);
+  const otherTaskIds = [
+    ...new Set(cohorts.flatMap((cohort) => cohort.perTask.map((row) => row.taskId))),
+  ]
+    .filter((taskId) => !definitionTaskIds.includes(taskId))
+    .toSorted((left, right) => left.localeCompare(right));
+
+  return [...definitionTaskIds, ...otherTaskIds].map((taskId) => ({
+    taskId,
+    taskLabel: definitionTasks.find((task) => task.taskId === taskId)?.taskTitle ?? taskId,
+    cells: cohorts.map((cohort) => cohort.perTask.find((row) => row.taskId === taskId) ?? null),
+  }));
+}
+
+/**
+ * Resolve one definition's comparison.
+ *
+ * @param {CohortComparisonResult} result - The analyser result.
+ * @param {CohortComparisonModelInput} input - The model input.
+ * @returns {CohortComparisonDefinition} The labelled, ordered comparison.
+ */
+function buildDefinition(
+  result: CohortComparisonResult,
+  input: CohortComparisonModelInput
+): CohortComparisonDefinition {
+  const definition = getAssignmentDefinitionPartial(
+    input.assignmentDefinitionPartials,
+    result.definitionKey
+  );
+  const orderedKeys = orderCohortKeys(
+    result.cohorts.map((cohort) => cohort.cohortKey),
+    input.cohorts
+  );
+  const cohorts = orderedKeys.map((key) =>
+    result.cohorts.find((cohort) => cohort.cohortKey === key)!
+  );
+
+  return {
+    definitionKey: result.definitionKey,
+    title: definition?.primaryTitle ?? result.definitionKey,
+    cohorts: cohorts.map((cohort) => ({
+      cohortKey: cohort.cohortKey,
+      label:
+        cohort.cohortKey === null
+          ? UNASSIGNED_GROUP_LABEL
+          : (input.cohorts.find((reference) => reference.key === cohort.cohortKey)?.name ??
+            cohort.cohortKey),
+      classCount: cohort.classIds.length,
+      studentCount: cohort.studentCount,
+      perCohort: cohort.perCohort,
+      distributions: cohort.distributions,
+    })),
+    tasks: buildTaskRows(cohorts, definition),
+  };
+}
+
+/**
+ * Compute the latest-minus-previous change for a task.
+ *
+ * @param {CohortComparisonDefinition} definition - The definition comparison.
+ * @param {CohortComparisonTaskRow} task - The task row.
+ * @param {CohortComparisonMetricKey} metricKey - The metric to compare.
+ * @returns {number | null} The change, or `null` when either of the two most
+ *   recent cohorts has no computed score for the task.
+ */
+export function computeTaskChange(
+  definition: CohortComparisonDefinition,
+  task: CohortComparisonTaskRow,
+  metricKey: CohortComparisonMetricKey
+): number | null {
+  const keyedIndexes = definition.cohorts.flatMap((cohort, index) =>
+    cohort.cohortKey === null ? [] : [index]
+  );
+  if (keyedIndexes.length < MIN_COHORTS_FOR_COMPARISON) {
+    return null;
+  }
+  const [previous, latest]: Array<MetricResult | undefined> = keyedIndexes
+    .slice(-MIN_COHORTS_FOR_COMPARISON)
+    .map((index) => task.cells[index]?.[metricKey]);
+  if (previous?.state !== 'computed' || latest?.state !== 'computed') {
+    return null;
+  }
+  return latest.value - previous.value;
+}
+
+/**
+ * Build the cohort comparison view model.
+ *
+ * @param {CohortComparisonModelInput} input - Classes, reference data and the
+ *   analysis service.
+ * @returns {CohortComparisonModel} Definitions set by two or more cohorts,
+ *   ordered by title.
+ */
+export function buildCohortComparisonModel(
+  input: CohortComparisonModelInput
+): CohortComparisonModel {
+  if (input.classes.length === 0) {
+    return { definitions: [] };
+  }
+
+  const results = input.analysisService.analyse(
+    {
+      filter: { classIds: input.classes.map((classFull) => classFull.classId) },
+      classes: [...input.classes],
+      assignmentDefinitionPartials: input.assignmentDefinitionPartials,
+    },
+    'cohortComparison'
+  );
+
+  return {
+    definitions: results
+      .filter(
+        (result) =>
+          result.cohorts.filter((cohort) => cohort.cohortKey !== null).length >=
+          MIN_COHORTS_FOR_COMPARISON
+      )
+      .map((result) => buildDefinition(result, input))
+      .toSorted((left, right) => left.title.localeCompare(right.title)),
+  };
+}
@@ -0,0 +1,294 @@
+/**
+ * Tests for `buildDepartmentQaModel` and `averageClassMetrics`.
+ *
+ * @remarks
+ * The model runs the real `DataAnalysisService`, so the class overalls used
+ * here are the same numbers the Class page shows.
+ */
+
+import { describe, expect, it } from 'vitest';
+import { DataAnalysisService } from '../../services/dataAnalysis/dataAnalysisService';
+import type { ClassFull } from '../../services/googleClassrooms/classDetail/classDetailService.zod';
+import type { ClassPartial } from '../../services/googleClassrooms/classPartials.zod';
+import type { AssignmentDefinitionPartialsResponse } from '../../services/assignmentDefinition/assignmentDefinitionPartials.zod';
+import {
+  createAssignmentPartial,
+  createClassFull,
+  createComputedMetricResult,
+  createDefinitionPartial,
+  createErrorMetricResult,
+  createNotAttemptedMetricResult,
+  createSubmission,
+  createSubmissionItem,
+} from '../../test/dataAnalysis/fixtures';
+import {
+  averageClassMetrics,
+  buildDepartmentQaModel,
+  MIN_CLASSES_FOR_OUTLIERS,
+  OUTLIER_Z_SCORE_THRESHOLD,
+  UNASSIGNED_GROUP_LABEL,
+  type DepartmentQaModelInput,
+} from './departmentQaModel';
+
+const NOW = Date.parse('2026-03-01T00:00:00.000Z');
+const RECENT = '2026-02-20T00:00:00.000Z';
+const OLD = '2025-12-01T00:00:00.000Z';
+const ESSAY_KEY = 'dk_essay';
+const QUIZ_KEY = 'dk_quiz';
+
+/** Score a class gets when its spec does not set one. */
+const DEFAULT_CLASS_SCORE = 3;
+/** Scores of the three classes in the grouping and comparison tests. */
+const LOW_SCORE = 2;
+const MID_SCORE = 4;
+const HIGH_SCORE = 5;
+/** Score shared by every class except the outlier. */
+const TYPICAL_SCORE = 4;
+/** Number of classes scoring `TYPICAL_SCORE` in the outlier test. */
+const TYPICAL_CLASS_COUNT = 5;
+
+type ClassSpec = Readonly<{
+  classId: string;
+  score?: number;
+  yearGroupKey?: string | null;
+  cohortKey?: string | null;
+  definitionKeys?: readonly string[];
+  updatedAt?: string;
+}>;
+
+/**
+ * Build a class with one student who scores `score` on every criterion of each
+ * definition, so the class overall equals `score`.
+ *
+ * @param {ClassSpec} spec - The class to build.
+ * @returns {ClassFull} The class fixture.
+ */
+function buildClass(spec: ClassSpec): ClassFull {
+  const {
+    classId,
+    score = DEFAULT_CLASS_SCORE,
+    yearGroupKey = 'yg-10',
+    cohortKey = null,
+    definitionKeys = [ESSAY_KEY],
+    updatedAt = RECENT,
+  } = spec;
+  const assessments = {
+    completeness: { score },
+    accuracy: { score },
+    spag: { score },
+  };
+  const assignments = definitionKeys.map((definitionKey) => ({
+    ...createAssignmentPartial({
+      assignmentId: `${classId}_${definitionKey}`,
+      definitionKey,
+      submissions: [
+        createSubmission('s_001', 'Ada', `${classId}_${definitionKey}`, {
+          t_001: createSubmissionItem('t_001', assessments),
+        }),
+      ],
+    }),
+    updatedAt,
+  }));
+  return {
+    ...createClassFull({
+      classId,
+      className: `Class ${classId}`,
+      studentIds: ['s_001'],
+      assignments,
+    }),
+    yearGroupKey,
+    cohortKey,
+  } as ClassFull;
+}
+
+/**
+ * Build the active class partial matching a class fixture.
+ *
+ * @param {ClassFull} classFull - The class fixture.
+ * @returns {ClassPartial} The partial.
+ */
+function toPartial(classFull: ClassFull): ClassPartial {
+  return {
+    classId: classFull.classId,
+    className: classFull.className,
+    cohortKey: classFull.cohortKey,
+    courseLength: classFull.courseLength,
+    yearGroupKey: classFull.yearGroupKey,
+    classOwner: classFull.classOwner,
+    teachers: classFull.teachers,
+    active: true,
+  };
+}
+
+/**
+ * Build the model input for a set of classes.
+ *
+ * @param {readonly ClassFull[]} classes - The loaded classes.
+ * @returns {DepartmentQaModelInput} The input.
+ */
+function buildModelInput(classes: readonly ClassFull[]): DepartmentQaModelInput {
+  return {
+    classPartials: classes.map((classFull) => toPartial(classFull)),
+    classes,
+    assignmentDefinitionPartials: [
+      { ...createDefinitionPartial({ definitionKey: ESSAY_KEY }), primaryTitle: 'Essay' },
+      { ...createDefinitionPartial({ definitionKey: QUIZ_KEY }), primaryTitle: 'Quiz' },
+    ] as AssignmentDefinitionPartialsResponse,
+    yearGroups: [
+      { key: 'yg-10', name: 'Year 10' },
+      { key: 'yg-11', name: 'Year 11' },
+    ],
+    cohorts: [{ key: 'c-2025', name: 'Cohort 2025', active: true, startYear: 2025, startMonth: 9 }],
+    analysisService: new DataAnalysisService(),
+    now: NOW,
+  };
+}
+
+describe('averageClassMetrics', () => {
+  it('averages computed class metrics and ignores error classes', () => {
+    const metric = averageClassMetrics([
+      createComputedMetricResult({ value: 2 }),
+      createComputedMetricResult({ value: 4 }),
+      createErrorMetricResult(),
+    ]);
+
+    expect(metric).toEqual(
+      expect.objectContaining({
+        state: 'computed',
+        value: 3,
+        applicableDataPoints: 2,
+        totalDataPoints: 3,
+      })
+    );
+  });
+
+  it('falls back to not attempted, then error, when no class has a score', () => {
+    expect(
+      averageClassMetrics([createNotAttemptedMetricResult(), createErrorMetricResult()]).state
+    ).toBe('notAttempted');
+    expect(averageClassMetrics([createErrorMetricResult()]).state).toBe('error');
+    expect(averageClassMetrics([]).state).toBe('error');
+  });
+});
+
+describe('buildDepartmentQaModel', () => {
+  it('averages class overalls per year group and cohort in reference order', () => {
+    const classes = [
+      buildClass({ classId: 'c1', score: LOW_SCORE, yearGroupKey: 'yg-11', cohortKey: 'c-2025' }),
+      buildClass({ classId: 'c2', score: MID_SCORE, yearGroupKey: 'yg-10', cohortKey: 'c-2025' }),
+      buildClass({ classId: 'c3', score: HIGH_SCORE, yearGroupKey: 'yg-11' }),
+    ];
+    const model = buildDepartmentQaModel(buildModelInput(classes));
+
+    expect(model.classCount).toBe(classes.length);
+    expect(model.departmentMean).toBeCloseTo((LOW_SCORE + MID_SCORE + HIGH_SCORE) / classes.length);
+    expect(
+      model.yearGroups.map(({ label, classCount, overall }) => ({
+        label,
+        classCount,
+        overall: overall.value,
+      }))
+    ).toEqual([
+      { label: 'Year 10', classCount: 1, overall: MID_SCORE },
+      { label: 'Year 11', classCount: 2, overall: 3.5 },
+    ]);
+    expect(
+      model.cohorts.map(({ key, label, overall }) => ({ key, label, overall: overall.value }))
+    ).toEqual([
+      { key: 'c-2025', label: 'Cohort 2025', overall: 3 },
+      { key: null, label: UNASSIGNED_GROUP_LABEL, overall: HIGH_SCORE },
+    ]);
+  });
+
+  it('compares classes per assignment definition using that definition only', () => {
+    const model = buildDepartmentQaModel(
+      buildModelInput([
+        buildClass({ classId: 'c1', score: LOW_SCORE, definitionKeys: [ESSAY_KEY, QUIZ_KEY] }),
+        buildClass({ classId: 'c2', score: MID_SCORE, definitionKeys: [QUIZ_KEY] }),
+        buildClass({ classId: 'c3', score: HIGH_SCORE, definitionKeys: [ESSAY_KEY] }),
+      ])
+    );
+
+    expect(
+      model.definitionComparisons.map(({ title, classes }) => [
+        title,
+        classes.map(({ classId, overall }) => [classId, overall.value]),
+      ])
+    ).toEqual([
+      [
+        'Essay',
+        [
+          ['c1', LOW_SCORE],
+          ['c3', HIGH_SCORE],
+        ],
+      ],
+      [
+        'Quiz',
+        [
+          ['c1', LOW_SCORE],
+          ['c2', MID_SCORE],
+        ],
+      ],
+    ]);
+  });
+
+  it('lists classes without assignments, then stale classes, and skips recent ones', () => {
+    const model = buildDepartmentQaModel(
+      buildModelInput([
+        buildClass({ classId: 'c1', updatedAt: OLD }),
+        buildClass({ classId: 'c2', definitionKeys: [] }),
+        buildClass({ classId: 'c3' }),
+      ])
+    );
+
+    expect(model.freshness).toEqual([
+      { classId: 'c2', className: 'Class c2', status: 'missing', lastActivityAt: null },
+      { classId: 'c1', className: 'Class c1', status: 'stale', lastActivityAt: OLD },
+    ]);
+  });
+
+  it('flags classes far from the department mean once enough classes have scores', () => {
+    const scores = [...Array.from({ length: TYPICAL_CLASS_COUNT }, () => TYPICAL_SCORE), 0];
+    const classes = scores.map((score, index) => buildClass({ classId: `c${index + 1}`, score }));
+
+    const model = buildDepartmentQaModel(buildModelInput(classes));
+
+    expect(model.outliers).toHaveLength(1);
+    expect(model.outliers[0]).toEqual(
+      expect.objectContaining({ classId: 'c6', overall: 0, direction: 'below' })
+    );
+    expect(model.outliers[0]?.zScore).toBeLessThan(-OUTLIER_Z_SCORE_THRESHOLD);
+
+    const small = buildDepartmentQaModel(
+      buildModelInput(classes.slice(-(MIN_CLASSES_FOR_OUTLIERS - 1)))
+    );
+    expect(small.outliers).toEqual([]);
+  });
+
+  it('only includes classes present in the class partials', () => {
+    const included = buildClass({ classId: 'c1' });
+    const input = buildModelInput([included]);
+
+    const model = buildDepartmentQaModel({
+      ...input,
+      classes: [included, buildClass({ classId: 'c_inactive', score: 0 })],
+    });
+
+    expect(model.classCount).toBe(1);
+    expect(model.departmentMean).toBeCloseTo(DEFAULT_CLASS_SCORE);
+  });
+
+  it('returns an empty model when no class has loaded', () => {
+    const model = buildDepartmentQaModel(buildModelInput([]));
+
+    expect(model).toEqual({
+      classCount: 0,
+      departmentMean: null,
+      yearGroups: [],
+      cohorts: [],
+      definitionComparisons: [],
+      freshness: [],
+      outliers: [],
+    });
+  });
+});
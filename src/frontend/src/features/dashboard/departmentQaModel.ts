@@ -0,0 +1,403 @@
+/**
+ * Department-wide Quality Assurance model for the Dashboard page.
+ *
+ * @remarks
+ * Every score on the dashboard comes from `DataAnalysisService` with the
+ * `'averaging'` analyser — the same analysis the Class page runs — so a
+ * class's overall here always matches its Class page average.
+ *
+ * - **Group averages** (year group and cohort) are the mean of the member
+ *   classes' overall averages; each class counts once, regardless of size.
+ * - **Assignment comparisons** re-run the analysis filtered to one assignment
+ *   definition, for every definition set by two or more classes.
+ * - **Assessment freshness** flags classes with no assignments (`missing`) and
+ *   classes whose latest assignment activity is older than
+ *   {@link STALE_ASSESSMENT_DAYS} (`stale`).
+ * - **Outliers** are classes whose overall average sits at least
+ *   {@link OUTLIER_Z_SCORE_THRESHOLD} standard deviations from the department
+ *   mean, once at least {@link MIN_CLASSES_FOR_OUTLIERS} classes have scores.
+ */
+
+import type { DataAnalysisService } from '../../services/dataAnalysis/dataAnalysisService';
+import type { AveragingResult, MetricResult } from '../../services/dataAnalysis/dataAnalysis.zod';
+import type { AssignmentDefinitionPartialsResponse } from '../../services/assignmentDefinition/assignmentDefinitionPartials.zod';
+import { getAssignmentDefinitionPartial } from '../../services/assignmentDefinition/assignmentDefinitionUtilities';
+import type { ClassFull } from '../../services/googleClassrooms/classDetail/classDetailService.zod';
+import type { ClassPartial } from '../../services/googleClassrooms/classPartials.zod';
+import type { Cohort, YearGroup } from '../../services/referenceData/referenceData.zod';
+
+/** Days without assignment activity after which a class is flagged as stale. */
+export const STALE_ASSESSMENT_DAYS = 42;
+
+/** Absolute z-score at or above which a class is flagged as an outlier. */
+export const OUTLIER_Z_SCORE_THRESHOLD = 1.5;
+
+/** Minimum number of scored classes before outliers are reported. */
+export const MIN_CLASSES_FOR_OUTLIERS = 4;
+
+/** Label used for classes without a year group or cohort. */
+export const UNASSIGNED_GROUP_LABEL = 'Unassigned';
+
+/** Static fallback label when a class name is `null`. */
+const DEFAULT_CLASS_NAME_LABEL = 'Class';
+
+const MILLISECONDS_PER_DAY = 86_400_000;
+
+/** One row of the year-group or cohort averages table. */
+export type DepartmentQaGroupRow = Readonly<{
+  /** Year-group or cohort key; `null` for classes without one. */
+  key: string | null;
+  label: string;
+  classCount: number;
+  overall: MetricResult;
+}>;
+
+/** One class's overall for a single assignment definition. */
+export type DepartmentQaDefinitionClassRow = Readonly<{
+  classId: string;
+  className: string;
+  overall: MetricResult;
+}>;
+
+/** Class-by-class comparison for an assignment definition set by several classes. */
+export type DepartmentQaDefinitionComparison = Readonly<{
+  definitionKey: string;
+  title: string;
+  classes: readonly DepartmentQaDefinitionClassRow[];
+}>;
+
+/** A class with no assignments, or none updated recently. */
+export type DepartmentQaFreshnessRow = Readonly<{
+  classId: string;
+  className: string;
+  status: 'missing' | 'stale';
+  /** ISO timestamp of the latest assignment activity, or `null` when missing. */
+  lastActivityAt: string | null;
+}>;
+
+/** A class whose overall average is far from the department mean. */
+export type DepartmentQaOutlierRow = Readonly<{
+  classId: string;
+  className: string;
+  overall: number;
+  zScore: number;
+  direction: 'above' | 'below';
+}>;
+
+/** Complete dashboard view model built by {@link buildDepartmentQaModel}. */
+export type DepartmentQaModel = Readonly<{
+  classCount: number;
+  /** Mean of the class overall averages, or `null` when no class has a score. */
+  departmentMean: number | null;
+  yearGroups: readonly DepartmentQaGroupRow[];
+  cohorts: readonly DepartmentQaGroupRow[];
+  definitionComparisons: readonly DepartmentQaDefinitionComparison[];
+  freshness: readonly DepartmentQaFreshnessRow[];
+  outliers: readonly DepartmentQaOutlierRow[];
+}>;
+
+/** Inputs for {@link buildDepartmentQaModel}. */
+export type DepartmentQaModelInput = Readonly<{
+  /** Active classes to include, in display order. */
+  classPartials: readonly ClassPartial[];
+  /** Loaded full classes for those partials; classes that failed to load are omitted. */
+  classes: readonly ClassFull[];
+  assignmentDefinitionPartials: AssignmentDefinitionPartialsResponse;
+  yearGroups: readonly YearGroup[];
+  cohorts: readonly Cohort[];
+  analysisService: DataAnalysisService;
+  /** Reference time for staleness, in epoch milliseconds. */
+  now: number;
+}>;
+
+/**
+ * Resolve a class display name.
+ *
+ * @param {string | null} className - The stored class name.
+ * @returns {string} The name, or a static fallback.
+ */
+function toClassName(className: string | null): string {
+  return className ?? DEFAULT_CLASS_NAME_LABEL;
+}
+
+/**
+ * Average a set of class-level metrics into one group metric.
+ *
+ * @param {readonly MetricResult[]} metrics - The class overall metrics.
+ * @returns {MetricResult} `computed` with the mean of the computed values;
+ *   otherwise `notAttempted` when any class is not attempted, else `error`.
+ *   Follows the analyser's rollup rule that `error` inputs are excluded.
+ */
+export function averageClassMetrics(metrics: readonly MetricResult[]): MetricResult {
+  const values = metrics.flatMap((metric) => (metric.state === 'computed' ? [metric.value] : []));
+  if (values.length > 0) {
+    return {
+      state: 'computed',
+      value: values.reduce((sum, value) => sum + value, 0) / values.length,
+      totalWeight: values.length,
+      applicableDataPoints: values.length,
+      totalDataPoints: metrics.length,
+    };
+  }
+  if (metrics.some((metric) => metric.state === 'notAttempted')) {
+    return {
+      state: 'notAttempted',
+      value: 'N',
+      totalWeight: 0,
+      applicableDataPoints: 0,
+      totalDataPoints: metrics.length,
+    };
+  }
+  return {
+    state: 'error',
+    value: 'E',
+    totalWeight: 0,
+    applicableDataPoints: 0,
+    totalDataPoints: metrics.length,
+  };
+}
+
+/**
+ * Group classes by a key and average their overall metrics.
+ *
+ * @param {readonly ClassFull[]} classes - The loaded classes.
+ * @param {ReadonlyMap<string, MetricResult>} overallByClassId - Class overall metrics.
+ * @param {(classFull: ClassFull) => string | null} readKey - Reads the grouping key.
+ * @param {ReadonlyArray<{ key: string; name: string }>} references - Reference data
+ *   supplying labels and display order.
+ * @returns {DepartmentQaGroupRow[]} Rows in reference order, then unknown keys,
+ *   then the unassigned group.
+ */
+function buildGroupRows(
+  classes: readonly ClassFull[],
+  overallByClassId: ReadonlyMap<string, MetricResult>,
+  readKey: (classFull: ClassFull) => string | null,
+  references: ReadonlyArray<{ key: string; name: string }>
+): DepartmentQaGroupRow[] {
+  const metricsByKey = new Map<string | null, MetricResult[]>();
+  for (const classFull of classes) {
+    const metric = overallByClassId.get(classFull.classId);
+    if (metric === undefined) {
+      continue;
+    }
+    const key = readKey(classFull);
+    metricsByKey.set(key, [...(metricsByKey.get(key) ?? []), metric]);
+  }
+
+  const referenceKeys = references.map((reference) => reference.key);
+  const orderedKeys = [
+    ...referenceKeys.filter((key) => metricsByKey.has(key)),
+    ...[...metricsByKey.keys()]
+      .filter((key): key is string => key !== null && !referenceKeys.includes(key))
+      .toSorted((left, right) => left.localeCompare(right)),
+    ...(metricsByKey.has(null) ? [null] : []),
+  ];
+
+  return orderedKeys.map((key) => {
+    const metrics = metricsByKey.get(key) ?? [];
+    return {
+      key,
+      label:
+        key === null
+          ? UNASSIGNED_GROUP_LABEL
+          : (references.find((reference) => reference.key === key)?.name ?? key),
+      classCount: metrics.length,
+      overall: averageClassMetrics(metrics),
+    };
+  });
+}
+
+/**
+ * Compare classes that set the same assignment definition.
+ *
+ * @param {DepartmentQaModelInput} input - The model input.
+ * @returns {DepartmentQaDefinitionComparison[]} One comparison per definition
+ *   set by two or more classes, ordered by title.
+ */
+function buildDefinitionComparisons(
+  input: DepartmentQaModelInput
+): DepartmentQaDefinitionComparison[] {
+  const classesByDefinitionKey = new Map<string, ClassFull[]>();
+  for (const classFull of input.classes) {
+    const definitionKeys = new Set(
+      classFull.assignments.map((assignment) => assignment.assignmentDefinitionKey)
+    );
+    for (const definitionKey of definitionKeys) {
+      classesByDefinitionKey.set(definitionKey, [
+        ...(classesByDefinitionKey.get(definitionKey) ?? []),
+        classFull,
+      ]);
+    }
+  }
+
+  return [...classesByDefinitionKey.entries()]
+    .filter(([, classes]) => classes.length > 1)
+    .map(([definitionKey, classes]) => {
+      const results = input.analysisService.analyse(
+        {
+          filter: {
+            classIds: classes.map((classFull) => classFull.classId),
+            assignmentDefinitionKeys: [definitionKey],
+          },
+          classes: [...classes],
+          assignmentDefinitionPartials: input.assignmentDefinitionPartials,
+        },
+        'averaging'
+      );
+      return {
+        definitionKey,
+        title:
+          getAssignmentDefinitionPartial(input.assignmentDefinitionPartials, definitionKey)
+            ?.primaryTitle ?? definitionKey,
+        classes: results.map((result) => ({
+          classId: result.classId,
+          className: toClassName(result.className),
+          overall: result.perClass.overall,
+        })),
+      };
+    })
+    .toSorted((left, right) => left.title.localeCompare(right.title));
+}
+
+/**
+ * Find the latest assignment activity in a class.
+ *
+ * @param {ClassFull} classFull - The class.
+ * @returns {string | null} The latest `updatedAt` (or `createdAt` when never
+ *   updated) across assignments, or `null` when the class has none.
+ */
+function findLastActivityAt(classFull: ClassFull): string | null {
+  const timestamps = classFull.assignments.map(
+    (assignment) => assignment.updatedAt ?? assignment.createdAt
+  );
+  return timestamps.toSorted((left, right) => Date.parse(right) - Date.parse(left))[0] ?? null;
+}
+
+/**
+ * List classes with missing or stale assessments.
+ *
+ * @param {readonly ClassFull[]} classes - The loaded classes.
+ * @param {number} now - Reference time in epoch milliseconds.
+ * @returns {DepartmentQaFreshnessRow[]} Missing classes first, then stale
+ *   classes from the longest-idle.
+ */
+function buildFreshnessRows(
+  classes: readonly ClassFull[],
+  now: number
+): DepartmentQaFreshnessRow[] {
+  const staleBefore = now - STALE_ASSESSMENT_DAYS * MILLISECONDS_PER_DAY;
+  const rows: DepartmentQaFreshnessRow[] = [];
+
+  for (const classFull of classes) {
+    const lastActivityAt = findLastActivityAt(classFull);
+    const base = { classId: classFull.classId, className: toClassName(classFull.className) };
+    if (lastActivityAt === null) {
+      rows.push({ ...base, status: 'missing', lastActivityAt });
+    } else if (Date.parse(lastActivityAt) < staleBefore) {
+      rows.push({ ...base, status: 'stale', lastActivityAt });
+    }
+  }
+
+  return rows.toSorted((left, right) => {
+    if (left.lastActivityAt === null || right.lastActivityAt === null) {
+      return Number(right.lastActivityAt === null) - Number(left.lastActivityAt === null);
+    }
+    return Date.parse(left.lastActivityAt) - Date.parse(right.lastActivityAt);
+  });
+}
+
+/**
+ * Flag classes whose overall average is far from the department mean.
+ *
+ * @param {readonly AveragingResult[]} results - The department analysis.
+ * @returns {{ departmentMean: number | null; outliers: DepartmentQaOutlierRow[] }}
+ *   The mean of the scored classes and the outliers, furthest first.
+ */
+function buildOutliers(results: readonly AveragingResult[]): {
+  departmentMean: number | null;
+  outliers: DepartmentQaOutlierRow[];
+} {
+  const scored = results.flatMap((result) =>
+    result.perClass.overall.state === 'computed'
+      ? [{ result, overall: result.perClass.overall.value }]
+      : []
+  );
+  if (scored.length === 0) {
+    return { departmentMean: null, outliers: [] };
+  }
+
+  const departmentMean = scored.reduce((sum, { overall }) => sum + overall, 0) / scored.length;
+  const deviations = scored.map(({ overall }) => overall - departmentMean);
+  const variance =
+    deviations.reduce((sum, deviation) => sum + deviation * deviation, 0) / scored.length;
+  const standardDeviation = Math.sqrt(variance);
+  if (scored.length < MIN_CLASSES_FOR_OUTLIERS || standardDeviation === 0) {
+    return { departmentMean, outliers: [] };
+  }
+
+  const outliers = scored
+    .map(({ result, overall }) => ({
+      classId: result.classId,
+      className: toClassName(result.className),
+      overall,
+      zScore: (overall - departmentMean) / standardDeviation,
+      direction: overall >= departmentMean ? ('above' as const) : ('below' as const),
+    }))
+    .filter((row) => Math.abs(row.zScore) >= OUTLIER_Z_SCORE_THRESHOLD)
+    .toSorted((left, right) => Math.abs(right.zScore) - Math.abs(left.zScore));
+
+  return { departmentMean, outliers };
+}
+
+/**
+ * Build the department-wide QA view model.
+ *
+ * @param {DepartmentQaModelInput} input - Classes, reference data and the
+ *   analysis service.
+ * @returns {DepartmentQaModel} The dashboard view model.
+ */
+export function buildDepartmentQaModel(input: DepartmentQaModelInput): DepartmentQaModel {
+  const classOrder = new Map(input.classPartials.map((partial, index) => [partial.classId, index]));
+  const classes = input.classes
+    .filter((classFull) => classOrder.has(classFull.classId))
+    .toSorted(
+      (left, right) => (classOrder.get(left.classId) ?? 0) - (classOrder.get(right.classId) ?? 0)
+    );
+  const scopedInput = { ...input, classes };
+
+  const results: AveragingResult[] =
+    classes.length === 0
+      ? []
+      : input.analysisService.analyse(
+          {
+            filter: { classIds: classes.map((classFull) => classFull.classId) },
+            classes: [...classes],
+            assignmentDefinitionPartials: input.assignmentDefinitionPartials,
+          },
+          'averaging'
+        );
+  const overallByClassId = new Map(
+    results.map((result) => [result.classId, result.perClass.overall])
+  );
+  const { departmentMean, outliers } = buildOutliers(results);
+
+  return {
+    classCount: classes.length,
+    departmentMean,
+    yearGroups: buildGroupRows(
+      classes,
+      overallByClassId,
+      (classFull) => classFull.yearGroupKey,
+      input.yearGroups
+    ),
+    cohorts: buildGroupRows(
+      classes,
+      overallByClassId,
+      (classFull) => classFull.cohortKey,
+      input.cohorts
+    ),
+    definitionComparisons: buildDefinitionComparisons(scopedInput),
+    freshness: buildFreshnessRows(classes, input.now),
+    outliers,
+  };
+}
@@ -0,0 +1,125 @@
+/**
+ * Data orchestrator hook for the dashboard's cohort comparison view.
+ *
+ * @remarks
+ * Unlike {@link useDepartmentQaData}, this reads the full class for every
+ * class partial — inactive ones included — because earlier cohorts usually
+ * sit in archived classes. Full reads go through the shared `getABClass`
+ * query, so active classes already loaded by the dashboard are not refetched.
+ *
+ * Classes whose full read fails, or returns `null`, are left out and counted
+ * in `unavailableClassCount`. Dataset failures and analysis errors block the
+ * view.
+ */
+
+import { useMemo } from 'react';
+import { useQueries } from '@tanstack/react-query';
+import {
+  computeDatasetRenderable,
+  computePageSurfaceBlocking,
+  usePageDataset,
+} from '../../hooks/usePageDataset';
+import { getABClassQueryOptions } from '../../query/sharedQueries';
+import { DataAnalysisService } from '../../services/dataAnalysis/dataAnalysisService';
+import { logFrontendError } from '../../logging/frontendLogger';
+import type { AssignmentDefinitionPartialsResponse } from '../../services/assignmentDefinition/assignmentDefinitionPartials.zod';
+import type { ClassPartialsResponse } from '../../services/googleClassrooms/classPartials.zod';
+import type { CohortListResponse } from '../../services/referenceData/referenceData.zod';
+import { buildCohortComparisonModel, type CohortComparisonModel } from './cohortComparisonModel';
+import { combineClassQueries } from './useDepartmentQaData';
+
+/** Combined surface state for the cohort comparison view. */
+export type CohortComparisonSurfaceState =
+  | { status: 'loading' }
+  | { status: 'blocking' }
+  | { status: 'ready'; model: CohortComparisonModel };
+
+/** Values returned by {@link useCohortComparisonData}. */
+export type CohortComparisonData = Readonly<{
+  surfaceState: CohortComparisonSurfaceState;
+  /** Classes whose full read failed or returned no class. */
+  unavailableClassCount: number;
+  /** Refetch the warm-up datasets and every class query. */
+  refetch: () => void;
+}>;
+
+/**
+ * Create the module-level `DataAnalysisService` instance.
+ *
+ * A factory function is used so that `vi.mock` patching of `DataAnalysisService`
+ * as a function (not a class constructor) works correctly in tests.
+ *
+ * @returns {DataAnalysisService} A new service instance.
+ */
+function createAnalysisService(): DataAnalysisService {
+  return new DataAnalysisService();
+}
+
+const _analysisService: DataAnalysisService = createAnalysisService();
+
+/**
+ * Data orchestrator hook for the cohort comparison view.
+ *
+ * @returns {CohortComparisonData} Surface state, unavailable-class count and retry.
+ */
+export function useCohortComparisonData(): CohortComparisonData {
+  const classPartials = usePageDataset<ClassPartialsResponse>('classPartials');
+  const definitionPartials = usePageDataset<AssignmentDefinitionPartialsResponse>(
+    'assignmentDefinitionPartials'
+  );
+  const cohorts = usePageDataset<CohortListResponse>('cohorts');
+  const datasets = [classPartials, definitionPartials, cohorts];
+
+  const {
+    loadedClasses,
+    isPending: isClassQueryPending,
+    unavailableCount: unavailableClassCount,
+    refetchAll: refetchClasses,
+  } = useQueries({
+    queries: (classPartials.query.data ?? []).map((partial) =>
+      getABClassQueryOptions(partial.classId)
+    ),
+    combine: combineClassQueries,
+  });
+
+  const isBlocking = datasets.some(({ datasetState }) => computePageSurfaceBlocking(datasetState));
+  const isRenderable = datasets.every(({ datasetState }) => computeDatasetRenderable(datasetState));
+  const canBuildModel = !isBlocking && isRenderable && !isClassQueryPending;
+
+  const modelResult = useMemo<CohortComparisonModel | Error | null>(() => {
+    if (!canBuildModel) {
+      return null;
+    }
+    try {
+      return buildCohortComparisonModel({
+        classes: loadedClasses,
+        assignmentDefinitionPartials: definitionPartials.query.data ?? [],
+        cohorts: cohorts.query.data ?? [],
+        analysisService: _analysisService,
+      });
+    } catch (error_: unknown) {
+      logFrontendError('useCohortComparisonData.buildCohortComparisonModel', error_);
+      return error_ instanceof Error ? error_ : new Error(String(error_));
+    }
+  }, [canBuildModel, loadedClasses, definitionPartials.query.data, cohorts.query.data]);
+
+  let surfaceState: CohortComparisonSurfaceState;
+  if (isBlocking || modelResult instanceof Error) {
+    surfaceState = { status: 'blocking' };
+  } else if (modelResult === null) {
+    surfaceState = { status: 'loading' };
+  } else {
+    surfaceState = { status: 'ready', model: modelResult };
+  }
+
+  return {
+    surfaceState,
+    unavailableClassCount,
+    refetch: () => {
+      for (const { query } of datasets) {
+        void query.refetch();
+      }
+      refetchClasses();
+    },
+  };
+}
@@ -0,0 +1,177 @@
+/**
+ * Data orchestrator hook for the department-wide QA dashboard.
+ *
+ * @remarks
+ * Reads the warm-up `classPartials`, `assignmentDefinitionPartials`,
+ * `yearGroups` and `cohorts` datasets, fetches the full class for every
+ * active class partial through the shared `getABClass` query (so the cache is
+ * shared with the Class page), then builds the {@link DepartmentQaModel}.
+ *
+ * Classes whose full read fails, or returns `null`, are left out of the
+ * analysis and counted in `unavailableClassCount`; one broken class does not
+ * block the dashboard. Dataset failures and analysis errors do block it.
+ */
+
+import { useMemo, useState } from 'react';
+import { useQueries, type UseQueryResult } from '@tanstack/react-query';
+import {
+  computeDatasetRenderable,
+  computePageSurfaceBlocking,
+  usePageDataset,
+} from '../../hooks/usePageDataset';
+import { getABClassQueryOptions } from '../../query/sharedQueries';
+import { DataAnalysisService } from '../../services/dataAnalysis/dataAnalysisService';
+import { logFrontendError } from '../../logging/frontendLogger';
+import type { AssignmentDefinitionPartialsResponse } from '../../services/assignmentDefinition/assignmentDefinitionPartials.zod';
+import type { ClassFull } from '../../services/googleClassrooms/classDetail/classDetailService.zod';
+import type { ClassPartialsResponse } from '../../services/googleClassrooms/classPartials.zod';
+import type {
+  CohortListResponse,
+  YearGroupListResponse,
+} from '../../services/referenceData/referenceData.zod';
+import { buildDepartmentQaModel, type DepartmentQaModel } from './departmentQaModel';
+
+/** Combined surface state for the QA dashboard. */
+export type DepartmentQaSurfaceState =
+  { status: 'loading' } | { status: 'blocking' } | { status: 'ready'; model: DepartmentQaModel };
+
+/** Values returned by {@link useDepartmentQaData}. */
+export type DepartmentQaData = Readonly<{
+  surfaceState: DepartmentQaSurfaceState;
+  /** Active classes whose full read failed or returned no class. */
+  unavailableClassCount: number;
+  /** Refetch the warm-up datasets and every class query. */
+  refetch: () => void;
+}>;
+
+/**
+ * Create the module-level `DataAnalysisService` instance.
+ *
+ * A factory function is used so that `vi.mock` patching of `DataAnalysisService`
+ * as a function (not a class constructor) works correctly in tests.
+ *
+ * @returns {DataAnalysisService} A new service instance.
+ */
+function createAnalysisService(): DataAnalysisService {
+  return new DataAnalysisService();
+}
+
+const _analysisService: DataAnalysisService = createAnalysisService();
+
+/** Combined view of the per-class full-read queries. */
+export type ClassQueriesState = Readonly<{
+  loadedClasses: ClassFull[];
+  isPending: boolean;
+  unavailableCount: number;
+  refetchAll: () => void;
+}>;
+
+/**
+ * Combine the per-class query results.
+ *
+ * Defined at module level so React Query keeps the combined result stable
+ * between renders while the underlying queries are unchanged.
+ *
+ * @param {UseQueryResult<ClassFull | null, Error>[]} queries - Per-class query results.
+ * @returns {ClassQueriesState} Loaded classes, pending flag and retry.
+ */
+export function combineClassQueries(
+  queries: UseQueryResult<ClassFull | null, Error>[]
+): ClassQueriesState {
+  const loadedClasses = queries.flatMap((query) => (query.data ? [query.data] : []));
+  const isPending = queries.some((query) => query.isPending);
+  return {
+    loadedClasses,
+    isPending,
+    unavailableCount: isPending ? 0 : queries.length - loadedClasses.length,
+    refetchAll: () => {
+      for (const query of queries) {
+        void query.refetch();
+      }
+    },
+  };
+}
+
+/**
+ * Data orchestrator hook for the department-wide QA dashboard.
+ *
+ * @returns {DepartmentQaData} Surface state, unavailable-class count and retry.
+ */
+export function useDepartmentQaData(): DepartmentQaData {
+  const classPartials = usePageDataset<ClassPartialsResponse>('classPartials');
+  const definitionPartials = usePageDataset<AssignmentDefinitionPartialsResponse>(
+    'assignmentDefinitionPartials'
+  );
+  const yearGroups = usePageDataset<YearGroupListResponse>('yearGroups');
+  const cohorts = usePageDataset<CohortListResponse>('cohorts');
+  const datasets = [classPartials, definitionPartials, yearGroups, cohorts];
+
+  const activeClassPartials = useMemo(
+    () => (classPartials.query.data ?? []).filter((partial) => partial.active !== false),
+    [classPartials.query.data]
+  );
+
+  const classQueries = useQueries({
+    queries: activeClassPartials.map((partial) => getABClassQueryOptions(partial.classId)),
+    combine: combineClassQueries,
+  });
+  const {
+    loadedClasses,
+    isPending: isClassQueryPending,
+    unavailableCount: unavailableClassCount,
+    refetchAll: refetchClasses,
+  } = classQueries;
+  const [now] = useState(() => Date.now());
+
+  const isBlocking = datasets.some(({ datasetState }) => computePageSurfaceBlocking(datasetState));
+  const isRenderable = datasets.every(({ datasetState }) => computeDatasetRenderable(datasetState));
+  const canBuildModel = !isBlocking && isRenderable && !isClassQueryPending;
+
+  const modelResult = useMemo<DepartmentQaModel | Error | null>(() => {
+    if (!canBuildModel) {
+      return null;
+    }
+    try {
+      return buildDepartmentQaModel({
+        classPartials: activeClassPartials,
+        classes: loadedClasses,
+        assignmentDefinitionPartials: definitionPartials.query.data ?? [],
+        yearGroups: yearGroups.query.data ?? [],
+        cohorts: cohorts.query.data ?? [],
+        analysisService: _analysisService,
+        now,
+      });
+    } catch (error_: unknown) {
+      logFrontendError('useDepartmentQaData.buildDepartmentQaModel', error_);
+      return error_ instanceof Error ? error_ : new Error(String(error_));
+    }
+  }, [
+    canBuildModel,
+    activeClassPartials,
+    loadedClasses,
+    definitionPartials.query.data,
+    yearGroups.query.data,
+    cohorts.query.data,
+    now,
+  ]);
+
+  let surfaceState: DepartmentQaSurfaceState;
+  if (isBlocking || modelResult instanceof Error) {
+    surfaceState = { status: 'blocking' };
+  } else if (modelResult === null) {
+    surfaceState = { status: 'loading' };
+  } else {
+    surfaceState = { status: 'ready', model: modelResult };
+  }
+
+  return {
+    surfaceState,
+    unavailableClassCount,
+    refetch: () => {
+      for (const { query } of datasets) {
+        void query.refetch();
+      }
+      refetchClasses();
+    },
+  };
+}
@@ -0,0 +1,176 @@
+import { Button, Card, Checkbox, Form, Input, InputNumber, Select, Typography } from 'antd';
+import type { FormInstance, FormListFieldData, FormListOperation } from 'antd';
+import { assessorProfileTaskTypeValues } from '../../../services/backendConfiguration/backendConfiguration.zod';
+import {
+  createAssessorProfileFieldValidator,
+  type AssessorProfileFieldName,
+} from './assessorProfileFieldValidation';
+import type {
+  BackendSettingsAssessorProfileForm,
+  BackendSettingsForm,
+} from './backendSettingsForm.zod';
+import { APP_GAP_LG } from '../../../theme/spacing';
+
+const { Text } = Typography;
+
+const defaultAssessorProfileBatchSize = 30;
+
+const taskTypeOptions = assessorProfileTaskTypeValues.map((taskType) => ({
+  label: taskType,
+  value: taskType,
+}));
+
+const newAssessorProfile = {
+  hasApiKey: false,
+  name: '',
+  apiKey: '',
+  backendUrl: '',
+  batchSize: defaultAssessorProfileBatchSize,
+  taskTypes: [...assessorProfileTaskTypeValues],
+  failoverProfile: null,
+} satisfies BackendSettingsAssessorProfileForm;
+
+type AssessorProfilesFieldsProperties = Readonly<{
+  form: FormInstance<BackendSettingsForm>;
+  hasApiKey: boolean;
+}>;
+
+/**
+ * Lists the failover choices for one profile: `Default` and every other named profile.
+ *
+ * @param {ReadonlyArray<Partial<BackendSettingsAssessorProfileForm>> | undefined} profiles The profiles being edited.
+ * @param {number} index The profile choosing a failover.
+ * @returns {Array<{ label: string; value: string }>} The select options.
+ */
+function buildFailoverOptions(
+  profiles: ReadonlyArray<Partial<BackendSettingsAssessorProfileForm>> | undefined,
+  index: number
+) {
+  const names = (profiles ?? [])
+    .filter((_profile, candidateIndex) => candidateIndex !== index)
+    .map((profile) => profile.name?.trim() ?? '')
+    .filter((name) => name !== '');
+
+  return ['Default', ...names].map((name) => ({ label: name, value: name }));
+}
+
+/**
+ * Renders the fields for one assessor profile.
+ *
+ * @param {Readonly<{ field: FormListFieldData; remove: FormListOperation['remove']; failoverOptions: Array<{ label: string; value: string }>; properties: AssessorProfilesFieldsProperties; }>} dependencies Row-render dependencies.
+ * @returns {JSX.Element} The profile card.
+ */
+function renderAssessorProfile(
+  dependencies: Readonly<{
+    field: FormListFieldData;
+    remove: FormListOperation['remove'];
+    failoverOptions: Array<{ label: string; value: string }>;
+    properties: AssessorProfilesFieldsProperties;
+  }>
+) {
+  const { failoverOptions, field, properties, remove } = dependencies;
+  const position = field.name + 1;
+  const rules = (fieldName: AssessorProfileFieldName) => [
+    {
+      validator: createAssessorProfileFieldValidator(
+        properties.form,
+        properties.hasApiKey,
+        field.name,
+        fieldName
+      ),
+    },
+  ];
+  const hasStoredKey = properties.form.getFieldValue([
+    'assessorProfiles',
+    field.name,
+    'hasApiKey',
+  ]) as boolean;
+
+  return (
+    <Card
+      key={field.key}
+      size="small"
+      title={`Profile ${position}`}
+      extra={<Button onClick={() => remove(field.name)}>Remove</Button>}
+      style={{ marginBottom: APP_GAP_LG }}
+    >
+      <Form.Item label="Name" name={[field.name, 'name']} rules={rules('name')}>
+        <Input aria-label={`Profile ${position} name`} autoComplete="off" />
+      </Form.Item>
+      <Form.Item label="Backend URL" name={[field.name, 'backendUrl']} rules={rules('backendUrl')}>
+        <Input aria-label={`Profile ${position} backend URL`} autoComplete="url" />
+      </Form.Item>
+      <Form.Item
+        label="API key"
+        name={[field.name, 'apiKey']}
+        rules={rules('apiKey')}
+        extra={hasStoredKey ? 'Leave blank to keep the stored key.' : undefined}
+      >
+        <Input.Password aria-label={`Profile ${position} API key`} autoComplete="new-password" />
+      </Form.Item>
+      <Form.Item label="Batch size" name={[field.name, 'batchSize']} rules={rules('batchSize')}>
+        <InputNumber
+          aria-label={`Profile ${position} batch size`}
+          min={1}
+          max={500}
+          precision={0}
+          style={{ width: '100%' }}
+        />
+      </Form.Item>
+      <Form.Item label="Task types" name={[field.name, 'taskTypes']} rules={rules('taskTypes')}>
+        <Checkbox.Group options={taskTypeOptions} />
+      </Form.Item>
+      <Form.Item
+        label="Fail over to"
+        name={[field.name, 'failoverProfile']}
+        rules={rules('failoverProfile')}
+      >
+        <Select
+          allowClear
+          aria-label={`Profile ${position} failover`}
+          options={failoverOptions}
+          placeholder="No failover"
+        />
+      </Form.Item>
+    </Card>
+  );
+}
+
+/**
+ * Renders the editable list of named assessor profiles.
+ *
+ * @remarks
+ * Assignment definitions pick a profile by name; those that do not use the backend settings
+ * above, shown here as `Default`. A profile only receives tasks of its task types, and fails over
+ * to its failover profile when it keeps returning server errors.
+ *
+ * @param {AssessorProfilesFieldsProperties} properties Field-list properties.
+ * @returns {JSX.Element} The assessor profile fields.
+ */
+export function AssessorProfilesFields(properties: AssessorProfilesFieldsProperties) {
+  const profiles = Form.useWatch('assessorProfiles', properties.form);
+
+  return (
+    <>
+      <Text type="secondary" style={{ display: 'block', marginBottom: APP_GAP_LG }}>
+        Assignment definitions use the backend settings above unless they name one of these
+        profiles.
+      </Text>
+      <Form.List name="assessorProfiles">
+        {(fields, { add, remove }) => (
+          <>
+            {fields.map((field) =>
+              renderAssessorProfile({
+                field,
+                remove,
+                failoverOptions: buildFailoverOptions(profiles, field.name),
+                properties,
+              })
+            )}
+            <Button onClick={() => add({ ...newAssessorProfile })}>Add profile</Button>
+          </>
+        )}
+      </Form.List>
+    </>
+  );
+}
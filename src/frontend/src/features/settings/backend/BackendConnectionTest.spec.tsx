@@ -0,0 +1,145 @@
+import { fireEvent, render, screen, within } from '@testing-library/react';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { ApiTransportError } from '../../../errors/apiTransportError';
+import type { AssessorCapabilities } from '../../../services/backendConfiguration/backendConfiguration.zod';
+import { BackendConnectionTest } from './BackendConnectionTest';
+
+const { testBackendConnectionMock } = vi.hoisted(() => ({
+  testBackendConnectionMock: vi.fn(),
+}));
+
+vi.mock('../../../services/backendConfiguration/backendConfigurationService', () => ({
+  testBackendConnection: testBackendConnectionMock,
+}));
+
+vi.mock('../../../logging/frontendLogger', () => ({
+  logFrontendError: vi.fn(),
+}));
+
+const detectedCapabilities: AssessorCapabilities = {
+  apiVersions: ['v2', 'v1'],
+  apiVersion: 'v1',
+  taskTypes: ['TEXT', 'TABLE'],
+  customCriteria: false,
+  defaultCriteria: [{ key: 'quality', label: 'Quality', maxScore: 3 }],
+  maxPayloadBytes: 65_536,
+  legacy: false,
+  checkedAt: '2026-10-19T09:00:00.000Z',
+};
+
+/**
+ * Renders the connection test and clicks its button.
+ *
+ * @returns {void} Nothing.
+ */
+function runConnectionTest(): void {
+  render(<BackendConnectionTest disabled={false} />);
+  fireEvent.click(screen.getByRole('button', { name: 'Test connection' }));
+}
+
+describe('BackendConnectionTest', () => {
+  afterEach(() => {
+    testBackendConnectionMock.mockReset();
+  });
+
+  it('shows the latency and detected capabilities after a successful test', async () => {
+    testBackendConnectionMock.mockResolvedValueOnce({
+      success: true,
+      latencyMs: 182,
+      capabilities: detectedCapabilities,
+    });
+
+    runConnectionTest();
+
+    expect(await screen.findByText('Connected in 182 ms.')).toBeInTheDocument();
+    const capabilities = screen.getByLabelText('Detected capabilities');
+    expect(within(capabilities).getByText('v2, v1')).toBeInTheDocument();
+    expect(within(capabilities).getByText('TEXT, TABLE')).toBeInTheDocument();
+    expect(within(capabilities).getByText('Quality (out of 3)')).toBeInTheDocument();
+    expect(within(capabilities).getByText('64 KB')).toBeInTheDocument();
+    expect(screen.queryByText(/does not publish its capabilities/u)).not.toBeInTheDocument();
+  });
+
+  it('notes when a legacy backend is assumed to be the v1 assessor', async () => {
+    testBackendConnectionMock.mockResolvedValueOnce({
+      success: true,
+      latencyMs: 95,
+      capabilities: {
+        ...detectedCapabilities,
+        apiVersions: ['v1'],
+        taskTypes: ['TEXT', 'TABLE', 'IMAGE'],
+        customCriteria: true,
+        maxPayloadBytes: null,
+        legacy: true,
+      },
+    });
+
+    runConnectionTest();
+
+    expect(await screen.findByText(/does not publish its capabilities/u)).toBeInTheDocument();
+    expect(screen.getByText('Custom criteria')).toBeInTheDocument();
+    expect(screen.getByText('No limit')).toBeInTheDocument();
+  });
+
+  it('shows the failure reported by the backend', async () => {
+    testBackendConnectionMock.mockResolvedValueOnce({
+      success: false,
+      error: 'The backend rejected the API key (401).',
+    });
+
+    runConnectionTest();
+
+    expect(await screen.findByRole('alert')).toHaveTextContent(
+      'The backend rejected the API key (401).'
+    );
+    expect(screen.queryByLabelText('Detected capabilities')).not.toBeInTheDocument();
+  });
+
+  it('shows generic copy when the test cannot run', async () => {
+    testBackendConnectionMock.mockRejectedValueOnce(
+      new ApiTransportError({
+        requestId: 'req-connection-test',
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Backend exploded.',
+          retriable: false,
+        },
+      })
+    );
+
+    runConnectionTest();
+
+    expect(await screen.findByRole('alert')).toHaveTextContent(
+      'Unable to test the connection right now.'
+    );
+  });
+
+  it('disables the button when the panel is busy', () => {
+    render(<BackendConnectionTest disabled />);
+
+    expect(screen.getByRole('button', { name: 'Test connection' })).toBeDisabled();
+  });
+
+  it('tests the chosen saved assessor profile', async () => {
+    testBackendConnectionMock.mockResolvedValueOnce({ success: false, error: 'Unreachable.' });
+    render(<BackendConnectionTest disabled={false} profileNames={['Homework']} />);
+
+    fireEvent.mouseDown(screen.getByRole('combobox', { name: 'Assessor profile to test' }));
+    fireEvent.click(await screen.findByTitle('Homework'));
+    fireEvent.click(screen.getByRole('button', { name: 'Test connection' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Unreachable.');
+    expect(testBackendConnectionMock).toHaveBeenCalledWith('Homework');
+  });
+
+  it('tests the default profile without a profile choice when none are saved', async () => {
+    testBackendConnectionMock.mockResolvedValueOnce({ success: false, error: 'Unreachable.' });
+    render(<BackendConnectionTest disabled={false} profileNames={[]} />);
+
+    expect(screen.queryByRole('combobox')).not.toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Test connection' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Unreachable.');
+    expect(testBackendConnectionMock).toHaveBeenCalledWith(undefined);
+  });
+});
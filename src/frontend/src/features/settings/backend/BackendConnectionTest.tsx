@@ -0,0 +1,160 @@
+import { Alert, Button, Select, Typography } from 'antd';
+import { useState } from 'react';
+import type {
+  AssessorCapabilities,
+  BackendConnectionTestResult,
+} from '../../../services/backendConfiguration/backendConfiguration.zod';
+import { useBackendConnectionTest } from './useBackendConnectionTest';
+import { APP_GAP_LG, APP_GAP_SM } from '../../../theme/spacing';
+
+const { Text } = Typography;
+
+const BYTES_PER_KILOBYTE = 1024;
+
+const defaultProfileOptionValue = '';
+
+const legacyBackendCopy =
+  'This backend does not publish its capabilities, so the original v1 assessor is assumed.';
+
+type BackendConnectionTestProperties = Readonly<{
+  disabled: boolean;
+  profileNames?: ReadonlyArray<string>;
+}>;
+
+/**
+ * Formats a request size limit for display.
+ *
+ * @param {number | null} maxPayloadBytes The limit in bytes, or null when there is none.
+ * @returns {string} The display copy.
+ */
+function formatMaxPayload(maxPayloadBytes: number | null): string {
+  if (maxPayloadBytes === null) {
+    return 'No limit';
+  }
+
+  if (maxPayloadBytes < BYTES_PER_KILOBYTE) {
+    return `${maxPayloadBytes} bytes`;
+  }
+
+  return `${Math.round(maxPayloadBytes / BYTES_PER_KILOBYTE)} KB`;
+}
+
+/**
+ * Formats the criteria a backend scores for display.
+ *
+ * @param {AssessorCapabilities} capabilities The detected capabilities.
+ * @returns {string} The display copy.
+ */
+function formatCriteria(capabilities: AssessorCapabilities): string {
+  if (capabilities.customCriteria) {
+    return 'Custom criteria';
+  }
+
+  return capabilities.defaultCriteria
+    .map((criterion) => `${criterion.label} (out of ${criterion.maxScore})`)
+    .join(', ');
+}
+
+/**
+ * Renders the capabilities detected by a successful connection test.
+ *
+ * @param {Readonly<{ capabilities: AssessorCapabilities }>} properties The detected capabilities.
+ * @returns {JSX.Element} The capability list.
+ */
+function DetectedCapabilities(properties: Readonly<{ capabilities: AssessorCapabilities }>) {
+  const { capabilities } = properties;
+  const rows = [
+    ['API version', capabilities.apiVersion],
+    ['Supported API versions', capabilities.apiVersions.join(', ')],
+    ['Task types', capabilities.taskTypes.join(', ')],
+    ['Criteria', formatCriteria(capabilities)],
+    ['Max request size', formatMaxPayload(capabilities.maxPayloadBytes)],
+    ['Checked at', new Date(capabilities.checkedAt).toLocaleString()],
+  ] as const;
+
+  return (
+    <dl aria-label="Detected capabilities" style={{ margin: 0 }}>
+      {rows.map(([label, value]) => (
+        <div key={label}>
+          <dt style={{ display: 'inline' }}>
+            <Text type="secondary">{label}: </Text>
+          </dt>
+          <dd style={{ display: 'inline', margin: 0 }}>{value}</dd>
+        </div>
+      ))}
+    </dl>
+  );
+}
+
+/**
+ * Renders the outcome of a completed connection test.
+ *
+ * @param {BackendConnectionTestResult} result The connection test result.
+ * @returns {JSX.Element} The failure notice, or the latency and detected capabilities.
+ */
+function renderBackendConnectionTestResult(result: BackendConnectionTestResult) {
+  if (!result.success) {
+    return <Alert title={result.error} showIcon type="error" />;
+  }
+
+  return (
+    <>
+      <Alert title={`Connected in ${result.latencyMs} ms.`} showIcon type="success" />
+      {result.capabilities.legacy ? <Alert title={legacyBackendCopy} showIcon type="info" /> : null}
+      <DetectedCapabilities capabilities={result.capabilities} />
+    </>
+  );
+}
+
+/**
+ * Renders the backend connection test and the capabilities it detects.
+ *
+ * @remarks
+ * The test runs against the saved backend URL and API key, so the helper copy says so; unsaved
+ * form edits are not tested until they are saved. When saved assessor profiles exist, a select
+ * chooses which profile to test; the default profile is the backend settings above.
+ *
+ * @param {BackendConnectionTestProperties} properties Connection test properties.
+ * @returns {JSX.Element} The connection test section content.
+ */
+export function BackendConnectionTest(properties: BackendConnectionTestProperties) {
+  const { isTesting, result, testConnection, testError } = useBackendConnectionTest();
+  const [profileName, setProfileName] = useState(defaultProfileOptionValue);
+  const profileNames = properties.profileNames ?? [];
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: APP_GAP_LG, width: '100%' }}>
+      <div>
+        {profileNames.length === 0 ? null : (
+          <Select
+            aria-label="Assessor profile to test"
+            value={profileName}
+            onChange={setProfileName}
+            options={[
+              { label: 'Default', value: defaultProfileOptionValue },
+              ...profileNames.map((name) => ({ label: name, value: name })),
+            ]}
+            style={{ marginRight: APP_GAP_SM, minWidth: 200 }}
+          />
+        )}
+        <Button
+          htmlType="button"
+          loading={isTesting}
+          disabled={properties.disabled || isTesting}
+          onClick={() => {
+            void testConnection(profileName === defaultProfileOptionValue ? undefined : profileName);
+          }}
+        >
+          Test connection
+        </Button>
+        <Text type="secondary" style={{ display: 'block', marginTop: APP_GAP_SM }}>
+          Tests the saved backend URL and API key.
+        </Text>
+      </div>
+
+      {testError === null ? null : <Alert title={testError} showIcon type="error" />}
+
+      {result === null ? null : renderBackendConnectionTestResult(result)}
+    </div>
+  );
+}
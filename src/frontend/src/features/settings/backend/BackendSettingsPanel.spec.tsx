@@ -139,6 +139,9 @@ describe('BackendSettingsPanel', () => {
         jsonDbLogLevel: 'INFO',
         jsonDbBackupOnInitialise: true,
         jsonDbRootFolderId: 'folder-1234',
+        assessmentCacheRetentionDays: 90,
+        assessmentCacheMaxEntries: 5000,
+        assessorProfiles: [],
       },
       hasApiKey: true,
     }));
@@ -151,6 +154,7 @@ describe('BackendSettingsPanel', () => {
     expect(screen.getByRole('heading', { level: 3, name: 'Backend' })).toBeInTheDocument();
     expect(screen.getByRole('heading', { level: 3, name: 'Advanced' })).toBeInTheDocument();
     expect(screen.getByRole('heading', { level: 3, name: 'Database' })).toBeInTheDocument();
+    expect(screen.getByRole('heading', { level: 3, name: 'Connection' })).toBeInTheDocument();
     expect(getField('API key')).toBeInTheDocument();
     expect(getField('Backend URL')).toBeInTheDocument();
     expect(getField('Backend assessor batch size')).toBeInTheDocument();
@@ -180,6 +184,9 @@ describe('BackendSettingsPanel', () => {
         jsonDbLogLevel: 'INFO',
         jsonDbBackupOnInitialise: true,
         jsonDbRootFolderId: 'folder-1234',
+        assessmentCacheRetentionDays: 90,
+        assessmentCacheMaxEntries: 5000,
+        assessorProfiles: [],
       },
       isSaveBlocked: true,
       hasApiKey: true,
@@ -205,6 +212,9 @@ describe('BackendSettingsPanel', () => {
         jsonDbLogLevel: 'INFO',
         jsonDbBackupOnInitialise: true,
         jsonDbRootFolderId: 'folder-1234',
+        assessmentCacheRetentionDays: 90,
+        assessmentCacheMaxEntries: 5000,
+        assessorProfiles: [],
       },
       isSaving: true,
       hasApiKey: true,
@@ -237,6 +247,9 @@ describe('BackendSettingsPanel', () => {
           jsonDbLogLevel: 'INFO',
           jsonDbBackupOnInitialise: true,
           jsonDbRootFolderId: 'folder-1234',
+          assessmentCacheRetentionDays: 90,
+          assessmentCacheMaxEntries: 5000,
+          assessorProfiles: [],
         },
         hasApiKey: true,
       })
@@ -253,6 +266,7 @@ describe('BackendSettingsPanel', () => {
     expect(within(panel).getByRole('heading', { level: 3, name: 'Backend' })).toBeInTheDocument();
     expect(within(panel).getByLabelText('Backend URL')).toHaveDisplayValue('https://backend.example.com');
     expect(within(panel).getByLabelText('Backend assessor batch size')).toHaveDisplayValue('30');
+    expect(within(panel).getByRole('button', { name: 'Test connection' })).toBeDisabled();
   });
 
   it('moves focus to the first invalid field after submit failure', async () => {
@@ -270,6 +284,9 @@ describe('BackendSettingsPanel', () => {
         jsonDbLogLevel: 'INFO',
         jsonDbBackupOnInitialise: true,
         jsonDbRootFolderId: 'folder-1234',
+        assessmentCacheRetentionDays: 90,
+        assessmentCacheMaxEntries: 5000,
+        assessorProfiles: [],
       },
       hasApiKey: false,
     }));
@@ -298,6 +315,9 @@ describe('BackendSettingsPanel', () => {
         jsonDbLogLevel: 'INFO',
         jsonDbBackupOnInitialise: true,
         jsonDbRootFolderId: 'folder-1234',
+        assessmentCacheRetentionDays: 90,
+        assessmentCacheMaxEntries: 5000,
+        assessorProfiles: [],
       },
       hasApiKey: true,
     }));
@@ -323,6 +343,9 @@ describe('BackendSettingsPanel', () => {
         jsonDbLogLevel: 'INFO',
         jsonDbBackupOnInitialise: true,
         jsonDbRootFolderId: 'folder-1234',
+        assessmentCacheRetentionDays: 90,
+        assessmentCacheMaxEntries: 5000,
+        assessorProfiles: [],
       },
       hasApiKey: false,
     }));
@@ -348,6 +371,9 @@ describe('BackendSettingsPanel', () => {
         jsonDbLogLevel: 'INFO',
         jsonDbBackupOnInitialise: false,
         jsonDbRootFolderId: 'folder-1234',
+        assessmentCacheRetentionDays: 90,
+        assessmentCacheMaxEntries: 5000,
+        assessorProfiles: [],
       },
       hasApiKey: true,
     }));
@@ -374,6 +400,58 @@ describe('BackendSettingsPanel', () => {
     });
   });
 
+  it('edits assessor profiles and reports profile errors on the profile field', async () => {
+    const homeworkProfile = {
+      hasApiKey: true,
+      name: 'Homework',
+      apiKey: '',
+      backendUrl: 'https://cheap.example.com',
+      batchSize: 10,
+      taskTypes: ['TEXT' as const],
+      failoverProfile: 'Default',
+    };
+    useBackendSettingsMock.mockImplementation(() => ({
+      ...backendSettingsHookState,
+      backendSettingsFormValues: {
+        hasApiKey: true,
+        apiKey: '',
+        backendUrl: 'https://backend.example.com',
+        backendAssessorBatchSize: 30,
+        slidesFetchBatchSize: 20,
+        daysUntilAuthRevoke: 60,
+        jsonDbMasterIndexKey: 'master-index',
+        jsonDbLockTimeoutMs: 15_000,
+        jsonDbLogLevel: 'INFO',
+        jsonDbBackupOnInitialise: true,
+        jsonDbRootFolderId: 'folder-1234',
+        assessmentCacheRetentionDays: 90,
+        assessmentCacheMaxEntries: 5000,
+        assessorProfiles: [homeworkProfile],
+      },
+      hasApiKey: true,
+    }));
+
+    renderBackendSettingsPanel();
+
+    expect(screen.getByRole('heading', { name: 'Assessor profiles' })).toBeInTheDocument();
+    expect(getField('Profile 1 name')).toHaveValue('Homework');
+    fireEvent.click(screen.getByRole('button', { name: 'Add profile' }));
+    fireEvent.change(getField('Profile 2 name'), { target: { value: 'homework' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+    expect(await screen.findByText('Another profile already uses this name.')).toBeInTheDocument();
+    expect(saveBackendSettingsMock).not.toHaveBeenCalled();
+
+    fireEvent.click(within(screen.getByText('Profile 2').closest('.ant-card') as HTMLElement).getByRole('button', { name: 'Remove' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+    await waitFor(() => {
+      expect(saveBackendSettingsMock).toHaveBeenCalledWith(
+        expect.objectContaining({ assessorProfiles: [homeworkProfile] })
+      );
+    });
+  }, slowPanelInteractionTimeoutMs);
+
   it('renders persistent inline feedback for save failures', () => {
     useBackendSettingsMock.mockImplementation(() => ({
       ...backendSettingsHookState,
@@ -389,6 +467,9 @@ describe('BackendSettingsPanel', () => {
         jsonDbLogLevel: 'INFO',
         jsonDbBackupOnInitialise: true,
         jsonDbRootFolderId: 'folder-1234',
+        assessmentCacheRetentionDays: 90,
+        assessmentCacheMaxEntries: 5000,
+        assessorProfiles: [],
       },
       hasApiKey: true,
       saveError: 'Unable to save backend settings right now.',
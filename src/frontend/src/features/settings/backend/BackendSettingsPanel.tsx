@@ -13,7 +13,14 @@ import {
 import type { FormInstance } from 'antd';
 import type { ReactNode } from 'react';
 import { Fragment, useEffect } from 'react';
-import { BackendSettingsFormSchema, type BackendSettingsForm } from './backendSettingsForm.zod';
+import { AssessorProfilesFields } from './AssessorProfilesFields';
+import { clearAssessorProfileFieldErrors } from './assessorProfileFieldValidation';
+import { BackendConnectionTest } from './BackendConnectionTest';
+import {
+  BackendSettingsFormSchema,
+  type BackendSettingsAssessorProfileForm,
+  type BackendSettingsForm,
+} from './backendSettingsForm.zod';
 import { useBackendSettings } from './useBackendSettings';
 import { APP_GAP_LG } from '../../../theme/spacing';
 
@@ -28,7 +35,11 @@ const jsonDatabaseLogLevelOptions = [
   { label: 'ERROR', value: 'ERROR' },
 ];
 
-type BackendSettingsFieldName = Exclude<keyof BackendSettingsForm, 'hasApiKey'>;
+type BackendSettingsFieldName = Exclude<keyof BackendSettingsForm, 'hasApiKey' | 'assessorProfiles'>;
+type BackendSettingsFieldPath =
+  | [BackendSettingsFieldName]
+  | ['assessorProfiles', number, keyof BackendSettingsAssessorProfileForm];
+type BackendSettingsFieldErrorRecord = { name: BackendSettingsFieldPath; errors: [string] };
 type BackendSettingsFieldSection = 'Backend' | 'Advanced' | 'Database';
 
 type BackendSettingsFieldDescriptor = Readonly<{
@@ -50,6 +61,8 @@ const backendSettingsFieldNames = [
   'jsonDbLockTimeoutMs',
   'jsonDbLogLevel',
   'jsonDbRootFolderId',
+  'assessmentCacheRetentionDays',
+  'assessmentCacheMaxEntries',
 ] as const satisfies ReadonlyArray<BackendSettingsFieldName>;
 
 const backendSettingsFieldDescriptors = [
@@ -123,6 +136,22 @@ const backendSettingsFieldDescriptors = [
     section: 'Database',
     withSchemaValidation: true,
   },
+  {
+    name: 'assessmentCacheRetentionDays',
+    label: 'Assessment cache retention (days)',
+    renderInput: () => <InputNumber min={1} max={365} precision={0} style={{ width: '100%' }} />,
+    section: 'Database',
+    withSchemaValidation: true,
+  },
+  {
+    name: 'assessmentCacheMaxEntries',
+    label: 'Assessment cache max entries',
+    renderInput: () => (
+      <InputNumber min={100} max={20_000} precision={0} style={{ width: '100%' }} />
+    ),
+    section: 'Database',
+    withSchemaValidation: true,
+  },
 ] as const satisfies ReadonlyArray<BackendSettingsFieldDescriptor>;
 
 const backendSettingsSectionOrder = ['Backend', 'Advanced', 'Database'] as const satisfies ReadonlyArray<BackendSettingsFieldSection>;
@@ -231,19 +260,43 @@ function clearBackendSettingsFieldErrors(
 /**
  * Maps backend-settings validation issues into Ant Design field-error records.
  *
- * @param {ReadonlyArray<{ fieldName: BackendSettingsFieldName; message: string }>} fieldErrors Validation issues.
- * @returns {Array<{ name: [BackendSettingsFieldName]; errors: [string] }>} Ant Design field-error records.
+ * @remarks
+ * Assessor profile issues keep their full `['assessorProfiles', index, field]` path so the error
+ * lands on the profile field rather than the list.
+ *
+ * @param {ReadonlyArray<{ path: ReadonlyArray<PropertyKey>; message: string }>} issues Validation issues.
+ * @returns {BackendSettingsFieldErrorRecord[]} Ant Design field-error records.
  */
 function mapBackendSettingsFieldErrorsToFormRecords(
-  fieldErrors: ReadonlyArray<{
-    fieldName: BackendSettingsFieldName;
+  issues: ReadonlyArray<{
+    path: ReadonlyArray<PropertyKey>;
     message: string;
   }>
-): Array<{ name: [BackendSettingsFieldName]; errors: [string] }> {
-  return fieldErrors.map((fieldError) => ({
-    name: [fieldError.fieldName],
-    errors: [fieldError.message],
-  }));
+): BackendSettingsFieldErrorRecord[] {
+  return issues.flatMap((issue): BackendSettingsFieldErrorRecord[] => {
+    const [fieldName, index, profileFieldName] = issue.path;
+
+    if (fieldName === 'assessorProfiles') {
+      return typeof index === 'number' && typeof profileFieldName === 'string'
+        ? [
+            {
+              name: [
+                'assessorProfiles',
+                index,
+                profileFieldName as keyof BackendSettingsAssessorProfileForm,
+              ],
+              errors: [issue.message],
+            },
+          ]
+        : [];
+    }
+
+    if (typeof fieldName !== 'string' || fieldName === 'hasApiKey') {
+      return [];
+    }
+
+    return [{ name: [fieldName as BackendSettingsFieldName], errors: [issue.message] }];
+  });
 }
 
 /**
@@ -310,6 +363,29 @@ function renderBackendSettingsPanelStatus(
   );
 }
 
+/**
+ * Renders the connection test section, disabled while settings are being saved or refreshed.
+ *
+ * @param {Readonly<{ isRefreshing: boolean; isSaving: boolean; savedValues: BackendSettingsForm | null; }>} properties Busy flags and the saved settings, whose profiles can be tested.
+ * @returns {JSX.Element} The connection section card.
+ */
+function renderBackendConnectionSection(
+  properties: Readonly<{
+    isRefreshing: boolean;
+    isSaving: boolean;
+    savedValues: BackendSettingsForm | null;
+  }>
+) {
+  return (
+    <SettingsSectionCard title="Connection">
+      <BackendConnectionTest
+        disabled={properties.isSaving || properties.isRefreshing}
+        profileNames={properties.savedValues?.assessorProfiles.map((profile) => profile.name)}
+      />
+    </SettingsSectionCard>
+  );
+}
+
 /**
  * Renders the backend settings feature panel for the Settings page.
  *
@@ -345,6 +421,7 @@ export function BackendSettingsPanel() {
     if (backendSettingsFormValues !== null) {
       form.setFieldsValue(backendSettingsFormValues);
       clearBackendSettingsFieldErrors(form, backendSettingsFieldNames);
+      clearAssessorProfileFieldErrors(form);
     }
   }, [backendSettingsFormValues, form]);
 
@@ -356,28 +433,12 @@ export function BackendSettingsPanel() {
 
     const validationResult = BackendSettingsFormSchema.safeParse(formValues);
     if (!validationResult.success) {
-      form.setFields(
-        mapBackendSettingsFieldErrorsToFormRecords(
-          validationResult.error.issues.flatMap((issue) => {
-            const [fieldName] = issue.path;
-
-            if (typeof fieldName !== 'string' || fieldName === 'hasApiKey') {
-              return [];
-            }
-
-            return [
-              {
-                fieldName: fieldName as BackendSettingsFieldName,
-                message: issue.message,
-              },
-            ];
-          })
-        )
-      );
+      form.setFields(mapBackendSettingsFieldErrorsToFormRecords(validationResult.error.issues));
       return;
     }
 
     clearBackendSettingsFieldErrors(form, backendSettingsFieldNames);
+    clearAssessorProfileFieldErrors(form);
     await saveBackendSettings(validationResult.data);
   };
 
@@ -450,6 +511,10 @@ export function BackendSettingsPanel() {
               </SettingsSectionCard>
             ))}
 
+            <SettingsSectionCard title="Assessor profiles">
+              <AssessorProfilesFields form={form} hasApiKey={hasApiKey} />
+            </SettingsSectionCard>
+
             <Form.Item>
               <Button
                 htmlType="submit"
@@ -462,6 +527,12 @@ export function BackendSettingsPanel() {
             </Form.Item>
           </div>
         </Form>
+
+        {renderBackendConnectionSection({
+          isRefreshing,
+          isSaving,
+          savedValues: backendSettingsFormValues,
+        })}
       </div>
     </Card>
   );
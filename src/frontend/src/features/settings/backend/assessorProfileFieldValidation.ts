@@ -0,0 +1,75 @@
+import type { FormInstance } from 'antd';
+import {
+  BackendSettingsFormSchema,
+  type BackendSettingsAssessorProfileForm,
+  type BackendSettingsForm,
+} from './backendSettingsForm.zod';
+
+export type AssessorProfileFieldName = Exclude<
+  keyof BackendSettingsAssessorProfileForm,
+  'hasApiKey'
+>;
+
+const assessorProfileFieldNames = [
+  'name',
+  'backendUrl',
+  'apiKey',
+  'batchSize',
+  'taskTypes',
+  'failoverProfile',
+] as const satisfies ReadonlyArray<AssessorProfileFieldName>;
+
+/**
+ * Creates a schema-backed validator for one field of one assessor profile.
+ *
+ * @remarks
+ * The whole form is validated so cross-profile rules, such as unique names and known failover
+ * profiles, are reported on the field they concern.
+ *
+ * @param {FormInstance<BackendSettingsForm>} form The Ant Design form instance.
+ * @param {boolean} hasApiKey Whether a stored default API key already exists.
+ * @param {number} index The profile's position in the list.
+ * @param {AssessorProfileFieldName} fieldName The profile field to validate.
+ * @returns {(rule: unknown, value: unknown) => Promise<void>} The validator callback.
+ */
+export function createAssessorProfileFieldValidator(
+  form: FormInstance<BackendSettingsForm>,
+  hasApiKey: boolean,
+  index: number,
+  fieldName: AssessorProfileFieldName
+) {
+  return () => {
+    const validationResult = BackendSettingsFormSchema.safeParse({
+      ...form.getFieldsValue(true),
+      hasApiKey,
+    });
+    if (validationResult.success) {
+      return Promise.resolve();
+    }
+
+    const issue = validationResult.error.issues.find(
+      ({ path }) => path[0] === 'assessorProfiles' && path[1] === index && path[2] === fieldName
+    );
+
+    return issue === undefined ? Promise.resolve() : Promise.reject(new Error(issue.message));
+  };
+}
+
+/**
+ * Clears form validation errors for every assessor profile field.
+ *
+ * @param {FormInstance<BackendSettingsForm>} form The Ant Design form instance.
+ * @returns {void} Nothing.
+ */
+export function clearAssessorProfileFieldErrors(form: FormInstance<BackendSettingsForm>): void {
+  const profiles = (form.getFieldValue('assessorProfiles') ?? []) as ReadonlyArray<unknown>;
+
+  form.setFields(
+    [...profiles.keys()].flatMap((index) =>
+      assessorProfileFieldNames.map((fieldName) => ({
+        name: ['assessorProfiles', index, fieldName],
+        errors: [],
+      }))
+    )
+  );
+}
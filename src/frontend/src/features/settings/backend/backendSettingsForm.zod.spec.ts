@@ -16,6 +16,9 @@ const validFormValues = {
   jsonDbLogLevel: 'INFO',
   jsonDbBackupOnInitialise: true,
   jsonDbRootFolderId: 'folder-1234',
+  assessmentCacheRetentionDays: 90,
+  assessmentCacheMaxEntries: 5000,
+  assessorProfiles: [],
 };
 
 const lowerCaseLogLevelFormValues = {
@@ -32,8 +35,23 @@ const validStoredKeyFormValues = {
 const blankDriveFolderFormValues = {
   ...validFormValues,
   jsonDbRootFolderId: '   ',
+  assessmentCacheRetentionDays: 90,
+  assessmentCacheMaxEntries: 5000,
+  assessorProfiles: [],
 };
 
+/**
+ * Lists the issue paths and messages for a set of profiles.
+ *
+ * @param {ReadonlyArray<object>} assessorProfiles The profiles to validate.
+ * @returns {Array<{ path: PropertyKey[]; message: string }>} The issues.
+ */
+function profileIssues(assessorProfiles: ReadonlyArray<object>) {
+  const result = BackendSettingsFormSchema.safeParse({ ...validFormValues, assessorProfiles });
+
+  return result.success ? [] : result.error.issues.map(({ message, path }) => ({ path, message }));
+}
+
 describe('backendSettingsForm.zod schema', () => {
   it('accepts a complete form payload with a trimmed backend URL', () => {
     expect(BackendSettingsFormSchema.parse(validFormValues)).toEqual({
@@ -91,4 +109,66 @@ describe('backendSettingsForm.zod schema', () => {
       })
     ).toThrow(ZodError);
   });
+
+  describe('assessor profiles', () => {
+    const homeworkProfile = {
+      hasApiKey: false,
+      name: ' Homework ',
+      apiKey: 'hw_7pC98PCoGJOcjN-qz6rNlSzKkgySJF-1',
+      backendUrl: 'https://cheap.example.com',
+      batchSize: 10,
+      taskTypes: ['TEXT'],
+      failoverProfile: 'Default',
+    };
+
+    it('accepts a profile, trimming its name and defaulting a cleared failover to null', () => {
+      const parsed = BackendSettingsFormSchema.parse({
+        ...validFormValues,
+        assessorProfiles: [
+          homeworkProfile,
+          { ...homeworkProfile, name: 'Exam', failoverProfile: undefined },
+        ],
+      });
+
+      expect(
+        parsed.assessorProfiles.map(({ name, failoverProfile }) => [name, failoverProfile])
+      ).toEqual([
+        ['Homework', 'Default'],
+        ['Exam', null],
+      ]);
+    });
+
+    it('accepts a blank API key when the profile has a stored key', () => {
+      expect(profileIssues([{ ...homeworkProfile, hasApiKey: true, apiKey: '' }])).toEqual([]);
+    });
+
+    it.each([
+      ['a blank API key without a stored key', [{ ...homeworkProfile, apiKey: '' }], [0, 'apiKey']],
+      [
+        'the reserved Default name',
+        [{ ...homeworkProfile, name: 'default', failoverProfile: null }],
+        [0, 'name'],
+      ],
+      ['no task types', [{ ...homeworkProfile, taskTypes: [] }], [0, 'taskTypes']],
+      [
+        'a duplicate name',
+        [homeworkProfile, { ...homeworkProfile, name: 'HOMEWORK' }],
+        [1, 'name'],
+      ],
+      [
+        'failover to itself',
+        [{ ...homeworkProfile, failoverProfile: 'homework' }],
+        [0, 'failoverProfile'],
+      ],
+      [
+        'failover to an unknown profile',
+        [{ ...homeworkProfile, failoverProfile: 'Exam' }],
+        [0, 'failoverProfile'],
+      ],
+    ])('reports %s on the profile field', (_, assessorProfiles, [index, fieldName]) => {
+      expect(profileIssues(assessorProfiles).map(({ path }) => path)).toEqual([
+        ['assessorProfiles', index, fieldName],
+      ]);
+    });
+  });
 });
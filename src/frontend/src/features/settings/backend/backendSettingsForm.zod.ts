@@ -4,6 +4,7 @@ import {
   isBackendApiKeyToken,
   isDriveFolderId,
 } from '../../../services/backendConfiguration/backendConfigurationValidation';
+import { assessorProfileTaskTypeValues } from '../../../services/backendConfiguration/backendConfiguration.zod';
 
 const backendAssessorBatchSizeMinimum = 1;
 const backendAssessorBatchSizeMaximum = 500;
@@ -11,6 +12,12 @@ const slidesFetchBatchSizeMinimum = 1;
 const slidesFetchBatchSizeMaximum = 100;
 const daysUntilAuthRevokeMinimum = 1;
 const daysUntilAuthRevokeMaximum = 365;
+const assessmentCacheRetentionDaysMinimum = 1;
+const assessmentCacheRetentionDaysMaximum = 365;
+const assessmentCacheMaxEntriesMinimum = 100;
+const assessmentCacheMaxEntriesMaximum = 20_000;
+const assessorProfileNameMaximumLength = 40;
+const defaultAssessorProfileName = 'Default';
 const millisecondsPerSecond = 1000;
 const maximumJsonDatabaseLockTimeoutSeconds = 600;
 const backendAssessorBatchSizeSchema = z
@@ -28,6 +35,16 @@ const daysUntilAuthRevokeSchema = z
   .int()
   .min(daysUntilAuthRevokeMinimum)
   .max(daysUntilAuthRevokeMaximum);
+const assessmentCacheRetentionDaysSchema = z
+  .number()
+  .int()
+  .min(assessmentCacheRetentionDaysMinimum)
+  .max(assessmentCacheRetentionDaysMaximum);
+const assessmentCacheMaxEntriesSchema = z
+  .number()
+  .int()
+  .min(assessmentCacheMaxEntriesMinimum)
+  .max(assessmentCacheMaxEntriesMaximum);
 const jsonDatabaseLockTimeoutMsSchema = z
   .number()
   .int()
@@ -40,6 +57,126 @@ const jsonDatabaseLogLevelSchema = z
   .transform((value) => value.toUpperCase())
   .pipe(z.enum(jsonDatabaseLogLevelValues));
 
+/**
+ * Form schema for one named assessor profile.
+ *
+ * @remarks
+ * `hasApiKey` mirrors the top-level field: a profile that already has a stored key may leave
+ * `apiKey` blank to keep it. A cleared failover select yields `undefined`, which is normalised to
+ * `null`.
+ */
+const AssessorProfileFormSchema = z
+  .object({
+    hasApiKey: z.boolean(),
+    name: z
+      .string()
+      .trim()
+      .min(1, 'Profile name is required.')
+      .max(assessorProfileNameMaximumLength)
+      .refine((value) => value.toLowerCase() !== defaultAssessorProfileName.toLowerCase(), {
+        message: `"${defaultAssessorProfileName}" is reserved for the backend settings above.`,
+      }),
+    apiKey: z.string().trim(),
+    backendUrl: z.string().trim().pipe(z.url()),
+    batchSize: backendAssessorBatchSizeSchema,
+    taskTypes: z
+      .array(z.enum(assessorProfileTaskTypeValues))
+      .min(1, 'Choose at least one task type.'),
+    failoverProfile: z
+      .string()
+      .nullable()
+      .optional()
+      .transform((value) => value ?? null),
+  })
+  .strict();
+
+type AssessorProfileForm = z.infer<typeof AssessorProfileFormSchema>;
+
+/**
+ * Checks an assessor profile's API key, which may only be blank when the profile has a stored key.
+ *
+ * @param {AssessorProfileForm} profile The profile to check.
+ * @returns {string | null} The issue message, or null when the key is acceptable.
+ */
+function findAssessorProfileApiKeyIssue(profile: AssessorProfileForm): string | null {
+  if (isBackendApiKeyToken(profile.apiKey) || (profile.hasApiKey && profile.apiKey === '')) {
+    return null;
+  }
+
+  return backendApiKeyValidationMessage;
+}
+
+/**
+ * Checks that no earlier profile uses the same name, ignoring case.
+ *
+ * @param {ReadonlyArray<string>} names Every profile name, lower-cased.
+ * @param {number} index The profile to check.
+ * @returns {string | null} The issue message, or null when the name is unique so far.
+ */
+function findAssessorProfileNameIssue(names: ReadonlyArray<string>, index: number): string | null {
+  return names.indexOf(names.at(index) ?? '') < index
+    ? 'Another profile already uses this name.'
+    : null;
+}
+
+/**
+ * Checks that a profile fails over to another profile or `Default`.
+ *
+ * @param {ReadonlyArray<string>} names Every profile name, lower-cased.
+ * @param {number} index The profile to check.
+ * @param {string | null} failoverProfile The profile's failover choice.
+ * @returns {string | null} The issue message, or null when the failover is acceptable.
+ */
+function findAssessorProfileFailoverIssue(
+  names: ReadonlyArray<string>,
+  index: number,
+  failoverProfile: string | null
+): string | null {
+  if (failoverProfile === null) {
+    return null;
+  }
+
+  const failover = failoverProfile.toLowerCase();
+  if (failover === names.at(index)) {
+    return 'A profile cannot fail over to itself.';
+  }
+
+  if (failover !== defaultAssessorProfileName.toLowerCase() && !names.includes(failover)) {
+    return 'Choose another profile or Default.';
+  }
+
+  return null;
+}
+
+/**
+ * Adds the cross-profile issues for every assessor profile: a missing or malformed API key, a
+ * name used by an earlier profile, and a failover that is not another profile or `Default`.
+ *
+ * @param {z.RefinementCtx} context The refinement context.
+ * @param {ReadonlyArray<AssessorProfileForm>} profiles Every profile in the form.
+ * @returns {void} Nothing.
+ */
+function addAssessorProfileIssues(
+  context: z.RefinementCtx,
+  profiles: ReadonlyArray<AssessorProfileForm>
+): void {
+  const names = profiles.map((profile) => profile.name.toLowerCase());
+
+  for (const [index, profile] of profiles.entries()) {
+    const issues = [
+      ['apiKey', findAssessorProfileApiKeyIssue(profile)],
+      ['name', findAssessorProfileNameIssue(names, index)],
+      ['failoverProfile', findAssessorProfileFailoverIssue(names, index, profile.failoverProfile)],
+    ] as const;
+
+    for (const [fieldName, message] of issues) {
+      if (message !== null) {
+        context.addIssue({ code: 'custom', path: ['assessorProfiles', index, fieldName], message });
+      }
+    }
+  }
+}
+
 /**
  * Canonical frontend validation schema for the backend settings form.
  *
@@ -69,6 +206,9 @@ export const BackendSettingsFormSchema = z
       .refine((value) => value === '' || isDriveFolderId(value), {
         message: 'JSON DB Root Folder ID must match the backend Drive folder identifier contract.',
       }),
+    assessmentCacheRetentionDays: assessmentCacheRetentionDaysSchema,
+    assessmentCacheMaxEntries: assessmentCacheMaxEntriesSchema,
+    assessorProfiles: z.array(AssessorProfileFormSchema),
   })
   .superRefine((value, context) => {
     const isTokenInvalid = !isBackendApiKeyToken(value.apiKey);
@@ -80,7 +220,10 @@ export const BackendSettingsFormSchema = z
         message: backendApiKeyValidationMessage,
       });
     }
+
+    addAssessorProfileIssues(context, value.assessorProfiles);
   })
   .strict();
 
 export type BackendSettingsForm = z.infer<typeof BackendSettingsFormSchema>;
+export type BackendSettingsAssessorProfileForm = BackendSettingsForm['assessorProfiles'][number];
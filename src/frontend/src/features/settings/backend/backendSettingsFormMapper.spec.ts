@@ -18,6 +18,9 @@ type BackendSettingsFormTestValues = {
   jsonDbLogLevel: string;
   jsonDbBackupOnInitialise: boolean;
   jsonDbRootFolderId: string;
+  assessmentCacheRetentionDays: number;
+  assessmentCacheMaxEntries: number;
+  assessorProfiles: unknown[];
 };
 
 const maskedBackendConfig = {
@@ -33,6 +36,9 @@ const maskedBackendConfig = {
   jsonDbLogLevel: 'INFO',
   jsonDbBackupOnInitialise: true,
   jsonDbRootFolderId: 'folder-1234',
+  assessmentCacheRetentionDays: 90,
+  assessmentCacheMaxEntries: 5000,
+  assessorProfiles: [],
   loadError: 'apiKey: REDACTED',
 };
 
@@ -48,6 +54,9 @@ const storedKeyFormValues = {
   jsonDbLogLevel: 'INFO',
   jsonDbBackupOnInitialise: true,
   jsonDbRootFolderId: 'folder-1234',
+  assessmentCacheRetentionDays: 90,
+  assessmentCacheMaxEntries: 5000,
+  assessorProfiles: [],
 };
 
 describe('backendSettingsFormMapper', () => {
@@ -68,6 +77,9 @@ describe('backendSettingsFormMapper', () => {
       jsonDbLogLevel: 'INFO',
       jsonDbBackupOnInitialise: true,
       jsonDbRootFolderId: 'folder-1234',
+      assessmentCacheRetentionDays: 90,
+      assessmentCacheMaxEntries: 5000,
+      assessorProfiles: [],
     });
     expect(formValues.apiKey).toBe('');
     expect(formValues.apiKey).not.toBe(maskedBackendConfig.apiKey);
@@ -98,4 +110,44 @@ describe('backendSettingsFormMapper', () => {
     expect(writePayload).not.toHaveProperty('hasApiKey');
     expect(writePayload).not.toHaveProperty('loadError');
   });
+
+  it('maps assessor profiles without echoing their masked keys and sends blank keys as blank', () => {
+    const formValues = mapBackendConfigToBackendSettingsFormValues({
+      ...maskedBackendConfig,
+      assessorProfiles: [
+        {
+          name: 'Homework',
+          backendUrl: 'https://cheap.example.com',
+          apiKey: '****1234',
+          hasApiKey: true,
+          batchSize: 10,
+          taskTypes: ['TEXT'],
+          failoverProfile: 'Default',
+        },
+      ],
+    });
+    const homeworkFormProfile = {
+      hasApiKey: true,
+      name: 'Homework',
+      apiKey: '',
+      backendUrl: 'https://cheap.example.com',
+      batchSize: 10,
+      taskTypes: ['TEXT'],
+      failoverProfile: 'Default',
+    };
+
+    expect(formValues.assessorProfiles).toEqual([homeworkFormProfile]);
+    expect(
+      mapBackendSettingsFormValuesToBackendConfigWriteInput(formValues).assessorProfiles
+    ).toEqual([
+      {
+        name: 'Homework',
+        backendUrl: 'https://cheap.example.com',
+        apiKey: '',
+        batchSize: 10,
+        taskTypes: ['TEXT'],
+        failoverProfile: 'Default',
+      },
+    ]);
+  });
 });
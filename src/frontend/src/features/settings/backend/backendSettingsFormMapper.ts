@@ -10,7 +10,8 @@ import type { BackendSettingsForm } from './backendSettingsForm.zod';
  * @remarks
  * The backend returns a masked `apiKey` value for stored secrets, but the form must never echo
  * that masked transport value back into the password input. The field stays blank and the
- * `hasApiKey` flag carries the stored-key state instead.
+ * `hasApiKey` flag carries the stored-key state instead. Assessor profile keys are handled the
+ * same way.
  *
  * @param {BackendConfig} backendConfig The backend configuration payload.
  * @returns {BackendSettingsForm} The backend settings form values.
@@ -31,6 +32,17 @@ export function mapBackendConfigToBackendSettingsFormValues(
       backendConfig.jsonDbLogLevel.toUpperCase() as BackendSettingsForm['jsonDbLogLevel'],
     jsonDbBackupOnInitialise: backendConfig.jsonDbBackupOnInitialise,
     jsonDbRootFolderId: backendConfig.jsonDbRootFolderId,
+    assessmentCacheRetentionDays: backendConfig.assessmentCacheRetentionDays,
+    assessmentCacheMaxEntries: backendConfig.assessmentCacheMaxEntries,
+    assessorProfiles: backendConfig.assessorProfiles.map((profile) => ({
+      hasApiKey: profile.hasApiKey,
+      name: profile.name,
+      apiKey: '',
+      backendUrl: profile.backendUrl,
+      batchSize: profile.batchSize,
+      taskTypes: profile.taskTypes,
+      failoverProfile: profile.failoverProfile,
+    })),
   };
 }
 
@@ -44,6 +56,9 @@ export function mapBackendConfigToBackendSettingsFormValues(
  * `loadError` transport fields from writes because only editable settings belong in the save
  * payload.
  *
+ * Assessor profiles are always sent because the list replaces the stored one. A profile's blank
+ * `apiKey` is sent as-is; the backend keeps the key stored for the profile with the same name.
+ *
  * @param {BackendSettingsForm} formValues The backend settings form values.
  * @returns {BackendConfigWriteInput} The backend configuration write payload.
  */
@@ -60,6 +75,16 @@ export function mapBackendSettingsFormValuesToBackendConfigWriteInput(
     jsonDbLogLevel: formValues.jsonDbLogLevel as BackendConfigWriteInput['jsonDbLogLevel'],
     jsonDbBackupOnInitialise: formValues.jsonDbBackupOnInitialise,
     jsonDbRootFolderId: formValues.jsonDbRootFolderId,
+    assessmentCacheRetentionDays: formValues.assessmentCacheRetentionDays,
+    assessmentCacheMaxEntries: formValues.assessmentCacheMaxEntries,
+    assessorProfiles: formValues.assessorProfiles.map((profile) => ({
+      name: profile.name,
+      backendUrl: profile.backendUrl,
+      apiKey: profile.apiKey,
+      batchSize: profile.batchSize,
+      taskTypes: profile.taskTypes,
+      failoverProfile: profile.failoverProfile,
+    })),
   } as BackendConfigWriteInput;
 
   if (formValues.apiKey !== '') {
@@ -0,0 +1,63 @@
+import { useCallback, useState } from 'react';
+import { ApiTransportError } from '../../../errors/apiTransportError';
+import { logFrontendError } from '../../../logging/frontendLogger';
+import type { BackendConnectionTestResult } from '../../../services/backendConfiguration/backendConfiguration.zod';
+import { testBackendConnection } from '../../../services/backendConfiguration/backendConfigurationService';
+
+const genericTestErrorMessage = 'Unable to test the connection right now.';
+const rateLimitedErrorMessage = 'The service is busy. Please try again shortly.';
+
+type BackendConnectionTestHookValue = Readonly<{
+  isTesting: boolean;
+  result: BackendConnectionTestResult | null;
+  testConnection: (profileName?: string) => Promise<void>;
+  testError: string | null;
+}>;
+
+/**
+ * Maps a connection-test transport failure into user-safe copy.
+ *
+ * @param {unknown} error The failure to map.
+ * @returns {string} User-safe error copy.
+ */
+function mapBackendConnectionTestErrorToUserMessage(error: unknown): string {
+  if (error instanceof ApiTransportError && error.code === 'RATE_LIMITED') {
+    return rateLimitedErrorMessage;
+  }
+
+  return genericTestErrorMessage;
+}
+
+/**
+ * Runs the backend connection test against the saved backend URL and API key of the default or a
+ * named assessor profile.
+ *
+ * @remarks
+ * A rejected key or an incompatible backend is reported in `result` as an unsuccessful test;
+ * `testError` is reserved for failures to run the test at all. Each run replaces the previous
+ * outcome so the panel never shows a stale result next to a new one.
+ *
+ * @returns {BackendConnectionTestHookValue} The connection test state and trigger.
+ */
+export function useBackendConnectionTest(): BackendConnectionTestHookValue {
+  const [isTesting, setIsTesting] = useState(false);
+  const [result, setResult] = useState<BackendConnectionTestResult | null>(null);
+  const [testError, setTestError] = useState<string | null>(null);
+
+  const testConnection = useCallback(async (profileName?: string): Promise<void> => {
+    setIsTesting(true);
+    setResult(null);
+    setTestError(null);
+
+    try {
+      setResult(await testBackendConnection(profileName));
+    } catch (error: unknown) {
+      logFrontendError('useBackendConnectionTest', error);
+      setTestError(mapBackendConnectionTestErrorToUserMessage(error));
+    } finally {
+      setIsTesting(false);
+    }
+  }, []);
+
+  return { isTesting, result, testConnection, testError };
+}
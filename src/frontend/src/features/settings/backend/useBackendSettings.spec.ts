@@ -73,6 +73,9 @@ const baseBackendConfig = {
   jsonDbLogLevel: 'INFO',
   jsonDbBackupOnInitialise: true,
   jsonDbRootFolderId: 'folder-1234',
+  assessmentCacheRetentionDays: 90,
+  assessmentCacheMaxEntries: 5000,
+  assessorProfiles: [],
 } satisfies BackendConfig;
 
 const baseStoredKeyFormValues = {
@@ -87,6 +90,9 @@ const baseStoredKeyFormValues = {
   jsonDbLogLevel: 'INFO',
   jsonDbBackupOnInitialise: true,
   jsonDbRootFolderId: 'folder-1234',
+  assessmentCacheRetentionDays: 90,
+  assessmentCacheMaxEntries: 5000,
+  assessorProfiles: [],
 } satisfies BackendSettingsForm;
 
 const baseReplacementFormValues = {
@@ -117,6 +123,9 @@ const baseWriteInputWithoutApiKey = {
   jsonDbLogLevel: 'INFO',
   jsonDbBackupOnInitialise: true,
   jsonDbRootFolderId: 'folder-1234',
+  assessmentCacheRetentionDays: 90,
+  assessmentCacheMaxEntries: 5000,
+  assessorProfiles: [],
 } satisfies BackendConfigWriteInput;
 
 const baseWriteInputWithApiKey = {
@@ -136,6 +145,9 @@ const refreshedBackendConfig = {
   slidesFetchBatchSize: 25,
   jsonDbMasterIndexKey: 'refreshed-master-index',
   jsonDbRootFolderId: 'folder-5678',
+  assessmentCacheRetentionDays: 90,
+  assessmentCacheMaxEntries: 5000,
+  assessorProfiles: [],
 } satisfies BackendConfig;
 
 const refreshedFormValues = {
@@ -150,6 +162,9 @@ const refreshedFormValues = {
   jsonDbLogLevel: 'INFO',
   jsonDbBackupOnInitialise: true,
   jsonDbRootFolderId: 'folder-5678',
+  assessmentCacheRetentionDays: 90,
+  assessmentCacheMaxEntries: 5000,
+  assessorProfiles: [],
 } satisfies BackendSettingsForm;
 
 const blankApiKeyWriteInput = baseWriteInputWithoutApiKey;
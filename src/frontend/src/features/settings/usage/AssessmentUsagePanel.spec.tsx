@@ -0,0 +1,104 @@
+import { screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { AssessmentUsagePanel } from './AssessmentUsagePanel';
+import { getAssessmentUsageReport } from '../../../services/assignmentAssessment/assignmentAssessmentService';
+import type {
+  AssessmentUsageTotals,
+  GetAssessmentUsageReportResponse,
+} from '../../../services/assignmentAssessment/assignmentAssessment.zod';
+import { renderWithFrontendProviders } from '../../../test/renderWithFrontendProviders';
+
+vi.mock('../../../services/assignmentAssessment/assignmentAssessmentService', () => ({
+  getAssessmentUsageReport: vi.fn(),
+}));
+
+/**
+ * Builds a usage totals row with optional overrides.
+ *
+ * @param {Partial<AssessmentUsageTotals>} [overrides] Field overrides.
+ * @returns {AssessmentUsageTotals} The totals fixture.
+ */
+function createTotals(overrides: Partial<AssessmentUsageTotals> = {}): AssessmentUsageTotals {
+  return {
+    runs: 1,
+    requests: 10,
+    retries: 1,
+    validationFailures: 2,
+    cacheHits: 3,
+    notAttempted: 4,
+    payloadBytes: 2048,
+    maxPayloadBytes: 512,
+    assessorUsage: {},
+    ...overrides,
+  };
+}
+
+const REPORT: GetAssessmentUsageReportResponse = {
+  totals: createTotals({
+    runs: 3,
+    requests: 30,
+    payloadBytes: 6144,
+    assessorUsage: { inputTokens: 1500 },
+  }),
+  byClass: [
+    {
+      ...createTotals({ assessorUsage: { inputTokens: 1000 } }),
+      classId: 'class-7x',
+      className: '7X Science',
+    },
+    { ...createTotals({ runs: 2, requests: 20 }), classId: 'class-8y', className: null },
+  ],
+  byDefinition: [
+    { ...createTotals({ runs: 3 }), definitionKey: 'def-essay', primaryTitle: 'Essay' },
+  ],
+  byMonth: [{ ...createTotals({ runs: 3 }), month: '2026-10' }],
+};
+
+describe('AssessmentUsagePanel', () => {
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('totals usage by class with a column per assessor usage field', async () => {
+    vi.mocked(getAssessmentUsageReport).mockResolvedValue(REPORT);
+
+    renderWithFrontendProviders(<AssessmentUsagePanel />);
+
+    const table = await screen.findByRole('table');
+    expect(screen.getByText('3 runs, 30 requests, 6.0 KB sent.')).toBeInTheDocument();
+    expect(within(table).getByRole('columnheader', { name: 'Class' })).toBeInTheDocument();
+    expect(within(table).getByRole('columnheader', { name: 'inputTokens' })).toBeInTheDocument();
+    const [, firstRow, secondRow] = within(table).getAllByRole('row');
+    expect(
+      within(firstRow)
+        .getAllByRole('cell')
+        .map((cell) => cell.textContent)
+    ).toEqual(['7X Science', '1', '10', '1', '2', '3', '4', '2.0 KB', '0.5 KB', '1000']);
+    expect(secondRow).toHaveTextContent('class-8y');
+  });
+
+  it('switches the grouping to assignment definition and month', async () => {
+    vi.mocked(getAssessmentUsageReport).mockResolvedValue(REPORT);
+    const user = userEvent.setup();
+
+    renderWithFrontendProviders(<AssessmentUsagePanel />);
+    await screen.findByRole('table');
+
+    await user.click(screen.getByText('Assignment definition'));
+    expect(screen.getByRole('columnheader', { name: 'Assignment definition' })).toBeInTheDocument();
+    expect(screen.getByRole('cell', { name: 'Essay' })).toBeInTheDocument();
+
+    await user.click(screen.getByText('Month'));
+    expect(screen.getByRole('cell', { name: '2026-10' })).toBeInTheDocument();
+  });
+
+  it('shows an error when the report cannot be loaded', async () => {
+    vi.mocked(getAssessmentUsageReport).mockRejectedValue(new Error('Backend unavailable'));
+
+    renderWithFrontendProviders(<AssessmentUsagePanel />);
+
+    expect(await screen.findByText('Unable to load assessor usage.')).toBeInTheDocument();
+    expect(screen.getByText('Backend unavailable')).toBeInTheDocument();
+  });
+});
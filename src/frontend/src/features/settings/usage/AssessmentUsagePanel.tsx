@@ -0,0 +1,141 @@
+import { Alert, Card, Flex, Segmented, Skeleton, Table, Typography } from 'antd';
+import type { TableColumnsType } from 'antd';
+import { useQuery } from '@tanstack/react-query';
+import { useState, type JSX } from 'react';
+import { getAssessmentUsageReportQueryOptions } from '../../../query/sharedQueries';
+import {
+  buildAssessmentUsageRows,
+  formatPayloadSize,
+  listAssessorUsageFields,
+  type AssessmentUsageGrouping,
+  type AssessmentUsageRow,
+} from './assessmentUsageReportModel';
+
+const { Text } = Typography;
+
+const PANEL_LABEL = 'Assessor usage panel';
+
+const GROUPING_OPTIONS: ReadonlyArray<{ value: AssessmentUsageGrouping; label: string }> = [
+  { value: 'class', label: 'Class' },
+  { value: 'definition', label: 'Assignment definition' },
+  { value: 'month', label: 'Month' },
+];
+
+const COUNTER_COLUMNS: ReadonlyArray<{ key: keyof AssessmentUsageRow; title: string }> = [
+  { key: 'runs', title: 'Runs' },
+  { key: 'requests', title: 'Requests' },
+  { key: 'retries', title: 'Retries' },
+  { key: 'validationFailures', title: 'Validation failures' },
+  { key: 'cacheHits', title: 'Cache hits' },
+  { key: 'notAttempted', title: 'Not attempted' },
+];
+
+/**
+ * Builds the usage table columns: the group, the counters, payload sizes, then one column per
+ * assessor usage field.
+ *
+ * @param {AssessmentUsageGrouping} grouping The grouping shown.
+ * @param {string[]} usageFields Assessor usage fields reported by any run.
+ * @returns {TableColumnsType<AssessmentUsageRow>} The table columns.
+ */
+function buildColumns(
+  grouping: AssessmentUsageGrouping,
+  usageFields: string[]
+): TableColumnsType<AssessmentUsageRow> {
+  const groupTitle = GROUPING_OPTIONS.find((option) => option.value === grouping)?.label;
+
+  return [
+    { title: groupTitle, dataIndex: 'label', key: 'label' },
+    ...COUNTER_COLUMNS.map(({ key, title }) => ({ title, dataIndex: key, key })),
+    {
+      title: 'Payload sent',
+      key: 'payloadBytes',
+      render: (_: unknown, row: AssessmentUsageRow) => formatPayloadSize(row.payloadBytes),
+    },
+    {
+      title: 'Largest payload',
+      key: 'maxPayloadBytes',
+      render: (_: unknown, row: AssessmentUsageRow) => formatPayloadSize(row.maxPayloadBytes),
+    },
+    ...usageFields.map((field) => ({
+      title: field,
+      key: `assessorUsage-${field}`,
+      render: (_: unknown, row: AssessmentUsageRow) =>
+        new Map(Object.entries(row.assessorUsage)).get(field) ?? 0,
+    })),
+  ];
+}
+
+/**
+ * Renders the panel frame shared by every state.
+ *
+ * @param {JSX.Element} children The panel body.
+ * @returns {JSX.Element} The panel.
+ */
+function renderPanel(children: JSX.Element): JSX.Element {
+  return (
+    <Card className="settings-tab-panel" role="region" aria-label={PANEL_LABEL}>
+      {children}
+    </Card>
+  );
+}
+
+/**
+ * Renders the assessor usage report: requests, retries, validation failures, skipped items,
+ * payload sizes and any usage the assessor reported, totalled by class, assignment definition
+ * or month.
+ *
+ * @remarks
+ * Usage is recorded per assessment run on each assignment, so runs of deleted classes are not
+ * counted.
+ *
+ * @returns {JSX.Element} The assessor usage panel.
+ */
+export function AssessmentUsagePanel(): JSX.Element {
+  const [grouping, setGrouping] = useState<AssessmentUsageGrouping>('class');
+  const { data: report, error } = useQuery(getAssessmentUsageReportQueryOptions());
+
+  if (error) {
+    return renderPanel(
+      <Alert
+        type="error"
+        showIcon
+        title="Unable to load assessor usage."
+        description={error.message}
+      />
+    );
+  }
+
+  if (report === undefined) {
+    return renderPanel(
+      <div aria-label="Loading assessor usage" role="status">
+        <Skeleton active paragraph={{ rows: 6 }} />
+      </div>
+    );
+  }
+
+  return renderPanel(
+    <Flex vertical gap="middle">
+      <Flex align="center" justify="space-between" gap="middle" wrap>
+        <Text type="secondary">
+          {`${report.totals.runs} runs, ${report.totals.requests} requests, ${formatPayloadSize(report.totals.payloadBytes)} sent.`}
+        </Text>
+        <Segmented<AssessmentUsageGrouping>
+          aria-label="Group usage by"
+          options={[...GROUPING_OPTIONS]}
+          value={grouping}
+          onChange={setGrouping}
+        />
+      </Flex>
+      <Table<AssessmentUsageRow>
+        aria-label="Assessor usage"
+        rowKey="key"
+        size="small"
+        pagination={false}
+        columns={buildColumns(grouping, listAssessorUsageFields(report))}
+        dataSource={buildAssessmentUsageRows(report, grouping)}
+        scroll={{ x: 'max-content' }}
+      />
+    </Flex>
+  );
+}
@@ -0,0 +1,69 @@
+import type {
+  AssessmentUsageTotals,
+  GetAssessmentUsageReportResponse,
+} from '../../../services/assignmentAssessment/assignmentAssessment.zod';
+
+export type AssessmentUsageGrouping = 'class' | 'definition' | 'month';
+
+export type AssessmentUsageRow = AssessmentUsageTotals &
+  Readonly<{
+    /** Stable row key. */
+    key: string;
+    /** Group label shown in the first column. */
+    label: string;
+  }>;
+
+const BYTES_PER_KILOBYTE = 1024;
+const UNKNOWN_GROUP_LABEL = 'Unknown';
+
+/**
+ * Builds the table rows for one grouping of the usage report.
+ *
+ * @param {GetAssessmentUsageReportResponse} report The usage report.
+ * @param {AssessmentUsageGrouping} grouping The grouping to show.
+ * @returns {AssessmentUsageRow[]} Rows in report order.
+ */
+export function buildAssessmentUsageRows(
+  report: GetAssessmentUsageReportResponse,
+  grouping: AssessmentUsageGrouping
+): AssessmentUsageRow[] {
+  if (grouping === 'class') {
+    return report.byClass.map(({ classId, className, ...totals }) => ({
+      ...totals,
+      key: classId,
+      label: className ?? classId,
+    }));
+  }
+  if (grouping === 'definition') {
+    return report.byDefinition.map(({ definitionKey, primaryTitle, ...totals }) => ({
+      ...totals,
+      key: definitionKey ?? '',
+      label: primaryTitle ?? definitionKey ?? UNKNOWN_GROUP_LABEL,
+    }));
+  }
+  return report.byMonth.map(({ month, ...totals }) => ({
+    ...totals,
+    key: month ?? '',
+    label: month ?? UNKNOWN_GROUP_LABEL,
+  }));
+}
+
+/**
+ * Lists the assessor usage fields reported by any run, in first-seen order.
+ *
+ * @param {GetAssessmentUsageReportResponse} report The usage report.
+ * @returns {string[]} The field names.
+ */
+export function listAssessorUsageFields(report: GetAssessmentUsageReportResponse): string[] {
+  return Object.keys(report.totals.assessorUsage);
+}
+
+/**
+ * Formats a byte count in kilobytes.
+ *
+ * @param {number} bytes The byte count.
+ * @returns {string} The size, for example `3.9 KB`.
+ */
+export function formatPayloadSize(bytes: number): string {
+  return `${(bytes / BYTES_PER_KILOBYTE).toFixed(1)} KB`;
+}
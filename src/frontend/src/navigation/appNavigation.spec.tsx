@@ -6,6 +6,12 @@ import { getNavigationLabel, isAppNavigationKey, navigationItems } from './appNa
 import { pageContent } from '../pages/pageContent';
 import { renderWithFrontendProviders } from '../test/renderWithFrontendProviders';
 
+vi.mock('../features/dashboard/DepartmentQaDashboard', () => ({
+  DepartmentQaDashboard() {
+    return <div>Department QA dashboard feature entry</div>;
+  },
+}));
+
 type RenderNavigationPage = (key: AppNavigationKey, contentSlot?: ReactNode) => ReactNode;
 
 /**
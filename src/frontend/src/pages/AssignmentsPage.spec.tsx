@@ -23,6 +23,7 @@ import { AssignmentsPage } from './AssignmentsPage';
 import { pageContent } from './pageContent';
 
 const {
+  clearAssessmentCacheMock,
   deleteAssignmentDefinitionMock,
   getAssignmentDefinitionPartialsMock,
   getAssignmentDefinitionMock,
@@ -34,6 +35,7 @@ const {
   useStartupWarmupStateMock,
   refetchAfterStaleInvalidateMock,
 } = vi.hoisted(() => ({
+  clearAssessmentCacheMock: vi.fn(),
   deleteAssignmentDefinitionMock: vi.fn(),
   getAssignmentDefinitionPartialsMock: vi.fn(),
   getAssignmentDefinitionMock: vi.fn(),
@@ -55,6 +57,10 @@ vi.mock('../features/auth/startupWarmupState', async (importOriginal) => {
   };
 });
 
+vi.mock('../services/assignmentAssessment/assignmentAssessmentService', () => ({
+  clearAssessmentCache: clearAssessmentCacheMock,
+}));
+
 vi.mock('../services/assignmentDefinition/assignmentDefinitionPartialsService', () => ({
   deleteAssignmentDefinition: deleteAssignmentDefinitionMock,
   getAssignmentDefinitionPartials: getAssignmentDefinitionPartialsMock,
@@ -211,6 +217,7 @@ describe('AssignmentsPage', () => {
     useStartupWarmupStateMock.mockReturnValue(createReadyStartupWarmupState());
     getAssignmentDefinitionPartialsMock.mockResolvedValue([...readyAssignmentPartialRows]);
     deleteAssignmentDefinitionMock.mockResolvedValue(void 0);
+    clearAssessmentCacheMock.mockResolvedValue({ definitionKey: 'alg-10-safe', cleared: 3 });
     getAssignmentTopicsMock.mockResolvedValue(mockTopics);
     getYearGroupsMock.mockResolvedValue(mockYearGroups);
     getCohortsMock.mockResolvedValue([]);
@@ -632,6 +639,36 @@ describe('AssignmentsPage', () => {
     });
   });
 
+  it('clears cached assessments for a definition and reports how many were removed', async () => {
+    renderWithFrontendProviders(<AssignmentsPage />);
+
+    const safeRow = await screen.findByRole('row', { name: /algebra foundations/i });
+    fireEvent.click(within(safeRow).getByRole('button', { name: 'Clear cache' }));
+
+    await waitFor(() => {
+      expect(clearAssessmentCacheMock).toHaveBeenCalledWith({ definitionKey: 'alg-10-safe' });
+    });
+    expect(await screen.findByText(/cleared 3 cached assessments/i)).toBeInTheDocument();
+  });
+
+  it('disables clear cache for unsafe keys', async () => {
+    renderWithFrontendProviders(<AssignmentsPage />);
+
+    const unsafeRow = await screen.findByRole('row', { name: /unsafe legacy row/i });
+    expect(within(unsafeRow).getByRole('button', { name: 'Clear cache' })).toBeDisabled();
+  });
+
+  it('shows error feedback when clearing the cache fails', async () => {
+    clearAssessmentCacheMock.mockRejectedValue(new Error('clear failed'));
+
+    renderWithFrontendProviders(<AssignmentsPage />);
+
+    const safeRow = await screen.findByRole('row', { name: /algebra foundations/i });
+    fireEvent.click(within(safeRow).getByRole('button', { name: 'Clear cache' }));
+
+    expect(await screen.findByText(/could not clear cached assessments/i)).toBeInTheDocument();
+  });
+
   describe('Shared edit surface, re-parse gating, and task weighting workflow', () => {
     it('page action cluster has Refresh assignments data + Create assignment only, no top-level Update assignment button', () => {
       renderWithFrontendProviders(<AssignmentsPage />);
@@ -870,8 +907,13 @@ describe('AssignmentsPage', () => {
       upsertAssignmentDefinitionMock.mockResolvedValueOnce({
         ...mockFullAssignmentDefinition,
         tasks: [
-          { taskId: 'task-1', taskTitle: 'Solve quadratic equations', taskWeighting: 1 },
-          { taskId: 'task-4', taskTitle: 'Complete revision quiz', taskWeighting: 1 },
+          {
+            taskId: 'task-1',
+            taskTitle: 'Solve quadratic equations',
+            taskWeighting: 1,
+            rubric: null,
+          },
+          { taskId: 'task-4', taskTitle: 'Complete revision quiz', taskWeighting: 1, rubric: null },
         ],
       });
 
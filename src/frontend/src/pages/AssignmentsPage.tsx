@@ -26,6 +26,7 @@ import {
 import { logFrontendError } from '../logging/frontendLogger';
 import { queryKeys } from '../query/queryKeys';
 import { refetchAfterStaleInvalidate } from '../query/queryInvalidationHelpers';
+import { clearAssessmentCache } from '../services/assignmentAssessment/assignmentAssessmentService';
 import {
   deleteAssignmentDefinition,
   type AssignmentDefinitionPartial,
@@ -43,6 +44,7 @@ const ASSIGNMENTS_PANEL_REGION_LABEL = 'Assignments management panel';
 const BLOCKING_ERROR_MESSAGE = 'Assignment definitions could not be trusted or loaded.';
 const DELETE_SUCCESS_MESSAGE = 'Assignment definition deleted.';
 const DELETE_FAILURE_MESSAGE = 'Could not delete assignment definition. Please try again.';
+const CLEAR_CACHE_FAILURE_MESSAGE = 'Could not clear cached assessments. Please try again.';
 const UNAVAILABLE_VALUE = '—';
 
 const FILTER_DROPDOWN_PROPERTIES = { transitionName: '' } as const;
@@ -67,7 +69,7 @@ type AssignmentsFilterDescriptor = Readonly<{
   renderCell?: (row: AssignmentDefinitionPartial) => string;
 }>;
 
-type DeleteOutcome = Readonly<{
+type ActionOutcome = Readonly<{
   type: 'success' | 'error';
   message: string;
 }>;
@@ -131,6 +133,18 @@ function isSafeDefinitionKey(definitionKey: string): boolean {
   return DeleteAssignmentDefinitionRequestSchema.safeParse({ definitionKey }).success;
 }
 
+/**
+ * Describes how many cached assessments were cleared for a definition.
+ *
+ * @param {number} cleared Number of cache entries removed.
+ * @returns {string} Outcome message.
+ */
+function formatClearCacheMessage(cleared: number): string {
+  return cleared === 1
+    ? 'Cleared 1 cached assessment. The next run will reassess all attempted work.'
+    : `Cleared ${cleared} cached assessments. The next run will reassess all attempted work.`;
+}
+
 /**
  * Formats a year-group value for table display and filtering.
  *
@@ -371,13 +385,13 @@ function createFilterDropdownRenderer(
 /**
  * Renders the status and action card for assignments management.
  *
- * @param {Readonly<{ shouldRenderBlockingState: boolean; deleteOutcome: DeleteOutcome | null; shouldRenderActionLoadingState: boolean; onRefreshAssignmentsData: () => void; onCreateAssignment: () => void; hasTrustworthyData: boolean; }>} properties Card properties.
+ * @param {Readonly<{ shouldRenderBlockingState: boolean; actionOutcome: ActionOutcome | null; shouldRenderActionLoadingState: boolean; onRefreshAssignmentsData: () => void; onCreateAssignment: () => void; hasTrustworthyData: boolean; }>} properties Card properties.
  * @returns {JSX.Element} Card content.
  */
 function AssignmentsStatusAndActionsCard(
   properties: Readonly<{
     shouldRenderBlockingState: boolean;
-    deleteOutcome: DeleteOutcome | null;
+    actionOutcome: ActionOutcome | null;
     shouldRenderActionLoadingState: boolean;
     onRefreshAssignmentsData: () => void;
     onCreateAssignment: () => void;
@@ -391,11 +405,11 @@ function AssignmentsStatusAndActionsCard(
           <Alert showIcon title={BLOCKING_ERROR_MESSAGE} type="error" />
         ) : null}
 
-        {properties.deleteOutcome === null ? null : (
+        {properties.actionOutcome === null ? null : (
           <Alert
             showIcon
-            title={properties.deleteOutcome.message}
-            type={properties.deleteOutcome.type === 'success' ? 'success' : 'error'}
+            title={properties.actionOutcome.message}
+            type={properties.actionOutcome.type === 'success' ? 'success' : 'error'}
           />
         )}
 
@@ -561,11 +575,26 @@ export function AssignmentsPage() {
   const [filters, setFilters] = useState<AssignmentsFilterState>(EMPTY_FILTER_STATE);
   const [deleteTarget, setDeleteTarget] = useState<AssignmentDefinitionPartial | null>(null);
   const [deleteError, setDeleteError] = useState<string | null>(null);
-  const [deleteOutcome, setDeleteOutcome] = useState<DeleteOutcome | null>(null);
+  const [actionOutcome, setActionOutcome] = useState<ActionOutcome | null>(null);
   const [wizardOpen, setWizardOpen] = useState(false);
   const [wizardMode, setWizardMode] = useState<'create' | 'update'>('create');
   const [wizardDefinitionKey, setWizardDefinitionKey] = useState<string | null>(null);
 
+  const clearCacheMutation = useMutation({
+    mutationFn: async (input: { definitionKey: string }) => clearAssessmentCache(input),
+    onMutate: () => {
+      setActionOutcome(null);
+    },
+    onSuccess: ({ cleared }) => {
+      setActionOutcome({ type: 'success', message: formatClearCacheMessage(cleared) });
+    },
+    onError: (error: Error, { definitionKey }) => {
+      logFrontendError('pages/AssignmentsPage.clearCacheMutation', error, { definitionKey });
+      setActionOutcome({ type: 'error', message: CLEAR_CACHE_FAILURE_MESSAGE });
+    },
+  });
+  const clearDefinitionCache = clearCacheMutation.mutate;
+
   const sortedRows = useMemo(
     () => getDefaultSortedRows(assignmentsQuery.data ?? []),
     [assignmentsQuery.data]
@@ -658,17 +687,27 @@ export function AssignmentsPage() {
               }
               onClick={() => {
                 setDeleteError(null);
-                setDeleteOutcome(null);
+                setActionOutcome(null);
                 setDeleteTarget(row);
               }}
             >
               Delete
             </Button>
+            <Button
+              disabled={clearCacheMutation.isPending || !isSafeDefinitionKey(row.definitionKey)}
+              onClick={() => {
+                clearDefinitionCache({ definitionKey: row.definitionKey });
+              }}
+            >
+              Clear cache
+            </Button>
           </Space>
         ),
       },
     ],
     [
+      clearCacheMutation.isPending,
+      clearDefinitionCache,
       deleteMutation.isPending,
       filterOptions,
       filters,
@@ -676,7 +715,7 @@ export function AssignmentsPage() {
       hasTrustworthyAssignmentsDataset,
       hasTrustworthyReferenceData,
       setDeleteError,
-      setDeleteOutcome,
+      setActionOutcome,
       setDeleteTarget,
       setWizardDefinitionKey,
       setWizardMode,
@@ -732,7 +771,7 @@ export function AssignmentsPage() {
    * @returns {Promise<void>} Promise resolving once invalidate-then-refetch completes.
    */
   async function handleRetryAssignmentsData() {
-    setDeleteOutcome(null);
+    setActionOutcome(null);
     await refetchAfterStaleInvalidate(queryClient, queryKeys.assignmentDefinitionPartials());
   }
 
@@ -747,7 +786,7 @@ export function AssignmentsPage() {
     }
 
     setDeleteError(null);
-    setDeleteOutcome(null);
+    setActionOutcome(null);
 
     let deleteCompleted = false;
 
@@ -757,7 +796,7 @@ export function AssignmentsPage() {
       setDeleteTarget(null);
 
       await refetchAfterStaleInvalidate(queryClient, queryKeys.assignmentDefinitionPartials());
-      setDeleteOutcome({ type: 'success', message: DELETE_SUCCESS_MESSAGE });
+      setActionOutcome({ type: 'success', message: DELETE_SUCCESS_MESSAGE });
     } catch (error: unknown) {
       logFrontendError('pages/AssignmentsPage.handleConfirmDelete', error, {
         definitionKey: deleteTarget.definitionKey,
@@ -794,7 +833,7 @@ export function AssignmentsPage() {
       >
         <Flex vertical gap={APP_GAP_MD}>
           <AssignmentsStatusAndActionsCard
-            deleteOutcome={deleteOutcome}
+            actionOutcome={actionOutcome}
             hasTrustworthyData={hasTrustworthyAssignmentsDataset && hasTrustworthyReferenceData}
             onCreateAssignment={handleCreateAssignment}
             onRefreshAssignmentsData={handleRetryAssignmentsData}
@@ -216,6 +216,16 @@ vi.mock('../features/classPage/ClassPage', () => ({
   ClassPage: mockClassPage,
 }));
 
+// Mock the assessment run queue card; it owns its own query and is covered by
+// AssessmentRunQueueCard.spec.tsx
+const { mockAssessmentRunQueueCard } = vi.hoisted(() => ({
+  mockAssessmentRunQueueCard: vi.fn().mockReturnValue(null),
+}));
+
+vi.mock('../features/classes/components/AssessmentRunQueueCard', () => ({
+  AssessmentRunQueueCard: mockAssessmentRunQueueCard,
+}));
+
 // Mock ClassSelectionContext for shell integration tests
 const { mockUseClassSelection } = vi.hoisted(() => ({
   mockUseClassSelection: vi.fn(() => ({
@@ -1422,6 +1432,18 @@ describe('ClassesPage', () => {
       expect(classPageProperties.classId).toBe(testClassId);
     });
 
+    it('renders the assessment run queue card with class names keyed by class id', () => {
+      renderClassesPage();
+
+      expect(mockAssessmentRunQueueCard).toHaveBeenCalled();
+      const cardProperties = mockAssessmentRunQueueCard.mock.lastCall?.[0] as {
+        classNamesById: ReadonlyMap<string, string>;
+      };
+      for (const classPartial of MOCK_CLASS_PARTIALS) {
+        expect(cardProperties.classNamesById.get(classPartial.classId)).toBe(classPartial.className);
+      }
+    });
+
     it('the View button does not have tabIndex=-1', () => {
       renderClassesPage();
 
@@ -16,6 +16,7 @@ import {
   type InvalidClassesPageDataViewModel,
 } from './classesPageModel';
 import { AssessTaskModal } from '../features/classes/AssessTaskModal/AssessTaskModal';
+import { AssessmentRunQueueCard } from '../features/classes/components/AssessmentRunQueueCard';
 import { ClassPage } from '../features/classPage/ClassPage';
 import { PageSection } from './PageSection';
 import { pageContent } from './pageContent';
@@ -329,6 +330,17 @@ export function ClassesPage() {
     return buildClassesPageModel(classPartials, yearGroups);
   }, [classPartialsQuery.data, yearGroupsQuery.data]);
 
+  const classNamesById = useMemo(
+    () =>
+      new Map(
+        (classPartialsQuery.data ?? []).map((classPartial) => [
+          classPartial.classId,
+          classPartial.className ?? classPartial.classId,
+        ])
+      ),
+    [classPartialsQuery.data]
+  );
+
   // Determine final states
   const { finalShouldRenderBlockingState, shouldRenderLoadingState, shouldRenderEmptyState } =
     getFinalClassesPageStates({
@@ -341,6 +353,7 @@ export function ClassesPage() {
   return selectedClassId === null ? (
     <PageSection heading={pageContent.classes.heading} summary={pageContent.classes.summary}>
       <section aria-label="Classes page content" aria-busy={isClassesSurfaceBusy ? 'true' : undefined}>
+        <AssessmentRunQueueCard classNamesById={classNamesById} />
         {renderClassesContent({
           finalShouldRenderBlockingState,
           shouldRenderLoadingState,
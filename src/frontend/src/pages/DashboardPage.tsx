@@ -1,9 +1,11 @@
 import type { ReactNode } from 'react';
+import { DepartmentQaDashboard } from '../features/dashboard/DepartmentQaDashboard';
 import { PageSection } from './PageSection';
 import { pageContent } from './pageContent';
 
 /**
- * Renders the dashboard landing page.
+ * Renders the dashboard landing page: the optional shell content slot followed
+ * by the department-wide Quality Assurance overview.
  */
 type DashboardPageProperties = Readonly<{ contentSlot?: ReactNode }>;
 
@@ -21,6 +23,7 @@ export function DashboardPage(properties: DashboardPageProperties) {
       summary={pageContent.dashboard.summary}
     >
       {contentSlot}
+      <DepartmentQaDashboard />
     </PageSection>
   );
 }
@@ -12,6 +12,8 @@ const referenceDataPanelLabel = 'Reference Data panel';
 
 const backendSettingsPanelLabel = 'Backend settings panel';
 
+const assessorUsagePanelLabel = 'Assessor usage panel';
+
 const readyBackendSettingsFormValues = {
   hasApiKey: true,
   apiKey: '',
@@ -24,6 +26,9 @@ const readyBackendSettingsFormValues = {
   jsonDbLogLevel: 'INFO',
   jsonDbBackupOnInitialise: true,
   jsonDbRootFolderId: 'folder-1234',
+  assessmentCacheRetentionDays: 90,
+  assessmentCacheMaxEntries: 5000,
+  assessorProfiles: [],
 } satisfies BackendSettingsForm;
 
 const { useBackendSettingsMock } = vi.hoisted(() => ({
@@ -64,6 +69,10 @@ vi.mock('../features/settings/backend/useBackendSettings', () => ({
   useBackendSettings: useBackendSettingsMock,
 }));
 
+vi.mock('../features/settings/usage/AssessmentUsagePanel', () => ({
+  AssessmentUsagePanel: () => <section aria-label={assessorUsagePanelLabel} />,
+}));
+
 // RED phase: ReferenceDataSettingsPanel doesn't exist yet, so we mock it
 vi.mock('../features/referenceData/ReferenceDataSettingsPanel', () => ({
   ReferenceDataSettingsPanel: () => (
@@ -292,6 +301,16 @@ describe('SettingsPage', () => {
     });
   });
 
+  it('clicking Assessor usage tab shows AssessmentUsagePanel', async () => {
+    renderSettingsPage();
+
+    fireEvent.click(screen.getByRole('tab', { name: 'Assessor usage' }));
+
+    await waitFor(() => {
+      expect(screen.getByRole('region', { name: assessorUsagePanelLabel })).toBeInTheDocument();
+    });
+  });
+
   it('Classes tab entry still exists after new top-level classes page is added', () => {
     renderSettingsPage();
 
@@ -3,12 +3,13 @@ import type { TabsProps } from 'antd';
 import { useMemo, useState } from 'react';
 import { ClassesManagementPanel } from '../features/classes/ClassesManagementPanel';
 import { BackendSettingsPanel } from '../features/settings/backend/BackendSettingsPanel';
+import { AssessmentUsagePanel } from '../features/settings/usage/AssessmentUsagePanel';
 import { ReferenceDataSettingsPanel } from '../features/referenceData/ReferenceDataSettingsPanel';
 import { PageSection } from './PageSection';
 import { SettingsPageGoogleClassroomsPrefetch } from '../features/settings/SettingsPageGoogleClassroomsPrefetch';
 import { pageContent } from './pageContent';
 
-type SettingsTabKey = 'classes' | 'backend-settings' | 'reference-data';
+type SettingsTabKey = 'classes' | 'backend-settings' | 'assessor-usage' | 'reference-data';
 
 /**
  * Renders the settings page with fixed tabs for classes and backend settings.
@@ -31,6 +32,11 @@ export function SettingsPage() {
         label: 'Backend settings',
         children: <BackendSettingsPanel />,
       },
+      {
+        key: 'assessor-usage',
+        label: 'Assessor usage',
+        children: <AssessmentUsagePanel />,
+      },
       {
         key: 'reference-data',
         label: 'Reference Data',
@@ -5,7 +5,7 @@
 export const pageContent = {
   dashboard: {
     heading: 'Dashboard',
-    summary: 'Review your assessment overview and recent activity.',
+    summary: 'Review department-wide averages, assignment comparisons and classes that need attention.',
   },
   assignments: {
     heading: 'Assignments',
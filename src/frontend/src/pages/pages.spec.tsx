@@ -22,6 +22,12 @@ vi.mock('../features/settings/backend/BackendSettingsPanel', () => ({
   },
 }));
 
+vi.mock('../features/dashboard/DepartmentQaDashboard', () => ({
+  DepartmentQaDashboard() {
+    return <div>Department QA dashboard feature entry</div>;
+  },
+}));
+
 vi.mock('../services/googleClassrooms/classPartialsService', () => ({
   getABClassPartials: getABClassPartialsMock,
 }));
@@ -9,4 +9,16 @@ describe('queryKeys', () => {
       'assign1',
     ]);
   });
+
+  it('queryKeys.assessmentRunQueue returns the expected tuple shape', () => {
+    expect(queryKeys.assessmentRunQueue()).toEqual(['assessmentRunQueue']);
+  });
+
+  it('queryKeys.assessmentRunStatus returns the expected tuple shape', () => {
+    expect(queryKeys.assessmentRunStatus('run-001')).toEqual(['assessmentRunStatus', 'run-001']);
+  });
+
+  it('queryKeys.assessmentUsageReport returns the expected tuple shape', () => {
+    expect(queryKeys.assessmentUsageReport()).toEqual(['assessmentUsageReport']);
+  });
 });
@@ -1,5 +1,8 @@
 export const queryKeys = {
   abClass: (classId: string) => ['abClass', classId] as const,
+  assessmentRunQueue: () => ['assessmentRunQueue'] as const,
+  assessmentRunStatus: (runId: string) => ['assessmentRunStatus', runId] as const,
+  assessmentUsageReport: () => ['assessmentUsageReport'] as const,
   assignment: (courseId: string, assignmentId: string) =>
     ['assignment', courseId, assignmentId] as const,
   assignmentDefinitionByKey: (definitionKey: string) =>
@@ -21,6 +21,8 @@ const getAssignmentTopicsMock = vi.fn();
 const getYearGroupsMock = vi.fn();
 const getABClassMock = vi.fn();
 const getAssignmentMock = vi.fn();
+const getAssessmentRunStatusMock = vi.fn();
+const getAssessmentRunQueueMock = vi.fn();
 
 vi.mock('../services/authService/authService', () => ({
   getAuthorisationStatus: getAuthorisationStatusMock,
@@ -53,6 +55,8 @@ vi.mock('../services/googleClassrooms/classDetail/classDetailService', () => ({
 
 vi.mock('../services/assignmentAssessment/assignmentAssessmentService', () => ({
   getAssignment: getAssignmentMock,
+  getAssessmentRunStatus: getAssessmentRunStatusMock,
+  getAssessmentRunQueue: getAssessmentRunQueueMock,
 }));
 
 // The configureDeferredWarmupDatasets function is imported from the shared module
@@ -320,3 +324,116 @@ describe('getAssignmentQueryOptions', () => {
     expect(getAssignmentMock).toHaveBeenCalledTimes(1);
   });
 });
+
+describe('getAssessmentRunStatusQueryOptions', () => {
+  const inProgressStatus = {
+    runId: 'run-001',
+    step: 1,
+    message: 'Assessment run starting.',
+    completed: false,
+    error: null,
+    errors: [],
+    history: [],
+    timestamp: '2026-06-01T09:00:00.000Z',
+  };
+
+  afterEach(() => {
+    vi.clearAllMocks();
+    vi.resetModules();
+  });
+
+  it('queryKey matches queryKeys.assessmentRunStatus(runId)', async () => {
+    const { getAssessmentRunStatusQueryOptions } = await import('./sharedQueries');
+
+    expect(getAssessmentRunStatusQueryOptions('run-001').queryKey).toEqual(
+      queryKeys.assessmentRunStatus('run-001')
+    );
+  });
+
+  it('delegates to getAssessmentRunStatus with the run id', async () => {
+    getAssessmentRunStatusMock.mockResolvedValueOnce(inProgressStatus);
+
+    const { getAssessmentRunStatusQueryOptions } = await import('./sharedQueries');
+    const queryClient = createAppQueryClient();
+
+    await expect(
+      queryClient.fetchQuery(getAssessmentRunStatusQueryOptions('run-001'))
+    ).resolves.toEqual(inProgressStatus);
+    expect(getAssessmentRunStatusMock).toHaveBeenCalledWith({ runId: 'run-001' });
+  });
+
+  it.each([
+    ['no data yet', undefined, false],
+    ['in progress', inProgressStatus, false],
+    ['completed', { ...inProgressStatus, completed: true }, true],
+    ['failed', { ...inProgressStatus, error: 'Assessor unavailable' }, true],
+    ['no longer tracked', null, true],
+  ])('isAssessmentRunStatusTerminal is correct when %s', async (_label, status, expected) => {
+    const { isAssessmentRunStatusTerminal } = await import('./sharedQueries');
+
+    expect(isAssessmentRunStatusTerminal(status)).toBe(expected);
+  });
+
+  it('polls while the run is in progress and stops once it is terminal', async () => {
+    const { getAssessmentRunStatusQueryOptions, ASSESSMENT_RUN_STATUS_POLL_INTERVAL_MS } =
+      await import('./sharedQueries');
+    const { refetchInterval } = getAssessmentRunStatusQueryOptions('run-001');
+    type RefetchIntervalCallback = (query: { state: { data: unknown } }) => number | false;
+
+    expect(typeof refetchInterval).toBe('function');
+    const interval = refetchInterval as unknown as RefetchIntervalCallback;
+    expect(interval({ state: { data: inProgressStatus } })).toBe(
+      ASSESSMENT_RUN_STATUS_POLL_INTERVAL_MS
+    );
+    expect(interval({ state: { data: { ...inProgressStatus, completed: true } } })).toBe(false);
+  });
+});
+
+describe('getAssessmentRunQueueQueryOptions', () => {
+  const queuedRun = {
+    runId: 'run-002',
+    assignmentId: 'assign-1',
+    definitionKey: 'def-1',
+    courseId: 'course-2',
+    status: 'queued',
+    enqueuedAt: '2026-06-01T09:00:00.000Z',
+    startedAt: null,
+    checkpointedAt: null,
+    continuations: 0,
+  };
+
+  afterEach(() => {
+    vi.clearAllMocks();
+    vi.resetModules();
+  });
+
+  it('queryKey matches queryKeys.assessmentRunQueue()', async () => {
+    const { getAssessmentRunQueueQueryOptions } = await import('./sharedQueries');
+
+    expect(getAssessmentRunQueueQueryOptions().queryKey).toEqual(queryKeys.assessmentRunQueue());
+  });
+
+  it('delegates to getAssessmentRunQueue', async () => {
+    getAssessmentRunQueueMock.mockResolvedValueOnce([queuedRun]);
+
+    const { getAssessmentRunQueueQueryOptions } = await import('./sharedQueries');
+    const queryClient = createAppQueryClient();
+
+    await expect(queryClient.fetchQuery(getAssessmentRunQueueQueryOptions())).resolves.toEqual([
+      queuedRun,
+    ]);
+    expect(getAssessmentRunQueueMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('polls while runs are queued and stops once the queue is empty', async () => {
+    const { getAssessmentRunQueueQueryOptions, ASSESSMENT_RUN_STATUS_POLL_INTERVAL_MS } =
+      await import('./sharedQueries');
+    const { refetchInterval } = getAssessmentRunQueueQueryOptions();
+    type RefetchIntervalCallback = (query: { state: { data: unknown } }) => number | false;
+
+    const interval = refetchInterval as unknown as RefetchIntervalCallback;
+    expect(interval({ state: { data: [queuedRun] } })).toBe(ASSESSMENT_RUN_STATUS_POLL_INTERVAL_MS);
+    expect(interval({ state: { data: [] } })).toBe(false);
+    expect(interval({ state: { data: undefined } })).toBe(false);
+  });
+});
@@ -15,7 +15,13 @@ import {
   type ClassPartial,
 } from '../services/googleClassrooms/classPartialsService';
 import { getABClass } from '../services/googleClassrooms/classDetail/classDetailService';
-import { getAssignment } from '../services/assignmentAssessment/assignmentAssessmentService';
+import {
+  getAssessmentRunQueue,
+  getAssessmentRunStatus,
+  getAssessmentUsageReport,
+  getAssignment,
+} from '../services/assignmentAssessment/assignmentAssessmentService';
+import type { GetAssessmentRunStatusResponse } from '../services/assignmentAssessment/assignmentAssessment.zod';
 import { getGoogleClassrooms } from '../services/googleClassrooms/googleClassroomsService';
 import { getCohorts, getYearGroups } from '../services/referenceData/referenceDataService';
 import type {
@@ -27,6 +33,7 @@ import { normaliseUnknownError } from '../errors/normaliseUnknownError';
 import { queryKeys } from './queryKeys';
 
 export const ASSIGNMENT_QUERY_STALE_TIME_MS = 300_000;
+export const ASSESSMENT_RUN_STATUS_POLL_INTERVAL_MS = 5000;
 
 const startupWarmupPromises = new WeakMap<QueryClient, Promise<StartupWarmupQueriesResult>>();
 
@@ -145,6 +152,81 @@ export function getAssignmentQueryOptions(courseId: string, assignmentId: string
   });
 }
 
+/**
+ * Returns whether an assessment run status is terminal, i.e. no further
+ * progress will be reported for the run.
+ *
+ * @param {GetAssessmentRunStatusResponse | undefined} status The latest run status.
+ * @returns {boolean} True when the run has completed, failed, or is no longer tracked.
+ */
+export function isAssessmentRunStatusTerminal(
+  status: GetAssessmentRunStatusResponse | undefined
+): boolean {
+  if (status === undefined) {
+    return false;
+  }
+  return status === null || status.completed || status.error !== null;
+}
+
+/**
+ * Returns the shared assessment-run status query definition.
+ *
+ * @remarks
+ * Polls every {@link ASSESSMENT_RUN_STATUS_POLL_INTERVAL_MS} until the run
+ * reaches a terminal state (see {@link isAssessmentRunStatusTerminal}).
+ * `staleTime` is zero so each poll (and each remount) reads fresh progress.
+ *
+ * @param {string} runId The run id returned by `startAssessmentRun`.
+ * @returns {ReturnType<typeof queryOptions>} Shared assessment-run status query options.
+ */
+export function getAssessmentRunStatusQueryOptions(runId: string) {
+  return queryOptions({
+    queryKey: queryKeys.assessmentRunStatus(runId),
+    queryFn: () => getAssessmentRunStatus({ runId }),
+    staleTime: 0,
+    refetchInterval: (query) =>
+      isAssessmentRunStatusTerminal(query.state.data)
+        ? false
+        : ASSESSMENT_RUN_STATUS_POLL_INTERVAL_MS,
+  });
+}
+
+/**
+ * Returns the shared assessment-run queue query definition.
+ *
+ * @remarks
+ * Polls every {@link ASSESSMENT_RUN_STATUS_POLL_INTERVAL_MS} while any run is
+ * queued or running so finished runs drop out of the list, and stops once the
+ * queue is empty.
+ *
+ * @returns {ReturnType<typeof queryOptions>} Shared assessment-run queue query options.
+ */
+export function getAssessmentRunQueueQueryOptions() {
+  return queryOptions({
+    queryKey: queryKeys.assessmentRunQueue(),
+    queryFn: getAssessmentRunQueue,
+    staleTime: 0,
+    refetchInterval: (query) =>
+      (query.state.data?.length ?? 0) > 0 ? ASSESSMENT_RUN_STATUS_POLL_INTERVAL_MS : false,
+  });
+}
+
+/**
+ * Returns the shared assessment usage report query definition.
+ *
+ * @remarks
+ * `staleTime` is zero so opening the report after a run shows that run's usage.
+ *
+ * @returns {ReturnType<typeof queryOptions>} Shared assessment usage report query options.
+ */
+export function getAssessmentUsageReportQueryOptions() {
+  return queryOptions({
+    queryKey: queryKeys.assessmentUsageReport(),
+    queryFn: getAssessmentUsageReport,
+    staleTime: 0,
+  });
+}
+
 /**
  * Returns the shared backend-configuration query definition.
  *
@@ -5,6 +5,8 @@ import {
   AssignmentFullSchema,
   AssignmentFullResponseSchema,
   BaseTaskArtifactSchema,
+  CancelAssessmentRunResponseSchema,
+  GetAssessmentRunQueueResponseSchema,
   GetAssignmentRequestSchema,
   StartAssessmentRunRequestSchema,
   StartAssessmentRunResponseSchema,
@@ -49,16 +51,77 @@ describe('assignmentAssessment.zod schemas', () => {
   });
 
   describe('StartAssessmentRunResponseSchema', () => {
-    it('accepts null data', () => {
-      expect(StartAssessmentRunResponseSchema.parse(null)).toBeNull();
+    it('accepts a payload with a runId', () => {
+      expect(StartAssessmentRunResponseSchema.parse({ runId: 'run-001' })).toEqual({
+        runId: 'run-001',
+      });
     });
 
-    it('rejects non-null data', () => {
+    it('rejects null and payloads without a runId', () => {
+      expect(() => StartAssessmentRunResponseSchema.parse(null)).toThrow();
       expect(() => StartAssessmentRunResponseSchema.parse({ success: true })).toThrow();
       expect(() => StartAssessmentRunResponseSchema.parse('string')).toThrow();
       // eslint-disable-next-line @typescript-eslint/no-magic-numbers
       expect(() => StartAssessmentRunResponseSchema.parse(42)).toThrow();
     });
+
+    it('rejects extra fields', () => {
+      expect(() =>
+        StartAssessmentRunResponseSchema.parse({ runId: 'run-001', extra: true })
+      ).toThrow();
+    });
+  });
+
+  describe('GetAssessmentRunQueueResponseSchema', () => {
+    const queuedRun = {
+      runId: 'run-002',
+      assignmentId: 'assign-123',
+      definitionKey: 'algebra-baseline',
+      courseId: 'course-456',
+      status: 'queued',
+      enqueuedAt: '2026-06-01T09:00:00.000Z',
+      startedAt: null,
+      checkpointedAt: null,
+      continuations: 0,
+    };
+
+    it('accepts queued and running entries', () => {
+      const runningRun = {
+        ...queuedRun,
+        runId: 'run-001',
+        status: 'running',
+        startedAt: '2026-06-01T09:01:00.000Z',
+      };
+
+      expect(GetAssessmentRunQueueResponseSchema.parse([runningRun, queuedRun])).toEqual([
+        runningRun,
+        queuedRun,
+      ]);
+    });
+
+    it('rejects unknown statuses and extra fields', () => {
+      expect(() =>
+        GetAssessmentRunQueueResponseSchema.parse([{ ...queuedRun, status: 'cancelled' }])
+      ).toThrow();
+      expect(() =>
+        GetAssessmentRunQueueResponseSchema.parse([{ ...queuedRun, extra: true }])
+      ).toThrow();
+    });
+  });
+
+  describe('CancelAssessmentRunResponseSchema', () => {
+    it('accepts a runId with the cancelled flag', () => {
+      expect(
+        CancelAssessmentRunResponseSchema.parse({ runId: 'run-002', cancelled: false })
+      ).toEqual({
+        runId: 'run-002',
+        cancelled: false,
+      });
+    });
+
+    it('rejects a payload without the cancelled flag', () => {
+      expect(() => CancelAssessmentRunResponseSchema.parse({ runId: 'run-002' })).toThrow();
+    });
   });
 
   describe('AssignmentFullSchema', () => {
@@ -106,6 +169,40 @@ describe('assignmentAssessment.zod schemas', () => {
         payloadWithNullDocumentId
       );
     });
+
+    it('accepts a similarity report and rejects an unknown match method', () => {
+      const pair = {
+        studentIds: ['student-1', 'student-2'],
+        method: 'exact',
+        similarity: 1,
+        matchedSpans: ['The same answer.'],
+      };
+      const similarityReport = {
+        checkedAt: '2026-01-02T00:00:00.000Z',
+        shingleSize: 5,
+        threshold: 0.5,
+        tasks: [
+          {
+            taskId: 'task-1',
+            comparedCount: 2,
+            pairs: [pair],
+            clusters: [{ studentIds: ['student-1', 'student-2'] }],
+          },
+        ],
+      };
+      const payload = { ...validFullAssignment, similarityReport };
+
+      expect(AssignmentFullSchema.parse(payload)).toEqual(payload);
+      expect(() =>
+        AssignmentFullSchema.parse({
+          ...payload,
+          similarityReport: {
+            ...similarityReport,
+            tasks: [{ ...similarityReport.tasks[0], pairs: [{ ...pair, method: 'partial' }] }],
+          },
+        })
+      ).toThrow();
+    });
   });
 
   describe('AssignmentFullResponseSchema', () => {
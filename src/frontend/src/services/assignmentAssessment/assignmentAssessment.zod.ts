@@ -1,4 +1,5 @@
 import { z } from 'zod';
+import { AssessmentCriteriaSchema } from '../assignmentDefinition/assessmentCriterion.zod';
 
 export const StartAssessmentRunRequestSchema = z
   .object({
@@ -10,10 +11,145 @@ export const StartAssessmentRunRequestSchema = z
 
 export type StartAssessmentRunRequest = z.infer<typeof StartAssessmentRunRequestSchema>;
 
-export const StartAssessmentRunResponseSchema = z.void().nullable();
+/**
+ * Response schema for `startAssessmentRun`. `runId` identifies the scheduled
+ * run and is the key for polling `getAssessmentRunStatus`.
+ */
+export const StartAssessmentRunResponseSchema = z
+  .object({
+    runId: z.string(),
+  })
+  .strict();
 
 export type StartAssessmentRunResponse = z.infer<typeof StartAssessmentRunResponseSchema>;
 
+/**
+ * Request schema for `getAssessmentRunStatus`.
+ */
+export const GetAssessmentRunStatusRequestSchema = z
+  .object({
+    runId: z.string(),
+  })
+  .strict();
+
+export type GetAssessmentRunStatusRequest = z.infer<typeof GetAssessmentRunStatusRequestSchema>;
+
+/**
+ * Schema for a single stage or error entry recorded by the backend
+ * `ProgressTracker` during an assessment run.
+ */
+export const AssessmentRunLogEntrySchema = z.object({
+  step: z.number(),
+  message: z.string(),
+  timestamp: z.string(),
+});
+
+export type AssessmentRunLogEntry = z.infer<typeof AssessmentRunLogEntrySchema>;
+
+/**
+ * Schema for the live status of an assessment run, matching
+ * `ProgressTracker.getRunStatus()` in `src/backend/Utils/ProgressTracker.js`.
+ */
+export const AssessmentRunStatusSchema = z.object({
+  runId: z.string(),
+  step: z.number(),
+  message: z.string(),
+  completed: z.boolean(),
+  error: z.string().nullable(),
+  errors: z.array(AssessmentRunLogEntrySchema),
+  history: z.array(AssessmentRunLogEntrySchema),
+  timestamp: z.string(),
+});
+
+export type AssessmentRunStatus = z.infer<typeof AssessmentRunStatusSchema>;
+
+/**
+ * Response schema for `getAssessmentRunStatus`. `null` means the requested run
+ * is neither waiting in the queue nor the run currently tracked for this user
+ * (for example, a later run has since started).
+ */
+export const GetAssessmentRunStatusResponseSchema = AssessmentRunStatusSchema.nullable();
+
+export type GetAssessmentRunStatusResponse = z.infer<typeof GetAssessmentRunStatusResponseSchema>;
+
+/**
+ * Schema for a run held in the backend `AssessmentRunQueue`. Runs are
+ * processed one at a time in enqueue order; `startedAt` is set once the
+ * trigger picks the run up. A run that ran short of execution time is saved
+ * and returned to the queue with `checkpointedAt` set until a continuation
+ * resumes it; `continuations` counts how often that has happened.
+ */
+export const AssessmentRunQueueEntrySchema = z
+  .object({
+    runId: z.string(),
+    assignmentId: z.string(),
+    definitionKey: z.string(),
+    courseId: z.string(),
+    status: z.enum(['queued', 'running']),
+    enqueuedAt: z.string(),
+    startedAt: z.string().nullable(),
+    checkpointedAt: z.string().nullable(),
+    continuations: z.number().int().nonnegative(),
+  })
+  .strict();
+
+export type AssessmentRunQueueEntry = z.infer<typeof AssessmentRunQueueEntrySchema>;
+
+/**
+ * Response schema for `getAssessmentRunQueue`, oldest run first.
+ */
+export const GetAssessmentRunQueueResponseSchema = z.array(AssessmentRunQueueEntrySchema);
+
+export type GetAssessmentRunQueueResponse = z.infer<typeof GetAssessmentRunQueueResponseSchema>;
+
+/**
+ * Request schema for `cancelAssessmentRun`.
+ */
+export const CancelAssessmentRunRequestSchema = z
+  .object({
+    runId: z.string(),
+  })
+  .strict();
+
+export type CancelAssessmentRunRequest = z.infer<typeof CancelAssessmentRunRequestSchema>;
+
+/**
+ * Response schema for `cancelAssessmentRun`. `cancelled` is `false` when the
+ * run had already started or had left the queue.
+ */
+export const CancelAssessmentRunResponseSchema = z
+  .object({
+    runId: z.string(),
+    cancelled: z.boolean(),
+  })
+  .strict();
+
+export type CancelAssessmentRunResponse = z.infer<typeof CancelAssessmentRunResponseSchema>;
+
+/**
+ * Request schema for `clearAssessmentCache`.
+ */
+export const ClearAssessmentCacheRequestSchema = z
+  .object({
+    definitionKey: z.string(),
+  })
+  .strict();
+
+export type ClearAssessmentCacheRequest = z.infer<typeof ClearAssessmentCacheRequestSchema>;
+
+/**
+ * Response schema for `clearAssessmentCache`. `cleared` is the number of
+ * cached assessments removed for the definition.
+ */
+export const ClearAssessmentCacheResponseSchema = z
+  .object({
+    definitionKey: z.string(),
+    cleared: z.number().int().nonnegative(),
+  })
+  .strict();
+
+export type ClearAssessmentCacheResponse = z.infer<typeof ClearAssessmentCacheResponseSchema>;
+
 /**
  * Schema for an assessment, matching `Assessment.toJSON()` in
  * `src/backend/Models/Assessment.js`.
@@ -32,6 +168,248 @@ export const AssessmentSchema = z.object({
   reasoning: z.string(),
 });
 
+/**
+ * Schema for a teacher override of one criterion, matching the entries of
+ * `StudentSubmissionItem.overrides` in `src/backend/Models/StudentSubmission.js`.
+ * `contentHash` records the student artifact the override was made against;
+ * the backend drops the override once that content changes.
+ */
+export const AssessmentOverrideSchema = AssessmentSchema.extend({
+  overriddenBy: z.string().nullable(),
+  overriddenAt: z.string(),
+  contentHash: z.string().nullable(),
+});
+
+export type AssessmentOverride = z.infer<typeof AssessmentOverrideSchema>;
+
+/**
+ * Request schema for `overrideAssessment`. `score` is a whole number on the
+ * criterion's scale or `'N'` for not attempted; the backend checks it against
+ * the criterion's `maxScore`.
+ */
+export const OverrideAssessmentRequestSchema = z
+  .object({
+    courseId: z.string(),
+    assignmentId: z.string(),
+    studentId: z.string(),
+    taskId: z.string(),
+    criterion: z.string(),
+    score: z.union([z.number().int().min(0), z.literal('N')]),
+    reasoning: z.string().trim().min(1),
+  })
+  .strict();
+
+export type OverrideAssessmentRequest = z.infer<typeof OverrideAssessmentRequestSchema>;
+
+/**
+ * Response schema for `overrideAssessment`. `assessment` is the original
+ * assessor result, or `null` when the criterion was never assessed.
+ */
+export const OverrideAssessmentResponseSchema = z
+  .object({
+    courseId: z.string(),
+    assignmentId: z.string(),
+    studentId: z.string(),
+    taskId: z.string(),
+    criterion: z.string(),
+    assessment: AssessmentSchema.nullable(),
+    override: AssessmentOverrideSchema,
+  })
+  .strict();
+
+export type OverrideAssessmentResponse = z.infer<typeof OverrideAssessmentResponseSchema>;
+
+/**
+ * Request schema for `publishToClassroom`. `includeComments` asks the backend
+ * to compose per-task reasoning for each student alongside the draft grade.
+ */
+export const PublishToClassroomRequestSchema = z
+  .object({
+    courseId: z.string(),
+    assignmentId: z.string(),
+    includeComments: z.boolean().optional(),
+  })
+  .strict();
+
+export type PublishToClassroomRequest = z.infer<typeof PublishToClassroomRequestSchema>;
+
+/**
+ * Schema for one student's entry in a Classroom publication, matching
+ * `ABClassGradePublisher._publishStudent()` in
+ * `src/backend/y_controllers/ABClassController/ABClassGradePublisher.js`.
+ * `comment` is only present when comments were requested.
+ */
+export const ClassroomPublicationEntrySchema = z
+  .object({
+    studentId: z.string(),
+    status: z.enum(['published', 'skipped', 'failed']),
+    draftGrade: z.number().nullable(),
+    reason: z.string().nullable(),
+    comment: z.string().nullable().optional(),
+  })
+  .strict();
+
+export type ClassroomPublicationEntry = z.infer<typeof ClassroomPublicationEntrySchema>;
+
+/**
+ * Schema for the record of a `publishToClassroom` run. It is both the
+ * response of that call and the `classroomPublication` field of the full
+ * assignment.
+ */
+export const ClassroomPublicationSchema = z
+  .object({
+    publishedAt: z.string(),
+    publishedBy: z.string().nullable(),
+    includeComments: z.boolean(),
+    maxPoints: z.number(),
+    students: z.array(ClassroomPublicationEntrySchema),
+  })
+  .strict();
+
+export type ClassroomPublication = z.infer<typeof ClassroomPublicationSchema>;
+
+/**
+ * Schema for one pair of students whose answers to a task match.
+ * `similarity` is `1` for an `exact` match and the share of shared word runs
+ * for a `fuzzy` one; `matchedSpans` are the shared passages, longest first.
+ */
+export const SimilarityPairSchema = z
+  .object({
+    studentIds: z.tuple([z.string(), z.string()]),
+    method: z.enum(['exact', 'fuzzy']),
+    similarity: z.number().min(0).max(1),
+    matchedSpans: z.array(z.string()),
+  })
+  .strict();
+
+export type SimilarityPair = z.infer<typeof SimilarityPairSchema>;
+
+/**
+ * Schema for the matched pairs of one task, with the clusters of students
+ * linked by a chain of matches.
+ */
+export const SimilarityTaskReportSchema = z
+  .object({
+    taskId: z.string(),
+    comparedCount: z.number().int().min(0),
+    pairs: z.array(SimilarityPairSchema),
+    clusters: z.array(z.object({ studentIds: z.array(z.string()) }).strict()),
+  })
+  .strict();
+
+export type SimilarityTaskReport = z.infer<typeof SimilarityTaskReportSchema>;
+
+/**
+ * Schema for the `similarityReport` field of the full assignment, written by
+ * `SubmissionSimilarityDetector` during each assessment run. `tasks` only lists
+ * tasks with at least one matched pair.
+ */
+export const SimilarityReportSchema = z
+  .object({
+    checkedAt: z.string(),
+    shingleSize: z.number().int().min(1),
+    threshold: z.number(),
+    tasks: z.array(SimilarityTaskReportSchema),
+  })
+  .strict();
+
+export type SimilarityReport = z.infer<typeof SimilarityReportSchema>;
+
+/**
+ * Counters shared by an assessment usage record and a usage report row. `payloadBytes`
+ * counts every request body sent, retries included.
+ */
+const AssessmentUsageCountersSchema = z.object({
+  requests: z.number().int().nonnegative(),
+  retries: z.number().int().nonnegative(),
+  validationFailures: z.number().int().nonnegative(),
+  cacheHits: z.number().int().nonnegative(),
+  notAttempted: z.number().int().nonnegative(),
+  payloadBytes: z.number().int().nonnegative(),
+  maxPayloadBytes: z.number().int().nonnegative(),
+  assessorUsage: z.record(z.string(), z.number()),
+});
+
+/**
+ * Schema for one entry of the full assignment's `assessmentUsage`, written by
+ * `AssessorUsage.addToRuns()` at the end of each execution of an assessment run.
+ * `assessorUsage` sums the numeric fields of the assessor's `usage` responses.
+ */
+export const AssessmentUsageRecordSchema = AssessmentUsageCountersSchema.extend({
+  runId: z.string().nullable(),
+  definitionKey: z.string().nullable(),
+  startedAt: z.string(),
+  profiles: z.array(z.string()),
+});
+
+export type AssessmentUsageRecord = z.infer<typeof AssessmentUsageRecordSchema>;
+
+/**
+ * Schema for one row of the assessment usage report: usage summed over `runs` runs.
+ */
+export const AssessmentUsageTotalsSchema = AssessmentUsageCountersSchema.extend({
+  runs: z.number().int().nonnegative(),
+});
+
+export type AssessmentUsageTotals = z.infer<typeof AssessmentUsageTotalsSchema>;
+
+/**
+ * Response schema for `getAssessmentUsageReport`, produced by `ABClassUsageReport.build()`.
+ * Groups are sorted by class name, definition title and month. `month` is `YYYY-MM` in UTC,
+ * or `null` for runs without a readable start time.
+ */
+export const GetAssessmentUsageReportResponseSchema = z.object({
+  totals: AssessmentUsageTotalsSchema,
+  byClass: z.array(
+    AssessmentUsageTotalsSchema.extend({
+      classId: z.string(),
+      className: z.string().nullable(),
+    })
+  ),
+  byDefinition: z.array(
+    AssessmentUsageTotalsSchema.extend({
+      definitionKey: z.string().nullable(),
+      primaryTitle: z.string().nullable(),
+    })
+  ),
+  byMonth: z.array(AssessmentUsageTotalsSchema.extend({ month: z.string().nullable() })),
+});
+
+export type GetAssessmentUsageReportResponse = z.infer<
+  typeof GetAssessmentUsageReportResponseSchema
+>;
+
+/**
+ * Request schema for `populateStudentFeedback`. `mode` defaults to `'update'`,
+ * `placement` to `'speakerNotes'` and `formulaHint` to `'pattern'` on the backend.
+ * `placement` applies to Slides decks and `formulaHint` to Sheets spreadsheets.
+ */
+export const PopulateStudentFeedbackRequestSchema = z
+  .object({
+    courseId: z.string(),
+    assignmentId: z.string(),
+    mode: z.enum(['update', 'remove']).optional(),
+    placement: z.enum(['speakerNotes', 'textBox']).optional(),
+    formulaHint: z.enum(['none', 'pattern', 'formula']).optional(),
+  })
+  .strict();
+
+export type PopulateStudentFeedbackRequest = z.infer<typeof PopulateStudentFeedbackRequestSchema>;
+
+/**
+ * Response schema for `populateStudentFeedback`: counts of the student documents
+ * updated or that failed, and of the submission items given feedback.
+ */
+export const PopulateStudentFeedbackResponseSchema = z
+  .object({
+    documentsUpdated: z.number().int().min(0),
+    documentsFailed: z.number().int().min(0),
+    itemsWritten: z.number().int().min(0),
+  })
+  .strict();
+
+export type PopulateStudentFeedbackResponse = z.infer<typeof PopulateStudentFeedbackResponseSchema>;
+
 const BaseTaskArtifactFields = z.object({
   taskId: z.string(),
   role: z.string(),
@@ -102,6 +480,18 @@ export const StudentSubmissionItemSchema = z.object({
       createdAt: z.string(),
     })
   ),
+  // Absent from items persisted before repeat runs compared content hashes.
+  assessedContentHash: z.string().nullable().optional(),
+  // Absent from items persisted before teacher overrides were recorded.
+  overrides: z.record(z.string(), AssessmentOverrideSchema).optional(),
+  overrideHistory: z
+    .array(
+      AssessmentOverrideSchema.extend({
+        criterion: z.string(),
+        previousScore: z.union([z.number(), z.literal('N')]).nullable(),
+      })
+    )
+    .optional(),
 });
 
 /**
@@ -116,6 +506,7 @@ export const StudentSubmissionSchema = z.object({
   // entirely, not merely `null`), so it is both nullable and optional.
   documentId: z.string().nullable().optional(),
   items: z.record(z.string(), StudentSubmissionItemSchema),
+  extractedAt: z.string().nullable().optional(),
   createdAt: z.string(),
   updatedAt: z.string(),
 });
@@ -138,6 +529,7 @@ export const AssignmentDefinitionSchema = z.object({
   referenceLastModified: z.string().nullable(),
   templateLastModified: z.string().nullable(),
   assignmentWeighting: z.number(),
+  criteria: AssessmentCriteriaSchema.optional(),
   definitionKey: z.string(),
   tasks: z.record(z.string(), TaskDefinitionSchema),
   createdAt: z.string(),
@@ -152,8 +544,8 @@ export const AssignmentDefinitionSchema = z.object({
  * `src/backend/AssignmentProcessor/Assignment/00_AssignmentSerialisation.js`,
  * which emits `courseId`, `assignmentId`, `assignmentName`, `dueDate`,
  * `updatedAt`, `createdAt`, plus `_extractFullDefinitionFields` (documentType,
- * referenceDocumentId, templateDocumentId, tasks), submissions, and
- * assignmentDefinition. The inner `AssignmentDefinition.toJSON()` is the
+ * referenceDocumentId, templateDocumentId, tasks), submissions,
+ * classroomPublication, similarityReport, assessmentUsage, and assignmentDefinition. The inner `AssignmentDefinition.toJSON()` is the
  * source of truth at `src/backend/Models/AssignmentDefinition.js`.
  * Check those files when the backend response shape changes.
  *
@@ -176,6 +568,12 @@ export const AssignmentFullSchema = z
     templateDocumentId: z.string().nullable(),
     tasks: z.record(z.string(), TaskDefinitionSchema).nullable(),
     submissions: z.array(StudentSubmissionSchema),
+    // Absent from assignments persisted before Classroom publishing existed.
+    classroomPublication: ClassroomPublicationSchema.nullish(),
+    // Absent from assignments persisted before the similarity check existed.
+    similarityReport: SimilarityReportSchema.nullish(),
+    // Absent from assignments persisted before usage was recorded.
+    assessmentUsage: z.array(AssessmentUsageRecordSchema).optional(),
     assignmentDefinition: AssignmentDefinitionSchema,
   })
   .strict();
@@ -149,26 +149,38 @@ describe('assignmentAssessmentService', () => {
     vi.resetModules();
   });
 
-  it('startAssessmentRun() returns null on a successful call', async () => {
-    callApiMock.mockResolvedValueOnce(null);
+  it('startAssessmentRun() returns the run id on a successful call', async () => {
+    callApiMock.mockResolvedValueOnce({ runId: 'run-001' });
 
     const { startAssessmentRun } = await loadAssignmentAssessmentService();
 
-    await expect(startAssessmentRun(validStartAssessmentRunRequest)).resolves.toBeNull();
+    await expect(startAssessmentRun(validStartAssessmentRunRequest)).resolves.toEqual({
+      runId: 'run-001',
+    });
     expect(callApiMock).toHaveBeenCalledTimes(1);
     expect(parseApiResponseMock).toHaveBeenCalledTimes(1);
     expect(parseApiResponseMock).toHaveBeenCalledWith(
       StartAssessmentRunResponseSchema,
       'startAssessmentRun',
-      null
+      { runId: 'run-001' }
     );
   });
 
-  it('startAssessmentRun() calls callApi with the correct method name and payload', async () => {
+  it('startAssessmentRun() rejects with a Zod error when the response has no run id', async () => {
     callApiMock.mockResolvedValueOnce(null);
 
     const { startAssessmentRun } = await loadAssignmentAssessmentService();
 
+    await expect(startAssessmentRun(validStartAssessmentRunRequest)).rejects.toBeInstanceOf(
+      ZodError
+    );
+  });
+
+  it('startAssessmentRun() calls callApi with the correct method name and payload', async () => {
+    callApiMock.mockResolvedValueOnce({ runId: 'run-001' });
+
+    const { startAssessmentRun } = await loadAssignmentAssessmentService();
+
     await startAssessmentRun(validStartAssessmentRunRequest);
     expect(callApiMock).toHaveBeenCalledWith('startAssessmentRun', validStartAssessmentRunRequest);
     expect(callApiMock).toHaveBeenCalledTimes(1);
@@ -183,6 +195,294 @@ describe('assignmentAssessmentService', () => {
     expect(callApiMock).not.toHaveBeenCalled();
   });
 
+  describe('getAssessmentRunStatus', () => {
+    const validRunStatus = {
+      runId: 'run-001',
+      step: 2,
+      message: 'Fetching submitted documents from students.',
+      completed: false,
+      error: null,
+      errors: [],
+      history: [
+        {
+          step: 0,
+          message: 'Assessment run scheduled; waiting for the trigger to start.',
+          timestamp: '2026-06-01T09:00:00.000Z',
+        },
+        {
+          step: 2,
+          message: 'Fetching submitted documents from students.',
+          timestamp: '2026-06-01T09:01:00.000Z',
+        },
+      ],
+      timestamp: '2026-06-01T09:01:00.000Z',
+    };
+
+    it('calls callApi with the method name and runId and returns the parsed status', async () => {
+      callApiMock.mockResolvedValueOnce(validRunStatus);
+
+      const { getAssessmentRunStatus } = await loadAssignmentAssessmentService();
+
+      await expect(getAssessmentRunStatus({ runId: 'run-001' })).resolves.toEqual(validRunStatus);
+      expect(callApiMock).toHaveBeenCalledWith('getAssessmentRunStatus', { runId: 'run-001' });
+      expect(parseApiResponseMock).toHaveBeenCalledWith(
+        expect.anything(),
+        'getAssessmentRunStatus',
+        validRunStatus
+      );
+    });
+
+    it('accepts null as a valid response (run not tracked)', async () => {
+      callApiMock.mockResolvedValueOnce(null);
+
+      const { getAssessmentRunStatus } = await loadAssignmentAssessmentService();
+
+      await expect(getAssessmentRunStatus({ runId: 'run-001' })).resolves.toBeNull();
+    });
+
+    it('rejects with a Zod error when the status is missing its history', async () => {
+      const incompleteStatus: Record<string, unknown> = { ...validRunStatus };
+      delete incompleteStatus.history;
+      callApiMock.mockResolvedValueOnce(incompleteStatus);
+
+      const { getAssessmentRunStatus } = await loadAssignmentAssessmentService();
+
+      await expect(getAssessmentRunStatus({ runId: 'run-001' })).rejects.toBeInstanceOf(ZodError);
+    });
+
+    it('parses input through the request schema before calling callApi', async () => {
+      const { getAssessmentRunStatus } = await loadAssignmentAssessmentService();
+
+      await expect(
+        getAssessmentRunStatus({} as Parameters<typeof getAssessmentRunStatus>[0])
+      ).rejects.toBeInstanceOf(ZodError);
+      expect(callApiMock).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getAssessmentRunQueue', () => {
+    const queuedRun = {
+      runId: 'run-002',
+      assignmentId: 'assign-1',
+      definitionKey: 'def-1',
+      courseId: 'course-2',
+      status: 'queued',
+      enqueuedAt: '2026-06-01T09:00:00.000Z',
+      startedAt: null,
+      checkpointedAt: null,
+      continuations: 0,
+    };
+
+    it('calls callApi without parameters and returns the parsed queue', async () => {
+      callApiMock.mockResolvedValueOnce([queuedRun]);
+
+      const { getAssessmentRunQueue } = await loadAssignmentAssessmentService();
+
+      await expect(getAssessmentRunQueue()).resolves.toEqual([queuedRun]);
+      expect(callApiMock).toHaveBeenCalledWith('getAssessmentRunQueue');
+      expect(parseApiResponseMock).toHaveBeenCalledWith(
+        expect.anything(),
+        'getAssessmentRunQueue',
+        [queuedRun]
+      );
+    });
+
+    it('rejects with a Zod error when an entry has an unknown status', async () => {
+      callApiMock.mockResolvedValueOnce([{ ...queuedRun, status: 'paused' }]);
+
+      const { getAssessmentRunQueue } = await loadAssignmentAssessmentService();
+
+      await expect(getAssessmentRunQueue()).rejects.toBeInstanceOf(ZodError);
+    });
+  });
+
+  describe('cancelAssessmentRun', () => {
+    it('calls callApi with the method name and runId and returns the parsed result', async () => {
+      callApiMock.mockResolvedValueOnce({ runId: 'run-002', cancelled: true });
+
+      const { cancelAssessmentRun } = await loadAssignmentAssessmentService();
+
+      await expect(cancelAssessmentRun({ runId: 'run-002' })).resolves.toEqual({
+        runId: 'run-002',
+        cancelled: true,
+      });
+      expect(callApiMock).toHaveBeenCalledWith('cancelAssessmentRun', { runId: 'run-002' });
+    });
+
+    it('parses input through the request schema before calling callApi', async () => {
+      const { cancelAssessmentRun } = await loadAssignmentAssessmentService();
+
+      await expect(
+        cancelAssessmentRun({} as Parameters<typeof cancelAssessmentRun>[0])
+      ).rejects.toBeInstanceOf(ZodError);
+      expect(callApiMock).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('clearAssessmentCache', () => {
+    it('calls callApi with the method name and definitionKey and returns the parsed result', async () => {
+      callApiMock.mockResolvedValueOnce({ definitionKey: 'def-1', cleared: 4 });
+
+      const { clearAssessmentCache } = await loadAssignmentAssessmentService();
+
+      await expect(clearAssessmentCache({ definitionKey: 'def-1' })).resolves.toEqual({
+        definitionKey: 'def-1',
+        cleared: 4,
+      });
+      expect(callApiMock).toHaveBeenCalledWith('clearAssessmentCache', { definitionKey: 'def-1' });
+    });
+
+    it('parses input through the request schema before calling callApi', async () => {
+      const { clearAssessmentCache } = await loadAssignmentAssessmentService();
+
+      await expect(
+        clearAssessmentCache({} as Parameters<typeof clearAssessmentCache>[0])
+      ).rejects.toBeInstanceOf(ZodError);
+      expect(callApiMock).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('overrideAssessment', () => {
+    const overrideRequest = {
+      courseId: 'course-1',
+      assignmentId: 'assign-1',
+      studentId: 'student-1',
+      taskId: 'task-1',
+      criterion: 'accuracy',
+      score: 4,
+      reasoning: 'Correct method, arithmetic slip',
+    };
+
+    it('calls callApi with the method name and request and returns the parsed result', async () => {
+      const response = {
+        courseId: 'course-1',
+        assignmentId: 'assign-1',
+        studentId: 'student-1',
+        taskId: 'task-1',
+        criterion: 'accuracy',
+        assessment: { score: 2, reasoning: 'Incorrect answer' },
+        override: {
+          score: 4,
+          reasoning: 'Correct method, arithmetic slip',
+          overriddenBy: 'teacher@example.com',
+          overriddenAt: '2026-01-01T00:00:00.000Z',
+          contentHash: 'hash-1',
+        },
+      };
+      callApiMock.mockResolvedValueOnce(response);
+
+      const { overrideAssessment } = await loadAssignmentAssessmentService();
+
+      await expect(overrideAssessment(overrideRequest)).resolves.toEqual(response);
+      expect(callApiMock).toHaveBeenCalledWith('overrideAssessment', overrideRequest);
+    });
+
+    it.each([
+      ['a negative score', { score: -1 }],
+      ['a fractional score', { score: 2.5 }],
+      ['blank reasoning', { reasoning: '   ' }],
+    ])('rejects %s before calling callApi', async (_label, invalidFields) => {
+      const { overrideAssessment } = await loadAssignmentAssessmentService();
+
+      await expect(
+        overrideAssessment({ ...overrideRequest, ...invalidFields })
+      ).rejects.toBeInstanceOf(ZodError);
+      expect(callApiMock).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('publishToClassroom', () => {
+    const publication = {
+      publishedAt: '2026-01-01T00:00:00.000Z',
+      publishedBy: 'teacher@example.com',
+      includeComments: true,
+      maxPoints: 20,
+      students: [
+        {
+          studentId: 'student-1',
+          status: 'published',
+          draftGrade: 15.5,
+          reason: null,
+          comment: 'Task 1\n- Accuracy (4/5): Correct method',
+        },
+        {
+          studentId: 'student-2',
+          status: 'skipped',
+          draftGrade: null,
+          reason: 'Not attempted.',
+          comment: null,
+        },
+      ],
+    };
+
+    it('calls callApi with the method name and request and returns the parsed record', async () => {
+      callApiMock.mockResolvedValueOnce(publication);
+      const request = { courseId: 'course-1', assignmentId: 'assign-1', includeComments: true };
+
+      const { publishToClassroom } = await loadAssignmentAssessmentService();
+
+      await expect(publishToClassroom(request)).resolves.toEqual(publication);
+      expect(callApiMock).toHaveBeenCalledWith('publishToClassroom', request);
+    });
+
+    it('rejects an unknown student status', async () => {
+      callApiMock.mockResolvedValueOnce({
+        ...publication,
+        students: [{ ...publication.students[0], status: 'returned' }],
+      });
+
+      const { publishToClassroom } = await loadAssignmentAssessmentService();
+
+      await expect(
+        publishToClassroom({ courseId: 'course-1', assignmentId: 'assign-1' })
+      ).rejects.toBeInstanceOf(ZodError);
+    });
+  });
+
+  describe('populateStudentFeedback', () => {
+    it('calls callApi with the method name and request and returns the parsed counts', async () => {
+      const summary = { documentsUpdated: 3, documentsFailed: 1, itemsWritten: 9 };
+      callApiMock.mockResolvedValueOnce(summary);
+      const request = {
+        courseId: 'course-1',
+        assignmentId: 'assign-1',
+        mode: 'update' as const,
+        placement: 'textBox' as const,
+      };
+
+      const { populateStudentFeedback } = await loadAssignmentAssessmentService();
+
+      await expect(populateStudentFeedback(request)).resolves.toEqual(summary);
+      expect(callApiMock).toHaveBeenCalledWith('populateStudentFeedback', request);
+    });
+
+    it('rejects an unknown placement before calling callApi', async () => {
+      const { populateStudentFeedback } = await loadAssignmentAssessmentService();
+
+      await expect(
+        populateStudentFeedback({
+          courseId: 'course-1',
+          assignmentId: 'assign-1',
+          placement: 'comment',
+        } as unknown as Parameters<typeof populateStudentFeedback>[0])
+      ).rejects.toBeInstanceOf(ZodError);
+      expect(callApiMock).not.toHaveBeenCalled();
+    });
+
+    it('rejects an unknown formula hint before calling callApi', async () => {
+      const { populateStudentFeedback } = await loadAssignmentAssessmentService();
+
+      await expect(
+        populateStudentFeedback({
+          courseId: 'course-1',
+          assignmentId: 'assign-1',
+          formulaHint: 'answer',
+        } as unknown as Parameters<typeof populateStudentFeedback>[0])
+      ).rejects.toBeInstanceOf(ZodError);
+      expect(callApiMock).not.toHaveBeenCalled();
+    });
+  });
+
   describe('getAssignment', () => {
     it('resolves with valid data when the backend returns a well-formed full assignment', async () => {
       callApiMock.mockResolvedValueOnce(validFullAssignment);
@@ -263,4 +563,41 @@ describe('assignmentAssessmentService', () => {
       expect(callApiMock).not.toHaveBeenCalled();
     });
   });
+
+  describe('getAssessmentUsageReport', () => {
+    const row = {
+      runs: 1,
+      requests: 10,
+      retries: 1,
+      validationFailures: 0,
+      cacheHits: 2,
+      notAttempted: 3,
+      payloadBytes: 4000,
+      maxPayloadBytes: 500,
+      assessorUsage: { inputTokens: 1000 },
+    };
+    const report = {
+      totals: row,
+      byClass: [{ ...row, classId: 'class-1', className: '7X Science' }],
+      byDefinition: [{ ...row, definitionKey: 'def-1', primaryTitle: 'Essay' }],
+      byMonth: [{ ...row, month: '2026-10' }],
+    };
+
+    it('calls callApi without parameters and returns the parsed report', async () => {
+      callApiMock.mockResolvedValueOnce(report);
+
+      const { getAssessmentUsageReport } = await loadAssignmentAssessmentService();
+
+      await expect(getAssessmentUsageReport()).resolves.toEqual(report);
+      expect(callApiMock).toHaveBeenCalledWith('getAssessmentUsageReport');
+    });
+
+    it('rejects with a Zod error when a counter is negative', async () => {
+      callApiMock.mockResolvedValueOnce({ ...report, totals: { ...row, requests: -1 } });
+
+      const { getAssessmentUsageReport } = await loadAssignmentAssessmentService();
+
+      await expect(getAssessmentUsageReport()).rejects.toBeInstanceOf(ZodError);
+    });
+  });
 });
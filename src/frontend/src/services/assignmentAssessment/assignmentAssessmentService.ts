@@ -2,29 +2,193 @@ import { callApi, parseApiResponse } from '../apiService';
 import {
   StartAssessmentRunRequestSchema,
   StartAssessmentRunResponseSchema,
+  GetAssessmentRunStatusRequestSchema,
+  GetAssessmentRunStatusResponseSchema,
+  GetAssessmentRunQueueResponseSchema,
+  CancelAssessmentRunRequestSchema,
+  CancelAssessmentRunResponseSchema,
+  ClearAssessmentCacheRequestSchema,
+  ClearAssessmentCacheResponseSchema,
+  OverrideAssessmentRequestSchema,
+  OverrideAssessmentResponseSchema,
+  PublishToClassroomRequestSchema,
+  ClassroomPublicationSchema,
+  PopulateStudentFeedbackRequestSchema,
+  PopulateStudentFeedbackResponseSchema,
   GetAssignmentRequestSchema,
   AssignmentFullResponseSchema,
+  GetAssessmentUsageReportResponseSchema,
   type StartAssessmentRunRequest,
+  type StartAssessmentRunResponse,
+  type GetAssessmentRunStatusRequest,
+  type GetAssessmentRunStatusResponse,
+  type GetAssessmentRunQueueResponse,
+  type CancelAssessmentRunRequest,
+  type CancelAssessmentRunResponse,
+  type ClearAssessmentCacheRequest,
+  type ClearAssessmentCacheResponse,
+  type OverrideAssessmentRequest,
+  type OverrideAssessmentResponse,
+  type PublishToClassroomRequest,
+  type ClassroomPublication,
+  type PopulateStudentFeedbackRequest,
+  type PopulateStudentFeedbackResponse,
   type GetAssignmentRequest,
   type AssignmentFullResponse,
+  type GetAssessmentUsageReportResponse,
 } from './assignmentAssessment.zod';
 
 const START_ASSESSMENT_RUN_METHOD = 'startAssessmentRun';
+const GET_ASSESSMENT_RUN_STATUS_METHOD = 'getAssessmentRunStatus';
+const GET_ASSESSMENT_RUN_QUEUE_METHOD = 'getAssessmentRunQueue';
+const CANCEL_ASSESSMENT_RUN_METHOD = 'cancelAssessmentRun';
+const CLEAR_ASSESSMENT_CACHE_METHOD = 'clearAssessmentCache';
+const OVERRIDE_ASSESSMENT_METHOD = 'overrideAssessment';
+const PUBLISH_TO_CLASSROOM_METHOD = 'publishToClassroom';
+const POPULATE_STUDENT_FEEDBACK_METHOD = 'populateStudentFeedback';
 const GET_ASSIGNMENT_METHOD = 'getAssignment';
+const GET_ASSESSMENT_USAGE_REPORT_METHOD = 'getAssessmentUsageReport';
 
 /**
  * Starts an assessment run for the given definition, assignment, and course.
  *
  * @param {StartAssessmentRunRequest} input Request payload with definitionKey, assignmentId, and courseId.
- * @returns {Promise<null>} Promise resolving to null on success.
+ * @returns {Promise<StartAssessmentRunResponse>} Promise resolving to the scheduled run's id.
  */
-export async function startAssessmentRun(input: StartAssessmentRunRequest): Promise<null> {
+export async function startAssessmentRun(
+  input: StartAssessmentRunRequest
+): Promise<StartAssessmentRunResponse> {
   const parsedInput = StartAssessmentRunRequestSchema.parse(input);
   return parseApiResponse(
     StartAssessmentRunResponseSchema,
     START_ASSESSMENT_RUN_METHOD,
     await callApi(START_ASSESSMENT_RUN_METHOD, parsedInput)
-  ) as null;
+  );
+}
+
+/**
+ * Fetches the live status of an assessment run.
+ *
+ * @remarks Wraps the backend `getAssessmentRunStatus` method. Runs still waiting
+ * in the queue report a pending status; `null` means the run is neither queued
+ * nor the run tracked for the current user.
+ *
+ * @param {GetAssessmentRunStatusRequest} input Request payload with the `runId` returned by `startAssessmentRun`.
+ * @returns {Promise<GetAssessmentRunStatusResponse>} Promise resolving to the run status, or `null`.
+ */
+export async function getAssessmentRunStatus(
+  input: GetAssessmentRunStatusRequest
+): Promise<GetAssessmentRunStatusResponse> {
+  const parsedInput = GetAssessmentRunStatusRequestSchema.parse(input);
+  return parseApiResponse(
+    GetAssessmentRunStatusResponseSchema,
+    GET_ASSESSMENT_RUN_STATUS_METHOD,
+    await callApi(GET_ASSESSMENT_RUN_STATUS_METHOD, parsedInput)
+  );
+}
+
+/**
+ * Fetches the current user's queued and running assessment runs.
+ *
+ * @returns {Promise<GetAssessmentRunQueueResponse>} Promise resolving to the queue, oldest run first.
+ */
+export async function getAssessmentRunQueue(): Promise<GetAssessmentRunQueueResponse> {
+  return parseApiResponse(
+    GetAssessmentRunQueueResponseSchema,
+    GET_ASSESSMENT_RUN_QUEUE_METHOD,
+    await callApi(GET_ASSESSMENT_RUN_QUEUE_METHOD)
+  );
+}
+
+/**
+ * Cancels an assessment run that is still waiting in the queue.
+ *
+ * @param {CancelAssessmentRunRequest} input Request payload with the `runId` to cancel.
+ * @returns {Promise<CancelAssessmentRunResponse>} Promise resolving to whether the run was cancelled.
+ */
+export async function cancelAssessmentRun(
+  input: CancelAssessmentRunRequest
+): Promise<CancelAssessmentRunResponse> {
+  const parsedInput = CancelAssessmentRunRequestSchema.parse(input);
+  return parseApiResponse(
+    CancelAssessmentRunResponseSchema,
+    CANCEL_ASSESSMENT_RUN_METHOD,
+    await callApi(CANCEL_ASSESSMENT_RUN_METHOD, parsedInput)
+  );
+}
+
+/**
+ * Clears the cached assessments recorded for an assignment definition so its
+ * next run reassesses every attempted response.
+ *
+ * @param {ClearAssessmentCacheRequest} input Request payload with the `definitionKey` to clear.
+ * @returns {Promise<ClearAssessmentCacheResponse>} Promise resolving to the number of entries removed.
+ */
+export async function clearAssessmentCache(
+  input: ClearAssessmentCacheRequest
+): Promise<ClearAssessmentCacheResponse> {
+  const parsedInput = ClearAssessmentCacheRequestSchema.parse(input);
+  return parseApiResponse(
+    ClearAssessmentCacheResponseSchema,
+    CLEAR_ASSESSMENT_CACHE_METHOD,
+    await callApi(CLEAR_ASSESSMENT_CACHE_METHOD, parsedInput)
+  );
+}
+
+/**
+ * Records a teacher's score and reasoning for one criterion of a student's
+ * submission item. The original assessment is kept alongside the override.
+ *
+ * @param {OverrideAssessmentRequest} input Request payload identifying the item and criterion, with the new score and reasoning.
+ * @returns {Promise<OverrideAssessmentResponse>} Promise resolving to the stored override and the original assessment.
+ */
+export async function overrideAssessment(
+  input: OverrideAssessmentRequest
+): Promise<OverrideAssessmentResponse> {
+  const parsedInput = OverrideAssessmentRequestSchema.parse(input);
+  return parseApiResponse(
+    OverrideAssessmentResponseSchema,
+    OVERRIDE_ASSESSMENT_METHOD,
+    await callApi(OVERRIDE_ASSESSMENT_METHOD, parsedInput)
+  );
+}
+
+/**
+ * Writes each student's weighted overall score to Google Classroom as a draft
+ * grade. Students who cannot be graded are reported in the result rather than
+ * failing the call.
+ *
+ * @param {PublishToClassroomRequest} input Request payload with `courseId`, `assignmentId`, and optional `includeComments`.
+ * @returns {Promise<ClassroomPublication>} Promise resolving to the stored publication record.
+ */
+export async function publishToClassroom(
+  input: PublishToClassroomRequest
+): Promise<ClassroomPublication> {
+  const parsedInput = PublishToClassroomRequestSchema.parse(input);
+  return parseApiResponse(
+    ClassroomPublicationSchema,
+    PUBLISH_TO_CLASSROOM_METHOD,
+    await callApi(PUBLISH_TO_CLASSROOM_METHOD, parsedInput)
+  );
+}
+
+/**
+ * Writes each student's feedback into their Google Slides deck or Google Sheets
+ * spreadsheet, or removes feedback written earlier. Writing replaces earlier
+ * feedback rather than adding to it.
+ *
+ * @param {PopulateStudentFeedbackRequest} input Request payload with `courseId`, `assignmentId`, and optional `mode`, `placement` and `formulaHint`.
+ * @returns {Promise<PopulateStudentFeedbackResponse>} Promise resolving to counts of the documents and items changed.
+ */
+export async function populateStudentFeedback(
+  input: PopulateStudentFeedbackRequest
+): Promise<PopulateStudentFeedbackResponse> {
+  const parsedInput = PopulateStudentFeedbackRequestSchema.parse(input);
+  return parseApiResponse(
+    PopulateStudentFeedbackResponseSchema,
+    POPULATE_STUDENT_FEEDBACK_METHOD,
+    await callApi(POPULATE_STUDENT_FEEDBACK_METHOD, parsedInput)
+  );
 }
 
 /**
@@ -45,3 +209,16 @@ export async function getAssignment(input: GetAssignmentRequest): Promise<Assign
     await callApi(GET_ASSIGNMENT_METHOD, parsedInput)
   );
 }
+
+/**
+ * Fetches assessor usage totalled across every class, by class, assignment definition and month.
+ *
+ * @returns {Promise<GetAssessmentUsageReportResponse>} Promise resolving to the usage report.
+ */
+export async function getAssessmentUsageReport(): Promise<GetAssessmentUsageReportResponse> {
+  return parseApiResponse(
+    GetAssessmentUsageReportResponseSchema,
+    GET_ASSESSMENT_USAGE_REPORT_METHOD,
+    await callApi(GET_ASSESSMENT_USAGE_REPORT_METHOD)
+  );
+}
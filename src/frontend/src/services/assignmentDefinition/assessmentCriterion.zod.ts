@@ -0,0 +1,39 @@
+import { z } from 'zod';
+
+/**
+ * Shape of a criterion key, matching `CRITERION_KEY_PATTERN` in
+ * `src/backend/Models/AssignmentDefinition.js`.
+ */
+export const ASSESSMENT_CRITERION_KEY_PATTERN = /^[a-z][\dA-Za-z]*$/u;
+
+/**
+ * Canonical source for one assessment criterion on an assignment definition,
+ * matching the entries of `AssignmentDefinition.criteria` in
+ * `src/backend/Models/AssignmentDefinition.js`.
+ *
+ * @remarks
+ * The backend model enforces the full contract (camelCase keys that stay
+ * unique when lower-cased, positive integer `maxScore`, at least one positive
+ * weighting); this wire schema only enforces shape, matching
+ * `taskPartial.zod.ts`.
+ */
+export const AssessmentCriterionSchema = z.strictObject({
+  key: z.string().min(1),
+  label: z.string().min(1),
+  maxScore: z.number().int().positive(),
+  weighting: z.number().nonnegative(),
+});
+
+export type AssessmentCriterion = z.infer<typeof AssessmentCriterionSchema>;
+
+export const AssessmentCriteriaSchema = z.array(AssessmentCriterionSchema).min(1);
+
+/**
+ * Criteria applied when a definition does not define its own; mirrors
+ * `DEFAULT_ASSESSMENT_CRITERIA` in `src/backend/Models/Assessment.js`.
+ */
+export const DEFAULT_ASSESSMENT_CRITERIA: readonly AssessmentCriterion[] = Object.freeze([
+  { key: 'completeness', label: 'Completeness', maxScore: 5, weighting: 0.4 },
+  { key: 'accuracy', label: 'Accuracy', maxScore: 5, weighting: 0.4 },
+  { key: 'spag', label: 'SPaG', maxScore: 5, weighting: 0.2 },
+]);
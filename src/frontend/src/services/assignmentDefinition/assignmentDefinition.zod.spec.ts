@@ -1,4 +1,6 @@
 import { describe, expect, it } from 'vitest';
+import { DEFAULT_ASSESSMENT_CRITERIA } from './assessmentCriterion.zod';
+import { DEFAULT_NOT_ATTEMPTED_DETECTION } from './notAttemptedDetection.zod';
 
 const validFullDefinition = {
   definitionKey: 'algebra-baseline',
@@ -13,11 +15,15 @@ const validFullDefinition = {
   referenceDocumentId: 'reference-doc-id',
   templateDocumentId: 'template-doc-id',
   assignmentWeighting: 1,
+  criteria: [...DEFAULT_ASSESSMENT_CRITERIA],
+  assessorProfile: null,
+  notAttemptedDetection: { ...DEFAULT_NOT_ATTEMPTED_DETECTION },
   tasks: [
     {
       taskId: 'task-001',
       taskTitle: 'Solve equations',
       taskWeighting: 1,
+      rubric: null,
     },
   ],
   createdAt: '2026-01-05T10:00:00.000Z',
@@ -269,6 +275,155 @@ describe('assignmentDefinition.zod schemas', () => {
     });
   });
 
+  describe('assessment criteria', () => {
+    it('accepts criteria defined on the assignment definition', async () => {
+      const schemas = await loadAssignmentDefinitionSchemas();
+      const assignmentDefinitionSchema = asParserSchema(schemas.AssignmentDefinitionSchema);
+
+      const testDefinition = {
+        ...validFullDefinition,
+        criteria: [
+          { key: 'codeQuality', label: 'Code quality', maxScore: 10, weighting: 0.6 },
+          { key: 'explanation', label: 'Explanation', maxScore: 5, weighting: 0.4 },
+        ],
+      };
+
+      expect(assignmentDefinitionSchema.parse(testDefinition)).toEqual(testDefinition);
+    });
+
+    it.each([
+      ['missing criteria', undefined],
+      ['an empty criteria list', []],
+      ['a non-integer maxScore', [{ key: 'a', label: 'A', maxScore: 2.5, weighting: 1 }]],
+      ['a negative weighting', [{ key: 'a', label: 'A', maxScore: 5, weighting: -1 }]],
+    ])('rejects %s in AssignmentDefinitionSchema', async (_label, criteria) => {
+      const schemas = await loadAssignmentDefinitionSchemas();
+      const assignmentDefinitionSchema = asParserSchema(schemas.AssignmentDefinitionSchema);
+
+      expect(() =>
+        assignmentDefinitionSchema.parse({ ...validFullDefinition, criteria })
+      ).toThrow();
+    });
+  });
+
+  describe('assessor profile', () => {
+    it('accepts a named or default assessor profile and profile changes on upsert', async () => {
+      const schemas = await loadAssignmentDefinitionSchemas();
+      const assignmentDefinitionSchema = asParserSchema(schemas.AssignmentDefinitionSchema);
+      const upsertSchema = asParserSchema(schemas.UpsertAssignmentDefinitionRequestSchema);
+      const request = {
+        primaryTitle: 'Algebra Baseline',
+        primaryTopicKey: 'topic-algebra',
+        yearGroupKey: 'year-10',
+        referenceDocumentUrl: 'https://docs.google.com/presentation/d/reference-doc-id',
+        templateDocumentUrl: 'https://docs.google.com/presentation/d/template-doc-id',
+        assessorProfile: 'Homework',
+      };
+
+      for (const assessorProfile of ['Homework', null]) {
+        const testDefinition = { ...validFullDefinition, assessorProfile };
+        expect(assignmentDefinitionSchema.parse(testDefinition)).toEqual(testDefinition);
+      }
+      expect(upsertSchema.parse(request)).toEqual(request);
+      expect(upsertSchema.parse({ ...request, assessorProfile: null })).toMatchObject({
+        assessorProfile: null,
+      });
+      expect(() => upsertSchema.parse({ ...request, assessorProfile: 7 })).toThrow();
+    });
+  });
+
+  describe('not-attempted detection', () => {
+    it('requires full thresholds on definitions and accepts partial thresholds on upsert', async () => {
+      const schemas = await loadAssignmentDefinitionSchemas();
+      const assignmentDefinitionSchema = asParserSchema(schemas.AssignmentDefinitionSchema);
+      const upsertSchema = asParserSchema(schemas.UpsertAssignmentDefinitionRequestSchema);
+      const request = {
+        primaryTitle: 'Algebra Baseline',
+        primaryTopicKey: 'topic-algebra',
+        yearGroupKey: 'year-10',
+        referenceDocumentUrl: 'https://docs.google.com/presentation/d/reference-doc-id',
+        templateDocumentUrl: 'https://docs.google.com/presentation/d/template-doc-id',
+        notAttemptedDetection: { maxImageDistance: 6 },
+      };
+      const notAttemptedDetection = {
+        minChangedCharacters: 20,
+        minChangedCells: 2,
+        maxImageDistance: 6,
+      };
+
+      expect(
+        assignmentDefinitionSchema.parse({ ...validFullDefinition, notAttemptedDetection })
+      ).toMatchObject({ notAttemptedDetection });
+      expect(() =>
+        assignmentDefinitionSchema.parse({
+          ...validFullDefinition,
+          notAttemptedDetection: { maxImageDistance: 6 },
+        })
+      ).toThrow();
+      expect(upsertSchema.parse(request)).toEqual(request);
+      expect(upsertSchema.parse({ ...request, notAttemptedDetection: null })).toMatchObject({
+        notAttemptedDetection: null,
+      });
+      expect(() =>
+        upsertSchema.parse({ ...request, notAttemptedDetection: { maxImageDistance: 65 } })
+      ).toThrow();
+      expect(() =>
+        upsertSchema.parse({ ...request, notAttemptedDetection: { minChangedCharacters: 0 } })
+      ).toThrow();
+    });
+  });
+
+  describe('task rubrics', () => {
+    const rubric = {
+      levels: [{ criterion: 'accuracy', score: 5, descriptor: 'Fully correct.' }],
+      acceptableAnswers: ['x = 4'],
+      formulaEquivalenceSets: [['=AVERAGE(B2:B10)', '=MEDIAN(B2:B10)']],
+    };
+
+    it('accepts a rubric on a task and rubric patches on upsert', async () => {
+      const schemas = await loadAssignmentDefinitionSchemas();
+      const assignmentDefinitionSchema = asParserSchema(schemas.AssignmentDefinitionSchema);
+      const upsertSchema = asParserSchema(schemas.UpsertAssignmentDefinitionRequestSchema);
+
+      const testDefinition = {
+        ...validFullDefinition,
+        tasks: [{ ...validFullDefinition.tasks[0], rubric }],
+      };
+      const request = {
+        primaryTitle: 'Algebra Baseline',
+        primaryTopicKey: 'topic-algebra',
+        yearGroupKey: 'year-10',
+        referenceDocumentUrl: 'https://docs.google.com/presentation/d/reference-doc-id',
+        templateDocumentUrl: 'https://docs.google.com/presentation/d/template-doc-id',
+        taskRubrics: [
+          { taskId: 'task-001', rubric },
+          { taskId: 'task-002', rubric: null },
+        ],
+      };
+
+      expect(assignmentDefinitionSchema.parse(testDefinition)).toEqual(testDefinition);
+      expect(upsertSchema.parse(request)).toEqual(request);
+    });
+
+    it.each([
+      ['a missing rubric field', undefined],
+      ['a negative level score', { ...rubric, levels: [{ ...rubric.levels[0], score: -1 }] }],
+      ['an empty acceptable answer', { ...rubric, acceptableAnswers: [''] }],
+      ['a single-formula equivalence set', { ...rubric, formulaEquivalenceSets: [['=A1']] }],
+      ['unknown rubric fields', { ...rubric, notes: 'extra' }],
+    ])('rejects %s on a task', async (_label, taskRubric) => {
+      const schemas = await loadAssignmentDefinitionSchemas();
+      const assignmentDefinitionSchema = asParserSchema(schemas.AssignmentDefinitionSchema);
+
+      expect(() =>
+        assignmentDefinitionSchema.parse({
+          ...validFullDefinition,
+          tasks: [{ ...validFullDefinition.tasks[0], rubric: taskRubric }],
+        })
+      ).toThrow();
+    });
+  });
+
   describe('backend contract consistency for assignmentWeighting', () => {
     it('accepts valid numeric assignmentWeighting in AssignmentDefinitionSchema', async () => {
       const schemas = await loadAssignmentDefinitionSchemas();
@@ -374,6 +529,24 @@ describe('assignmentDefinition.zod schemas', () => {
       expect(upsertRequestSchema.parse(idShapeInput)).toEqual(idShapeInput);
     });
 
+    it('accepts Google Docs definitions and rejects unknown document types', async () => {
+      const schemas = await loadAssignmentDefinitionSchemas();
+      const upsertRequestSchema = asParserSchema(schemas.UpsertAssignmentDefinitionRequestSchema);
+      const assignmentDefinitionSchema = asParserSchema(schemas.AssignmentDefinitionSchema);
+      const idShapeInput = {
+        ...baseRequired,
+        referenceDocumentId: 'reference-doc-id',
+        templateDocumentId: 'template-doc-id',
+        documentType: 'DOCS',
+      };
+
+      expect(upsertRequestSchema.parse(idShapeInput)).toEqual(idShapeInput);
+      expect(
+        assignmentDefinitionSchema.parse({ ...validFullDefinition, documentType: 'DOCS' })
+      ).toMatchObject({ documentType: 'DOCS' });
+      expect(() => upsertRequestSchema.parse({ ...idShapeInput, documentType: 'PDF' })).toThrow();
+    });
+
     it('accepts the wizard URL-shape payload (URL fields only, no documentType)', async () => {
       const schemas = await loadAssignmentDefinitionSchemas();
       const upsertRequestSchema = asParserSchema(schemas.UpsertAssignmentDefinitionRequestSchema);
@@ -1,5 +1,11 @@
 import { z } from 'zod';
+import { AssessmentCriteriaSchema } from './assessmentCriterion.zod';
 import { NullableIsoDateTimeWithTimezoneSchema } from './assignmentDefinitionPartials.zod';
+import {
+  NotAttemptedDetectionInputSchema,
+  NotAttemptedDetectionSchema,
+} from './notAttemptedDetection.zod';
+import { TaskRubricSchema } from './taskRubric.zod';
 
 export const MIN_WEIGHTING_VALUE = 0;
 export const MAX_WEIGHTING_VALUE = 10;
@@ -13,13 +19,16 @@ const TrimmedNonEmptyStringSchema = z
   });
 
 const WeightingSchema = z.number().min(MIN_WEIGHTING_VALUE).max(MAX_WEIGHTING_VALUE);
-const DocumentTypeSchema = z.enum(['SLIDES', 'SHEETS']);
+const DocumentTypeSchema = z.enum(['SLIDES', 'SHEETS', 'DOCS']);
+
+export type DocumentType = z.infer<typeof DocumentTypeSchema>;
 
 const AssignmentDefinitionTaskSchema = z
   .object({
     taskId: TrimmedNonEmptyStringSchema,
     taskTitle: TrimmedNonEmptyStringSchema,
     taskWeighting: WeightingSchema,
+    rubric: TaskRubricSchema.nullable(),
   })
   .strict();
 
@@ -30,6 +39,13 @@ const TaskWeightingInputSchema = z
   })
   .strict();
 
+const TaskRubricInputSchema = z
+  .object({
+    taskId: TrimmedNonEmptyStringSchema,
+    rubric: TaskRubricSchema.nullable(),
+  })
+  .strict();
+
 const UrlStringSchema = TrimmedNonEmptyStringSchema.refine(
   (value) => {
     try {
@@ -66,6 +82,9 @@ export const AssignmentDefinitionSchema = z
     referenceDocumentId: TrimmedNonEmptyStringSchema,
     templateDocumentId: TrimmedNonEmptyStringSchema,
     assignmentWeighting: WeightingSchema.nullable(),
+    criteria: AssessmentCriteriaSchema,
+    assessorProfile: z.string().nullable(),
+    notAttemptedDetection: NotAttemptedDetectionSchema,
     tasks: z.array(AssignmentDefinitionTaskSchema),
     createdAt: NullableIsoDateTimeWithTimezoneSchema,
     updatedAt: NullableIsoDateTimeWithTimezoneSchema,
@@ -132,7 +151,11 @@ export const UpsertAssignmentDefinitionRequestSchema = z
     alternateTitles: z.array(TrimmedNonEmptyStringSchema).optional(),
     alternateTopics: z.array(TrimmedNonEmptyStringSchema).optional(),
     assignmentWeighting: WeightingSchema.optional().nullable(),
+    criteria: AssessmentCriteriaSchema.optional().nullable(),
+    assessorProfile: TrimmedNonEmptyStringSchema.optional().nullable(),
+    notAttemptedDetection: NotAttemptedDetectionInputSchema.optional().nullable(),
     taskWeightings: z.array(TaskWeightingInputSchema).optional(),
+    taskRubrics: z.array(TaskRubricInputSchema).optional(),
   })
   .strict()
   .superRefine((value, context) => {
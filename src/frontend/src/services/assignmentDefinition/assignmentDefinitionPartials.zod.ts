@@ -1,4 +1,6 @@
 import { z } from 'zod';
+import { AssessmentCriteriaSchema } from './assessmentCriterion.zod';
+import { NotAttemptedDetectionSchema } from './notAttemptedDetection.zod';
 import { TaskPartialSchema } from './taskPartial.zod';
 
 const TrimmedNonEmptyStringSchema = z
@@ -190,6 +192,12 @@ const SafeDeleteDefinitionKeySchema = TrimmedNonEmptyStringSchema.refine(
  * be `null` for partial definitions. The test suite at
  * `classDetailService.zod.spec.ts` documents that `getABClass` can return `null`
  * for these fields.
+ *
+ * `criteria` is optional because registry rows written before criteria were
+ * configurable do not carry it; consumers fall back to
+ * `DEFAULT_ASSESSMENT_CRITERIA`. `assessorProfile` is optional for the same reason; a missing or
+ * `null` profile means the default assessor. `notAttemptedDetection` is optional too; a missing
+ * value means `DEFAULT_NOT_ATTEMPTED_DETECTION`.
  */
 export const AssignmentDefinitionPartialSchema = z
   .object({
@@ -206,6 +214,9 @@ export const AssignmentDefinitionPartialSchema = z
     /** Nullable because `AssignmentDefinition.toPartialJSON()` passes through instance values. */
     templateDocumentId: z.string().nullable(),
     assignmentWeighting: z.number().nullable(),
+    criteria: AssessmentCriteriaSchema.optional(),
+    assessorProfile: z.string().nullable().optional(),
+    notAttemptedDetection: NotAttemptedDetectionSchema.optional(),
     definitionKey: TrimmedNonEmptyStringSchema,
     tasks: AssignmentDefinitionPartialTasksSchema,
     createdAt: NullableIsoDateTimeWithTimezoneSchema,
@@ -1,5 +1,7 @@
 import { ZodError } from 'zod';
 import { afterEach, describe, expect, it, vi } from 'vitest';
+import { DEFAULT_ASSESSMENT_CRITERIA } from './assessmentCriterion.zod';
+import { DEFAULT_NOT_ATTEMPTED_DETECTION } from './notAttemptedDetection.zod';
 
 const callApiMock = vi.fn();
 
@@ -30,7 +32,10 @@ const fullDefinitionResponse = {
   referenceDocumentId: 'reference-doc-id',
   templateDocumentId: 'template-doc-id',
   assignmentWeighting: 1,
-  tasks: [{ taskId: 'task-001', taskTitle: 'Solve equations', taskWeighting: 1 }],
+  criteria: [...DEFAULT_ASSESSMENT_CRITERIA],
+  assessorProfile: null,
+  notAttemptedDetection: { ...DEFAULT_NOT_ATTEMPTED_DETECTION },
+  tasks: [{ taskId: 'task-001', taskTitle: 'Solve equations', taskWeighting: 1, rubric: null }],
   createdAt: '2026-01-05T10:00:00.000Z',
   updatedAt: '2026-01-05T10:10:00.000Z',
 };
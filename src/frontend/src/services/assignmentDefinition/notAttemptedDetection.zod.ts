@@ -0,0 +1,38 @@
+import { z } from 'zod';
+
+/**
+ * Largest difference-hash distance, matching `MAX_NOT_ATTEMPTED_IMAGE_DISTANCE` in
+ * `src/backend/Models/AssignmentDefinition.js`.
+ */
+export const MAX_NOT_ATTEMPTED_IMAGE_DISTANCE = 64;
+
+/**
+ * Canonical source for the thresholds that decide when a submission still counts as the
+ * template, matching `AssignmentDefinition.notAttemptedDetection` in
+ * `src/backend/Models/AssignmentDefinition.js`.
+ *
+ * @remarks
+ * `maxImageDistance` is `null` when images are only compared by content hash.
+ */
+export const NotAttemptedDetectionSchema = z.strictObject({
+  minChangedCharacters: z.number().int().positive(),
+  minChangedCells: z.number().int().positive(),
+  maxImageDistance: z.number().int().min(0).max(MAX_NOT_ATTEMPTED_IMAGE_DISTANCE).nullable(),
+});
+
+export type NotAttemptedDetection = z.infer<typeof NotAttemptedDetectionSchema>;
+
+/**
+ * Upsert input: the backend fills any omitted threshold with its default.
+ */
+export const NotAttemptedDetectionInputSchema = NotAttemptedDetectionSchema.partial();
+
+/**
+ * Thresholds applied when a definition does not set its own; mirrors
+ * `DEFAULT_NOT_ATTEMPTED_DETECTION` in `src/backend/Models/AssignmentDefinition.js`.
+ */
+export const DEFAULT_NOT_ATTEMPTED_DETECTION: Readonly<NotAttemptedDetection> = Object.freeze({
+  minChangedCharacters: 1,
+  minChangedCells: 1,
+  maxImageDistance: null,
+});
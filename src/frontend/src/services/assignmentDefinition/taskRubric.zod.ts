@@ -0,0 +1,39 @@
+import { z } from 'zod';
+
+/**
+ * Canonical source for one level descriptor in a task rubric, matching the
+ * entries of `TaskDefinition.rubric.levels` in
+ * `src/backend/Models/TaskDefinition.js`.
+ */
+export const TaskRubricLevelSchema = z.strictObject({
+  criterion: z.string().min(1),
+  score: z.number().int().nonnegative(),
+  descriptor: z.string().min(1),
+});
+
+export type TaskRubricLevel = z.infer<typeof TaskRubricLevelSchema>;
+
+/**
+ * Minimum number of formulae in a formula equivalence set, matching
+ * `TaskDefinition.normaliseFormulaEquivalenceSets`.
+ */
+export const MIN_FORMULA_EQUIVALENCE_SET_SIZE = 2;
+
+/**
+ * Canonical source for the rubric attached to a task definition.
+ *
+ * @remarks
+ * The backend checks each level against the definition's criteria (a known
+ * criterion key, a score within its `maxScore`, no repeated score per
+ * criterion); this wire schema only enforces shape, matching
+ * `assessmentCriterion.zod.ts`. `formulaEquivalenceSets` only applies to
+ * Sheets tasks: each set lists formulae the spreadsheet assessor treats as
+ * interchangeable.
+ */
+export const TaskRubricSchema = z.strictObject({
+  levels: z.array(TaskRubricLevelSchema),
+  acceptableAnswers: z.array(z.string().min(1)),
+  formulaEquivalenceSets: z.array(z.array(z.string().min(1)).min(MIN_FORMULA_EQUIVALENCE_SET_SIZE)),
+});
+
+export type TaskRubric = z.infer<typeof TaskRubricSchema>;
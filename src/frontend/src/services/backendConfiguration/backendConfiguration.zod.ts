@@ -21,6 +21,50 @@ export const BackendApiKeyWriteSchema = z
   });
 const MaskedApiKeySchema = z.string().refine(isMaskedBackendApiKeyValue);
 
+export const assessorProfileTaskTypeValues = ['TEXT', 'TABLE', 'IMAGE'] as const;
+const AssessorProfileTaskTypesSchema = z.array(z.enum(assessorProfileTaskTypeValues));
+
+/**
+ * Transport schema for a named assessor profile read.
+ *
+ * @remarks
+ * Like the default backend settings, the profile's `apiKey` is masked and `hasApiKey` carries the
+ * stored-key state. `failoverProfile` names the profile (or `Default`) that takes over when this
+ * one keeps returning server errors.
+ */
+export const AssessorProfileSchema = z
+  .object({
+    name: NonEmptyStringSchema,
+    backendUrl: z.url(),
+    apiKey: MaskedApiKeySchema,
+    hasApiKey: z.boolean(),
+    batchSize: IntegerSchema,
+    taskTypes: AssessorProfileTaskTypesSchema,
+    failoverProfile: z.string().nullable(),
+  })
+  .strict();
+
+export type AssessorProfile = z.infer<typeof AssessorProfileSchema>;
+
+/**
+ * Transport schema for a named assessor profile write.
+ *
+ * @remarks
+ * A blank `apiKey` keeps the key stored for the profile with the same name.
+ */
+export const AssessorProfileWriteSchema = z
+  .object({
+    name: NonEmptyStringSchema,
+    backendUrl: z.url(),
+    apiKey: z.union([z.literal(''), BackendApiKeyWriteSchema]),
+    batchSize: IntegerSchema,
+    taskTypes: AssessorProfileTaskTypesSchema,
+    failoverProfile: z.string().nullable(),
+  })
+  .strict();
+
+export type AssessorProfileWrite = z.infer<typeof AssessorProfileWriteSchema>;
+
 /**
  * Transport schema for backend configuration reads.
  *
@@ -43,6 +87,9 @@ export const BackendConfigSchema = z
     jsonDbLogLevel: NonEmptyStringSchema,
     jsonDbBackupOnInitialise: z.boolean(),
     jsonDbRootFolderId: z.string(),
+    assessmentCacheRetentionDays: IntegerSchema,
+    assessmentCacheMaxEntries: IntegerSchema,
+    assessorProfiles: z.array(AssessorProfileSchema),
     loadError: z.string().optional(),
   })
   .strict();
@@ -68,6 +115,9 @@ export const BackendConfigWriteInputSchema = z
     jsonDbLogLevel: NonEmptyStringSchema.optional(),
     jsonDbBackupOnInitialise: z.boolean().optional(),
     jsonDbRootFolderId: z.string().optional(),
+    assessmentCacheRetentionDays: IntegerSchema.optional(),
+    assessmentCacheMaxEntries: IntegerSchema.optional(),
+    assessorProfiles: z.array(AssessorProfileWriteSchema).optional(),
   })
   .strict();
 
@@ -95,3 +145,60 @@ export const BackendConfigWriteResultSchema = z.union([
 ]);
 
 export type BackendConfigWriteResult = z.infer<typeof BackendConfigWriteResultSchema>;
+
+/**
+ * Transport schema for the assessor capability descriptor.
+ *
+ * @remarks
+ * `apiVersion` is the version negotiated from `apiVersions`. `legacy` is `true` when the backend
+ * has no capabilities endpoint and the original `/v1` assessor contract is assumed.
+ * `maxPayloadBytes` is `null` when the backend sets no size limit.
+ */
+export const AssessorCapabilitiesSchema = z
+  .object({
+    apiVersions: z.array(z.string()),
+    apiVersion: z.string(),
+    taskTypes: z.array(z.string()),
+    customCriteria: z.boolean(),
+    defaultCriteria: z.array(
+      z
+        .object({
+          key: z.string(),
+          label: z.string(),
+          maxScore: z.number(),
+        })
+        .strict()
+    ),
+    maxPayloadBytes: IntegerSchema.nullable(),
+    legacy: z.boolean(),
+    checkedAt: z.string(),
+  })
+  .strict();
+
+export type AssessorCapabilities = z.infer<typeof AssessorCapabilitiesSchema>;
+
+/**
+ * Transport schema for backend connection test results.
+ *
+ * @remarks
+ * The test always uses the saved backend URL and API key of the default or named assessor
+ * profile, not unsaved form values. Failures such
+ * as a rejected key or an unsupported API version are domain results inside the success envelope.
+ */
+export const BackendConnectionTestResultSchema = z.union([
+  z
+    .object({
+      success: z.literal(true),
+      latencyMs: IntegerSchema,
+      capabilities: AssessorCapabilitiesSchema,
+    })
+    .strict(),
+  z
+    .object({
+      success: z.literal(false),
+      error: z.string(),
+    })
+    .strict(),
+]);
+
+export type BackendConnectionTestResult = z.infer<typeof BackendConnectionTestResultSchema>;
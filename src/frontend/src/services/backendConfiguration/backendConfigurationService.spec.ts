@@ -25,6 +25,9 @@ const validMaskedBackendConfig = {
   jsonDbLogLevel: 'INFO',
   jsonDbBackupOnInitialise: true,
   jsonDbRootFolderId: 'folder-123',
+  assessmentCacheRetentionDays: 90,
+  assessmentCacheMaxEntries: 5000,
+  assessorProfiles: [],
   loadError: 'apiKey: REDACTED',
 };
 
@@ -41,6 +44,9 @@ const validMaskedBackendConfigWithoutLoadError = {
   jsonDbLogLevel: 'INFO',
   jsonDbBackupOnInitialise: true,
   jsonDbRootFolderId: 'folder-123',
+  assessmentCacheRetentionDays: 90,
+  assessmentCacheMaxEntries: 5000,
+  assessorProfiles: [],
 };
 
 const partialLoadBackendConfig = {
@@ -58,6 +64,9 @@ const validBackendConfigPatch = {
   jsonDbLogLevel: 'DEBUG',
   jsonDbBackupOnInitialise: false,
   jsonDbRootFolderId: 'folder-456',
+  assessmentCacheRetentionDays: 90,
+  assessmentCacheMaxEntries: 5000,
+  assessorProfiles: [],
 };
 
 const validBackendConfigReplacementPatch = {
@@ -285,4 +294,48 @@ describe('backendConfigurationService', () => {
     ).rejects.toBeInstanceOf(ZodError);
     expect(callApiMock).not.toHaveBeenCalled();
   });
+
+  it('testBackendConnection() calls callApi with testBackendConnection and parses the capabilities', async () => {
+    const connectionResult = {
+      success: true,
+      latencyMs: 180,
+      capabilities: {
+        apiVersions: ['v1'],
+        apiVersion: 'v1',
+        taskTypes: ['TEXT', 'TABLE'],
+        customCriteria: false,
+        defaultCriteria: [{ key: 'quality', label: 'Quality', maxScore: 3 }],
+        maxPayloadBytes: 65_536,
+        legacy: false,
+        checkedAt: '2026-10-19T09:00:00.000Z',
+      },
+    };
+    callApiMock.mockResolvedValueOnce(connectionResult);
+    const { testBackendConnection } = await loadBackendConfigurationService();
+
+    await expect(testBackendConnection()).resolves.toEqual(connectionResult);
+    expect(callApiMock).toHaveBeenCalledWith('testBackendConnection');
+  });
+
+  it('testBackendConnection() passes a named assessor profile to callApi', async () => {
+    callApiMock.mockResolvedValueOnce({ success: false, error: 'Unreachable.' });
+    const { testBackendConnection } = await loadBackendConfigurationService();
+
+    await testBackendConnection('Homework');
+
+    expect(callApiMock).toHaveBeenCalledWith('testBackendConnection', { profileName: 'Homework' });
+  });
+
+  it('accepts a failed connection test result and rejects malformed ones', async () => {
+    callApiMock
+      .mockResolvedValueOnce({ success: false, error: 'The backend rejected the API key (401).' })
+      .mockResolvedValueOnce({ success: true, latencyMs: 180 });
+    const { testBackendConnection } = await loadBackendConfigurationService();
+
+    await expect(testBackendConnection()).resolves.toEqual({
+      success: false,
+      error: 'The backend rejected the API key (401).',
+    });
+    await expect(testBackendConnection()).rejects.toBeInstanceOf(ZodError);
+  });
 });
@@ -3,11 +3,13 @@ import type {
   BackendConfig,
   BackendConfigWriteInput,
   BackendConfigWriteResult,
+  BackendConnectionTestResult,
 } from './backendConfiguration.zod';
 import {
   BackendConfigSchema,
   BackendConfigWriteInputSchema,
   BackendConfigWriteResultSchema,
+  BackendConnectionTestResultSchema,
 } from './backendConfiguration.zod';
 
 /**
@@ -39,3 +41,20 @@ export async function setBackendConfig(
     await callApi('setBackendConfig', parsedInput)
   );
 }
+
+/**
+ * Tests the saved backend URL and API key by asking the assessor for its capabilities.
+ *
+ * @param {string} [profileName] The saved assessor profile to test; the default profile when omitted.
+ * @returns {Promise<BackendConnectionTestResult>} The parsed connection test result.
+ */
+export async function testBackendConnection(
+  profileName?: string
+): Promise<BackendConnectionTestResult> {
+  const response =
+    profileName === undefined
+      ? await callApi('testBackendConnection')
+      : await callApi('testBackendConnection', { profileName });
+
+  return parseApiResponse(BackendConnectionTestResultSchema, 'testBackendConnection', response);
+}
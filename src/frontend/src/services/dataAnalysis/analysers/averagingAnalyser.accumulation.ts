@@ -7,9 +7,13 @@ import type {
 import type { CriterionWeightings } from './averagingAnalyser';
 import type { DataPointAccumulator, MetricAccumulator } from './averagingAnalyser.types';
 import type { TaskPartial } from '../../assignmentDefinition/taskPartial.zod';
-import { processItemAssessments } from './averagingAnalyser.criterionAccumulation';
+import {
+  defaultCriteriaWithWeightings,
+  processItemAssessments,
+} from './averagingAnalyser.criterionAccumulation';
 import { resolveAssignmentDefinitionData } from './resolveAssignmentDefinition';
 import type { AssignmentDefinitionPartial } from '../../assignmentDefinition/assignmentDefinitionPartials.zod';
+import type { AssessmentCriterion } from '../../assignmentDefinition/assessmentCriterion.zod';
 
 /**
  * Create a zeroed-out metric accumulator.
@@ -31,9 +35,33 @@ export function createDataPointAccumulator(): DataPointAccumulator {
     accuracy: createAccumulator(),
     spag: createAccumulator(),
     overall: createAccumulator(),
+    criteria: new Map<string, MetricAccumulator>(),
   };
 }
 
+/**
+ * Mark one data point on every metric of an accumulator as not attempted.
+ *
+ * @param {DataPointAccumulator} accum - The accumulator to update.
+ * @param {ReadonlyArray<AssessmentCriterion>} criteria - The criteria for the
+ *   item's assignment definition.
+ */
+function markNotAttempted(
+  accum: DataPointAccumulator,
+  criteria: ReadonlyArray<AssessmentCriterion>
+): void {
+  for (const metric of [accum.completeness, accum.accuracy, accum.spag, accum.overall]) {
+    metric.nCount++;
+    metric.totalDataPoints++;
+  }
+  for (const { key } of criteria) {
+    const metric = accum.criteria.get(key) ?? createAccumulator();
+    metric.nCount++;
+    metric.totalDataPoints++;
+    accum.criteria.set(key, metric);
+  }
+}
+
 /**
  * Convert a metric accumulator to its output MetricResult shape.
  *
@@ -155,19 +183,22 @@ export function getOrCreateTaskAccum(
  *   The per-student-task accumulators map (mutated).
  * @param {string} studentId - The student identifier.
  * @param {string} taskKey - The composite key (`definitionKey::taskId`).
+ * @param {ReadonlyArray<AssessmentCriterion>} criteria - The criteria for the
+ *   task's assignment definition, recorded on a new accumulator.
  * @returns {DataPointAccumulator} The existing or new accumulator.
  */
 export function getOrCreatePerStudentTaskAccum(
   perStudentTaskAccums: Map<string, Map<string, DataPointAccumulator>>,
   studentId: string,
-  taskKey: string
+  taskKey: string,
+  criteria: ReadonlyArray<AssessmentCriterion>
 ): DataPointAccumulator {
   if (!perStudentTaskAccums.has(studentId)) {
     perStudentTaskAccums.set(studentId, new Map<string, DataPointAccumulator>());
   }
   const studentMap = perStudentTaskAccums.get(studentId)!;
   if (!studentMap.has(taskKey)) {
-    studentMap.set(taskKey, createDataPointAccumulator());
+    studentMap.set(taskKey, { ...createDataPointAccumulator(), definitionCriteria: criteria });
   }
   return studentMap.get(taskKey)!;
 }
@@ -186,7 +217,8 @@ export function getOrCreatePerStudentTaskAccum(
  * @param {Map<string, { definitionKey: string; taskId: string } & DataPointAccumulator>}
  *   taskAccums - Per-task accumulators (mutated).
  * @param {DataPointAccumulator} classAccum - Per-class accumulator (mutated).
- * @param {CriterionWeightings} criterionWeightings - The criterion weightings.
+ * @param {ReadonlyArray<AssessmentCriterion>} criteria - The criteria for the
+ *   assignment's definition, carrying the weightings for the overall metric.
  * @param {Map<string, Map<string, DataPointAccumulator>>}
  *   perStudentTaskAccums - Per-(student, task) accumulators (mutated).
  */
@@ -198,7 +230,7 @@ export function processAssignment(
   studentAccums: Map<string, { studentName: string | null } & DataPointAccumulator>,
   taskAccums: Map<string, { definitionKey: string; taskId: string } & DataPointAccumulator>,
   classAccum: DataPointAccumulator,
-  criterionWeightings: CriterionWeightings,
+  criteria: ReadonlyArray<AssessmentCriterion>,
   perStudentTaskAccums: Map<string, Map<string, DataPointAccumulator>>
 ): void {
   for (const submission of assignment.submissions) {
@@ -218,18 +250,11 @@ export function processAssignment(
         const excludedPerStudentTaskAccum = getOrCreatePerStudentTaskAccum(
           perStudentTaskAccums,
           studentId,
-          taskKeyForWeight
+          taskKeyForWeight,
+          criteria
         );
-        for (const accum of [excludedTaskAccum, excludedPerStudentTaskAccum]) {
-          accum.completeness.nCount++;
-          accum.completeness.totalDataPoints++;
-          accum.accuracy.nCount++;
-          accum.accuracy.totalDataPoints++;
-          accum.spag.nCount++;
-          accum.spag.totalDataPoints++;
-          accum.overall.nCount++;
-          accum.overall.totalDataPoints++;
-        }
+        markNotAttempted(excludedTaskAccum, criteria);
+        markNotAttempted(excludedPerStudentTaskAccum, criteria);
         continue;
       }
 
@@ -238,7 +263,8 @@ export function processAssignment(
       const perStudentTaskAccum = getOrCreatePerStudentTaskAccum(
         perStudentTaskAccums,
         studentId,
-        taskKey
+        taskKey,
+        criteria
       );
 
       processItemAssessments(
@@ -247,7 +273,7 @@ export function processAssignment(
         studentAccum,
         classAccum,
         taskAccum,
-        criterionWeightings,
+        criteria,
         perStudentTaskAccum
       );
     }
@@ -260,7 +286,8 @@ export function processAssignment(
  * @param {AveragingAnalyserInput['classes'][number]['assignments']}
  *   filteredAssignments - The in-scope assignments after filtering.
  * @param {AveragingAnalyserInput} input - Full analyser input.
- * @param {CriterionWeightings} criterionWeightings - The criterion weightings.
+ * @param {CriterionWeightings} criterionWeightings - The criterion weightings
+ *   applied to definitions that do not define their own criteria.
  * @returns {{
  *   studentAccums: Map<string, { studentName: string | null } & DataPointAccumulator>,
  *   taskAccums: Map<string, { definitionKey: string; taskId: string } & DataPointAccumulator>,
@@ -295,6 +322,8 @@ export function accumulateDataPoints(
 
   const perStudentTaskAccums = new Map<string, Map<string, DataPointAccumulator>>();
 
+  const defaultCriteria = defaultCriteriaWithWeightings(criterionWeightings);
+
   // Build lookup Maps for O(1) resolution.
   const partialsByDefinitionKey = new Map<string, AssignmentDefinitionPartial>();
   const taskWeightByDefinitionKey = new Map<string, Map<string, number>>();
@@ -331,7 +360,7 @@ export function accumulateDataPoints(
       studentAccums,
       taskAccums,
       classAccum,
-      criterionWeightings,
+      resolved.criteria ?? defaultCriteria,
       perStudentTaskAccums
     );
   }
@@ -339,126 +368,90 @@ export function accumulateDataPoints(
   return { studentAccums, taskAccums, classAccum, perStudentTaskAccums };
 }
 
+/** One criterion rollup and the weighting it carries in a composite. */
+export interface WeightedMetricResult {
+  result: MetricResult;
+  weighting: number;
+}
+
 /**
- * Compute the `overall` MetricResult as a composite of the three per-criterion
- * rollups using the 40/40/20 weighting with SPaG-renormalisation.
+ * Build a terminal (non-computed) composite result, summing the contributing
+ * entries' metadata.
+ *
+ * @param {'error' | 'notAttempted'} state - The terminal state.
+ * @param {ReadonlyArray<WeightedMetricResult>} entries - The composite entries.
+ * @returns {MetricResult} The terminal MetricResult.
+ */
+function terminalComposite(
+  state: 'error' | 'notAttempted',
+  entries: ReadonlyArray<WeightedMetricResult>
+): MetricResult {
+  let totalWeight = 0;
+  let totalDataPoints = 0;
+  for (const { result } of entries) {
+    totalWeight += result.totalWeight;
+    totalDataPoints += result.totalDataPoints;
+  }
+  return state === 'error'
+    ? { state, value: 'E', totalWeight, applicableDataPoints: 0, totalDataPoints }
+    : { state, value: 'N', totalWeight, applicableDataPoints: 0, totalDataPoints };
+}
+
+/**
+ * Compute an `overall` MetricResult as the weighted composite of any number of
+ * per-criterion rollups, each carrying its criterion's weighting.
  *
  * The composite rule:
- * - If **all three** criteria are `error`, overall is `error`.
- * - If no criterion is `computed`, overall is `notAttempted` (error criteria are
- *   excluded the same way `notAttempted` criteria are below).
- * - Otherwise, compute the weighted average over the `computed` criteria only;
- *   both `error` and `notAttempted` criteria are excluded from the weighted
- *   average (consistent with SPaG's exclusion rule). The default weighting is
- *   0.4 completeness + 0.4 accuracy + 0.2 spag, with SPaG-renormalisation when
- *   spag is `notAttempted` (renormalise the weighting to completeness +
- *   accuracy over 0.8).
+ * - If **every** entry is `error`, overall is `error`.
+ * - If no entry is `computed`, overall is `notAttempted` (error entries are
+ *   excluded the same way `notAttempted` entries are below).
+ * - Otherwise, compute the weighted average over the `computed` entries only;
+ *   both `error` and `notAttempted` entries are excluded, which renormalises
+ *   the weighting over the criteria that were assessed (as for SPaG `'N'`).
  *
  * Error criteria at the composite level are **excluded** rather than collapsing
  * the result, so a single errored criterion does not wipe out the overall metric.
- * The result is `error` only when every contributing criterion is `error`.
  *
  * @remarks Metadata fields (`totalWeight`, `applicableDataPoints`,
  *   `totalDataPoints`) in the composite result are **summed** across the
- *   contributing criteria entries (not `Math.max`). The prior implementation
+ *   contributing entries (not `Math.max`). The prior implementation
  *   used `Math.max`, which discarded data when criteria had different weights.
  *   The sum semantics was confirmed as a spec amendment per user decision.
  *   On terminal (`error` / `notAttempted`) branches, `totalWeight` is the sum
- *   of all three criteria's `totalWeight` (resolving a pre-existing
- *   inconsistency where terminal results used `totalWeight: 0`).
+ *   of every entry's `totalWeight` (resolving a pre-existing inconsistency
+ *   where terminal results used `totalWeight: 0`).
  *
- * @param {MetricResult} completeness - The completeness rollup MetricResult.
- * @param {MetricResult} accuracy - The accuracy rollup MetricResult.
- * @param {MetricResult} spag - The spag rollup MetricResult.
- * @param {CriterionWeightings} criterionWeightings - The criterion weightings.
+ * @param {ReadonlyArray<WeightedMetricResult>} entries - The per-criterion
+ *   rollups with their weightings.
  * @returns {MetricResult} The composite overall MetricResult.
  */
-export function computeOverallComposite(
-  completeness: MetricResult,
-  accuracy: MetricResult,
-  spag: MetricResult,
-  criterionWeightings: CriterionWeightings
+export function computeCriteriaComposite(
+  entries: ReadonlyArray<WeightedMetricResult>
 ): MetricResult {
-  const criteria = [completeness, accuracy, spag];
-  const allError = criteria.every((c) => c.state === 'error');
-  const hasComputed = criteria.some((c) => c.state === 'computed');
-
-  if (allError) {
-    return {
-      state: 'error',
-      value: 'E',
-      totalWeight: completeness.totalWeight + accuracy.totalWeight + spag.totalWeight,
-      applicableDataPoints: 0,
-      totalDataPoints:
-        completeness.totalDataPoints + accuracy.totalDataPoints + spag.totalDataPoints,
-    };
+  if (entries.every(({ result }) => result.state === 'error')) {
+    return terminalComposite('error', entries);
   }
 
-  if (!hasComputed) {
-    return {
-      state: 'notAttempted',
-      value: 'N',
-      totalWeight: completeness.totalWeight + accuracy.totalWeight + spag.totalWeight,
-      applicableDataPoints: 0,
-      totalDataPoints:
-        completeness.totalDataPoints + accuracy.totalDataPoints + spag.totalDataPoints,
-    };
-  }
-
-  // At least one criterion is computed and none are error.
-  // Build the computed criteria list (notAttempted criteria are excluded).
-  const toComputedEntry = (
-    m: MetricResult,
-    w: number
-  ): {
-    value: number;
-    totalWeight: number;
-    applicableDataPoints: number;
-    totalDataPoints: number;
-    weighting: number;
-  } | null => {
-    if (m.state !== 'computed') return null;
-    return {
-      value: m.value,
-      totalWeight: m.totalWeight,
-      applicableDataPoints: m.applicableDataPoints,
-      totalDataPoints: m.totalDataPoints,
-      weighting: w,
-    };
-  };
-
-  const entries = [
-    toComputedEntry(completeness, criterionWeightings.completeness),
-    toComputedEntry(accuracy, criterionWeightings.accuracy),
-    toComputedEntry(spag, criterionWeightings.spag),
-  ].filter((entry): entry is NonNullable<typeof entry> => entry !== null);
-
   let numerator = 0;
   let denominator = 0;
   let totalWeight = 0;
   let applicableDataPoints = 0;
   let totalDataPoints = 0;
 
-  for (const entry of entries) {
-    numerator += entry.weighting * entry.value;
-    denominator += entry.weighting;
-    totalWeight += entry.totalWeight;
-    applicableDataPoints += entry.applicableDataPoints;
-    totalDataPoints += entry.totalDataPoints;
+  for (const { result, weighting } of entries) {
+    if (result.state !== 'computed') continue;
+    numerator += weighting * result.value;
+    denominator += weighting;
+    totalWeight += result.totalWeight;
+    applicableDataPoints += result.applicableDataPoints;
+    totalDataPoints += result.totalDataPoints;
   }
 
   if (denominator === 0) {
-    // All computed criteria had zero weighting — return notAttempted
-    // instead of throwing so the caller (including classPageAdapter)
-    // receives a safe MetricResult rather than crashing.
-    return {
-      state: 'notAttempted',
-      value: 'N',
-      totalWeight: completeness.totalWeight + accuracy.totalWeight + spag.totalWeight,
-      applicableDataPoints: 0,
-      totalDataPoints:
-        completeness.totalDataPoints + accuracy.totalDataPoints + spag.totalDataPoints,
-    };
+    // No computed criteria, or all computed criteria had zero weighting —
+    // return notAttempted instead of throwing so the caller (including
+    // classPageAdapter) receives a safe MetricResult rather than crashing.
+    return terminalComposite('notAttempted', entries);
   }
 
   return {
@@ -470,6 +463,33 @@ export function computeOverallComposite(
   };
 }
 
+/**
+ * Compute the `overall` MetricResult as a composite of the three default
+ * per-criterion rollups using the 40/40/20 weighting with SPaG-renormalisation.
+ *
+ * @remarks
+ * Delegates to {@link computeCriteriaComposite}; kept for callers that only
+ * hold the three default criteria, such as the class page adapter.
+ *
+ * @param {MetricResult} completeness - The completeness rollup MetricResult.
+ * @param {MetricResult} accuracy - The accuracy rollup MetricResult.
+ * @param {MetricResult} spag - The spag rollup MetricResult.
+ * @param {CriterionWeightings} criterionWeightings - The criterion weightings.
+ * @returns {MetricResult} The composite overall MetricResult.
+ */
+export function computeOverallComposite(
+  completeness: MetricResult,
+  accuracy: MetricResult,
+  spag: MetricResult,
+  criterionWeightings: CriterionWeightings
+): MetricResult {
+  return computeCriteriaComposite([
+    { result: completeness, weighting: criterionWeightings.completeness },
+    { result: accuracy, weighting: criterionWeightings.accuracy },
+    { result: spag, weighting: criterionWeightings.spag },
+  ]);
+}
+
 /**
  * Build the perStudentTaskMetrics array from the internal per-(student, task)
  * accumulators.
@@ -495,6 +515,9 @@ export function buildPerStudentTaskMetrics(
         accuracy: accumToMetric(accum.accuracy),
         spag: accumToMetric(accum.spag),
         overall: accumToMetric(accum.overall),
+        criteria: Object.fromEntries(
+          [...accum.criteria].map(([key, criterionAccum]) => [key, accumToMetric(criterionAccum)])
+        ),
       });
     }
   }
@@ -0,0 +1,158 @@
+import { describe, it, expect } from 'vitest';
+import { AveragingAnalyser } from './averagingAnalyser';
+import {
+  buildInput,
+  createAssignmentPartial,
+  createDefinitionPartial,
+  createSubmission,
+  createSubmissionItem,
+} from '../../../test/dataAnalysis/fixtures';
+import type { AssessmentCriterion } from '../../assignmentDefinition/assessmentCriterion.zod';
+import type { AveragingResult } from '../dataAnalysis.zod';
+
+// Number of decimal places of tolerance used when asserting composite floating-point scores.
+const COMPOSITE_SCORE_TOLERANCE_DIGITS = 5;
+
+const CODE_QUALITY_CRITERIA: AssessmentCriterion[] = [
+  { key: 'codeQuality', label: 'Code quality', maxScore: 10, weighting: 0.75 },
+  { key: 'explanation', label: 'Explanation', maxScore: 5, weighting: 0.25 },
+];
+
+const SPAG_HEAVY_CRITERIA: AssessmentCriterion[] = [
+  { key: 'completeness', label: 'Completeness', maxScore: 5, weighting: 0.1 },
+  { key: 'accuracy', label: 'Accuracy', maxScore: 5, weighting: 0.1 },
+  { key: 'spag', label: 'SPaG', maxScore: 5, weighting: 0.8 },
+];
+
+type Assessments = Record<string, { score: number | 'N' }>;
+
+/**
+ * Analyse one class in which each student submits one item per definition.
+ *
+ * @param {Array<{ definitionKey: string; criteria?: AssessmentCriterion[]; submissions: Record<string, Assessments> }>} definitions -
+ *   Each definition's criteria and the item each student (keyed by name) submitted.
+ * @returns {AveragingResult} The class result.
+ */
+function analyseDefinitions(
+  definitions: Array<{
+    definitionKey: string;
+    criteria?: AssessmentCriterion[];
+    submissions: Record<string, Assessments>;
+  }>
+): AveragingResult {
+  const input = buildInput(
+    [
+      {
+        classId: 'c_001',
+        assignments: definitions.map(({ definitionKey, submissions }) =>
+          createAssignmentPartial({
+            assignmentId: `a_${definitionKey}`,
+            definitionKey,
+            submissions: Object.entries(submissions).map(([studentName, assessments]) =>
+              createSubmission(`s_${studentName}`, studentName, `a_${definitionKey}`, {
+                t_001: createSubmissionItem('t_001', assessments),
+              })
+            ),
+          })
+        ),
+      },
+    ],
+    {
+      assignmentDefinitionPartials: definitions.map(({ definitionKey, criteria }) => ({
+        ...createDefinitionPartial({ definitionKey }),
+        criteria,
+      })),
+    }
+  );
+
+  return new AveragingAnalyser().analyse(input)[0];
+}
+
+describe('AveragingAnalyser — row overall from definition criteria', () => {
+  it('rolls student, task and class overall up from custom criteria', () => {
+    const result = analyseDefinitions([
+      {
+        definitionKey: 'dk_python',
+        criteria: CODE_QUALITY_CRITERIA,
+        submissions: {
+          Alice: { codeQuality: { score: 8 }, explanation: { score: 2 } },
+          Bob: { codeQuality: { score: 10 }, explanation: { score: 5 } },
+        },
+      },
+    ]);
+
+    // Alice: codeQuality 8/10 → 4; overall = 0.75 × 4 + 0.25 × 2
+    const expectedAliceOverall = 3.5;
+    const expectedBobOverall = 5;
+    // Class: codeQuality rollup 4.5, explanation rollup 3.5 → 0.75 × 4.5 + 0.25 × 3.5
+    const expectedClassOverall = 4.25;
+
+    const [alice, bob] = result.perStudent;
+    expect(alice.overall.state).toBe('computed');
+    expect(alice.overall.value).toBeCloseTo(expectedAliceOverall, COMPOSITE_SCORE_TOLERANCE_DIGITS);
+    expect(bob.overall.value).toBeCloseTo(expectedBobOverall, COMPOSITE_SCORE_TOLERANCE_DIGITS);
+    expect(result.perTask[0].overall.value).toBeCloseTo(
+      expectedClassOverall,
+      COMPOSITE_SCORE_TOLERANCE_DIGITS
+    );
+    expect(result.perClass.overall.state).toBe('computed');
+    expect(result.perClass.overall.value).toBeCloseTo(
+      expectedClassOverall,
+      COMPOSITE_SCORE_TOLERANCE_DIGITS
+    );
+  });
+
+  it('applies the definition weightings of the default criteria', () => {
+    const result = analyseDefinitions([
+      {
+        definitionKey: 'dk_essay',
+        criteria: SPAG_HEAVY_CRITERIA,
+        submissions: {
+          Alice: { completeness: { score: 5 }, accuracy: { score: 5 }, spag: { score: 0 } },
+        },
+      },
+    ]);
+
+    // 0.1 × 5 + 0.1 × 5 + 0.8 × 0, not the default 40/40/20 weighting (which gives 4).
+    const expectedOverall = 1;
+
+    expect(result.perStudent[0].overall.value).toBeCloseTo(
+      expectedOverall,
+      COMPOSITE_SCORE_TOLERANCE_DIGITS
+    );
+    expect(result.perClass.overall.value).toBeCloseTo(
+      expectedOverall,
+      COMPOSITE_SCORE_TOLERANCE_DIGITS
+    );
+  });
+
+  it('weights each definition by its assessed data when criteria differ', () => {
+    const result = analyseDefinitions([
+      {
+        definitionKey: 'dk_algebra',
+        submissions: {
+          Alice: { completeness: { score: 4 }, accuracy: { score: 4 }, spag: { score: 4 } },
+        },
+      },
+      {
+        definitionKey: 'dk_python',
+        criteria: CODE_QUALITY_CRITERIA,
+        submissions: {
+          Alice: { codeQuality: { score: 8 }, explanation: { score: 2 } },
+        },
+      },
+    ]);
+
+    // Default-criteria task overall 4 and custom-criteria task overall 3.5, equally weighted.
+    const expectedOverall = 3.75;
+
+    expect(result.perStudent[0].overall.value).toBeCloseTo(
+      expectedOverall,
+      COMPOSITE_SCORE_TOLERANCE_DIGITS
+    );
+    expect(result.perClass.overall.value).toBeCloseTo(
+      expectedOverall,
+      COMPOSITE_SCORE_TOLERANCE_DIGITS
+    );
+  });
+});
@@ -1,3 +1,7 @@
+import {
+  DEFAULT_ASSESSMENT_CRITERIA,
+  type AssessmentCriterion,
+} from '../../assignmentDefinition/assessmentCriterion.zod';
 import type { AveragingAnalyserInput } from '../dataAnalysis.zod';
 import type { CriterionWeightings } from './averagingAnalyser';
 import type {
@@ -12,10 +16,50 @@ import type {
  * threshold (MAJOR-4).
  *
  * All criterion-level accumulation helpers live here:
- * `accumulateCriterion`, `accumulateMetricsToTarget`, `computeOverall`,
- * `processSubmissionItem`, and `processItemAssessments`.
+ * `defaultCriteriaWithWeightings`, `normaliseScore`, `accumulateCriterion`, `accumulateMetricsToTarget`,
+ * `computeOverall`, `processSubmissionItem`, and `processItemAssessments`.
  */
 
+/**
+ * Scale every criterion score is normalised to before accumulation, so
+ * criteria with different `maxScore` values share the 0–5 bands used by the
+ * class page and heatmap.
+ */
+export const NORMALISED_MAX_SCORE = 5;
+
+/** Item scores keyed by criterion key, already normalised. */
+export type CriterionScores = ReadonlyMap<string, AssessmentScore>;
+
+/**
+ * Build the criteria applied to definitions that do not define their own:
+ * the default criteria carrying the analyser's criterion weightings.
+ *
+ * @param {CriterionWeightings} criterionWeightings - The analyser's weightings.
+ * @returns {AssessmentCriterion[]} The default criteria with those weightings.
+ */
+export function defaultCriteriaWithWeightings(
+  criterionWeightings: CriterionWeightings
+): AssessmentCriterion[] {
+  const weightings = new Map<string, number>(Object.entries(criterionWeightings));
+  return DEFAULT_ASSESSMENT_CRITERIA.map((criterion) => ({
+    ...criterion,
+    weighting: weightings.get(criterion.key) ?? criterion.weighting,
+  }));
+}
+
+/**
+ * Normalise a raw criterion score onto the {@link NORMALISED_MAX_SCORE} scale.
+ * `'N'` and absent scores pass through unchanged.
+ *
+ * @param {AssessmentScore} score - The raw score.
+ * @param {number} maxScore - The criterion's maximum score.
+ * @returns {AssessmentScore} The normalised score.
+ */
+export function normaliseScore(score: AssessmentScore, maxScore: number): AssessmentScore {
+  if (typeof score !== 'number') return score;
+  return (score * NORMALISED_MAX_SCORE) / maxScore;
+}
+
 /**
  * Accumulate a single criterion score into its metric accumulator.
  *
@@ -41,71 +85,73 @@ export function accumulateCriterion(
 }
 
 /**
- * Accumulate all four metrics into a single target accumulator for one
- * data point.
+ * Accumulate all four metrics, and every criterion in `scores`, into a single
+ * target accumulator for one data point.
  *
  * @param {DataPointAccumulator} target - The accumulator to update.
- * @param {AssessmentScore} completenessScore - Completeness score.
- * @param {AssessmentScore} accuracyScore - Accuracy score.
- * @param {AssessmentScore} spagScore - SPaG score.
+ * @param {CriterionScores} scores - Normalised scores keyed by criterion key.
  * @param {number | null} overallValue - Pre-computed overall.
  * @param {number} weight - Per-data-point weight.
  */
 export function accumulateMetricsToTarget(
   target: DataPointAccumulator,
-  completenessScore: AssessmentScore,
-  accuracyScore: AssessmentScore,
-  spagScore: AssessmentScore,
+  scores: CriterionScores,
   overallValue: number | null,
   weight: number
 ): void {
-  accumulateCriterion(target.completeness, completenessScore, weight);
-  accumulateCriterion(target.accuracy, accuracyScore, weight);
-  accumulateCriterion(target.spag, spagScore, weight);
+  accumulateCriterion(target.completeness, scores.get('completeness'), weight);
+  accumulateCriterion(target.accuracy, scores.get('accuracy'), weight);
+  accumulateCriterion(target.spag, scores.get('spag'), weight);
+
+  for (const [key, score] of scores) {
+    let criterionAccum = target.criteria.get(key);
+    if (!criterionAccum) {
+      criterionAccum = {
+        weightedSum: 0,
+        totalWeight: 0,
+        applicableDataPoints: 0,
+        totalDataPoints: 0,
+        nCount: 0,
+      };
+      target.criteria.set(key, criterionAccum);
+    }
+    accumulateCriterion(criterionAccum, score, weight);
+  }
 
   if (overallValue !== null) {
     target.overall.totalDataPoints++;
     target.overall.weightedSum += overallValue * weight;
     target.overall.totalWeight += weight;
     target.overall.applicableDataPoints++;
-  } else if (completenessScore === 'N' || accuracyScore === 'N' || spagScore === 'N') {
+  } else if ([...scores.values()].includes('N')) {
     target.overall.totalDataPoints++;
     target.overall.nCount++;
   }
 }
 
 /**
- * Compute the overall value for a single data point, renormalising when
- * criteria are 'N' (not applicable).
+ * Compute the overall value for a single data point as the weighted mean of
+ * its criteria, renormalising when criteria are 'N' (not applicable).
  *
- * @param {CriterionWeightings} criterionWeightings - The criterion weightings.
- * @param {AssessmentScore} completenessScore - The completeness score.
- * @param {AssessmentScore} accuracyScore - The accuracy score.
- * @param {AssessmentScore} spagScore - The SPaG score.
+ * @param {ReadonlyArray<AssessmentCriterion>} criteria - The criteria, with
+ *   the weightings to apply.
+ * @param {CriterionScores} scores - Normalised scores keyed by criterion key.
  * @returns {number | null} The weighted overall, or null if all criteria
  *   are unavailable.
  */
 export function computeOverall(
-  criterionWeightings: CriterionWeightings,
-  completenessScore: AssessmentScore,
-  accuracyScore: AssessmentScore,
-  spagScore: AssessmentScore
+  criteria: ReadonlyArray<AssessmentCriterion>,
+  scores: CriterionScores
 ): number | null {
-  const cw = criterionWeightings;
   let numerator = 0;
   let denominator = 0;
 
-  if (typeof completenessScore === 'number') {
-    numerator += cw.completeness * completenessScore;
-    denominator += cw.completeness;
-  }
-  if (typeof accuracyScore === 'number') {
-    numerator += cw.accuracy * accuracyScore;
-    denominator += cw.accuracy;
-  }
-  if (typeof spagScore === 'number') {
-    numerator += cw.spag * spagScore;
-    denominator += cw.spag;
+  for (const criterion of criteria) {
+    const score = scores.get(criterion.key);
+    if (typeof score === 'number') {
+      numerator += criterion.weighting * score;
+      denominator += criterion.weighting;
+    }
   }
 
   if (denominator === 0) return null;
@@ -115,75 +161,41 @@ export function computeOverall(
 /**
  * Process one submission item, accumulating metrics into all scopes.
  *
- * @param {AssessmentScore} completenessScore - The completeness score.
- * @param {AssessmentScore} accuracyScore - The accuracy score.
- * @param {AssessmentScore} spagScore - The SPaG score.
+ * @param {CriterionScores} scores - Normalised scores keyed by criterion key.
  * @param {number} weight - The per-data-point weight.
  * @param {DataPointAccumulator} studentAccum - Per-student accumulator.
  * @param {DataPointAccumulator} classAccum - Per-class accumulator.
  * @param {DataPointAccumulator} taskAccum - Per-task accumulator.
- * @param {CriterionWeightings} criterionWeightings - The criterion weightings.
+ * @param {ReadonlyArray<AssessmentCriterion>} criteria - The criteria for the
+ *   item's assignment definition.
  * @param {DataPointAccumulator} [perStudentTaskAccum] - Optional per-(student, task)
  *   accumulator for rollup input building.
  */
 export function processSubmissionItem(
-  completenessScore: AssessmentScore,
-  accuracyScore: AssessmentScore,
-  spagScore: AssessmentScore,
+  scores: CriterionScores,
   weight: number,
   studentAccum: DataPointAccumulator,
   classAccum: DataPointAccumulator,
   taskAccum: DataPointAccumulator,
-  criterionWeightings: CriterionWeightings,
+  criteria: ReadonlyArray<AssessmentCriterion>,
   perStudentTaskAccum?: DataPointAccumulator
 ): void {
-  const overallValue = computeOverall(
-    criterionWeightings,
-    completenessScore,
-    accuracyScore,
-    spagScore
-  );
+  const overallValue = computeOverall(criteria, scores);
 
-  accumulateMetricsToTarget(
-    studentAccum,
-    completenessScore,
-    accuracyScore,
-    spagScore,
-    overallValue,
-    weight
-  );
-  accumulateMetricsToTarget(
-    classAccum,
-    completenessScore,
-    accuracyScore,
-    spagScore,
-    overallValue,
-    weight
-  );
-  accumulateMetricsToTarget(
-    taskAccum,
-    completenessScore,
-    accuracyScore,
-    spagScore,
-    overallValue,
-    weight
-  );
+  accumulateMetricsToTarget(studentAccum, scores, overallValue, weight);
+  accumulateMetricsToTarget(classAccum, scores, overallValue, weight);
+  accumulateMetricsToTarget(taskAccum, scores, overallValue, weight);
 
   if (perStudentTaskAccum) {
-    accumulateMetricsToTarget(
-      perStudentTaskAccum,
-      completenessScore,
-      accuracyScore,
-      spagScore,
-      overallValue,
-      weight
-    );
+    accumulateMetricsToTarget(perStudentTaskAccum, scores, overallValue, weight);
   }
 }
 
 /**
- * Extract assessment scores from a submission item and apply them to all
- * accumulator scopes.
+ * Extract the score for each of the definition's criteria from a submission
+ * item and apply them to all accumulator scopes. A teacher override replaces
+ * the assessed score for its criterion. Assessments for criteria the
+ * definition does not define are ignored.
  *
  * @param {AveragingAnalyserInput['classes'][number]['assignments'][number]['submissions'][number]['items'][string]}
  *   item - The submission item.
@@ -191,7 +203,8 @@ export function processSubmissionItem(
  * @param {DataPointAccumulator} studentAccum - Per-student accumulator.
  * @param {DataPointAccumulator} classAccum - Per-class accumulator.
  * @param {DataPointAccumulator} taskAccum - Per-task accumulator.
- * @param {CriterionWeightings} criterionWeightings - The criterion weightings.
+ * @param {ReadonlyArray<AssessmentCriterion>} criteria - The criteria for the
+ *   item's assignment definition.
  * @param {DataPointAccumulator} [perStudentTaskAccum] - Optional per-(student, task)
  *   accumulator for rollup input building.
  */
@@ -201,24 +214,25 @@ export function processItemAssessments(
   studentAccum: DataPointAccumulator,
   classAccum: DataPointAccumulator,
   taskAccum: DataPointAccumulator,
-  criterionWeightings: CriterionWeightings,
+  criteria: ReadonlyArray<AssessmentCriterion>,
   perStudentTaskAccum?: DataPointAccumulator
 ): void {
-  const { assessments } = item;
-  const assessmentsOrEmpty = assessments ?? {};
-  const completenessScore: AssessmentScore = assessmentsOrEmpty.completeness?.score;
-  const accuracyScore: AssessmentScore = assessmentsOrEmpty.accuracy?.score;
-  const spagScore: AssessmentScore = assessmentsOrEmpty.spag?.score;
+  const { assessments, overrides } = item;
+  const effectiveAssessments = { ...assessments, ...overrides };
+  const scores: CriterionScores = new Map(
+    criteria.map((criterion) => [
+      criterion.key,
+      normaliseScore(effectiveAssessments[criterion.key]?.score, criterion.maxScore),
+    ])
+  );
 
   processSubmissionItem(
-    completenessScore,
-    accuracyScore,
-    spagScore,
+    scores,
     weight,
     studentAccum,
     classAccum,
     taskAccum,
-    criterionWeightings,
+    criteria,
     perStudentTaskAccum
   );
 }
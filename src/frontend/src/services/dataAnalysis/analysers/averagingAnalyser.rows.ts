@@ -1,9 +1,102 @@
-import type { MetricResult, PerStudentRow, PerTaskRow } from '../dataAnalysis.zod';
-import { accumToMetric, computeOverallComposite } from './averagingAnalyser.accumulation';
+import type { MetricResult, PerClassResult, PerStudentRow, PerTaskRow } from '../dataAnalysis.zod';
+import type { AssessmentCriterion } from '../../assignmentDefinition/assessmentCriterion.zod';
+import {
+  accumToMetric,
+  computeCriteriaComposite,
+  createAccumulator,
+} from './averagingAnalyser.accumulation';
 import type { CriterionWeightings } from './averagingAnalyser';
+import { defaultCriteriaWithWeightings } from './averagingAnalyser.criterionAccumulation';
 import { rollupMetric } from './rollupMetric';
 import type { DataPointAccumulator } from './averagingAnalyser.types';
 
+/** Accumulators that share one set of definition criteria and weightings. */
+interface CriteriaGroup {
+  criteria: ReadonlyArray<AssessmentCriterion>;
+  accumulators: DataPointAccumulator[];
+}
+
+/**
+ * Group accumulators by the criteria and weightings of their assignment
+ * definitions. Accumulators without definition criteria use the default
+ * criteria with the analyser's weightings.
+ *
+ * @param {ReadonlyArray<DataPointAccumulator>} accumulators - The source accumulators.
+ * @param {CriterionWeightings} criterionWeightings - The criterion weightings.
+ * @returns {CriteriaGroup[]} One group per distinct set of criteria.
+ */
+function groupByDefinitionCriteria(
+  accumulators: ReadonlyArray<DataPointAccumulator>,
+  criterionWeightings: CriterionWeightings
+): CriteriaGroup[] {
+  const defaultCriteria = defaultCriteriaWithWeightings(criterionWeightings);
+  const groups = new Map<string, CriteriaGroup>();
+
+  for (const accumulator of accumulators) {
+    const criteria = accumulator.definitionCriteria ?? defaultCriteria;
+    const signature = JSON.stringify(criteria.map(({ key, weighting }) => [key, weighting]));
+    let group = groups.get(signature);
+    if (!group) {
+      group = { criteria, accumulators: [] };
+      groups.set(signature, group);
+    }
+    group.accumulators.push(accumulator);
+  }
+
+  return [...groups.values()];
+}
+
+/**
+ * Compose one group's `overall` from the rollup of each of its criteria,
+ * weighted by the criterion's weighting.
+ *
+ * @param {CriteriaGroup} group - Accumulators sharing one set of criteria.
+ * @returns {MetricResult} The group's overall MetricResult.
+ */
+function rollupGroupOverall(group: CriteriaGroup): MetricResult {
+  return computeCriteriaComposite(
+    group.criteria.map((criterion) => ({
+      result: rollupMetric(
+        group.accumulators.map((accumulator) =>
+          accumToMetric(accumulator.criteria.get(criterion.key) ?? createAccumulator())
+        ),
+        criterion.key
+      ),
+      weighting: criterion.weighting,
+    }))
+  );
+}
+
+/**
+ * Roll `overall` up from the per-criterion accumulators using each
+ * definition's own criteria and weightings.
+ *
+ * @remarks
+ * Accumulators from definitions with the same criteria are composed together,
+ * as a composite of their per-criterion rollups (spec decision 5). When
+ * definitions with different criteria are mixed, each group's composite is
+ * weighted by the total weight of its assessed data points.
+ *
+ * @param {ReadonlyArray<DataPointAccumulator>} accumulators - The source accumulators.
+ * @param {CriterionWeightings} criterionWeightings - The criterion weightings
+ *   for accumulators without definition criteria.
+ * @returns {MetricResult} The overall MetricResult.
+ */
+function rollupOverall(
+  accumulators: ReadonlyArray<DataPointAccumulator>,
+  criterionWeightings: CriterionWeightings
+): MetricResult {
+  return computeCriteriaComposite(
+    groupByDefinitionCriteria(accumulators, criterionWeightings).map((group) => ({
+      result: rollupGroupOverall(group),
+      weighting: group.accumulators.reduce(
+        (total, accumulator) => total + accumulator.overall.totalWeight,
+        0
+      ),
+    }))
+  );
+}
+
 /**
  * Build the four MetricResults (completeness, accuracy, spag, overall) from
  * an iterable of DataPointAccumulators using rollupMetric and the composite rule.
@@ -13,6 +106,10 @@ import type { DataPointAccumulator } from './averagingAnalyser.types';
  * export unifies the rollup pattern across per-student, per-task, and per-class
  * aggregation, eliminating the dual-path duplication.
  *
+ * `overall` is composed from every criterion of each accumulator's assignment
+ * definition, so custom criteria and weightings count towards it; the three
+ * default columns are reported alongside it.
+ *
  * @param {Iterable<DataPointAccumulator>} accumulators - The source accumulators.
  * @param {CriterionWeightings} criterionWeightings - The criterion weightings.
  * @returns {{ completeness: MetricResult; accuracy: MetricResult; spag: MetricResult; overall: MetricResult }}
@@ -27,22 +124,56 @@ export function rollupAccumulators(
   spag: MetricResult;
   overall: MetricResult;
 } {
-  const completenessResults: MetricResult[] = [];
-  const accuracyResults: MetricResult[] = [];
-  const spagResults: MetricResult[] = [];
+  const accumulatorList = [...accumulators];
 
-  for (const accumulator of accumulators) {
-    completenessResults.push(accumToMetric(accumulator.completeness));
-    accuracyResults.push(accumToMetric(accumulator.accuracy));
-    spagResults.push(accumToMetric(accumulator.spag));
-  }
+  return {
+    completeness: rollupMetric(
+      accumulatorList.map((accumulator) => accumToMetric(accumulator.completeness)),
+      'completeness'
+    ),
+    accuracy: rollupMetric(
+      accumulatorList.map((accumulator) => accumToMetric(accumulator.accuracy)),
+      'accuracy'
+    ),
+    spag: rollupMetric(
+      accumulatorList.map((accumulator) => accumToMetric(accumulator.spag)),
+      'spag'
+    ),
+    overall: rollupOverall(accumulatorList, criterionWeightings),
+  };
+}
 
-  const completeness = rollupMetric(completenessResults, 'completeness');
-  const accuracy = rollupMetric(accuracyResults, 'accuracy');
-  const spag = rollupMetric(spagResults, 'spag');
-  const overall = computeOverallComposite(completeness, accuracy, spag, criterionWeightings);
+/**
+ * Build the per-class rollup from the per-(student, task) accumulators.
+ *
+ * @remarks
+ * Uses `rollupAccumulators` — the same function as the per-student and
+ * per-task rollups. When no per-student-task accumulators exist, the fallback
+ * passes `[classAccum]` as a single-element array, which delegates to the same
+ * `rollupMetric` path as the populated case.
+ *
+ * @param {Map<string, Map<string, DataPointAccumulator>>} perStudentTaskAccums -
+ *   Per-(student, task) accumulators for rollup input building.
+ * @param {DataPointAccumulator} classAccum - The class-level accumulator used
+ *   when there are no per-student-task accumulators.
+ * @param {CriterionWeightings} criterionWeightings - The criterion weightings.
+ * @returns {PerClassResult} The per-class metrics.
+ */
+export function buildPerClassResult(
+  perStudentTaskAccums: Map<string, Map<string, DataPointAccumulator>>,
+  classAccum: DataPointAccumulator,
+  criterionWeightings: CriterionWeightings
+): PerClassResult {
+  const allPerStudentTaskAccums: DataPointAccumulator[] = [];
+  for (const taskMap of perStudentTaskAccums.values()) {
+    for (const accumulator of taskMap.values()) {
+      allPerStudentTaskAccums.push(accumulator);
+    }
+  }
 
-  return { completeness, accuracy, spag, overall };
+  return allPerStudentTaskAccums.length > 0
+    ? rollupAccumulators(allPerStudentTaskAccums, criterionWeightings)
+    : rollupAccumulators([classAccum], criterionWeightings);
 }
 
 /**
@@ -52,8 +183,8 @@ export function rollupAccumulators(
  * The per-criterion rollup is delegated to the shared `rollupMetric` helper to
  * ensure the same precedence and per-metric `notAttempted` handling is applied
  * consistently across all aggregation levels. The `overall` composite is
- * computed from the three per-criterion rollups using the 40/40/20 weighting
- * with SPaG-renormalisation.
+ * computed from the rollup of each criterion on the assignment definition,
+ * weighted by the definition's criterion weightings.
  *
  * A null `studentName` is a data-source bug and will cause the function to
  * throw at runtime.
@@ -118,8 +249,8 @@ export function buildPerStudentRows(
  * The per-criterion rollup is delegated to the shared `rollupMetric` helper to
  * ensure the same precedence and per-metric `notAttempted` handling is applied
  * consistently across all aggregation levels. The `overall` composite is
- * computed from the three per-criterion rollups using the 40/40/20 weighting
- * with SPaG-renormalisation.
+ * computed from the rollup of each criterion on the assignment definition,
+ * weighted by the definition's criterion weightings.
  *
  * @param {Map<string, { definitionKey: string; taskId: string } & DataPointAccumulator>}
  *   taskAccums - Map of composite key to accumulator data (used for definitionKey,
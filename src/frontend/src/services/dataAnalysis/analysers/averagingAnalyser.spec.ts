@@ -176,6 +176,51 @@ describe('AveragingAnalyser', () => {
       });
     });
 
+    it('uses a teacher override in place of the assessed score for its criterion', () => {
+      const item = {
+        ...createSubmissionItem('t_001', { accuracy: { score: 1 }, spag: { score: 3 } }),
+        overrides: {
+          accuracy: {
+            score: 4,
+            overriddenBy: 'teacher@example.com',
+            overriddenAt: DEFAULT_CREATED_AT,
+          },
+        },
+      };
+      const input = buildInput([
+        {
+          classId: 'c_001',
+          studentIds: ['s_001'],
+          assignments: [
+            createAssignmentPartial({
+              assignmentId: 'a_001',
+              definitionKey: 'dk_algebra',
+              tasks: [createTaskPartial('t_001')],
+              submissions: [createSubmission('s_001', 'Alice', 'a_001', { t_001: item })],
+            }),
+          ],
+        },
+      ]);
+
+      const [result] = new AveragingAnalyser().analyse(input);
+      const student = result.perStudent[0];
+
+      expectMetricResultStateAware(student.accuracy as unknown as MetricResult, {
+        state: 'computed',
+        value: 4,
+        totalWeight: 1,
+        applicableDataPoints: 1,
+        totalDataPoints: 1,
+      });
+      expectMetricResultStateAware(student.spag as unknown as MetricResult, {
+        state: 'computed',
+        value: 3,
+        totalWeight: 1,
+        applicableDataPoints: 1,
+        totalDataPoints: 1,
+      });
+    });
+
     it('produces identical results between default and explicit weightings', () => {
       const input = buildInput([
         {
@@ -1,18 +1,8 @@
 import type { AveragingAnalyserInput, AveragingResult, PerClassResult } from '../dataAnalysis.zod';
 import { accumulateDataPoints, buildPerStudentTaskMetrics } from './averagingAnalyser.accumulation';
 import { filterAssignments } from './averagingAnalyser.filters';
-import {
-  buildPerStudentRows,
-  buildPerTaskRows,
-  rollupAccumulators,
-} from './averagingAnalyser.rows';
-import type { DataPointAccumulator } from './averagingAnalyser.types';
-
-/**
- * Default criterion weightings: completeness=0.4, accuracy=0.4, spag=0.2.
- * Set in the constructor only (AGENTS §11 / frontend §11).
- */
-const DEFAULT_CRITERION_WEIGHTINGS = { completeness: 0.4, accuracy: 0.4, spag: 0.2 } as const;
+import { buildPerClassResult, buildPerStudentRows, buildPerTaskRows } from './averagingAnalyser.rows';
+import { DEFAULT_ASSESSMENT_CRITERIA } from '../../assignmentDefinition/assessmentCriterion.zod';
 
 /** Per-criterion weightings configurable at construction time. */
 export interface CriterionWeightings {
@@ -21,6 +11,27 @@ export interface CriterionWeightings {
   spag: number;
 }
 
+/**
+ * Read the weighting of one of the default criteria.
+ *
+ * @param {keyof CriterionWeightings} key - The default criterion key.
+ * @returns {number} The criterion's default weighting.
+ */
+function getDefaultWeighting(key: keyof CriterionWeightings): number {
+  return DEFAULT_ASSESSMENT_CRITERIA.find((criterion) => criterion.key === key)!.weighting;
+}
+
+/**
+ * Default criterion weightings, read from `DEFAULT_ASSESSMENT_CRITERIA`
+ * (completeness=0.4, accuracy=0.4, spag=0.2).
+ * Set in the constructor only (AGENTS §11 / frontend §11).
+ */
+export const DEFAULT_CRITERION_WEIGHTINGS: CriterionWeightings = {
+  completeness: getDefaultWeighting('completeness'),
+  accuracy: getDefaultWeighting('accuracy'),
+  spag: getDefaultWeighting('spag'),
+};
+
 /**
  * Pure synchronous class that computes weighted averages for completeness,
  * accuracy, SPaG, and overall metrics.
@@ -35,6 +46,15 @@ export interface CriterionWeightings {
  * (the criterion weight for SPaG is excluded from both numerator and
  * denominator).
  *
+ * Each item's overall metric uses the criteria defined on its assignment
+ * definition (scores normalised to 0–5 by `maxScore`, weighted by each
+ * criterion's `weighting`); definitions without criteria use the default
+ * criteria with the constructor's weightings. The per-student, per-task and
+ * per-class `overall` composites roll up every criterion with the same
+ * weightings; the completeness, accuracy and SPaG columns report the default
+ * criteria, and each criterion is reported per (student, task) in
+ * `perStudentTaskMetrics[].criteria`.
+ *
  * All output arrays are deterministically sorted for testability:
  * - `perStudent`: `studentName` asc, then `studentId` asc
  *   tie-breaker
@@ -84,11 +104,9 @@ export class AveragingAnalyser {
    * Analyse a single class and produce its AveragingResult.
    *
    * @remarks
-   * The per-class rollup now uses `rollupAccumulators` — the same function as
-   * per-student and per-task rollups — eliminating the dual-path duplication.
-   * When no per-student-task accumulators exist, the fallback passes
-   * `[classAccum]` as a single-element array, which delegates to the same
-   * `rollupMetric` path as the populated case.
+   * The per-class rollup is delegated to `buildPerClassResult`, which uses
+   * `rollupAccumulators` — the same function as the per-student and per-task
+   * rollups.
    *
    * @param {AveragingAnalyserInput['classes'][number]} cls - The class data.
    * @param {AveragingAnalyserInput} input - The full analyser input.
@@ -118,25 +136,11 @@ export class AveragingAnalyser {
       this.criterionWeightings
     );
 
-    // Build per-class rollup from all per-(student, task) accumulators
-    const allPerStudentTaskAccums: DataPointAccumulator[] = [];
-    for (const taskMap of accumulators.perStudentTaskAccums.values()) {
-      for (const accumulator of taskMap.values()) {
-        allPerStudentTaskAccums.push(accumulator);
-      }
-    }
-
-    const { completeness, accuracy, spag, overall } =
-      allPerStudentTaskAccums.length > 0
-        ? rollupAccumulators(allPerStudentTaskAccums, this.criterionWeightings)
-        : rollupAccumulators([accumulators.classAccum], this.criterionWeightings);
-
-    const perClass: PerClassResult = {
-      completeness,
-      accuracy,
-      spag,
-      overall,
-    };
+    const perClass: PerClassResult = buildPerClassResult(
+      accumulators.perStudentTaskAccums,
+      accumulators.classAccum,
+      this.criterionWeightings
+    );
 
     const perStudentTaskMetrics = buildPerStudentTaskMetrics(
       cls.classId,
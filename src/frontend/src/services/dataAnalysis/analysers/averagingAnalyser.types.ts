@@ -1,3 +1,5 @@
+import type { AssessmentCriterion } from '../../assignmentDefinition/assessmentCriterion.zod';
+
 /**
  * Mutable accumulator for computing a weighted metric.
  *
@@ -15,12 +17,27 @@ export interface MetricAccumulator {
   nCount: number;
 }
 
-/** Accumulator set for all four metrics (completeness, accuracy, spag, overall). */
+/**
+ * Accumulator set for all four metrics (completeness, accuracy, spag, overall),
+ * plus one accumulator per criterion key seen on the accumulated items.
+ *
+ * @remarks
+ * `criteria` covers every criterion defined on the item's assignment
+ * definition, including the three standard ones, so custom criteria such as
+ * `codeQuality` reach the per-(student, task) metrics and the row-level
+ * `overall` composite.
+ *
+ * `definitionCriteria` is set on per-(student, task) accumulators only, which
+ * never mix assignment definitions; the row builders weight each criterion
+ * rollup by it when composing `overall`.
+ */
 export interface DataPointAccumulator {
   completeness: MetricAccumulator;
   accuracy: MetricAccumulator;
   spag: MetricAccumulator;
   overall: MetricAccumulator;
+  criteria: Map<string, MetricAccumulator>;
+  definitionCriteria?: ReadonlyArray<AssessmentCriterion>;
 }
 
 /** A nullable numeric assessment score — number, 'N' (not applicable), or absent. */
@@ -0,0 +1,200 @@
+import { describe, it, expect } from 'vitest';
+import { CohortComparisonAnalyser } from './cohortComparisonAnalyser';
+import type { AveragingAnalyserInput } from '../dataAnalysis.zod';
+import {
+  createAssignmentPartial,
+  createClassFull,
+  createDefinitionPartial,
+  createSubmission,
+  createSubmissionItem,
+  createTaskPartial,
+} from '../../../test/dataAnalysis/fixtures';
+
+const TASKS = [createTaskPartial('t_001'), createTaskPartial('t_002')];
+
+/** Task scores used in the shared fixture, highest first. */
+const TOP_SCORE = 5;
+const HIGH_SCORE = 4;
+const MID_SCORE = 3;
+const LOW_SCORE = 2;
+/** 2024 students whose completeness average falls in the top (4–5) band. */
+const TOP_BAND_STUDENT_COUNT = 2;
+
+/**
+ * Build an assignment where each listed student scores the same on every
+ * criterion of a task.
+ *
+ * @param {string} assignmentId - The assignment identifier.
+ * @param {string} definitionKey - The definition key.
+ * @param {Record<string, [number, number]>} scores - Student
+ *   identifier → scores for `t_001` and `t_002`.
+ * @returns {ReturnType<typeof createAssignmentPartial>} The assignment.
+ */
+function createScoredAssignment(
+  assignmentId: string,
+  definitionKey: string,
+  scores: Record<string, [number, number]>
+) {
+  return createAssignmentPartial({
+    assignmentId,
+    definitionKey,
+    submissions: Object.entries(scores).map(([studentId, taskScores]) =>
+      createSubmission(
+        studentId,
+        studentId,
+        assignmentId,
+        Object.fromEntries(
+          ['t_001', 't_002'].map((taskId, index) => {
+            const score = taskScores[index]!;
+            return [
+              taskId,
+              createSubmissionItem(taskId, {
+                completeness: { score },
+                accuracy: { score },
+                spag: { score },
+              }),
+            ];
+          })
+        )
+      )
+    ),
+  });
+}
+
+/**
+ * Build a class in a cohort.
+ *
+ * @param {string} classId - The class identifier.
+ * @param {string | null} cohortKey - The cohort key.
+ * @param {ReturnType<typeof createAssignmentPartial>[]} assignments - The assignments.
+ * @returns {AveragingAnalyserInput['classes'][number]} The class.
+ */
+function createCohortClass(
+  classId: string,
+  cohortKey: string | null,
+  assignments: ReturnType<typeof createAssignmentPartial>[]
+) {
+  return { ...createClassFull({ classId, assignments }), cohortKey };
+}
+
+/**
+ * Build the shared fixture: two 2024 classes and one 2025 class set the essay;
+ * one unassigned class sets the quiz.
+ *
+ * @param {AveragingAnalyserInput['filter']} [filter] - Optional filter override.
+ * @returns {AveragingAnalyserInput} The analyser input.
+ */
+function buildCohortInput(filter?: AveragingAnalyserInput['filter']): AveragingAnalyserInput {
+  return {
+    filter: filter ?? { classIds: ['c_a', 'c_b', 'c_c', 'c_d'] },
+    classes: [
+      createCohortClass('c_c', 'cohort-2025', [
+        createScoredAssignment('a_c', 'dk_essay', {
+          s_005: [LOW_SCORE, 1],
+          s_006: [LOW_SCORE, LOW_SCORE],
+        }),
+      ]),
+      createCohortClass('c_b', 'cohort-2024', [
+        createScoredAssignment('a_b', 'dk_essay', {
+          s_003: [HIGH_SCORE, HIGH_SCORE],
+          s_004: [LOW_SCORE, LOW_SCORE],
+        }),
+      ]),
+      createCohortClass('c_a', 'cohort-2024', [
+        createScoredAssignment('a_a', 'dk_essay', {
+          s_001: [TOP_SCORE, MID_SCORE],
+          s_002: [MID_SCORE, MID_SCORE],
+        }),
+      ]),
+      createCohortClass('c_d', null, [createScoredAssignment('a_d', 'dk_quiz', { s_007: [1, 1] })]),
+    ],
+    assignmentDefinitionPartials: [
+      createDefinitionPartial({ definitionKey: 'dk_essay', tasks: TASKS }),
+      createDefinitionPartial({ definitionKey: 'dk_quiz', tasks: TASKS }),
+    ],
+  } as AveragingAnalyserInput;
+}
+
+describe('CohortComparisonAnalyser', () => {
+  describe('analyse', () => {
+    it('groups the classes that set each definition by cohort', () => {
+      const results = new CohortComparisonAnalyser().analyse(buildCohortInput());
+
+      expect(results.map(({ definitionKey }) => definitionKey)).toEqual(['dk_essay', 'dk_quiz']);
+      expect(
+        results[0]!.cohorts.map(({ cohortKey, classIds, studentCount }) => ({
+          cohortKey,
+          classIds,
+          studentCount,
+        }))
+      ).toEqual([
+        { cohortKey: 'cohort-2024', classIds: ['c_a', 'c_b'], studentCount: 4 },
+        { cohortKey: 'cohort-2025', classIds: ['c_c'], studentCount: 2 },
+      ]);
+      expect(results[1]!.cohorts.map(({ cohortKey }) => cohortKey)).toEqual([null]);
+    });
+
+    it('pools a cohort’s classes into cohort and task averages', () => {
+      const [essay] = new CohortComparisonAnalyser().analyse(buildCohortInput());
+      const [cohort2024, cohort2025] = essay!.cohorts;
+
+      expect(cohort2024!.perCohort.overall).toMatchObject({ state: 'computed', value: 3.25 });
+      expect(
+        cohort2024!.perTask.map(({ taskId, completeness }) => ({
+          taskId,
+          value: completeness.value,
+        }))
+      ).toEqual([
+        { taskId: 't_001', value: 3.5 },
+        { taskId: 't_002', value: 3 },
+      ]);
+      expect(
+        cohort2025!.perTask.map(({ taskId, completeness }) => ({
+          taskId,
+          value: completeness.value,
+        }))
+      ).toEqual([
+        { taskId: 't_001', value: 2 },
+        { taskId: 't_002', value: 1.5 },
+      ]);
+    });
+
+    it('reports per-student distributions with quartiles and score bands', () => {
+      const [essay] = new CohortComparisonAnalyser().analyse(buildCohortInput());
+      const [cohort2024, cohort2025] = essay!.cohorts;
+
+      expect(cohort2024!.distributions.completeness).toEqual({
+        bandCounts: [0, 0, 1, 1, TOP_BAND_STUDENT_COUNT],
+        notAttemptedCount: 0,
+        errorCount: 0,
+        min: 2,
+        lowerQuartile: 2.75,
+        median: 3.5,
+        upperQuartile: 4,
+        max: 4,
+      });
+      expect(cohort2025!.distributions.completeness).toMatchObject({
+        bandCounts: [0, 1, 1, 0, 0],
+        median: 1.75,
+      });
+    });
+
+    it('applies the definition-key filter', () => {
+      const results = new CohortComparisonAnalyser().analyse(
+        buildCohortInput({ classIds: ['c_a'], assignmentDefinitionKeys: ['dk_quiz'] })
+      );
+
+      expect(results.map(({ definitionKey }) => definitionKey)).toEqual(['dk_quiz']);
+    });
+
+    it('returns no results when no class has assignments', () => {
+      const input = {
+        filter: { classIds: ['c_a'] },
+        classes: [createCohortClass('c_a', 'cohort-2024', [])],
+        assignmentDefinitionPartials: [],
+      } as AveragingAnalyserInput;
+
+      expect(new CohortComparisonAnalyser().analyse(input)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,219 @@
+import type {
+  AveragingAnalyserInput,
+  CohortComparisonCohort,
+  CohortComparisonResult,
+  PerStudentRow,
+} from '../dataAnalysis.zod';
+import { accumulateDataPoints } from './averagingAnalyser.accumulation';
+import { filterAssignments } from './averagingAnalyser.filters';
+import {
+  buildPerClassResult,
+  buildPerStudentRows,
+  buildPerTaskRows,
+} from './averagingAnalyser.rows';
+import { DEFAULT_CRITERION_WEIGHTINGS, type CriterionWeightings } from './averagingAnalyser';
+import { buildScoreDistribution } from './scoreDistribution';
+
+type AnalyserClass = AveragingAnalyserInput['classes'][number];
+type ClassAssignments = AnalyserClass['assignments'];
+
+/** The four metrics a distribution is reported for. */
+type DistributionMetricKey = keyof CohortComparisonCohort['distributions'];
+
+const DISTRIBUTION_METRIC_KEYS: readonly DistributionMetricKey[] = [
+  'completeness',
+  'accuracy',
+  'spag',
+  'overall',
+];
+
+/** Sort value placing the first key before the second. */
+const SORT_BEFORE = -1;
+/** Sort value placing the first key after the second. */
+const SORT_AFTER = 1;
+
+/** The in-scope assignments of one cohort for one definition. */
+interface CohortGroup {
+  classIds: string[];
+  assignments: ClassAssignments;
+}
+
+/**
+ * Build the per-metric distributions from per-student rows.
+ *
+ * @param {readonly PerStudentRow[]} perStudent - The cohort's student rows.
+ * @returns {CohortComparisonCohort['distributions']} One distribution per metric.
+ */
+function buildDistributions(
+  perStudent: readonly PerStudentRow[]
+): CohortComparisonCohort['distributions'] {
+  const entries = DISTRIBUTION_METRIC_KEYS.map((metricKey) => [
+    metricKey,
+    buildScoreDistribution(perStudent.map((row) => row[metricKey])),
+  ]);
+  return Object.fromEntries(entries) as CohortComparisonCohort['distributions'];
+}
+
+/**
+ * Compare the cohort-order of two cohort keys: keys ascending, `null` last.
+ *
+ * @param {string | null} a - The first cohort key.
+ * @param {string | null} b - The second cohort key.
+ * @returns {number} A negative, zero or positive sort value.
+ */
+function compareCohortKeys(a: string | null, b: string | null): number {
+  if (a === b) return 0;
+  if (a === null) return SORT_AFTER;
+  if (b === null) return SORT_BEFORE;
+  return a.localeCompare(b);
+}
+
+/**
+ * Pure synchronous class that compares how each cohort did on the same
+ * assignment definition, producing one result per definition with a
+ * per-cohort rollup, per-task rollups and per-metric score distributions.
+ *
+ * @remarks
+ * Every class that set a definition is grouped by its `cohortKey`; the
+ * cohort's in-scope assignments for that definition are then pooled and
+ * scored exactly as the averaging analyser scores a single class, so the
+ * rows carry the same `MetricResult` states, weightings and SPaG
+ * renormalisation. Distributions are taken over the per-student rollups.
+ *
+ * Cohort reference data (names, start years) is not part of the analyser
+ * input; callers resolve labels and chronological order from `cohortKey`.
+ *
+ * The `dateRange`, `topicKeys` and `assignmentDefinitionKeys` filters apply as
+ * in the averaging analyser.
+ *
+ * All output arrays are deterministically sorted for testability:
+ * - `CohortComparisonResult[]`: `definitionKey` asc
+ * - `cohorts`: `cohortKey` asc, with `null` last
+ * - `classIds`: asc
+ * - `perTask`: `definitionKey` asc, then `taskId` asc
+ */
+export class CohortComparisonAnalyser {
+  private readonly criterionWeightings: CriterionWeightings;
+
+  /**
+   * Constructs a CohortComparisonAnalyser with the given criterion weightings.
+   *
+   * @param {CriterionWeightings} [criterionWeightings] - Optional weighting overrides.
+   *   Defaults to the averaging analyser's defaults.
+   */
+  constructor(criterionWeightings?: CriterionWeightings) {
+    this.criterionWeightings = criterionWeightings ?? DEFAULT_CRITERION_WEIGHTINGS;
+  }
+
+  /**
+   * Run the cohort comparison over the provided input.
+   *
+   * @param {AveragingAnalyserInput} input - Fully assembled input data.
+   * @returns {CohortComparisonResult[]} One result per definition with in-scope
+   *   assignments, sorted by definitionKey.
+   */
+  analyse(input: AveragingAnalyserInput): CohortComparisonResult[] {
+    const topicKeySet: Set<string> | undefined = input.filter.topicKeys?.length
+      ? new Set(input.filter.topicKeys)
+      : undefined;
+    const definitionKeySet: Set<string> | undefined = input.filter.assignmentDefinitionKeys?.length
+      ? new Set(input.filter.assignmentDefinitionKeys)
+      : undefined;
+
+    const groupsByDefinition = this.groupByDefinitionAndCohort(
+      input,
+      topicKeySet,
+      definitionKeySet
+    );
+
+    return [...groupsByDefinition]
+      .toSorted(([a], [b]) => a.localeCompare(b))
+      .map(([definitionKey, groupsByCohort]) => ({
+        definitionKey,
+        cohorts: [...groupsByCohort]
+          .toSorted(([a], [b]) => compareCohortKeys(a, b))
+          .map(([cohortKey, group]) => this.analyseCohort(cohortKey, group, input)),
+        appliedCriterionWeightings: { ...this.criterionWeightings },
+      }));
+  }
+
+  /**
+   * Group every class's in-scope assignments by definition, then by cohort.
+   *
+   * @param {AveragingAnalyserInput} input - The full analyser input.
+   * @param {Set<string> | undefined} topicKeySet - Optional set of topic keys
+   *   to include.
+   * @param {Set<string> | undefined} definitionKeySet - Optional set of
+   *   definition keys to include.
+   * @returns {Map<string, Map<string | null, CohortGroup>>} Definition key →
+   *   cohort key → pooled assignments.
+   */
+  private groupByDefinitionAndCohort(
+    input: AveragingAnalyserInput,
+    topicKeySet: Set<string> | undefined,
+    definitionKeySet: Set<string> | undefined
+  ): Map<string, Map<string | null, CohortGroup>> {
+    const groupsByDefinition = new Map<string, Map<string | null, CohortGroup>>();
+
+    for (const cls of input.classes) {
+      for (const assignment of filterAssignments(cls, input, topicKeySet, definitionKeySet)) {
+        const definitionKey = assignment.assignmentDefinitionKey;
+        let groupsByCohort = groupsByDefinition.get(definitionKey);
+        if (!groupsByCohort) {
+          groupsByCohort = new Map();
+          groupsByDefinition.set(definitionKey, groupsByCohort);
+        }
+        let group = groupsByCohort.get(cls.cohortKey);
+        if (!group) {
+          group = { classIds: [], assignments: [] };
+          groupsByCohort.set(cls.cohortKey, group);
+        }
+        if (!group.classIds.includes(cls.classId)) {
+          group.classIds.push(cls.classId);
+        }
+        group.assignments.push(assignment);
+      }
+    }
+
+    return groupsByDefinition;
+  }
+
+  /**
+   * Score one cohort's pooled assignments for a definition.
+   *
+   * @param {string | null} cohortKey - The cohort key, or `null` for classes
+   *   without a cohort.
+   * @param {CohortGroup} group - The cohort's classes and assignments.
+   * @param {AveragingAnalyserInput} input - The full analyser input.
+   * @returns {CohortComparisonCohort} The cohort's rollups and distributions.
+   */
+  private analyseCohort(
+    cohortKey: string | null,
+    group: CohortGroup,
+    input: AveragingAnalyserInput
+  ): CohortComparisonCohort {
+    const accumulators = accumulateDataPoints(group.assignments, input, this.criterionWeightings);
+    const perStudent = buildPerStudentRows(
+      accumulators.studentAccums,
+      accumulators.perStudentTaskAccums,
+      this.criterionWeightings
+    );
+
+    return {
+      cohortKey,
+      classIds: group.classIds.toSorted((a, b) => a.localeCompare(b)),
+      studentCount: perStudent.length,
+      perCohort: buildPerClassResult(
+        accumulators.perStudentTaskAccums,
+        accumulators.classAccum,
+        this.criterionWeightings
+      ),
+      perTask: buildPerTaskRows(
+        accumulators.taskAccums,
+        accumulators.perStudentTaskAccums,
+        this.criterionWeightings
+      ),
+      distributions: buildDistributions(perStudent),
+    };
+  }
+}
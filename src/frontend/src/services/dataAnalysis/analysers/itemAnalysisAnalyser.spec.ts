@@ -0,0 +1,175 @@
+import { describe, it, expect } from 'vitest';
+import { ItemAnalysisAnalyser } from './itemAnalysisAnalyser';
+import type { AveragingAnalyserInput } from '../dataAnalysis.zod';
+import {
+  createAssignmentPartial,
+  createClassFull,
+  createDefinitionPartial,
+  createSubmission,
+  createSubmissionItem,
+  createTaskPartial,
+} from '../../../test/dataAnalysis/fixtures';
+import type { AssessmentCriterion } from '../../assignmentDefinition/assessmentCriterion.zod';
+
+const TASK_IDS = ['t_001', 't_002', 't_003'];
+
+/** Task scores used by the fixtures; `FULL_MARKS` is the top of the 0–5 scale. */
+const FULL_MARKS = 5;
+const HIGH_SCORE = 4;
+const MID_SCORE = 3;
+/** Not-attempted rate when one of two students did not attempt the task. */
+const ONE_OF_TWO_RATE = 0.5;
+
+/**
+ * Build the analyser input for one class where each listed student scores the
+ * same on every criterion of a task. A score of `'N'` marks the task as not
+ * attempted; `null` leaves the task out of the submission.
+ *
+ * @param {Record<string, Array<number | 'N' | null>>} scores - Student
+ *   identifier → scores for `t_001`, `t_002` and `t_003`.
+ * @param {AssessmentCriterion[]} [criteria] - Criteria on the definition;
+ *   the default criteria when omitted.
+ * @returns {AveragingAnalyserInput} The analyser input.
+ */
+function buildItemInput(
+  scores: Record<string, Array<number | 'N' | null>>,
+  criteria?: AssessmentCriterion[]
+): AveragingAnalyserInput {
+  const criterionKeys = criteria?.map(({ key }) => key) ?? ['completeness', 'accuracy', 'spag'];
+  const submissions = Object.entries(scores).map(([studentId, taskScores]) =>
+    createSubmission(
+      studentId,
+      studentId,
+      'a_001',
+      Object.fromEntries(
+        TASK_IDS.flatMap((taskId, index) => {
+          const score = taskScores[index] ?? null;
+          if (score === null) return [];
+          return [
+            [
+              taskId,
+              createSubmissionItem(
+                taskId,
+                Object.fromEntries(criterionKeys.map((key) => [key, { score }]))
+              ),
+            ],
+          ];
+        })
+      )
+    )
+  );
+
+  return {
+    filter: { classIds: ['c_001'] },
+    classes: [
+      createClassFull({
+        classId: 'c_001',
+        assignments: [
+          createAssignmentPartial({
+            assignmentId: 'a_001',
+            definitionKey: 'dk_essay',
+            submissions,
+          }),
+        ],
+      }),
+    ],
+    assignmentDefinitionPartials: [
+      {
+        ...createDefinitionPartial({
+          definitionKey: 'dk_essay',
+          tasks: TASK_IDS.map((taskId) => createTaskPartial(taskId)),
+        }),
+        criteria,
+      },
+    ],
+  };
+}
+
+describe('ItemAnalysisAnalyser', () => {
+  it('computes facility and top-versus-bottom-third discrimination per task', () => {
+    const [result] = new ItemAnalysisAnalyser().analyse(
+      buildItemInput({
+        s_001: [FULL_MARKS, HIGH_SCORE, MID_SCORE],
+        s_002: [MID_SCORE, HIGH_SCORE, MID_SCORE],
+        s_003: [1, HIGH_SCORE, MID_SCORE],
+      })
+    );
+
+    const [plan] = result!.items;
+    expect(plan).toMatchObject({ definitionKey: 'dk_essay', taskId: 't_001', studentCount: 3 });
+    expect(plan!.facilityIndex).toBeCloseTo(MID_SCORE / FULL_MARKS);
+    expect(plan!.discriminationIndex).toBeCloseTo((FULL_MARKS - 1) / FULL_MARKS);
+    expect(plan!.notAttemptedRate).toBe(0);
+    expect(plan!.distribution.bandCounts).toEqual([0, 1, 0, 1, 1]);
+    expect(plan!.flags).toEqual([]);
+  });
+
+  it('ranks students for discrimination on a definition with custom criteria', () => {
+    const [result] = new ItemAnalysisAnalyser().analyse(
+      buildItemInput(
+        {
+          s_001: [FULL_MARKS, HIGH_SCORE, MID_SCORE],
+          s_002: [MID_SCORE, HIGH_SCORE, MID_SCORE],
+          s_003: [1, HIGH_SCORE, MID_SCORE],
+        },
+        [
+          { key: 'codeQuality', label: 'Code quality', maxScore: 5, weighting: 0.75 },
+          { key: 'explanation', label: 'Explanation', maxScore: 5, weighting: 0.25 },
+        ]
+      )
+    );
+
+    const [plan] = result!.items;
+    expect(plan!.facilityIndex).toBeCloseTo(MID_SCORE / FULL_MARKS);
+    expect(plan!.discriminationIndex).toBeCloseTo((FULL_MARKS - 1) / FULL_MARKS);
+  });
+
+  it('flags tasks that are too easy, too hard or do not discriminate', () => {
+    const [result] = new ItemAnalysisAnalyser().analyse(
+      buildItemInput({
+        s_001: [FULL_MARKS, 1, FULL_MARKS],
+        s_002: [FULL_MARKS, 1, MID_SCORE],
+        s_003: [FULL_MARKS, 1, 1],
+      })
+    );
+
+    expect(result!.items.map(({ taskId, flags }) => [taskId, flags])).toEqual([
+      ['t_001', ['tooEasy', 'nonDiscriminating']],
+      ['t_002', ['tooHard', 'nonDiscriminating']],
+      ['t_003', []],
+    ]);
+  });
+
+  it('reports the not-attempted rate and leaves not-attempted cells out of the facility', () => {
+    const [result] = new ItemAnalysisAnalyser().analyse(
+      buildItemInput({
+        s_001: ['N', MID_SCORE, MID_SCORE],
+        s_002: [HIGH_SCORE, MID_SCORE, MID_SCORE],
+      })
+    );
+
+    const [plan] = result!.items;
+    expect(plan!.notAttemptedRate).toBe(ONE_OF_TWO_RATE);
+    expect(plan!.facilityIndex).toBeCloseTo(HIGH_SCORE / FULL_MARKS);
+    expect(plan!.distribution.notAttemptedCount).toBe(1);
+    expect(plan!.discriminationIndex).toBeNull();
+  });
+
+  it('returns null statistics for a task no student has work on', () => {
+    const [result] = new ItemAnalysisAnalyser().analyse(
+      buildItemInput({
+        s_001: [MID_SCORE, MID_SCORE, null],
+        s_002: [MID_SCORE, MID_SCORE, null],
+        s_003: [MID_SCORE, MID_SCORE, null],
+      })
+    );
+
+    expect(result!.items.find(({ taskId }) => taskId === 't_003')).toMatchObject({
+      studentCount: 0,
+      facilityIndex: null,
+      discriminationIndex: null,
+      notAttemptedRate: null,
+      flags: [],
+    });
+  });
+});
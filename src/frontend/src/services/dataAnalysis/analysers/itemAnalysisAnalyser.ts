@@ -0,0 +1,266 @@
+import type {
+  AveragingAnalyserInput,
+  ItemAnalysisFlag,
+  ItemAnalysisResult,
+  ItemAnalysisRow,
+  MetricResult,
+  PerStudentTaskMetric,
+} from '../dataAnalysis.zod';
+import { LOWEST_DISCRIMINATION_INDEX } from '../dataAnalysis.zod';
+import { accumulateDataPoints, buildPerStudentTaskMetrics } from './averagingAnalyser.accumulation';
+import { NORMALISED_MAX_SCORE } from './averagingAnalyser.criterionAccumulation';
+import { filterAssignments } from './averagingAnalyser.filters';
+import { buildPerStudentRows } from './averagingAnalyser.rows';
+import { DEFAULT_CRITERION_WEIGHTINGS, type CriterionWeightings } from './averagingAnalyser';
+import { buildScoreDistribution } from './scoreDistribution';
+
+/** Facility index at or above which a task is flagged as too easy. */
+export const TOO_EASY_FACILITY = 0.85;
+
+/** Facility index at or below which a task is flagged as too hard. */
+export const TOO_HARD_FACILITY = 0.25;
+
+/** Discrimination index below which a task is flagged as non-discriminating. */
+export const MIN_DISCRIMINATION = 0.2;
+
+/** Number of equal groups ranked students are split into; the top and bottom are compared. */
+const DISCRIMINATION_GROUP_COUNT = 3;
+
+/**
+ * Minimum number of ranked students for a discrimination index — below this
+ * the top and bottom thirds would be empty.
+ */
+const MIN_STUDENTS_FOR_DISCRIMINATION = DISCRIMINATION_GROUP_COUNT;
+
+/**
+ * Average the computed values of a set of metrics.
+ *
+ * @param {readonly (MetricResult | undefined)[]} metrics - The metrics.
+ * @returns {number | null} The mean of the computed values, or `null` when
+ *   none is computed.
+ */
+function meanComputed(metrics: readonly (MetricResult | undefined)[]): number | null {
+  const values = metrics.flatMap((metric) => (metric?.state === 'computed' ? [metric.value] : []));
+  return values.length === 0 ? null : values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Express a score, or a difference of scores, as a fraction of the maximum.
+ *
+ * @param {number | null} score - The score on the 0–5 scale.
+ * @param {number} lowerBound - The smallest fraction to return (0 or -1).
+ * @returns {number | null} The clamped fraction, or `null` when `score` is.
+ */
+function toFraction(score: number | null, lowerBound: number): number | null {
+  if (score === null) return null;
+  return Math.min(Math.max(score / NORMALISED_MAX_SCORE, lowerBound), 1);
+}
+
+/**
+ * Compute a task's discrimination index.
+ *
+ * @param {ReadonlyMap<string, MetricResult>} taskScores - Student → task score.
+ * @param {readonly string[]} rankedStudentIds - Students with a computed
+ *   overall average, strongest first.
+ * @returns {number | null} Top-third minus bottom-third mean task score as a
+ *   fraction of the maximum, or `null` when either third has no computed score.
+ */
+function computeDiscrimination(
+  taskScores: ReadonlyMap<string, MetricResult>,
+  rankedStudentIds: readonly string[]
+): number | null {
+  if (rankedStudentIds.length < MIN_STUDENTS_FOR_DISCRIMINATION) return null;
+  const groupSize = Math.floor(rankedStudentIds.length / DISCRIMINATION_GROUP_COUNT);
+  const top = meanComputed(rankedStudentIds.slice(0, groupSize).map((id) => taskScores.get(id)));
+  const bottom = meanComputed(rankedStudentIds.slice(-groupSize).map((id) => taskScores.get(id)));
+  if (top === null || bottom === null) return null;
+  return toFraction(top - bottom, LOWEST_DISCRIMINATION_INDEX);
+}
+
+/**
+ * Raise the quality flags for a task.
+ *
+ * @param {number | null} facilityIndex - The facility index.
+ * @param {number | null} discriminationIndex - The discrimination index.
+ * @returns {ItemAnalysisFlag[]} The flags, in declaration order.
+ */
+function resolveFlags(
+  facilityIndex: number | null,
+  discriminationIndex: number | null
+): ItemAnalysisFlag[] {
+  const flags: ItemAnalysisFlag[] = [];
+  if (facilityIndex !== null && facilityIndex >= TOO_EASY_FACILITY) flags.push('tooEasy');
+  if (facilityIndex !== null && facilityIndex <= TOO_HARD_FACILITY) flags.push('tooHard');
+  if (discriminationIndex !== null && discriminationIndex < MIN_DISCRIMINATION) {
+    flags.push('nonDiscriminating');
+  }
+  return flags;
+}
+
+/**
+ * Group per-(student, task) metrics by task key.
+ *
+ * @param {readonly PerStudentTaskMetric[]} metrics - The per-cell metrics.
+ * @returns {Map<string, Map<string, MetricResult>>} Task key → student → overall.
+ */
+function groupTaskScores(
+  metrics: readonly PerStudentTaskMetric[]
+): Map<string, Map<string, MetricResult>> {
+  const scoresByTask = new Map<string, Map<string, MetricResult>>();
+  for (const metric of metrics) {
+    let scores = scoresByTask.get(metric.taskKey);
+    if (!scores) {
+      scores = new Map();
+      scoresByTask.set(metric.taskKey, scores);
+    }
+    scores.set(metric.studentId, metric.overall);
+  }
+  return scoresByTask;
+}
+
+/**
+ * Pure synchronous class that computes classical item-analysis statistics for
+ * every task of the in-scope assignment definitions, one result per class.
+ *
+ * @remarks
+ * Each statistic is taken over the per-(student, task) `overall` scores, the
+ * same cells the task heatmap shows:
+ *
+ * - **Facility index** — mean computed task score ÷ 5. `N` and `E` cells are
+ *   left out; `N` is reported separately as the not-attempted rate.
+ * - **Discrimination index** — students with a computed overall average are
+ *   ranked strongest first; the bottom third's mean task score is subtracted
+ *   from the top third's, then divided by 5. Needs at least three ranked
+ *   students. The overall average is the averaging analyser's per-student
+ *   `overall`, composed from each definition's own criteria and weightings.
+ * - **Not-attempted rate** — `N` cells ÷ students with a cell for the task.
+ * - **Distribution** — the shared score bands and quartiles.
+ *
+ * Tasks are flagged `tooEasy` at a facility of {@link TOO_EASY_FACILITY} or
+ * more, `tooHard` at {@link TOO_HARD_FACILITY} or less, and
+ * `nonDiscriminating` below a discrimination of {@link MIN_DISCRIMINATION}.
+ *
+ * Filters apply as in the averaging analyser. Tasks registered on a definition
+ * but with no student work still appear, with `null` statistics.
+ *
+ * All output arrays are deterministically sorted for testability:
+ * - `items`: `definitionKey` asc, then `taskId` asc
+ * - `ItemAnalysisResult[]`: `classId` asc
+ */
+export class ItemAnalysisAnalyser {
+  private readonly criterionWeightings: CriterionWeightings;
+
+  /**
+   * Constructs an ItemAnalysisAnalyser with the given criterion weightings.
+   *
+   * @param {CriterionWeightings} [criterionWeightings] - Optional weighting overrides
+   *   for definitions without their own criteria. Defaults to the averaging
+   *   analyser's defaults.
+   */
+  constructor(criterionWeightings?: CriterionWeightings) {
+    this.criterionWeightings = criterionWeightings ?? DEFAULT_CRITERION_WEIGHTINGS;
+  }
+
+  /**
+   * Run the item analysis over the provided input.
+   *
+   * @param {AveragingAnalyserInput} input - Fully assembled input data.
+   * @returns {ItemAnalysisResult[]} An array of per-class results sorted by classId.
+   */
+  analyse(input: AveragingAnalyserInput): ItemAnalysisResult[] {
+    const topicKeySet: Set<string> | undefined = input.filter.topicKeys?.length
+      ? new Set(input.filter.topicKeys)
+      : undefined;
+    const definitionKeySet: Set<string> | undefined = input.filter.assignmentDefinitionKeys?.length
+      ? new Set(input.filter.assignmentDefinitionKeys)
+      : undefined;
+
+    const sortedClasses = [...input.classes].toSorted((a, b) => a.classId.localeCompare(b.classId));
+
+    return sortedClasses.map((cls) => this.analyseClass(cls, input, topicKeySet, definitionKeySet));
+  }
+
+  /**
+   * Analyse a single class and produce its ItemAnalysisResult.
+   *
+   * @param {AveragingAnalyserInput['classes'][number]} cls - The class data.
+   * @param {AveragingAnalyserInput} input - The full analyser input.
+   * @param {Set<string> | undefined} topicKeySet - Optional set of topic keys
+   *   to include.
+   * @param {Set<string> | undefined} definitionKeySet - Optional set of
+   *   definition keys to include.
+   * @returns {ItemAnalysisResult} The per-class item-analysis result.
+   */
+  private analyseClass(
+    cls: AveragingAnalyserInput['classes'][number],
+    input: AveragingAnalyserInput,
+    topicKeySet: Set<string> | undefined,
+    definitionKeySet: Set<string> | undefined
+  ): ItemAnalysisResult {
+    const filteredAssignments = filterAssignments(cls, input, topicKeySet, definitionKeySet);
+    const accumulators = accumulateDataPoints(filteredAssignments, input, this.criterionWeightings);
+
+    const rankedStudentIds = buildPerStudentRows(
+      accumulators.studentAccums,
+      accumulators.perStudentTaskAccums,
+      this.criterionWeightings
+    )
+      .flatMap((row) =>
+        row.overall.state === 'computed' ? [{ id: row.studentId, value: row.overall.value }] : []
+      )
+      .toSorted((a, b) => b.value - a.value || a.id.localeCompare(b.id))
+      .map(({ id }) => id);
+    const scoresByTask = groupTaskScores(
+      buildPerStudentTaskMetrics(cls.classId, accumulators.perStudentTaskAccums)
+    );
+
+    const items: ItemAnalysisRow[] = [...accumulators.taskAccums].map(
+      ([taskKey, { definitionKey, taskId }]) =>
+        this.buildItem(definitionKey, taskId, scoresByTask.get(taskKey), rankedStudentIds)
+    );
+    items.sort(
+      (a, b) => a.definitionKey.localeCompare(b.definitionKey) || a.taskId.localeCompare(b.taskId)
+    );
+
+    return {
+      classId: cls.classId,
+      className: cls.className,
+      items,
+      appliedCriterionWeightings: { ...this.criterionWeightings },
+    };
+  }
+
+  /**
+   * Build one task's item-analysis row.
+   *
+   * @param {string} definitionKey - The definition key.
+   * @param {string} taskId - The task identifier.
+   * @param {ReadonlyMap<string, MetricResult> | undefined} taskScores - Student
+   *   → task score, or `undefined` when no student has work on the task.
+   * @param {readonly string[]} rankedStudentIds - Students ranked strongest first.
+   * @returns {ItemAnalysisRow} The row.
+   */
+  private buildItem(
+    definitionKey: string,
+    taskId: string,
+    taskScores: ReadonlyMap<string, MetricResult> | undefined,
+    rankedStudentIds: readonly string[]
+  ): ItemAnalysisRow {
+    const scores = taskScores ?? new Map<string, MetricResult>();
+    const metrics = [...scores.values()];
+    const notAttempted = metrics.filter((metric) => metric.state === 'notAttempted').length;
+    const facilityIndex = toFraction(meanComputed(metrics), 0);
+    const discriminationIndex = computeDiscrimination(scores, rankedStudentIds);
+
+    return {
+      definitionKey,
+      taskId,
+      studentCount: metrics.length,
+      facilityIndex,
+      discriminationIndex,
+      notAttemptedRate: metrics.length === 0 ? null : notAttempted / metrics.length,
+      distribution: buildScoreDistribution(metrics),
+      flags: resolveFlags(facilityIndex, discriminationIndex),
+    };
+  }
+}
@@ -3,10 +3,13 @@ import { AveragingAnalyser } from './averagingAnalyser';
 import {
   buildInput,
   createAssignmentPartial,
+  createDefinitionPartial,
   createSubmission,
   createSubmissionItem,
   createTaskPartial,
 } from '../../../test/dataAnalysis/fixtures';
+import type { AssessmentCriterion } from '../../assignmentDefinition/assessmentCriterion.zod';
+import type { PerStudentTaskMetric } from '../dataAnalysis.zod';
 
 // Number of decimal places of tolerance used when asserting composite floating-point scores.
 const COMPOSITE_SCORE_TOLERANCE_DIGITS = 5;
@@ -201,3 +204,84 @@ describe('perStudentTaskMetrics conversion', () => {
     expect(t002Entry!.studentId).toBe('s_001');
   });
 });
+
+// ---------------------------------------------------------------------------
+// perStudentTaskMetrics — criteria defined on the assignment definition
+// ---------------------------------------------------------------------------
+
+/**
+ * Analyse one student's single item for a definition with the given criteria.
+ *
+ * @param {Record<string, { score: number | 'N' }>} assessments - The item's assessments.
+ * @param {AssessmentCriterion[]} [criteria] - Criteria on the definition.
+ * @returns {PerStudentTaskMetric} The student's per-task metric.
+ */
+function analyseSingleItem(
+  assessments: Record<string, { score: number | 'N' }>,
+  criteria?: AssessmentCriterion[]
+): PerStudentTaskMetric {
+  const input = buildInput(
+    [
+      {
+        classId: 'c_001',
+        studentIds: ['s_001'],
+        assignments: [
+          createAssignmentPartial({
+            assignmentId: 'a_001',
+            definitionKey: 'dk_python',
+            submissions: [
+              createSubmission('s_001', 'Alice', 'a_001', {
+                t_001: createSubmissionItem('t_001', assessments),
+              }),
+            ],
+          }),
+        ],
+      },
+    ],
+    {
+      assignmentDefinitionPartials: [
+        { ...createDefinitionPartial({ definitionKey: 'dk_python' }), criteria },
+      ],
+    }
+  );
+
+  return new AveragingAnalyser().analyse(input)[0].perStudentTaskMetrics![0];
+}
+
+describe('perStudentTaskMetrics criteria', () => {
+  it('reports the default criteria when the definition defines none', () => {
+    const metric = analyseSingleItem({
+      completeness: { score: 5 },
+      accuracy: { score: 4 },
+      spag: { score: 'N' },
+    });
+
+    expect(Object.keys(metric.criteria)).toEqual(['completeness', 'accuracy', 'spag']);
+    expect(metric.criteria.completeness).toEqual(metric.completeness);
+    expect(metric.criteria.spag.state).toBe('notAttempted');
+  });
+
+  it('normalises scores by maxScore and weights overall by the definition criteria', () => {
+    const metric = analyseSingleItem(
+      {
+        codeQuality: { score: 8 },
+        explanation: { score: 2 },
+        spag: { score: 5 },
+      },
+      [
+        { key: 'codeQuality', label: 'Code quality', maxScore: 10, weighting: 0.75 },
+        { key: 'explanation', label: 'Explanation', maxScore: 5, weighting: 0.25 },
+      ]
+    );
+
+    // codeQuality 8/10 → 4 on the 0–5 scale; overall = 0.75 × 4 + 0.25 × 2
+    const expectedCodeQuality = 4;
+    const expectedOverall = 3.5;
+
+    expect(Object.keys(metric.criteria)).toEqual(['codeQuality', 'explanation']);
+    expect(metric.criteria.codeQuality).toMatchObject({ value: expectedCodeQuality });
+    expect(metric.overall.value).toBeCloseTo(expectedOverall, COMPOSITE_SCORE_TOLERANCE_DIGITS);
+    // Assessments for criteria the definition does not define are ignored.
+    expect(metric.spag.state).toBe('error');
+  });
+});
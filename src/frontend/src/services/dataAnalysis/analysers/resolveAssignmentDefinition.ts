@@ -1,5 +1,6 @@
 import type { AssignmentDefinitionPartial } from '../../assignmentDefinition/assignmentDefinitionPartials.zod';
 import type { TaskPartial } from '../../assignmentDefinition/taskPartial.zod';
+import type { AssessmentCriterion } from '../../assignmentDefinition/assessmentCriterion.zod';
 
 /**
  * Resolved assignment definition data sourced exclusively from the live
@@ -8,6 +9,8 @@ import type { TaskPartial } from '../../assignmentDefinition/taskPartial.zod';
 export interface ResolvedAssignmentDefinition {
   assignmentWeighting: number;
   tasks: readonly TaskPartial[];
+  /** The definition's own criteria, or `null` when it relies on the defaults. */
+  criteria: readonly AssessmentCriterion[] | null;
 }
 
 /**
@@ -21,8 +24,8 @@ export interface ResolvedAssignmentDefinition {
  * @param {string} definitionKey - The definition key to look up.
  * @param {ReadonlyMap<string, AssignmentDefinitionPartial>} partialsByDefinitionKey -
  *   Pre-built Map of definitionKey → live partial.
- * @returns {ResolvedAssignmentDefinition | null} The resolved weighting and
- *   tasks, or `null` when no partial exists for {@link definitionKey}.
+ * @returns {ResolvedAssignmentDefinition | null} The resolved weighting,
+ *   tasks and criteria, or `null` when no partial exists for {@link definitionKey}.
  */
 export function resolveAssignmentDefinitionData(
   definitionKey: string,
@@ -37,5 +40,6 @@ export function resolveAssignmentDefinitionData(
   return {
     assignmentWeighting: partial.assignmentWeighting ?? 1,
     tasks: partial.tasks ?? [],
+    criteria: partial.criteria ?? null,
   };
 }
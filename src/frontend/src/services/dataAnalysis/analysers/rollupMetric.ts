@@ -1,15 +1,5 @@
 import type { MetricResult } from '../dataAnalysis.zod';
 
-/**
- * The three criteria that `rollupMetric` supports.
- *
- * @remarks
- * `'average'` is intentionally **not** included. The average is a composite
- * of the three per-criterion rollups at every aggregation level, not a fourth
- * independent weighted average. See spec decision 5.
- */
-export type RollupMetric = 'completeness' | 'accuracy' | 'spag';
-
 /**
  * Accumulated state from a single pass over sub-tasks.
  */
@@ -53,13 +43,9 @@ function createAccumulatedState(): AccumulatedState {
  *
  * @param {AccumulatedState} accumulator - The running accumulators (mutated in place).
  * @param {MetricResult} st - The sub-task to accumulate.
- * @param {RollupMetric} metric - The criterion being rolled up.
+ * @param {string} metric - The key of the criterion being rolled up.
  */
-function accumulateOne(
-  accumulator: AccumulatedState,
-  st: MetricResult,
-  metric: RollupMetric
-): void {
+function accumulateOne(accumulator: AccumulatedState, st: MetricResult, metric: string): void {
   accumulator.allTotalWeight += st.totalWeight;
   accumulator.allTotalDataPoints += st.totalDataPoints;
 
@@ -143,6 +129,10 @@ function terminalRollup(
  * `MetricResult` for the given criterion.
  *
  * @remarks
+ * `'average'` is intentionally **not** a metric. The average is a composite
+ * of the per-criterion rollups at every aggregation level, not an extra
+ * independent weighted average. See spec decision 5.
+ *
  * **Single-pass algorithm:**
  * This function makes exactly **one** iteration over `subTasks` per call.
  * The prior implementation iterated 4–5 times (validation, error detection,
@@ -154,7 +144,7 @@ function terminalRollup(
  * - `totalWeightedSum` / `computedTotalWeight` / `computedAp` / `computedTd`
  *   — accumulated only from `computed` sub-tasks.
  * - `naTotalWeight` / `naTotalDataPoints` — accumulated only from
- *   `notAttempted` sub-tasks (and only for completeness/accuracy; spag
+ *   `notAttempted` sub-tasks (and only for criteria other than spag; spag
  *   excludes them entirely).
  * - `hasError` — set to `true` if any sub-task is in error state.
  * - `hasComputed` — set to `true` if any sub-task is in computed state.
@@ -173,9 +163,9 @@ function terminalRollup(
  *   excluded (they contribute nothing to numerator or denominator).
  *
  * **Per-metric `notAttempted` handling** (spec decision 5):
- * - `completeness` / `accuracy`: a `notAttempted` sub-task contributes a score
- *   of `0` — its `totalWeight` is included in the denominator, but zero in the
- *   numerator.
+ * - `completeness` / `accuracy` and custom criteria: a `notAttempted` sub-task
+ *   contributes a score of `0` — its `totalWeight` is included in the
+ *   denominator, but zero in the numerator.
  * - `spag`: a `notAttempted` sub-task is **excluded entirely** — its
  *   `totalWeight` is not included in the denominator (SPaG cannot be assessed
  *   on unsubmitted work). When all sub-tasks are `notAttempted` (and excluded),
@@ -194,13 +184,11 @@ function terminalRollup(
  *
  * @param {ReadonlyArray<MetricResult>} subTasks - The per-sub-task MetricResults
  *   to roll up.
- * @param {RollupMetric} metric - The criterion being rolled up.
+ * @param {string} metric - The key of the criterion being rolled up: one of
+ *   the default criteria or a custom criterion key such as `'codeQuality'`.
  * @returns {MetricResult} The rolled-up MetricResult.
  */
-export function rollupMetric(
-  subTasks: ReadonlyArray<MetricResult>,
-  metric: RollupMetric
-): MetricResult {
+export function rollupMetric(subTasks: ReadonlyArray<MetricResult>, metric: string): MetricResult {
   if (subTasks.length === 0) {
     throw new Error('rollupMetric: subTasks must not be empty');
   }
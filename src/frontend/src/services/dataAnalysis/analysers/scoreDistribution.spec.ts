@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { buildScoreDistribution } from './scoreDistribution';
+import {
+  createComputedMetricResult,
+  createErrorMetricResult,
+  createNotAttemptedMetricResult,
+} from '../../../test/dataAnalysis/fixtures';
+
+/** Scores spread across the bands, from a half mark to full marks. */
+const HALF_MARK = 0.5;
+const LOW_SCORE = 2;
+const MID_SCORE = 3;
+const HIGH_SCORE = 4;
+const FULL_MARKS = 5;
+/** Scores in the lowest band: zero and a half mark. */
+const LOWEST_BAND_COUNT = 2;
+
+describe('buildScoreDistribution', () => {
+  it('bands computed scores, with a full mark in the top band', () => {
+    const distribution = buildScoreDistribution(
+      [0, HALF_MARK, LOW_SCORE, MID_SCORE, FULL_MARKS].map((value) =>
+        createComputedMetricResult({ value })
+      )
+    );
+
+    expect(distribution.bandCounts).toEqual([LOWEST_BAND_COUNT, 0, 1, 1, 1]);
+    expect(distribution).toMatchObject({ min: 0, median: 2, max: 5 });
+  });
+
+  it('interpolates quartiles between the closest ranks', () => {
+    const distribution = buildScoreDistribution(
+      [1, LOW_SCORE, MID_SCORE, HIGH_SCORE].map((value) => createComputedMetricResult({ value }))
+    );
+
+    expect(distribution).toMatchObject({ lowerQuartile: 1.75, median: 2.5, upperQuartile: 3.25 });
+  });
+
+  it('counts not-attempted and error students outside the bands', () => {
+    const distribution = buildScoreDistribution([
+      createNotAttemptedMetricResult(),
+      createErrorMetricResult(),
+    ]);
+
+    expect(distribution).toEqual({
+      bandCounts: [0, 0, 0, 0, 0],
+      notAttemptedCount: 1,
+      errorCount: 1,
+      min: null,
+      lowerQuartile: null,
+      median: null,
+      upperQuartile: null,
+      max: null,
+    });
+  });
+});
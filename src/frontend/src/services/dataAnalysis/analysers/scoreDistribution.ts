@@ -0,0 +1,70 @@
+import type { MetricResult, ScoreDistribution } from '../dataAnalysis.zod';
+import { SCORE_BAND_COUNT } from '../dataAnalysis.zod';
+
+/** Float-drift tolerance so a composite of exactly 3 lands in the `[3, 4)` band. */
+const SCORE_BAND_TOLERANCE = 1e-9;
+
+/** Quantile fractions of the lower quartile, median and upper quartile. */
+const LOWER_QUARTILE_FRACTION = 0.25;
+const MEDIAN_FRACTION = 0.5;
+const UPPER_QUARTILE_FRACTION = 0.75;
+
+/**
+ * Read a quantile from ascending values by linear interpolation between the
+ * closest ranks.
+ *
+ * @param {readonly number[]} sortedValues - Non-empty ascending values.
+ * @param {number} fraction - The quantile, from 0 to 1.
+ * @returns {number} The interpolated quantile.
+ */
+function readQuantile(sortedValues: readonly number[], fraction: number): number {
+  const position = (sortedValues.length - 1) * fraction;
+  const lowerIndex = Math.floor(position);
+  const upperIndex = Math.ceil(position);
+  const lower = sortedValues[lowerIndex]!;
+  const upper = sortedValues[upperIndex]!;
+  return lower + (upper - lower) * (position - lowerIndex);
+}
+
+/**
+ * Count computed values into whole-mark score bands.
+ *
+ * @param {readonly number[]} values - Computed scores on the 0–5 scale.
+ * @returns {number[]} One count per band, `[0, 1)` … `[4, 5]`.
+ */
+function countScoreBands(values: readonly number[]): number[] {
+  const bandCounts = Array.from<number>({ length: SCORE_BAND_COUNT }).fill(0);
+  for (const value of values) {
+    const band = Math.min(
+      Math.max(Math.floor(value + SCORE_BAND_TOLERANCE), 0),
+      SCORE_BAND_COUNT - 1
+    );
+    bandCounts[band]! += 1;
+  }
+  return bandCounts;
+}
+
+/**
+ * Summarise the spread of one metric across a set of students.
+ *
+ * @param {readonly MetricResult[]} metrics - One metric per student (a rollup
+ *   or a single task cell).
+ * @returns {ScoreDistribution} Band counts, state counts and quartiles.
+ */
+export function buildScoreDistribution(metrics: readonly MetricResult[]): ScoreDistribution {
+  const sortedValues = metrics
+    .flatMap((metric) => (metric.state === 'computed' ? [metric.value] : []))
+    .toSorted((a, b) => a - b);
+  const hasValues = sortedValues.length > 0;
+
+  return {
+    bandCounts: countScoreBands(sortedValues),
+    notAttemptedCount: metrics.filter((metric) => metric.state === 'notAttempted').length,
+    errorCount: metrics.filter((metric) => metric.state === 'error').length,
+    min: hasValues ? readQuantile(sortedValues, 0) : null,
+    lowerQuartile: hasValues ? readQuantile(sortedValues, LOWER_QUARTILE_FRACTION) : null,
+    median: hasValues ? readQuantile(sortedValues, MEDIAN_FRACTION) : null,
+    upperQuartile: hasValues ? readQuantile(sortedValues, UPPER_QUARTILE_FRACTION) : null,
+    max: hasValues ? readQuantile(sortedValues, 1) : null,
+  };
+}
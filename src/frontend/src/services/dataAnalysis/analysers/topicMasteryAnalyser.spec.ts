@@ -0,0 +1,192 @@
+import { describe, it, expect } from 'vitest';
+import { TopicMasteryAnalyser } from './topicMasteryAnalyser';
+import type { AveragingAnalyserInput } from '../dataAnalysis.zod';
+import {
+  createAssignmentPartial,
+  createClassFull,
+  createDefinitionPartial,
+  createSubmission,
+  createSubmissionItem,
+  createTaskPartial,
+} from '../../../test/dataAnalysis/fixtures';
+
+/**
+ * Build a definition partial with a display topic and alternate topic names.
+ *
+ * @param {string} definitionKey - The definition key.
+ * @param {string} primaryTopicKey - The primary topic key.
+ * @param {string} primaryTopic - The primary topic display name.
+ * @param {string[]} [alternateTopics=[]] - Alternate topic names.
+ * @returns {ReturnType<typeof createDefinitionPartial>} The partial.
+ */
+function createTopicDefinition(
+  definitionKey: string,
+  primaryTopicKey: string,
+  primaryTopic: string,
+  alternateTopics: string[] = []
+) {
+  return {
+    ...createDefinitionPartial({ definitionKey, primaryTopicKey }),
+    primaryTopic,
+    alternateTopics,
+  };
+}
+
+/**
+ * Build an assignment where each listed student scores the same on every
+ * criterion of task `t_001`.
+ *
+ * @param {string} assignmentId - The assignment identifier.
+ * @param {string} definitionKey - The definition key.
+ * @param {Record<string, { completeness: number; accuracy: number; spag: number | 'N' }>} scores -
+ *   Student identifier → criterion scores.
+ * @returns {ReturnType<typeof createAssignmentPartial>} The assignment.
+ */
+function createScoredAssignment(
+  assignmentId: string,
+  definitionKey: string,
+  scores: Record<string, { completeness: number; accuracy: number; spag: number | 'N' }>
+) {
+  return createAssignmentPartial({
+    assignmentId,
+    definitionKey,
+    tasks: [createTaskPartial('t_001')],
+    submissions: Object.entries(scores).map(([studentId, { completeness, accuracy, spag }]) =>
+      createSubmission(studentId, studentId, assignmentId, {
+        t_001: createSubmissionItem('t_001', {
+          completeness: { score: completeness },
+          accuracy: { score: accuracy },
+          spag: { score: spag },
+        }),
+      })
+    ),
+  });
+}
+
+/**
+ * Build the shared fixture: poetry also counts towards creative writing via an
+ * alternate topic name; `'Verse'` matches no known topic.
+ *
+ * @param {AveragingAnalyserInput['filter']} [filter] - Optional filter override.
+ * @returns {AveragingAnalyserInput} The analyser input.
+ */
+function buildTopicInput(filter?: AveragingAnalyserInput['filter']): AveragingAnalyserInput {
+  return {
+    filter: filter ?? { classIds: ['c_001'] },
+    classes: [
+      createClassFull({
+        classId: 'c_001',
+        className: 'Year 10 English',
+        studentIds: ['s_001', 's_002'],
+        assignments: [
+          createScoredAssignment('a_poetry', 'dk_poetry', {
+            s_001: { completeness: 4, accuracy: 4, spag: 4 },
+            s_002: { completeness: 2, accuracy: 2, spag: 'N' },
+          }),
+          createScoredAssignment('a_prose', 'dk_prose', {
+            s_001: { completeness: 2, accuracy: 2, spag: 2 },
+          }),
+          createScoredAssignment('a_creative', 'dk_creative', {
+            s_001: { completeness: 5, accuracy: 5, spag: 5 },
+          }),
+        ],
+      }),
+    ],
+    assignmentDefinitionPartials: [
+      createTopicDefinition('dk_poetry', 'poetry', 'Poetry', [' creative WRITING ', 'Verse']),
+      createTopicDefinition('dk_prose', 'prose', 'Prose'),
+      createTopicDefinition('dk_creative', 'creative', 'Creative writing'),
+    ],
+  } as AveragingAnalyserInput;
+}
+
+describe('TopicMasteryAnalyser', () => {
+  describe('analyse', () => {
+    it('groups assignments by primary topic and matching alternate topics', () => {
+      const [result] = new TopicMasteryAnalyser().analyse(buildTopicInput());
+
+      expect(result.classId).toBe('c_001');
+      expect(result.className).toBe('Year 10 English');
+      expect(result.topics).toEqual([
+        { topicKey: 'creative', topicLabel: 'Creative writing', assignmentCount: 2 },
+        { topicKey: 'poetry', topicLabel: 'Poetry', assignmentCount: 1 },
+        { topicKey: 'prose', topicLabel: 'Prose', assignmentCount: 1 },
+      ]);
+    });
+
+    it('rolls each student up per topic with the averaging metric states', () => {
+      const [result] = new TopicMasteryAnalyser().analyse(buildTopicInput());
+
+      expect(
+        result.perStudent.map(({ topicKey, studentId }) => `${topicKey}:${studentId}`)
+      ).toEqual([
+        'creative:s_001',
+        'creative:s_002',
+        'poetry:s_001',
+        'poetry:s_002',
+        'prose:s_001',
+      ]);
+
+      const bobPoetry = result.perStudent.find(
+        (row) => row.topicKey === 'poetry' && row.studentId === 's_002'
+      );
+      expect(bobPoetry).toMatchObject({
+        completeness: { state: 'computed', value: 2 },
+        spag: { state: 'notAttempted', value: 'N' },
+        overall: { state: 'computed', value: 2 },
+      });
+
+      const aliceCreative = result.perStudent.find(
+        (row) => row.topicKey === 'creative' && row.studentId === 's_001'
+      );
+      expect(aliceCreative?.overall).toMatchObject({ state: 'computed', value: 4.5 });
+    });
+
+    it('rolls the class up per topic', () => {
+      const [result] = new TopicMasteryAnalyser().analyse(buildTopicInput());
+
+      expect(result.perClass.map(({ topicKey }) => topicKey)).toEqual([
+        'creative',
+        'poetry',
+        'prose',
+      ]);
+      expect(result.perClass[1]).toMatchObject({
+        topicKey: 'poetry',
+        accuracy: { state: 'computed', value: 3 },
+        spag: { state: 'computed', value: 4 },
+      });
+    });
+
+    it('reports only the filtered topics while still counting alternate-topic assignments', () => {
+      const [result] = new TopicMasteryAnalyser().analyse(
+        buildTopicInput({ classIds: ['c_001'], topicKeys: ['creative'] })
+      );
+
+      expect(result.topics).toEqual([
+        { topicKey: 'creative', topicLabel: 'Creative writing', assignmentCount: 2 },
+      ]);
+      expect(new Set(result.perStudent.map(({ topicKey }) => topicKey))).toEqual(
+        new Set(['creative'])
+      );
+    });
+
+    it('returns empty topic tables for a class with no assignments', () => {
+      const input: AveragingAnalyserInput = {
+        filter: { classIds: ['c_001'] },
+        classes: [createClassFull({ classId: 'c_001', assignments: [] })],
+        assignmentDefinitionPartials: [],
+      } as AveragingAnalyserInput;
+
+      const [result] = new TopicMasteryAnalyser().analyse(input);
+
+      expect(result.topics).toEqual([]);
+      expect(result.perStudent).toEqual([]);
+      expect(result.perClass).toEqual([]);
+      expect(result.appliedCriterionWeightings).toEqual({
+        completeness: 0.4,
+        accuracy: 0.4,
+        spag: 0.2,
+      });
+    });
+  });
+});
@@ -0,0 +1,250 @@
+import type {
+  AveragingAnalyserInput,
+  PerClassTopicRow,
+  PerStudentTopicRow,
+  TopicMasteryResult,
+  TopicMasteryTopic,
+} from '../dataAnalysis.zod';
+import type { AssignmentDefinitionPartial } from '../../assignmentDefinition/assignmentDefinitionPartials.zod';
+import { accumulateDataPoints } from './averagingAnalyser.accumulation';
+import { filterAssignments } from './averagingAnalyser.filters';
+import { buildPerClassResult, buildPerStudentRows } from './averagingAnalyser.rows';
+import { DEFAULT_CRITERION_WEIGHTINGS, type CriterionWeightings } from './averagingAnalyser';
+
+type ClassAssignments = AveragingAnalyserInput['classes'][number]['assignments'];
+
+/** Topic lookups built once per `analyse()` call from the definition partials. */
+interface TopicIndex {
+  /** Definition key → partial definition. */
+  definitionByKey: Map<string, AssignmentDefinitionPartial>;
+  /** Topic key → display label (the definition's `primaryTopic`). */
+  labelByKey: Map<string, string>;
+  /** Normalised topic name → topic key, for resolving `alternateTopics`. */
+  keyByName: Map<string, string>;
+}
+
+/**
+ * Normalise a topic name for case-insensitive, whitespace-tolerant matching.
+ *
+ * @param {string} name - The topic name.
+ * @returns {string} The normalised name.
+ */
+function normaliseTopicName(name: string): string {
+  return name.trim().toLowerCase();
+}
+
+/**
+ * Build the topic lookups from the definition partials.
+ *
+ * @remarks
+ * The first definition seen for a topic key supplies its label.
+ *
+ * @param {AssignmentDefinitionPartial[]} partials - The definition partials.
+ * @returns {TopicIndex} The topic lookups.
+ */
+function buildTopicIndex(partials: AssignmentDefinitionPartial[]): TopicIndex {
+  const definitionByKey = new Map<string, AssignmentDefinitionPartial>();
+  const labelByKey = new Map<string, string>();
+  const keyByName = new Map<string, string>();
+
+  for (const partial of partials) {
+    definitionByKey.set(partial.definitionKey, partial);
+    if (!labelByKey.has(partial.primaryTopicKey)) {
+      labelByKey.set(partial.primaryTopicKey, partial.primaryTopic);
+    }
+    const name = normaliseTopicName(partial.primaryTopic);
+    if (!keyByName.has(name)) {
+      keyByName.set(name, partial.primaryTopicKey);
+    }
+  }
+
+  return { definitionByKey, labelByKey, keyByName };
+}
+
+/**
+ * Resolve every topic key an assignment definition counts towards.
+ *
+ * @param {AssignmentDefinitionPartial} definition - The definition.
+ * @param {TopicIndex} topicIndex - The topic lookups.
+ * @returns {Set<string>} The primary topic key plus the key of each alternate
+ *   topic whose name matches another definition's primary topic.
+ */
+function resolveTopicKeys(
+  definition: AssignmentDefinitionPartial,
+  topicIndex: TopicIndex
+): Set<string> {
+  const topicKeys = new Set<string>([definition.primaryTopicKey]);
+  for (const alternate of definition.alternateTopics) {
+    const topicKey = topicIndex.keyByName.get(normaliseTopicName(alternate));
+    if (topicKey !== undefined) {
+      topicKeys.add(topicKey);
+    }
+  }
+  return topicKeys;
+}
+
+/**
+ * Group a class's in-scope assignments by the topics they count towards.
+ *
+ * @param {ClassAssignments} assignments - The filtered assignments.
+ * @param {TopicIndex} topicIndex - The topic lookups.
+ * @param {Set<string> | undefined} topicKeySet - Optional set of topic keys
+ *   to report on.
+ * @returns {Map<string, ClassAssignments>} Topic key → assignments.
+ */
+function groupAssignmentsByTopic(
+  assignments: ClassAssignments,
+  topicIndex: TopicIndex,
+  topicKeySet: Set<string> | undefined
+): Map<string, ClassAssignments> {
+  const assignmentsByTopic = new Map<string, ClassAssignments>();
+
+  for (const assignment of assignments) {
+    // filterAssignments has already dropped assignments without a partial.
+    const definition = topicIndex.definitionByKey.get(assignment.assignmentDefinitionKey!)!;
+    for (const topicKey of resolveTopicKeys(definition, topicIndex)) {
+      if (topicKeySet != null && !topicKeySet.has(topicKey)) continue;
+      let list = assignmentsByTopic.get(topicKey);
+      if (!list) {
+        list = [];
+        assignmentsByTopic.set(topicKey, list);
+      }
+      list.push(assignment);
+    }
+  }
+
+  return assignmentsByTopic;
+}
+
+/**
+ * Pure synchronous class that rolls scores up by assignment topic, producing
+ * per-(student, topic) and per-(class, topic) mastery rows.
+ *
+ * @remarks
+ * An assignment counts towards its definition's `primaryTopicKey` and towards
+ * every topic named in its `alternateTopics` that matches (case-insensitively)
+ * the `primaryTopic` of a definition in `assignmentDefinitionPartials`.
+ * Alternate names that match no known topic are naming variants only and are
+ * ignored.
+ *
+ * Each topic is scored exactly as the averaging analyser scores a class
+ * restricted to that topic's assignments, so the rows carry the same
+ * `MetricResult` states, weightings and SPaG renormalisation.
+ *
+ * `filter.topicKeys` restricts which topics are reported rather than which
+ * assignments are read, so an assignment whose alternate topic is selected
+ * still counts towards it. The other filters apply as in the averaging
+ * analyser.
+ *
+ * All output arrays are deterministically sorted for testability:
+ * - `topics` and `perClass`: `topicLabel` asc, then `topicKey` asc
+ * - `perStudent`: topic order, then `studentName` asc, then `studentId` asc
+ * - `TopicMasteryResult[]`: `classId` asc
+ */
+export class TopicMasteryAnalyser {
+  private readonly criterionWeightings: CriterionWeightings;
+
+  /**
+   * Constructs a TopicMasteryAnalyser with the given criterion weightings.
+   *
+   * @param {CriterionWeightings} [criterionWeightings] - Optional weighting overrides.
+   *   Defaults to the averaging analyser's defaults.
+   */
+  constructor(criterionWeightings?: CriterionWeightings) {
+    this.criterionWeightings = criterionWeightings ?? DEFAULT_CRITERION_WEIGHTINGS;
+  }
+
+  /**
+   * Run the topic-mastery analysis over the provided input.
+   *
+   * @param {AveragingAnalyserInput} input - Fully assembled input data.
+   * @returns {TopicMasteryResult[]} An array of per-class results sorted by classId.
+   */
+  analyse(input: AveragingAnalyserInput): TopicMasteryResult[] {
+    const topicKeySet: Set<string> | undefined = input.filter.topicKeys?.length
+      ? new Set(input.filter.topicKeys)
+      : undefined;
+    const definitionKeySet: Set<string> | undefined = input.filter.assignmentDefinitionKeys?.length
+      ? new Set(input.filter.assignmentDefinitionKeys)
+      : undefined;
+    const topicIndex = buildTopicIndex(input.assignmentDefinitionPartials);
+
+    const sortedClasses = [...input.classes].toSorted((a, b) => a.classId.localeCompare(b.classId));
+
+    return sortedClasses.map((cls) =>
+      this.analyseClass(cls, input, topicIndex, topicKeySet, definitionKeySet)
+    );
+  }
+
+  /**
+   * Analyse a single class and produce its TopicMasteryResult.
+   *
+   * @param {AveragingAnalyserInput['classes'][number]} cls - The class data.
+   * @param {AveragingAnalyserInput} input - The full analyser input.
+   * @param {TopicIndex} topicIndex - The topic lookups.
+   * @param {Set<string> | undefined} topicKeySet - Optional set of topic keys
+   *   to report on.
+   * @param {Set<string> | undefined} definitionKeySet - Optional set of
+   *   definition keys to include.
+   * @returns {TopicMasteryResult} The per-class topic-mastery result.
+   */
+  private analyseClass(
+    cls: AveragingAnalyserInput['classes'][number],
+    input: AveragingAnalyserInput,
+    topicIndex: TopicIndex,
+    topicKeySet: Set<string> | undefined,
+    definitionKeySet: Set<string> | undefined
+  ): TopicMasteryResult {
+    const filteredAssignments = filterAssignments(cls, input, undefined, definitionKeySet);
+    const assignmentsByTopic = groupAssignmentsByTopic(
+      filteredAssignments,
+      topicIndex,
+      topicKeySet
+    );
+
+    const topics: TopicMasteryTopic[] = [...assignmentsByTopic]
+      .map(([topicKey, assignments]) => ({
+        topicKey,
+        topicLabel: topicIndex.labelByKey.get(topicKey) ?? topicKey,
+        assignmentCount: assignments.length,
+      }))
+      .toSorted(
+        (a, b) => a.topicLabel.localeCompare(b.topicLabel) || a.topicKey.localeCompare(b.topicKey)
+      );
+
+    const perStudent: PerStudentTopicRow[] = [];
+    const perClass: PerClassTopicRow[] = [];
+    for (const { topicKey } of topics) {
+      const accumulators = accumulateDataPoints(
+        assignmentsByTopic.get(topicKey)!,
+        input,
+        this.criterionWeightings
+      );
+      const studentRows = buildPerStudentRows(
+        accumulators.studentAccums,
+        accumulators.perStudentTaskAccums,
+        this.criterionWeightings
+      );
+      for (const row of studentRows) {
+        perStudent.push({ ...row, topicKey });
+      }
+      perClass.push({
+        topicKey,
+        ...buildPerClassResult(
+          accumulators.perStudentTaskAccums,
+          accumulators.classAccum,
+          this.criterionWeightings
+        ),
+      });
+    }
+
+    return {
+      classId: cls.classId,
+      className: cls.className,
+      topics,
+      perStudent,
+      perClass,
+      appliedCriterionWeightings: { ...this.criterionWeightings },
+    };
+  }
+}
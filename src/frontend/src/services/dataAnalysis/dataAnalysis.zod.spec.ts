@@ -544,13 +544,13 @@ describe('StudentSubmissionItemPartialSchema.assessments', () => {
     expect(result.assessments!.spag.score).toBe('N');
   });
 
-  it('rejects score above 5', () => {
-    expect(() =>
-      StudentSubmissionItemPartialSchema.parse({
-        ...validItemBase,
-        assessments: { completeness: { score: 6 } },
-      })
-    ).toThrow();
+  it('accepts scores above 5 for criteria with a larger max score', () => {
+    const codeQualityScore = 8;
+    const result = StudentSubmissionItemPartialSchema.parse({
+      ...validItemBase,
+      assessments: { codeQuality: { score: codeQualityScore } },
+    });
+    expect(result.assessments!.codeQuality.score).toBe(codeQualityScore);
   });
 
   it('rejects negative score', () => {
@@ -660,6 +660,11 @@ describe('PerStudentTaskMetricSchema', () => {
       accuracy: computedMetricResult,
       spag: notAttemptedMetricResult,
       overall: computedMetricResult,
+      criteria: {
+        completeness: computedMetricResult,
+        accuracy: computedMetricResult,
+        spag: notAttemptedMetricResult,
+      },
     });
 
     expect(result).toMatchObject({
@@ -669,6 +674,41 @@ describe('PerStudentTaskMetricSchema', () => {
     });
   });
 
+  it('accepts criteria keyed by criteria defined on the assignment definition', async () => {
+    const { PerStudentTaskMetricSchema } = await loadDataAnalysisZod();
+
+    const result = PerStudentTaskMetricSchema.parse({
+      classId: 'c-1',
+      studentId: 's-1',
+      taskKey: 'dk_python::t_001',
+      completeness: errorMetricResult,
+      accuracy: errorMetricResult,
+      spag: errorMetricResult,
+      overall: computedMetricResult,
+      criteria: { codeQuality: computedMetricResult, explanation: notAttemptedMetricResult },
+    });
+
+    expect(result).toMatchObject({
+      criteria: { codeQuality: computedMetricResult, explanation: notAttemptedMetricResult },
+    });
+  });
+
+  it('rejects a metric without criteria', async () => {
+    const { PerStudentTaskMetricSchema } = await loadDataAnalysisZod();
+
+    expect(() =>
+      PerStudentTaskMetricSchema.parse({
+        classId: 'c-1',
+        studentId: 's-1',
+        taskKey: 'dk_algebra::t_001',
+        completeness: computedMetricResult,
+        accuracy: computedMetricResult,
+        spag: computedMetricResult,
+        overall: computedMetricResult,
+      })
+    ).toThrow();
+  });
+
   it('rejects extra keys such as taskId (strict object)', async () => {
     const { PerStudentTaskMetricSchema } = await loadDataAnalysisZod();
 
@@ -760,6 +800,7 @@ describe('AveragingResultSchema — perStudentTaskMetrics optional field', () =>
       accuracy: computedMetricResult,
       spag: computedMetricResult,
       overall: computedMetricResult,
+      criteria: {},
     });
 
     const result = AveragingResultSchema.parse({
@@ -8,6 +8,12 @@ import { ClassFullSchema } from '../googleClassrooms/classDetail/classDetailServ
 /** Float-drift tolerance for criterion weightings summing to 1. */
 const CRITERION_WEIGHTINGS_TOLERANCE = 1e-9;
 
+/** Number of whole-mark score bands on the 0–5 scale. */
+export const SCORE_BAND_COUNT = 5;
+
+/** Lowest discrimination index: the bottom third outscores the top third by the full scale. */
+export const LOWEST_DISCRIMINATION_INDEX = -1;
+
 /**
  * Filter specifying which classes and optional criteria to include in the analysis.
  *
@@ -184,6 +190,10 @@ export type AppliedCriterionWeightings = z.infer<typeof AppliedCriterionWeightin
  * @remarks
  * `taskKey` omits `assignmentId` in v1 (deferred multi-assignment re-keying).
  * See SPEC.md §Deferrals.
+ *
+ * `criteria` holds one metric per criterion defined on the task's assignment
+ * definition, keyed by criterion key, with scores normalised to the 0–5 scale.
+ * `overall` applies the definition's own criterion weightings when it has them.
  */
 export const PerStudentTaskMetricSchema = z.strictObject({
   classId: z.string(),
@@ -193,6 +203,7 @@ export const PerStudentTaskMetricSchema = z.strictObject({
   accuracy: MetricResultSchema,
   spag: MetricResultSchema,
   overall: MetricResultSchema,
+  criteria: z.record(z.string(), MetricResultSchema),
 });
 
 export type PerStudentTaskMetric = z.infer<typeof PerStudentTaskMetricSchema>;
@@ -218,3 +229,180 @@ export type AveragingResult = z.infer<typeof AveragingResultSchema>;
 export const DataAnalysisResponseSchema = z.array(AveragingResultSchema);
 
 export type DataAnalysisResponse = z.infer<typeof DataAnalysisResponseSchema>;
+
+/**
+ * A topic that at least one in-scope assignment in the class rolls up to.
+ *
+ * @remarks
+ * `topicLabel` is the definition's `primaryTopic` display name for the topic
+ * key.
+ */
+export const TopicMasteryTopicSchema = z.strictObject({
+  topicKey: z.string(),
+  topicLabel: z.string(),
+  assignmentCount: z.number().int().min(1),
+});
+
+export type TopicMasteryTopic = z.infer<typeof TopicMasteryTopicSchema>;
+
+/**
+ * Per-(student, topic) mastery row — the student's rollup across every
+ * in-scope assignment that counts towards the topic.
+ */
+export const PerStudentTopicRowSchema = PerStudentRowSchema.extend({
+  topicKey: z.string(),
+});
+
+export type PerStudentTopicRow = z.infer<typeof PerStudentTopicRowSchema>;
+
+/**
+ * Per-(class, topic) mastery row — the class rollup across every in-scope
+ * assignment that counts towards the topic.
+ */
+export const PerClassTopicRowSchema = PerClassResultSchema.extend({
+  topicKey: z.string(),
+});
+
+export type PerClassTopicRow = z.infer<typeof PerClassTopicRowSchema>;
+
+/**
+ * Complete topic-mastery result for a single class.
+ */
+export const TopicMasteryResultSchema = z.strictObject({
+  classId: z.string(),
+  className: z.string().nullable(),
+  topics: z.array(TopicMasteryTopicSchema),
+  perStudent: z.array(PerStudentTopicRowSchema),
+  perClass: z.array(PerClassTopicRowSchema),
+  appliedCriterionWeightings: AppliedCriterionWeightingsSchema,
+});
+
+export type TopicMasteryResult = z.infer<typeof TopicMasteryResultSchema>;
+
+/**
+ * Top-level topic-mastery response — an array of per-class results.
+ */
+export const TopicMasteryResponseSchema = z.array(TopicMasteryResultSchema);
+
+export type TopicMasteryResponse = z.infer<typeof TopicMasteryResponseSchema>;
+
+/**
+ * Spread of one metric across the students of a cohort.
+ *
+ * @remarks
+ * Only `computed` per-student values feed the quartiles and `bandCounts`;
+ * `notAttempted` and `error` students are counted separately. `bandCounts`
+ * holds five whole-mark bands on the 0–5 scale (`[0, 1)` … `[4, 5]`). The
+ * quartiles are `null` when no student has a computed value.
+ */
+export const ScoreDistributionSchema = z.strictObject({
+  bandCounts: z.array(z.number().int().min(0)).length(SCORE_BAND_COUNT),
+  notAttemptedCount: z.number().int().min(0),
+  errorCount: z.number().int().min(0),
+  min: z.number().nullable(),
+  lowerQuartile: z.number().nullable(),
+  median: z.number().nullable(),
+  upperQuartile: z.number().nullable(),
+  max: z.number().nullable(),
+});
+
+export type ScoreDistribution = z.infer<typeof ScoreDistributionSchema>;
+
+/**
+ * One cohort's results for an assignment definition — every class in the
+ * cohort that set the definition, pooled.
+ *
+ * @remarks
+ * `cohortKey` is `null` for classes without a cohort. `perCohort` is the
+ * cohort-wide rollup and `perTask` the per-task rollup, both scored exactly as
+ * the averaging analyser scores a single class.
+ */
+export const CohortComparisonCohortSchema = z.strictObject({
+  cohortKey: z.string().nullable(),
+  classIds: z.array(z.string()).min(1),
+  studentCount: z.number().int().min(0),
+  perCohort: PerClassResultSchema,
+  perTask: z.array(PerTaskRowSchema),
+  distributions: z.strictObject({
+    completeness: ScoreDistributionSchema,
+    accuracy: ScoreDistributionSchema,
+    spag: ScoreDistributionSchema,
+    overall: ScoreDistributionSchema,
+  }),
+});
+
+export type CohortComparisonCohort = z.infer<typeof CohortComparisonCohortSchema>;
+
+/**
+ * Cohort-by-cohort comparison for a single assignment definition.
+ */
+export const CohortComparisonResultSchema = z.strictObject({
+  definitionKey: z.string(),
+  cohorts: z.array(CohortComparisonCohortSchema),
+  appliedCriterionWeightings: AppliedCriterionWeightingsSchema,
+});
+
+export type CohortComparisonResult = z.infer<typeof CohortComparisonResultSchema>;
+
+/**
+ * Top-level cohort-comparison response — an array of per-definition results.
+ */
+export const CohortComparisonResponseSchema = z.array(CohortComparisonResultSchema);
+
+export type CohortComparisonResponse = z.infer<typeof CohortComparisonResponseSchema>;
+
+/**
+ * A quality flag raised on an item-analysis row.
+ *
+ * @remarks
+ * - `tooEasy`: the facility index is at or above the easy threshold.
+ * - `tooHard`: the facility index is at or below the hard threshold.
+ * - `nonDiscriminating`: the discrimination index is below the minimum, so
+ *   stronger and weaker students scored alike on the task.
+ */
+export const ItemAnalysisFlagSchema = z.enum(['tooEasy', 'tooHard', 'nonDiscriminating']);
+
+export type ItemAnalysisFlag = z.infer<typeof ItemAnalysisFlagSchema>;
+
+/**
+ * Item-analysis statistics for one task of an assignment definition.
+ *
+ * @remarks
+ * `facilityIndex` is the mean computed task score as a fraction of the 5-mark
+ * maximum. `discriminationIndex` is the mean task score of the top third of
+ * students (ranked by their overall average) minus that of the bottom third,
+ * as a fraction of the maximum. Both are `null` when there is not enough data.
+ * `notAttemptedRate` is the share of students with work on the task whose
+ * task score is `N`.
+ */
+export const ItemAnalysisRowSchema = z.strictObject({
+  definitionKey: z.string(),
+  taskId: z.string(),
+  studentCount: z.number().int().min(0),
+  facilityIndex: z.number().min(0).max(1).nullable(),
+  discriminationIndex: z.number().min(LOWEST_DISCRIMINATION_INDEX).max(1).nullable(),
+  notAttemptedRate: z.number().min(0).max(1).nullable(),
+  distribution: ScoreDistributionSchema,
+  flags: z.array(ItemAnalysisFlagSchema),
+});
+
+export type ItemAnalysisRow = z.infer<typeof ItemAnalysisRowSchema>;
+
+/**
+ * Complete item-analysis result for a single class.
+ */
+export const ItemAnalysisResultSchema = z.strictObject({
+  classId: z.string(),
+  className: z.string().nullable(),
+  items: z.array(ItemAnalysisRowSchema),
+  appliedCriterionWeightings: AppliedCriterionWeightingsSchema,
+});
+
+export type ItemAnalysisResult = z.infer<typeof ItemAnalysisResultSchema>;
+
+/**
+ * Top-level item-analysis response — an array of per-class results.
+ */
+export const ItemAnalysisResponseSchema = z.array(ItemAnalysisResultSchema);
+
+export type ItemAnalysisResponse = z.infer<typeof ItemAnalysisResponseSchema>;
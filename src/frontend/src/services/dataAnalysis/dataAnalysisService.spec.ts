@@ -1,7 +1,10 @@
 import { describe, it, expect } from 'vitest';
 import { DataAnalysisService } from './dataAnalysisService';
 import {
+  CohortComparisonResponseSchema,
   DataAnalysisResponseSchema,
+  ItemAnalysisResponseSchema,
+  TopicMasteryResponseSchema,
   type AveragingAnalyserInput,
   type DataAnalysisResponse,
 } from './dataAnalysis.zod';
@@ -16,6 +19,9 @@ import {
   createErrorMetricResult,
 } from '../../test/dataAnalysis/fixtures';
 
+/** Facility index of a task scored 4 out of 5. */
+const FOUR_OUT_OF_FIVE = 0.8;
+
 // ---------------------------------------------------------------------------
 // Tests
 // ---------------------------------------------------------------------------
@@ -417,5 +423,120 @@ describe('DataAnalysisService', () => {
       // This will FAIL in the Red phase (current schema doesn't have discriminated union)
       expect(() => DataAnalysisResponseSchema.parse(responseWithAllStates)).not.toThrow();
     });
+
+    // -----------------------------------------------------------------------
+    // 14) 'topicMastery' key dispatches to the topic-mastery analyser
+    // -----------------------------------------------------------------------
+    it('dispatches to the topic-mastery analyser for the topicMastery key', () => {
+      const input = buildInput([
+        {
+          classId: 'c_001',
+          className: 'Test Class',
+          studentIds: ['s_001'],
+          assignments: [
+            createAssignmentPartial({
+              assignmentId: 'a_001',
+              definitionKey: 'dk_algebra',
+              tasks: [createTaskPartial('t_001')],
+              submissions: [
+                createSubmission('s_001', 'Alice', 'a_001', {
+                  t_001: createSubmissionItem('t_001', { accuracy: { score: 4 } }),
+                }),
+              ],
+            }),
+          ],
+        },
+      ]);
+
+      const service = new DataAnalysisService();
+      const results = service.analyse(input, 'topicMastery');
+
+      expect(() => TopicMasteryResponseSchema.parse(results)).not.toThrow();
+      expect(results[0].topics).toEqual([
+        { topicKey: 'algebra', topicLabel: 'Algebra', assignmentCount: 1 },
+      ]);
+      expect(results[0].perStudent[0]).toMatchObject({
+        studentId: 's_001',
+        topicKey: 'algebra',
+        accuracy: { state: 'computed', value: 4 },
+      });
+    });
+
+    // -----------------------------------------------------------------------
+    // 15) 'cohortComparison' key dispatches to the cohort-comparison analyser
+    // -----------------------------------------------------------------------
+    it('dispatches to the cohort-comparison analyser for the cohortComparison key', () => {
+      const input = buildInput([
+        {
+          classId: 'c_001',
+          className: 'Test Class',
+          studentIds: ['s_001'],
+          assignments: [
+            createAssignmentPartial({
+              assignmentId: 'a_001',
+              definitionKey: 'dk_algebra',
+              tasks: [createTaskPartial('t_001')],
+              submissions: [
+                createSubmission('s_001', 'Alice', 'a_001', {
+                  t_001: createSubmissionItem('t_001', { accuracy: { score: 4 } }),
+                }),
+              ],
+            }),
+          ],
+        },
+      ]);
+
+      const service = new DataAnalysisService();
+      const results = service.analyse(input, 'cohortComparison');
+
+      expect(() => CohortComparisonResponseSchema.parse(results)).not.toThrow();
+      expect(results[0]).toMatchObject({
+        definitionKey: 'dk_algebra',
+        cohorts: [{ cohortKey: null, classIds: ['c_001'], studentCount: 1 }],
+      });
+      expect(results[0].cohorts[0]!.perCohort.accuracy).toMatchObject({
+        state: 'computed',
+        value: 4,
+      });
+    });
+
+    // -----------------------------------------------------------------------
+    // 16) 'itemAnalysis' key dispatches to the item-analysis analyser
+    // -----------------------------------------------------------------------
+    it('dispatches to the item-analysis analyser for the itemAnalysis key', () => {
+      const input = buildInput([
+        {
+          classId: 'c_001',
+          className: 'Test Class',
+          studentIds: ['s_001'],
+          assignments: [
+            createAssignmentPartial({
+              assignmentId: 'a_001',
+              definitionKey: 'dk_algebra',
+              tasks: [createTaskPartial('t_001')],
+              submissions: [
+                createSubmission('s_001', 'Alice', 'a_001', {
+                  t_001: createSubmissionItem('t_001', {
+                    completeness: { score: 4 },
+                    accuracy: { score: 4 },
+                    spag: { score: 4 },
+                  }),
+                }),
+              ],
+            }),
+          ],
+        },
+      ]);
+
+      const service = new DataAnalysisService();
+      const results = service.analyse(input, 'itemAnalysis');
+
+      expect(() => ItemAnalysisResponseSchema.parse(results)).not.toThrow();
+      expect(results[0]).toMatchObject({
+        classId: 'c_001',
+        items: [{ definitionKey: 'dk_algebra', taskId: 't_001', studentCount: 1 }],
+      });
+      expect(results[0].items[0]!.facilityIndex).toBeCloseTo(FOUR_OUT_OF_FIVE);
+    });
   });
 });
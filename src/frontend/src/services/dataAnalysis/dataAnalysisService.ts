@@ -1,6 +1,35 @@
+import type { z } from 'zod';
 import { AveragingAnalyser } from './analysers/averagingAnalyser';
-import { AveragingAnalyserInputSchema, DataAnalysisResponseSchema } from './dataAnalysis.zod';
-import type { AveragingAnalyserInput, DataAnalysisResponse } from './dataAnalysis.zod';
+import { CohortComparisonAnalyser } from './analysers/cohortComparisonAnalyser';
+import { ItemAnalysisAnalyser } from './analysers/itemAnalysisAnalyser';
+import { TopicMasteryAnalyser } from './analysers/topicMasteryAnalyser';
+import {
+  AveragingAnalyserInputSchema,
+  CohortComparisonResponseSchema,
+  DataAnalysisResponseSchema,
+  ItemAnalysisResponseSchema,
+  TopicMasteryResponseSchema,
+} from './dataAnalysis.zod';
+import type {
+  AveragingAnalyserInput,
+  CohortComparisonResponse,
+  DataAnalysisResponse,
+  ItemAnalysisResponse,
+  TopicMasteryResponse,
+} from './dataAnalysis.zod';
+
+/** Union of every registered analyser's response shape. */
+type AnalyserResponse =
+  | DataAnalysisResponse
+  | TopicMasteryResponse
+  | CohortComparisonResponse
+  | ItemAnalysisResponse;
+
+/** A registered analyser paired with the schema its output must satisfy. */
+interface RegisteredAnalyser {
+  analyser: { analyse(input: AveragingAnalyserInput): unknown };
+  outputSchema: z.ZodType;
+}
 
 /**
  * Thin stateless orchestrator that validates input, dispatches to registered
@@ -11,27 +40,93 @@ import type { AveragingAnalyserInput, DataAnalysisResponse } from './dataAnalysi
  * backed by an internal {@link Map} registry.
  *
  * New analysers are added by registering an instance under a string key in
- * the constructor. The v1 analyser is registered as `'averaging'`.
+ * the constructor, together with the schema its output is validated against.
+ * The v1 analyser is registered as `'averaging'`; the topic-mastery analyser
+ * is registered as `'topicMastery'`, the cohort-comparison analyser as
+ * `'cohortComparison'` and the item-analysis analyser as `'itemAnalysis'`.
  *
  * The orchestrator is pure — no I/O, no `callApi`, no React Query, no Ant
  * Design imports.
  */
 export class DataAnalysisService {
-  /** Internal registry of analyser key → analyser instance. */
-  private readonly registry: Map<string, AveragingAnalyser>;
+  /** Internal registry of analyser key → analyser instance and output schema. */
+  private readonly registry: Map<string, RegisteredAnalyser>;
 
   /**
    * Constructs a `DataAnalysisService` and initialises the analyser registry.
    *
    * @remarks
-   * The v1 analyser is registered under the key `'averaging'` with default
-   * criterion weightings. Future analysers can be added by extending the
-   * registry initialisation and adding new key entries.
+   * All analysers are registered with default criterion weightings. Future
+   * analysers can be added by extending the registry initialisation and
+   * adding new key entries.
    */
   constructor() {
-    this.registry = new Map<string, AveragingAnalyser>([['averaging', new AveragingAnalyser()]]);
+    this.registry = new Map<string, RegisteredAnalyser>([
+      [
+        'averaging',
+        { analyser: new AveragingAnalyser(), outputSchema: DataAnalysisResponseSchema },
+      ],
+      [
+        'topicMastery',
+        { analyser: new TopicMasteryAnalyser(), outputSchema: TopicMasteryResponseSchema },
+      ],
+      [
+        'cohortComparison',
+        {
+          analyser: new CohortComparisonAnalyser(),
+          outputSchema: CohortComparisonResponseSchema,
+        },
+      ],
+      [
+        'itemAnalysis',
+        { analyser: new ItemAnalysisAnalyser(), outputSchema: ItemAnalysisResponseSchema },
+      ],
+    ]);
   }
 
+  /**
+   * Runs the averaging analyser.
+   *
+   * @param {AveragingAnalyserInput} input - Fully assembled input data.
+   * @param {'averaging'} [analyserKey] - The averaging analyser key.
+   * @returns {DataAnalysisResponse} An array of per-class averaging results.
+   */
+  analyse(input: AveragingAnalyserInput, analyserKey?: 'averaging'): DataAnalysisResponse;
+  /**
+   * Runs the topic-mastery analyser.
+   *
+   * @param {AveragingAnalyserInput} input - Fully assembled input data.
+   * @param {'topicMastery'} analyserKey - The topic-mastery analyser key.
+   * @returns {TopicMasteryResponse} An array of per-class topic-mastery results.
+   */
+  analyse(input: AveragingAnalyserInput, analyserKey: 'topicMastery'): TopicMasteryResponse;
+  /**
+   * Runs the cohort-comparison analyser.
+   *
+   * @param {AveragingAnalyserInput} input - Fully assembled input data.
+   * @param {'cohortComparison'} analyserKey - The cohort-comparison analyser key.
+   * @returns {CohortComparisonResponse} An array of per-definition cohort comparisons.
+   */
+  analyse(
+    input: AveragingAnalyserInput,
+    analyserKey: 'cohortComparison'
+  ): CohortComparisonResponse;
+  /**
+   * Runs the item-analysis analyser.
+   *
+   * @param {AveragingAnalyserInput} input - Fully assembled input data.
+   * @param {'itemAnalysis'} analyserKey - The item-analysis analyser key.
+   * @returns {ItemAnalysisResponse} An array of per-class item-analysis results.
+   */
+  analyse(input: AveragingAnalyserInput, analyserKey: 'itemAnalysis'): ItemAnalysisResponse;
+  /**
+   * Runs the analyser registered under an arbitrary key.
+   *
+   * @param {AveragingAnalyserInput} input - Fully assembled input data.
+   * @param {string} analyserKey - Key identifying the registered analyser.
+   * @returns {AnalyserResponse} The analyser's results.
+   */
+  analyse(input: AveragingAnalyserInput, analyserKey: string): AnalyserResponse;
   /**
    * Validates the input via Zod, dispatches to the registered analyser
    * identified by {@link analyserKey}, and validates the output before
@@ -41,7 +136,8 @@ export class DataAnalysisService {
    *   (pre-fetched classes, partial definitions, and filter).
    * @param {string} [analyserKey='averaging'] - Key identifying which
    *   registered analyser to dispatch to.
-   * @returns {DataAnalysisResponse} An array of per-class averaging results.
+   * @returns {AnalyserResponse} An array of results in the shape of the
+   *   selected analyser (per class, or per definition for cohort comparison).
    * @throws {ZodError} When the input fails Zod validation.
    * @throws {Error} When {@link analyserKey} is not a registered analyser,
    *   or when the analyser encounters an unrecoverable invariant violation
@@ -50,15 +146,18 @@ export class DataAnalysisService {
    * @remarks
    * Pure frontend orchestrator — no I/O, no `callApi`.
    */
-  analyse(input: AveragingAnalyserInput, analyserKey: string = 'averaging'): DataAnalysisResponse {
+  analyse(
+    input: AveragingAnalyserInput,
+    analyserKey: string = 'averaging'
+  ): AnalyserResponse {
     const validated = AveragingAnalyserInputSchema.parse(input);
 
-    const analyser = this.registry.get(analyserKey);
-    if (!analyser) {
+    const registered = this.registry.get(analyserKey);
+    if (!registered) {
       throw new Error(`Unknown analyser key: ${analyserKey}`);
     }
 
-    const results = analyser.analyse(validated);
-    return DataAnalysisResponseSchema.parse(results);
+    const results = registered.analyser.analyse(validated);
+    return registered.outputSchema.parse(results) as AnalyserResponse;
   }
 }
@@ -0,0 +1,229 @@
+/**
+ * Tests for `adaptMetricsToGradebook` and `gradebookToCsv`.
+ *
+ * @remarks
+ * The gradebook flattens the averaging analysis into one row per student:
+ * per-task criterion and overall columns for every definition set in the
+ * class, followed by the student's weighted averages.
+ */
+
+import { describe, expect, it } from 'vitest';
+import type { AveragingResult, PerStudentTaskMetric } from './dataAnalysis.zod';
+import type { ClassFull } from '../googleClassrooms/classDetail/classDetailService.zod';
+import type { AssignmentDefinitionPartialsResponse } from '../assignmentDefinition/assignmentDefinitionPartials.zod';
+import { adaptMetricsToGradebook, gradebookToCsv } from './gradebookAdapter';
+import {
+  createComputedMetricResult,
+  createDefinitionPartial,
+  createErrorMetricResult,
+  createNotAttemptedMetricResult,
+  createTaskPartial,
+} from '../../test/dataAnalysis/fixtures';
+
+const CLASS_ID = 'class_001';
+const DEFINITION_KEY = 'dk_quadratics';
+
+/** Alice's criterion and completeness scores on the first task. */
+const ALICE_TASK_SCORE = 4;
+/** Alice's overall score on the first task, before rounding. */
+const ALICE_TASK_OVERALL = 3.456;
+/** `ALICE_TASK_OVERALL` rounded to two decimal places, as the gradebook shows it. */
+const ALICE_TASK_OVERALL_ROUNDED = 3.46;
+/** Zara's weighted averages. */
+const ZARA_AVERAGE = 2;
+/** Class-wide averages; not shown in the gradebook. */
+const CLASS_AVERAGE = 3;
+/** Six per-task columns (two tasks × two criteria plus overall) and four weighted averages. */
+const METRIC_COLUMN_COUNT = 10;
+/** Score written to the CSV fixture. */
+const CSV_SCORE = 4.5;
+/** Index of the CSV fixture's Overall column. */
+const CSV_OVERALL_COLUMN_INDEX = 2;
+
+const computed = (value: number) => createComputedMetricResult({ value });
+
+/**
+ * Build a class with two students (out of name order) and two assignments set
+ * from the same definition.
+ *
+ * @returns {ClassFull} The class fixture.
+ */
+function buildClassFull(): ClassFull {
+  const assignment = {
+    dueDate: null,
+    updatedAt: null,
+    createdAt: '2026-01-01T00:00:00.000Z',
+    documentType: 'SLIDES',
+    submissions: [],
+    assignmentDefinitionKey: DEFINITION_KEY,
+  };
+  return {
+    classId: CLASS_ID,
+    className: '10A Maths',
+    cohortKey: null,
+    courseLength: 1,
+    yearGroupKey: 'yg-10',
+    classOwner: null,
+    teachers: [],
+    students: [
+      { id: 's_002', name: 'Zara', email: 'zara@school.edu' },
+      { id: 's_001', name: 'Alice', email: 'alice@school.edu' },
+    ],
+    assignments: [
+      { ...assignment, assignmentId: 'a_001' },
+      { ...assignment, assignmentId: 'a_002' },
+    ],
+    active: true,
+  };
+}
+
+/**
+ * Build the warm-up partials: one definition with two tasks, the second untitled.
+ *
+ * @returns {AssignmentDefinitionPartialsResponse} The partials fixture.
+ */
+function buildPartials(): AssignmentDefinitionPartialsResponse {
+  return [
+    {
+      ...createDefinitionPartial({
+        definitionKey: DEFINITION_KEY,
+        tasks: [createTaskPartial('t_001', 1, 'Roots'), createTaskPartial('t_002')],
+      }),
+      primaryTitle: 'Quadratics',
+      criteria: [
+        { key: 'accuracy', label: 'Accuracy', maxScore: 5, weighting: 0.5 },
+        { key: 'method', label: 'Method', maxScore: 5, weighting: 0.5 },
+      ],
+    },
+  ] as AssignmentDefinitionPartialsResponse;
+}
+
+/**
+ * Build an averaging result where Alice attempted the first task only and Zara
+ * has no task metrics.
+ *
+ * @returns {AveragingResult} The analysis fixture.
+ */
+function buildAnalyserResult(): AveragingResult {
+  const perStudentTaskMetrics: PerStudentTaskMetric[] = [
+    {
+      classId: CLASS_ID,
+      studentId: 's_001',
+      taskKey: `${DEFINITION_KEY}::t_001`,
+      completeness: computed(ALICE_TASK_SCORE),
+      accuracy: computed(ALICE_TASK_SCORE),
+      spag: createNotAttemptedMetricResult(),
+      overall: computed(ALICE_TASK_OVERALL),
+      criteria: { accuracy: computed(ALICE_TASK_SCORE), method: createErrorMetricResult() },
+    },
+    {
+      classId: 'other_class',
+      studentId: 's_002',
+      taskKey: `${DEFINITION_KEY}::t_001`,
+      completeness: computed(1),
+      accuracy: computed(1),
+      spag: computed(1),
+      overall: computed(1),
+      criteria: { accuracy: computed(1), method: computed(1) },
+    },
+  ];
+  const row = (studentId: string, value: number) => ({
+    studentId,
+    studentName: null,
+    completeness: computed(value),
+    accuracy: computed(value),
+    spag: createNotAttemptedMetricResult(),
+    overall: computed(value),
+  });
+  return {
+    classId: CLASS_ID,
+    className: '10A Maths',
+    perStudent: [row('s_001', ALICE_TASK_OVERALL), row('s_002', ZARA_AVERAGE)],
+    perTask: [],
+    perClass: {
+      completeness: computed(CLASS_AVERAGE),
+      accuracy: computed(CLASS_AVERAGE),
+      spag: computed(CLASS_AVERAGE),
+      overall: computed(CLASS_AVERAGE),
+    },
+    appliedCriterionWeightings: { completeness: 0.4, accuracy: 0.4, spag: 0.2 },
+    perStudentTaskMetrics,
+  } as AveragingResult;
+}
+
+describe('adaptMetricsToGradebook', () => {
+  it('builds per-task criterion, task overall and weighted columns once per definition', () => {
+    const gradebook = adaptMetricsToGradebook(
+      buildAnalyserResult(),
+      buildClassFull(),
+      buildPartials()
+    );
+
+    expect(gradebook.title).toBe('10A Maths Gradebook');
+    expect(gradebook.headers).toEqual([
+      'Student',
+      'Quadratics – Roots – Accuracy',
+      'Quadratics – Roots – Method',
+      'Quadratics – Roots – Overall',
+      'Quadratics – t_002 – Accuracy',
+      'Quadratics – t_002 – Method',
+      'Quadratics – t_002 – Overall',
+      'Completeness',
+      'Accuracy',
+      'SPaG',
+      'Overall',
+    ]);
+    expect(gradebook.metricColumnIndexes).toEqual(
+      Array.from({ length: METRIC_COLUMN_COUNT }, (_, index) => index + 1)
+    );
+  });
+
+  it('orders students by name, rounds scores and reports N, E and missing metrics', () => {
+    const { rows } = adaptMetricsToGradebook(
+      buildAnalyserResult(),
+      buildClassFull(),
+      buildPartials()
+    );
+
+    expect(rows).toEqual([
+      [
+        'Alice',
+        ALICE_TASK_SCORE,
+        'E',
+        ALICE_TASK_OVERALL_ROUNDED,
+        'N',
+        'N',
+        'N',
+        ALICE_TASK_OVERALL_ROUNDED,
+        ALICE_TASK_OVERALL_ROUNDED,
+        'N',
+        ALICE_TASK_OVERALL_ROUNDED,
+      ],
+      ['Zara', 'N', 'N', 'N', 'N', 'N', 'N', ZARA_AVERAGE, ZARA_AVERAGE, 'N', ZARA_AVERAGE],
+    ]);
+  });
+
+  it('skips definitions missing from the warm-up partials', () => {
+    const gradebook = adaptMetricsToGradebook(buildAnalyserResult(), buildClassFull(), []);
+
+    expect(gradebook.headers).toEqual(['Student', 'Completeness', 'Accuracy', 'SPaG', 'Overall']);
+  });
+});
+
+describe('gradebookToCsv', () => {
+  it('writes CRLF rows, blank nulls and quotes fields that need it', () => {
+    const csv = gradebookToCsv({
+      title: 'Gradebook',
+      headers: ['Student', 'Essay, part 1', 'Overall'],
+      rows: [
+        ['O"Brien', CSV_SCORE, null],
+        ['Line\nbreak', 'N', 'E'],
+      ],
+      metricColumnIndexes: [1, CSV_OVERALL_COLUMN_INDEX],
+    });
+
+    expect(csv).toBe(
+      ['Student,"Essay, part 1",Overall', '"O""Brien",4.5,', '"Line\nbreak",N,E'].join('\r\n')
+    );
+  });
+});
@@ -0,0 +1,218 @@
+import type {
+  AveragingResult,
+  MetricResult,
+  PerStudentRow,
+  PerStudentTaskMetric,
+} from './dataAnalysis.zod';
+import type { ClassFull } from '../googleClassrooms/classDetail/classDetailService.zod';
+import type { AssignmentDefinitionPartialsResponse } from '../assignmentDefinition/assignmentDefinitionPartials.zod';
+import { getAssignmentDefinitionPartial } from '../assignmentDefinition/assignmentDefinitionUtilities';
+import { DEFAULT_ASSESSMENT_CRITERIA } from '../assignmentDefinition/assessmentCriterion.zod';
+
+/**
+ * A single gradebook cell: a rounded score, `'N'` for not attempted, `'E'` for
+ * no data, or a plain string such as the student's name.
+ */
+export type GradebookCell = string | number | null;
+
+/**
+ * A class gradebook table, shared by the CSV download and the Google Sheets
+ * export.
+ *
+ * @remarks
+ * `metricColumnIndexes` lists the zero-based columns holding 0–5 metrics, so
+ * the Sheets export knows where to apply heatmap formatting.
+ */
+export interface Gradebook {
+  title: string;
+  headers: string[];
+  rows: GradebookCell[][];
+  metricColumnIndexes: number[];
+}
+
+/** Decimal places kept for exported scores, matching the class page averages. */
+const GRADEBOOK_SCORE_PRECISION = 2;
+
+/** Separator between the assignment, task and criterion parts of a column header. */
+const HEADER_SEPARATOR = ' – ';
+
+/** Static fallback label when `classFull.className` is `null`. */
+const DEFAULT_CLASS_NAME_LABEL = 'Class';
+
+/** Weighted per-student metrics appended after the per-task columns. */
+const WEIGHTED_COLUMNS: ReadonlyArray<{
+  key: keyof Omit<PerStudentRow, 'studentId' | 'studentName'>;
+  label: string;
+}> = [
+  { key: 'completeness', label: 'Completeness' },
+  { key: 'accuracy', label: 'Accuracy' },
+  { key: 'spag', label: 'SPaG' },
+  { key: 'overall', label: 'Overall' },
+];
+
+/**
+ * A single metric column: its header and how to read the student's metric.
+ */
+interface GradebookMetricColumn {
+  header: string;
+  read: (studentId: string) => MetricResult | undefined;
+}
+
+/**
+ * Convert a metric result into a gradebook cell.
+ *
+ * @param {MetricResult | undefined} metric - The metric, or `undefined` when the
+ *   student has no metric for the column.
+ * @returns {GradebookCell} The rounded score, `'N'` or `'E'`; missing metrics
+ *   are reported as not attempted, as in the heatmap.
+ */
+function toGradebookCell(metric: MetricResult | undefined): GradebookCell {
+  if (metric === undefined) {
+    return 'N';
+  }
+  if (metric.state === 'computed') {
+    return Number(metric.value.toFixed(GRADEBOOK_SCORE_PRECISION));
+  }
+  return metric.value;
+}
+
+/**
+ * Build the metric columns for one task: one per criterion followed by the
+ * task's weighted overall.
+ *
+ * @param {string} prefix - Header prefix naming the assignment and task.
+ * @param {string} taskKey - The task key, `${definitionKey}::${taskId}`.
+ * @param {ReadonlyArray<{ key: string; label: string }>} criteria - The
+ *   definition's criteria, in order.
+ * @param {Map<string, PerStudentTaskMetric>} metricsByKey - Per-student-task
+ *   metrics keyed by `${studentId}|${taskKey}`.
+ * @returns {GradebookMetricColumn[]} The task's columns.
+ */
+function buildTaskMetricColumns(
+  prefix: string,
+  taskKey: string,
+  criteria: ReadonlyArray<{ key: string; label: string }>,
+  metricsByKey: Map<string, PerStudentTaskMetric>
+): GradebookMetricColumn[] {
+  const readMetric = (studentId: string) => metricsByKey.get(`${studentId}|${taskKey}`);
+  return [
+    ...criteria.map(({ key, label }) => ({
+      header: `${prefix}${HEADER_SEPARATOR}${label}`,
+      read: (studentId: string) => readMetric(studentId)?.criteria[key],
+    })),
+    {
+      header: `${prefix}${HEADER_SEPARATOR}Overall`,
+      read: (studentId: string) => readMetric(studentId)?.overall,
+    },
+  ];
+}
+
+/**
+ * Build the per-task metric columns for every assignment definition set in the
+ * class, in assignment order.
+ *
+ * @param {AveragingResult} analyserResult - The analysis result.
+ * @param {ClassFull} classFull - The full class data.
+ * @param {AssignmentDefinitionPartialsResponse} assignmentDefinitionPartials -
+ *   The warm-up assignment-definition partials dataset.
+ * @returns {GradebookMetricColumn[]} Ordered per-task columns.
+ *
+ * @remarks
+ * Task keys are `${definitionKey}::${taskId}`, so two assignments set from the
+ * same definition share their columns. Definitions missing from the warm-up
+ * dataset are skipped, since their task columns cannot be resolved.
+ */
+function buildTaskColumns(
+  analyserResult: AveragingResult,
+  classFull: ClassFull,
+  assignmentDefinitionPartials: AssignmentDefinitionPartialsResponse
+): GradebookMetricColumn[] {
+  const metricsByKey = new Map(
+    (analyserResult.perStudentTaskMetrics ?? [])
+      .filter((metric) => metric.classId === classFull.classId)
+      .map((metric) => [`${metric.studentId}|${metric.taskKey}`, metric])
+  );
+  const definitionKeys = [
+    ...new Set(classFull.assignments.map((assignment) => assignment.assignmentDefinitionKey)),
+  ];
+
+  return definitionKeys.flatMap((definitionKey) => {
+    const partial = getAssignmentDefinitionPartial(assignmentDefinitionPartials, definitionKey);
+    if (!partial) {
+      return [];
+    }
+    const criteria = partial.criteria ?? DEFAULT_ASSESSMENT_CRITERIA;
+    return partial.tasks.flatMap((task) =>
+      buildTaskMetricColumns(
+        [partial.primaryTitle, task.taskTitle ?? task.taskId].join(HEADER_SEPARATOR),
+        `${definitionKey}::${task.taskId}`,
+        criteria,
+        metricsByKey
+      )
+    );
+  });
+}
+
+/**
+ * Project an `AveragingResult`, a `ClassFull` and the warm-up
+ * `assignmentDefinitionPartials` into a {@link Gradebook}: one row per
+ * student, ordered by name, with per-task criterion and overall columns
+ * followed by the student's weighted averages.
+ *
+ * @param {AveragingResult} analyserResult - The analysis result for the class.
+ * @param {ClassFull} classFull - The full class data including the roster.
+ * @param {AssignmentDefinitionPartialsResponse} assignmentDefinitionPartials -
+ *   The warm-up assignment-definition partials dataset.
+ * @returns {Gradebook} The gradebook table.
+ */
+export function adaptMetricsToGradebook(
+  analyserResult: AveragingResult,
+  classFull: ClassFull,
+  assignmentDefinitionPartials: AssignmentDefinitionPartialsResponse
+): Gradebook {
+  const perStudentById = new Map(analyserResult.perStudent.map((row) => [row.studentId, row]));
+  const metricColumns: GradebookMetricColumn[] = [
+    ...buildTaskColumns(analyserResult, classFull, assignmentDefinitionPartials),
+    ...WEIGHTED_COLUMNS.map(({ key, label }) => ({
+      header: label,
+      read: (studentId: string) => perStudentById.get(studentId)?.[key],
+    })),
+  ];
+
+  const students = classFull.students.toSorted((left, right) =>
+    left.name.localeCompare(right.name)
+  );
+
+  return {
+    title: `${classFull.className ?? DEFAULT_CLASS_NAME_LABEL} Gradebook`,
+    headers: ['Student', ...metricColumns.map((column) => column.header)],
+    rows: students.map((student) => [
+      student.name,
+      ...metricColumns.map((column) => toGradebookCell(column.read(student.id))),
+    ]),
+    metricColumnIndexes: metricColumns.map((_, index) => index + 1),
+  };
+}
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or line break.
+ *
+ * @param {GradebookCell} cell - The cell to serialise.
+ * @returns {string} The RFC 4180 field.
+ */
+function toCsvField(cell: GradebookCell): string {
+  const text = cell === null ? '' : String(cell);
+  return /[\n\r",]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+/**
+ * Serialise a gradebook to RFC 4180 CSV with CRLF line endings.
+ *
+ * @param {Gradebook} gradebook - The gradebook to serialise.
+ * @returns {string} The CSV text, header row first.
+ */
+export function gradebookToCsv(gradebook: Gradebook): string {
+  return [gradebook.headers, ...gradebook.rows]
+    .map((row) => row.map((cell) => toCsvField(cell)).join(','))
+    .join('\r\n');
+}
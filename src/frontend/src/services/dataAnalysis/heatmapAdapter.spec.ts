@@ -17,7 +17,7 @@
  */
 
 import { describe, expect, it } from 'vitest';
-import type { AveragingResult } from './dataAnalysis.zod';
+import type { AveragingResult, PerStudentTaskMetric } from './dataAnalysis.zod';
 import type { ClassFull } from '../googleClassrooms/classDetail/classDetailService.zod';
 import type { AssignmentDefinitionPartialsResponse } from '../assignmentDefinition/assignmentDefinitionPartials.zod';
 import { adaptMetricsToHeatmap, TaskTitlesUnavailableError } from './heatmapAdapter';
@@ -181,18 +181,22 @@ function buildNonMatchingPartials(): AssignmentDefinitionPartialsResponse {
  *
  * @param {string} studentId - The student identifier.
  * @param {string} taskId - The stable task identifier.
- * @returns {Object} A PerStudentTaskMetric-shaped object with sample computed
+ * @returns {PerStudentTaskMetric} A PerStudentTaskMetric with sample computed
  *   metric results for all four criteria.
  */
-function buildPerStudentTaskMetric(studentId: string, taskId: string) {
+function buildPerStudentTaskMetric(studentId: string, taskId: string): PerStudentTaskMetric {
+  const completeness = createComputedMetricResult({ value: 4 });
+  const accuracy = createComputedMetricResult({ value: 3 });
+  const spag = createComputedMetricResult({ value: 5 });
   return {
     classId: CLASS_ID,
     studentId,
     taskKey: taskKey(taskId),
-    completeness: createComputedMetricResult({ value: 4 }),
-    accuracy: createComputedMetricResult({ value: 3 }),
-    spag: createComputedMetricResult({ value: 5 }),
+    completeness,
+    accuracy,
+    spag,
     overall: createComputedMetricResult({ value: 4 }),
+    criteria: { completeness, accuracy, spag },
   };
 }
 
@@ -432,6 +436,54 @@ describe('adaptMetricsToHeatmap — 4-parameter warm-up partial sourcing', () =>
     expect(result.taskColumns[2].taskTitle).toBe('Task Three Title');
   });
 
+  it('uses the default criteria as sub-columns when the partial defines none', () => {
+    const result = adaptMetricsToHeatmap(
+      minimalAveragingResult([]),
+      buildClassFull(),
+      ASSIGNMENT_ID,
+      buildPartials()
+    );
+
+    expect(result.criteria).toEqual([
+      { key: 'completeness', label: 'Completeness' },
+      { key: 'accuracy', label: 'Accuracy' },
+      { key: 'spag', label: 'SPaG' },
+    ]);
+  });
+
+  it('keys cells by the criteria defined on the partial', () => {
+    const codeQuality = createComputedMetricResult({ value: 4 });
+    const metric = {
+      ...buildPerStudentTaskMetric('s_001', 'task_001'),
+      criteria: { codeQuality },
+    };
+    const partials = [
+      {
+        ...buildPartials()[0],
+        criteria: [
+          { key: 'codeQuality', label: 'Code quality', maxScore: 10, weighting: 1 },
+          { key: 'explanation', label: 'Explanation', maxScore: 5, weighting: 1 },
+        ],
+      },
+    ] as AssignmentDefinitionPartialsResponse;
+
+    const result = adaptMetricsToHeatmap(
+      minimalAveragingResult([metric]),
+      buildClassFull(),
+      ASSIGNMENT_ID,
+      partials
+    );
+
+    expect(result.criteria).toEqual([
+      { key: 'codeQuality', label: 'Code quality' },
+      { key: 'explanation', label: 'Explanation' },
+    ]);
+    const [aliceCell] = result.rows[0].cells;
+    expect(Object.keys(aliceCell)).toEqual(['codeQuality', 'explanation']);
+    expect(aliceCell.codeQuality).toEqual(codeQuality);
+    expect(aliceCell.explanation.state).toBe('notAttempted');
+  });
+
   it('throws TaskTitlesUnavailableError when assignmentDefinitionPartials is an empty array', () => {
     const analyserResult = minimalAveragingResult([]);
     const classFull = buildClassFull();
@@ -5,6 +5,7 @@ import type {
   AssignmentDefinitionPartialsResponse,
 } from '../assignmentDefinition/assignmentDefinitionPartials.zod';
 import { getAssignmentDefinitionPartial } from '../assignmentDefinition/assignmentDefinitionUtilities';
+import { DEFAULT_ASSESSMENT_CRITERIA } from '../assignmentDefinition/assessmentCriterion.zod';
 
 /**
  * Error thrown when task titles cannot be resolved for a heatmap assignment.
@@ -28,13 +29,18 @@ export class TaskTitlesUnavailableError extends Error {
 }
 
 /**
- * A single heatmap cell containing the three criterion metric results for one
- * student on one task.
+ * A single heatmap cell containing one metric result per criterion for one
+ * student on one task, keyed by criterion key.
  */
-export interface HeatmapCell {
-  completeness: MetricResult;
-  accuracy: MetricResult;
-  spag: MetricResult;
+export type HeatmapCell = Readonly<Record<string, MetricResult>>;
+
+/**
+ * A criterion sub-column shown under every task group, in the order defined
+ * on the assignment definition.
+ */
+export interface HeatmapCriterion {
+  key: string;
+  label: string;
 }
 
 /**
@@ -70,6 +76,7 @@ export interface HeatmapResult {
   className: string;
   rows: HeatmapRow[];
   taskColumns: HeatmapTaskColumn[];
+  criteria: HeatmapCriterion[];
 }
 
 /** Static fallback label when `classFull.className` is `null`. */
@@ -109,6 +116,22 @@ function buildTaskColumns(partial: AssignmentDefinitionPartial): HeatmapTaskColu
   }));
 }
 
+/**
+ * Build the criterion sub-column descriptors from a warm-up
+ * assignment-definition partial, falling back to the default criteria for
+ * definitions that do not define their own.
+ *
+ * @param {AssignmentDefinitionPartial} partial - The assignment-definition
+ *   partial whose criteria define the sub-column set.
+ * @returns {HeatmapCriterion[]} Ordered criterion descriptors.
+ */
+function buildCriteria(partial: AssignmentDefinitionPartial): HeatmapCriterion[] {
+  return (partial.criteria ?? DEFAULT_ASSESSMENT_CRITERIA).map(({ key, label }) => ({
+    key,
+    label,
+  }));
+}
+
 /**
  * Group per-student-task metrics by student ID, filtering to those matching the
  * given class and task-key set.
@@ -147,8 +170,8 @@ function groupMetricsByStudent(
  * @param {AssignmentDefinitionPartialsResponse} assignmentDefinitionPartials -
  *   The warm-up assignment-definition partials dataset.  Task columns and
  *   titles are sourced from the entry matching the assignment's `definitionKey`.
- * @returns {HeatmapResult} A `HeatmapResult` with task columns, per-student rows,
- *   and metadata.
+ * @returns {HeatmapResult} A `HeatmapResult` with task columns, criterion
+ *   sub-columns, per-student rows, and metadata.
  * @throws {TaskTitlesUnavailableError} When the warm-up partial is missing for
  *   the assignment's `definitionKey`.
  * @throws {Error} If `assignmentId` is not found in `classFull.assignments`.
@@ -194,6 +217,7 @@ export function adaptMetricsToHeatmap(
   }
 
   const taskColumns = buildTaskColumns(partial);
+  const criteria = buildCriteria(partial);
 
   const columnTaskKeys = new Set(taskColumns.map((c) => c.taskKey));
   const metricsByStudent = groupMetricsByStudent(analyserResult, classFull.classId, columnTaskKeys);
@@ -203,18 +227,9 @@ export function adaptMetricsToHeatmap(
 
     const cells: HeatmapCell[] = taskColumns.map((column) => {
       const metric = studentMetrics.find((m) => m.taskKey === column.taskKey);
-      if (metric) {
-        return {
-          completeness: metric.completeness,
-          accuracy: metric.accuracy,
-          spag: metric.spag,
-        };
-      }
-      return {
-        completeness: NOT_ATTEMPTED_METRIC,
-        accuracy: NOT_ATTEMPTED_METRIC,
-        spag: NOT_ATTEMPTED_METRIC,
-      };
+      return Object.fromEntries(
+        criteria.map(({ key }) => [key, metric?.criteria[key] ?? NOT_ATTEMPTED_METRIC])
+      );
     });
 
     return { studentId: student.id, studentName: student.name, cells };
@@ -226,5 +241,6 @@ export function adaptMetricsToHeatmap(
     className,
     rows,
     taskColumns,
+    criteria,
   };
 }
@@ -0,0 +1,49 @@
+/**
+ * Tests for `ScoreBandChart` — inline SVG bar chart of score bands.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import type { ScoreDistribution } from '../dataAnalysis.zod';
+import { ScoreBandChart } from './ScoreBandChart';
+
+/** Students in the 3–4 band. */
+const UPPER_MIDDLE_BAND_COUNT = 2;
+/** Students in the 4–5 band, the largest, drawn at the full chart height. */
+const TOP_BAND_COUNT = 4;
+/** Chart height in pixels, matching `BAND_CHART_HEIGHT`. */
+const CHART_HEIGHT = 24;
+
+const DISTRIBUTION: ScoreDistribution = {
+  bandCounts: [0, 1, 0, UPPER_MIDDLE_BAND_COUNT, TOP_BAND_COUNT],
+  notAttemptedCount: 0,
+  errorCount: 0,
+  min: 1,
+  lowerQuartile: 3,
+  median: 4,
+  upperQuartile: 4.5,
+  max: 5,
+};
+
+describe('ScoreBandChart', () => {
+  it('names the chart with the count in every band', () => {
+    render(<ScoreBandChart distribution={DISTRIBUTION} />);
+
+    expect(
+      screen.getByRole('img', {
+        name: 'Students per score band: 0–1: 0, 1–2: 1, 2–3: 0, 3–4: 2, 4–5: 4',
+      })
+    ).toBeInTheDocument();
+  });
+
+  it('scales each bar to the largest band', () => {
+    const { container } = render(<ScoreBandChart distribution={DISTRIBUTION} />);
+
+    const heights = [...container.querySelectorAll('rect')].map((bar) =>
+      Number(bar.getAttribute('height'))
+    );
+    expect(heights).toEqual(
+      DISTRIBUTION.bandCounts.map((count) => (count / TOP_BAND_COUNT) * CHART_HEIGHT)
+    );
+  });
+});
@@ -0,0 +1,59 @@
+import type { JSX } from 'react';
+import { theme } from 'antd';
+import type { ScoreDistribution } from '../dataAnalysis.zod';
+
+/**
+ * Presentational bar chart of a `ScoreDistribution`'s score bands.
+ *
+ * Renders one bar per band, scaled to the largest band, as an inline SVG
+ * coloured with the theme's primary colour. The accessible name lists the
+ * count in every band. Pure presentational React component; no state, no
+ * data fetching, no callbacks.
+ *
+ * @module ScoreBandChart
+ */
+
+/** Score-band chart geometry, in pixels. */
+const BAND_CHART_BAR_WIDTH = 10;
+const BAND_CHART_GAP = 2;
+const BAND_CHART_HEIGHT = 24;
+
+type ScoreBandChartProperties = Readonly<{
+  /** The distribution to chart. */
+  distribution: ScoreDistribution;
+}>;
+
+/**
+ * Render the per-student spread as a small bar chart of score bands.
+ *
+ * @param {ScoreBandChartProperties} properties - Component properties.
+ * @param {ScoreDistribution} properties.distribution - The distribution to chart.
+ * @returns {JSX.Element} The chart.
+ */
+export function ScoreBandChart({ distribution }: ScoreBandChartProperties): JSX.Element {
+  const { token } = theme.useToken();
+  const largestBand = Math.max(1, ...distribution.bandCounts);
+  const width =
+    distribution.bandCounts.length * (BAND_CHART_BAR_WIDTH + BAND_CHART_GAP) - BAND_CHART_GAP;
+  const label = `Students per score band: ${distribution.bandCounts
+    .map((count, band) => `${band}–${band + 1}: ${count}`)
+    .join(', ')}`;
+
+  return (
+    <svg role="img" aria-label={label} width={width} height={BAND_CHART_HEIGHT}>
+      {distribution.bandCounts.map((count, band) => {
+        const height = (count / largestBand) * BAND_CHART_HEIGHT;
+        return (
+          <rect
+            key={band}
+            x={band * (BAND_CHART_BAR_WIDTH + BAND_CHART_GAP)}
+            y={BAND_CHART_HEIGHT - height}
+            width={BAND_CHART_BAR_WIDTH}
+            height={height}
+            fill={token.colorPrimary}
+          />
+        );
+      })}
+    </svg>
+  );
+}
@@ -7,16 +7,14 @@
  * @module metricDisplayMeta
  */
 
-import { ListTodo, Merge, SpellCheck, Target } from 'lucide-react';
+import { ClipboardCheck, ListTodo, Merge, SpellCheck, Target } from 'lucide-react';
 import type { LucideIconComponent } from '../../../components/icons/LucideIcon';
+import { DEFAULT_ASSESSMENT_CRITERIA } from '../../assignmentDefinition/assessmentCriterion.zod';
 
 // ---------------------------------------------------------------------------
 // Exported types
 // ---------------------------------------------------------------------------
 
-/** The metric keys that appear as sub-columns under each heatmap task group. */
-export type HeatmapMetricKey = 'completeness' | 'accuracy' | 'spag';
-
 /** All metric column keys (heatmap sub-columns plus the average rollup). */
 export type MetricColumnKey = 'completeness' | 'accuracy' | 'spag' | 'average';
 
@@ -35,9 +33,25 @@ export const METRIC_DISPLAY_META: ReadonlyMap<
   ['average', { label: 'Average', icon: Merge }],
 ]);
 
-/** The three metric keys appearing as sub-columns under each heatmap task group. */
-export const HEATMAP_METRIC_KEYS: readonly HeatmapMetricKey[] = [
-  'completeness',
-  'accuracy',
-  'spag',
-];
+/**
+ * The default criterion keys, used as heatmap sub-columns when an assignment
+ * definition does not define its own criteria.
+ */
+export const HEATMAP_METRIC_KEYS: readonly string[] = DEFAULT_ASSESSMENT_CRITERIA.map(
+  (criterion) => criterion.key
+);
+
+/** Icon for criteria without their own entry in {@link METRIC_DISPLAY_META}. */
+const CRITERION_FALLBACK_ICON: LucideIconComponent = ClipboardCheck;
+
+/**
+ * Resolve the icon for a criterion key, falling back to a generic icon for
+ * criteria defined on an assignment definition.
+ *
+ * @param {string} key - The criterion key.
+ * @returns {LucideIconComponent} The icon to render beside the criterion label.
+ */
+export function getCriterionIcon(key: string): LucideIconComponent {
+  const meta = (METRIC_DISPLAY_META as ReadonlyMap<string, { icon: LucideIconComponent }>).get(key);
+  return meta?.icon ?? CRITERION_FALLBACK_ICON;
+}
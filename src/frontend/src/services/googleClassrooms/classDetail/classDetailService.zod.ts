@@ -1,16 +1,11 @@
 import { z } from 'zod';
 
-/** Maximum valid assessment score (inclusive). Backend PartialAssessment model range. */
-const MAX_ASSESSMENT_SCORE = 5;
-
 /**
- * A single assessment score: an integer 0-5, or `'N'` for non-applicable (SPaG).
- * @remarks Score range enforcement matches the backend PartialAssessment model.
+ * A single assessment score: a non-negative integer, or `'N'` for non-applicable (SPaG).
+ * @remarks The upper bound is the criterion's `maxScore` on the assignment definition,
+ *          which the backend enforces when the score is stored.
  */
-export const PartialAssessmentScoreSchema = z.union([
-  z.number().int().min(0).max(MAX_ASSESSMENT_SCORE),
-  z.literal('N'),
-]);
+export const PartialAssessmentScoreSchema = z.union([z.number().int().min(0), z.literal('N')]);
 
 export type PartialAssessmentScore = z.infer<typeof PartialAssessmentScoreSchema>;
 
@@ -24,6 +19,17 @@ export const PartialAssessmentEntrySchema = z.object({
 
 export type PartialAssessmentEntry = z.infer<typeof PartialAssessmentEntrySchema>;
 
+/**
+ * A teacher override for one criterion in the partial wire shape. Reasoning is
+ * stripped; the override's score replaces the assessed score in analysis.
+ */
+export const PartialAssessmentOverrideEntrySchema = PartialAssessmentEntrySchema.extend({
+  overriddenBy: z.string().nullable(),
+  overriddenAt: z.string(),
+});
+
+export type PartialAssessmentOverrideEntry = z.infer<typeof PartialAssessmentOverrideEntrySchema>;
+
 /**
  * The canonical `AssignmentDefinitionPartialSchema` lives in
  * `assignmentDefinitionPartials.zod.ts`. The `classDetailService.zod.ts` file
@@ -85,6 +91,8 @@ export const StudentSubmissionItemPartialSchema = z.object({
   artifact: BaseTaskArtifactPartialSchema,
   assessments: z.record(z.string(), PartialAssessmentEntrySchema).optional(),
   feedback: z.record(z.string(), z.unknown()).optional(),
+  assessedContentHash: z.string().nullable().optional(),
+  overrides: z.record(z.string(), PartialAssessmentOverrideEntrySchema).optional(),
 });
 
 export type StudentSubmissionItemPartial = z.infer<typeof StudentSubmissionItemPartialSchema>;
@@ -102,6 +110,7 @@ export const StudentSubmissionPartialSchema = z.object({
   assignmentId: z.string(),
   documentId: z.string().nullable().optional(),
   items: z.record(z.string(), StudentSubmissionItemPartialSchema),
+  extractedAt: z.string().nullable().optional(),
   createdAt: z.string(),
   updatedAt: z.string(),
 });
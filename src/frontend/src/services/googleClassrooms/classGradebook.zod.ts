@@ -0,0 +1,44 @@
+import { z } from 'zod';
+
+/** Longest spreadsheet title the backend accepts. */
+const GRADEBOOK_TITLE_MAX_LENGTH = 200;
+
+/**
+ * A single gradebook cell: a score, `'N'`/`'E'` or other text, or `null` for a
+ * blank cell.
+ */
+export const GradebookCellSchema = z.union([z.string(), z.number(), z.null()]);
+
+/**
+ * Request schema for `exportGradebook`. `rows` hold one value per header;
+ * `metricColumnIndexes` are the zero-based columns that receive heatmap
+ * formatting. When `templateSpreadsheetId` is set the backend copies that
+ * spreadsheet instead of creating a blank one.
+ */
+export const ExportGradebookRequestSchema = z
+  .object({
+    classId: z.string(),
+    title: z.string().trim().min(1).max(GRADEBOOK_TITLE_MAX_LENGTH),
+    headers: z.array(z.string()).min(1),
+    rows: z.array(z.array(GradebookCellSchema)),
+    metricColumnIndexes: z.array(z.number().int().min(0)).optional(),
+    templateSpreadsheetId: z.string().optional(),
+  })
+  .strict();
+
+export type ExportGradebookRequest = z.infer<typeof ExportGradebookRequestSchema>;
+
+/**
+ * Response schema for `exportGradebook`, matching
+ * `ABClassGradebookExporter.export()` in
+ * `src/backend/y_controllers/ABClassController/ABClassGradebookExporter.js`.
+ */
+export const ExportGradebookResponseSchema = z
+  .object({
+    spreadsheetId: z.string(),
+    spreadsheetUrl: z.string(),
+    rowCount: z.number().int().min(0),
+  })
+  .strict();
+
+export type ExportGradebookResponse = z.infer<typeof ExportGradebookResponseSchema>;
@@ -0,0 +1,62 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+
+const callApiMock = vi.fn();
+const parseApiResponseMock = vi.fn(
+  (schema: { parse: (data: unknown) => unknown }, _method: string, data: unknown) =>
+    schema.parse(data)
+);
+
+vi.mock('../apiService', () => ({
+  callApi: callApiMock,
+  parseApiResponse: parseApiResponseMock,
+}));
+
+/** Alice's overall score in the request fixture. */
+const ALICE_OVERALL = 4.5;
+
+const VALID_REQUEST = {
+  classId: 'class-1',
+  title: '10A Gradebook',
+  headers: ['Student', 'Overall'],
+  rows: [
+    ['Alice', ALICE_OVERALL],
+    ['Bob', 'N'],
+  ],
+  metricColumnIndexes: [1],
+};
+
+const VALID_RESPONSE = {
+  spreadsheetId: 'sheet-1',
+  spreadsheetUrl: 'https://docs.google.com/spreadsheets/d/sheet-1/edit',
+  rowCount: 2,
+};
+
+describe('classGradebookService.exportGradebook', () => {
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('delegates to callApi with the exportGradebook method name and returns the spreadsheet', async () => {
+    callApiMock.mockResolvedValueOnce(VALID_RESPONSE);
+
+    const { exportGradebook } = await import('./classGradebookService');
+
+    await expect(exportGradebook(VALID_REQUEST)).resolves.toEqual(VALID_RESPONSE);
+    expect(callApiMock).toHaveBeenCalledWith('exportGradebook', VALID_REQUEST);
+  });
+
+  it('rejects an empty title before calling the backend', async () => {
+    const { exportGradebook } = await import('./classGradebookService');
+
+    await expect(exportGradebook({ ...VALID_REQUEST, title: '  ' })).rejects.toThrow();
+    expect(callApiMock).not.toHaveBeenCalled();
+  });
+
+  it('rejects a response without a spreadsheet URL', async () => {
+    callApiMock.mockResolvedValueOnce({ spreadsheetId: 'sheet-1', rowCount: 2 });
+
+    const { exportGradebook } = await import('./classGradebookService');
+
+    await expect(exportGradebook(VALID_REQUEST)).rejects.toThrow();
+  });
+});
@@ -0,0 +1,34 @@
+import { callApi, parseApiResponse } from '../apiService';
+import {
+  ExportGradebookRequestSchema,
+  ExportGradebookResponseSchema,
+  type ExportGradebookRequest,
+  type ExportGradebookResponse,
+} from './classGradebook.zod';
+
+export type { ExportGradebookRequest, ExportGradebookResponse } from './classGradebook.zod';
+
+const EXPORT_GRADEBOOK_METHOD = 'exportGradebook';
+
+/**
+ * Writes a class gradebook into a Google Sheet with heatmap formatting over
+ * its metric columns.
+ *
+ * @remarks
+ * The table is built on the frontend by `adaptMetricsToGradebook`, so the
+ * spreadsheet matches the CSV download. Exporting again with the same title
+ * and template refreshes the earlier copy rather than making another.
+ *
+ * @param {ExportGradebookRequest} input Request payload with `classId`, `title`, `headers`, `rows` and optional `metricColumnIndexes` and `templateSpreadsheetId`.
+ * @returns {Promise<ExportGradebookResponse>} Promise resolving to the written spreadsheet's id and URL.
+ */
+export async function exportGradebook(
+  input: ExportGradebookRequest
+): Promise<ExportGradebookResponse> {
+  const parsedInput = ExportGradebookRequestSchema.parse(input);
+  return parseApiResponse(
+    ExportGradebookResponseSchema,
+    EXPORT_GRADEBOOK_METHOD,
+    await callApi(EXPORT_GRADEBOOK_METHOD, parsedInput)
+  );
+}
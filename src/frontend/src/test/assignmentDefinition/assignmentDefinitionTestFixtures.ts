@@ -1,3 +1,5 @@
+import { DEFAULT_ASSESSMENT_CRITERIA } from '../../services/assignmentDefinition/assessmentCriterion.zod';
+import { DEFAULT_NOT_ATTEMPTED_DETECTION } from '../../services/assignmentDefinition/notAttemptedDetection.zod';
 import type { AssignmentDefinition } from '../../services/assignmentDefinition/assignmentDefinition.zod';
 import type { AssignmentTopic, YearGroup } from '../../services/referenceData/referenceData.zod';
 
@@ -88,9 +90,12 @@ export const mockUpsertResponse: AssignmentDefinition = {
   referenceDocumentId: 'test-ref-id',
   templateDocumentId: 'test-tpl-id',
   assignmentWeighting: 1,
+  criteria: [...DEFAULT_ASSESSMENT_CRITERIA],
+  assessorProfile: null,
+  notAttemptedDetection: { ...DEFAULT_NOT_ATTEMPTED_DETECTION },
   tasks: [
-    { taskId: 'task-1', taskTitle: 'Test Task 1', taskWeighting: 1 },
-    { taskId: 'task-2', taskTitle: 'Test Task 2', taskWeighting: 1 },
+    { taskId: 'task-1', taskTitle: 'Test Task 1', taskWeighting: 1, rubric: null },
+    { taskId: 'task-2', taskTitle: 'Test Task 2', taskWeighting: 1, rubric: null },
   ],
   createdAt: '2025-01-01T00:00:00.000Z',
   updatedAt: '2025-01-01T00:00:00.000Z',
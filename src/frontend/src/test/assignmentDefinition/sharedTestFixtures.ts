@@ -4,6 +4,8 @@
  * Reduces duplication and ensures consistency across test suites.
  */
 
+import { DEFAULT_ASSESSMENT_CRITERIA } from '../../services/assignmentDefinition/assessmentCriterion.zod';
+import { DEFAULT_NOT_ATTEMPTED_DETECTION } from '../../services/assignmentDefinition/notAttemptedDetection.zod';
 import type { AssignmentDefinition } from '../../services/assignmentDefinition/assignmentDefinition.zod';
 import type { AssignmentTopic, YearGroup } from '../../services/referenceData/referenceData.zod';
 
@@ -52,10 +54,13 @@ export const mockFullAssignmentDefinition: AssignmentDefinition = {
   referenceDocumentId: 'ref-doc-123',
   templateDocumentId: 'tpl-doc-456',
   assignmentWeighting: 5,
+  criteria: [...DEFAULT_ASSESSMENT_CRITERIA],
+  assessorProfile: null,
+  notAttemptedDetection: { ...DEFAULT_NOT_ATTEMPTED_DETECTION },
   tasks: [
-    { taskId: 'task-1', taskTitle: 'Solve quadratic equations', taskWeighting: 2 },
-    { taskId: 'task-2', taskTitle: 'Simplify expressions', taskWeighting: 1 },
-    { taskId: 'task-3', taskTitle: 'Factor polynomials', taskWeighting: 3 },
+    { taskId: 'task-1', taskTitle: 'Solve quadratic equations', taskWeighting: 2, rubric: null },
+    { taskId: 'task-2', taskTitle: 'Simplify expressions', taskWeighting: 1, rubric: null },
+    { taskId: 'task-3', taskTitle: 'Factor polynomials', taskWeighting: 3, rubric: null },
   ],
   createdAt: '2025-01-01T00:00:00.000Z',
   updatedAt: '2025-01-02T00:00:00.000Z',
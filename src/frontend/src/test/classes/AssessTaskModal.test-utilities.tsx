@@ -14,8 +14,11 @@ import { renderWithFrontendProviders } from '../renderWithFrontendProviders';
 import { DEFAULT_ISO_DATETIME } from './matchDefinitionForAssignment.test-utilities';
 import { createAppQueryClient } from '../../query/queryClient';
 import type { GoogleClassroomAssignmentsResponse } from '../../services/googleClassrooms/googleClassroomAssignments.zod';
+import { DEFAULT_ASSESSMENT_CRITERIA } from '../../services/assignmentDefinition/assessmentCriterion.zod';
+import { DEFAULT_NOT_ATTEMPTED_DETECTION } from '../../services/assignmentDefinition/notAttemptedDetection.zod';
 import type { AssignmentDefinitionPartial } from '../../services/assignmentDefinition/assignmentDefinitionPartials.zod';
 import type { UpsertAssignmentDefinitionResponse } from '../../services/assignmentDefinition/assignmentDefinition.zod';
+import type { StartAssessmentRunResponse } from '../../services/assignmentAssessment/assignmentAssessment.zod';
 import type { QueryClient } from '@tanstack/react-query';
 
 // ---------------------------------------------------------------------------
@@ -26,7 +29,13 @@ export const MOCK_CLASS_ID = 'class-123';
 export const MOCK_CLASS_NAME = 'My Class';
 
 export const MOCK_ASSIGNMENTS: GoogleClassroomAssignmentsResponse = [
-  { assignmentId: 'a1', title: 'Essay', creationTime: '2024-09-02T08:30:00.000Z', topicName: 'Writing', topicId: null },
+  {
+    assignmentId: 'a1',
+    title: 'Essay',
+    creationTime: '2024-09-02T08:30:00.000Z',
+    topicName: 'Writing',
+    topicId: null,
+  },
 ];
 
 export const MOCK_EMPTY_ASSIGNMENTS: GoogleClassroomAssignmentsResponse = [];
@@ -50,13 +59,21 @@ export const DEFAULT_UPSERT_RESULT: UpsertAssignmentDefinitionResponse = {
   referenceDocumentId: 'ref-001',
   templateDocumentId: 'tpl-001',
   assignmentWeighting: null,
-  tasks: [] as Array<{ taskId: string; taskTitle: string; taskWeighting: number }>,
+  criteria: [...DEFAULT_ASSESSMENT_CRITERIA],
+  assessorProfile: null,
+  notAttemptedDetection: { ...DEFAULT_NOT_ATTEMPTED_DETECTION },
+  tasks: [] as UpsertAssignmentDefinitionResponse['tasks'],
   createdAt: DEFAULT_ISO_DATETIME,
   updatedAt: DEFAULT_ISO_DATETIME,
 };
 
 // ---------------------------------------------------------------------------
 // Standard props
+/**
+ * Default resolved value for the startAssessmentRun mock.
+ */
+export const DEFAULT_START_RUN_RESULT: StartAssessmentRunResponse = { runId: 'run-001' };
+
 // ---------------------------------------------------------------------------
 
 export type DefaultPropertiesOverrides = Partial<{
@@ -102,9 +119,7 @@ export function createPendingPromise<T>(): Promise<T> {
  */
 export function renderAssessTaskModal(
   mockValue:
-    | GoogleClassroomAssignmentsResponse
-    | Promise<GoogleClassroomAssignmentsResponse>
-    | Error,
+    GoogleClassroomAssignmentsResponse | Promise<GoogleClassroomAssignmentsResponse> | Error,
   mockType: 'return' | 'resolve' | 'reject' = 'return'
 ): HTMLElement {
   const mockedGetAssignments = vi.mocked(getGoogleClassroomAssignments);
@@ -171,13 +186,15 @@ export function renderWithCache(options: RenderWithCacheOptions = {}): {
   if (startRunType === 'reject') {
     vi.mocked(startAssessmentRun).mockRejectedValue(startRunResult);
   } else if (startRunResult !== undefined) {
-    vi.mocked(startAssessmentRun).mockResolvedValue(startRunResult as null);
+    vi.mocked(startAssessmentRun).mockResolvedValue(startRunResult as StartAssessmentRunResponse);
   }
 
   if (upsertType === 'reject') {
     vi.mocked(upsertAssignmentDefinition).mockRejectedValue(upsertResult);
   } else if (upsertResult !== undefined) {
-    vi.mocked(upsertAssignmentDefinition).mockResolvedValue(upsertResult as UpsertAssignmentDefinitionResponse);
+    vi.mocked(upsertAssignmentDefinition).mockResolvedValue(
+      upsertResult as UpsertAssignmentDefinitionResponse
+    );
   }
 
   const queryClient = createAppQueryClient();
@@ -188,9 +205,10 @@ export function renderWithCache(options: RenderWithCacheOptions = {}): {
     queryClient.setQueryData(queryKeys.assignmentDefinitionPartials(), definitionPartials);
   }
 
-  const modalProperties = onCloseOption === undefined
-    ? defaultProperties()
-    : defaultProperties({ onClose: onCloseOption });
+  const modalProperties =
+    onCloseOption === undefined
+      ? defaultProperties()
+      : defaultProperties({ onClose: onCloseOption });
 
   const { queryClient: returnedClient } = renderWithFrontendProviders(
     <AssessTaskModal {...modalProperties} />,
@@ -349,9 +367,7 @@ export async function pickLinkableDefinition(
   // linkable-definition Select combobox is visible in the dialog.
   const comboboxes = within(dialog).getAllByRole('combobox');
   if (comboboxes.length === 0) {
-    throw new Error(
-      `pickLinkableDefinition: expected at least 1 combobox (linkable), found 0`
-    );
+    throw new Error(`pickLinkableDefinition: expected at least 1 combobox (linkable), found 0`);
   }
   const linkableCombobox = comboboxes[0];
   await user.click(linkableCombobox);
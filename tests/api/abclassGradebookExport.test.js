@@ -0,0 +1,118 @@
+/**
+ * ABClass Gradebook Export API Handler Tests
+ *
+ * Tests for the exportGradebook_ transport-boundary handler in
+ * z_Api/abclass/abclassGradebookExport.js:
+ * - Delegates to ABClassController.exportGradebook with classId as courseId
+ * - Defaults metricColumnIndexes to [] and templateSpreadsheetId to null
+ * - Rejects unsafe identifiers, empty or over-long titles and malformed tables
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+const MODULE_PATH = '../../src/backend/z_Api/abclass/abclassGradebookExport.js';
+
+const VALID_PARAMETERS = Object.freeze({
+  classId: 'class-001',
+  title: '10A Gradebook',
+  headers: ['Student', 'Overall'],
+  rows: [
+    ['Ada Lovelace', 4.5],
+    ['Alan Turing', 'N'],
+    ['Grace Hopper', null],
+  ],
+  metricColumnIndexes: [1],
+});
+
+/**
+ * Loads a fresh copy of the gradebook export transport module.
+ *
+ * @returns {Object} Module exports.
+ */
+function loadModule() {
+  delete require.cache[require.resolve(MODULE_PATH)];
+  return require(MODULE_PATH);
+}
+
+describe('Api/exportGradebook transport contract', () => {
+  let originalABClassController;
+  let exportGradebook;
+
+  beforeEach(() => {
+    originalABClassController = globalThis.ABClassController;
+    exportGradebook = vi.fn().mockReturnValue({
+      spreadsheetId: 'sheet-001',
+      spreadsheetUrl: 'https://docs.google.com/spreadsheets/d/sheet-001/edit',
+      rowCount: 3,
+    });
+    globalThis.ABClassController = vi.fn(function StubABClassController() {
+      this.exportGradebook = exportGradebook;
+    });
+  });
+
+  afterEach(() => {
+    delete require.cache[require.resolve(MODULE_PATH)];
+
+    if (originalABClassController === undefined) {
+      delete globalThis.ABClassController;
+    } else {
+      globalThis.ABClassController = originalABClassController;
+    }
+
+    vi.restoreAllMocks();
+  });
+
+  it('delegates the table to the controller with classId as courseId', () => {
+    const { exportGradebook_ } = loadModule();
+
+    expect(exportGradebook_(VALID_PARAMETERS)).toEqual(
+      expect.objectContaining({ spreadsheetId: 'sheet-001', rowCount: 3 })
+    );
+    expect(exportGradebook).toHaveBeenCalledWith({
+      courseId: 'class-001',
+      title: '10A Gradebook',
+      headers: VALID_PARAMETERS.headers,
+      rows: VALID_PARAMETERS.rows,
+      metricColumnIndexes: [1],
+      templateSpreadsheetId: null,
+    });
+  });
+
+  it('defaults metricColumnIndexes and passes a template through', () => {
+    const { exportGradebook_ } = loadModule();
+    const parameters = { ...VALID_PARAMETERS, templateSpreadsheetId: 'template-001' };
+    delete parameters.metricColumnIndexes;
+
+    exportGradebook_(parameters);
+
+    expect(exportGradebook).toHaveBeenCalledWith(
+      expect.objectContaining({ metricColumnIndexes: [], templateSpreadsheetId: 'template-001' })
+    );
+  });
+
+  it.each([
+    ['parameters', null],
+    ['classId', { classId: 'class/001' }],
+    ['title', { title: '   ' }],
+    ['title', { title: 'x'.repeat(201) }],
+    ['headers', { headers: [] }],
+    ['headers', { headers: ['Student', 2] }],
+    ['rows', { rows: [['Ada Lovelace']] }],
+    ['rows', { rows: [['Ada Lovelace', Number.NaN]] }],
+    ['rows', { rows: [['Ada Lovelace', { score: 4 }]] }],
+    ['metricColumnIndexes', { metricColumnIndexes: [2] }],
+    ['metricColumnIndexes', { metricColumnIndexes: [0.5] }],
+    ['templateSpreadsheetId', { templateSpreadsheetId: ' template-001' }],
+  ])('throws ApiValidationError naming %s for invalid input', (fieldName, overrides) => {
+    const { exportGradebook_ } = loadModule();
+    const parameters = overrides === null ? null : { ...VALID_PARAMETERS, ...overrides };
+
+    expect(() => exportGradebook_(parameters)).toThrow(
+      expect.objectContaining({ method: 'exportGradebook' })
+    );
+    if (fieldName !== 'parameters') {
+      expect(() => exportGradebook_(parameters)).toThrow(expect.objectContaining({ fieldName }));
+    }
+    expect(exportGradebook).not.toHaveBeenCalled();
+  });
+});
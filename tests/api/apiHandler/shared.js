@@ -34,7 +34,11 @@ const ABCLASS_TRANSPORT_API_METHOD_NAMES = Object.freeze([
   'getABClass',
 ]);
 
-const BACKEND_CONFIG_API_METHOD_NAMES = Object.freeze(['getBackendConfig', 'setBackendConfig']);
+const BACKEND_CONFIG_API_METHOD_NAMES = Object.freeze([
+  'getBackendConfig',
+  'setBackendConfig',
+  'testBackendConnection',
+]);
 
 const ASSIGNMENT_DEFINITION_API_METHOD_NAMES = Object.freeze([
   'getAssignmentDefinitionPartials',
@@ -45,12 +49,21 @@ const ASSIGNMENT_DEFINITION_API_METHOD_NAMES = Object.freeze([
 const EXPECTED_ALLOWLISTED_METHOD_HANDLER_KEYS = Object.freeze([
   'getAuthorisationStatus',
   'getABClassPartials',
+  'getAssessmentUsageReport',
   ...ASSIGNMENT_DEFINITION_API_METHOD_NAMES,
   'upsertAssignmentDefinition',
   'getAssignment',
   ...ABCLASS_TRANSPORT_API_METHOD_NAMES,
   ...BACKEND_CONFIG_API_METHOD_NAMES,
   'startAssessmentRun',
+  'getAssessmentRunStatus',
+  'getAssessmentRunQueue',
+  'cancelAssessmentRun',
+  'clearAssessmentCache',
+  'overrideAssessment',
+  'publishToClassroom',
+  'populateStudentFeedback',
+  'exportGradebook',
   ...REFERENCE_DATA_API_METHOD_NAMES,
 ]);
 
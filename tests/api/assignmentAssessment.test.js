@@ -1,15 +1,25 @@
 /**
  * Assignment Assessment API Handler Tests
  *
- * Tests for the startAssessmentRun_ API handler in z_Api/assignmentAssessment.js.
+ * Tests for the startAssessmentRun_, getAssessmentRunStatus_,
+ * getAssessmentRunQueue_, cancelAssessmentRun_, clearAssessmentCache_ and overrideAssessment_
+ * API handlers in z_Api/assignmentAssessment.js. publishToClassroom_ is covered in
+ * publishToClassroomApi.test.js, and populateStudentFeedback_ in
+ * studentFeedbackSlidesApi.test.js and studentFeedbackSheetsApi.test.js.
  *
  * Transport-boundary validation:
  * - Validates parameters is a plain object
  * - Validates required string fields (definitionKey, assignmentId, courseId)
  * - Delegates to AssignmentController.startAssessmentRun on valid input
+ * - Validates runId and delegates to ProgressTracker.getRunStatus, falling back
+ *   to AssessmentRunQueue for runs that have not started
+ * - Lists and cancels runs held in AssessmentRunQueue
+ * - Validates definitionKey and clears its entries through CacheManager
+ * - Validates override identifiers, score and reasoning, then delegates to
+ *   ABClassController.overrideAssessment with the active user's email
  */
 
-import { afterEach, describe, expect, it, vi } from 'vitest';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
 
 const ApiValidationError = require('../../src/backend/Utils/ErrorTypes/ApiValidationError.js');
 
@@ -96,7 +106,7 @@ describe('Api/startAssessmentRun transport contract', () => {
 
   it('delegates to controller on valid input and returns result', () => {
     const { startAssessmentRun } = installAssignmentControllerStub();
-    startAssessmentRun.mockReturnValue(null);
+    startAssessmentRun.mockReturnValue({ runId: 'run-001' });
 
     const { startAssessmentRun_ } = loadAssignmentAssessmentModule();
 
@@ -106,7 +116,7 @@ describe('Api/startAssessmentRun transport contract', () => {
       courseId: 'course-001',
     });
 
-    expect(result).toBeNull();
+    expect(result).toEqual({ runId: 'run-001' });
     expect(startAssessmentRun).toHaveBeenCalledTimes(1);
     expect(startAssessmentRun).toHaveBeenCalledWith({
       definitionKey: 'def-algebra-baseline',
@@ -115,3 +125,305 @@ describe('Api/startAssessmentRun transport contract', () => {
     });
   });
 });
+
+describe('Api/getAssessmentRunStatus transport contract', () => {
+  let originalProgressTracker;
+  let getRunStatus;
+
+  beforeEach(() => {
+    originalProgressTracker = globalThis.ProgressTracker;
+    getRunStatus = vi.fn();
+    globalThis.ProgressTracker = {
+      getInstance: vi.fn(() => ({ getRunStatus })),
+    };
+    PropertiesService._resetUserProperties();
+  });
+
+  afterEach(() => {
+    delete require.cache[require.resolve(MODULE_PATH)];
+    globalThis.ProgressTracker = originalProgressTracker;
+    vi.restoreAllMocks();
+  });
+
+  it('throws ApiValidationError when parameters is not a plain object', () => {
+    const { getAssessmentRunStatus_ } = loadAssignmentAssessmentModule();
+
+    expect(() => getAssessmentRunStatus_(null)).toThrow(ApiValidationError);
+    expect(() => getAssessmentRunStatus_([])).toThrow(ApiValidationError);
+  });
+
+  it.each([
+    ['missing', {}],
+    ['empty', { runId: '' }],
+    ['untrimmed', { runId: ' run-001 ' }],
+    ['unsafe', { runId: '../run-001' }],
+  ])('throws ApiValidationError when runId is %s', (_label, parameters) => {
+    const { getAssessmentRunStatus_ } = loadAssignmentAssessmentModule();
+
+    expect(() => getAssessmentRunStatus_(parameters)).toThrow(ApiValidationError);
+    expect(getRunStatus).not.toHaveBeenCalled();
+  });
+
+  it('reports getAssessmentRunStatus as the failing method in validation errors', () => {
+    const { getAssessmentRunStatus_ } = loadAssignmentAssessmentModule();
+
+    expect(() => getAssessmentRunStatus_({ runId: '' })).toThrow(
+      expect.objectContaining({
+        method: 'getAssessmentRunStatus',
+        fieldName: 'runId',
+      })
+    );
+  });
+
+  it('returns the tracked run status from ProgressTracker', () => {
+    const status = {
+      runId: 'run-001',
+      step: 2,
+      message: 'Fetching submitted documents from students.',
+      completed: false,
+      error: null,
+      errors: [],
+      history: [],
+      timestamp: '2026-01-01T00:00:00.000Z',
+    };
+    getRunStatus.mockReturnValue(status);
+    const { getAssessmentRunStatus_ } = loadAssignmentAssessmentModule();
+
+    expect(getAssessmentRunStatus_({ runId: 'run-001' })).toEqual(status);
+    expect(getRunStatus).toHaveBeenCalledWith('run-001');
+  });
+
+  it('returns null when the run is not the tracked run', () => {
+    getRunStatus.mockReturnValue(null);
+    const { getAssessmentRunStatus_ } = loadAssignmentAssessmentModule();
+
+    expect(getAssessmentRunStatus_({ runId: 'run-unknown' })).toBeNull();
+  });
+
+  it('falls back to a pending status while the run is still queued', () => {
+    getRunStatus.mockReturnValue(null);
+    new AssessmentRunQueue().enqueue({
+      runId: 'run-001',
+      assignmentId: 'assign-001',
+      definitionKey: 'def-001',
+      courseId: 'course-001',
+    });
+    const { getAssessmentRunStatus_ } = loadAssignmentAssessmentModule();
+
+    expect(getAssessmentRunStatus_({ runId: 'run-001' })).toEqual(
+      expect.objectContaining({
+        runId: 'run-001',
+        completed: false,
+        error: null,
+        message: 'Assessment run scheduled; waiting for the trigger to start.',
+      })
+    );
+  });
+});
+
+describe('Api/assessment run queue transport contract', () => {
+  beforeEach(() => {
+    PropertiesService._resetUserProperties();
+    const queue = new AssessmentRunQueue();
+    queue.enqueue({
+      runId: 'run-001',
+      assignmentId: 'assign-001',
+      definitionKey: 'def-001',
+      courseId: 'course-001',
+    });
+    queue.enqueue({
+      runId: 'run-002',
+      assignmentId: 'assign-001',
+      definitionKey: 'def-001',
+      courseId: 'course-002',
+    });
+    queue.markRunning('run-001');
+  });
+
+  afterEach(() => {
+    delete require.cache[require.resolve(MODULE_PATH)];
+    vi.restoreAllMocks();
+  });
+
+  it('lists queued and running runs oldest first', () => {
+    const { getAssessmentRunQueue_ } = loadAssignmentAssessmentModule();
+
+    const queue = getAssessmentRunQueue_();
+
+    expect(queue.map((entry) => [entry.runId, entry.status])).toEqual([
+      ['run-001', 'running'],
+      ['run-002', 'queued'],
+    ]);
+  });
+
+  it('cancels a queued run', () => {
+    const { cancelAssessmentRun_, getAssessmentRunQueue_ } = loadAssignmentAssessmentModule();
+
+    expect(cancelAssessmentRun_({ runId: 'run-002' })).toEqual({
+      runId: 'run-002',
+      cancelled: true,
+    });
+    expect(getAssessmentRunQueue_().map((entry) => entry.runId)).toEqual(['run-001']);
+  });
+
+  it('reports a running run as not cancelled and keeps it queued', () => {
+    const { cancelAssessmentRun_, getAssessmentRunQueue_ } = loadAssignmentAssessmentModule();
+
+    expect(cancelAssessmentRun_({ runId: 'run-001' })).toEqual({
+      runId: 'run-001',
+      cancelled: false,
+    });
+    expect(getAssessmentRunQueue_()).toHaveLength(2);
+  });
+
+  it('throws ApiValidationError naming cancelAssessmentRun for invalid input', () => {
+    const { cancelAssessmentRun_ } = loadAssignmentAssessmentModule();
+
+    expect(() => cancelAssessmentRun_(null)).toThrow(ApiValidationError);
+    expect(() => cancelAssessmentRun_({ runId: ' run-002 ' })).toThrow(
+      expect.objectContaining({
+        method: 'cancelAssessmentRun',
+        fieldName: 'runId',
+      })
+    );
+    expect(new AssessmentRunQueue().list()).toHaveLength(2);
+  });
+});
+
+describe('Api/clearAssessmentCache transport contract', () => {
+  let originalCacheManager;
+  let clearDefinition;
+
+  beforeEach(() => {
+    originalCacheManager = globalThis.CacheManager;
+    clearDefinition = vi.fn().mockReturnValue(3);
+    globalThis.CacheManager = vi.fn(function StubCacheManager() {
+      this.clearDefinition = clearDefinition;
+    });
+  });
+
+  afterEach(() => {
+    delete require.cache[require.resolve(MODULE_PATH)];
+
+    if (originalCacheManager === undefined) {
+      delete globalThis.CacheManager;
+    } else {
+      globalThis.CacheManager = originalCacheManager;
+    }
+
+    vi.restoreAllMocks();
+  });
+
+  it('clears the cached assessments for a definition', () => {
+    const { clearAssessmentCache_ } = loadAssignmentAssessmentModule();
+
+    expect(clearAssessmentCache_({ definitionKey: 'def-1' })).toEqual({
+      definitionKey: 'def-1',
+      cleared: 3,
+    });
+    expect(clearDefinition).toHaveBeenCalledWith('def-1');
+  });
+
+  it('throws ApiValidationError naming clearAssessmentCache for invalid input', () => {
+    const { clearAssessmentCache_ } = loadAssignmentAssessmentModule();
+
+    expect(() => clearAssessmentCache_(null)).toThrow(ApiValidationError);
+    expect(() => clearAssessmentCache_({ definitionKey: '' })).toThrow(
+      expect.objectContaining({
+        method: 'clearAssessmentCache',
+        fieldName: 'definitionKey',
+      })
+    );
+    expect(clearDefinition).not.toHaveBeenCalled();
+  });
+});
+
+describe('Api/overrideAssessment transport contract', () => {
+  const VALID_PARAMETERS = {
+    courseId: 'course-1',
+    assignmentId: 'assign-1',
+    studentId: 'student-1',
+    taskId: 'task-1',
+    criterion: 'accuracy',
+    score: 4,
+    reasoning: '  Method is correct; arithmetic slip only.  ',
+  };
+
+  let originalABClassController;
+  let originalSession;
+  let overrideAssessment;
+  let getEmail;
+
+  beforeEach(() => {
+    originalABClassController = globalThis.ABClassController;
+    originalSession = globalThis.Session;
+    overrideAssessment = vi.fn().mockReturnValue({ criterion: 'accuracy' });
+    getEmail = vi.fn().mockReturnValue('teacher@example.com');
+    globalThis.ABClassController = vi.fn(function StubABClassController() {
+      this.overrideAssessment = overrideAssessment;
+    });
+    globalThis.Session = { getActiveUser: () => ({ getEmail }) };
+  });
+
+  afterEach(() => {
+    delete require.cache[require.resolve(MODULE_PATH)];
+
+    if (originalABClassController === undefined) {
+      delete globalThis.ABClassController;
+    } else {
+      globalThis.ABClassController = originalABClassController;
+    }
+    if (originalSession === undefined) {
+      delete globalThis.Session;
+    } else {
+      globalThis.Session = originalSession;
+    }
+
+    vi.restoreAllMocks();
+  });
+
+  it('delegates a valid override with trimmed reasoning and the active user', () => {
+    const { overrideAssessment_ } = loadAssignmentAssessmentModule();
+
+    expect(overrideAssessment_(VALID_PARAMETERS)).toEqual({ criterion: 'accuracy' });
+    expect(overrideAssessment).toHaveBeenCalledWith({
+      ...VALID_PARAMETERS,
+      reasoning: 'Method is correct; arithmetic slip only.',
+      overriddenBy: 'teacher@example.com',
+    });
+  });
+
+  it("accepts 'N' as a score and records null when the user's email is unavailable", () => {
+    getEmail.mockReturnValue('');
+    const { overrideAssessment_ } = loadAssignmentAssessmentModule();
+
+    overrideAssessment_({ ...VALID_PARAMETERS, criterion: 'spag', score: 'N' });
+
+    expect(overrideAssessment).toHaveBeenCalledWith(
+      expect.objectContaining({ criterion: 'spag', score: 'N', overriddenBy: null })
+    );
+  });
+
+  it.each([
+    ['studentId', { studentId: '' }],
+    ['criterion', { criterion: '../accuracy' }],
+    ['score', { score: -1 }],
+    ['score', { score: 2.5 }],
+    ['score', { score: '4' }],
+    ['reasoning', { reasoning: '   ' }],
+    ['reasoning', { reasoning: undefined }],
+  ])('throws ApiValidationError naming %s for invalid input', (fieldName, overrides) => {
+    const { overrideAssessment_ } = loadAssignmentAssessmentModule();
+
+    expect(() => overrideAssessment_({ ...VALID_PARAMETERS, ...overrides })).toThrow(
+      expect.objectContaining({ method: 'overrideAssessment', fieldName })
+    );
+    expect(overrideAssessment).not.toHaveBeenCalled();
+  });
+
+  it('throws ApiValidationError when parameters is not an object', () => {
+    const { overrideAssessment_ } = loadAssignmentAssessmentModule();
+
+    expect(() => overrideAssessment_(null)).toThrow(ApiValidationError);
+  });
+});
@@ -326,6 +326,8 @@ describe('backend configuration API transport', () => {
           jsonDbLogLevel: 'DEBUG',
           jsonDbBackupOnInitialise: true,
           jsonDbRootFolderId: 'folder-123',
+          assessmentCacheRetentionDays: 30,
+          assessmentCacheMaxEntries: 2500,
         },
       });
 
@@ -348,6 +350,12 @@ describe('backend configuration API transport', () => {
       expect(configurationManagerMock.manager.setJsonDbRootFolderId).toHaveBeenCalledWith(
         'folder-123'
       );
+      expect(configurationManagerMock.manager.setAssessmentCacheRetentionDays).toHaveBeenCalledWith(
+        30
+      );
+      expect(configurationManagerMock.manager.setAssessmentCacheMaxEntries).toHaveBeenCalledWith(
+        2500
+      );
       expect(response).toEqual({
         ok: true,
         requestId: response.requestId,
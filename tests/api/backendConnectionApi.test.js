@@ -0,0 +1,145 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+
+const { loadApiHandlerModule } = require('../helpers/apiHandlerTestUtils.js');
+const { withGlobalMocks } = require('../helpers/globalMockManager.js');
+const { createConfigurationManagerMock } = require('../helpers/backendConfigTestHelpers.js');
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('backend connection test transport', () => {
+  /**
+   * Installs the assessor globals the connection test uses, with a fake capabilities response.
+   * @param {number} status - Status of the `/capabilities` response.
+   * @param {*} body - Body of the `/capabilities` response.
+   * @returns {{ fetch: Function, cache: Map<string, string>, restore: Function }} The fakes.
+   */
+  function mockAssessorBackend(status, body) {
+    const cache = new Map();
+    const fetch = vi.fn(() => ({
+      getResponseCode: () => status,
+      getContentText: () => JSON.stringify(body),
+    }));
+    const { restore } = withGlobalMocks({
+      UrlFetchApp: () => ({ fetch }),
+      CacheService: () => ({
+        getScriptCache: () => ({
+          get: (key) => cache.get(key) ?? null,
+          put: (key, value) => cache.set(key, value),
+        }),
+      }),
+      AbortRequestError: () => require('../../src/backend/Utils/ErrorTypes/AbortRequestError.js'),
+      AssessorCapabilities: () =>
+        require('../../src/backend/RequestHandlers/AssessorCapabilities.js'),
+    });
+    return { fetch, cache, restore };
+  }
+
+  it('returns the negotiated capabilities and caches them for assessment runs', () => {
+    const configurationManagerMock = createConfigurationManagerMock(vi);
+    const backend = mockAssessorBackend(200, {
+      apiVersions: ['v1'],
+      taskTypes: ['TEXT', 'TABLE'],
+      maxPayloadBytes: 65_536,
+    });
+
+    try {
+      const { ApiDispatcher } = loadApiHandlerModule();
+
+      const response = ApiDispatcher.getInstance().handle({ method: 'testBackendConnection' });
+
+      expect(backend.fetch).toHaveBeenCalledWith(
+        'https://backend.example.test/capabilities',
+        expect.objectContaining({ headers: { Authorization: 'Bearer live-secret-7890' } })
+      );
+      expect(response).toMatchObject({
+        ok: true,
+        data: {
+          success: true,
+          latencyMs: expect.any(Number),
+          capabilities: {
+            apiVersion: 'v1',
+            taskTypes: ['TEXT', 'TABLE'],
+            customCriteria: true,
+            maxPayloadBytes: 65_536,
+            legacy: false,
+          },
+        },
+      });
+      expect([...backend.cache.keys()]).toEqual([
+        'assessorCapabilities:https://backend.example.test',
+      ]);
+    } finally {
+      backend.restore();
+      configurationManagerMock.restore();
+    }
+  });
+
+  it('reports a rejected API key without exposing it', () => {
+    const configurationManagerMock = createConfigurationManagerMock(vi);
+    const backend = mockAssessorBackend(401, { detail: 'Invalid API key' });
+
+    try {
+      const { ApiDispatcher } = loadApiHandlerModule();
+
+      const response = ApiDispatcher.getInstance().handle({ method: 'testBackendConnection' });
+
+      expect(response.data).toEqual({
+        success: false,
+        error: 'The backend rejected the API key (401).',
+      });
+      expect(JSON.stringify(response)).not.toContain('live-secret-7890');
+    } finally {
+      backend.restore();
+      configurationManagerMock.restore();
+    }
+  });
+
+  it('reports a backend that shares no API version', () => {
+    const configurationManagerMock = createConfigurationManagerMock(vi);
+    const backend = mockAssessorBackend(200, { apiVersions: ['v3'] });
+
+    try {
+      const { ApiDispatcher } = loadApiHandlerModule();
+
+      const response = ApiDispatcher.getInstance().handle({ method: 'testBackendConnection' });
+
+      expect(response.data).toEqual({
+        success: false,
+        error:
+          'The assessor supports API versions v3, but this version of Assessment Bot needs v1.',
+      });
+    } finally {
+      backend.restore();
+      configurationManagerMock.restore();
+    }
+  });
+
+  it('does not contact the backend until a URL and API key are saved', () => {
+    const configurationManagerMock = createConfigurationManagerMock(
+      vi,
+      {},
+      {},
+      {
+        allConfigurations: {},
+      }
+    );
+    const backend = mockAssessorBackend(200, { apiVersions: ['v1'] });
+
+    try {
+      const { ApiDispatcher } = loadApiHandlerModule();
+
+      const response = ApiDispatcher.getInstance().handle({ method: 'testBackendConnection' });
+
+      expect(response.data).toEqual({
+        success: false,
+        error: 'Save a backend URL and API key before testing the connection.',
+      });
+      expect(backend.fetch).not.toHaveBeenCalled();
+    } finally {
+      backend.restore();
+      configurationManagerMock.restore();
+    }
+  });
+});
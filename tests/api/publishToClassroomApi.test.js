@@ -0,0 +1,94 @@
+/**
+ * Publish to Classroom API Handler Tests
+ *
+ * Tests for the publishToClassroom_ API handler in z_Api/assignmentAssessment.js.
+ *
+ * Transport-boundary validation:
+ * - Validates publication identifiers and options, then delegates to
+ *   ABClassController.publishToClassroom with the active user's email
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+const MODULE_PATH = '../../src/backend/z_Api/assignmentAssessment.js';
+
+/**
+ * Loads a fresh copy of the assignmentAssessment transport module.
+ *
+ * @returns {Object} Module exports containing publishToClassroom_.
+ */
+function loadAssignmentAssessmentModule() {
+  delete require.cache[require.resolve(MODULE_PATH)];
+  return require(MODULE_PATH);
+}
+
+describe('Api/publishToClassroom transport contract', () => {
+  const VALID_PARAMETERS = { courseId: 'course-1', assignmentId: 'assign-1' };
+
+  let originalABClassController;
+  let originalSession;
+  let publishToClassroom;
+
+  beforeEach(() => {
+    originalABClassController = globalThis.ABClassController;
+    originalSession = globalThis.Session;
+    publishToClassroom = vi.fn().mockReturnValue({ maxPoints: 20, students: [] });
+    globalThis.ABClassController = vi.fn(function StubABClassController() {
+      this.publishToClassroom = publishToClassroom;
+    });
+    globalThis.Session = {
+      getActiveUser: () => ({ getEmail: () => 'teacher@example.com' }),
+    };
+  });
+
+  afterEach(() => {
+    delete require.cache[require.resolve(MODULE_PATH)];
+
+    if (originalABClassController === undefined) {
+      delete globalThis.ABClassController;
+    } else {
+      globalThis.ABClassController = originalABClassController;
+    }
+    if (originalSession === undefined) {
+      delete globalThis.Session;
+    } else {
+      globalThis.Session = originalSession;
+    }
+
+    vi.restoreAllMocks();
+  });
+
+  it('delegates with comments off by default and the active user as publisher', () => {
+    const { publishToClassroom_ } = loadAssignmentAssessmentModule();
+
+    expect(publishToClassroom_(VALID_PARAMETERS)).toEqual({ maxPoints: 20, students: [] });
+    expect(publishToClassroom).toHaveBeenCalledWith({
+      ...VALID_PARAMETERS,
+      includeComments: false,
+      publishedBy: 'teacher@example.com',
+    });
+  });
+
+  it('passes includeComments through when requested', () => {
+    const { publishToClassroom_ } = loadAssignmentAssessmentModule();
+
+    publishToClassroom_({ ...VALID_PARAMETERS, includeComments: true });
+
+    expect(publishToClassroom).toHaveBeenCalledWith(
+      expect.objectContaining({ includeComments: true })
+    );
+  });
+
+  it.each([
+    ['courseId', { courseId: ' course-1' }],
+    ['assignmentId', { assignmentId: 'assign/1' }],
+    ['includeComments', { includeComments: 'yes' }],
+  ])('throws ApiValidationError naming %s for invalid input', (fieldName, overrides) => {
+    const { publishToClassroom_ } = loadAssignmentAssessmentModule();
+
+    expect(() => publishToClassroom_({ ...VALID_PARAMETERS, ...overrides })).toThrow(
+      expect.objectContaining({ method: 'publishToClassroom', fieldName })
+    );
+    expect(publishToClassroom).not.toHaveBeenCalled();
+  });
+});
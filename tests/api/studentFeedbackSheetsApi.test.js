@@ -0,0 +1,81 @@
+/**
+ * Student Sheets Feedback API Handler Tests
+ *
+ * Tests for the Sheets option of the populateStudentFeedback_ API handler in
+ * z_Api/assignmentAssessment.js.
+ *
+ * Transport-boundary validation:
+ * - Validates the formula hint, then delegates to
+ *   ABClassController.populateStudentFeedback
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+const MODULE_PATH = '../../src/backend/z_Api/assignmentAssessment.js';
+
+/**
+ * Loads a fresh copy of the assignmentAssessment transport module.
+ *
+ * @returns {Object} Module exports containing populateStudentFeedback_.
+ */
+function loadAssignmentAssessmentModule() {
+  delete require.cache[require.resolve(MODULE_PATH)];
+  return require(MODULE_PATH);
+}
+
+describe('Api/populateStudentFeedback Sheets transport contract', () => {
+  const VALID_PARAMETERS = { courseId: 'course-1', assignmentId: 'assign-1' };
+  const SUMMARY = { documentsUpdated: 2, documentsFailed: 0, itemsWritten: 5 };
+
+  let originalABClassController;
+  let populateStudentFeedback;
+
+  beforeEach(() => {
+    originalABClassController = globalThis.ABClassController;
+    populateStudentFeedback = vi.fn().mockReturnValue(SUMMARY);
+    globalThis.ABClassController = vi.fn(function StubABClassController() {
+      this.populateStudentFeedback = populateStudentFeedback;
+    });
+  });
+
+  afterEach(() => {
+    delete require.cache[require.resolve(MODULE_PATH)];
+
+    if (originalABClassController === undefined) {
+      delete globalThis.ABClassController;
+    } else {
+      globalThis.ABClassController = originalABClassController;
+    }
+
+    vi.restoreAllMocks();
+  });
+
+  it('delegates with formula patterns by default', () => {
+    const { populateStudentFeedback_ } = loadAssignmentAssessmentModule();
+
+    expect(populateStudentFeedback_(VALID_PARAMETERS)).toEqual(SUMMARY);
+    expect(populateStudentFeedback).toHaveBeenCalledWith({
+      ...VALID_PARAMETERS,
+      mode: 'update',
+      placement: 'speakerNotes',
+      formulaHint: 'pattern',
+    });
+  });
+
+  it.each(['none', 'formula'])('passes formula hint %s through', (formulaHint) => {
+    const { populateStudentFeedback_ } = loadAssignmentAssessmentModule();
+
+    populateStudentFeedback_({ ...VALID_PARAMETERS, formulaHint });
+
+    expect(populateStudentFeedback).toHaveBeenCalledWith(expect.objectContaining({ formulaHint }));
+  });
+
+  it('throws ApiValidationError naming formulaHint for an unknown hint', () => {
+    const { populateStudentFeedback_ } = loadAssignmentAssessmentModule();
+
+    expect(() => populateStudentFeedback_({ ...VALID_PARAMETERS, formulaHint: 'answer' })).toThrow(
+      expect.objectContaining({ method: 'populateStudentFeedback', fieldName: 'formulaHint' })
+    );
+    expect(populateStudentFeedback).not.toHaveBeenCalled();
+  });
+});
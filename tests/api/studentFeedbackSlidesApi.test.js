@@ -0,0 +1,89 @@
+/**
+ * Student Slides Feedback API Handler Tests
+ *
+ * Tests for the Slides options of the populateStudentFeedback_ API handler in
+ * z_Api/assignmentAssessment.js.
+ *
+ * Transport-boundary validation:
+ * - Validates feedback identifiers, mode and placement, then delegates to
+ *   ABClassController.populateStudentFeedback
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+const MODULE_PATH = '../../src/backend/z_Api/assignmentAssessment.js';
+
+/**
+ * Loads a fresh copy of the assignmentAssessment transport module.
+ *
+ * @returns {Object} Module exports containing populateStudentFeedback_.
+ */
+function loadAssignmentAssessmentModule() {
+  delete require.cache[require.resolve(MODULE_PATH)];
+  return require(MODULE_PATH);
+}
+
+describe('Api/populateStudentFeedback Slides transport contract', () => {
+  const VALID_PARAMETERS = { courseId: 'course-1', assignmentId: 'assign-1' };
+  const SUMMARY = { documentsUpdated: 2, documentsFailed: 0, itemsWritten: 5 };
+
+  let originalABClassController;
+  let populateStudentFeedback;
+
+  beforeEach(() => {
+    originalABClassController = globalThis.ABClassController;
+    populateStudentFeedback = vi.fn().mockReturnValue(SUMMARY);
+    globalThis.ABClassController = vi.fn(function StubABClassController() {
+      this.populateStudentFeedback = populateStudentFeedback;
+    });
+  });
+
+  afterEach(() => {
+    delete require.cache[require.resolve(MODULE_PATH)];
+
+    if (originalABClassController === undefined) {
+      delete globalThis.ABClassController;
+    } else {
+      globalThis.ABClassController = originalABClassController;
+    }
+
+    vi.restoreAllMocks();
+  });
+
+  it('delegates with update mode and speaker notes by default', () => {
+    const { populateStudentFeedback_ } = loadAssignmentAssessmentModule();
+
+    expect(populateStudentFeedback_(VALID_PARAMETERS)).toEqual(SUMMARY);
+    expect(populateStudentFeedback).toHaveBeenCalledWith(
+      expect.objectContaining({
+        ...VALID_PARAMETERS,
+        mode: 'update',
+        placement: 'speakerNotes',
+      })
+    );
+  });
+
+  it('passes mode and placement through', () => {
+    const { populateStudentFeedback_ } = loadAssignmentAssessmentModule();
+
+    populateStudentFeedback_({ ...VALID_PARAMETERS, mode: 'remove', placement: 'textBox' });
+
+    expect(populateStudentFeedback).toHaveBeenCalledWith(
+      expect.objectContaining({ mode: 'remove', placement: 'textBox' })
+    );
+  });
+
+  it.each([
+    ['courseId', { courseId: '' }],
+    ['assignmentId', { assignmentId: 'assign\n1' }],
+    ['mode', { mode: 'append' }],
+    ['placement', { placement: 'comment' }],
+  ])('throws ApiValidationError naming %s for invalid input', (fieldName, overrides) => {
+    const { populateStudentFeedback_ } = loadAssignmentAssessmentModule();
+
+    expect(() => populateStudentFeedback_({ ...VALID_PARAMETERS, ...overrides })).toThrow(
+      expect.objectContaining({ method: 'populateStudentFeedback', fieldName })
+    );
+    expect(populateStudentFeedback).not.toHaveBeenCalled();
+  });
+});
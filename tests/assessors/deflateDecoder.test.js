@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import zlib from 'node:zlib';
+import DeflateDecoder from '../../src/backend/Assessors/0_DeflateDecoder.js';
+
+describe('DeflateDecoder', () => {
+  it('inflates stored, fixed and dynamic deflate blocks', () => {
+    const data = Buffer.from(Array.from({ length: 20000 }, (_, i) => (i * 7 + (i >> 5)) % 251));
+    const streams = [
+      zlib.deflateRawSync(data, { level: 0 }),
+      zlib.deflateRawSync(data, { strategy: zlib.constants.Z_FIXED }),
+      zlib.deflateRawSync(data, { level: 9 }),
+    ];
+
+    streams.forEach((stream) => {
+      expect(Buffer.from(DeflateDecoder.inflate(new Uint8Array(stream)))).toEqual(data);
+    });
+  });
+
+  it('throws on truncated or malformed data', () => {
+    const stream = zlib.deflateRawSync(Buffer.from('hello hello hello'));
+
+    expect(() => DeflateDecoder.inflate(new Uint8Array(stream.subarray(0, 3)))).toThrow(
+      'Unexpected end of DEFLATE data'
+    );
+    expect(() => DeflateDecoder.inflate(new Uint8Array([0b111]))).toThrow(
+      'Invalid DEFLATE block type'
+    );
+  });
+});
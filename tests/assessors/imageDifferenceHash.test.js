@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import ImageDifferenceHash from '../../src/backend/Assessors/0_ImageDifferenceHash.js';
+import { blackSquare, createPngDataUrl } from '../helpers/pngFixtures.js';
+
+const WIDTH = 160;
+const HEIGHT = 90;
+
+describe('ImageDifferenceHash', () => {
+  it('hashes the same picture identically however it is compressed or filtered', () => {
+    const hashes = [
+      createPngDataUrl(WIDTH, HEIGHT, blackSquare(10, 10)),
+      createPngDataUrl(WIDTH, HEIGHT, blackSquare(10, 10), { level: 0 }),
+      createPngDataUrl(WIDTH, HEIGHT, blackSquare(10, 10), { level: 9 }),
+      createPngDataUrl(WIDTH, HEIGHT, blackSquare(10, 10), { filterForRow: (y) => y % 5 }),
+      createPngDataUrl(WIDTH, HEIGHT, blackSquare(10, 10), { colourType: 0 }),
+    ].map((dataUrl) => ImageDifferenceHash.fromDataUrl(dataUrl));
+
+    expect(hashes[0]).toMatch(/^[\da-f]{16}$/);
+    expect(new Set(hashes).size).toBe(1);
+  });
+
+  it('treats transparent pixels as white', () => {
+    const opaque = createPngDataUrl(WIDTH, HEIGHT, blackSquare(10, 10));
+    const transparent = createPngDataUrl(
+      WIDTH,
+      HEIGHT,
+      (x, y) => (blackSquare(10, 10)(x, y)[0] === 0 ? [0, 0, 0, 255] : [0, 0, 0, 0]),
+      { colourType: 6 }
+    );
+
+    expect(ImageDifferenceHash.fromDataUrl(transparent)).toBe(
+      ImageDifferenceHash.fromDataUrl(opaque)
+    );
+  });
+
+  it('keeps small moves close and large moves apart', () => {
+    const original = ImageDifferenceHash.fromDataUrl(
+      createPngDataUrl(WIDTH, HEIGHT, blackSquare(10, 10))
+    );
+    const nudged = ImageDifferenceHash.fromDataUrl(
+      createPngDataUrl(WIDTH, HEIGHT, blackSquare(12, 10))
+    );
+    const moved = ImageDifferenceHash.fromDataUrl(
+      createPngDataUrl(WIDTH, HEIGHT, blackSquare(120, 60))
+    );
+
+    expect(ImageDifferenceHash.distance(original, nudged)).toBeLessThanOrEqual(2);
+    expect(ImageDifferenceHash.distance(original, moved)).toBeGreaterThan(4);
+  });
+
+  it('returns null for content it cannot decode', () => {
+    expect(ImageDifferenceHash.fromDataUrl(null)).toBeNull();
+    expect(ImageDifferenceHash.fromDataUrl('data:image/jpeg;base64,/9j/4AAQ')).toBeNull();
+    expect(ImageDifferenceHash.fromDataUrl('data:image/png;base64,AAAA')).toBeNull();
+  });
+
+  it('counts differing bits between two hashes', () => {
+    expect(ImageDifferenceHash.distance('0000000000000000', '000000000000000f')).toBe(4);
+    expect(ImageDifferenceHash.distance('ffffffffffffffff', '0000000000000000')).toBe(64);
+  });
+});
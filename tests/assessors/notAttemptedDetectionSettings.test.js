@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import NotAttemptedDetectionSettings from '../../src/backend/Assessors/NotAttemptedDetectionSettings.js';
+
+describe('NotAttemptedDetectionSettings', () => {
+  it('returns a fresh copy of the defaults for null and undefined', () => {
+    const normalised = NotAttemptedDetectionSettings.normalise(null);
+
+    expect(normalised).toEqual({
+      minChangedCharacters: 1,
+      minChangedCells: 1,
+      maxImageDistance: null,
+    });
+    expect(normalised).not.toBe(NotAttemptedDetectionSettings.DEFAULTS);
+    expect(NotAttemptedDetectionSettings.normalise(undefined)).toEqual(normalised);
+  });
+
+  it('fills missing fields with the defaults and drops unknown ones', () => {
+    expect(
+      NotAttemptedDetectionSettings.normalise({
+        minChangedCells: 3,
+        maxImageDistance: 0,
+        extra: true,
+      })
+    ).toEqual({ minChangedCharacters: 1, minChangedCells: 3, maxImageDistance: 0 });
+  });
+
+  it.each([
+    ['a non-object', 'strict', TypeError],
+    ['a negative image distance', { maxImageDistance: -1 }, RangeError],
+    ['a fractional character count', { minChangedCharacters: 2.5 }, RangeError],
+  ])('rejects %s', (_label, settings, errorType) => {
+    expect(() => NotAttemptedDetectionSettings.normalise(settings)).toThrow(errorType);
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it, expect } from 'vitest';
+import NotAttemptedDetector from '../../src/backend/Assessors/NotAttemptedDetector.js';
+import { ArtifactFactory } from '../../src/backend/Models/Artifacts/index.js';
+import NotAttemptedDetectionSettings from '../../src/backend/Assessors/NotAttemptedDetectionSettings.js';
+import { blackSquare, createPngDataUrl } from '../helpers/pngFixtures.js';
+
+/**
+ * Builds a detector from partial settings, filling the rest with the defaults.
+ * @param {Object|null} [settings] - notAttemptedDetection settings.
+ * @returns {NotAttemptedDetector} The detector.
+ */
+function createDetector(settings = null) {
+  return new NotAttemptedDetector(NotAttemptedDetectionSettings.normalise(settings));
+}
+
+/**
+ * Builds a hashed template and student artifact pair of one type.
+ * @param {string} type - Artifact type.
+ * @param {*} templateContent - Template content.
+ * @param {*} studentContent - Student content.
+ * @returns {{template: Object, student: Object}} The artifacts.
+ */
+function createPair(type, templateContent, studentContent) {
+  const template = ArtifactFactory.create({
+    type,
+    taskId: 't1',
+    role: 'template',
+    content: templateContent,
+  });
+  const student = ArtifactFactory.create({
+    type,
+    taskId: 't1',
+    role: 'submission',
+    content: studentContent,
+  });
+  template.ensureHash();
+  student.ensureHash();
+  return { template, student };
+}
+
+describe('NotAttemptedDetector', () => {
+  it('treats empty and hash-identical answers as not attempted for every type', () => {
+    const detector = createDetector();
+    const spreadsheet = createPair('SPREADSHEET', [['=SUM(A1:A2)']], [['=sum(a1:a2)']]);
+    const empty = createPair('TEXT', 'Template', '');
+
+    expect(detector.isNotAttempted(spreadsheet.student, spreadsheet.template)).toBe(true);
+    expect(detector.isNotAttempted(empty.student, empty.template)).toBe(true);
+  });
+
+  describe('text', () => {
+    it('ignores case and whitespace changes', () => {
+      const { template, student } = createPair(
+        'TEXT',
+        'Explain photosynthesis.',
+        'explain   PHOTOSYNTHESIS.\n'
+      );
+
+      expect(createDetector().isNotAttempted(student, template)).toBe(true);
+    });
+
+    it('counts the changed characters against the threshold', () => {
+      const { template, student } = createPair('TEXT', 'Name:', 'Name: Sam');
+
+      expect(createDetector().isNotAttempted(student, template)).toBe(false);
+      expect(createDetector({ minChangedCharacters: 4 }).isNotAttempted(student, template)).toBe(
+        false
+      );
+      expect(createDetector({ minChangedCharacters: 5 }).isNotAttempted(student, template)).toBe(
+        true
+      );
+    });
+
+    it('counts edits in the middle of the template', () => {
+      expect(NotAttemptedDetector.countChangedCharacters('a b c', 'a xyz c')).toBe(3);
+      expect(NotAttemptedDetector.countChangedCharacters('aaa', 'aaaa')).toBe(1);
+      expect(NotAttemptedDetector.countChangedCharacters('', 'abc')).toBe(3);
+    });
+  });
+
+  describe('table', () => {
+    const templateRows = [
+      ['Organ', 'Function'],
+      ['Heart', ''],
+      ['Lungs', ''],
+    ];
+
+    it('compares normalised cells against the threshold', () => {
+      const { template, student } = createPair('TABLE', templateRows, [
+        ['organ', 'Function '],
+        ['Heart', 'Pumps blood'],
+        ['Lungs', ''],
+      ]);
+
+      expect(createDetector().isNotAttempted(student, template)).toBe(false);
+      expect(createDetector({ minChangedCells: 2 }).isNotAttempted(student, template)).toBe(true);
+    });
+
+    it('counts added rows as changed cells', () => {
+      expect(
+        NotAttemptedDetector.countChangedCells(
+          NotAttemptedDetector.parseTableCells('| a | b |\n| --- | --- |\n| | |'),
+          NotAttemptedDetector.parseTableCells('| a | b |\n| --- | --- |\n| | |\n| c | d |')
+        )
+      ).toBe(2);
+    });
+  });
+
+  describe('image', () => {
+    const template = createPngDataUrl(160, 90, blackSquare(10, 10));
+    const nudged = createPngDataUrl(160, 90, blackSquare(12, 10));
+    const moved = createPngDataUrl(160, 90, blackSquare(120, 60));
+
+    it('only compares hashes when maxImageDistance is set', () => {
+      const pair = createPair('IMAGE', template, nudged);
+
+      expect(createDetector().isNotAttempted(pair.student, pair.template)).toBe(false);
+      expect(
+        createDetector({ maxImageDistance: 2 }).isNotAttempted(pair.student, pair.template)
+      ).toBe(true);
+    });
+
+    it('treats an image moved well away from the template as attempted', () => {
+      const pair = createPair('IMAGE', template, moved);
+
+      expect(
+        createDetector({ maxImageDistance: 2 }).isNotAttempted(pair.student, pair.template)
+      ).toBe(false);
+    });
+
+    it('treats images that cannot be hashed as attempted', () => {
+      const pair = createPair('IMAGE', template, 'data:image/jpeg;base64,/9j/4AAQ');
+
+      expect(
+        createDetector({ maxImageDistance: 64 }).isNotAttempted(pair.student, pair.template)
+      ).toBe(false);
+    });
+  });
+
+  it('lets callers register a check for another artifact type', () => {
+    const detector = createDetector().register('SPREADSHEET', () => true);
+    const { template, student } = createPair('SPREADSHEET', [['=A1']], [['=A2']]);
+
+    expect(detector.isNotAttempted(student, template)).toBe(true);
+  });
+});
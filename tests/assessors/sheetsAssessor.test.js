@@ -283,4 +283,29 @@ describe('SheetsAssessor', () => {
       { location: [1, 4], status: 'incorrect' },
     ]);
   });
+
+  it("credits formulae from the task rubric's declared equivalence sets", () => {
+    const taskDefinition = new TaskDefinition({
+      taskTitle: 'Average score',
+      pageId: 3,
+      rubric: { formulaEquivalenceSets: [['=AVERAGE(B2:B10)', '=MEDIAN(B2:B10)']] },
+    });
+    taskDefinition.addReferenceArtifact({
+      type: 'SPREADSHEET',
+      content: [['=SUM(B2:B10)/COUNT(B2:B10)', '=MAX(B2:B10)']],
+    });
+    const submission = new StudentSubmission('student-1', 'assignment-1', 'doc-1', 'Student One');
+    submission.upsertItemFromExtraction(taskDefinition, {
+      content: [['=median(b2:b10)', '=MEDIAN(B2:B10)']],
+    });
+    const taskId = taskDefinition.getId();
+
+    new SheetsAssessor({ [taskId]: taskDefinition }, [submission]).assessResponses();
+
+    expect(submission.getItem(taskId).assessments.formulaComparison).toMatchObject({
+      correct: 1,
+      incorrect: 1,
+      notAttempted: 0,
+    });
+  });
 });
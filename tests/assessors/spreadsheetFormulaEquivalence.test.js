@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import SpreadsheetFormulaEquivalence from '../../src/backend/Assessors/0_SpreadsheetFormulaEquivalence.js';
+
+describe('SpreadsheetFormulaEquivalence', () => {
+  it.each([
+    ['case, whitespace and absolute markers', '=sum( $b$2:b10 )', '=SUM(B2:B10)'],
+    ['reversed range corners', '=SUM(B10:B2)', '=SUM(B2:B10)'],
+    ['reordered addition against a SUM range', '=C1+A1+B1', '=SUM(A1:C1)'],
+    ['SUM arguments split across ranges', '=SUM(A1:A2,A3)', '=SUM(A1:A3)'],
+    ['reordered multiplication', '=B1*A1*2', '=2*A1*B1'],
+    ['subtraction as adding a negative', '=-B1+A1', '=A1-B1'],
+    ['a negated factor moved across a product', '=-A1*B1', '=A1*-B1'],
+    ['a negated product and a negated factor', '=-(A1*B1)', '=B1*-A1'],
+    ['a negative coefficient and a negated cell', '=-2*A1', '=2*-A1'],
+    ['cancelling negations in a product', '=-A1*-B1', '=A1*B1'],
+    ['mirrored comparisons', '=IF(B1<A1,"Yes","No")', '=IF(A1>B1,"Yes","No")'],
+    ['SUM over COUNT as AVERAGE', '=SUM(B2:B10)/COUNT(B2:B10)', '=AVERAGE(B2:B10)'],
+    ['modern and legacy function names', '=STDEV.S(A1:A9)', '=STDEV(A1:A9)'],
+    ['order-insensitive function arguments', '=MAX(C1,A1:B1)', '=MAX(A1,B1,C1)'],
+    ['percent literals', '=A1*50%', '=A1*0.5'],
+    ['quoted and unquoted sheet names', "='Sheet1'!A1+1", '=1+sheet1!A1'],
+  ])('treats %s as equivalent', (_label, studentFormula, referenceFormula) => {
+    expect(SpreadsheetFormulaEquivalence.areEquivalent(studentFormula, referenceFormula)).toBe(
+      true
+    );
+  });
+
+  it.each([
+    ['a wider SUM range', '=A1+A2', '=SUM(A1:A3)'],
+    ['swapped division operands', '=B1/A1', '=A1/B1'],
+    ['swapped subtraction operands', '=B1-A1', '=A1-B1'],
+    ['a product and its negation', '=-A1*B1', '=A1*B1'],
+    ['a bare range against its SUM', '=B2:B200', '=SUM(B2:B200)'],
+    ['a different function', '=MEDIAN(B2:B10)', '=AVERAGE(B2:B10)'],
+    ['string literals differing in case', '=A1&"yes"', '=A1&"YES"'],
+    ['an empty student formula', '', '=A1'],
+  ])('keeps %s distinct', (_label, studentFormula, referenceFormula) => {
+    expect(SpreadsheetFormulaEquivalence.areEquivalent(studentFormula, referenceFormula)).toBe(
+      false
+    );
+  });
+
+  it('accepts formulae from a declared equivalence set in any spelling', () => {
+    const equivalenceSets = [['AVERAGE(B2:B10)', '= median( b2:b10 )']];
+
+    expect(
+      SpreadsheetFormulaEquivalence.areEquivalent(
+        '=MEDIAN(B2:B10)',
+        '=SUM(B2:B10)/COUNT(B2:B10)',
+        equivalenceSets
+      )
+    ).toBe(true);
+    expect(
+      SpreadsheetFormulaEquivalence.areEquivalent('=MODE(B2:B10)', '=AVERAGE(B2:B10)', [
+        ['=MEDIAN(B2:B10)', '=MODE(B2:B10)'],
+      ])
+    ).toBe(false);
+  });
+
+  it('falls back to comparing text for formulae it cannot parse', () => {
+    expect(SpreadsheetFormulaEquivalence.getCanonicalSignature('={1,2}')).toBeNull();
+    expect(SpreadsheetFormulaEquivalence.areEquivalent('={1,2}', '={1,2}')).toBe(true);
+    expect(SpreadsheetFormulaEquivalence.areEquivalent('={1,2}', '=A1', [['{1,2}', '=A1']])).toBe(
+      true
+    );
+  });
+});
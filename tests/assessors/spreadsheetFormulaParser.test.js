@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import SpreadsheetFormulaParser from '../../src/backend/Assessors/0_SpreadsheetFormulaParser.js';
+
+/**
+ * Builds the expected node for a reference.
+ * @param {Object} bounds - Reference bounds and optional sheet name.
+ * @returns {Object} Reference node.
+ */
+function reference({ sheetName = '', startColumn, startRow, endColumn, endRow }) {
+  return { type: 'reference', sheetName, startColumn, startRow, endColumn, endRow };
+}
+
+describe('SpreadsheetFormulaParser', () => {
+  it('parses function calls with normalised ranges and upper-cased names', () => {
+    expect(SpreadsheetFormulaParser.parse('=average($B$10:b2)')).toEqual({
+      type: 'function',
+      name: 'AVERAGE',
+      arguments: [reference({ startColumn: 2, startRow: 2, endColumn: 2, endRow: 10 })],
+    });
+  });
+
+  it('applies Sheets operator precedence, including unary minus before powers', () => {
+    expect(SpreadsheetFormulaParser.parse('=-2^2+A1*3')).toEqual({
+      type: 'binary',
+      operator: '+',
+      left: {
+        type: 'binary',
+        operator: '^',
+        left: { type: 'unary', operator: '-', operand: { type: 'number', value: 2 } },
+        right: { type: 'number', value: 2 },
+      },
+      right: {
+        type: 'binary',
+        operator: '*',
+        left: reference({ startColumn: 1, startRow: 1, endColumn: 1, endRow: 1 }),
+        right: { type: 'number', value: 3 },
+      },
+    });
+  });
+
+  it('reads sheet-qualified, whole-column, open-ended and row ranges', () => {
+    const parsed = SpreadsheetFormulaParser.parse("=SUM('Year 7''s'!A:A, Data!C2:C, 1:3)");
+
+    expect(parsed.arguments).toEqual([
+      reference({
+        sheetName: "YEAR 7'S",
+        startColumn: 1,
+        startRow: null,
+        endColumn: 1,
+        endRow: null,
+      }),
+      reference({ sheetName: 'DATA', startColumn: 3, startRow: 2, endColumn: 3, endRow: null }),
+      reference({ startColumn: null, startRow: 1, endColumn: null, endRow: 3 }),
+    ]);
+  });
+
+  it('keeps string case, escaped quotes, empty arguments and literals', () => {
+    expect(SpreadsheetFormulaParser.parse('=IF(A1,"Say ""Hi""",,TRUE,#N/A,1.5E+2)')).toEqual({
+      type: 'function',
+      name: 'IF',
+      arguments: [
+        reference({ startColumn: 1, startRow: 1, endColumn: 1, endRow: 1 }),
+        { type: 'string', value: 'Say "Hi"' },
+        { type: 'empty' },
+        { type: 'boolean', value: true },
+        { type: 'error', value: '#N/A' },
+        { type: 'number', value: 150 },
+      ],
+    });
+  });
+
+  it('treats names that look like cells followed by a bracket as functions', () => {
+    expect(SpreadsheetFormulaParser.parse('=LOG10(tax_rate)')).toEqual({
+      type: 'function',
+      name: 'LOG10',
+      arguments: [{ type: 'name', name: 'TAX_RATE' }],
+    });
+  });
+
+  it.each([['={1,2}'], ['=SUM(A1'], ['=A1+'], ['="unterminated'], ['=']])(
+    'returns null for unsupported or malformed input %s',
+    (formula) => {
+      expect(SpreadsheetFormulaParser.parse(formula)).toBeNull();
+    }
+  );
+});
@@ -0,0 +1,155 @@
+import { describe, it, expect } from 'vitest';
+import SubmissionSimilarityDetector from '../../src/backend/Assessors/SubmissionSimilarityDetector.js';
+import {
+  createStudentSubmission,
+  createTaskDefinition,
+  createTextTask,
+} from '../helpers/modelFactories.js';
+
+const ESSAY =
+  'Photosynthesis happens in the chloroplasts where light energy is used to turn carbon dioxide and water into glucose and oxygen.';
+const REWORDED_ESSAY =
+  'In plants photosynthesis happens in the chloroplasts where light energy is used to turn carbon dioxide and water into sugar.';
+const OWN_ESSAY =
+  'Plants trap sunlight with chlorophyll and store that energy as sugar, giving off the oxygen we breathe as a waste product.';
+
+/**
+ * Builds a submission with one answer per task.
+ * @param {string} studentId - Student ID.
+ * @param {Array<[Object, string]>} answers - Task definitions and the student's answer to each.
+ * @returns {Object} The submission.
+ */
+function submit(studentId, answers) {
+  const submission = createStudentSubmission({ studentId });
+  answers.forEach(([task, content]) => submission.upsertItemFromExtraction(task, { content }));
+  return submission;
+}
+
+/**
+ * Keys task definitions by ID, as on an assignment definition.
+ * @param {Array<Object>} tasks - Task definitions, in order.
+ * @returns {Object} Task definitions keyed by ID.
+ */
+function keyTasks(tasks) {
+  return Object.fromEntries(tasks.map((task) => [task.getId(), task]));
+}
+
+describe('SubmissionSimilarityDetector', () => {
+  it('flags identical answers as an exact match', () => {
+    const task = createTextTask(0, 'Reference');
+    const report = SubmissionSimilarityDetector.detect(
+      [
+        submit('s2', [[task, ESSAY]]),
+        submit('s1', [[task, ESSAY]]),
+        submit('s3', [[task, OWN_ESSAY]]),
+      ],
+      keyTasks([task])
+    );
+
+    expect(report.tasks).toEqual([
+      {
+        taskId: task.getId(),
+        comparedCount: 3,
+        pairs: [
+          { studentIds: ['s1', 's2'], method: 'exact', similarity: 1, matchedSpans: [ESSAY] },
+        ],
+        clusters: [{ studentIds: ['s1', 's2'] }],
+      },
+    ]);
+  });
+
+  it('flags reworded answers as a fuzzy match with the shared passage', () => {
+    const task = createTextTask(0, 'Reference');
+    const report = SubmissionSimilarityDetector.detect(
+      [submit('s1', [[task, ESSAY]]), submit('s2', [[task, REWORDED_ESSAY]])],
+      keyTasks([task])
+    );
+
+    const [pair] = report.tasks[0].pairs;
+    expect(pair.method).toBe('fuzzy');
+    expect(pair.similarity).toBeGreaterThanOrEqual(0.5);
+    expect(pair.similarity).toBeLessThan(1);
+    expect(pair.matchedSpans).toEqual([
+      'Photosynthesis happens in the chloroplasts where light energy is used to turn carbon dioxide and water into',
+    ]);
+  });
+
+  it('ignores template wording, unchanged templates and short answers', () => {
+    const template =
+      'Explain how photosynthesis works in plants and describe what it needs and what it makes.';
+    const task = createTextTask(0, 'Reference', template);
+    const shortTask = createTextTask(1, 'Reference');
+    const report = SubmissionSimilarityDetector.detect(
+      [
+        submit('s1', [
+          [task, `${template} ${ESSAY}`],
+          [shortTask, 'Glucose and oxygen.'],
+        ]),
+        submit('s2', [
+          [task, `${template} ${OWN_ESSAY}`],
+          [shortTask, 'Glucose and oxygen.'],
+        ]),
+        submit('s3', [[task, template]]),
+        submit('s4', [[task, template]]),
+      ],
+      keyTasks([task, shortTask])
+    );
+
+    expect(report.tasks).toEqual([]);
+  });
+
+  it('compares table answers but not spreadsheet answers', () => {
+    const table = `| Reactant | Product |\n| --- | --- |\n| ${ESSAY} | none |`;
+    const tableTask = createTaskDefinition({ index: 0, refType: 'TABLE', templateType: 'TABLE' });
+    const sheetTask = createTaskDefinition({
+      index: 1,
+      refType: 'SPREADSHEET',
+      templateType: 'SPREADSHEET',
+      refContent: [['=SUM(A1:A3)']],
+      templateContent: [['']],
+    });
+    const sheet = [[`=SUM(A1:A3) ${ESSAY}`]];
+    const report = SubmissionSimilarityDetector.detect(
+      [
+        submit('s1', [
+          [tableTask, table],
+          [sheetTask, sheet],
+        ]),
+        submit('s2', [
+          [tableTask, table],
+          [sheetTask, sheet],
+        ]),
+      ],
+      keyTasks([tableTask, sheetTask])
+    );
+
+    expect(report.tasks.map(({ taskId }) => taskId)).toEqual([tableTask.getId()]);
+  });
+
+  it('groups students linked by a chain of matches into one cluster', () => {
+    const task = createTextTask(0, 'Reference');
+    const report = SubmissionSimilarityDetector.detect(
+      [
+        submit('s3', [[task, REWORDED_ESSAY]]),
+        submit('s1', [[task, ESSAY]]),
+        submit('s2', [[task, ESSAY]]),
+        submit('s4', [[task, OWN_ESSAY]]),
+      ],
+      keyTasks([task])
+    );
+
+    expect(report.tasks[0].pairs.map(({ studentIds }) => studentIds)).toEqual([
+      ['s1', 's2'],
+      ['s1', 's3'],
+      ['s2', 's3'],
+    ]);
+    expect(report.tasks[0].clusters).toEqual([{ studentIds: ['s1', 's2', 's3'] }]);
+  });
+
+  it('returns an empty report when there are no submissions', () => {
+    const report = SubmissionSimilarityDetector.detect([], keyTasks([createTextTask(0, 'Ref')]));
+
+    expect(report).toMatchObject({ shingleSize: 5, threshold: 0.5, tasks: [] });
+    expect(typeof report.checkedAt).toBe('string');
+  });
+});
@@ -11,13 +11,14 @@ import { AssignmentDefinition } from '../../src/backend/Models/AssignmentDefinit
 import {
   createSlidesAssignment,
   createSheetsAssignment,
+  createDocsAssignment,
   createTextTask,
   createStudentSubmission,
 } from '../helpers/modelFactories.js';
 
 /**
  * Helper function to create standard test data for deserialization tests.
- * @param {string} docType - Document type (SLIDES or SHEETS)
+ * @param {string} docType - Document type (SLIDES, SHEETS or DOCS)
  * @param {string} courseId - Course ID prefix
  * @return {object} Standard test data
  */
@@ -63,6 +64,7 @@ function assertAssignmentProperties(assignment, docType, courseId) {
 
 const SlidesAssignment = require('../../src/backend/AssignmentProcessor/SlidesAssignment.js');
 require('../../src/backend/AssignmentProcessor/SheetsAssignment.js');
+const DocsAssignment = require('../../src/backend/AssignmentProcessor/DocsAssignment.js');
 
 let originalLoggerGetInstance;
 
@@ -104,6 +106,7 @@ describe('Assignment.create() Factory Method', () => {
   const testCases = [
     { docType: 'SLIDES', courseId: 'c1', assignmentId: 'a1', refId: 'ref1', tplId: 'tpl1' },
     { docType: 'SHEETS', courseId: 'c2', assignmentId: 'a2', refId: 'ref2', tplId: 'tpl2' },
+    { docType: 'DOCS', courseId: 'c3', assignmentId: 'a3', refId: 'ref3', tplId: 'tpl3' },
   ];
 
   testCases.forEach(({ docType, courseId, assignmentId, refId, tplId }) => {
@@ -156,6 +159,7 @@ describe('Assignment.fromJSON() Polymorphic Deserialization', () => {
   const testCases = [
     { docType: 'SLIDES', courseId: 'c1' },
     { docType: 'SHEETS', courseId: 'c2' },
+    { docType: 'DOCS', courseId: 'c3' },
   ];
 
   testCases.forEach(({ docType, courseId }) => {
@@ -334,6 +338,15 @@ describe('Polymorphic Round-Trip', () => {
     }
   });
 
+  it('should restore a DocsAssignment after a toJSON() -> fromJSON() round-trip', () => {
+    const original = createDocsAssignment({ courseId: 'c-docs', assignmentId: 'a-docs' });
+
+    const restored = Assignment.fromJSON(original.toJSON());
+
+    expect(restored.assignmentDefinition.documentType).toBe('DOCS');
+    expect(restored).toBeInstanceOf(DocsAssignment);
+  });
+
   it('should explicitly verify documentType field survives round-trip', () => {
     // RED: documentType field doesn't exist yet
     const data = {
@@ -160,6 +160,59 @@ describe('Assignment Serialisation', () => {
     });
   });
 
+  describe('similarityReport', () => {
+    it('persists the report in the full payload only and restores it on rehydration', () => {
+      const { assignment } = buildAssignmentFixture();
+      const report = {
+        checkedAt: '2026-01-02T00:00:00.000Z',
+        shingleSize: 5,
+        threshold: 0.5,
+        tasks: [],
+      };
+      assignment.similarityReport = report;
+
+      const json = assignment.toJSON();
+      const restored = Assignment.fromJSON(json);
+
+      expect(json.similarityReport).toEqual(report);
+      expect(assignment.toPartialJSON().similarityReport).toBeUndefined();
+      expect(restored.similarityReport).toEqual(report);
+      expect(
+        Assignment.fromJSON({ ...json, similarityReport: undefined }).similarityReport
+      ).toBeNull();
+    });
+  });
+
+  describe('assessmentUsage', () => {
+    it('keeps the usage records in the full and partial payloads and restores them', () => {
+      const { assignment } = buildAssignmentFixture();
+      const usage = [
+        {
+          runId: 'run-1',
+          definitionKey: 'def-1',
+          startedAt: '2026-01-02T00:00:00.000Z',
+          profiles: ['Default'],
+          requests: 4,
+          retries: 1,
+          validationFailures: 0,
+          cacheHits: 2,
+          notAttempted: 1,
+          payloadBytes: 2048,
+          maxPayloadBytes: 600,
+          assessorUsage: { inputTokens: 900 },
+        },
+      ];
+      assignment.assessmentUsage = usage;
+
+      expect(assignment.toJSON().assessmentUsage).toEqual(usage);
+      expect(assignment.toPartialJSON().assessmentUsage).toEqual(usage);
+      expect(Assignment.fromJSON(assignment.toPartialJSON()).assessmentUsage).toEqual(usage);
+      expect(
+        Assignment.fromJSON({ ...assignment.toJSON(), assessmentUsage: undefined }).assessmentUsage
+      ).toEqual([]);
+    });
+  });
+
   describe('SlidesAssignment.toPartialJSON()', () => {
     it('produces correct partial shape with documentType', () => {
       const fullDef = new AssignmentDefinition({
@@ -36,6 +36,11 @@ const VALID_GOOGLE_URLS = {
       'https://docs.google.com/spreadsheets/d/2xYzAbCdEfGhIjKlMnOpQrStUvWx/edit?usp=sharing',
     gsheetPrefix: 'https://docs.google.com/spreadsheets/d/3xYzAbCdEfGhIjKlMnOpQrStUvWx/edit#gid=0',
   },
+  DOCS: {
+    basic: 'https://docs.google.com/document/d/1dOcAbCdEfGhIjKlMnOpQrStUvWx/edit',
+    withHeadingHash:
+      'https://docs.google.com/document/d/2dOcAbCdEfGhIjKlMnOpQrStUvWx/edit#heading=h.abc123',
+  },
 };
 
 describe('Api/assignmentDefinitionPartials transport contract', () => {
@@ -464,6 +469,16 @@ describe('extractSupportedDocumentDescriptor_ URL parsing regression tests', ()
       url: VALID_GOOGLE_URLS.SHEETS.gsheetPrefix,
       expected: { documentId: '3xYzAbCdEfGhIjKlMnOpQrStUvWx', documentType: 'SHEETS' },
     },
+    {
+      description: 'basic docs URL',
+      url: VALID_GOOGLE_URLS.DOCS.basic,
+      expected: { documentId: '1dOcAbCdEfGhIjKlMnOpQrStUvWx', documentType: 'DOCS' },
+    },
+    {
+      description: 'docs URL with heading hash',
+      url: VALID_GOOGLE_URLS.DOCS.withHeadingHash,
+      expected: { documentId: '2dOcAbCdEfGhIjKlMnOpQrStUvWx', documentType: 'DOCS' },
+    },
   ])('correctly parses valid Google Docs URLs: $description', ({ url, expected }) => {
     installAssignmentDefinitionControllerStub([]);
 
@@ -497,7 +512,7 @@ describe('extractSupportedDocumentDescriptor_ URL parsing regression tests', ()
     },
     {
       description: 'missing path prefix',
-      url: 'https://docs.google.com/document/d/1aBcDeFgHiJkLmNoPqRsTuVwXyZ/edit',
+      url: 'https://docs.google.com/d/1aBcDeFgHiJkLmNoPqRsTuVwXyZ/edit',
     },
     {
       description: 'invalid path (forms instead of presentation)',
@@ -540,9 +555,9 @@ describe('extractSupportedDocumentDescriptor_ URL parsing regression tests', ()
 
     const { extractSupportedDocumentDescriptor_ } = loadAssignmentDefinitionPartialsModule();
 
-    // Google Docs (documents) are not supported - only SLIDES and SHEETS
-    const docUrl = 'https://docs.google.com/document/d/1aBcDeFgHiJkLmNoPqRsTuVwXyZ/edit';
-    expect(() => extractSupportedDocumentDescriptor_(docUrl, 'testField')).toThrow(
+    // Google Drawings are not supported - only SLIDES, SHEETS and DOCS
+    const drawingUrl = 'https://docs.google.com/drawings/d/1aBcDeFgHiJkLmNoPqRsTuVwXyZ/edit';
+    expect(() => extractSupportedDocumentDescriptor_(drawingUrl, 'testField')).toThrow(
       ApiValidationError
     );
   });
@@ -2300,6 +2315,190 @@ describe('validateTaskWeightingsShape_', () => {
   );
 });
 
+describe('validateCriteriaShape_', () => {
+  const { beforeEachHandler, afterEachHandler } = createAssignmentDefinitionControllerHooks();
+
+  beforeEach(beforeEachHandler);
+  afterEach(afterEachHandler);
+
+  it.each([
+    { description: 'undefined criteria', criteria: undefined },
+    { description: 'null criteria (selects the defaults)', criteria: null },
+    {
+      description: 'complete criterion entries',
+      criteria: [{ key: 'codeQuality', label: 'Code quality', maxScore: 10, weighting: 1 }],
+    },
+    {
+      description: 'entries with out-of-range values (validated by the model)',
+      criteria: [{ key: 'accuracy', label: 'Accuracy', maxScore: -1, weighting: 1 }],
+    },
+  ])('accepts $description', ({ criteria }) => {
+    installAssignmentDefinitionControllerStub([]);
+    const { validateCriteriaShape_ } = loadAssignmentDefinitionValidationModule();
+
+    expect(() => validateCriteriaShape_(criteria)).not.toThrow();
+  });
+
+  it.each([
+    {
+      description: 'non-array criteria',
+      criteria: { key: 'accuracy' },
+      expectedError: 'criteria must be an array when provided.',
+      expectedField: 'criteria',
+    },
+    {
+      description: 'a non-object entry',
+      criteria: ['accuracy'],
+      expectedError: 'criteria entries must be objects.',
+      expectedField: 'criteria',
+    },
+    {
+      description: 'an entry missing maxScore',
+      criteria: [{ key: 'accuracy', label: 'Accuracy', weighting: 1 }],
+      expectedError: 'criteria entries must include maxScore.',
+      expectedField: 'criteria[0].maxScore',
+    },
+  ])('rejects $description', ({ criteria, expectedError, expectedField }) => {
+    installAssignmentDefinitionControllerStub([]);
+    const { validateCriteriaShape_ } = loadAssignmentDefinitionValidationModule();
+
+    expect(() => validateCriteriaShape_(criteria)).toThrow(
+      expect.objectContaining({
+        message: expectedError,
+        fieldName: expectedField,
+        method: 'upsertAssignmentDefinition',
+      })
+    );
+  });
+});
+
+describe('validateAssessorProfileShape_', () => {
+  const { beforeEachHandler, afterEachHandler } = createAssignmentDefinitionControllerHooks();
+
+  beforeEach(beforeEachHandler);
+  afterEach(afterEachHandler);
+
+  it.each([
+    { description: 'an omitted profile', assessorProfile: undefined },
+    { description: 'null (selects the default profile)', assessorProfile: null },
+    { description: 'a profile name', assessorProfile: 'Homework' },
+  ])('accepts $description', ({ assessorProfile }) => {
+    installAssignmentDefinitionControllerStub([]);
+    const { validateAssessorProfileShape_ } = loadAssignmentDefinitionValidationModule();
+
+    expect(() => validateAssessorProfileShape_(assessorProfile)).not.toThrow();
+  });
+
+  it('rejects a non-string profile', () => {
+    installAssignmentDefinitionControllerStub([]);
+    const { validateAssessorProfileShape_ } = loadAssignmentDefinitionValidationModule();
+
+    expect(() => validateAssessorProfileShape_({ name: 'Homework' })).toThrow(
+      expect.objectContaining({
+        message: 'assessorProfile must be a string or null when provided.',
+        fieldName: 'assessorProfile',
+        method: 'upsertAssignmentDefinition',
+      })
+    );
+  });
+});
+
+describe('validateNotAttemptedDetectionShape_', () => {
+  const { beforeEachHandler, afterEachHandler } = createAssignmentDefinitionControllerHooks();
+
+  beforeEach(beforeEachHandler);
+  afterEach(afterEachHandler);
+
+  it.each([
+    { description: 'omitted settings', notAttemptedDetection: undefined },
+    { description: 'null (restores the defaults)', notAttemptedDetection: null },
+    {
+      description: 'out-of-range thresholds (validated by the model)',
+      notAttemptedDetection: { minChangedCharacters: 0, maxImageDistance: 100 },
+    },
+  ])('accepts $description', ({ notAttemptedDetection }) => {
+    installAssignmentDefinitionControllerStub([]);
+    const { validateNotAttemptedDetectionShape_ } = loadAssignmentDefinitionValidationModule();
+
+    expect(() => validateNotAttemptedDetectionShape_(notAttemptedDetection)).not.toThrow();
+  });
+
+  it.each([
+    { description: 'a number', notAttemptedDetection: 5 },
+    { description: 'an array', notAttemptedDetection: [{ minChangedCharacters: 5 }] },
+  ])('rejects $description', ({ notAttemptedDetection }) => {
+    installAssignmentDefinitionControllerStub([]);
+    const { validateNotAttemptedDetectionShape_ } = loadAssignmentDefinitionValidationModule();
+
+    expect(() => validateNotAttemptedDetectionShape_(notAttemptedDetection)).toThrow(
+      expect.objectContaining({
+        message: 'notAttemptedDetection must be an object or null when provided.',
+        fieldName: 'notAttemptedDetection',
+        method: 'upsertAssignmentDefinition',
+      })
+    );
+  });
+});
+
+describe('validateTaskRubricsShape_', () => {
+  const { beforeEachHandler, afterEachHandler } = createAssignmentDefinitionControllerHooks();
+
+  beforeEach(beforeEachHandler);
+  afterEach(afterEachHandler);
+
+  it.each([
+    { description: 'undefined taskRubrics', taskRubrics: undefined },
+    { description: 'a null rubric (removes it)', taskRubrics: [{ taskId: 't_1', rubric: null }] },
+    {
+      description: 'rubric contents left to the model',
+      taskRubrics: [{ taskId: 't_1', rubric: { levels: 'not-an-array' } }],
+    },
+  ])('accepts $description', ({ taskRubrics }) => {
+    installAssignmentDefinitionControllerStub([]);
+    const { validateTaskRubricsShape_ } = loadAssignmentDefinitionValidationModule();
+
+    expect(() => validateTaskRubricsShape_(taskRubrics)).not.toThrow();
+  });
+
+  it.each([
+    {
+      description: 'non-array taskRubrics',
+      taskRubrics: null,
+      expectedError: 'taskRubrics must be an array when provided.',
+      expectedField: 'taskRubrics',
+    },
+    {
+      description: 'a non-object entry',
+      taskRubrics: ['t_1'],
+      expectedError: 'taskRubrics entries must be objects.',
+      expectedField: 'taskRubrics',
+    },
+    {
+      description: 'an untrimmed taskId',
+      taskRubrics: [{ taskId: ' t_1', rubric: null }],
+      expectedError: 'taskRubrics.taskId must already be trimmed.',
+      expectedField: 'taskRubrics[0].taskId',
+    },
+    {
+      description: 'an entry missing rubric',
+      taskRubrics: [{ taskId: 't_1' }],
+      expectedError: 'taskRubrics entries must include rubric.',
+      expectedField: 'taskRubrics[0].rubric',
+    },
+  ])('rejects $description', ({ taskRubrics, expectedError, expectedField }) => {
+    installAssignmentDefinitionControllerStub([]);
+    const { validateTaskRubricsShape_ } = loadAssignmentDefinitionValidationModule();
+
+    expect(() => validateTaskRubricsShape_(taskRubrics)).toThrow(
+      expect.objectContaining({
+        message: expectedError,
+        fieldName: expectedField,
+        method: 'upsertAssignmentDefinition',
+      })
+    );
+  });
+});
+
 describe('validateRequiredYearGroupKey_', () => {
   const { beforeEachHandler, afterEachHandler } = createAssignmentDefinitionControllerHooks();
 
@@ -400,6 +400,8 @@ describe('ConfigurationManager getter and helper behaviour', () => {
       [ConfigurationManager.CONFIG_KEYS.JSON_DB_LOG_LEVEL]: 'warn',
       [ConfigurationManager.CONFIG_KEYS.JSON_DB_BACKUP_ON_INITIALISE]: 'true',
       [ConfigurationManager.CONFIG_KEYS.JSON_DB_ROOT_FOLDER_ID]: ' folder-123 ',
+      [ConfigurationManager.CONFIG_KEYS.ASSESSMENT_CACHE_RETENTION_DAYS]: '30',
+      [ConfigurationManager.CONFIG_KEYS.ASSESSMENT_CACHE_MAX_ENTRIES]: '2500',
     };
 
     mocks.PropertiesService.scriptProperties.getProperty.mockReturnValue(
@@ -417,6 +419,8 @@ describe('ConfigurationManager getter and helper behaviour', () => {
     expect(configManager.getJsonDbLogLevel()).toBe('WARN');
     expect(configManager.getJsonDbBackupOnInitialise()).toBe(true);
     expect(configManager.getJsonDbRootFolderId()).toBe('folder-123');
+    expect(configManager.getAssessmentCacheRetentionDays()).toBe(30);
+    expect(configManager.getAssessmentCacheMaxEntries()).toBe(2500);
     expect(configManager.hasProperty(ConfigurationManager.CONFIG_KEYS.API_KEY)).toBe(true);
     expect(configManager.hasProperty('missing')).toBe(false);
   });
@@ -434,6 +438,8 @@ describe('ConfigurationManager getter and helper behaviour', () => {
       [ConfigurationManager.CONFIG_KEYS.JSON_DB_LOG_LEVEL]: '',
       [ConfigurationManager.CONFIG_KEYS.JSON_DB_BACKUP_ON_INITIALISE]: '',
       [ConfigurationManager.CONFIG_KEYS.JSON_DB_ROOT_FOLDER_ID]: '   ',
+      [ConfigurationManager.CONFIG_KEYS.ASSESSMENT_CACHE_RETENTION_DAYS]: '0',
+      [ConfigurationManager.CONFIG_KEYS.ASSESSMENT_CACHE_MAX_ENTRIES]: '50',
     };
 
     mocks.PropertiesService.scriptProperties.getProperty.mockReturnValue(
@@ -465,6 +471,12 @@ describe('ConfigurationManager getter and helper behaviour', () => {
     expect(configManager.getJsonDbRootFolderId()).toBe(
       ConfigurationManager.DEFAULTS.JSON_DB_ROOT_FOLDER_ID
     );
+    expect(configManager.getAssessmentCacheRetentionDays()).toBe(
+      ConfigurationManager.DEFAULTS.ASSESSMENT_CACHE_RETENTION_DAYS
+    );
+    expect(configManager.getAssessmentCacheMaxEntries()).toBe(
+      ConfigurationManager.DEFAULTS.ASSESSMENT_CACHE_MAX_ENTRIES
+    );
   });
 
   it('converts values with the static boolean helpers', () => {
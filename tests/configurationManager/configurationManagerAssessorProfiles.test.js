@@ -0,0 +1,152 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createConfiguredConfigurationManager } from '../helpers/backendConfigTestHelpers.js';
+
+const ConfigurationManager = require('../../src/backend/ConfigurationManager/98_ConfigurationManagerClass.js');
+
+const HOMEWORK_KEY = 'hw_7pC98PCoGJOcjN-qz6rNlSzKkgySJF-1';
+const EXAM_KEY = 'ex_7pC98PCoGJOcjN-qz6rNlSzKkgySJF-2';
+
+/**
+ * Builds a valid assessor profile.
+ * @param {Object} [overrides] - Fields to replace.
+ * @returns {Object} The profile.
+ */
+function buildProfile(overrides = {}) {
+  return {
+    name: 'Homework',
+    backendUrl: 'https://cheap.example.test',
+    apiKey: HOMEWORK_KEY,
+    batchSize: 10,
+    taskTypes: ['TEXT', 'TABLE'],
+    failoverProfile: null,
+    ...overrides,
+  };
+}
+
+/**
+ * Creates a manager whose script store holds the given configuration.
+ * @param {Object} [store] - Stored configuration values.
+ * @returns {{ mocks: Object, configManager: ConfigurationManager }} The manager and its mocks.
+ */
+function createManager(store = null) {
+  return createConfiguredConfigurationManager(vi, ConfigurationManager, {
+    scriptPropertyValue: store ? JSON.stringify(store) : null,
+  });
+}
+
+/**
+ * Reads the assessor profiles most recently persisted by a manager.
+ * @param {Object} mocks - Mocks from `createManager`.
+ * @returns {Object[]} The persisted profiles.
+ */
+function persistedProfiles(mocks) {
+  const [, stored] = mocks.PropertiesService.scriptProperties.setProperty.mock.calls.at(-1);
+  return JSON.parse(JSON.parse(stored)[ConfigurationManager.CONFIG_KEYS.ASSESSOR_PROFILES]);
+}
+
+describe('ConfigurationManager assessor profiles', () => {
+  describe('validation', () => {
+    it('stores canonical profiles with upper-case, de-duplicated task types', () => {
+      const { mocks, configManager } = createManager();
+
+      configManager.setAssessorProfiles([
+        buildProfile({ name: ' Homework ', taskTypes: ['text', 'TEXT'] }),
+        buildProfile({ name: 'Exam', apiKey: EXAM_KEY, failoverProfile: 'homework' }),
+      ]);
+
+      expect(persistedProfiles(mocks)).toEqual([
+        buildProfile({ taskTypes: ['TEXT'] }),
+        buildProfile({ name: 'Exam', apiKey: EXAM_KEY, failoverProfile: 'homework' }),
+      ]);
+    });
+
+    it.each([
+      ['a reserved name', [buildProfile({ name: 'default' })], 'is reserved'],
+      [
+        'a duplicate name',
+        [buildProfile(), buildProfile({ name: 'HOMEWORK' })],
+        'is used more than once',
+      ],
+      ['no task types', [buildProfile({ taskTypes: [] })], 'task types must be a non-empty list'],
+      ['an unknown task type', [buildProfile({ taskTypes: ['AUDIO'] })], 'task types'],
+      ['a batch size out of range', [buildProfile({ batchSize: 501 })], 'batch size'],
+      ['a malformed API key', [buildProfile({ apiKey: 'short' })], 'API Key must be'],
+      [
+        'failover to itself',
+        [buildProfile({ failoverProfile: 'Homework' })],
+        'cannot fail over to itself',
+      ],
+      [
+        'failover to an unknown profile',
+        [buildProfile({ failoverProfile: 'Exam' })],
+        'fails over to unknown profile "Exam"',
+      ],
+    ])('rejects %s', (_label, profiles, message) => {
+      const { configManager } = createManager();
+
+      expect(() => configManager.setAssessorProfiles(profiles)).toThrow(message);
+    });
+
+    it('accepts failover to the default profile', () => {
+      const { mocks, configManager } = createManager();
+
+      configManager.setAssessorProfiles([buildProfile({ failoverProfile: 'Default' })]);
+
+      expect(persistedProfiles(mocks)[0].failoverProfile).toBe('Default');
+    });
+  });
+
+  it('keeps the stored API key when a profile is saved without one', () => {
+    const { mocks, configManager } = createManager({
+      [ConfigurationManager.CONFIG_KEYS.ASSESSOR_PROFILES]: JSON.stringify([buildProfile()]),
+    });
+
+    configManager.setAssessorProfiles([buildProfile({ apiKey: '', batchSize: 25 })]);
+
+    expect(persistedProfiles(mocks)).toEqual([buildProfile({ batchSize: 25 })]);
+  });
+
+  it('requires an API key for a new profile', () => {
+    const { configManager } = createManager();
+
+    expect(() => configManager.setAssessorProfiles([buildProfile({ apiKey: '' })])).toThrow(
+      'API Key must be'
+    );
+  });
+
+  describe('getAssessorProfile', () => {
+    const store = {
+      [ConfigurationManager.CONFIG_KEYS.BACKEND_URL]: 'https://assessor.example.test',
+      [ConfigurationManager.CONFIG_KEYS.API_KEY]: EXAM_KEY,
+      [ConfigurationManager.CONFIG_KEYS.BACKEND_ASSESSOR_BATCH_SIZE]: '30',
+      [ConfigurationManager.CONFIG_KEYS.ASSESSOR_PROFILES]: JSON.stringify([buildProfile()]),
+    };
+
+    it('builds the default profile from the backend settings', () => {
+      const { configManager } = createManager(store);
+
+      expect(configManager.getAssessorProfile()).toEqual({
+        name: 'Default',
+        backendUrl: 'https://assessor.example.test',
+        apiKey: EXAM_KEY,
+        batchSize: 30,
+        taskTypes: ['TEXT', 'TABLE', 'IMAGE'],
+        failoverProfile: null,
+      });
+      expect(configManager.getAssessorProfile('default').name).toBe('Default');
+    });
+
+    it('finds a named profile ignoring case and returns null for an unknown one', () => {
+      const { configManager } = createManager(store);
+
+      expect(configManager.getAssessorProfile('HOMEWORK')).toEqual(buildProfile());
+      expect(configManager.getAssessorProfile('Exam')).toBeNull();
+    });
+
+    it('lists no profiles when none are stored', () => {
+      const { configManager } = createManager();
+
+      expect(configManager.getAssessorProfiles()).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * ABClassController Export Gradebook Tests
+ *
+ * Tests for writing a class gradebook into a Google Sheet:
+ * - ABClassGradebookExporter.toColumnRuns groups metric columns into ranges
+ * - ABClassGradebookExporter.export creates a sized spreadsheet, writes the
+ *   table and adds the heatmap rules
+ * - Template exports copy the template, clear its values and rules and grow
+ *   the grid to fit
+ * - ABClassController.exportGradebook reads the stored class without a roster
+ *   refresh and delegates to the exporter
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+import { setupControllerTestMocks, cleanupControllerTestMocks } from '../helpers/mockFactories.js';
+
+const COURSE_ID = 'course-001';
+const CONTROLLER_PATH = '../../src/backend/y_controllers/ABClassController';
+
+const GRADEBOOK = Object.freeze({
+  title: '10A Gradebook',
+  headers: ['Student', 'Essay – Task 1 – Completeness', 'Essay – Task 1 – Overall', 'Overall'],
+  rows: [
+    ['Ada Lovelace', 4, 3.5, 3.5],
+    ['Alan Turing', 'N', 'N', null],
+  ],
+  metricColumnIndexes: [1, 2, 3],
+});
+
+let ABClassController;
+let originalGlobals;
+let batchUpdates;
+
+beforeEach(() => {
+  setupControllerTestMocks(vi);
+  originalGlobals = {
+    Sheets: globalThis.Sheets,
+    DriveManager: globalThis.DriveManager,
+    BatchUpdateUtility: globalThis.BatchUpdateUtility,
+  };
+  batchUpdates = [];
+  globalThis.Sheets = {
+    Spreadsheets: {
+      create: vi.fn(() => ({
+        spreadsheetId: 'sheet-new',
+        sheets: [{ properties: { sheetId: 7 } }],
+      })),
+      get: vi.fn(() => ({
+        sheets: [
+          {
+            properties: { sheetId: 3, gridProperties: { rowCount: 2, columnCount: 2 } },
+            conditionalFormats: [{}, {}],
+          },
+        ],
+      })),
+    },
+  };
+  globalThis.DriveManager = {
+    copyTemplateSheet: vi.fn(() => ({ status: 'copied', fileId: 'sheet-copy' })),
+  };
+  globalThis.BatchUpdateUtility = {
+    executeBatchUpdate: vi.fn((requests, spreadsheetId) => {
+      batchUpdates.push({ requests, spreadsheetId });
+    }),
+  };
+
+  delete require.cache[require.resolve(CONTROLLER_PATH)];
+  ABClassController = require(CONTROLLER_PATH);
+});
+
+afterEach(() => {
+  cleanupControllerTestMocks();
+  Object.assign(globalThis, originalGlobals);
+  vi.restoreAllMocks();
+});
+
+describe('ABClassGradebookExporter.toColumnRuns', () => {
+  it('groups sorted, de-duplicated indexes into half-open runs', () => {
+    expect(globalThis.ABClassGradebookExporter.toColumnRuns([5, 1, 2, 2, 3, 7, 6])).toEqual([
+      [1, 4],
+      [5, 8],
+    ]);
+    expect(globalThis.ABClassGradebookExporter.toColumnRuns([])).toEqual([]);
+  });
+});
+
+describe('ABClassGradebookExporter.export', () => {
+  it('creates a spreadsheet sized to the table and writes it with heatmap rules', () => {
+    const result = new globalThis.ABClassGradebookExporter().export(GRADEBOOK);
+
+    expect(globalThis.Sheets.Spreadsheets.create).toHaveBeenCalledWith({
+      properties: { title: '10A Gradebook' },
+      sheets: [
+        { properties: { title: 'Gradebook', gridProperties: { rowCount: 3, columnCount: 4 } } },
+      ],
+    });
+    expect(globalThis.DriveManager.copyTemplateSheet).not.toHaveBeenCalled();
+    expect(result).toEqual({
+      spreadsheetId: 'sheet-new',
+      spreadsheetUrl: 'https://docs.google.com/spreadsheets/d/sheet-new/edit',
+      rowCount: 2,
+    });
+
+    expect(batchUpdates).toHaveLength(1);
+    const { requests, spreadsheetId } = batchUpdates[0];
+    expect(spreadsheetId).toBe('sheet-new');
+
+    const { updateCells } = requests[0];
+    expect(updateCells.start).toEqual({ sheetId: 7, rowIndex: 0, columnIndex: 0 });
+    expect(updateCells.rows[2].values).toEqual([
+      { userEnteredValue: { stringValue: 'Alan Turing' } },
+      { userEnteredValue: { stringValue: 'N' } },
+      { userEnteredValue: { stringValue: 'N' } },
+      {},
+    ]);
+    expect(updateCells.rows[1].values[1]).toEqual({ userEnteredValue: { numberValue: 4 } });
+
+    const rules = requests
+      .filter((request) => request.addConditionalFormatRule)
+      .map((request) => request.addConditionalFormatRule.rule);
+    expect(rules).toHaveLength(3);
+    expect(rules[0].ranges).toEqual([
+      { sheetId: 7, startRowIndex: 1, endRowIndex: 3, startColumnIndex: 1, endColumnIndex: 4 },
+    ]);
+    expect(rules[0].gradientRule.maxpoint).toEqual(
+      expect.objectContaining({ type: 'NUMBER', value: '5' })
+    );
+    expect(rules.slice(1).map((rule) => rule.booleanRule.condition.values[0])).toEqual([
+      { userEnteredValue: 'N' },
+      { userEnteredValue: 'E' },
+    ]);
+  });
+
+  it('skips heatmap rules when there are no metric columns', () => {
+    new globalThis.ABClassGradebookExporter().export({ ...GRADEBOOK, metricColumnIndexes: [] });
+
+    const { requests } = batchUpdates[0];
+    expect(requests.some((request) => request.addConditionalFormatRule)).toBe(false);
+  });
+
+  it('copies the template, clears its values and rules and grows the grid', () => {
+    const result = new globalThis.ABClassGradebookExporter().export({
+      ...GRADEBOOK,
+      templateSpreadsheetId: 'template-001',
+    });
+
+    expect(globalThis.DriveManager.copyTemplateSheet).toHaveBeenCalledWith(
+      'template-001',
+      null,
+      '10A Gradebook'
+    );
+    expect(globalThis.Sheets.Spreadsheets.create).not.toHaveBeenCalled();
+    expect(result.spreadsheetId).toBe('sheet-copy');
+
+    const { requests, spreadsheetId } = batchUpdates[0];
+    expect(spreadsheetId).toBe('sheet-copy');
+    expect(requests.slice(0, 5)).toEqual([
+      { deleteConditionalFormatRule: { sheetId: 3, index: 1 } },
+      { deleteConditionalFormatRule: { sheetId: 3, index: 0 } },
+      { updateCells: { range: { sheetId: 3 }, fields: 'userEnteredValue' } },
+      { appendDimension: { sheetId: 3, dimension: 'ROWS', length: 1 } },
+      { appendDimension: { sheetId: 3, dimension: 'COLUMNS', length: 2 } },
+    ]);
+  });
+});
+
+describe('ABClassController.exportGradebook', () => {
+  it('reads the stored class and delegates the table to the exporter', () => {
+    const controller = new ABClassController();
+    const readStoredClass = vi
+      .spyOn(controller, '_readStoredClass')
+      .mockReturnValue({ classId: COURSE_ID });
+    const loadClass = vi.spyOn(controller, 'loadClass');
+    const exportSpy = vi
+      .spyOn(controller._gradebookExporter, 'export')
+      .mockReturnValue({ spreadsheetId: 'sheet-new' });
+
+    const result = controller.exportGradebook({ courseId: COURSE_ID, ...GRADEBOOK });
+
+    expect(readStoredClass).toHaveBeenCalledWith(COURSE_ID, 'exportGradebook');
+    expect(loadClass).not.toHaveBeenCalled();
+    expect(exportSpy).toHaveBeenCalledWith({ ...GRADEBOOK });
+    expect(result).toEqual({ spreadsheetId: 'sheet-new' });
+  });
+});
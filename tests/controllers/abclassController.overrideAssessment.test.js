@@ -0,0 +1,213 @@
+/**
+ * ABClassController Override Assessment Tests
+ *
+ * Tests for recording a teacher override on a student's submission item:
+ * - ABClassAssignmentOps.applyAssessmentOverride finds the item and records
+ *   the override alongside the original assessment
+ * - ABClassController.overrideAssessment reads the stored class without a
+ *   roster refresh, rehydrates the assignment and persists it
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+import { setupControllerTestMocks, cleanupControllerTestMocks } from '../helpers/mockFactories.js';
+import {
+  createSlidesAssignment,
+  createStudentSubmission,
+  createTextTask,
+} from '../helpers/modelFactories.js';
+
+const COURSE_ID = 'course-001';
+const ASSIGNMENT_ID = 'assign-001';
+const STUDENT_ID = 'student-001';
+
+const CONTROLLER_PATH = '../../src/backend/y_controllers/ABClassController';
+
+let ABClassController;
+let mockDbManager, mockCollection;
+
+/**
+ * Builds an assignment with one student whose single TEXT item has been assessed.
+ * @returns {{ assignment: Object, taskId: string }} The assignment and its task id.
+ */
+function buildAssessedAssignment() {
+  const task = createTextTask(0, 'Reference answer');
+  const submission = createStudentSubmission({
+    studentId: STUDENT_ID,
+    assignmentId: ASSIGNMENT_ID,
+  });
+  submission
+    .upsertItemFromExtraction(task, { content: 'Student answer' })
+    .addAssessment('accuracy', { score: 2, reasoning: 'LLM reasoning' });
+  const assignment = createSlidesAssignment({
+    courseId: COURSE_ID,
+    assignmentId: ASSIGNMENT_ID,
+    tasks: { [task.getId()]: task.toJSON() },
+  });
+  assignment.submissions = [submission];
+  return { assignment, taskId: task.getId() };
+}
+
+beforeEach(() => {
+  const mocks = setupControllerTestMocks(vi);
+  mockDbManager = mocks.mockDbManager;
+  mockCollection = mocks.mockCollection;
+
+  delete require.cache[require.resolve(CONTROLLER_PATH)];
+  ABClassController = require(CONTROLLER_PATH);
+});
+
+afterEach(() => {
+  cleanupControllerTestMocks();
+  vi.restoreAllMocks();
+});
+
+describe('ABClassAssignmentOps.applyAssessmentOverride', () => {
+  /**
+   * Builds the ops instance under test.
+   * @returns {Object} ABClassAssignmentOps instance.
+   */
+  function buildOps() {
+    return new globalThis.ABClassAssignmentOps({
+      dbManager: mockDbManager,
+      validation: {},
+      persistence: {},
+    });
+  }
+
+  it('records the override and returns it with the original assessment', () => {
+    const { assignment, taskId } = buildAssessedAssignment();
+
+    const result = buildOps().applyAssessmentOverride(assignment, {
+      studentId: STUDENT_ID,
+      taskId,
+      criterion: 'accuracy',
+      score: 4,
+      reasoning: 'Correct method',
+      overriddenBy: 'teacher@example.com',
+    });
+
+    expect(result).toEqual({
+      courseId: COURSE_ID,
+      assignmentId: ASSIGNMENT_ID,
+      studentId: STUDENT_ID,
+      taskId,
+      criterion: 'accuracy',
+      assessment: { score: 2, reasoning: 'LLM reasoning' },
+      override: expect.objectContaining({
+        score: 4,
+        reasoning: 'Correct method',
+        overriddenBy: 'teacher@example.com',
+      }),
+    });
+    const item = assignment.submissions[0].getItem(taskId);
+    expect(item.getEffectiveAssessment('accuracy').score).toBe(4);
+  });
+
+  it('returns a null assessment when the criterion was never assessed', () => {
+    const { assignment, taskId } = buildAssessedAssignment();
+
+    const result = buildOps().applyAssessmentOverride(assignment, {
+      studentId: STUDENT_ID,
+      taskId,
+      criterion: 'completeness',
+      score: 3,
+      reasoning: 'Assessor failed',
+    });
+
+    expect(result.assessment).toBeNull();
+    expect(result.override.overriddenBy).toBeNull();
+  });
+
+  it('accepts a criterion defined on the assignment definition', () => {
+    const { assignment, taskId } = buildAssessedAssignment();
+    assignment.assignmentDefinition.criteria = [
+      { key: 'codeQuality', label: 'Code quality', maxScore: 10, weighting: 1 },
+    ];
+
+    const result = buildOps().applyAssessmentOverride(assignment, {
+      studentId: STUDENT_ID,
+      taskId,
+      criterion: 'codeQuality',
+      score: 8,
+      reasoning: 'Well structured',
+    });
+
+    expect(result.override.score).toBe(8);
+  });
+
+  it.each([
+    ['the criterion is not defined', { criterion: 'codeQuality' }, /not defined/],
+    ['the score exceeds the max score', { score: 6 }, /must not exceed 5/],
+  ])('throws RangeError when %s', (_label, overrides, message) => {
+    const { assignment, taskId } = buildAssessedAssignment();
+
+    expect(() =>
+      buildOps().applyAssessmentOverride(assignment, {
+        studentId: STUDENT_ID,
+        taskId,
+        criterion: 'accuracy',
+        score: 4,
+        reasoning: 'Correct method',
+        ...overrides,
+      })
+    ).toThrow(message);
+  });
+
+  it.each([
+    ['student', { studentId: 'student-unknown' }],
+    ['task', { taskId: 'task-unknown' }],
+  ])('throws when the %s has no submission item', (_label, overrides) => {
+    const { assignment, taskId } = buildAssessedAssignment();
+
+    expect(() =>
+      buildOps().applyAssessmentOverride(assignment, {
+        studentId: STUDENT_ID,
+        taskId,
+        criterion: 'accuracy',
+        score: 4,
+        reasoning: 'Correct method',
+        ...overrides,
+      })
+    ).toThrow(/no submission item/);
+  });
+});
+
+describe('ABClassController.overrideAssessment', () => {
+  it('reads the stored class, applies the override and persists the assignment', () => {
+    const { assignment, taskId } = buildAssessedAssignment();
+    const abClass = { classId: COURSE_ID };
+    const controller = new ABClassController();
+    const readStoredClass = vi.spyOn(controller, '_readStoredClass').mockReturnValue(abClass);
+    const loadClass = vi.spyOn(controller, 'loadClass');
+    vi.spyOn(controller, 'readRehydrateAssignment').mockReturnValue(assignment);
+    const persistAssignmentRun = vi
+      .spyOn(controller, 'persistAssignmentRun')
+      .mockImplementation(() => {});
+
+    const result = controller.overrideAssessment({
+      courseId: COURSE_ID,
+      assignmentId: ASSIGNMENT_ID,
+      studentId: STUDENT_ID,
+      taskId,
+      criterion: 'accuracy',
+      score: 4,
+      reasoning: 'Correct method',
+      overriddenBy: 'teacher@example.com',
+    });
+
+    expect(readStoredClass).toHaveBeenCalledWith(COURSE_ID, 'overrideAssessment');
+    expect(loadClass).not.toHaveBeenCalled();
+    expect(persistAssignmentRun).toHaveBeenCalledWith(abClass, assignment);
+    expect(result.override.score).toBe(4);
+  });
+
+  it('throws ClassNotFoundError naming overrideAssessment when the class is missing', () => {
+    mockCollection.findOne.mockReturnValue(null);
+    const controller = new ABClassController();
+
+    expect(() =>
+      controller.overrideAssessment({ courseId: COURSE_ID, assignmentId: ASSIGNMENT_ID })
+    ).toThrow(/overrideAssessment: no stored class found/);
+  });
+});
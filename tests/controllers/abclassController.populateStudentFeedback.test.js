@@ -0,0 +1,150 @@
+/**
+ * ABClassController Populate Student Feedback Tests
+ *
+ * Tests that ABClassController.populateStudentFeedback reads the stored
+ * assignment, hands its submissions to SlidesFeedback or SheetsFeedback in the
+ * requested mode, and refuses assignments of any other document type.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+import { setupControllerTestMocks, cleanupControllerTestMocks } from '../helpers/mockFactories.js';
+import {
+  createDocsAssignment,
+  createSheetsAssignment,
+  createSlidesAssignment,
+} from '../helpers/modelFactories.js';
+
+const COURSE_ID = 'course-001';
+const ASSIGNMENT_ID = 'assign-001';
+const SUMMARY = { documentsUpdated: 3, documentsFailed: 0, itemsWritten: 7 };
+
+const CONTROLLER_PATH = '../../src/backend/y_controllers/ABClassController';
+
+let ABClassController;
+let originalSlidesFeedback;
+let originalSheetsFeedback;
+let slidesFeedbackInstance;
+let sheetsFeedbackInstance;
+
+beforeEach(() => {
+  setupControllerTestMocks(vi);
+  originalSlidesFeedback = globalThis.SlidesFeedback;
+  slidesFeedbackInstance = {
+    applyFeedback: vi.fn().mockReturnValue(SUMMARY),
+    removeFeedback: vi.fn().mockReturnValue({ ...SUMMARY, itemsWritten: 0 }),
+  };
+  globalThis.SlidesFeedback = vi.fn(function StubSlidesFeedback() {
+    return slidesFeedbackInstance;
+  });
+  originalSheetsFeedback = globalThis.SheetsFeedback;
+  sheetsFeedbackInstance = {
+    applyFeedback: vi.fn().mockReturnValue(SUMMARY),
+    removeFeedback: vi.fn().mockReturnValue({ ...SUMMARY, itemsWritten: 0 }),
+  };
+  globalThis.SheetsFeedback = vi.fn(function StubSheetsFeedback() {
+    return sheetsFeedbackInstance;
+  });
+
+  delete require.cache[require.resolve(CONTROLLER_PATH)];
+  ABClassController = require(CONTROLLER_PATH);
+});
+
+afterEach(() => {
+  cleanupControllerTestMocks();
+  globalThis.SlidesFeedback = originalSlidesFeedback;
+  globalThis.SheetsFeedback = originalSheetsFeedback;
+  vi.restoreAllMocks();
+});
+
+/**
+ * Creates a controller whose stored class and assignment reads are stubbed.
+ * @param {Object} assignment - Assignment returned by readRehydrateAssignment.
+ * @returns {Object} The controller.
+ */
+function createController(assignment) {
+  const controller = new ABClassController();
+  vi.spyOn(controller, '_readStoredClass').mockReturnValue({ classId: COURSE_ID });
+  vi.spyOn(controller, 'readRehydrateAssignment').mockReturnValue(assignment);
+  return controller;
+}
+
+describe('ABClassController.populateStudentFeedback', () => {
+  it('writes feedback with the requested placement', () => {
+    const assignment = createSlidesAssignment({ courseId: COURSE_ID, assignmentId: ASSIGNMENT_ID });
+    const controller = createController(assignment);
+
+    const summary = controller.populateStudentFeedback({
+      courseId: COURSE_ID,
+      assignmentId: ASSIGNMENT_ID,
+      placement: 'textBox',
+    });
+
+    expect(controller._readStoredClass).toHaveBeenCalledWith(COURSE_ID, 'populateStudentFeedback');
+    expect(globalThis.SlidesFeedback).toHaveBeenCalledWith(
+      assignment.submissions,
+      assignment.assignmentDefinition,
+      { placement: 'textBox' }
+    );
+    expect(slidesFeedbackInstance.applyFeedback).toHaveBeenCalledTimes(1);
+    expect(slidesFeedbackInstance.removeFeedback).not.toHaveBeenCalled();
+    expect(summary).toEqual(SUMMARY);
+  });
+
+  it('removes feedback in remove mode', () => {
+    const controller = createController(createSlidesAssignment());
+
+    const summary = controller.populateStudentFeedback({
+      courseId: COURSE_ID,
+      assignmentId: ASSIGNMENT_ID,
+      mode: 'remove',
+    });
+
+    expect(slidesFeedbackInstance.removeFeedback).toHaveBeenCalledTimes(1);
+    expect(slidesFeedbackInstance.applyFeedback).not.toHaveBeenCalled();
+    expect(summary.itemsWritten).toBe(0);
+  });
+
+  it('writes Sheets feedback with the requested formula hint', () => {
+    const assignment = createSheetsAssignment({ courseId: COURSE_ID, assignmentId: ASSIGNMENT_ID });
+    const controller = createController(assignment);
+
+    const summary = controller.populateStudentFeedback({
+      courseId: COURSE_ID,
+      assignmentId: ASSIGNMENT_ID,
+      formulaHint: 'none',
+    });
+
+    expect(globalThis.SheetsFeedback).toHaveBeenCalledWith(
+      assignment.submissions,
+      assignment.assignmentDefinition,
+      { formulaHint: 'none' }
+    );
+    expect(sheetsFeedbackInstance.applyFeedback).toHaveBeenCalledTimes(1);
+    expect(globalThis.SlidesFeedback).not.toHaveBeenCalled();
+    expect(summary).toEqual(SUMMARY);
+  });
+
+  it('removes Sheets feedback in remove mode', () => {
+    const controller = createController(createSheetsAssignment());
+
+    controller.populateStudentFeedback({
+      courseId: COURSE_ID,
+      assignmentId: ASSIGNMENT_ID,
+      mode: 'remove',
+    });
+
+    expect(sheetsFeedbackInstance.removeFeedback).toHaveBeenCalledTimes(1);
+    expect(sheetsFeedbackInstance.applyFeedback).not.toHaveBeenCalled();
+  });
+
+  it('throws RangeError for an assignment that is neither Slides nor Sheets', () => {
+    const controller = createController(createDocsAssignment());
+
+    expect(() =>
+      controller.populateStudentFeedback({ courseId: COURSE_ID, assignmentId: ASSIGNMENT_ID })
+    ).toThrow(RangeError);
+    expect(globalThis.SlidesFeedback).not.toHaveBeenCalled();
+    expect(globalThis.SheetsFeedback).not.toHaveBeenCalled();
+  });
+});
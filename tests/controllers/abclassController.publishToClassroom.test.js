@@ -0,0 +1,284 @@
+/**
+ * ABClassController Publish To Classroom Tests
+ *
+ * Tests for writing assessment results back to Google Classroom:
+ * - ABClassGradePublisher.computeOverallScore weights criteria and tasks,
+ *   prefers teacher overrides and counts unattempted tasks as zero
+ * - ABClassGradePublisher.publish writes draft grades, composes comments and
+ *   records the publication on the assignment
+ * - ABClassController.publishToClassroom reads the stored class without a
+ *   roster refresh, publishes and persists the assignment
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+import { setupControllerTestMocks, cleanupControllerTestMocks } from '../helpers/mockFactories.js';
+import {
+  createSlidesAssignment,
+  createStudentSubmission,
+  createTextTask,
+} from '../helpers/modelFactories.js';
+
+const COURSE_ID = 'course-001';
+const ASSIGNMENT_ID = 'assign-001';
+
+const CONTROLLER_PATH = '../../src/backend/y_controllers/ABClassController';
+
+let ABClassController;
+let originalClassroomApiClient;
+let classroomApiClient;
+
+/**
+ * Records an AI assessment for each given criterion.
+ * @param {Object} item - Submission item.
+ * @param {Object} scores - Scores keyed by criterion.
+ */
+function assessItem(item, scores) {
+  for (const [criterion, score] of Object.entries(scores)) {
+    item.addAssessment(criterion, { score, reasoning: `${criterion} reasoning` });
+  }
+}
+
+/**
+ * Builds an assignment with two tasks, the second weighted double.
+ * @returns {{ assignment: Object, tasks: Object[], taskIds: string[] }} The assignment and its tasks.
+ */
+function buildAssignment() {
+  const tasks = [createTextTask(0, 'First'), createTextTask(1, 'Second')];
+  tasks[1].taskWeighting = 2;
+  const assignment = createSlidesAssignment({
+    courseId: COURSE_ID,
+    assignmentId: ASSIGNMENT_ID,
+    tasks: Object.fromEntries(tasks.map((task) => [task.getId(), task.toJSON()])),
+  });
+  return { assignment, tasks, taskIds: tasks.map((task) => task.getId()) };
+}
+
+/**
+ * Adds a submission with the given per-task scores.
+ * @param {Object} assignment - Assignment to add the submission to.
+ * @param {Object[]} tasks - Task definitions, in order.
+ * @param {string} studentId - Student id.
+ * @param {Array<Object|null>} scoresByTask - Scores for each task, or null to leave it out.
+ * @returns {Object} The submission.
+ */
+function addSubmission(assignment, tasks, studentId, scoresByTask) {
+  const submission = createStudentSubmission({ studentId, assignmentId: ASSIGNMENT_ID });
+  scoresByTask.forEach((scores, index) => {
+    if (scores === null) return;
+    const item = submission.upsertItemFromExtraction(tasks.at(index), { content: 'Answer' });
+    assessItem(item, scores);
+  });
+  assignment.submissions.push(submission);
+  return submission;
+}
+
+beforeEach(() => {
+  setupControllerTestMocks(vi);
+  originalClassroomApiClient = globalThis.ClassroomApiClient;
+  classroomApiClient = {
+    fetchCourseWorkMaxPoints: vi.fn().mockReturnValue(20),
+    fetchStudentSubmissions: vi.fn().mockReturnValue([
+      { id: 'sub-a', userId: 'student-a', state: 'TURNED_IN', draftGrade: null },
+      { id: 'sub-b', userId: 'student-b', state: 'CREATED', draftGrade: null },
+    ]),
+    patchDraftGrade: vi.fn((courseId, courseWorkId, id, draftGrade) => ({ id, draftGrade })),
+  };
+  globalThis.ClassroomApiClient = classroomApiClient;
+
+  delete require.cache[require.resolve(CONTROLLER_PATH)];
+  ABClassController = require(CONTROLLER_PATH);
+});
+
+afterEach(() => {
+  cleanupControllerTestMocks();
+  globalThis.ClassroomApiClient = originalClassroomApiClient;
+  vi.restoreAllMocks();
+});
+
+describe('ABClassGradePublisher.computeOverallScore', () => {
+  it('weights criteria and tasks, renormalising around N scores', () => {
+    const { assignment, tasks } = buildAssignment();
+    // Task 1: (0.4*1 + 0.4*0.5) / 0.8 = 0.75; task 2: (0.4*0.6 + 0.4*0.6 + 0.2*1) / 1 = 0.68.
+    const submission = addSubmission(assignment, tasks, 'student-a', [
+      { completeness: 5, accuracy: 2.5, spag: 'N' },
+      { completeness: 3, accuracy: 3, spag: 5 },
+    ]);
+
+    const score = new globalThis.ABClassGradePublisher().computeOverallScore(
+      submission,
+      assignment.assignmentDefinition
+    );
+
+    expect(score).toBeCloseTo((0.75 + 2 * 0.68) / 3);
+  });
+
+  it('uses teacher overrides and counts unattempted tasks as zero', () => {
+    const { assignment, tasks, taskIds } = buildAssignment();
+    const submission = addSubmission(assignment, tasks, 'student-a', [
+      { completeness: 0, accuracy: 0, spag: 0 },
+      null,
+    ]);
+    const item = submission.getItem(taskIds[0]);
+    for (const criterion of ['completeness', 'accuracy', 'spag']) {
+      item.overrideAssessment(criterion, { score: 5, reasoning: 'Moderated' });
+    }
+
+    const score = new globalThis.ABClassGradePublisher().computeOverallScore(
+      submission,
+      assignment.assignmentDefinition
+    );
+
+    expect(score).toBeCloseTo(1 / 3);
+  });
+
+  it('returns null when no task has a numeric score', () => {
+    const { assignment, tasks } = buildAssignment();
+    const submission = addSubmission(assignment, tasks, 'student-a', [
+      { completeness: 'N', accuracy: 'N', spag: 'N' },
+      null,
+    ]);
+
+    const score = new globalThis.ABClassGradePublisher().computeOverallScore(
+      submission,
+      assignment.assignmentDefinition
+    );
+
+    expect(score).toBeNull();
+  });
+});
+
+describe('ABClassGradePublisher.publish', () => {
+  it('writes draft grades in coursework points and records the publication', () => {
+    const { assignment, tasks } = buildAssignment();
+    const full = { completeness: 5, accuracy: 5, spag: 5 };
+    addSubmission(assignment, tasks, 'student-a', [full, null]);
+    addSubmission(assignment, tasks, 'student-b', [null, null]);
+    addSubmission(assignment, tasks, 'student-c', [full, full]);
+
+    const publication = new globalThis.ABClassGradePublisher().publish(assignment, {
+      publishedBy: 'teacher@example.com',
+    });
+
+    expect(classroomApiClient.patchDraftGrade).toHaveBeenCalledTimes(1);
+    expect(classroomApiClient.patchDraftGrade).toHaveBeenCalledWith(
+      COURSE_ID,
+      ASSIGNMENT_ID,
+      'sub-a',
+      6.67
+    );
+    expect(publication).toEqual({
+      publishedAt: expect.any(String),
+      publishedBy: 'teacher@example.com',
+      includeComments: false,
+      maxPoints: 20,
+      students: [
+        { studentId: 'student-a', status: 'published', draftGrade: 6.67, reason: null },
+        { studentId: 'student-b', status: 'skipped', draftGrade: null, reason: 'Not attempted.' },
+        {
+          studentId: 'student-c',
+          status: 'skipped',
+          draftGrade: null,
+          reason: 'No Classroom submission found for this student.',
+        },
+      ],
+    });
+    expect(assignment.classroomPublication).toBe(publication);
+    expect(assignment.toJSON().classroomPublication).toEqual(publication);
+  });
+
+  it('records a failed write without stopping the other students', () => {
+    const { assignment, tasks } = buildAssignment();
+    const full = { completeness: 5, accuracy: 5, spag: 5 };
+    addSubmission(assignment, tasks, 'student-a', [full, full]);
+    addSubmission(assignment, tasks, 'student-b', [full, full]);
+    classroomApiClient.patchDraftGrade.mockImplementationOnce(() => {
+      throw new Error('Backend Error');
+    });
+
+    const { students } = new globalThis.ABClassGradePublisher().publish(assignment);
+
+    expect(students.map(({ status, reason }) => ({ status, reason }))).toEqual([
+      { status: 'failed', reason: 'Backend Error' },
+      { status: 'published', reason: null },
+    ]);
+  });
+
+  it('stops at the first write when Classroom denies the project permission', () => {
+    const { assignment, tasks } = buildAssignment();
+    const full = { completeness: 5, accuracy: 5, spag: 5 };
+    addSubmission(assignment, tasks, 'student-a', [full, full]);
+    addSubmission(assignment, tasks, 'student-b', [full, full]);
+    classroomApiClient.patchDraftGrade.mockImplementation(() => {
+      throw new Error(
+        '@ProjectPermissionDenied The Developer Console project is not permitted to make this request.'
+      );
+    });
+
+    expect(() => new globalThis.ABClassGradePublisher().publish(assignment)).toThrow(
+      /only accepts draft grades from the project that created the coursework/
+    );
+    expect(classroomApiClient.patchDraftGrade).toHaveBeenCalledTimes(1);
+    expect(assignment.classroomPublication).toBeNull();
+  });
+
+  it('composes per-task reasoning comments when requested', () => {
+    const { assignment, tasks } = buildAssignment();
+    addSubmission(assignment, tasks, 'student-a', [
+      { completeness: 4, spag: 'N' },
+      { accuracy: 2 },
+    ]);
+
+    const { students } = new globalThis.ABClassGradePublisher().publish(assignment, {
+      includeComments: true,
+    });
+
+    expect(students[0].comment).toBe(
+      [
+        'Task 0',
+        '- Completeness (4/5): completeness reasoning',
+        '- SPaG: spag reasoning',
+        '',
+        'Task 1',
+        '- Accuracy (2/5): accuracy reasoning',
+      ].join('\n')
+    );
+  });
+
+  it('throws RangeError when the coursework is ungraded', () => {
+    const { assignment } = buildAssignment();
+    classroomApiClient.fetchCourseWorkMaxPoints.mockReturnValue(null);
+
+    expect(() => new globalThis.ABClassGradePublisher().publish(assignment)).toThrow(RangeError);
+    expect(assignment.classroomPublication).toBeNull();
+  });
+});
+
+describe('ABClassController.publishToClassroom', () => {
+  it('reads the stored class, publishes and persists the assignment', () => {
+    const { assignment } = buildAssignment();
+    const abClass = { classId: COURSE_ID };
+    const controller = new ABClassController();
+    const readStoredClass = vi.spyOn(controller, '_readStoredClass').mockReturnValue(abClass);
+    const loadClass = vi.spyOn(controller, 'loadClass');
+    vi.spyOn(controller, 'readRehydrateAssignment').mockReturnValue(assignment);
+    const persistAssignmentRun = vi
+      .spyOn(controller, 'persistAssignmentRun')
+      .mockImplementation(() => {});
+
+    const publication = controller.publishToClassroom({
+      courseId: COURSE_ID,
+      assignmentId: ASSIGNMENT_ID,
+      includeComments: true,
+      publishedBy: 'teacher@example.com',
+    });
+
+    expect(readStoredClass).toHaveBeenCalledWith(COURSE_ID, 'publishToClassroom');
+    expect(loadClass).not.toHaveBeenCalled();
+    expect(publication).toEqual(
+      expect.objectContaining({ includeComments: true, publishedBy: 'teacher@example.com' })
+    );
+    expect(persistAssignmentRun).toHaveBeenCalledWith(abClass, assignment);
+    expect(assignment.classroomPublication).toBe(publication);
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * ABClassController – assessor usage report
+ *
+ * getAssessmentUsageReport() reads the usage records stored on each class's assignment
+ * partials and totals them by class, assignment definition and month.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  cleanupControllerTestMocks,
+  createMockCollection,
+  setupControllerTestMocks,
+} from '../helpers/mockFactories.js';
+
+/**
+ * Builds a usage record.
+ * @param {Object} overrides - Fields to replace.
+ * @returns {Object} The record.
+ */
+function usageRecord(overrides) {
+  return {
+    runId: 'run',
+    definitionKey: 'def-essay',
+    startedAt: '2026-09-14T09:00:00.000Z',
+    profiles: ['Default'],
+    requests: 10,
+    retries: 1,
+    validationFailures: 1,
+    cacheHits: 2,
+    notAttempted: 3,
+    payloadBytes: 4000,
+    maxPayloadBytes: 500,
+    assessorUsage: { inputTokens: 1000, costUsd: 0.25 },
+    ...overrides,
+  };
+}
+
+/**
+ * Builds a stored assignment partial carrying usage records.
+ * @param {string} definitionKey - Definition key.
+ * @param {string} primaryTitle - Definition title.
+ * @param {Object[]} assessmentUsage - Usage records.
+ * @returns {Object} The assignment partial.
+ */
+function assignmentPartial(definitionKey, primaryTitle, assessmentUsage) {
+  return { assignmentDefinition: { definitionKey, primaryTitle }, assessmentUsage };
+}
+
+const classDocuments = {
+  'class-7x': {
+    classId: 'class-7x',
+    assignments: [
+      assignmentPartial('def-essay', 'Essay', [
+        usageRecord({ runId: 'run-1' }),
+        usageRecord({ runId: 'run-2', startedAt: '2026-10-01T08:00:00.000Z' }),
+      ]),
+      assignmentPartial('def-quiz', 'Quiz', []),
+    ],
+  },
+  'class-8y': {
+    classId: 'class-8y',
+    assignments: [
+      assignmentPartial('def-quiz', 'Quiz', [
+        usageRecord({
+          runId: 'run-3',
+          definitionKey: 'def-quiz',
+          startedAt: '2026-10-20T08:00:00.000Z',
+          maxPayloadBytes: 900,
+          assessorUsage: { inputTokens: 500, outputTokens: 40 },
+        }),
+      ]),
+      // Assignments stored before usage was recorded have no records.
+      { assignmentDefinition: { definitionKey: 'def-essay' } },
+    ],
+  },
+};
+
+let ABClassController;
+let partialsCollection;
+
+beforeEach(async () => {
+  partialsCollection = createMockCollection(vi);
+  partialsCollection.find.mockReturnValue([
+    { classId: 'class-8y', className: '8Y Science' },
+    { classId: 'class-7x', className: '7X Science' },
+    { classId: 'class-9z', className: '9Z Science' },
+  ]);
+
+  setupControllerTestMocks(vi);
+  globalThis.DbManager = {
+    getInstance: () => ({
+      getCollection: vi.fn((name) => {
+        if (name === 'abclass_partials') return partialsCollection;
+        return createMockCollection(vi, {
+          overrides: { findOne: vi.fn(() => classDocuments[name] ?? null) },
+        });
+      }),
+    }),
+  };
+
+  const controllerModule = await import('../../src/backend/y_controllers/ABClassController');
+  ABClassController = controllerModule.default ?? controllerModule;
+});
+
+afterEach(() => {
+  cleanupControllerTestMocks();
+  vi.restoreAllMocks();
+});
+
+describe('ABClassController – getAssessmentUsageReport()', () => {
+  it('totals every run across classes', () => {
+    const { totals } = new ABClassController().getAssessmentUsageReport();
+
+    expect(totals).toEqual({
+      runs: 3,
+      requests: 30,
+      retries: 3,
+      validationFailures: 3,
+      cacheHits: 6,
+      notAttempted: 9,
+      payloadBytes: 12_000,
+      maxPayloadBytes: 900,
+      assessorUsage: { inputTokens: 2500, costUsd: 0.5, outputTokens: 40 },
+    });
+  });
+
+  it('groups runs by class, definition and month in display order', () => {
+    const report = new ABClassController().getAssessmentUsageReport();
+
+    expect(
+      report.byClass.map(({ classId, className, runs }) => [classId, className, runs])
+    ).toEqual([
+      ['class-7x', '7X Science', 2],
+      ['class-8y', '8Y Science', 1],
+    ]);
+    expect(
+      report.byDefinition.map(({ definitionKey, primaryTitle, requests }) => [
+        definitionKey,
+        primaryTitle,
+        requests,
+      ])
+    ).toEqual([
+      ['def-essay', 'Essay', 20],
+      ['def-quiz', 'Quiz', 10],
+    ]);
+    expect(report.byMonth.map(({ month, runs }) => [month, runs])).toEqual([
+      ['2026-09', 1],
+      ['2026-10', 2],
+    ]);
+  });
+
+  it('returns empty groups when no run has been recorded', () => {
+    partialsCollection.find.mockReturnValue([]);
+
+    expect(new ABClassController().getAssessmentUsageReport()).toMatchObject({
+      totals: { runs: 0, requests: 0, assessorUsage: {} },
+      byClass: [],
+      byDefinition: [],
+      byMonth: [],
+    });
+  });
+});
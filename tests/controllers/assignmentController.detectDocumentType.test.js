@@ -155,6 +155,21 @@ describe('AssignmentController._detectDocumentType', () => {
       expect(result).toBe('SHEETS');
     });
 
+    it('returns DOCS for matching document MIME types', () => {
+      const controller = new AssignmentController();
+      const refId = '5gH0iJ9kL8mN7oP6qR5sT4uV3wX2yZ1a';
+      const tplId = '6hI1jK0lM9nO8pQ7rS6tU5vW4xY3zA2b';
+
+      const mockFile = {
+        getMimeType: vi.fn().mockReturnValue('application/vnd.google-apps.document'),
+      };
+      globalThis.DriveApp.getFileById = vi.fn().mockReturnValue(mockFile);
+
+      const result = controller._detectDocumentType(refId, tplId);
+
+      expect(result).toBe('DOCS');
+    });
+
     it('throws error for mismatched MIME types (after identical check)', () => {
       const controller = new AssignmentController();
       const refId = '1AbCdEfGhIjKlMnOpQrStUvWxYz01234567890123';
@@ -178,9 +193,9 @@ describe('AssignmentController._detectDocumentType', () => {
       const refId = '3CdEfGhIjKlMnOpQrStUvWxYz123456789012345';
       const tplId = '4DeFgHiJkLmNoPqRsTuVwXyZ1234567890123456';
 
-      // Both are Google Docs (unsupported)
+      // Both are Google Forms (unsupported)
       const mockFile = {
-        getMimeType: vi.fn().mockReturnValue('application/vnd.google-apps.document'),
+        getMimeType: vi.fn().mockReturnValue('application/vnd.google-apps.form'),
       };
       globalThis.DriveApp.getFileById = vi.fn().mockReturnValue(mockFile);
 
@@ -21,6 +21,7 @@ globalThis.GASPropertiesUtils = mockGASPropertiesUtils;
 // Mock LockService
 globalThis.LockService = {
   getDocumentLock: vi.fn(),
+  getUserLock: () => ({ tryLock: () => true, releaseLock: () => {} }),
 };
 
 // Mock Classroom service
@@ -39,13 +40,21 @@ const { AssignmentDefinition } = require('../../src/backend/Models/AssignmentDef
 
 // Test Helpers for processSelectedAssignment - moved to module scope per S7721
 const createPropertyMock = function (overrides) {
+  const queuedRun = {
+    runId: 'run-001',
+    assignmentId: 'assignment-456',
+    courseId: 'course-123',
+    status: 'queued',
+    enqueuedAt: '2025-01-01T00:00:00.000Z',
+    startedAt: null,
+    ...overrides,
+  };
   return function (key) {
-    const defaults = {
-      assignmentId: 'assignment-456',
+    const properties = {
       triggerId: 'trigger-789',
-      courseId: 'course-123',
+      assessmentRunQueue: JSON.stringify([queuedRun]),
     };
-    return overrides[key] ?? defaults[key] ?? null;
+    return properties[key] ?? null;
   };
 };
 
@@ -227,9 +236,10 @@ describe('AssignmentController - Definition Hydration', () => {
 
     globalThis.SlidesAssignment = vi.fn().mockImplementation(function () {
       this.assignmentDefinition = null;
+      this.submissions = [];
       this.populateTasks = vi.fn();
       this.fetchSubmittedDocuments = vi.fn();
-      this.processAllSubmissions = vi.fn();
+      this.processAllSubmissions = vi.fn().mockReturnValue(true);
       this.extractStudentSubmissions = vi.fn();
       this.processImages = vi.fn();
       this.assessResponses = vi.fn();
@@ -646,22 +656,32 @@ describe('AssignmentController - Definition Hydration', () => {
   });
 
   describe('startProcessing', () => {
-    it('should store only definitionKey in properties (no doc IDs)', () => {
+    it('should queue only definitionKey with the run (no doc IDs)', () => {
       const mockTrigger = {
         createTimeBasedTrigger: vi.fn().mockReturnValue('trigger-123'),
+        triggerExists: vi.fn().mockReturnValue(false),
       };
       globalThis.TriggerController.mockImplementation(function () {
         return mockTrigger;
       });
 
       const controller = new AssignmentController();
-      controller.startProcessing('assignment-456', 'Essay 1_English_year-group-10');
+      controller.startProcessing('assignment-456', 'Essay 1_English_year-group-10', 'course-123');
 
-      expect(mockProperties.setProperty).toHaveBeenCalledWith('assignmentId', 'assignment-456');
-      expect(mockProperties.setProperty).toHaveBeenCalledWith(
-        'definitionKey',
-        'Essay 1_English_year-group-10'
+      const queueCall = mockProperties.setProperty.mock.calls.find(
+        ([key]) => key === 'assessmentRunQueue'
+      );
+      const [queuedRun] = JSON.parse(queueCall[1]);
+      expect(queuedRun).toEqual(
+        expect.objectContaining({
+          assignmentId: 'assignment-456',
+          definitionKey: 'Essay 1_English_year-group-10',
+          courseId: 'course-123',
+        })
       );
+      expect(queuedRun).not.toHaveProperty('documentType');
+      expect(queuedRun).not.toHaveProperty('referenceDocumentId');
+      expect(queuedRun).not.toHaveProperty('templateDocumentId');
       expect(mockProperties.setProperty).toHaveBeenCalledWith('triggerId', 'trigger-123');
 
       // Should NOT store documentType, referenceDocumentId, or templateDocumentId
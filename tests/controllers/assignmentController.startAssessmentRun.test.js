@@ -7,7 +7,7 @@
  * - Checks freshness of reference/template documents
  * - Resolves ABClass via ABClassController.loadClass
  * - Delegates to startProcessing for trigger creation
- * - Returns null (no payload)
+ * - Returns { runId } for status polling
  * - Throws DefinitionStaleError when documents have changed
  *
  * Parameter validation is owned by the API transport layer (z_Api),
@@ -131,7 +131,7 @@ describe('AssignmentController.startAssessmentRun', () => {
   // ========================================================================
 
   describe('Happy path', () => {
-    it('valid inputs calls startProcessing and returns null', () => {
+    it('valid inputs calls startProcessing and returns the run id', () => {
       // Arrange
       const mockDefinition = { ...MOCK_DEFINITION };
 
@@ -152,13 +152,15 @@ describe('AssignmentController.startAssessmentRun', () => {
 
       const AssignmentCtrl = loadAssignmentController();
       controller = new AssignmentCtrl();
-      const mockStartProcessing = vi.spyOn(controller, 'startProcessing');
+      const mockStartProcessing = vi
+        .spyOn(controller, 'startProcessing')
+        .mockReturnValue('run-001');
 
       // Act
       const result = controller.startAssessmentRun({ ...VALID_PARAMS });
 
       // Assert
-      expect(result).toBeNull();
+      expect(result).toEqual({ runId: 'run-001' });
       expect(mockStartProcessing).toHaveBeenCalledTimes(1);
       expect(mockStartProcessing).toHaveBeenCalledWith(
         VALID_PARAMS.assignmentId,
@@ -0,0 +1,472 @@
+/**
+ * Offline end-to-end tests for runAssignmentPipeline.
+ *
+ * The real parsers, models, request managers and Sheets assessor run against fixture Slides and
+ * Sheets documents, with every `/capabilities` and `/v1/assessor` call answered by the mock
+ * assessor. See tests/helpers/offlinePipelineHarness.js.
+ */
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  createOfflinePipelineHarness,
+  loadOfflineFixture,
+  OFFLINE_API_KEY,
+} from '../../helpers/offlinePipelineHarness.js';
+import {
+  createMockAssessor,
+  ASSESSOR_PATH,
+  CAPABILITIES_PATH,
+} from '../../mockAssessor/mockAssessor.js';
+
+const ONE_MINUTE_MS = 60_000;
+
+/**
+ * Lists the requests sent to the assessor endpoint, leaving out the capabilities handshake.
+ * @param {Object} harness - Offline pipeline harness.
+ * @returns {Array<{url: string, status: number}>} Assessor requests in the order sent.
+ */
+function assessorFetches(harness) {
+  return harness.fetches.filter(({ url }) => new URL(url).pathname === ASSESSOR_PATH);
+}
+
+/**
+ * Reads each submission item's scores keyed by student and task title.
+ * @param {Object} harness - Offline pipeline harness.
+ * @returns {Object<string, Object<string, Object<string, number|string>>>} Scores.
+ */
+function scoresByStudent(harness) {
+  const { assignment } = harness;
+  return Object.fromEntries(
+    assignment.submissions.map((submission) => [
+      submission.studentId,
+      Object.fromEntries(
+        Object.values(submission.items).map((item) => [
+          assignment.assignmentDefinition.tasks[item.taskId].taskTitle,
+          Object.fromEntries(
+            Object.entries(item.assessments).map(([key, assessment]) => [key, assessment.score])
+          ),
+        ])
+      ),
+    ])
+  );
+}
+
+describe('runAssignmentPipeline offline', () => {
+  let harness;
+
+  afterEach(() => {
+    harness?.restore();
+    harness = null;
+  });
+
+  describe('Slides assignment', () => {
+    it('assesses every attempted item through the assessor and marks untouched work', () => {
+      harness = createOfflinePipelineHarness(loadOfflineFixture('slidesAssignment'), {
+        assessor: createMockAssessor({ apiKey: OFFLINE_API_KEY, score: 4 }),
+      });
+
+      expect(harness.run()).toBe(true);
+
+      const scores = scoresByStudent(harness);
+      expect(scores['student-ada']['Word equation']).toEqual({
+        completeness: 4,
+        accuracy: 4,
+        spag: 4,
+      });
+      expect(scores['student-cai']['Word equation']).toEqual({
+        completeness: 'N',
+        accuracy: 'N',
+        spag: 'N',
+      });
+      expect(scores['student-cai']['Key terms'].accuracy).toBe(4);
+      expect(harness.assignment.submissions.every((submission) => submission.isAssessed())).toBe(
+        true
+      );
+      // Five attempted items; Cai's untouched word equation never reaches the assessor.
+      expect(assessorFetches(harness)).toHaveLength(5);
+      expect(harness.progress.errors).toEqual([]);
+    });
+
+    it('sends the definition criteria and the extracted table as markdown', () => {
+      harness = createOfflinePipelineHarness(loadOfflineFixture('slidesAssignment'));
+
+      harness.run();
+
+      const tableRequest = harness.assessor
+        .getExchanges()
+        .map(({ request }) => request)
+        .find((request) => request.taskType === 'TABLE');
+      expect(tableRequest.criteria.map(({ key }) => key)).toEqual([
+        'completeness',
+        'accuracy',
+        'spag',
+      ]);
+      expect(tableRequest.reference).toContain(
+        '| Chlorophyll | Green pigment that absorbs light |'
+      );
+      expect(tableRequest.studentResponse).toContain('| Stomata | Holes in the leaf for gases |');
+    });
+
+    it('retries a server error with back-off and still assesses the item', () => {
+      const assessor = createMockAssessor({ apiKey: OFFLINE_API_KEY, score: 3 });
+      // Fails in the batch and on the first retry, then succeeds after one back-off.
+      assessor.addFault({
+        status: 503,
+        times: 2,
+        match: (payload) => payload.studentResponse === 'oxygen + water -> sugar',
+      });
+      harness = createOfflinePipelineHarness(loadOfflineFixture('slidesAssignment'), {
+        assessor,
+      });
+
+      expect(harness.run()).toBe(true);
+
+      expect(harness.sleeps).toEqual([5000]);
+      expect(assessorFetches(harness).filter(({ status }) => status === 503)).toHaveLength(2);
+      expect(harness.assignment.submissions.every((submission) => submission.isAssessed())).toBe(
+        true
+      );
+    });
+
+    it('retries a malformed response once and accepts the valid retry', () => {
+      const assessor = createMockAssessor({ apiKey: OFFLINE_API_KEY, score: 2 });
+      assessor.addFault({ malformed: true });
+      harness = createOfflinePipelineHarness(loadOfflineFixture('slidesAssignment'), {
+        assessor,
+      });
+
+      harness.run();
+
+      expect(
+        harness.progress.errors.some((error) => error.startsWith('Error parsing response'))
+      ).toBe(true);
+      expect(harness.assignment.submissions.every((submission) => submission.isAssessed())).toBe(
+        true
+      );
+    });
+
+    it('leaves an item unassessed once its scores stay invalid past the retry limit', () => {
+      const assessor = createMockAssessor({ apiKey: OFFLINE_API_KEY });
+      assessor.addFault({
+        invalid: true,
+        times: Infinity,
+        match: (payload) => payload.studentResponse === 'oxygen + water -> sugar',
+      });
+      harness = createOfflinePipelineHarness(loadOfflineFixture('slidesAssignment'), {
+        assessor,
+      });
+
+      harness.run();
+
+      expect(
+        harness.progress.errors.some((error) => error.startsWith('Max validation retries reached'))
+      ).toBe(true);
+      const ben = harness.assignment.submissions.find(
+        (submission) => submission.studentId === 'student-ben'
+      );
+      expect(ben.isAssessed()).toBe(false);
+      expect(scoresByStudent(harness)['student-ben']['Key terms']).not.toEqual({});
+    });
+
+    it('aborts the run when the assessor rejects the API key', () => {
+      harness = createOfflinePipelineHarness(loadOfflineFixture('slidesAssignment'), {
+        apiKey: 'wrong-key',
+      });
+
+      expect(() => harness.run()).toThrow(AbortRequestError);
+      expect(harness.fetches.every(({ status }) => status === 401)).toBe(true);
+    });
+
+    it('replays recorded exchanges to reproduce a run', () => {
+      const recording = createOfflinePipelineHarness(loadOfflineFixture('slidesAssignment'));
+      recording.run();
+      const fixtures = recording.assessor.getExchanges();
+      const recordedScores = scoresByStudent(recording);
+      recording.restore();
+
+      harness = createOfflinePipelineHarness(loadOfflineFixture('slidesAssignment'), {
+        assessor: createMockAssessor({
+          apiKey: OFFLINE_API_KEY,
+          score: 0,
+          fixtures,
+          strictFixtures: true,
+        }),
+      });
+
+      harness.run();
+
+      expect(scoresByStudent(harness)).toEqual(recordedScores);
+    });
+
+    it('records requests, retries, skipped items and assessor usage fields for the run', () => {
+      const assessor = createMockAssessor({
+        apiKey: OFFLINE_API_KEY,
+        score: 3,
+        usage: { inputTokens: 100, outputTokens: 20, costUsd: 0.5, model: 'mock' },
+      });
+      assessor.addFault({
+        status: 503,
+        match: (payload) => payload.studentResponse === 'oxygen + water -> sugar',
+      });
+      assessor.addFault({ invalid: true });
+      harness = createOfflinePipelineHarness(loadOfflineFixture('slidesAssignment'), {
+        assessor,
+      });
+
+      harness.run({ runId: 'run-usage' });
+
+      const [record] = harness.assignment.assessmentUsage;
+      expect(harness.assignment.assessmentUsage).toHaveLength(1);
+      expect(record).toMatchObject({
+        runId: 'run-usage',
+        definitionKey: harness.assignment.assignmentDefinition.definitionKey,
+        profiles: ['Default'],
+        requests: 5,
+        retries: 2,
+        validationFailures: 1,
+        cacheHits: 0,
+        notAttempted: 1,
+        // Every scored response carries usage; the invalid answer does not.
+        assessorUsage: { inputTokens: 500, outputTokens: 100, costUsd: 2.5 },
+      });
+      expect(record.payloadBytes).toBeGreaterThan(record.maxPayloadBytes);
+      expect(Date.parse(record.startedAt)).not.toBeNaN();
+    });
+
+    it('adds a resumed execution to the same run record', () => {
+      harness = createOfflinePipelineHarness(loadOfflineFixture('slidesAssignment'), {
+        assessor: createMockAssessor({ apiKey: OFFLINE_API_KEY, latencyMs: ONE_MINUTE_MS }),
+        batchSize: 2,
+      });
+
+      harness.run({ budget: harness.createBudget(ONE_MINUTE_MS), runId: 'run-1' });
+      harness.run({
+        budget: harness.createBudget(10 * ONE_MINUTE_MS),
+        resume: true,
+        runId: 'run-1',
+      });
+      harness.run({ runId: 'run-2' });
+
+      expect(
+        harness.assignment.assessmentUsage.map(({ runId, requests, cacheHits }) => ({
+          runId,
+          requests,
+          cacheHits,
+        }))
+      ).toEqual([
+        { runId: 'run-1', requests: 5, cacheHits: 0 },
+        { runId: 'run-2', requests: 0, cacheHits: 0 },
+      ]);
+    });
+
+    it('checkpoints when assessor latency exhausts the budget and resumes to finish', () => {
+      harness = createOfflinePipelineHarness(loadOfflineFixture('slidesAssignment'), {
+        assessor: createMockAssessor({ apiKey: OFFLINE_API_KEY, latencyMs: ONE_MINUTE_MS }),
+        batchSize: 2,
+      });
+
+      expect(harness.run({ budget: harness.createBudget(ONE_MINUTE_MS) })).toBe(false);
+      expect(assessorFetches(harness)).toHaveLength(2);
+
+      expect(harness.run({ budget: harness.createBudget(10 * ONE_MINUTE_MS), resume: true })).toBe(
+        true
+      );
+      expect(assessorFetches(harness)).toHaveLength(5);
+      expect(harness.assignment.submissions.every((submission) => submission.isAssessed())).toBe(
+        true
+      );
+    });
+  });
+
+  describe('assessor capabilities', () => {
+    /**
+     * Lists the capabilities requests sent during the harness's runs.
+     * @param {Object} harness - Offline pipeline harness.
+     * @returns {Array<{url: string, status: number}>} Capabilities requests in the order sent.
+     */
+    const capabilityFetches = (harness) =>
+      harness.fetches.filter(({ url }) => new URL(url).pathname === CAPABILITIES_PATH);
+
+    it('fetches the capabilities once and reuses the cached descriptor on later runs', () => {
+      harness = createOfflinePipelineHarness(loadOfflineFixture('slidesAssignment'));
+
+      harness.run();
+      harness.run();
+
+      expect(capabilityFetches(harness)).toEqual([
+        { url: 'https://assessor.offline.test/capabilities', status: 200 },
+      ]);
+    });
+
+    it('keeps the v1 contract for a backend without a capabilities endpoint', () => {
+      harness = createOfflinePipelineHarness(loadOfflineFixture('slidesAssignment'), {
+        assessor: createMockAssessor({ apiKey: OFFLINE_API_KEY, capabilities: null }),
+      });
+
+      expect(harness.run()).toBe(true);
+
+      expect(capabilityFetches(harness).map(({ status }) => status)).toEqual([404]);
+      expect(assessorFetches(harness)).toHaveLength(5);
+      expect(harness.progress.errors).toEqual([]);
+    });
+
+    it('skips task types the backend does not assess', () => {
+      harness = createOfflinePipelineHarness(loadOfflineFixture('slidesAssignment'), {
+        assessor: createMockAssessor({
+          apiKey: OFFLINE_API_KEY,
+          capabilities: { taskTypes: ['TEXT'] },
+        }),
+      });
+
+      harness.run();
+
+      const sent = harness.assessor.getExchanges().map(({ request }) => request.taskType);
+      expect(sent).toEqual(['TEXT', 'TEXT']);
+      expect(harness.progress.errors).toHaveLength(3);
+      expect(harness.progress.errors[0]).toContain('does not support TABLE tasks');
+    });
+
+    it("scores and validates the backend's default criteria when custom criteria are unsupported", () => {
+      const defaults = [{ key: 'quality', label: 'Quality', maxScore: 3 }];
+      harness = createOfflinePipelineHarness(loadOfflineFixture('slidesAssignment'), {
+        assessor: createMockAssessor({
+          apiKey: OFFLINE_API_KEY,
+          score: 2,
+          capabilities: { criteria: { custom: false, defaults } },
+        }),
+      });
+
+      expect(harness.run()).toBe(true);
+
+      const requests = harness.assessor.getExchanges().map(({ request }) => request);
+      expect(requests.every((request) => request.criteria === undefined)).toBe(true);
+      const scores = scoresByStudent(harness);
+      expect(scores['student-ada']['Word equation']).toEqual({ quality: 2 });
+      expect(scores['student-cai']['Word equation']).toEqual({ quality: 'N' });
+    });
+
+    it('skips requests larger than the backend accepts', () => {
+      // The word equation payloads are under 400 bytes; the key terms tables are over 500.
+      harness = createOfflinePipelineHarness(loadOfflineFixture('slidesAssignment'), {
+        assessor: createMockAssessor({
+          apiKey: OFFLINE_API_KEY,
+          capabilities: { maxPayloadBytes: 500 },
+        }),
+      });
+
+      harness.run();
+
+      const sent = harness.assessor.getExchanges().map(({ request }) => request.taskType);
+      expect(sent).toEqual(['TEXT', 'TEXT']);
+      expect(harness.progress.errors).toHaveLength(3);
+      expect(harness.progress.errors.every((error) => error.includes('accepts at most 500'))).toBe(
+        true
+      );
+    });
+
+    it('aborts before sending work when the backend shares no API version', () => {
+      harness = createOfflinePipelineHarness(loadOfflineFixture('slidesAssignment'), {
+        assessor: createMockAssessor({
+          apiKey: OFFLINE_API_KEY,
+          capabilities: { apiVersions: ['v2'] },
+        }),
+      });
+
+      expect(() => harness.run()).toThrow('supports API versions v2');
+      expect(assessorFetches(harness)).toEqual([]);
+    });
+  });
+
+  describe('assessor profiles', () => {
+    const cheapBackendUrl = 'https://cheap.offline.test';
+
+    /**
+     * Builds the homework profile the definition routes to, backed by its own mock assessor.
+     * @param {Object} assessor - Mock assessor for the profile's backend.
+     * @param {Object} [overrides] - Profile fields to replace.
+     * @returns {Object} The profile.
+     */
+    const homeworkProfile = (assessor, overrides = {}) => ({
+      name: 'Homework',
+      backendUrl: cheapBackendUrl,
+      apiKey: 'homework-key',
+      batchSize: 2,
+      taskTypes: ['TEXT', 'TABLE', 'IMAGE'],
+      failoverProfile: 'Default',
+      assessor,
+      ...overrides,
+    });
+
+    it("sends the definition's work to its assessor profile", () => {
+      const cheap = createMockAssessor({ apiKey: 'homework-key', score: 1 });
+      harness = createOfflinePipelineHarness(loadOfflineFixture('slidesAssignment'), {
+        profiles: [homeworkProfile(cheap)],
+        definition: { assessorProfile: 'Homework' },
+      });
+
+      expect(harness.run()).toBe(true);
+
+      expect(cheap.getExchanges()).toHaveLength(5);
+      expect(harness.assessor.getExchanges()).toEqual([]);
+      expect(scoresByStudent(harness)['student-ada']['Word equation'].accuracy).toBe(1);
+    });
+
+    it('fails over to the secondary profile after repeated server errors', () => {
+      const cheap = createMockAssessor({ apiKey: 'homework-key' });
+      cheap.addFault({ status: 503, times: Infinity });
+      harness = createOfflinePipelineHarness(loadOfflineFixture('slidesAssignment'), {
+        assessor: createMockAssessor({ apiKey: OFFLINE_API_KEY, score: 4 }),
+        profiles: [homeworkProfile(cheap)],
+        definition: { assessorProfile: 'Homework' },
+      });
+
+      expect(harness.run()).toBe(true);
+
+      const cheapFetches = assessorFetches(harness).filter(({ url }) =>
+        url.startsWith(cheapBackendUrl)
+      );
+      // The first failure is retried; the second confirms the profile is failing, so the rest
+      // of the batch is not retried and later batches are never sent to it.
+      expect(cheapFetches).toHaveLength(5);
+      expect(cheapFetches.every(({ status }) => status === 503)).toBe(true);
+      expect(harness.assessor.getExchanges()).toHaveLength(5);
+      expect(harness.assignment.submissions.every((submission) => submission.isAssessed())).toBe(
+        true
+      );
+      expect(harness.progress.messages).toContain(
+        'Assessor profile "Homework" returned repeated server errors; sending 5 requests to "Default".'
+      );
+    });
+
+    it('keeps sending to a failing profile that has no failover', () => {
+      const cheap = createMockAssessor({ apiKey: 'homework-key' });
+      cheap.addFault({ status: 503, times: Infinity });
+      harness = createOfflinePipelineHarness(loadOfflineFixture('slidesAssignment'), {
+        profiles: [homeworkProfile(cheap, { failoverProfile: null })],
+        definition: { assessorProfile: 'Homework' },
+      });
+
+      harness.run();
+
+      expect(harness.assessor.getExchanges()).toEqual([]);
+      expect(harness.progress.errors.filter((error) => error.includes('Code: 503'))).toHaveLength(
+        5
+      );
+    });
+  });
+
+  describe('Sheets assignment', () => {
+    it('assesses formulas locally and writes cell feedback to each spreadsheet', () => {
+      harness = createOfflinePipelineHarness(loadOfflineFixture('sheetsAssignment'));
+
+      expect(harness.run()).toBe(true);
+
+      expect(harness.fetches).toEqual([]);
+      const scores = scoresByStudent(harness);
+      expect(scores['student-ada'].Totals.accuracy).toBe(5);
+      expect(scores['student-ben'].Totals.accuracy).toBeLessThan(5);
+      expect(harness.batchUpdates.map(({ documentId }) => documentId)).toEqual(
+        expect.arrayContaining(['sheets-ada', 'sheets-ben'])
+      );
+    });
+  });
+});
@@ -0,0 +1,379 @@
+/**
+ * Tests for resumable assessment runs in AssignmentController.
+ *
+ * processSelectedAssignment works within an ExecutionBudget. When the pipeline
+ * stops early it persists the assignment as a checkpoint, returns the run to the
+ * queue and schedules a continuation trigger; the continuation rehydrates the
+ * checkpoint and skips work that is already done. A run is only completed once
+ * every StudentSubmission is assessed. A repeat run of the same coursework starts
+ * from the previous run so only new or changed work is reassessed.
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+// =========================================================================
+// Global mocks (before loading controller)
+// =========================================================================
+
+const mockLoggerInstance = {
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn(),
+};
+globalThis.ABLogger = {
+  getInstance: vi.fn().mockReturnValue(mockLoggerInstance),
+};
+
+const mockTriggerController = {
+  createTimeBasedTrigger: vi.fn(),
+  deleteTriggerById: vi.fn(),
+  removeTriggers: vi.fn(),
+  triggerExists: vi.fn(),
+};
+globalThis.TriggerController = vi.fn().mockImplementation(function () {
+  return mockTriggerController;
+});
+
+globalThis.Utils = {
+  toastMessage: vi.fn(),
+};
+
+const mockProgressTracker = {
+  startTracking: vi.fn(),
+  resumeTracking: vi.fn(),
+  updateProgress: vi.fn(),
+  complete: vi.fn(),
+  logError: vi.fn(),
+  logAndThrowError: vi.fn((msg) => {
+    throw new Error(msg);
+  }),
+};
+globalThis.ProgressTracker = {
+  getInstance: vi.fn().mockReturnValue(mockProgressTracker),
+};
+
+const AssignmentController = require('../../../src/backend/y_controllers/AssignmentController.js');
+
+// =========================================================================
+// Helpers
+// =========================================================================
+
+const DEFINITION = {
+  definitionKey: 'Essay_1_defKey',
+  updatedAt: '2025-01-01T00:00:00.000Z',
+  documentType: 'SLIDES',
+  referenceDocumentId: 'ref-123',
+  templateDocumentId: 'tpl-456',
+  tasks: { t1: { taskTitle: 'Task 1' } },
+};
+
+const SIMILARITY_REPORT = {
+  checkedAt: '2025-01-01T00:00:00.000Z',
+  shingleSize: 5,
+  threshold: 0.5,
+  tasks: [],
+};
+
+/**
+ * Builds a submission stub reporting whether it has been assessed.
+ *
+ * @param {boolean} assessed - Value returned by isAssessed().
+ * @returns {Object} Submission stub.
+ */
+function buildSubmission(assessed) {
+  return { isAssessed: vi.fn().mockReturnValue(assessed) };
+}
+
+/**
+ * Builds an assignment stub for the pipeline.
+ *
+ * @param {Object} [overrides] - Properties to override.
+ * @returns {Object} Assignment stub.
+ */
+function buildAssignment(overrides = {}) {
+  return {
+    assignmentDefinition: DEFINITION,
+    submissions: [buildSubmission(true)],
+    addStudent: vi.fn(),
+    fetchSubmittedDocuments: vi.fn(),
+    processAllSubmissions: vi.fn().mockReturnValue(true),
+    processImages: vi.fn(),
+    assessResponses: vi.fn(),
+    touchUpdated: vi.fn(),
+    ...overrides,
+  };
+}
+
+/**
+ * Builds a budget stub.
+ *
+ * @param {boolean} runningLow - Value returned by isRunningLow().
+ * @returns {Object} Budget stub.
+ */
+function buildBudget(runningLow) {
+  return { isRunningLow: vi.fn().mockReturnValue(runningLow) };
+}
+
+// =========================================================================
+// Tests
+// =========================================================================
+
+describe('AssignmentController - resumable runs', () => {
+  let controller;
+  let userPropertiesMock;
+  let userPropertiesStore;
+  let mockABClassController;
+  let budget;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    userPropertiesStore = {};
+    userPropertiesMock = {
+      getProperty: vi.fn((key) => userPropertiesStore[key] ?? null),
+      setProperty: vi.fn((key, value) => {
+        userPropertiesStore[key] = value;
+      }),
+      deleteProperty: vi.fn((key) => {
+        delete userPropertiesStore[key];
+      }),
+      getKeys: vi.fn(() => Object.keys(userPropertiesStore)),
+    };
+    vi.spyOn(GASPropertiesUtils, 'getUserProperties').mockReturnValue(userPropertiesMock);
+
+    mockTriggerController.createTimeBasedTrigger.mockReturnValue('trigger-next');
+    mockTriggerController.triggerExists.mockReturnValue(false);
+
+    budget = buildBudget(false);
+    vi.spyOn(globalThis, 'ExecutionBudget').mockImplementation(function () {
+      return budget;
+    });
+
+    globalThis.DriveManager = {
+      getFileModifiedTime: vi.fn().mockReturnValue('2025-01-01T00:00:00Z'),
+    };
+    vi.spyOn(DateUtils, 'isNewer').mockReturnValue(false);
+    vi.spyOn(SubmissionSimilarityDetector, 'detect').mockReturnValue(SIMILARITY_REPORT);
+
+    globalThis.AssignmentDefinitionController = vi.fn().mockImplementation(function () {
+      return { getDefinitionByKey: vi.fn().mockReturnValue(DEFINITION) };
+    });
+
+    mockABClassController = {
+      loadClass: vi.fn().mockReturnValue({ classId: 'course-123', students: [] }),
+      persistAssignmentRun: vi.fn(),
+      readRehydrateAssignment: vi.fn(() => {
+        throw new AssignmentNotFoundError('No previous run.', {});
+      }),
+    };
+    globalThis.ABClassController = vi.fn().mockImplementation(function () {
+      return mockABClassController;
+    });
+
+    globalThis.Assignment = { create: vi.fn().mockReturnValue(buildAssignment()) };
+
+    new AssessmentRunQueue(userPropertiesMock).enqueue({
+      runId: 'run-001',
+      assignmentId: 'assignment-456',
+      definitionKey: 'Essay_1_defKey',
+      courseId: 'course-123',
+    });
+
+    controller = new AssignmentController();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('runAssignmentPipeline', () => {
+    it('reports completion when every stage runs to the end', () => {
+      const assignment = buildAssignment();
+
+      expect(controller.runAssignmentPipeline(assignment, [], { budget })).toBe(true);
+      expect(assignment.processAllSubmissions).toHaveBeenCalledWith(budget);
+      expect(assignment.assessResponses).toHaveBeenCalledWith(budget, null);
+    });
+
+    it('stores the similarity report once all student work is extracted', () => {
+      const assignment = buildAssignment();
+
+      controller.runAssignmentPipeline(assignment, [], { budget });
+
+      expect(SubmissionSimilarityDetector.detect).toHaveBeenCalledWith(
+        assignment.submissions,
+        DEFINITION.tasks
+      );
+      expect(assignment.similarityReport).toBe(SIMILARITY_REPORT);
+    });
+
+    it('stops before assessing when extraction runs out of time', () => {
+      const assignment = buildAssignment({
+        processAllSubmissions: vi.fn().mockReturnValue(false),
+      });
+
+      expect(controller.runAssignmentPipeline(assignment, [], { budget })).toBe(false);
+      expect(SubmissionSimilarityDetector.detect).not.toHaveBeenCalled();
+      expect(assignment.assessResponses).not.toHaveBeenCalled();
+    });
+
+    it('stops before assessing when the budget runs low after extraction', () => {
+      const assignment = buildAssignment();
+      budget = buildBudget(true);
+
+      expect(
+        controller.runAssignmentPipeline(assignment, [], { budget, includeImages: true })
+      ).toBe(false);
+      expect(assignment.processImages).toHaveBeenCalled();
+      expect(assignment.assessResponses).not.toHaveBeenCalled();
+    });
+
+    it('asks to continue when assessment ran out of time with items left', () => {
+      const assignment = buildAssignment({ submissions: [buildSubmission(false)] });
+      budget.isRunningLow.mockReturnValueOnce(false).mockReturnValue(true);
+
+      expect(controller.runAssignmentPipeline(assignment, [], { budget })).toBe(false);
+    });
+
+    it('skips fetching submitted documents when resuming', () => {
+      const assignment = buildAssignment();
+
+      controller.runAssignmentPipeline(assignment, [], { budget, resume: true });
+
+      expect(assignment.fetchSubmittedDocuments).not.toHaveBeenCalled();
+      expect(assignment.processAllSubmissions).toHaveBeenCalled();
+    });
+  });
+
+  describe('processSelectedAssignment', () => {
+    it('checkpoints the run and schedules a continuation when time runs low', () => {
+      const assignment = buildAssignment({
+        processAllSubmissions: vi.fn().mockReturnValue(false),
+      });
+      globalThis.Assignment.create.mockReturnValue(assignment);
+
+      controller.processSelectedAssignment();
+
+      expect(mockABClassController.persistAssignmentRun).toHaveBeenCalledWith(
+        expect.anything(),
+        assignment
+      );
+      expect(mockTriggerController.createTimeBasedTrigger).toHaveBeenCalledWith(
+        'triggerProcessSelectedAssignment'
+      );
+      expect(userPropertiesStore.triggerId).toBe('trigger-next');
+      expect(new AssessmentRunQueue(userPropertiesMock).list()).toEqual([
+        expect.objectContaining({ runId: 'run-001', status: 'queued', continuations: 1 }),
+      ]);
+      expect(mockProgressTracker.complete).not.toHaveBeenCalled();
+    });
+
+    it('resumes a checkpointed run from the persisted assignment', () => {
+      const runQueue = new AssessmentRunQueue(userPropertiesMock);
+      runQueue.markRunning('run-001');
+      runQueue.markCheckpointed('run-001');
+      const assignment = buildAssignment();
+      mockABClassController.readRehydrateAssignment.mockReturnValue(assignment);
+
+      controller.processSelectedAssignment();
+
+      expect(mockProgressTracker.resumeTracking).toHaveBeenCalledWith('run-001');
+      expect(mockProgressTracker.startTracking).not.toHaveBeenCalled();
+      expect(mockABClassController.readRehydrateAssignment).toHaveBeenCalledWith(
+        'course-123',
+        'assignment-456'
+      );
+      expect(globalThis.Assignment.create).not.toHaveBeenCalled();
+      expect(assignment.fetchSubmittedDocuments).not.toHaveBeenCalled();
+      // Usage from the resumed execution is added to the same run's record.
+      expect(assignment.assessResponses).toHaveBeenCalledWith(expect.anything(), 'run-001');
+      expect(mockProgressTracker.complete).toHaveBeenCalled();
+      expect(runQueue.list()).toEqual([]);
+    });
+
+    it('does not complete the run while submissions remain unassessed', () => {
+      globalThis.Assignment.create.mockReturnValue(
+        buildAssignment({ submissions: [buildSubmission(true), buildSubmission(false)] })
+      );
+
+      expect(() => controller.processSelectedAssignment()).toThrow(
+        '1 submission could not be assessed.'
+      );
+      expect(mockProgressTracker.logAndThrowError).toHaveBeenCalledTimes(1);
+
+      expect(mockABClassController.persistAssignmentRun).toHaveBeenCalled();
+      expect(mockProgressTracker.complete).not.toHaveBeenCalled();
+      expect(new AssessmentRunQueue(userPropertiesMock).list()).toEqual([]);
+    });
+
+    it('fails the run once it has used up its continuations', () => {
+      const runQueue = new AssessmentRunQueue(userPropertiesMock);
+      for (let index = 0; index < 10; index++) {
+        runQueue.markRunning('run-001');
+        runQueue.markCheckpointed('run-001');
+      }
+      mockABClassController.readRehydrateAssignment.mockReturnValue(
+        buildAssignment({ processAllSubmissions: vi.fn().mockReturnValue(false) })
+      );
+
+      expect(() => controller.processSelectedAssignment()).toThrow(
+        'Assessment run did not finish after 10 continuations.'
+      );
+
+      expect(runQueue.list()).toEqual([]);
+      expect(mockTriggerController.createTimeBasedTrigger).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('repeat runs', () => {
+    /**
+     * Builds a rehydrated previous run whose submissions track extraction resets.
+     *
+     * @param {Object} [definition] - Definition embedded in the previous run.
+     * @returns {Object} Previous run stub.
+     */
+    function buildPreviousRun(definition = DEFINITION) {
+      return buildAssignment({
+        assignmentDefinition: definition,
+        submissions: [{ isAssessed: vi.fn().mockReturnValue(true), resetExtraction: vi.fn() }],
+      });
+    }
+
+    it('starts from the previous run and re-extracts every submission', () => {
+      const previous = buildPreviousRun();
+      mockABClassController.readRehydrateAssignment.mockReturnValue(previous);
+
+      controller.processSelectedAssignment();
+
+      expect(globalThis.Assignment.create).not.toHaveBeenCalled();
+      expect(previous.submissions[0].resetExtraction).toHaveBeenCalled();
+      expect(previous.fetchSubmittedDocuments).toHaveBeenCalled();
+      expect(previous.assessResponses).toHaveBeenCalled();
+      expect(mockABClassController.persistAssignmentRun).toHaveBeenCalledWith(
+        expect.anything(),
+        previous
+      );
+      expect(mockProgressTracker.complete).toHaveBeenCalled();
+    });
+
+    it('assesses from scratch when the definition changed since the previous run', () => {
+      const previous = buildPreviousRun({ ...DEFINITION, updatedAt: '2024-12-01T00:00:00.000Z' });
+      mockABClassController.readRehydrateAssignment.mockReturnValue(previous);
+
+      controller.processSelectedAssignment();
+
+      expect(globalThis.Assignment.create).toHaveBeenCalled();
+      expect(previous.submissions[0].resetExtraction).not.toHaveBeenCalled();
+    });
+
+    it('assesses from scratch when the previous run cannot be read', () => {
+      mockABClassController.readRehydrateAssignment.mockImplementation(() => {
+        throw new Error('Corrupt document');
+      });
+
+      controller.processSelectedAssignment();
+
+      expect(globalThis.Assignment.create).toHaveBeenCalled();
+      expect(mockLoggerInstance.warn).toHaveBeenCalled();
+    });
+  });
+});
@@ -50,6 +50,11 @@ function setupModuleMocks() {
     getInstance: vi.fn().mockReturnValue(mockProgressTracker),
   };
 
+  // Mock SubmissionSimilarityDetector
+  globalThis.SubmissionSimilarityDetector = {
+    detect: vi.fn().mockReturnValue(null),
+  };
+
   // Mock DateUtils
   globalThis.DateUtils = {
     isNewer: vi.fn(),
@@ -288,10 +293,18 @@ describe('AssignmentController - runAssignmentPipeline throw-on-stale', () => {
       const mockUserProperties = {
         getProperty: vi.fn((key) => {
           const defaults = {
-            assignmentId: 'assignment-456',
-            definitionKey: TEST_DEFINITION_KEY,
             triggerId: 'trigger-789',
-            courseId: 'course-123',
+            assessmentRunQueue: JSON.stringify([
+              {
+                runId: 'run-001',
+                assignmentId: 'assignment-456',
+                definitionKey: TEST_DEFINITION_KEY,
+                courseId: 'course-123',
+                status: 'queued',
+                enqueuedAt: '2025-01-01T00:00:00.000Z',
+                startedAt: null,
+              },
+            ]),
           };
           return defaults[key] ?? null;
         }),
@@ -3,7 +3,8 @@
  *
  * Verifies that startProcessing and processSelectedAssignment use
  * GASPropertiesUtils (UserProperties) instead of direct PropertiesService
- * calls (DocumentProperties), and that applyDocumentProperties,
+ * calls (DocumentProperties), that runs are scheduled through the persisted
+ * AssessmentRunQueue, and that applyDocumentProperties,
  * clearDocumentProperties, saveStartAndShowProgress, and
  * createDefinitionFromWizardInputs have been removed.
  */
@@ -16,6 +17,7 @@ import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 // Mock LockService
 globalThis.LockService = {
   getDocumentLock: vi.fn(),
+  getUserLock: () => ({ tryLock: () => true, releaseLock: () => {} }),
 };
 
 // Mock ABLogger
@@ -46,6 +48,7 @@ const mockTriggerController = {
   createTimeBasedTrigger: vi.fn(),
   deleteTriggerById: vi.fn(),
   removeTriggers: vi.fn(),
+  triggerExists: vi.fn(),
 };
 globalThis.TriggerController = vi.fn().mockImplementation(function () {
   return mockTriggerController;
@@ -86,19 +89,41 @@ const AssignmentController = require('../../../src/backend/y_controllers/Assignm
 // Tests
 // =========================================================================
 
+/**
+ * Builds the run fields stored in the queue for a test run.
+ *
+ * @param {string} runId - Run identifier.
+ * @returns {Object} Run fields accepted by AssessmentRunQueue.enqueue.
+ */
+function buildQueuedRun(runId) {
+  return {
+    runId,
+    assignmentId: 'assignment-456',
+    definitionKey: 'Essay_1_defKey',
+    courseId: 'course-123',
+  };
+}
+
 describe('AssignmentController - UserProperties Migration', () => {
   let controller;
   let userPropertiesMock;
+  let userPropertiesStore;
 
   beforeEach(() => {
     vi.clearAllMocks();
 
-    // Mock user properties (what the migrated code should use)
+    // Mock user properties (what the migrated code should use), backed by a
+    // plain object so the run queue persists between calls.
+    userPropertiesStore = {};
     userPropertiesMock = {
-      getProperty: vi.fn(),
-      setProperty: vi.fn(),
-      deleteProperty: vi.fn(),
-      getKeys: vi.fn().mockReturnValue([]),
+      getProperty: vi.fn((key) => userPropertiesStore[key] ?? null),
+      setProperty: vi.fn((key, value) => {
+        userPropertiesStore[key] = value;
+      }),
+      deleteProperty: vi.fn((key) => {
+        delete userPropertiesStore[key];
+      }),
+      getKeys: vi.fn(() => Object.keys(userPropertiesStore)),
     };
 
     // Spy on GASPropertiesUtils static methods
@@ -108,6 +133,7 @@ describe('AssignmentController - UserProperties Migration', () => {
 
     // Default trigger mock returns a valid trigger ID
     mockTriggerController.createTimeBasedTrigger.mockReturnValue('trigger-789');
+    mockTriggerController.triggerExists.mockReturnValue(false);
 
     controller = new AssignmentController();
   });
@@ -140,18 +166,63 @@ describe('AssignmentController - UserProperties Migration', () => {
       expect(PropertiesService.getDocumentProperties).not.toHaveBeenCalled();
     });
 
-    it('passes correct propertyMap to GASPropertiesUtils.applyProperties()', () => {
+    it('stores only the pending trigger id as a standalone property', () => {
       controller.startProcessing('assignment-456', 'Essay_1_defKey', 'course-123');
 
-      // ASSERTION: This will FAIL (RED) — same reason as above
       expect(GASPropertiesUtils.applyProperties).toHaveBeenCalledWith(expect.anything(), {
-        assignmentId: 'assignment-456',
-        definitionKey: 'Essay_1_defKey',
-        courseId: 'course-123',
         triggerId: 'trigger-789',
       });
       expect(PropertiesService.getDocumentProperties).not.toHaveBeenCalled();
     });
+
+    it('returns the runId of the queued run', () => {
+      const runId = controller.startProcessing('assignment-456', 'Essay_1_defKey', 'course-123');
+
+      expect(new AssessmentRunQueue(userPropertiesMock).list()).toEqual([
+        expect.objectContaining({ ...buildQueuedRun(runId), status: 'queued' }),
+      ]);
+      expect(mockProgressTracker.startTracking).not.toHaveBeenCalled();
+    });
+
+    it('queues a second run instead of overwriting the first', () => {
+      const firstRunId = controller.startProcessing(
+        'assignment-456',
+        'Essay_1_defKey',
+        'course-123'
+      );
+      mockTriggerController.triggerExists.mockReturnValue(true);
+      const secondRunId = controller.startProcessing(
+        'assignment-456',
+        'Essay_1_defKey',
+        'course-999'
+      );
+
+      const entries = new AssessmentRunQueue(userPropertiesMock).list();
+      expect(entries.map((entry) => entry.runId)).toEqual([firstRunId, secondRunId]);
+      expect(entries[1].courseId).toBe('course-999');
+      expect(mockTriggerController.triggerExists).toHaveBeenCalledWith('trigger-789');
+      expect(mockTriggerController.createTimeBasedTrigger).toHaveBeenCalledTimes(1);
+    });
+
+    it('replaces a recorded trigger that is no longer installed', () => {
+      userPropertiesStore.triggerId = 'trigger-gone';
+
+      controller.startProcessing('assignment-456', 'Essay_1_defKey', 'course-123');
+
+      expect(mockTriggerController.createTimeBasedTrigger).toHaveBeenCalledTimes(1);
+      expect(userPropertiesStore.triggerId).toBe('trigger-789');
+    });
+
+    it('does not create a trigger while another run is being processed', () => {
+      const runQueue = new AssessmentRunQueue(userPropertiesMock);
+      runQueue.enqueue(buildQueuedRun('run-active'));
+      runQueue.markRunning('run-active');
+
+      controller.startProcessing('assignment-456', 'Essay_1_defKey', 'course-123');
+
+      expect(mockTriggerController.createTimeBasedTrigger).not.toHaveBeenCalled();
+      expect(runQueue.list()).toHaveLength(2);
+    });
   });
 
   // =====================================================================
@@ -167,28 +238,10 @@ describe('AssignmentController - UserProperties Migration', () => {
       };
       globalThis.LockService.getDocumentLock.mockReturnValue(mockLock);
 
-      // Setup default property mocks so processSelectedAssignment doesn't
-      // throw "Missing parameters" during the try block preamble
-      mockDocProperties.getProperty.mockImplementation((key) => {
-        const defaults = {
-          assignmentId: 'assignment-456',
-          definitionKey: 'Essay_1_defKey',
-          triggerId: 'trigger-789',
-          courseId: 'course-123',
-        };
-        return defaults[key] ?? null;
-      });
-
-      // Also provide user properties mock (migrated code will read from here)
-      userPropertiesMock.getProperty.mockImplementation((key) => {
-        const defaults = {
-          assignmentId: 'assignment-456',
-          definitionKey: 'Essay_1_defKey',
-          triggerId: 'trigger-789',
-          courseId: 'course-123',
-        };
-        return defaults[key] ?? null;
-      });
+      // Queue a run and record its pending trigger, as startProcessing would
+      new AssessmentRunQueue(userPropertiesMock).enqueue(buildQueuedRun('run-001'));
+      userPropertiesStore.triggerId = 'trigger-789';
+      vi.clearAllMocks();
 
       // Mock definition controller returns a valid definition
       const mockDefinition = {
@@ -214,6 +267,9 @@ describe('AssignmentController - UserProperties Migration', () => {
             yearGroupKey: 'year-group-10',
           }),
           persistAssignmentRun: vi.fn(),
+          readRehydrateAssignment: vi.fn(() => {
+            throw new AssignmentNotFoundError('No previous run.', {});
+          }),
         };
       });
 
@@ -221,10 +277,11 @@ describe('AssignmentController - UserProperties Migration', () => {
       globalThis.Assignment = {
         create: vi.fn().mockReturnValue({
           assignmentDefinition: mockDefinition,
+          submissions: [],
           addStudent: vi.fn(),
           populateTasks: vi.fn(),
           fetchSubmittedDocuments: vi.fn(),
-          processAllSubmissions: vi.fn(),
+          processAllSubmissions: vi.fn().mockReturnValue(true),
           processImages: vi.fn(),
           assessResponses: vi.fn(),
           touchUpdated: vi.fn(),
@@ -235,6 +292,11 @@ describe('AssignmentController - UserProperties Migration', () => {
       globalThis.DriveManager = {
         getFileModifiedTime: vi.fn().mockReturnValue('2025-01-01T00:00:00Z'),
       };
+
+      // Mock SubmissionSimilarityDetector
+      globalThis.SubmissionSimilarityDetector = {
+        detect: vi.fn().mockReturnValue(null),
+      };
     });
 
     it('reads trigger context from GASPropertiesUtils.getUserProperties()', () => {
@@ -247,6 +309,12 @@ describe('AssignmentController - UserProperties Migration', () => {
       expect(PropertiesService.getDocumentProperties).not.toHaveBeenCalled();
     });
 
+    it('starts tracking with the stored runId', () => {
+      controller.processSelectedAssignment();
+
+      expect(mockProgressTracker.startTracking).toHaveBeenCalledWith('run-001');
+    });
+
     it('cleans up properties with GASPropertiesUtils.clearProperties()', () => {
       controller.processSelectedAssignment();
 
@@ -256,18 +324,57 @@ describe('AssignmentController - UserProperties Migration', () => {
       expect(PropertiesService.getDocumentProperties).not.toHaveBeenCalled();
     });
 
-    it('calls clearProperties() with expected trigger-context keys', () => {
+    it('clears the consumed trigger id and removes the finished run from the queue', () => {
       controller.processSelectedAssignment();
 
-      // ASSERTION: This will FAIL (RED) — same as above
       expect(GASPropertiesUtils.clearProperties).toHaveBeenCalledWith(expect.anything(), [
-        'assignmentId',
-        'definitionKey',
         'triggerId',
-        'courseId',
       ]);
+      expect(mockTriggerController.deleteTriggerById).toHaveBeenCalledWith('trigger-789');
+      expect(new AssessmentRunQueue(userPropertiesMock).list()).toEqual([]);
+      expect(mockTriggerController.createTimeBasedTrigger).not.toHaveBeenCalled();
       expect(PropertiesService.getDocumentProperties).not.toHaveBeenCalled();
     });
+
+    it('schedules the next queued run after finishing the current one', () => {
+      new AssessmentRunQueue(userPropertiesMock).enqueue(buildQueuedRun('run-002'));
+
+      controller.processSelectedAssignment();
+
+      expect(mockProgressTracker.startTracking).toHaveBeenCalledWith('run-001');
+      expect(mockTriggerController.createTimeBasedTrigger).toHaveBeenCalledWith(
+        'triggerProcessSelectedAssignment'
+      );
+      expect(new AssessmentRunQueue(userPropertiesMock).list()).toEqual([
+        expect.objectContaining({ runId: 'run-002', status: 'queued' }),
+      ]);
+    });
+
+    it('still schedules the next queued run when the current run fails', () => {
+      new AssessmentRunQueue(userPropertiesMock).enqueue(buildQueuedRun('run-002'));
+      globalThis.Assignment.create.mockImplementation(() => {
+        throw new Error('Assignment creation failed');
+      });
+
+      expect(() => controller.processSelectedAssignment()).toThrow('Assignment creation failed');
+
+      expect(mockTriggerController.createTimeBasedTrigger).toHaveBeenCalledTimes(1);
+      expect(new AssessmentRunQueue(userPropertiesMock).list().map((entry) => entry.runId)).toEqual(
+        ['run-002']
+      );
+    });
+
+    it('returns without processing when the queue is empty', () => {
+      new AssessmentRunQueue(userPropertiesMock).remove('run-001');
+
+      controller.processSelectedAssignment();
+
+      expect(mockTriggerController.removeTriggers).toHaveBeenCalledWith(
+        'triggerProcessSelectedAssignment'
+      );
+      expect(mockProgressTracker.startTracking).not.toHaveBeenCalled();
+      expect(globalThis.Assignment.create).not.toHaveBeenCalled();
+    });
   });
 
   // =====================================================================
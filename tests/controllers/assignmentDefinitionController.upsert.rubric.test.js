@@ -0,0 +1,172 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  createParsedTaskDefinition,
+  createUpsertPayload,
+  seedExistingDefinition,
+  setupUpsertControllerTestBed,
+} from './assignmentDefinitionUpsertTestHelpers.js';
+
+const extractSlidesTaskDefinitionsMock = vi.fn();
+const extractSheetsTaskDefinitionsMock = vi.fn();
+
+vi.mock('../../src/backend/DbManager/DbManager.js');
+vi.mock('../../src/backend/GoogleDriveManager/DriveManager.js');
+vi.mock('../../src/backend/DocumentParsers/SlidesParser.js', () => ({
+  default: class {
+    extractTaskDefinitions = (...a) => extractSlidesTaskDefinitionsMock(...a);
+  },
+}));
+vi.mock('../../src/backend/DocumentParsers/SheetsParser.js', () => ({
+  SheetsParser: class {
+    extractTaskDefinitions = (...a) => extractSheetsTaskDefinitionsMock(...a);
+  },
+}));
+
+const RUBRIC = {
+  levels: [
+    { criterion: 'accuracy', score: 5, descriptor: 'Names all four stages in order.' },
+    { criterion: 'accuracy', score: 2, descriptor: 'Names two stages.' },
+  ],
+  acceptableAnswers: ['Evaporation, condensation, precipitation, collection'],
+  formulaEquivalenceSets: [],
+};
+
+describe('AssignmentDefinitionController upsert behaviour — task rubrics', () => {
+  let controller;
+  let mockRegistryCollection;
+  let mockFullCollection;
+
+  beforeEach(() => {
+    const ctx = setupUpsertControllerTestBed(
+      extractSlidesTaskDefinitionsMock,
+      extractSheetsTaskDefinitionsMock
+    );
+    controller = ctx.controller;
+    mockRegistryCollection = ctx.mockRegistryCollection;
+    mockFullCollection = ctx.mockFullCollection;
+  });
+
+  it('stores a supplied rubric on the matching task and returns it in the full transport shape', () => {
+    const saved = controller.upsertDefinition(
+      createUpsertPayload({ taskRubrics: [{ taskId: 't_task_1', rubric: RUBRIC }] })
+    );
+
+    expect(saved.tasks.t_task_1.rubric).toEqual(RUBRIC);
+    expect(saved.tasks.t_task_2.rubric).toBeNull();
+    expect(mockFullCollection.insertOne).toHaveBeenCalledWith(
+      expect.objectContaining({
+        tasks: expect.objectContaining({
+          t_task_1: expect.objectContaining({ rubric: RUBRIC }),
+        }),
+      })
+    );
+
+    const [firstTask, secondTask] = controller.getFullAssignmentDefinition(saved).tasks;
+    expect(firstTask.rubric).toEqual(RUBRIC);
+    expect(secondTask.rubric).toBeNull();
+  });
+
+  it('preserves stored rubrics when updates omit taskRubrics', () => {
+    seedExistingDefinition({
+      mockFullCollection,
+      mockRegistryCollection,
+      taskOverrides: { rubric: RUBRIC },
+    });
+
+    const saved = controller.upsertDefinition(
+      createUpsertPayload({ definitionKey: 'existing-stable-key', primaryTitle: 'Renamed' })
+    );
+
+    expect(saved.tasks.t_task_1.rubric).toEqual(RUBRIC);
+  });
+
+  it('removes a stored rubric when its patch is null', () => {
+    seedExistingDefinition({
+      mockFullCollection,
+      mockRegistryCollection,
+      taskOverrides: { rubric: RUBRIC },
+    });
+
+    const saved = controller.upsertDefinition(
+      createUpsertPayload({
+        definitionKey: 'existing-stable-key',
+        taskRubrics: [{ taskId: 't_task_1', rubric: null }],
+      })
+    );
+
+    expect(saved.tasks.t_task_1.rubric).toBeNull();
+  });
+
+  it('keeps rubrics of tasks that survive a re-parse', () => {
+    seedExistingDefinition({
+      mockFullCollection,
+      mockRegistryCollection,
+      taskOverrides: { rubric: RUBRIC },
+    });
+    extractSlidesTaskDefinitionsMock.mockReturnValueOnce([
+      createParsedTaskDefinition({ id: 't_task_1', taskTitle: 'Task A', index: 0 }),
+      createParsedTaskDefinition({ id: 't_task_3', taskTitle: 'Task C', index: 1 }),
+    ]);
+
+    const saved = controller.upsertDefinition(
+      createUpsertPayload({
+        definitionKey: 'existing-stable-key',
+        referenceDocumentId: 'new-ref-doc-id',
+        templateDocumentId: 'new-tpl-doc-id',
+      })
+    );
+
+    expect(saved.tasks.t_task_1.rubric).toEqual(RUBRIC);
+    expect(saved.tasks.t_task_3.rubric).toBeNull();
+  });
+
+  it('checks rubric levels against criteria supplied in the same payload', () => {
+    const saved = controller.upsertDefinition(
+      createUpsertPayload({
+        criteria: [{ key: 'codeQuality', label: 'Code quality', maxScore: 10, weighting: 1 }],
+        taskRubrics: [
+          {
+            taskId: 't_task_1',
+            rubric: { levels: [{ criterion: 'codeQuality', score: 10, descriptor: 'Idiomatic.' }] },
+          },
+        ],
+      })
+    );
+
+    expect(saved.tasks.t_task_1.rubric.levels).toHaveLength(1);
+  });
+
+  it.each([
+    ['an unknown taskId', [{ taskId: 't_unknown', rubric: RUBRIC }], /unknown taskId: t_unknown/],
+    [
+      'a level for a criterion the definition does not define',
+      [
+        {
+          taskId: 't_task_1',
+          rubric: { levels: [{ criterion: 'codeQuality', score: 1, descriptor: 'Tidy.' }] },
+        },
+      ],
+      /criterion codeQuality, which is not defined/,
+    ],
+    [
+      "a level scored above the criterion's max score",
+      [
+        {
+          taskId: 't_task_1',
+          rubric: { levels: [{ criterion: 'accuracy', score: 6, descriptor: 'Perfect.' }] },
+        },
+      ],
+      /exceeds its max score of 5/,
+    ],
+    [
+      'a malformed rubric',
+      [{ taskId: 't_task_1', rubric: { levels: [], acceptableAnswers: [''] } }],
+      /acceptableAnswers/,
+    ],
+  ])('rejects %s before persistence', (_label, taskRubrics, message) => {
+    expect(() => controller.upsertDefinition(createUpsertPayload({ taskRubrics }))).toThrow(
+      message
+    );
+    expect(mockFullCollection.insertOne).not.toHaveBeenCalled();
+  });
+});
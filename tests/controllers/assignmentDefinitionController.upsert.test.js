@@ -1,5 +1,6 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { AssignmentDefinition } from '../../src/backend/Models/AssignmentDefinition.js';
+import { withGlobalMocks } from '../helpers/globalMockManager.js';
 import {
   createUpsertPayload,
   createWizardUpsertPayload,
@@ -173,6 +174,121 @@ describe('AssignmentDefinitionController upsert behaviour', () => {
     expect(saved.assignmentWeighting).toBe(5);
   });
 
+  it('stores supplied criteria and preserves them when updates omit criteria', () => {
+    const criteria = [
+      { key: 'codeQuality', label: 'Code quality', maxScore: 10, weighting: 0.6 },
+      { key: 'explanation', label: 'Explanation', maxScore: 5, weighting: 0.4 },
+    ];
+    const created = controller.upsertDefinition(createUpsertPayload({ criteria }));
+    expect(created.criteria).toEqual(criteria);
+
+    seedExistingDefinition({ mockFullCollection, mockRegistryCollection, overrides: { criteria } });
+    const saved = controller.upsertDefinition(
+      createUpsertPayload({ definitionKey: 'existing-stable-key' })
+    );
+
+    expect(saved.criteria).toEqual(criteria);
+  });
+
+  it('stores not-attempted detection thresholds and preserves them when updates omit them', () => {
+    const notAttemptedDetection = {
+      minChangedCharacters: 20,
+      minChangedCells: 2,
+      maxImageDistance: 6,
+    };
+    const created = controller.upsertDefinition(createUpsertPayload({ notAttemptedDetection }));
+    expect(created.notAttemptedDetection).toEqual(notAttemptedDetection);
+
+    seedExistingDefinition({
+      mockFullCollection,
+      mockRegistryCollection,
+      overrides: { notAttemptedDetection },
+    });
+    const saved = controller.upsertDefinition(
+      createUpsertPayload({ definitionKey: 'existing-stable-key' })
+    );
+    expect(saved.notAttemptedDetection).toEqual(notAttemptedDetection);
+
+    const reset = controller.upsertDefinition(
+      createUpsertPayload({ definitionKey: 'existing-stable-key', notAttemptedDetection: null })
+    );
+    expect(reset.notAttemptedDetection).toEqual({
+      minChangedCharacters: 1,
+      minChangedCells: 1,
+      maxImageDistance: null,
+    });
+  });
+
+  it('rejects an out-of-range image distance threshold', () => {
+    expect(() =>
+      controller.upsertDefinition(
+        createUpsertPayload({ notAttemptedDetection: { maxImageDistance: -1 } })
+      )
+    ).toThrow(RangeError);
+  });
+
+  describe('assessorProfile', () => {
+    let restoreGlobals;
+
+    beforeEach(() => {
+      const profiles = { homework: { name: 'Homework' }, default: { name: 'Default' } };
+      restoreGlobals = withGlobalMocks({
+        ConfigurationManager: {
+          DEFAULT_ASSESSOR_PROFILE_NAME: 'Default',
+          getInstance: () => ({
+            getAssessorProfile: (name) => profiles[name.toLowerCase()] ?? null,
+          }),
+        },
+      }).restore;
+    });
+
+    afterEach(() => {
+      restoreGlobals();
+    });
+
+    it('stores the named profile in its saved spelling and keeps it when updates omit it', () => {
+      const created = controller.upsertDefinition(
+        createUpsertPayload({ assessorProfile: ' homework ' })
+      );
+      expect(created.assessorProfile).toBe('Homework');
+
+      seedExistingDefinition({
+        mockFullCollection,
+        mockRegistryCollection,
+        overrides: { assessorProfile: 'Homework' },
+      });
+      const saved = controller.upsertDefinition(
+        createUpsertPayload({ definitionKey: 'existing-stable-key' })
+      );
+
+      expect(saved.assessorProfile).toBe('Homework');
+    });
+
+    it('stores null for the default profile', () => {
+      const saved = controller.upsertDefinition(
+        createUpsertPayload({ assessorProfile: 'Default' })
+      );
+
+      expect(saved.assessorProfile).toBeNull();
+    });
+
+    it('rejects a profile that is not configured', () => {
+      expect(() =>
+        controller.upsertDefinition(createUpsertPayload({ assessorProfile: 'Exam' }))
+      ).toThrow('Unknown assessorProfile: Exam');
+    });
+  });
+
+  it('rejects criteria with an out-of-range maxScore', () => {
+    expect(() =>
+      controller.upsertDefinition(
+        createUpsertPayload({
+          criteria: [{ key: 'accuracy', label: 'Accuracy', maxScore: 0, weighting: 1 }],
+        })
+      )
+    ).toThrow(/maxScore/);
+  });
+
   it('rejects updates when yearGroupKey is omitted from the save payload', () => {
     seedExistingDefinition({
       mockFullCollection,
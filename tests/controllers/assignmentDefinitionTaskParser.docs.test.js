@@ -0,0 +1,58 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { TaskDefinition } from '../../src/backend/Models/TaskDefinition.js';
+
+/**
+ * Builds a text task definition with the given artifact roles.
+ * @param {string} taskTitle - Task title.
+ * @param {boolean} withTemplate - Whether to add a template artifact.
+ * @returns {TaskDefinition} Task definition.
+ */
+function buildDocsTask(taskTitle, withTemplate) {
+  const definition = new TaskDefinition({ taskTitle, id: `t_${taskTitle}` });
+  definition.addReferenceArtifact({ type: 'TEXT', content: 'Reference', documentId: 'ref' });
+  if (withTemplate) {
+    definition.addTemplateArtifact({ type: 'TEXT', content: '', documentId: 'tpl' });
+  }
+  return definition;
+}
+
+describe('AssignmentDefinitionTaskParser — Google Docs', () => {
+  let progressTracker;
+  let extractTaskDefinitions;
+
+  beforeEach(() => {
+    progressTracker = { logError: vi.fn(), logAndThrowError: vi.fn() };
+    extractTaskDefinitions = vi.fn(() => [
+      buildDocsTask('complete', true),
+      buildDocsTask('missing-template', false),
+    ]);
+    globalThis.TaskDefinition = TaskDefinition;
+    globalThis.DocsParser = class {
+      extractTaskDefinitions = extractTaskDefinitions;
+    };
+    globalThis.ABLogger = { getInstance: () => ({ info: vi.fn() }) };
+  });
+
+  afterEach(() => {
+    delete globalThis.DocsParser;
+    delete globalThis.ABLogger;
+  });
+
+  it('routes DOCS to DocsParser and keeps only tasks with reference and template artifacts', () => {
+    const parser = new AssignmentDefinitionTaskParser({ progressTracker });
+
+    const tasks = parser.parseTasks({
+      documentType: 'docs',
+      referenceDocumentId: 'ref-doc',
+      templateDocumentId: 'tpl-doc',
+    });
+
+    expect(extractTaskDefinitions).toHaveBeenCalledWith('ref-doc', 'tpl-doc');
+    expect(Object.keys(tasks)).toEqual(['t_complete']);
+    expect(tasks.t_complete).toBeInstanceOf(TaskDefinition);
+    expect(progressTracker.logError).toHaveBeenCalledWith(
+      'TaskDefinition missing required document artifacts.',
+      expect.objectContaining({ taskId: 't_missing-template' })
+    );
+  });
+});
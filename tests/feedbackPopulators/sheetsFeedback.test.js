@@ -233,4 +233,205 @@ describe('SheetsFeedback', () => {
     expect(requests[0].repeatCell.cell.userEnteredFormat.backgroundColor.red).toBe(0.9176);
     expect(requests[1].repeatCell.cell.userEnteredFormat.backgroundColor.red).toBe(0.7137);
   });
+
+  describe('cell notes and summary tab', () => {
+    let originalSheets;
+    let originalBatchUpdateUtility;
+    let item;
+    let submission;
+    let definition;
+
+    beforeEach(() => {
+      originalSheets = globalThis.Sheets;
+      originalBatchUpdateUtility = globalThis.BatchUpdateUtility;
+      globalThis.BatchUpdateUtility = { executeBatchUpdate: vi.fn() };
+      globalThis.Sheets = {
+        Spreadsheets: {
+          get: vi.fn().mockReturnValue({
+            sheets: [{ properties: { sheetId: 7, title: 'Task' } }],
+          }),
+        },
+      };
+
+      const cellItems = [
+        { location: [2, 1], status: 'correct' },
+        { location: [3, 1], status: 'incorrect' },
+        { location: [4, 1], status: 'notAttempted' },
+      ];
+      const assessments = { completeness: { score: 3 }, accuracy: { score: 'N' } };
+      item = {
+        taskId: 'task-1',
+        pageId: 7,
+        feedback: { cellReference: { items: cellItems } },
+        getFeedback: () => ({ type: 'cellReference', items: cellItems }),
+        getEffectiveAssessment: (key) => assessments[key] ?? null,
+      };
+      submission = {
+        studentId: 's1',
+        documentId: 'sheet-1',
+        items: { 'task-1': item },
+        getItem: (taskId) => (taskId === 'task-1' ? item : null),
+      };
+      definition = {
+        templateDocumentId: 'template-1',
+        criteria: [
+          { key: 'completeness', maxScore: 5 },
+          { key: 'accuracy', maxScore: 5 },
+        ],
+        tasks: {
+          'task-1': {
+            taskTitle: 'Averages',
+            index: 0,
+            taskMetadata: { bbox: { startRow: 3, startColumn: 2 } },
+            getPrimaryReference: () => ({
+              content: [['=SUM(A1:A3)'], ['=AVERAGE(A1:A3)*2'], ['=MAX(A1:A3)']],
+            }),
+          },
+        },
+      };
+    });
+
+    afterEach(() => {
+      globalThis.Sheets = originalSheets;
+      globalThis.BatchUpdateUtility = originalBatchUpdateUtility;
+    });
+
+    it('reduces a formula to its functions and operators', () => {
+      expect(SheetsFeedback.toFormulaPattern('=AVERAGE(B2:B9, 2)*10')).toBe('=AVERAGE(…, …)*…');
+      expect(SheetsFeedback.toFormulaPattern('=sum(A1)/count(A1)')).toBe('=SUM(…)/COUNT(…)');
+      expect(SheetsFeedback.toFormulaPattern('')).toBeNull();
+    });
+
+    it.each([
+      ['pattern', 'This formula is incorrect.\nExpected a formula like: =AVERAGE(…)*…'],
+      ['formula', 'This formula is incorrect.\nExpected: =AVERAGE(A1:A3)*2'],
+      ['none', 'This formula is incorrect.'],
+    ])('notes incorrect cells with the %s hint', (formulaHint, expectedNote) => {
+      const feedback = new SheetsFeedback([], definition, { formulaHint });
+
+      const requests = feedback.generateBatchRequestsForSubmission(submission);
+
+      expect(requests.map((request) => request.repeatCell.cell.note)).toEqual([
+        undefined,
+        expectedNote,
+        expect.stringMatching(/^This cell is missing a formula\./u),
+      ]);
+      expect(requests[0].repeatCell.fields).toBe('userEnteredFormat.backgroundColor,note');
+    });
+
+    it('rejects an unknown formula hint', () => {
+      expect(() => new SheetsFeedback([], definition, { formulaHint: 'answer' })).toThrow(
+        RangeError
+      );
+    });
+
+    it('adds the summary tab with scores and cell counts per task', () => {
+      const feedback = new SheetsFeedback([submission], definition);
+
+      expect(feedback.applyFeedback()).toEqual({
+        documentsUpdated: 1,
+        documentsFailed: 0,
+        itemsWritten: 1,
+      });
+
+      const [requests, documentId] = globalThis.BatchUpdateUtility.executeBatchUpdate.mock.calls[0];
+      expect(documentId).toBe('sheet-1');
+      expect(requests).toContainEqual({
+        addSheet: { properties: { sheetId: 8, title: 'Feedback' } },
+      });
+      const rows = requests
+        .at(-1)
+        .updateCells.rows.map(({ values }) =>
+          values.map(({ userEnteredValue }) => Object.values(userEnteredValue)[0])
+        );
+      expect(rows).toEqual([
+        ['Task', 'Completeness', 'Accuracy', 'Correct cells', 'Incorrect cells', 'Missing cells'],
+        ['Averages', '3/5', 'Not attempted', 1, 1, 1],
+      ]);
+    });
+
+    it('clears and rewrites an existing summary tab', () => {
+      globalThis.Sheets.Spreadsheets.get.mockReturnValue({
+        sheets: [
+          { properties: { sheetId: 7, title: 'Task' } },
+          { properties: { sheetId: 12, title: 'Feedback' } },
+        ],
+      });
+      const feedback = new SheetsFeedback([submission], definition);
+
+      feedback.applyFeedback();
+
+      const [requests] = globalThis.BatchUpdateUtility.executeBatchUpdate.mock.calls[0];
+      expect(requests.some((request) => request.addSheet)).toBe(false);
+      expect(requests).toContainEqual({
+        updateCells: { range: { sheetId: 12 }, fields: 'userEnteredValue' },
+      });
+    });
+
+    it('counts a spreadsheet that cannot be updated and carries on', () => {
+      globalThis.BatchUpdateUtility.executeBatchUpdate.mockImplementationOnce(() => {
+        throw new Error('forbidden');
+      });
+      const feedback = new SheetsFeedback(
+        [submission, { ...submission, studentId: 's2', documentId: 'sheet-2' }],
+        definition
+      );
+
+      expect(feedback.applyFeedback()).toEqual({
+        documentsUpdated: 1,
+        documentsFailed: 1,
+        itemsWritten: 1,
+      });
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        'Failed to update Sheets feedback',
+        expect.objectContaining({ documentId: 'sheet-1' })
+      );
+    });
+
+    it('restores template backgrounds, clears notes and deletes the summary tab on removal', () => {
+      const templateColour = { red: 0.5, green: 0.5, blue: 1 };
+      globalThis.Sheets.Spreadsheets.get.mockImplementation((spreadsheetId) =>
+        spreadsheetId === 'template-1'
+          ? {
+              sheets: [
+                {
+                  properties: { sheetId: 7 },
+                  data: [
+                    {
+                      startRow: 3,
+                      startColumn: 1,
+                      rowData: [
+                        { values: [{ userEnteredFormat: { backgroundColor: templateColour } }] },
+                      ],
+                    },
+                  ],
+                },
+              ],
+            }
+          : {
+              sheets: [
+                { properties: { sheetId: 7, title: 'Task' } },
+                { properties: { sheetId: 12, title: 'Feedback' } },
+              ],
+            }
+      );
+      const feedback = new SheetsFeedback([submission], definition);
+
+      expect(feedback.removeFeedback()).toEqual({
+        documentsUpdated: 1,
+        documentsFailed: 0,
+        itemsWritten: 0,
+      });
+
+      const [requests] = globalThis.BatchUpdateUtility.executeBatchUpdate.mock.calls[0];
+      expect(requests.map((request) => request.repeatCell?.cell)).toEqual([
+        { userEnteredFormat: { backgroundColor: undefined } },
+        { userEnteredFormat: { backgroundColor: templateColour } },
+        { userEnteredFormat: { backgroundColor: undefined } },
+        undefined,
+      ]);
+      expect(requests[0].repeatCell.fields).toBe('userEnteredFormat.backgroundColor,note');
+      expect(requests.at(-1)).toEqual({ deleteSheet: { sheetId: 12 } });
+    });
+  });
 });
@@ -0,0 +1,274 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+import SlidesFeedback from '../../src/backend/FeedbackPopulators/SlidesFeedback.js';
+import {
+  createSlidesAssignment,
+  createStudentSubmission,
+  createTextTask,
+} from '../helpers/modelFactories.js';
+
+const PAGE_HEIGHT = 405;
+
+/**
+ * Builds a mock page element that removes itself from its slide.
+ * @param {Object[]} elements - The slide's element list.
+ * @param {string} description - Alt-text description.
+ * @param {Object} [bounds] - Position and size in points.
+ * @returns {Object} Mock page element.
+ */
+function createElement(elements, description, bounds = {}) {
+  const { left = 20, top = 40, width = 300, height = 120 } = bounds;
+  let currentDescription = description;
+  const fontSize = vi.fn();
+  const element = {
+    getDescription: () => currentDescription,
+    setDescription: vi.fn((value) => {
+      currentDescription = value;
+    }),
+    getLeft: () => left,
+    getTop: () => top,
+    getWidth: () => width,
+    getHeight: () => height,
+    getText: () => ({ getTextStyle: () => ({ setFontSize: fontSize }) }),
+    remove: vi.fn(() => elements.splice(elements.indexOf(element), 1)),
+  };
+  return element;
+}
+
+/**
+ * Builds a mock slide with editable speaker notes.
+ * @param {string} pageId - Slide object ID.
+ * @param {Array<[string, Object]>} elementSpecs - Description and bounds of each element.
+ * @param {string} [notes=''] - Initial speaker notes.
+ * @returns {Object} Mock slide exposing its elements and notes for assertions.
+ */
+function createSlide(pageId, elementSpecs, notes = '') {
+  const elements = [];
+  elementSpecs.forEach(([description, bounds]) =>
+    elements.push(createElement(elements, description, bounds))
+  );
+  const notesText = {
+    value: notes,
+    asString: () => notesText.value,
+    setText: vi.fn((value) => {
+      notesText.value = value;
+    }),
+  };
+  return {
+    elements,
+    notesText,
+    getObjectId: () => pageId,
+    getPageElements: () => [...elements],
+    getNotesPage: () => ({ getSpeakerNotesShape: () => ({ getText: () => notesText }) }),
+    insertTextBox: vi.fn((text, left, top, width, height) => {
+      const textBox = createElement(elements, '', { left, top, width, height });
+      textBox.text = text;
+      elements.push(textBox);
+      return textBox;
+    }),
+  };
+}
+
+/**
+ * Builds a mock presentation over the given slides.
+ * @param {Object[]} slides - Mock slides.
+ * @returns {Object} Mock presentation.
+ */
+function createPresentation(slides) {
+  return {
+    getSlides: () => slides,
+    getSlideById: (pageId) => slides.find((slide) => slide.getObjectId() === pageId) ?? null,
+    getPageHeight: () => PAGE_HEIGHT,
+    saveAndClose: vi.fn(),
+  };
+}
+
+describe('SlidesFeedback', () => {
+  let SlidesParser;
+  let originalDocumentParser;
+  let originalSlidesApp;
+  let originalSlidesParser;
+  let originalABLogger;
+  let mockLogger;
+  let assignment;
+  let tasks;
+  let submission;
+  let slides;
+
+  beforeAll(async () => {
+    // SlidesParser extends the DocumentParser global, so it must exist before the parser loads.
+    originalDocumentParser = globalThis.DocumentParser;
+    const documentParserModule =
+      await import('../../src/backend/DocumentParsers/0_DocumentParser.js');
+    globalThis.DocumentParser = documentParserModule.DocumentParser;
+    ({ SlidesParser } = await import('../../src/backend/DocumentParsers/SlidesParser.js'));
+  });
+
+  afterAll(() => {
+    globalThis.DocumentParser = originalDocumentParser;
+  });
+
+  beforeEach(() => {
+    originalSlidesApp = globalThis.SlidesApp;
+    originalSlidesParser = globalThis.SlidesParser;
+    originalABLogger = globalThis.ABLogger;
+    mockLogger = { warn: vi.fn(), error: vi.fn(), info: vi.fn(), debug: vi.fn() };
+    globalThis.ABLogger = { getInstance: () => mockLogger };
+    globalThis.SlidesParser = SlidesParser;
+
+    tasks = [createTextTask(0, 'First'), createTextTask(1, 'Second'), createTextTask(2, 'Third')];
+    assignment = createSlidesAssignment({
+      tasks: Object.fromEntries(tasks.map((task) => [task.getId(), task.toJSON()])),
+    });
+
+    submission = createStudentSubmission({ studentId: 'student-1', documentId: 'deck-1' });
+    submission
+      .upsertItemFromExtraction(tasks[0], { pageId: 'slide-a', content: 'Answer 0' })
+      .addAssessment('completeness', { score: 4, reasoning: 'Nearly all parts answered.' });
+    const secondItem = submission.upsertItemFromExtraction(tasks[1], {
+      pageId: 'slide-a',
+      content: 'Answer 1',
+    });
+    secondItem.addAssessment('accuracy', { score: 1, reasoning: 'Wrong unit.' });
+    secondItem.overrideAssessment('accuracy', { score: 3, reasoning: 'Method is right.' });
+    secondItem.addAssessment('spag', { score: 'N', reasoning: '' });
+    submission.upsertItemFromExtraction(tasks[2], { pageId: 'slide-b', content: 'Answer 2' });
+
+    slides = [
+      createSlide('slide-a', [['#Task 0'], ['#Task 1', { top: 300, height: 60 }]], 'Teacher notes'),
+      createSlide('slide-b', [['#Task 2']]),
+    ];
+    globalThis.SlidesApp = { openById: vi.fn(() => createPresentation(slides)) };
+  });
+
+  afterEach(() => {
+    globalThis.SlidesApp = originalSlidesApp;
+    globalThis.SlidesParser = originalSlidesParser;
+    globalThis.ABLogger = originalABLogger;
+    vi.restoreAllMocks();
+  });
+
+  it('rejects an unknown placement', () => {
+    expect(
+      () => new SlidesFeedback([], assignment.assignmentDefinition, { placement: 'x' })
+    ).toThrow(RangeError);
+  });
+
+  it('describes each assessed criterion, preferring teacher overrides', () => {
+    const populator = new SlidesFeedback([submission], assignment.assignmentDefinition);
+
+    expect(populator.buildFeedbackText(submission.getItem(tasks[1].getId()))).toBe(
+      ['Accuracy: 3/5. Method is right.', 'SPaG: Not attempted.'].join('\n')
+    );
+    expect(populator.buildFeedbackText(submission.getItem(tasks[2].getId()))).toBeNull();
+  });
+
+  it('appends one marked speaker-notes block per slide and replaces it on rerun', () => {
+    const populator = new SlidesFeedback([submission], assignment.assignmentDefinition);
+
+    expect(populator.applyFeedback()).toEqual({
+      documentsUpdated: 1,
+      documentsFailed: 0,
+      itemsWritten: 2,
+    });
+    const expectedNotes = [
+      'Teacher notes',
+      '',
+      '[AssessmentBot feedback]',
+      'Task 0',
+      'Completeness: 4/5. Nearly all parts answered.',
+      '',
+      'Task 1',
+      'Accuracy: 3/5. Method is right.',
+      'SPaG: Not attempted.',
+      '[End of AssessmentBot feedback]',
+    ].join('\n');
+    expect(slides[0].notesText.value).toBe(expectedNotes);
+    expect(slides[1].notesText.setText).not.toHaveBeenCalled();
+
+    populator.applyFeedback();
+
+    expect(slides[0].notesText.value).toBe(expectedNotes);
+  });
+
+  it('inserts a marked text box beneath each task element and replaces it on rerun', () => {
+    const populator = new SlidesFeedback([submission], assignment.assignmentDefinition, {
+      placement: 'textBox',
+    });
+
+    populator.applyFeedback();
+    populator.applyFeedback();
+
+    const textBoxes = slides[0].elements.filter(
+      (element) => element.getDescription() === 'AssessmentBot feedback'
+    );
+    expect(textBoxes).toHaveLength(2);
+    expect(slides[0].insertTextBox).toHaveBeenNthCalledWith(
+      1,
+      'Completeness: 4/5. Nearly all parts answered.',
+      20,
+      166,
+      300,
+      90
+    );
+    // Kept on the slide rather than placed below its bottom edge.
+    expect(slides[0].insertTextBox.mock.calls[1].slice(1)).toEqual([20, PAGE_HEIGHT - 90, 300, 90]);
+    expect(slides[0].notesText.setText).not.toHaveBeenCalled();
+  });
+
+  it('removes feedback boxes and notes blocks but keeps the teacher notes', () => {
+    new SlidesFeedback([submission], assignment.assignmentDefinition).applyFeedback();
+    new SlidesFeedback([submission], assignment.assignmentDefinition, {
+      placement: 'textBox',
+    }).applyFeedback();
+    slides[0].notesText.value += '\n\n[AssessmentBot feedback]\nstale';
+
+    const summary = new SlidesFeedback(
+      [submission],
+      assignment.assignmentDefinition
+    ).removeFeedback();
+
+    expect(summary).toEqual({ documentsUpdated: 1, documentsFailed: 0, itemsWritten: 0 });
+    expect(slides[0].notesText.value).toBe('Teacher notes');
+    expect(slides[0].elements.map((element) => element.getDescription())).toEqual([
+      '#Task 0',
+      '#Task 1',
+    ]);
+  });
+
+  it('skips submissions without a deck and counts decks that fail', () => {
+    const missingDeck = createStudentSubmission({ studentId: 'student-2', documentId: null });
+    const failingDeck = createStudentSubmission({ studentId: 'student-3', documentId: 'deck-3' });
+    globalThis.SlidesApp.openById.mockImplementation((documentId) => {
+      if (documentId === 'deck-3') throw new Error('Access denied');
+      return createPresentation(slides);
+    });
+
+    const summary = new SlidesFeedback(
+      [missingDeck, failingDeck, submission],
+      assignment.assignmentDefinition
+    ).applyFeedback();
+
+    expect(summary).toEqual({ documentsUpdated: 1, documentsFailed: 1, itemsWritten: 2 });
+    expect(mockLogger.warn).toHaveBeenCalledWith(
+      'Failed to update Slides feedback',
+      expect.objectContaining({ studentId: 'student-3', documentId: 'deck-3' })
+    );
+  });
+
+  it.each([
+    [
+      'a block between teacher notes',
+      'Before\n\n[AssessmentBot feedback]\nold\n[End of AssessmentBot feedback]\n\nAfter',
+      'Before\n\nAfter',
+    ],
+    [
+      'a block at the start',
+      '[AssessmentBot feedback]\nold\n[End of AssessmentBot feedback]\n\nAfter',
+      'After',
+    ],
+    ['an unterminated block', 'Before\n[AssessmentBot feedback]\nold', 'Before'],
+    ['notes without feedback', 'Untouched  ', 'Untouched  '],
+  ])('strips %s from speaker notes', (_label, notes, expected) => {
+    expect(SlidesFeedback.stripNotesFeedback(notes)).toBe(expected);
+  });
+});
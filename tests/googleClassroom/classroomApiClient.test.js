@@ -548,3 +548,109 @@ describe('ClassroomApiClient.fetchCourseUpdateTime', () => {
     });
   });
 });
+
+describe('ClassroomApiClient draft grade methods', () => {
+  let ClassroomApiClient;
+  let abLoggerErrorSpy;
+  let originalABLogger;
+  let originalClassroom;
+
+  beforeEach(() => {
+    originalABLogger = globalThis.ABLogger;
+    originalClassroom = globalThis.Classroom;
+
+    const abLoggerInstance = {
+      error: vi.fn(),
+    };
+    globalThis.ABLogger = { getInstance: vi.fn(() => abLoggerInstance) };
+    abLoggerErrorSpy = abLoggerInstance.error;
+
+    globalThis.Classroom = {
+      Courses: {
+        CourseWork: {
+          get: vi.fn(),
+          StudentSubmissions: {
+            list: vi.fn(),
+            patch: vi.fn(),
+          },
+        },
+      },
+    };
+
+    delete require.cache[require.resolve(modulePath)];
+    const exported = require(modulePath);
+    ClassroomApiClient = exported.ClassroomApiClient || exported;
+  });
+
+  afterEach(() => {
+    globalThis.Classroom = originalClassroom;
+    globalThis.ABLogger = originalABLogger;
+    vi.restoreAllMocks();
+  });
+
+  it('fetchCourseWorkMaxPoints returns maxPoints, or null for ungraded coursework', () => {
+    globalThis.Classroom.Courses.CourseWork.get
+      .mockReturnValueOnce({ id: 'cw-1', maxPoints: 40 })
+      .mockReturnValueOnce({ id: 'cw-2' });
+
+    expect(ClassroomApiClient.fetchCourseWorkMaxPoints('course-1', 'cw-1')).toBe(40);
+    expect(ClassroomApiClient.fetchCourseWorkMaxPoints('course-1', 'cw-2')).toBeNull();
+    expect(globalThis.Classroom.Courses.CourseWork.get).toHaveBeenCalledWith('course-1', 'cw-1');
+  });
+
+  it('fetchCourseWorkMaxPoints logs and rethrows API errors', () => {
+    const apiError = new Error('Not found');
+    globalThis.Classroom.Courses.CourseWork.get.mockImplementation(() => {
+      throw apiError;
+    });
+
+    expect(() => ClassroomApiClient.fetchCourseWorkMaxPoints('course-1', 'cw-1')).toThrow(apiError);
+    expect(abLoggerErrorSpy).toHaveBeenCalledWith('Failed to fetch coursework max points.', {
+      courseId: 'course-1',
+      courseWorkId: 'cw-1',
+      error: 'Not found',
+    });
+  });
+
+  it('fetchStudentSubmissions maps paginated responses', () => {
+    globalThis.Classroom.Courses.CourseWork.StudentSubmissions.list
+      .mockReturnValueOnce({
+        studentSubmissions: [
+          { id: 'sub-1', userId: 'student-1', state: 'TURNED_IN', draftGrade: 8, extra: true },
+        ],
+        nextPageToken: 'next-page',
+      })
+      .mockReturnValueOnce({
+        studentSubmissions: [{ id: 'sub-2', userId: 'student-2' }],
+      });
+
+    const result = ClassroomApiClient.fetchStudentSubmissions('course-1', 'cw-1');
+
+    const { list } = globalThis.Classroom.Courses.CourseWork.StudentSubmissions;
+    expect(list).toHaveBeenNthCalledWith(1, 'course-1', 'cw-1', {});
+    expect(list).toHaveBeenNthCalledWith(2, 'course-1', 'cw-1', { pageToken: 'next-page' });
+    expect(result).toEqual([
+      { id: 'sub-1', userId: 'student-1', state: 'TURNED_IN', draftGrade: 8 },
+      { id: 'sub-2', userId: 'student-2', state: null, draftGrade: null },
+    ]);
+  });
+
+  it('patchDraftGrade patches only the draft grade', () => {
+    globalThis.Classroom.Courses.CourseWork.StudentSubmissions.patch.mockReturnValue({
+      id: 'sub-1',
+      draftGrade: 7.5,
+      state: 'TURNED_IN',
+    });
+
+    const result = ClassroomApiClient.patchDraftGrade('course-1', 'cw-1', 'sub-1', 7.5);
+
+    expect(globalThis.Classroom.Courses.CourseWork.StudentSubmissions.patch).toHaveBeenCalledWith(
+      { draftGrade: 7.5 },
+      'course-1',
+      'cw-1',
+      'sub-1',
+      { updateMask: 'draftGrade' }
+    );
+    expect(result).toEqual({ id: 'sub-1', draftGrade: 7.5 });
+  });
+});
@@ -16,6 +16,9 @@ function buildBackendConfigResponse(overrides = {}) {
     jsonDbLogLevel: 'INFO',
     jsonDbBackupOnInitialise: false,
     jsonDbRootFolderId: 'folder-123',
+    assessmentCacheRetentionDays: 90,
+    assessmentCacheMaxEntries: 5000,
+    assessorProfiles: [],
     ...overrides,
   };
 }
@@ -68,8 +71,19 @@ function createConfigurationManagerMock(
     jsonDbLogLevel: 'INFO',
     jsonDbBackupOnInitialise: false,
     jsonDbRootFolderId: 'folder-123',
+    assessmentCacheRetentionDays: 90,
+    assessmentCacheMaxEntries: 5000,
+    assessorProfiles: [],
     ...getterValues,
   };
+  const defaultAssessorProfile = () => ({
+    name: 'Default',
+    backendUrl: hasPersistedConfiguration ? values.backendUrl : '',
+    apiKey: hasPersistedConfiguration ? values.apiKey : '',
+    batchSize: values.backendAssessorBatchSize,
+    taskTypes: ['TEXT', 'TABLE', 'IMAGE'],
+    failoverProfile: null,
+  });
 
   const manager = {
     getAllConfigurations: vi.fn(() => options.allConfigurations ?? {}),
@@ -121,6 +135,22 @@ function createConfigurationManagerMock(
         ? values.jsonDbRootFolderId
         : CONFIGURATION_MANAGER_DEFAULTS.JSON_DB_ROOT_FOLDER_ID
     ),
+    getAssessmentCacheRetentionDays: vi.fn(() =>
+      hasPersistedConfiguration
+        ? values.assessmentCacheRetentionDays
+        : CONFIGURATION_MANAGER_DEFAULTS.ASSESSMENT_CACHE_RETENTION_DAYS
+    ),
+    getAssessmentCacheMaxEntries: vi.fn(() =>
+      hasPersistedConfiguration
+        ? values.assessmentCacheMaxEntries
+        : CONFIGURATION_MANAGER_DEFAULTS.ASSESSMENT_CACHE_MAX_ENTRIES
+    ),
+    getAssessorProfiles: vi.fn(() => values.assessorProfiles),
+    getAssessorProfile: vi.fn((name = null) =>
+      name === null || name === 'Default'
+        ? defaultAssessorProfile()
+        : (values.assessorProfiles.find((profile) => profile.name === name) ?? null)
+    ),
     setBackendAssessorBatchSize: vi.fn(
       setterImplementations.setBackendAssessorBatchSize || (() => {})
     ),
@@ -136,6 +166,13 @@ function createConfigurationManagerMock(
       setterImplementations.setJsonDbBackupOnInitialise || (() => {})
     ),
     setJsonDbRootFolderId: vi.fn(setterImplementations.setJsonDbRootFolderId || (() => {})),
+    setAssessmentCacheRetentionDays: vi.fn(
+      setterImplementations.setAssessmentCacheRetentionDays || (() => {})
+    ),
+    setAssessmentCacheMaxEntries: vi.fn(
+      setterImplementations.setAssessmentCacheMaxEntries || (() => {})
+    ),
+    setAssessorProfiles: vi.fn(setterImplementations.setAssessorProfiles || (() => {})),
   };
 
   globalThis.ConfigurationManager = {
@@ -0,0 +1,106 @@
+/**
+ * Shared test helpers for BaseRequestManager tests
+ * Reduces duplication between the error-handling, batch-budget and batch-option specs
+ */
+
+import { vi } from 'vitest';
+import { withGlobalMocks } from './globalMockManager.js';
+
+/** Backend assessor batch size returned by the mocked ConfigurationManager. */
+export const CONFIGURED_BATCH_SIZE = 10;
+
+/**
+ * Install the Apps Script globals BaseRequestManager depends on and load a fresh copy of it.
+ * Console methods are mocked to avoid noise in test output.
+ * @returns {Object} { BaseRequestManager, mockUrlFetchApp, mockUtilities, restore }
+ */
+export function setupBaseRequestManager() {
+  const mockUrlFetchApp = {
+    fetch: vi.fn(),
+    fetchAll: vi.fn(),
+  };
+
+  const mockUtilities = {
+    sleep: vi.fn(),
+  };
+
+  const mockCacheService = {
+    getScriptCache: vi.fn().mockReturnValue({
+      get: vi.fn(),
+      put: vi.fn(),
+    }),
+  };
+
+  const mockConfigManager = {
+    getInstance: vi.fn().mockReturnValue({
+      getBackendAssessorBatchSize: vi.fn().mockReturnValue(CONFIGURED_BATCH_SIZE),
+    }),
+  };
+
+  const mockProgressTracker = {
+    getInstance: vi.fn().mockReturnValue({
+      logError: vi.fn(),
+      Error: vi.fn(),
+      updateProgress: vi.fn(),
+      getCurrentProgress: vi.fn().mockReturnValue({ message: 'Processing' }),
+    }),
+  };
+
+  const mockABLogger = {
+    getInstance: vi.fn().mockReturnValue({
+      log: vi.fn(),
+      info: vi.fn(),
+      warn: vi.fn(),
+      error: vi.fn(),
+      debug: vi.fn(),
+      debugUi: vi.fn(),
+    }),
+  };
+
+  const AbortRequestError = require('../../src/backend/Utils/ErrorTypes/AbortRequestError.js');
+
+  const mockConsole = {
+    log: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  };
+
+  // Saves originals and installs mocks
+  const mockContext = withGlobalMocks({
+    UrlFetchApp: () => mockUrlFetchApp,
+    Utilities: () => mockUtilities,
+    CacheService: () => mockCacheService,
+    ConfigurationManager: () => mockConfigManager,
+    ProgressTracker: () => mockProgressTracker,
+    ABLogger: () => mockABLogger,
+    AbortRequestError: () => AbortRequestError,
+    console: () => mockConsole,
+  });
+
+  // Clear module cache and reload BaseRequestManager against the mocked globals
+  delete require.cache[require.resolve('../../src/backend/RequestHandlers/BaseRequestManager.js')];
+  const module = require('../../src/backend/RequestHandlers/BaseRequestManager.js');
+
+  return {
+    BaseRequestManager: module.BaseRequestManager || module,
+    mockUrlFetchApp,
+    mockUtilities,
+    restore: () => {
+      mockContext.restore();
+      vi.clearAllMocks();
+    },
+  };
+}
+
+/**
+ * Builds a list of requests.
+ *
+ * @param {number} count - Number of requests to build.
+ * @returns {Object[]} Requests for sendRequestsInBatches.
+ */
+export function buildRequests(count) {
+  return Array.from({ length: count }, (_, index) => ({
+    url: `https://api.test/endpoint/${index}`,
+    method: 'post',
+  }));
+}
@@ -168,6 +168,17 @@ function createSheetsAssignment(props = {}) {
   return createAssignmentWithType('SHEETS', { assignmentName, ...rest });
 }
 
+/**
+ * Create a DocsAssignment for testing using fromJSON to avoid GAS service calls.
+ * @param {Object} props - Configuration properties, as for createSlidesAssignment
+ * @param {string} props.assignmentName - Assignment name (default: 'Test Docs Assignment')
+ * @returns {Assignment} Created DocsAssignment instance
+ */
+function createDocsAssignment(props = {}) {
+  const { assignmentName = 'Test Docs Assignment', ...rest } = props;
+  return createAssignmentWithType('DOCS', { assignmentName, ...rest });
+}
+
 /**
  * Create a dummy ProgressTracker for testing
  * @returns {Object} Dummy ProgressTracker instance
@@ -195,6 +206,17 @@ function createDummyConfigurationManager(overrides = {}) {
     getBackendAssessorBatchSize: () => 50,
     getWarmUpUrl: () => 'https://example.test/warm',
     getLangflowApiKey: () => 'WARMKEY',
+    getAssessorProfile: (name = null) =>
+      name === null
+        ? {
+            name: 'Default',
+            backendUrl: 'https://example.test',
+            apiKey: 'TESTKEY',
+            batchSize: 50,
+            taskTypes: ['TEXT', 'TABLE', 'IMAGE'],
+            failoverProfile: null,
+          }
+        : null,
     ...overrides,
   };
 }
@@ -212,6 +234,10 @@ class DummyCacheManager {
   setCachedAssessment(refHash, respHash, val) {
     this.store.set(refHash + '::' + respHash, val);
   }
+  invalidateChangedReference() {
+    return 0;
+  }
+  flush() {}
   clearCache() {
     this.store.clear();
   }
@@ -312,6 +338,7 @@ module.exports = {
   createStudentSubmission,
   createSlidesAssignment,
   createSheetsAssignment,
+  createDocsAssignment,
   createDummyProgressTracker,
   createDummyConfigurationManager,
   createDummyCacheManager,
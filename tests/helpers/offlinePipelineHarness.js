@@ -0,0 +1,465 @@
+/**
+ * Offline Pipeline Harness
+ *
+ * Runs `AssignmentController.runAssignmentPipeline` end to end without Google services or the
+ * live assessor. The real parsers, assignment models, request managers, cache and Sheets
+ * assessor run against fake Apps Script services built from a fixture under
+ * `tests/__mocks__/data/offlinePipeline/`, and every `/capabilities` and `/v1/assessor` request
+ * is answered by the mock assessor in `tests/mockAssessor/mockAssessor.js`.
+ *
+ * Apps Script's fetch is synchronous, so the fake `UrlFetchApp` calls the mock in-process.
+ * Latency and retry back-off advance a simulated clock instead of sleeping; budgets made with
+ * `createBudget` read that clock, so checkpointing can be exercised without waiting.
+ *
+ * Usage:
+ *
+ *   const harness = createOfflinePipelineHarness(loadOfflineFixture('slidesAssignment'));
+ *   const finished = harness.run();
+ *   harness.restore();
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const { withGlobalMocks } = require('./globalMockManager.js');
+const { createMockAssessor } = require('../mockAssessor/mockAssessor.js');
+
+const FIXTURE_DIRECTORY = path.join(__dirname, '../__mocks__/data/offlinePipeline');
+const BACKEND_DIRECTORY = path.join(__dirname, '../../src/backend');
+const OFFLINE_BACKEND_URL = 'https://assessor.offline.test';
+const OFFLINE_API_KEY = 'offline-api-key';
+
+const MIME_TYPES = {
+  SLIDES: 'application/vnd.google-apps.presentation',
+  SHEETS: 'application/vnd.google-apps.spreadsheet',
+};
+
+/**
+ * Loads an offline pipeline fixture by name.
+ * @param {string} name - File name without the `.json` extension.
+ * @returns {Object} A fresh copy of the fixture.
+ */
+function loadOfflineFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURE_DIRECTORY, `${name}.json`), 'utf8'));
+}
+
+/**
+ * Requires a backend module, discarding any cached copy so classes that extend a global pick up
+ * the one installed by the harness.
+ * @param {string} relativePath - Path below `src/backend`.
+ * @returns {*} The module's exports.
+ */
+function loadBackendModule(relativePath) {
+  const modulePath = require.resolve(path.join(BACKEND_DIRECTORY, relativePath));
+  delete require.cache[modulePath];
+  return require(modulePath);
+}
+
+/**
+ * Builds a fake Slides presentation from fixture slides.
+ * @param {Array<{objectId: string, elements: Array<Object>}>} slides - Fixture slides. Elements
+ *   carry a `description` and either `text` (a shape) or `table` (rows of cell text).
+ * @returns {Object} An object with `getSlides()`.
+ */
+function createPresentation(slides) {
+  const textRange = (text) => ({ asString: () => text });
+  const toPageElement = ({ description = '', text, table }) => ({
+    getDescription: () => description,
+    getPageElementType: () => (table ? 'TABLE' : 'SHAPE'),
+    asShape: () => ({ getText: () => textRange(text ?? '') }),
+    asTable: () => ({
+      getNumRows: () => table.length,
+      getNumColumns: () => table[0].length,
+      getCell: (row, column) => ({
+        getMergeState: () => 'NORMAL',
+        getText: () => textRange(table[row][column]),
+      }),
+    }),
+  });
+
+  return {
+    getSlides: () =>
+      slides.map(({ objectId, elements }) => ({
+        getObjectId: () => objectId,
+        getPageElements: () => elements.map((element) => toPageElement(element)),
+      })),
+  };
+}
+
+/**
+ * Builds a fake spreadsheet from fixture sheets.
+ * @param {Array<{sheetId: number, title: string, formulas: string[][]}>} sheets - Fixture sheets.
+ * @returns {Object} An object with `getSheets()`.
+ */
+function createSpreadsheet(sheets) {
+  return {
+    getSheets: () =>
+      sheets.map(({ sheetId, title, formulas }) => ({
+        getSheetId: () => sheetId,
+        getName: () => title,
+        getDataRange: () => ({ getFormulas: () => formulas.map((row) => [...row]) }),
+        getRange: (row, column, numRows, numColumns) => ({
+          getFormulas: () =>
+            Array.from({ length: numRows }, (_, rowOffset) =>
+              Array.from(
+                { length: numColumns },
+                (_, columnOffset) =>
+                  formulas[row - 1 + rowOffset]?.[column - 1 + columnOffset] ?? ''
+              )
+            ),
+        }),
+      })),
+  };
+}
+
+/**
+ * Stand-in for the Apps Script `TaskSheet` wrapper the Sheets parser reads formulas through.
+ */
+class OfflineTaskSheet {
+  /**
+   * @param {Object} sheet - Fake sheet from `createSpreadsheet`.
+   * @param {string} type - 'reference', 'template' or 'studentTask'.
+   */
+  constructor(sheet, type) {
+    this.sheet = sheet;
+    this.type = type;
+    this.sheetName = sheet.getName();
+    this.sheetId = sheet.getSheetId();
+    this.formulaArray = null;
+  }
+
+  /**
+   * Reads every formula on the sheet.
+   * @returns {string[][]} The formulas.
+   */
+  getAllFormulae() {
+    this.formulaArray = this.sheet.getDataRange().getFormulas();
+    return this.formulaArray;
+  }
+
+  /**
+   * Reads the formulas inside a bounding box.
+   * @param {{startRow: number, startColumn: number, numRows: number, numColumns: number}} bbox -
+   *   1-based bounding box.
+   * @returns {string[][]} The formulas.
+   */
+  getRange(bbox) {
+    return this.sheet
+      .getRange(bbox.startRow, bbox.startColumn, bbox.numRows, bbox.numColumns)
+      .getFormulas();
+  }
+}
+
+/**
+ * Builds an in-memory stand-in for a JsonDbApp collection with the queries CacheManager uses.
+ * @returns {Object} The collection.
+ */
+function createInMemoryCollection() {
+  const documents = new Map();
+  const matches = (document, query) =>
+    Object.entries(query).every(([field, value]) => document[field] === value);
+  const findOne = (query) =>
+    [...documents.values()].find((document) => matches(document, query)) ?? null;
+
+  return {
+    documents,
+    find: (query) => [...documents.values()].filter((document) => matches(document, query)),
+    findOne,
+    updateOne(query, update, options = {}) {
+      const existing = findOne(query);
+      if (existing) Object.assign(existing, update.$set);
+      else if (options.upsert) documents.set(update.$set._id, { ...update.$set });
+    },
+    deleteOne(query) {
+      const existing = findOne(query);
+      if (existing) documents.delete(existing._id);
+    },
+    save() {},
+  };
+}
+
+/**
+ * Creates an offline pipeline harness for a fixture.
+ * @param {Object} fixture - Fixture from `loadOfflineFixture`.
+ * @param {Object} [options] - Harness options.
+ * @param {Object} [options.assessor] - Mock assessor answering `/capabilities` and `/v1/assessor`;
+ *   defaults to one expecting the harness API key.
+ * @param {string} [options.apiKey='offline-api-key'] - API key the client sends.
+ * @param {number} [options.batchSize=20] - Assessor batch size.
+ * @param {Object[]} [options.profiles=[]] - Named assessor profiles; each may carry an
+ *   `assessor` answering requests to its backend URL.
+ * @param {Object} [options.definition] - Overrides for the fixture's assignment definition.
+ * @returns {Object} The harness.
+ */
+function createOfflinePipelineHarness(fixture, options = {}) {
+  const {
+    assessor = createMockAssessor({ apiKey: OFFLINE_API_KEY }),
+    apiKey = OFFLINE_API_KEY,
+    batchSize = 20,
+    profiles = [],
+    definition: definitionOverrides = {},
+  } = options;
+  const { courseId, assignmentId, documents } = fixture;
+  const clock = { nowMs: Date.parse(fixture.definition.referenceLastModified) };
+  const progress = { messages: [], errors: [] };
+  const fetches = [];
+  const sleeps = [];
+  const toasts = [];
+  const batchUpdates = [];
+  const cacheCollection = createInMemoryCollection();
+  const scriptCache = new Map();
+
+  const documentFor = (documentId) => {
+    const document = documents[documentId];
+    if (!document) throw new Error(`No offline fixture document: ${documentId}`);
+    return document;
+  };
+
+  const progressTracker = {
+    startTracking() {},
+    complete() {},
+    getCurrentProgress: () => ({ message: progress.messages.at(-1) ?? '' }),
+    updateProgress(message) {
+      progress.messages.push(message);
+    },
+    logError(message) {
+      progress.errors.push(message);
+    },
+    captureError(error, message) {
+      progress.errors.push(`${message}: ${error?.message ?? error}`);
+    },
+    logAndThrowError(message) {
+      progress.errors.push(message);
+      throw new Error(message);
+    },
+  };
+
+  const assessorsByOrigin = new Map([
+    [new URL(OFFLINE_BACKEND_URL).origin, assessor],
+    ...profiles
+      .filter((profile) => profile.assessor)
+      .map((profile) => [new URL(profile.backendUrl).origin, profile.assessor]),
+  ]);
+  const sendToAssessor = (request) => {
+    const reply = assessorsByOrigin.get(new URL(request.url).origin).handle({
+      method: request.method ?? 'get',
+      path: new URL(request.url).pathname,
+      headers: request.headers ?? {},
+      body: request.payload ?? '',
+    });
+    fetches.push({ url: request.url, status: reply.status });
+    return reply;
+  };
+  const toHttpResponse = ({ status, body, headers }) => ({
+    getResponseCode: () => status,
+    getContentText: () => body,
+    getHeaders: () => headers,
+  });
+
+  const defaultProfile = {
+    name: 'Default',
+    backendUrl: OFFLINE_BACKEND_URL,
+    apiKey,
+    batchSize,
+    taskTypes: ['TEXT', 'TABLE', 'IMAGE'],
+    failoverProfile: null,
+  };
+  const configManager = {
+    getBackendUrl: () => OFFLINE_BACKEND_URL,
+    getApiKey: () => apiKey,
+    getBackendAssessorBatchSize: () => batchSize,
+    getAssessorProfile: (name = null) =>
+      name === null || name === defaultProfile.name
+        ? defaultProfile
+        : (profiles.find((profile) => profile.name === name) ?? null),
+    getAssessmentCacheRetentionDays: () => 30,
+    getAssessmentCacheMaxEntries: () => 1000,
+  };
+
+  const mocks = withGlobalMocks({
+    ProgressTracker: { getInstance: () => progressTracker },
+    ConfigurationManager: { getInstance: () => configManager },
+    DbManager: {
+      getInstance: () => ({
+        getCollection: () => cacheCollection,
+        saveCollection: (collection) => collection.save(),
+      }),
+    },
+    CacheService: {
+      getScriptCache: () => ({
+        get: (key) => scriptCache.get(key) ?? null,
+        put: (key, value) => scriptCache.set(key, value),
+      }),
+    },
+    Utils: {
+      ...globalThis.Utils,
+      normaliseKeysToLowerCase: (object) =>
+        Object.fromEntries(
+          Object.entries(object).map(([key, value]) => [key.toLowerCase(), value])
+        ),
+      toastMessage(message) {
+        toasts.push(message);
+      },
+    },
+    Utilities: {
+      ...globalThis.Utilities,
+      sleep(milliseconds) {
+        sleeps.push(milliseconds);
+        clock.nowMs += milliseconds;
+      },
+      newBlob: (text) => ({ getBytes: () => [...Buffer.from(text, 'utf8')] }),
+    },
+    UrlFetchApp: {
+      fetch(url, params = {}) {
+        const reply = sendToAssessor({ ...params, url });
+        clock.nowMs += reply.latencyMs;
+        return toHttpResponse(reply);
+      },
+      fetchAll(requests) {
+        const replies = requests.map((request) => sendToAssessor(request));
+        clock.nowMs += Math.max(0, ...replies.map((reply) => reply.latencyMs));
+        return replies.map((reply) => toHttpResponse(reply));
+      },
+    },
+    Classroom: {
+      Courses: {
+        CourseWork: {
+          get: () => ({
+            title: fixture.title,
+            creationTime: fixture.definition.referenceLastModified,
+          }),
+          StudentSubmissions: {
+            list: () => ({
+              studentSubmissions: fixture.students
+                .filter((student) => student.documentId)
+                .map((student) => ({
+                  userId: student.id,
+                  assignmentSubmission: {
+                    attachments: [{ driveFile: { id: student.documentId } }],
+                  },
+                })),
+            }),
+          },
+        },
+      },
+    },
+    DriveApp: {
+      getFileById: (documentId) => ({
+        getMimeType: () => (documentFor(documentId).slides ? MIME_TYPES.SLIDES : MIME_TYPES.SHEETS),
+      }),
+    },
+    DriveManager: {
+      getFileModifiedTime: (documentId) =>
+        documentFor(documentId).lastModified ?? fixture.definition.referenceLastModified,
+    },
+    SlidesApp: {
+      PageElementType: { SHAPE: 'SHAPE', TABLE: 'TABLE', IMAGE: 'IMAGE' },
+      CellMergeState: { NORMAL: 'NORMAL', HEAD: 'HEAD', MERGED: 'MERGED' },
+      openById: (documentId) => createPresentation(documentFor(documentId).slides),
+    },
+    SpreadsheetApp: {
+      openById: (documentId) => createSpreadsheet(documentFor(documentId).sheets),
+    },
+    Sheets: {
+      Spreadsheets: {
+        get: (documentId) => ({
+          sheets: documentFor(documentId).sheets.map(({ sheetId, title }) => ({
+            properties: { sheetId, title },
+          })),
+        }),
+      },
+    },
+    BatchUpdateUtility: {
+      executeBatchUpdate(requests, documentId) {
+        batchUpdates.push({ documentId, requests });
+      },
+    },
+    // Classes are wrapped because withGlobalMocks calls function values as factories.
+    TaskSheet: () => OfflineTaskSheet,
+    AbortRequestError: () => loadBackendModule('Utils/ErrorTypes/AbortRequestError.js'),
+    DocumentParser: () => loadBackendModule('DocumentParsers/0_DocumentParser.js').DocumentParser,
+    Feedback: () => loadBackendModule('Models/Feedback/0_Feedback.js'),
+    SubmissionSimilarityDetector: () =>
+      loadBackendModule('Assessors/SubmissionSimilarityDetector.js'),
+    DeflateDecoder: () => loadBackendModule('Assessors/0_DeflateDecoder.js'),
+    ImageDifferenceHash: () => loadBackendModule('Assessors/0_ImageDifferenceHash.js'),
+    NotAttemptedDetector: () => loadBackendModule('Assessors/NotAttemptedDetector.js'),
+  });
+
+  // Modules that extend a global are loaded once the globals above are in place; factories
+  // run in order, so each sees the ones before it.
+  const lateMocks = withGlobalMocks({
+    BaseRequestManager: () => loadBackendModule('RequestHandlers/BaseRequestManager.js'),
+    CacheManager: () => loadBackendModule('RequestHandlers/CacheManager.js').CacheManager,
+    SlidesParser: () => loadBackendModule('DocumentParsers/SlidesParser.js').SlidesParser,
+    SheetsParser: () => loadBackendModule('DocumentParsers/SheetsParser.js').SheetsParser,
+    CellReferenceFeedback: () => loadBackendModule('Models/Feedback/1_CellReferenceFeedback.js'),
+    SheetsAssessor: () => loadBackendModule('Assessors/SheetsAssessor.js'),
+    SheetsFeedback: () => loadBackendModule('FeedbackPopulators/SheetsFeedback.js'),
+    AssessorCapabilities: () => loadBackendModule('RequestHandlers/AssessorCapabilities.js'),
+    AssessorFailover: () => loadBackendModule('RequestHandlers/AssessorFailover.js'),
+    AssessorUsage: () => loadBackendModule('RequestHandlers/AssessorUsage.js'),
+    LLMRequestManager: () => loadBackendModule('RequestHandlers/LLMRequestManager.js'),
+  });
+
+  const AssignmentController = loadBackendModule('y_controllers/AssignmentController.js');
+  const definition = new AssignmentDefinition({
+    ...fixture.definition,
+    ...definitionOverrides,
+    tasks: {},
+  });
+  const assignment = Assignment.create(definition, courseId, assignmentId);
+  assignment.populateTasks();
+  const students = fixture.students.map(({ id, name }) => ({ id, name }));
+  const controller = new AssignmentController();
+
+  return {
+    assessor,
+    assignment,
+    controller,
+    progress,
+    fetches,
+    sleeps,
+    toasts,
+    batchUpdates,
+    cacheCollection,
+
+    /**
+     * Milliseconds of simulated time spent waiting on the assessor and retry back-off.
+     * @returns {number} Elapsed simulated time.
+     */
+    get elapsedMs() {
+      return clock.nowMs - Date.parse(fixture.definition.referenceLastModified);
+    },
+
+    /**
+     * Starts an execution budget measured against the simulated clock.
+     * @param {number} budgetMs - Milliseconds available from now.
+     * @returns {ExecutionBudget} The budget.
+     */
+    createBudget(budgetMs) {
+      const budget = new ExecutionBudget(budgetMs, clock.nowMs);
+      const isRunningLow = budget.isRunningLow.bind(budget);
+      budget.isRunningLow = () => isRunningLow(clock.nowMs);
+      return budget;
+    },
+
+    /**
+     * Runs the assessment pipeline over the fixture's students.
+     * @param {Object} [runOptions] - Options passed to `runAssignmentPipeline`.
+     * @returns {boolean} True when the run finished; false when it stopped for a checkpoint.
+     */
+    run(runOptions = {}) {
+      return controller.runAssignmentPipeline(assignment, students, runOptions);
+    },
+
+    /**
+     * Restores every global the harness replaced.
+     * @returns {void}
+     */
+    restore() {
+      lateMocks.restore();
+      mocks.restore();
+    },
+  };
+}
+
+module.exports = { createOfflinePipelineHarness, loadOfflineFixture, OFFLINE_API_KEY };
@@ -0,0 +1,119 @@
+/**
+ * PNG builders for image comparison tests. Images are encoded with Node's zlib, so decoders
+ * under test are checked against a real deflate implementation.
+ */
+
+const zlib = require('node:zlib');
+
+const PNG_SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+const CHANNELS_BY_COLOUR_TYPE = new Map([
+  [0, 1],
+  [2, 3],
+  [6, 4],
+]);
+const WHITE = [255, 255, 255, 255];
+const BLACK = [0, 0, 0, 255];
+
+/**
+ * Predicts a byte from its left, upper and upper-left neighbours, as PNG filter type 4 does.
+ * @param {number} left - Byte to the left.
+ * @param {number} up - Byte above.
+ * @param {number} upLeft - Byte above and to the left.
+ * @returns {number} The predicted byte.
+ */
+function paeth(left, up, upLeft) {
+  const estimate = left + up - upLeft;
+  const toLeft = Math.abs(estimate - left);
+  const toUp = Math.abs(estimate - up);
+  const toUpLeft = Math.abs(estimate - upLeft);
+  if (toLeft <= toUp && toLeft <= toUpLeft) return left;
+  return toUp <= toUpLeft ? up : upLeft;
+}
+
+/**
+ * Filters raw scanlines, prefixing each with its filter type byte.
+ * @param {number[][]} rows - Raw scanline bytes.
+ * @param {number} channels - Bytes per pixel.
+ * @param {function(number): number} filterForRow - Filter type (0-4) for a row index.
+ * @returns {Buffer} Filtered image data.
+ */
+function filterRows(rows, channels, filterForRow) {
+  const filtered = rows.flatMap((row, y) => {
+    const filter = filterForRow(y);
+    const above = y > 0 ? rows[y - 1] : row.map(() => 0);
+    const bytes = row.map((value, i) => {
+      const left = i >= channels ? row[i - channels] : 0;
+      const upLeft = i >= channels ? above[i - channels] : 0;
+      const predictions = [0, left, above[i], Math.floor((left + above[i]) / 2), 0];
+      const predicted = filter === 4 ? paeth(left, above[i], upLeft) : predictions[filter];
+      return (value - predicted + 256) & 0xff;
+    });
+    return [filter, ...bytes];
+  });
+  return Buffer.from(filtered);
+}
+
+/**
+ * Wraps data in a PNG chunk. The CRC is left as zeros; decoders under test do not check it.
+ * @param {string} type - Four-letter chunk type.
+ * @param {Buffer} data - Chunk data.
+ * @returns {Buffer} The chunk.
+ */
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  return Buffer.concat([length, Buffer.from(type, 'ascii'), data, Buffer.alloc(4)]);
+}
+
+/**
+ * Builds an 8-bit PNG data URL.
+ * @param {number} width - Image width.
+ * @param {number} height - Image height.
+ * @param {function(number, number): number[]} pixel - Returns `[r, g, b, a]` for a position.
+ * @param {Object} [options] - Encoding options.
+ * @param {number} [options.colourType=2] - 0 (greyscale), 2 (RGB) or 6 (RGBA).
+ * @param {function(number): number} [options.filterForRow] - Filter type per row; none by default.
+ * @param {number} [options.level] - zlib compression level.
+ * @returns {string} The `data:image/png;base64,` URL.
+ */
+function createPngDataUrl(width, height, pixel, options = {}) {
+  const { colourType = 2, filterForRow = () => 0, level } = options;
+  const channels = CHANNELS_BY_COLOUR_TYPE.get(colourType);
+  const rows = Array.from({ length: height }, (_, y) =>
+    Array.from({ length: width }, (__, x) => {
+      const [red, green, blue, alpha] = pixel(x, y);
+      if (colourType === 0) return [Math.round((red + green + blue) / 3)];
+      return colourType === 6 ? [red, green, blue, alpha] : [red, green, blue];
+    }).flat()
+  );
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = colourType;
+
+  const png = Buffer.concat([
+    PNG_SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(filterRows(rows, channels, filterForRow), { level })),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+  return `data:image/png;base64,${png.toString('base64')}`;
+}
+
+/**
+ * Returns a pixel function drawing a black square on a white background.
+ * @param {number} left - Square's left edge.
+ * @param {number} top - Square's top edge.
+ * @param {number} [size=20] - Square's side length.
+ * @returns {function(number, number): number[]} The pixel function.
+ */
+function blackSquare(left, top, size = 20) {
+  return (x, y) => (x >= left && x < left + size && y >= top && y < top + size ? BLACK : WHITE);
+}
+
+module.exports = {
+  createPngDataUrl,
+  blackSquare,
+};
@@ -0,0 +1,397 @@
+/**
+ * Mock assessor
+ *
+ * In-process stand-in for the assessor backend's `/v1/assessor` and `/capabilities` endpoints.
+ * `handle()` takes a plain request and returns a plain response, so the same mock backs the
+ * offline pipeline harness (through a fake `UrlFetchApp`) and the local HTTP server in `server.js`.
+ *
+ * A request is answered by the first of these that applies:
+ *   1. a scripted fault, so retries and validation failures can be exercised;
+ *   2. a recorded fixture whose request payload matches exactly;
+ *   3. a score from `options.score`, or a deterministic score derived from the payload.
+ *
+ * Every assessor exchange is kept, in the fixture format, so a session can be saved and replayed.
+ * Capabilities requests are answered from `options.capabilities` and are not recorded.
+ */
+const { createHash } = require('node:crypto');
+
+const ASSESSOR_PATH = '/v1/assessor';
+const CAPABILITIES_PATH = '/capabilities';
+const DEFAULT_CRITERIA = [
+  { key: 'completeness', label: 'Completeness', maxScore: 5 },
+  { key: 'accuracy', label: 'Accuracy', maxScore: 5 },
+  { key: 'spag', label: 'SPaG', maxScore: 5 },
+];
+const MALFORMED_BODY = '{"completeness": {"score": 3, "reasoning": "Cut off mid';
+const HASH_SLICE_LENGTH = 8;
+const HEX_RADIX = 16;
+
+const DEFAULT_CAPABILITIES = {
+  apiVersions: ['v1'],
+  taskTypes: ['TEXT', 'TABLE', 'IMAGE'],
+  criteria: { custom: true, defaults: DEFAULT_CRITERIA },
+  maxPayloadBytes: null,
+};
+
+const HTTP_STATUS = {
+  OK: 200,
+  BAD_REQUEST: 400,
+  UNAUTHORISED: 401,
+  NOT_FOUND: 404,
+  METHOD_NOT_ALLOWED: 405,
+  PAYLOAD_TOO_LARGE: 413,
+  INTERNAL_SERVER_ERROR: 500,
+};
+
+/**
+ * Creates a mock assessor.
+ * @param {Object} [options] - Mock configuration.
+ * @param {string|null} [options.apiKey=null] - Bearer token required on every request; null accepts any.
+ * @param {number|Object<string, number>|function(Object, Object): number} [options.score] - Score for
+ *   every criterion, scores keyed by criterion key, or a function of the payload and criterion.
+ *   Defaults to a deterministic score derived from the student response.
+ * @param {number|function(Object): number} [options.latencyMs=0] - Latency reported with each
+ *   response, fixed or as a function of the payload.
+ * @param {Object|function(Object): Object|null} [options.usage=null] - Token and cost fields
+ *   returned as `usage` with each score, fixed or as a function of the payload.
+ * @param {Array<Object>} [options.faults=[]] - Scripted faults; see `addFault`.
+ * @param {Array<{request: Object, response: {status: number, body: *}}>} [options.fixtures=[]] -
+ *   Recorded exchanges to replay.
+ * @param {boolean} [options.strictFixtures=false] - Answer 500 instead of scoring when no fixture matches.
+ * @param {Object|null} [options.capabilities] - Overrides for the `/capabilities` descriptor, which
+ *   the mock also enforces; null answers 404 like a backend that predates the endpoint.
+ * @returns {Object} The mock assessor.
+ */
+function createMockAssessor(options = {}) {
+  const {
+    apiKey = null,
+    score,
+    latencyMs = 0,
+    usage = null,
+    faults = [],
+    fixtures = [],
+    strictFixtures = false,
+  } = options;
+  const capabilities =
+    options.capabilities === null
+      ? null
+      : {
+          ...DEFAULT_CAPABILITIES,
+          ...options.capabilities,
+          criteria: { ...DEFAULT_CAPABILITIES.criteria, ...options.capabilities?.criteria },
+        };
+  const defaultCriteria = (capabilities ?? DEFAULT_CAPABILITIES).criteria.defaults;
+  const pendingFaults = [];
+  const replay = new Map(fixtures.map(({ request, response }) => [fixtureKey(request), response]));
+  const exchanges = [];
+
+  const mock = {
+    /**
+     * Queues a fault for the next matching requests.
+     * @param {Object} fault - Fault definition.
+     * @param {number} [fault.status] - HTTP status to answer with.
+     * @param {boolean} [fault.malformed] - Answer 200 with a body that is not valid JSON.
+     * @param {boolean} [fault.invalid] - Answer 200 with scores the client must reject.
+     * @param {number} [fault.times=1] - How many requests the fault answers; `Infinity` for all.
+     * @param {function(Object): boolean} [fault.match] - Restricts the fault to matching payloads.
+     * @returns {Object} The mock, for chaining.
+     */
+    addFault(fault) {
+      pendingFaults.push({ times: 1, ...fault });
+      return mock;
+    },
+
+    /**
+     * Answers one request.
+     * @param {Object} request - The request.
+     * @param {string} [request.method='POST'] - HTTP method.
+     * @param {string} [request.path='/v1/assessor'] - Request path: the assessor or capabilities.
+     * @param {Object<string, string>} [request.headers={}] - Request headers.
+     * @param {string} [request.body=''] - Raw request body.
+     * @returns {{status: number, headers: Object<string, string>, body: string, latencyMs: number}}
+     *   The response.
+     */
+    handle({ method = 'POST', path = ASSESSOR_PATH, headers = {}, body = '' } = {}) {
+      if (path === CAPABILITIES_PATH)
+        return capabilitiesResponse({ method, headers, apiKey, capabilities });
+      const rejection = rejectRequest({ method, path, headers, apiKey, capabilities });
+      if (rejection) return respond(exchanges, null, rejection, 0);
+
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch {
+        return respond(exchanges, null, errorResponse(HTTP_STATUS.BAD_REQUEST, 'Invalid JSON'), 0);
+      }
+      if (capabilities?.maxPayloadBytes && Buffer.byteLength(body) > capabilities.maxPayloadBytes) {
+        const tooLarge = errorResponse(HTTP_STATUS.PAYLOAD_TOO_LARGE, 'Payload Too Large');
+        return respond(exchanges, payload, tooLarge, 0);
+      }
+      const invalid = validatePayload(payload, capabilities ?? DEFAULT_CAPABILITIES);
+      if (invalid) {
+        return respond(exchanges, payload, errorResponse(HTTP_STATUS.BAD_REQUEST, invalid), 0);
+      }
+
+      const delay = typeof latencyMs === 'function' ? latencyMs(payload) : latencyMs;
+      const fault = takeFault(pendingFaults, payload);
+      if (fault) {
+        return respond(exchanges, payload, faultResponse(fault, payload, defaultCriteria), delay);
+      }
+
+      const recorded = replay.get(fixtureKey(payload));
+      if (recorded) return respond(exchanges, payload, recorded, delay);
+      if (strictFixtures) {
+        const missing = errorResponse(HTTP_STATUS.INTERNAL_SERVER_ERROR, 'No recorded fixture');
+        return respond(exchanges, payload, missing, delay);
+      }
+
+      const scored = scoreResponse(payload, score, defaultCriteria);
+      const usageFields = typeof usage === 'function' ? usage(payload) : usage;
+      if (usageFields) scored.body.usage = usageFields;
+      return respond(exchanges, payload, scored, delay);
+    },
+
+    /**
+     * Lists every exchange handled so far, in the fixture format.
+     * @returns {Array<{request: Object|null, response: {status: number, body: *}}>} Exchanges in
+     *   the order they were handled.
+     */
+    getExchanges() {
+      return exchanges.map((exchange) => structuredClone(exchange));
+    },
+  };
+
+  faults.forEach((fault) => mock.addFault(fault));
+  return mock;
+}
+
+/**
+ * Answers a `/capabilities` request. Not recorded, as it carries no payload to replay.
+ * @param {Object} request - Method and headers, with the key and descriptor the mock uses.
+ * @returns {{status: number, headers: Object<string, string>, body: string, latencyMs: number}}
+ *   The response.
+ */
+function capabilitiesResponse({ method, headers, apiKey, capabilities }) {
+  let response = { status: HTTP_STATUS.OK, body: capabilities };
+  if (capabilities === null) response = errorResponse(HTTP_STATUS.NOT_FOUND, 'Not Found');
+  else if (method.toUpperCase() !== 'GET') {
+    response = errorResponse(HTTP_STATUS.METHOD_NOT_ALLOWED, 'Method Not Allowed');
+  } else if (!isAuthorised(headers, apiKey)) {
+    response = errorResponse(HTTP_STATUS.UNAUTHORISED, 'Invalid API key');
+  }
+  return respond([], null, response, 0);
+}
+
+/**
+ * Checks the parts of an assessor request that come before its body.
+ * @param {Object} request - Method, path and headers, with the key and descriptor the mock uses.
+ * @returns {{status: number, body: Object}|null} An error response, or null when the request may proceed.
+ */
+function rejectRequest({ method, path, headers, apiKey, capabilities }) {
+  const versions = (capabilities ?? DEFAULT_CAPABILITIES).apiVersions;
+  if (!versions.some((version) => path === `/${version}/assessor`)) {
+    return errorResponse(HTTP_STATUS.NOT_FOUND, 'Not Found');
+  }
+  if (method.toUpperCase() !== 'POST') {
+    return errorResponse(HTTP_STATUS.METHOD_NOT_ALLOWED, 'Method Not Allowed');
+  }
+  if (!isAuthorised(headers, apiKey)) {
+    return errorResponse(HTTP_STATUS.UNAUTHORISED, 'Invalid API key');
+  }
+  return null;
+}
+
+/**
+ * Reports whether a request carries the bearer token the mock expects.
+ * @param {Object<string, string>} headers - Request headers.
+ * @param {string|null} apiKey - Expected key; null accepts any.
+ * @returns {boolean} True when the request may proceed.
+ */
+function isAuthorised(headers, apiKey) {
+  const authorisation = Object.entries(headers).find(
+    ([name]) => name.toLowerCase() === 'authorization'
+  )?.[1];
+  return apiKey === null || authorisation === `Bearer ${apiKey}`;
+}
+
+/**
+ * Checks a request payload against the assessor contract the capabilities describe.
+ * @param {*} payload - Parsed request body.
+ * @param {Object} capabilities - The descriptor the mock advertises.
+ * @returns {string|null} What is wrong with the payload, or null when it is valid.
+ */
+function validatePayload(payload, capabilities) {
+  if (!payload || typeof payload !== 'object') return 'Body must be a JSON object';
+  if (!capabilities.taskTypes.includes(payload.taskType))
+    return `Unsupported taskType: ${payload.taskType}`;
+  const missing = ['reference', 'template', 'studentResponse'].find(
+    (field) => typeof payload[field] !== 'string'
+  );
+  if (missing) return `${missing} must be a string`;
+  if (payload.criteria !== undefined && !capabilities.criteria.custom) {
+    return 'Custom criteria are not supported';
+  }
+  if (payload.criteria !== undefined && !isCriteriaList(payload.criteria)) {
+    return 'criteria must be a non-empty list of { key, maxScore }';
+  }
+  return null;
+}
+
+/**
+ * Reports whether a value is a usable criteria list.
+ * @param {*} criteria - The `criteria` field of a payload.
+ * @returns {boolean} True when every entry has a string key and a positive maxScore.
+ */
+function isCriteriaList(criteria) {
+  return (
+    Array.isArray(criteria) &&
+    criteria.length > 0 &&
+    criteria.every(
+      (criterion) =>
+        typeof criterion?.key === 'string' &&
+        typeof criterion.maxScore === 'number' &&
+        criterion.maxScore > 0
+    )
+  );
+}
+
+/**
+ * Removes and returns the first queued fault that applies to a payload.
+ * @param {Array<Object>} pendingFaults - Queued faults; spent faults are removed.
+ * @param {Object} payload - Parsed request body.
+ * @returns {Object|null} The fault, or null when none applies.
+ */
+function takeFault(pendingFaults, payload) {
+  const index = pendingFaults.findIndex((fault) => !fault.match || fault.match(payload));
+  if (index === -1) return null;
+  const fault = pendingFaults[index];
+  fault.times -= 1;
+  if (fault.times <= 0) pendingFaults.splice(index, 1);
+  return fault;
+}
+
+/**
+ * Builds the response for a fault.
+ * @param {Object} fault - The fault being answered.
+ * @param {Object} payload - Parsed request body.
+ * @param {Array<Object>} defaultCriteria - Criteria scored when the payload has none.
+ * @returns {{status: number, body: *}} The response.
+ */
+function faultResponse(fault, payload, defaultCriteria) {
+  if (fault.malformed) return { status: HTTP_STATUS.OK, body: MALFORMED_BODY };
+  if (fault.invalid) {
+    const body = Object.fromEntries(
+      criteriaFor(payload, defaultCriteria).map(({ key, maxScore }) => [
+        key,
+        { score: maxScore + 1 },
+      ])
+    );
+    return { status: HTTP_STATUS.OK, body };
+  }
+  return errorResponse(fault.status ?? HTTP_STATUS.INTERNAL_SERVER_ERROR, 'Injected fault');
+}
+
+/**
+ * Scores every criterion in a payload.
+ * @param {Object} payload - Parsed request body.
+ * @param {number|Object<string, number>|function(Object, Object): number|undefined} score - The
+ *   configured score.
+ * @param {Array<Object>} defaultCriteria - Criteria scored when the payload has none.
+ * @returns {{status: number, body: Object}} A successful response.
+ */
+function scoreResponse(payload, score, defaultCriteria) {
+  const body = Object.fromEntries(
+    criteriaFor(payload, defaultCriteria).map((criterion) => {
+      const value = resolveScore(score, payload, criterion);
+      return [
+        criterion.key,
+        { score: value, reasoning: `Mock ${criterion.key} score of ${value}.` },
+      ];
+    })
+  );
+  return { status: HTTP_STATUS.OK, body };
+}
+
+/**
+ * Resolves the configured score for one criterion, clamped to its range.
+ * @param {number|Object<string, number>|function(Object, Object): number|undefined} score - The
+ *   configured score.
+ * @param {Object} payload - Parsed request body.
+ * @param {{key: string, maxScore: number}} criterion - The criterion being scored.
+ * @returns {number} The score.
+ */
+function resolveScore(score, payload, criterion) {
+  let value;
+  if (typeof score === 'function') value = score(payload, criterion);
+  else if (typeof score === 'number') value = score;
+  else if (score && typeof score === 'object') value = score[criterion.key];
+  value ??= deterministicScore(payload.studentResponse, criterion);
+  return Math.min(Math.max(value, 0), criterion.maxScore);
+}
+
+/**
+ * Derives a stable score from a student response, so repeat runs agree.
+ * @param {string} studentResponse - The student's answer.
+ * @param {{key: string, maxScore: number}} criterion - The criterion being scored.
+ * @returns {number} An integer from 0 to the criterion's max score.
+ */
+function deterministicScore(studentResponse, criterion) {
+  const digest = createHash('sha256').update(`${criterion.key}:${studentResponse}`).digest('hex');
+  return Number.parseInt(digest.slice(0, HASH_SLICE_LENGTH), HEX_RADIX) % (criterion.maxScore + 1);
+}
+
+/**
+ * Lists the criteria a payload asks for.
+ * @param {Object} payload - Parsed request body.
+ * @param {Array<Object>} defaultCriteria - Criteria scored when the payload has none.
+ * @returns {Array<{key: string, maxScore: number}>} The payload's criteria, or the defaults.
+ */
+function criteriaFor(payload, defaultCriteria) {
+  return payload.criteria ?? defaultCriteria;
+}
+
+/**
+ * Builds an error response in the backend's `{ detail }` shape.
+ * @param {number} status - HTTP status.
+ * @param {string} detail - Error description.
+ * @returns {{status: number, body: {detail: string}}} The response.
+ */
+function errorResponse(status, detail) {
+  return { status, body: { detail } };
+}
+
+/**
+ * Records an exchange and serialises its response.
+ * @param {Array<Object>} exchanges - Exchanges handled so far.
+ * @param {Object|null} payload - Parsed request body, or null when it could not be read.
+ * @param {{status: number, body: *}} response - The response.
+ * @param {number} latencyMs - Latency to report.
+ * @returns {{status: number, headers: Object<string, string>, body: string, latencyMs: number}}
+ *   The response as sent.
+ */
+function respond(exchanges, payload, response, latencyMs) {
+  exchanges.push({ request: payload, response: structuredClone(response) });
+  return {
+    status: response.status,
+    headers: { 'Content-Type': 'application/json' },
+    body: typeof response.body === 'string' ? response.body : JSON.stringify(response.body),
+    latencyMs,
+  };
+}
+
+/**
+ * Builds the replay key for a request payload, independent of property order.
+ * @param {Object|null} payload - Parsed request body.
+ * @returns {string} The key.
+ */
+function fixtureKey(payload) {
+  return JSON.stringify(payload, (_key, value) =>
+    value && typeof value === 'object' && !Array.isArray(value)
+      ? Object.fromEntries(
+          Object.entries(value).toSorted(([left], [right]) => left.localeCompare(right))
+        )
+      : value
+  );
+}
+
+module.exports = { createMockAssessor, ASSESSOR_PATH, CAPABILITIES_PATH, HTTP_STATUS };
@@ -0,0 +1,241 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createMockAssessor, ASSESSOR_PATH, CAPABILITIES_PATH } from './mockAssessor.js';
+import { main, parseFault } from './server.js';
+
+const API_KEY = 'mock-key';
+
+/**
+ * Builds a valid `/v1/assessor` request.
+ * @param {Object} [payloadOverrides] - Fields to change in the payload.
+ * @param {Object} [requestOverrides] - Fields to change in the request.
+ * @returns {Object} The request.
+ */
+function assessorRequest(payloadOverrides = {}, requestOverrides = {}) {
+  return {
+    method: 'POST',
+    path: ASSESSOR_PATH,
+    headers: { Authorization: `Bearer ${API_KEY}` },
+    body: JSON.stringify({
+      taskType: 'TEXT',
+      reference: 'glucose + oxygen',
+      template: '',
+      studentResponse: 'sugar + oxygen',
+      criteria: [
+        { key: 'accuracy', label: 'Accuracy', maxScore: 5 },
+        { key: 'evaluation', label: 'Evaluation', maxScore: 3 },
+      ],
+      ...payloadOverrides,
+    }),
+    ...requestOverrides,
+  };
+}
+
+describe('createMockAssessor', () => {
+  it('scores every requested criterion deterministically within its range', () => {
+    const assessor = createMockAssessor({ apiKey: API_KEY });
+
+    const first = assessor.handle(assessorRequest());
+    const second = assessor.handle(assessorRequest());
+
+    expect(first.status).toBe(200);
+    expect(first.body).toBe(second.body);
+    const body = JSON.parse(first.body);
+    expect(Object.keys(body)).toEqual(['accuracy', 'evaluation']);
+    expect(body.evaluation.score).toBeGreaterThanOrEqual(0);
+    expect(body.evaluation.score).toBeLessThanOrEqual(3);
+    expect(body.evaluation.reasoning).toBe(`Mock evaluation score of ${body.evaluation.score}.`);
+  });
+
+  it('falls back to completeness, accuracy and SPaG when the payload has no criteria', () => {
+    const assessor = createMockAssessor({ score: 2 });
+
+    const body = JSON.parse(assessor.handle(assessorRequest({ criteria: undefined })).body);
+
+    expect(body).toEqual({
+      completeness: { score: 2, reasoning: 'Mock completeness score of 2.' },
+      accuracy: { score: 2, reasoning: 'Mock accuracy score of 2.' },
+      spag: { score: 2, reasoning: 'Mock spag score of 2.' },
+    });
+  });
+
+  it('uses configured scores per criterion and clamps them to the max score', () => {
+    const assessor = createMockAssessor({ score: { accuracy: 1, evaluation: 9 } });
+
+    const body = JSON.parse(assessor.handle(assessorRequest()).body);
+
+    expect(body.accuracy.score).toBe(1);
+    expect(body.evaluation.score).toBe(3);
+  });
+
+  it.each([
+    ['a missing key', { headers: {} }, 401],
+    ['a wrong key', { headers: { authorization: 'Bearer other' } }, 401],
+    ['an unknown path', { path: '/v1/unknown' }, 404],
+    ['a GET', { method: 'GET' }, 405],
+    ['a body that is not JSON', { body: '{' }, 400],
+  ])('rejects %s', (_label, requestOverrides, status) => {
+    const assessor = createMockAssessor({ apiKey: API_KEY });
+
+    const response = assessor.handle(assessorRequest({}, requestOverrides));
+
+    expect(response.status).toBe(status);
+    expect(JSON.parse(response.body)).toHaveProperty('detail');
+  });
+
+  it.each([
+    ['an unknown task type', { taskType: 'VIDEO' }],
+    ['a missing student response', { studentResponse: undefined }],
+    ['empty criteria', { criteria: [] }],
+    ['a criterion without a max score', { criteria: [{ key: 'accuracy' }] }],
+  ])('answers 400 for %s', (_label, payloadOverrides) => {
+    const assessor = createMockAssessor();
+
+    expect(assessor.handle(assessorRequest(payloadOverrides)).status).toBe(400);
+  });
+
+  it('answers queued faults before scoring', () => {
+    const assessor = createMockAssessor()
+      .addFault({ status: 503, times: 2 })
+      .addFault({ malformed: true })
+      .addFault({ invalid: true });
+
+    const statuses = [1, 2].map(() => assessor.handle(assessorRequest()).status);
+    const malformed = assessor.handle(assessorRequest());
+    const invalid = JSON.parse(assessor.handle(assessorRequest()).body);
+    const scored = assessor.handle(assessorRequest());
+
+    expect(statuses).toEqual([503, 503]);
+    expect(() => JSON.parse(malformed.body)).toThrow();
+    expect(invalid.accuracy).toEqual({ score: 6 });
+    expect(scored.status).toBe(200);
+  });
+
+  it('only applies a fault to payloads it matches', () => {
+    const assessor = createMockAssessor().addFault({
+      status: 500,
+      times: Infinity,
+      match: (payload) => payload.studentResponse === 'broken',
+    });
+
+    expect(assessor.handle(assessorRequest({ studentResponse: 'broken' })).status).toBe(500);
+    expect(assessor.handle(assessorRequest()).status).toBe(200);
+    expect(assessor.handle(assessorRequest({ studentResponse: 'broken' })).status).toBe(500);
+  });
+
+  it('reports latency from a fixed value or a function of the payload', () => {
+    const fixed = createMockAssessor({ latencyMs: 250 });
+    const varying = createMockAssessor({
+      latencyMs: (payload) => payload.studentResponse.length,
+    });
+
+    expect(fixed.handle(assessorRequest()).latencyMs).toBe(250);
+    expect(varying.handle(assessorRequest()).latencyMs).toBe('sugar + oxygen'.length);
+  });
+
+  it('replays recorded exchanges regardless of property order', () => {
+    const recorder = createMockAssessor({ score: 1 });
+    recorder.handle(assessorRequest());
+    const fixtures = recorder.getExchanges();
+    const payload = JSON.parse(assessorRequest().body);
+    const reordered = Object.fromEntries(Object.entries(payload).toReversed());
+
+    const replayer = createMockAssessor({ score: 5, fixtures, strictFixtures: true });
+    const replayed = replayer.handle({ body: JSON.stringify(reordered) });
+    const unrecorded = replayer.handle(assessorRequest({ studentResponse: 'something new' }));
+
+    expect(JSON.parse(replayed.body).accuracy.score).toBe(1);
+    expect(unrecorded.status).toBe(500);
+  });
+});
+
+describe('mock assessor capabilities', () => {
+  const capabilitiesRequest = {
+    method: 'GET',
+    path: CAPABILITIES_PATH,
+    headers: { Authorization: `Bearer ${API_KEY}` },
+  };
+
+  it('serves the v1 descriptor by default without recording it', () => {
+    const assessor = createMockAssessor({ apiKey: API_KEY });
+
+    const response = assessor.handle(capabilitiesRequest);
+
+    expect(response.status).toBe(200);
+    expect(JSON.parse(response.body)).toEqual({
+      apiVersions: ['v1'],
+      taskTypes: ['TEXT', 'TABLE', 'IMAGE'],
+      criteria: {
+        custom: true,
+        defaults: [
+          { key: 'completeness', label: 'Completeness', maxScore: 5 },
+          { key: 'accuracy', label: 'Accuracy', maxScore: 5 },
+          { key: 'spag', label: 'SPaG', maxScore: 5 },
+        ],
+      },
+      maxPayloadBytes: null,
+    });
+    expect(assessor.getExchanges()).toEqual([]);
+  });
+
+  it('answers 404 for a backend that predates the endpoint and 401 for a wrong key', () => {
+    const legacy = createMockAssessor({ capabilities: null });
+    const guarded = createMockAssessor({ apiKey: API_KEY });
+
+    expect(legacy.handle(capabilitiesRequest).status).toBe(404);
+    expect(guarded.handle({ ...capabilitiesRequest, headers: {} }).status).toBe(401);
+  });
+
+  it('enforces the versions, task types, criteria and size limit it advertises', () => {
+    const assessor = createMockAssessor({
+      capabilities: {
+        apiVersions: ['v2'],
+        taskTypes: ['TEXT'],
+        criteria: { custom: false },
+        maxPayloadBytes: 400,
+      },
+    });
+    const v2 = (payloadOverrides) => assessorRequest(payloadOverrides, { path: '/v2/assessor' });
+
+    expect(assessor.handle(assessorRequest({ criteria: undefined })).status).toBe(404);
+    expect(assessor.handle(v2({ criteria: undefined, taskType: 'TABLE' })).status).toBe(400);
+    expect(assessor.handle(v2({})).status).toBe(400);
+    expect(
+      assessor.handle(v2({ criteria: undefined, studentResponse: 'x'.repeat(400) })).status
+    ).toBe(413);
+    const scored = assessor.handle(v2({ criteria: undefined }));
+    expect(Object.keys(JSON.parse(scored.body))).toEqual(['completeness', 'accuracy', 'spag']);
+  });
+});
+
+describe('mock assessor server', () => {
+  let server;
+
+  afterEach(async () => {
+    await new Promise((resolve) => server?.close(resolve) ?? resolve());
+    server = null;
+    vi.restoreAllMocks();
+  });
+
+  it('parses fault flags', () => {
+    expect(parseFault('503')).toEqual({ status: 503, times: 1 });
+    expect(parseFault('malformed:3')).toEqual({ malformed: true, times: 3 });
+    expect(parseFault('invalid:*')).toEqual({ invalid: true, times: Infinity });
+  });
+
+  it('serves the mock over HTTP', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    server = main(['--port', '0', '--api-key', API_KEY, '--score', '3', '--fault', '429']);
+    await new Promise((resolve) => server.once('listening', resolve));
+    const { port } = server.address();
+    const { headers, body } = assessorRequest();
+    const send = () =>
+      fetch(`http://127.0.0.1:${port}${ASSESSOR_PATH}`, { method: 'POST', headers, body });
+
+    const throttled = await send();
+    const scored = await send();
+
+    expect(throttled.status).toBe(429);
+    expect(scored.status).toBe(200);
+    expect((await scored.json()).accuracy.score).toBe(3);
+  });
+});
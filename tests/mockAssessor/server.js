@@ -0,0 +1,170 @@
+/**
+ * Mock assessor server
+ *
+ * Serves the mock assessor from `mockAssessor.js` over HTTP so the `/v1/assessor` and
+ * `/capabilities` contracts can be exercised without the live backend. With `--upstream`, requests are forwarded to a real
+ * assessor instead and `--record` captures the exchanges as fixtures for later replay.
+ *
+ * Usage: npm run mock-assessor -- [options]
+ *   --port <n>            Port to listen on (default 8787)
+ *   --api-key <key>       Require `Authorization: Bearer <key>`
+ *   --score <n>           Score every criterion with n instead of the deterministic score
+ *   --latency <ms>        Wait this long before each response
+ *   --fault <kind[:n]>    Answer the next n requests (default 1) with a fault; kind is an HTTP
+ *                         status, `malformed` or `invalid`. Repeatable.
+ *   --fixtures <file>     Replay recorded exchanges from a JSON file
+ *   --strict-fixtures     Answer 500 when no fixture matches instead of scoring
+ *   --capabilities <file> Advertise the capability overrides in a JSON file; `none` answers 404
+ *                         like a backend that predates the endpoint
+ *   --upstream <url>      Forward requests to a live assessor base URL
+ *   --record <file>       Write every exchange to a JSON fixture file
+ */
+const fs = require('node:fs');
+const http = require('node:http');
+const { parseArgs } = require('node:util');
+const { setTimeout: delay } = require('node:timers/promises');
+const { createMockAssessor, CAPABILITIES_PATH } = require('./mockAssessor.js');
+
+const DEFAULT_PORT = 8787;
+
+/**
+ * Parses a `--fault` value.
+ * @param {string} spec - `kind` or `kind:times`.
+ * @returns {Object} The fault definition.
+ */
+function parseFault(spec) {
+  const [kind, times = '1'] = spec.split(':');
+  const fault = { times: times === '*' ? Infinity : Number(times) };
+  if (kind === 'malformed' || kind === 'invalid') return { ...fault, [kind]: true };
+  return { ...fault, status: Number(kind) };
+}
+
+/**
+ * Reads a request body as text.
+ * @param {http.IncomingMessage} request - The incoming request.
+ * @returns {Promise<string>} The body.
+ */
+async function readBody(request) {
+  const chunks = [];
+  for await (const chunk of request) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Forwards a request to a live assessor.
+ * @param {string} upstream - Base URL of the live assessor.
+ * @param {Object} request - Method, path, headers and body of the incoming request.
+ * @returns {Promise<{status: number, headers: Object<string, string>, body: string}>} The live response.
+ */
+async function forward(upstream, { method, path, headers, body }) {
+  const response = await fetch(new URL(path, upstream), {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: headers.authorization ?? '' },
+    body: method === 'GET' ? undefined : body,
+  });
+  return {
+    status: response.status,
+    headers: { 'Content-Type': response.headers.get('content-type') ?? 'application/json' },
+    body: await response.text(),
+  };
+}
+
+/**
+ * Converts a raw exchange to the fixture format.
+ * @param {string} requestBody - Raw request body.
+ * @param {{status: number, body: string}} response - The response sent.
+ * @returns {{request: Object|null, response: {status: number, body: *}}} The fixture entry.
+ */
+function toFixture(requestBody, response) {
+  const parse = (text) => {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  };
+  const request = parse(requestBody);
+  return {
+    request: typeof request === 'object' ? request : null,
+    response: { status: response.status, body: parse(response.body) },
+  };
+}
+
+/**
+ * Reads the `--capabilities` value.
+ * @param {string|undefined} value - A JSON file of capability overrides, or `none`.
+ * @returns {Object|null|undefined} The overrides, null for no endpoint, or undefined for the defaults.
+ */
+function readCapabilities(value) {
+  if (value === undefined) return undefined;
+  if (value === 'none') return null;
+  return JSON.parse(fs.readFileSync(value, 'utf8'));
+}
+
+/**
+ * Starts the server.
+ * @param {string[]} argv - Command-line arguments.
+ * @returns {http.Server} The listening server.
+ */
+function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      port: { type: 'string', default: String(DEFAULT_PORT) },
+      'api-key': { type: 'string' },
+      score: { type: 'string' },
+      latency: { type: 'string', default: '0' },
+      fault: { type: 'string', multiple: true, default: [] },
+      fixtures: { type: 'string' },
+      'strict-fixtures': { type: 'boolean', default: false },
+      capabilities: { type: 'string' },
+      upstream: { type: 'string' },
+      record: { type: 'string' },
+    },
+  });
+
+  const assessor = createMockAssessor({
+    apiKey: values['api-key'] ?? null,
+    score: values.score === undefined ? undefined : Number(values.score),
+    latencyMs: Number(values.latency),
+    faults: values.fault.map((spec) => parseFault(spec)),
+    fixtures: values.fixtures ? JSON.parse(fs.readFileSync(values.fixtures, 'utf8')) : [],
+    strictFixtures: values['strict-fixtures'],
+    capabilities: readCapabilities(values.capabilities),
+  });
+  const recorded = [];
+
+  const server = http.createServer(async (request, response) => {
+    const incoming = {
+      method: request.method,
+      path: new URL(request.url, 'http://localhost').pathname,
+      headers: request.headers,
+      body: await readBody(request),
+    };
+    const reply = values.upstream
+      ? await forward(values.upstream, incoming)
+      : assessor.handle(incoming);
+    if (reply.latencyMs) await delay(reply.latencyMs);
+
+    console.log(`${incoming.method} ${incoming.path} -> ${reply.status}`);
+    if (values.record && incoming.path !== CAPABILITIES_PATH) {
+      recorded.push(toFixture(incoming.body, reply));
+      fs.writeFileSync(values.record, `${JSON.stringify(recorded, null, 2)}\n`);
+    }
+    response.writeHead(reply.status, reply.headers);
+    response.end(reply.body);
+  });
+
+  server.listen(Number(values.port), () => {
+    const mode = values.upstream ? `forwarding to ${values.upstream}` : 'mock';
+    const { port } = server.address();
+    console.log(`Mock assessor (${mode}) listening on http://localhost:${port}/v1/assessor`);
+  });
+  return server;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+module.exports = { main, parseFault };
@@ -6,6 +6,9 @@ function create() {
     startTracking() {
       // noop for tests
     },
+    resumeTracking() {
+      // noop for tests
+    },
     complete() {
       // noop for tests
     },
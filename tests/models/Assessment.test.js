@@ -289,4 +289,42 @@ describe('Assessment', () => {
       expect(assessment.reasoning).toBeUndefined();
     });
   });
+
+  describe('criteria helpers', () => {
+    const codeQuality = { key: 'codeQuality', label: 'Code quality', maxScore: 10, weighting: 1 };
+
+    it('should return independent copies of the default criteria', () => {
+      const criteria = Assessment.getDefaultCriteria();
+      criteria[0].weighting = 1;
+
+      expect(criteria.map((criterion) => criterion.key)).toEqual([
+        'completeness',
+        'accuracy',
+        'spag',
+      ]);
+      expect(Assessment.getDefaultCriteria()[0].weighting).toBe(0.4);
+    });
+
+    it.each([
+      ['a score within the max score', { score: 10, reasoning: 'Clear' }, true],
+      ['a score above the max score', { score: 11, reasoning: 'Clear' }, false],
+      ['a negative score', { score: -1, reasoning: 'Clear' }, false],
+      ['a non-numeric score', { score: '7', reasoning: 'Clear' }, false],
+      ['missing reasoning', { score: 7 }, false],
+      ['a missing entry', undefined, false],
+    ])('should report whether details with %s are valid', (_label, details, expected) => {
+      expect(Assessment.isValidForCriterion(details, codeQuality)).toBe(expected);
+    });
+
+    it('should restore criterion key casing and drop unknown keys', () => {
+      const data = {
+        codequality: { score: 8, reasoning: 'Tidy' },
+        accuracy: { score: 4, reasoning: 'Mostly' },
+      };
+
+      expect(Assessment.selectCriteriaData(data, [codeQuality])).toEqual({
+        codeQuality: { score: 8, reasoning: 'Tidy' },
+      });
+    });
+  });
 });
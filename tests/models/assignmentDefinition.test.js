@@ -322,4 +322,127 @@ describe('AssignmentDefinition', () => {
       expect(() => def.toJSON()).not.toThrow();
     });
   });
+
+  // 15. Assessment criteria
+  describe('criteria', () => {
+    const programmingCriteria = [
+      { key: 'codeQuality', label: ' Code quality ', maxScore: 10, weighting: 0.6 },
+      { key: 'explanation', label: 'Explanation', maxScore: 5, weighting: 0.4 },
+    ];
+
+    it('should default to completeness, accuracy and SPaG when omitted', () => {
+      const def = new AssignmentDefinition(baseValidParams);
+      expect(def.criteria).toEqual([
+        { key: 'completeness', label: 'Completeness', maxScore: 5, weighting: 0.4 },
+        { key: 'accuracy', label: 'Accuracy', maxScore: 5, weighting: 0.4 },
+        { key: 'spag', label: 'SPaG', maxScore: 5, weighting: 0.2 },
+      ]);
+    });
+
+    it('should store supplied criteria with trimmed labels', () => {
+      const def = new AssignmentDefinition({ ...baseValidParams, criteria: programmingCriteria });
+      expect(def.criteria.map((criterion) => criterion.key)).toEqual([
+        'codeQuality',
+        'explanation',
+      ]);
+      expect(def.criteria[0].label).toBe('Code quality');
+    });
+
+    it('should round-trip criteria through toPartialJSON and fromJSON', () => {
+      const def = new AssignmentDefinition({ ...baseValidParams, criteria: programmingCriteria });
+      const restored = AssignmentDefinition.fromJSON(def.toPartialJSON());
+      expect(restored.criteria).toEqual(def.criteria);
+    });
+
+    it('should round-trip the assessor profile, defaulting to null', () => {
+      const def = new AssignmentDefinition({ ...baseValidParams, assessorProfile: 'Homework' });
+      expect(AssignmentDefinition.fromJSON(def.toPartialJSON()).assessorProfile).toBe('Homework');
+      expect(new AssignmentDefinition(baseValidParams).assessorProfile).toBeNull();
+    });
+
+    it('should fill not-attempted detection defaults and round-trip supplied thresholds', () => {
+      expect(new AssignmentDefinition(baseValidParams).notAttemptedDetection).toEqual({
+        minChangedCharacters: 1,
+        minChangedCells: 1,
+        maxImageDistance: null,
+      });
+
+      const def = new AssignmentDefinition({
+        ...baseValidParams,
+        notAttemptedDetection: { minChangedCharacters: 12, maxImageDistance: 4 },
+      });
+      expect(AssignmentDefinition.fromJSON(def.toPartialJSON()).notAttemptedDetection).toEqual({
+        minChangedCharacters: 12,
+        minChangedCells: 1,
+        maxImageDistance: 4,
+      });
+    });
+
+    it.each([
+      [[], TypeError, 'notAttemptedDetection must be an object'],
+      [
+        { minChangedCharacters: 0 },
+        RangeError,
+        'notAttemptedDetection.minChangedCharacters must be a positive integer',
+      ],
+      [
+        { minChangedCells: 1.5 },
+        RangeError,
+        'notAttemptedDetection.minChangedCells must be a positive integer',
+      ],
+      [
+        { maxImageDistance: 65 },
+        RangeError,
+        'notAttemptedDetection.maxImageDistance must be null or an integer between 0 and 64',
+      ],
+    ])('should reject not-attempted detection %j', (notAttemptedDetection, errorType, message) => {
+      expect(() => new AssignmentDefinition({ ...baseValidParams, notAttemptedDetection })).toThrow(
+        new errorType(message)
+      );
+    });
+
+    it('should include criteria in toJSON for full definitions', () => {
+      const def = new AssignmentDefinition({
+        ...baseValidParams,
+        tasks: { t1: { taskTitle: 'Task 1' } },
+        criteria: programmingCriteria,
+      });
+      expect(def.toJSON().criteria).toEqual(def.criteria);
+    });
+
+    it.each([
+      ['an empty array', [], TypeError],
+      [
+        'a non-camelCase key',
+        [{ key: 'Code-Quality', label: 'A', maxScore: 5, weighting: 1 }],
+        TypeError,
+      ],
+      [
+        'keys that collide once lower-cased',
+        [
+          { key: 'codeQuality', label: 'A', maxScore: 5, weighting: 1 },
+          { key: 'codequality', label: 'B', maxScore: 5, weighting: 1 },
+        ],
+        RangeError,
+      ],
+      ['a blank label', [{ key: 'accuracy', label: '  ', maxScore: 5, weighting: 1 }], TypeError],
+      [
+        'a fractional maxScore',
+        [{ key: 'accuracy', label: 'A', maxScore: 2.5, weighting: 1 }],
+        RangeError,
+      ],
+      [
+        'a negative weighting',
+        [{ key: 'accuracy', label: 'A', maxScore: 5, weighting: -1 }],
+        RangeError,
+      ],
+      [
+        'only zero weightings',
+        [{ key: 'accuracy', label: 'A', maxScore: 5, weighting: 0 }],
+        RangeError,
+      ],
+    ])('should reject %s', (_label, criteria, errorType) => {
+      expect(() => new AssignmentDefinition({ ...baseValidParams, criteria })).toThrow(errorType);
+    });
+  });
 });
@@ -78,4 +78,178 @@ describe('StudentSubmission', () => {
     const item = sub.getItem(td.getId());
     expect(item.artifact.documentId).toBe('doc-extraction');
   });
+
+  it('reports extraction and assessment progress', () => {
+    const first = new TaskDefinition({ taskTitle: 'First', pageId: 'p1', index: 0 });
+    first.addReferenceArtifact({ type: 'TEXT', content: 'Reference one' });
+    const second = new TaskDefinition({ taskTitle: 'Second', pageId: 'p2', index: 1 });
+    second.addReferenceArtifact({ type: 'TEXT', content: 'Reference two' });
+    const sub = new StudentSubmission('stu1', 'assign1', 'doc1', 'Student One');
+
+    expect(sub.isExtracted()).toBe(false);
+    expect(sub.isAssessed()).toBe(true);
+
+    sub.upsertItemFromExtraction(first, { content: 'Answer one' });
+    sub.upsertItemFromExtraction(second, { content: 'Answer two' });
+    expect(sub.isExtracted()).toBe(false);
+    sub.markExtracted();
+    expect(sub.isExtracted()).toBe(true);
+    expect(sub.isAssessed()).toBe(false);
+
+    sub.getItem(first.getId()).addAssessment('accuracy', { score: 3, reasoning: 'Good' });
+    expect(sub.getItem(first.getId()).isAssessed()).toBe(true);
+    expect(sub.isAssessed()).toBe(false);
+
+    sub.getItem(second.getId()).addAssessment('accuracy', { score: 2, reasoning: 'Fair' });
+    expect(sub.isAssessed()).toBe(true);
+  });
+
+  it('reassesses only items whose content changed on a repeat run', () => {
+    const first = new TaskDefinition({ taskTitle: 'First', pageId: 'p1', index: 0 });
+    first.addReferenceArtifact({ type: 'TEXT', content: 'Reference one' });
+    const second = new TaskDefinition({ taskTitle: 'Second', pageId: 'p2', index: 1 });
+    second.addReferenceArtifact({ type: 'TEXT', content: 'Reference two' });
+    const sub = new StudentSubmission('stu1', 'assign1', 'doc1', 'Student One');
+    sub.upsertItemFromExtraction(first, { content: 'Answer one' });
+    sub.upsertItemFromExtraction(second, { content: 'Answer two' });
+    sub.markExtracted();
+    sub.getItem(first.getId()).addAssessment('accuracy', { score: 3, reasoning: 'Good' });
+    sub.getItem(second.getId()).addAssessment('accuracy', { score: 2, reasoning: 'Fair' });
+
+    const repeat = StudentSubmission.fromJSON(JSON.parse(JSON.stringify(sub.toJSON())));
+    expect(repeat.isExtracted()).toBe(true);
+    expect(repeat.isAssessed()).toBe(true);
+
+    repeat.resetExtraction();
+    repeat.upsertItemFromExtraction(first, { content: 'Answer one' });
+    repeat.upsertItemFromExtraction(second, { content: 'Answer two, revised' });
+    repeat.markExtracted();
+
+    expect(repeat.getItem(first.getId()).isAssessed()).toBe(true);
+    expect(repeat.getItem(first.getId()).getAssessment('accuracy').score).toBe(3);
+    expect(repeat.getItem(second.getId()).isAssessed()).toBe(false);
+    expect(repeat.isAssessed()).toBe(false);
+  });
+
+  it('treats items persisted without an assessed content hash as needing assessment', () => {
+    const task = new TaskDefinition({ taskTitle: 'First', pageId: 'p1', index: 0 });
+    task.addReferenceArtifact({ type: 'TEXT', content: 'Reference one' });
+    const sub = new StudentSubmission('stu1', 'assign1', 'doc1', 'Student One');
+    sub.upsertItemFromExtraction(task, { content: 'Answer one' });
+    sub.getItem(task.getId()).addAssessment('accuracy', { score: 3, reasoning: 'Good' });
+    const json = sub.toJSON();
+    delete json.items[task.getId()].assessedContentHash;
+
+    const legacy = StudentSubmission.fromJSON(json);
+
+    expect(legacy.getItem(task.getId()).isAssessed()).toBe(false);
+  });
+
+  describe('teacher overrides', () => {
+    /**
+     * Builds a submission with one assessed TEXT item.
+     * @returns {{ sub: StudentSubmission, task: TaskDefinition, item: Object }} Fixture parts.
+     */
+    function buildAssessedSubmission() {
+      const task = new TaskDefinition({ taskTitle: 'First', pageId: 'p1', index: 0 });
+      task.addReferenceArtifact({ type: 'TEXT', content: 'Reference one' });
+      const sub = new StudentSubmission('stu1', 'assign1', 'doc1', 'Student One');
+      sub.upsertItemFromExtraction(task, { content: 'Answer one' });
+      const item = sub.getItem(task.getId());
+      item.addAssessment('accuracy', { score: 2, reasoning: 'LLM reasoning' });
+      item.addAssessment('spag', { score: 4, reasoning: 'Tidy' });
+      return { sub, task, item };
+    }
+
+    it('keeps the original assessment and records who overrode it and when', () => {
+      const { item } = buildAssessedSubmission();
+
+      const override = item.overrideAssessment('accuracy', {
+        score: 4,
+        reasoning: 'Correct method',
+        overriddenBy: 'teacher@example.com',
+      });
+
+      expect(item.getAssessment('accuracy')).toEqual({ score: 2, reasoning: 'LLM reasoning' });
+      expect(item.getEffectiveAssessment('accuracy')).toBe(override);
+      expect(item.getEffectiveAssessment('spag')).toEqual({ score: 4, reasoning: 'Tidy' });
+      expect(override).toEqual({
+        score: 4,
+        reasoning: 'Correct method',
+        overriddenBy: 'teacher@example.com',
+        overriddenAt: expect.any(String),
+        contentHash: item.artifact.contentHash,
+      });
+    });
+
+    it('appends every override to the audit trail with the score it replaced', () => {
+      const { item } = buildAssessedSubmission();
+
+      item.overrideAssessment('accuracy', { score: 4, reasoning: 'First look' });
+      item.overrideAssessment('accuracy', { score: 3, reasoning: 'Moderated' });
+
+      expect(item.overrideHistory).toEqual([
+        expect.objectContaining({ criterion: 'accuracy', previousScore: 2, score: 4 }),
+        expect.objectContaining({ criterion: 'accuracy', previousScore: 4, score: 3 }),
+      ]);
+      expect(item.getOverride('accuracy').score).toBe(3);
+    });
+
+    it('round-trips overrides and history through JSON', () => {
+      const { sub, task, item } = buildAssessedSubmission();
+      item.overrideAssessment('accuracy', { score: 4, reasoning: 'Correct method' });
+
+      const restored = StudentSubmission.fromJSON(JSON.parse(JSON.stringify(sub.toJSON())));
+      const restoredItem = restored.getItem(task.getId());
+
+      expect(restoredItem.getOverride('accuracy')).toEqual(item.getOverride('accuracy'));
+      expect(restoredItem.overrideHistory).toEqual(item.overrideHistory);
+    });
+
+    it('strips override reasoning and the audit trail from the partial payload', () => {
+      const { sub, task, item } = buildAssessedSubmission();
+      item.overrideAssessment('accuracy', {
+        score: 4,
+        reasoning: 'Correct method',
+        overriddenBy: 'teacher@example.com',
+      });
+
+      const partialItem = sub.toPartialJSON().items[task.getId()];
+
+      expect(partialItem.overrides.accuracy).toEqual({
+        score: 4,
+        overriddenBy: 'teacher@example.com',
+        overriddenAt: expect.any(String),
+        contentHash: item.artifact.contentHash,
+      });
+      expect(partialItem).not.toHaveProperty('overrideHistory');
+    });
+
+    it('drops overrides when the item is reassessed after its content changed', () => {
+      const { sub, task, item } = buildAssessedSubmission();
+      item.overrideAssessment('accuracy', { score: 4, reasoning: 'Correct method' });
+      item.overrideAssessment('spag', { score: 5, reasoning: 'Fine' });
+
+      sub.upsertItemFromExtraction(task, { content: 'Answer one, revised' });
+      item.addAssessment('accuracy', { score: 3, reasoning: 'Revised work' });
+
+      expect(item.getOverride('accuracy')).toBeNull();
+      expect(item.getOverride('spag')).toBeNull();
+      expect(item.getEffectiveAssessment('accuracy').score).toBe(3);
+      expect(item.overrideHistory).toHaveLength(2);
+    });
+
+    it('keeps an override made before the item was first assessed', () => {
+      const task = new TaskDefinition({ taskTitle: 'First', pageId: 'p1', index: 0 });
+      task.addReferenceArtifact({ type: 'TEXT', content: 'Reference one' });
+      const sub = new StudentSubmission('stu1', 'assign1', 'doc1', 'Student One');
+      const item = sub.upsertItemFromExtraction(task, { content: 'Answer one' });
+      item.overrideAssessment('accuracy', { score: 4, reasoning: 'Assessor failed' });
+
+      item.addAssessment('accuracy', { score: 1, reasoning: 'LLM reasoning' });
+
+      expect(item.getEffectiveAssessment('accuracy').score).toBe(4);
+      expect(item.overrideHistory[0].previousScore).toBeNull();
+    });
+  });
 });
@@ -13,4 +13,76 @@ describe('TaskDefinition', () => {
     const restored = TaskDefinition.fromJSON(json);
     expect(restored.getPrimaryReference().content).toBe('Ref');
   });
+
+  describe('rubric', () => {
+    const rubric = {
+      levels: [{ criterion: 'accuracy', score: 5, descriptor: ' All formulae correct ' }],
+      acceptableAnswers: [' Any renewable energy source '],
+    };
+
+    it('trims the rubric and round-trips it through JSON', () => {
+      const td = new TaskDefinition({ taskTitle: 'Energy', pageId: 'p1', rubric });
+
+      expect(td.rubric).toEqual({
+        levels: [{ criterion: 'accuracy', score: 5, descriptor: 'All formulae correct' }],
+        acceptableAnswers: ['Any renewable energy source'],
+        formulaEquivalenceSets: [],
+      });
+      expect(TaskDefinition.fromJSON(td.toJSON()).rubric).toEqual(td.rubric);
+    });
+
+    it('keeps formula equivalence sets out of the LLM assessor rubric', () => {
+      const td = new TaskDefinition({
+        taskTitle: 'Averages',
+        rubric: { formulaEquivalenceSets: [[' =AVERAGE(B2:B10) ', '=MEDIAN(B2:B10)']] },
+      });
+
+      expect(td.rubric).toEqual({
+        levels: [],
+        acceptableAnswers: [],
+        formulaEquivalenceSets: [['=AVERAGE(B2:B10)', '=MEDIAN(B2:B10)']],
+      });
+      expect(td.getAssessorRubric()).toEqual({ levels: [], acceptableAnswers: [] });
+    });
+
+    it('stores null for a missing or empty rubric', () => {
+      expect(new TaskDefinition({ taskTitle: 'Energy' }).rubric).toBeNull();
+      expect(TaskDefinition.normaliseRubric({ levels: [], acceptableAnswers: [] })).toBeNull();
+    });
+
+    it.each([
+      ['a non-object rubric', [], TypeError],
+      ['a level without a criterion', { levels: [{ score: 1, descriptor: 'x' }] }, TypeError],
+      [
+        'a negative score',
+        { levels: [{ criterion: 'accuracy', score: -1, descriptor: 'x' }] },
+        RangeError,
+      ],
+      [
+        'a repeated score for one criterion',
+        {
+          levels: [
+            { criterion: 'accuracy', score: 2, descriptor: 'x' },
+            { criterion: 'accuracy', score: 2, descriptor: 'y' },
+          ],
+        },
+        RangeError,
+      ],
+      ['a blank acceptable answer', { acceptableAnswers: ['  '] }, TypeError],
+      ['a single-formula equivalence set', { formulaEquivalenceSets: [['=A1']] }, RangeError],
+      ['a blank equivalent formula', { formulaEquivalenceSets: [['=A1', ' ']] }, TypeError],
+    ])('rejects %s', (_label, candidate, ErrorType) => {
+      expect(() => TaskDefinition.normaliseRubric(candidate)).toThrow(ErrorType);
+    });
+
+    it('folds the rubric into the assessment reference hash', () => {
+      const plain = new TaskDefinition({ taskTitle: 'Energy', pageId: 'p1' });
+      plain.addReferenceArtifact({ type: 'text', content: 'Ref' });
+      const withRubric = TaskDefinition.fromJSON({ ...plain.toJSON(), rubric });
+
+      const referenceHash = plain.getPrimaryReference().contentHash;
+      expect(plain.getAssessmentReferenceHash()).toBe(referenceHash);
+      expect(withRubric.getAssessmentReferenceHash()).not.toBe(referenceHash);
+    });
+  });
 });
@@ -0,0 +1,227 @@
+/**
+ * DocsParser task extraction tests
+ *
+ * Covers heading-delimited and named-range tasks, TEXT/TABLE artifact selection,
+ * reference/template merging by title and student submission extraction.
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+
+const refDocId = 'doc-ref-1';
+const tplDocId = 'doc-tpl-2';
+const studentDocId = 'doc-student-3';
+
+const paragraph = (text, heading = 'NORMAL') => ({
+  getType: () => 'PARAGRAPH',
+  getText: () => text,
+  asParagraph: () => ({ getHeading: () => heading, getText: () => text }),
+});
+
+const table = (rows) => ({
+  getType: () => 'TABLE',
+  asTable: () => ({
+    getNumRows: () => rows.length,
+    getRow: (r) => ({
+      getNumCells: () => rows[r].length,
+      getCell: (c) => ({ getText: () => rows[r][c] }),
+    }),
+  }),
+});
+
+const namedRange = (name, elements) => ({
+  getName: () => name,
+  getRange: () => ({
+    getRangeElements: () =>
+      elements.map((element) => ({ getElement: () => element, isPartial: () => false })),
+  }),
+});
+
+const createDocument = (bodyElements, namedRanges = []) => ({
+  getBody: () => ({
+    getNumChildren: () => bodyElements.length,
+    getChild: (index) => bodyElements[index],
+  }),
+  getNamedRanges: () => namedRanges,
+});
+
+describe('DocsParser', () => {
+  let DocsParser;
+  let mockLogger;
+
+  /**
+   * Creates a parser whose DocumentApp serves the given documents by ID.
+   * @param {Object<string, Object>} documentsById - Mock documents keyed by document ID.
+   * @returns {DocsParser} Parser under test.
+   */
+  function buildDocsParserHarness(documentsById) {
+    globalThis.DocumentApp.openById = vi.fn((id) => documentsById[id]);
+    return new DocsParser();
+  }
+
+  beforeAll(async () => {
+    const documentParserModule =
+      await import('../../src/backend/DocumentParsers/0_DocumentParser.js');
+    const taskDefinitionModule = await import('../../src/backend/Models/TaskDefinition.js');
+
+    globalThis.DocumentParser = documentParserModule.DocumentParser;
+    globalThis.TaskDefinition = taskDefinitionModule.TaskDefinition;
+
+    const docsParserModule = await import('../../src/backend/DocumentParsers/DocsParser.js');
+    DocsParser = docsParserModule.DocsParser;
+  });
+
+  afterAll(() => {
+    delete globalThis.DocumentParser;
+    delete globalThis.TaskDefinition;
+  });
+
+  beforeEach(() => {
+    mockLogger = { warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+    globalThis.ABLogger = { getInstance: vi.fn().mockReturnValue(mockLogger) };
+    globalThis.DocumentApp = {
+      ElementType: { PARAGRAPH: 'PARAGRAPH', TABLE: 'TABLE', TEXT: 'TEXT' },
+      ParagraphHeading: { NORMAL: 'NORMAL', TITLE: 'TITLE', SUBTITLE: 'SUBTITLE' },
+    };
+  });
+
+  afterEach(() => {
+    delete globalThis.DocumentApp;
+    delete globalThis.ABLogger;
+  });
+
+  it('creates one TEXT task per heading and merges template sections by title', () => {
+    const parser = buildDocsParserHarness({
+      [refDocId]: createDocument([
+        paragraph('Homework', 'TITLE'),
+        paragraph('Read the passage first.'),
+        paragraph('Task 1 - Summary', 'HEADING2'),
+        paragraph('The author argues for change.'),
+        paragraph('It is urgent.'),
+        paragraph('Task 2 - Opinion', 'HEADING2'),
+        paragraph('I agree.'),
+      ]),
+      [tplDocId]: createDocument([
+        paragraph('Task 1 - Summary', 'HEADING2'),
+        paragraph(''),
+        paragraph('Task 2 - Opinion', 'HEADING2'),
+      ]),
+    });
+
+    const definitions = parser.extractTaskDefinitions(refDocId, tplDocId);
+
+    expect(definitions.map((definition) => definition.taskTitle)).toEqual([
+      'Task 1 - Summary',
+      'Task 2 - Opinion',
+    ]);
+    const [summary, opinion] = definitions;
+    expect(summary.index).toBe(0);
+    expect(opinion.index).toBe(1);
+    expect(summary.getPrimaryReference().getType()).toBe('TEXT');
+    expect(summary.getPrimaryReference().content).toBe(
+      'The author argues for change.\nIt is urgent.'
+    );
+    expect(summary.getPrimaryReference().documentId).toBe(refDocId);
+    expect(summary.getPrimaryTemplate().documentId).toBe(tplDocId);
+    expect(summary.validate().ok).toBe(true);
+    expect(opinion.getId()).toBe(parser.buildDocsTaskId('Task 2 - Opinion'));
+  });
+
+  it('uses a TABLE artifact for table-only sections and Markdown for tables mixed with text', () => {
+    const parser = buildDocsParserHarness({
+      [refDocId]: createDocument([
+        paragraph('Task 1 - Fill the table', 'HEADING1'),
+        table([
+          ['Element', 'Symbol'],
+          ['Oxygen', 'O'],
+        ]),
+        paragraph('Task 2 - Explain', 'HEADING1'),
+        paragraph('See the table:'),
+        table([
+          ['a', 'b'],
+          ['1', '2'],
+        ]),
+      ]),
+      [tplDocId]: createDocument([
+        paragraph('Task 1 - Fill the table', 'HEADING1'),
+        table([
+          ['Element', 'Symbol'],
+          ['Oxygen', ''],
+        ]),
+      ]),
+    });
+
+    const [tableTask, mixedTask] = parser.extractTaskDefinitions(refDocId, tplDocId);
+
+    expect(tableTask.getPrimaryReference().getType()).toBe('TABLE');
+    expect(tableTask.getPrimaryTemplate().getType()).toBe('TABLE');
+    expect(mixedTask.getPrimaryReference().getType()).toBe('TEXT');
+    expect(mixedTask.getPrimaryReference().content).toContain('| a | b |');
+  });
+
+  it('prefers #-named ranges over headings when the document has any', () => {
+    const answer = paragraph('Photosynthesis makes glucose.');
+    const parser = buildDocsParserHarness({
+      [refDocId]: createDocument(
+        [paragraph('Section heading', 'HEADING1'), answer],
+        [namedRange('# Task 1 - Define', [answer]), namedRange('unrelated', [answer])]
+      ),
+    });
+
+    const definitions = parser.extractTaskDefinitions(refDocId, null);
+
+    expect(definitions).toHaveLength(1);
+    expect(definitions[0].taskTitle).toBe('Task 1 - Define');
+    expect(definitions[0].getPrimaryReference().content).toBe('Photosynthesis makes glucose.');
+  });
+
+  it('extracts student sections by title and emits a placeholder for missing tasks', () => {
+    const parser = buildDocsParserHarness({
+      [refDocId]: createDocument([
+        paragraph('Task 1 - Summary', 'HEADING2'),
+        paragraph('Reference answer.'),
+        paragraph('Task 2 - Opinion', 'HEADING2'),
+        paragraph('Reference opinion.'),
+      ]),
+      [studentDocId]: createDocument([
+        paragraph('Task 1 - Summary', 'HEADING2'),
+        paragraph('My summary.'),
+      ]),
+    });
+    const definitions = parser.extractTaskDefinitions(refDocId, null);
+
+    const artifacts = parser.extractSubmissionArtifacts(studentDocId, definitions);
+
+    expect(artifacts[0]).toEqual({
+      taskId: definitions[0].getId(),
+      pageId: null,
+      documentId: studentDocId,
+      content: 'My summary.',
+    });
+    expect(artifacts[1]).toMatchObject({
+      type: 'TEXT',
+      taskId: definitions[1].getId(),
+      content: null,
+      documentId: studentDocId,
+    });
+    expect(mockLogger.error).toHaveBeenCalledWith(expect.stringContaining('Task 2 - Opinion'));
+  });
+
+  it('matches a student named range even when the heading text was changed', () => {
+    const response = paragraph('My definition.');
+    const parser = buildDocsParserHarness({
+      [refDocId]: createDocument([
+        paragraph('Task 1 - Define', 'HEADING2'),
+        paragraph('Reference definition.'),
+      ]),
+      [studentDocId]: createDocument(
+        [paragraph('Task 1 - Define (done)', 'HEADING2'), response],
+        [namedRange('#Task 1 - Define', [response])]
+      ),
+    });
+    const definitions = parser.extractTaskDefinitions(refDocId, null);
+
+    const [artifact] = parser.extractSubmissionArtifacts(studentDocId, definitions);
+
+    expect(artifact.content).toBe('My definition.');
+  });
+});
@@ -6,7 +6,7 @@ if (!globalThis.Utils || !globalThis.Utilities) {
 }
 
 describe('Document Parser Interface and Stub Tests', () => {
-  const basePath = '../../src/backend/DocumentParsers/DocumentParser.js';
+  const basePath = '../../src/backend/DocumentParsers/0_DocumentParser.js';
   let ParserExport;
   let ParserClass;
   beforeAll(() => {
@@ -54,7 +54,7 @@ describe('SlidesParser matching and document ID propagation', () => {
 
     beforeAll(async () => {
       const documentParserModule =
-        await import('../../src/backend/DocumentParsers/DocumentParser.js');
+        await import('../../src/backend/DocumentParsers/0_DocumentParser.js');
       const taskDefinitionModule = await import('../../src/backend/Models/TaskDefinition.js');
 
       globalThis.DocumentParser = documentParserModule.DocumentParser;
@@ -25,7 +25,7 @@ describe('SlidesParser - Merged Cell Handling', () => {
 
   beforeAll(async () => {
     const documentParserModule =
-      await import('../../src/backend/DocumentParsers/DocumentParser.js');
+      await import('../../src/backend/DocumentParsers/0_DocumentParser.js');
     const taskDefinitionModule = await import('../../src/backend/Models/TaskDefinition.js');
 
     const documentParser =
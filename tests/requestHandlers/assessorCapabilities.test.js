@@ -0,0 +1,335 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { withGlobalMocks } from '../helpers/globalMockManager.js';
+
+/**
+ * AssessorCapabilities Tests
+ *
+ * Covers the `/capabilities` handshake: negotiation, the legacy fallback for backends without
+ * the endpoint, script-cache reuse, and how the descriptor shapes assessor requests.
+ */
+
+const BACKEND_URL = 'https://assessor.example.test';
+const API_KEY = 'capabilities-key';
+const AbortRequestError = require('../../src/backend/Utils/ErrorTypes/AbortRequestError.js');
+
+/**
+ * Builds a fake HTTPResponse.
+ * @param {number} status - Response code.
+ * @param {*} body - Response body; objects are serialised as JSON.
+ * @returns {Object} The response.
+ */
+function httpResponse(status, body) {
+  return {
+    getResponseCode: () => status,
+    getContentText: () => (typeof body === 'string' ? body : JSON.stringify(body)),
+  };
+}
+
+describe('AssessorCapabilities', () => {
+  let AssessorCapabilities;
+  let restoreGlobals;
+  let fetchMock;
+  let cacheStore;
+  let progressTracker;
+  let logger;
+  let profile;
+  let configManager;
+
+  beforeEach(() => {
+    fetchMock = vi.fn();
+    cacheStore = new Map();
+    progressTracker = { logError: vi.fn() };
+    logger = { warn: vi.fn() };
+    profile = {
+      name: 'Default',
+      backendUrl: `${BACKEND_URL}/`,
+      apiKey: API_KEY,
+      batchSize: 20,
+      taskTypes: ['TEXT', 'TABLE', 'IMAGE'],
+      failoverProfile: null,
+    };
+    configManager = { getAssessorProfile: vi.fn((name = null) => (name ? null : profile)) };
+
+    restoreGlobals = withGlobalMocks({
+      UrlFetchApp: () => ({ fetch: fetchMock }),
+      CacheService: () => ({
+        getScriptCache: () => ({
+          get: (key) => cacheStore.get(key) ?? null,
+          put: (key, value) => cacheStore.set(key, value),
+        }),
+      }),
+      Utilities: () => ({
+        newBlob: (text) => ({ getBytes: () => [...Buffer.from(text, 'utf8')] }),
+      }),
+      ConfigurationManager: () => ({ getInstance: () => configManager }),
+      ProgressTracker: () => ({ getInstance: () => progressTracker }),
+      ABLogger: () => ({ getInstance: () => logger }),
+      AbortRequestError: () => AbortRequestError,
+    }).restore;
+
+    delete require.cache[
+      require.resolve('../../src/backend/RequestHandlers/AssessorCapabilities.js')
+    ];
+    AssessorCapabilities = require('../../src/backend/RequestHandlers/AssessorCapabilities.js');
+  });
+
+  afterEach(() => {
+    restoreGlobals();
+  });
+
+  describe('handshake', () => {
+    it('fetches the capabilities with the API key and negotiates the API version', () => {
+      fetchMock.mockReturnValue(
+        httpResponse(200, {
+          apiVersions: ['v2', 'v1'],
+          taskTypes: ['text', 'TABLE'],
+          criteria: { custom: false, defaults: [{ key: 'quality', maxScore: 4 }] },
+          maxPayloadBytes: 2048,
+        })
+      );
+
+      const descriptor = new AssessorCapabilities(profile).get();
+
+      expect(fetchMock).toHaveBeenCalledWith(`${BACKEND_URL}/capabilities`, {
+        method: 'get',
+        headers: { Authorization: `Bearer ${API_KEY}` },
+        muteHttpExceptions: true,
+      });
+      expect(descriptor).toEqual({
+        apiVersions: ['v2', 'v1'],
+        apiVersion: 'v1',
+        taskTypes: ['TEXT', 'TABLE'],
+        customCriteria: false,
+        defaultCriteria: [{ key: 'quality', label: 'quality', maxScore: 4 }],
+        maxPayloadBytes: 2048,
+        legacy: false,
+        checkedAt: expect.any(String),
+      });
+    });
+
+    it('falls back to the v1 assessor for a backend without the endpoint', () => {
+      fetchMock.mockReturnValue(httpResponse(404, { detail: 'Not Found' }));
+
+      const descriptor = new AssessorCapabilities(profile).get();
+
+      expect(descriptor).toMatchObject({
+        apiVersion: 'v1',
+        taskTypes: ['TEXT', 'TABLE', 'IMAGE'],
+        customCriteria: true,
+        maxPayloadBytes: null,
+        legacy: true,
+      });
+    });
+
+    it('reuses the cached descriptor instead of fetching again', () => {
+      fetchMock.mockReturnValue(httpResponse(200, { apiVersions: ['v1'] }));
+
+      new AssessorCapabilities(profile).get();
+      const descriptor = new AssessorCapabilities(profile).get();
+
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+      expect(descriptor.apiVersion).toBe('v1');
+    });
+
+    it('refetches and replaces the cached descriptor on refresh', () => {
+      fetchMock
+        .mockReturnValueOnce(httpResponse(200, { apiVersions: ['v1'], maxPayloadBytes: 100 }))
+        .mockReturnValueOnce(httpResponse(200, { apiVersions: ['v1'], maxPayloadBytes: 200 }));
+
+      new AssessorCapabilities(profile).get();
+      new AssessorCapabilities(profile).refresh();
+
+      expect(new AssessorCapabilities(profile).get().maxPayloadBytes).toBe(200);
+    });
+
+    it.each([
+      ['a server error', () => httpResponse(503, 'Service Unavailable')],
+      ['a body that is not JSON', () => httpResponse(200, '{')],
+      ['a descriptor without API versions', () => httpResponse(200, { taskTypes: ['TEXT'] })],
+    ])('assumes the v1 assessor for this run without caching after %s', (_label, respond) => {
+      fetchMock.mockImplementation(respond);
+
+      const descriptor = new AssessorCapabilities(profile).get();
+
+      expect(descriptor.legacy).toBe(true);
+      expect(logger.warn).toHaveBeenCalledTimes(1);
+      expect(cacheStore.size).toBe(0);
+    });
+
+    it('aborts when the backend rejects the API key', () => {
+      fetchMock.mockReturnValue(httpResponse(401, { detail: 'Invalid API key' }));
+
+      expect(() => new AssessorCapabilities(profile).get()).toThrow(AbortRequestError);
+    });
+
+    it('throws when the backend shares no API version with the client', () => {
+      fetchMock.mockReturnValue(httpResponse(200, { apiVersions: ['v2', 'v3'] }));
+
+      expect(() => new AssessorCapabilities(profile).get()).toThrow(
+        'The assessor supports API versions v2, v3, but this version of Assessment Bot needs v1.'
+      );
+      expect(cacheStore.size).toBe(0);
+    });
+
+    it('rejects a descriptor with an invalid size limit on refresh', () => {
+      fetchMock.mockReturnValue(httpResponse(200, { apiVersions: ['v1'], maxPayloadBytes: -1 }));
+
+      expect(() => new AssessorCapabilities(profile).refresh()).toThrow(
+        'maxPayloadBytes must be a positive integer'
+      );
+    });
+  });
+
+  describe('request shaping', () => {
+    const payload = {
+      taskType: 'TEXT',
+      reference: 'glucose + oxygen',
+      template: '',
+      studentResponse: 'sugar + oxygen',
+    };
+    const criteria = [{ key: 'accuracy', label: 'Accuracy', maxScore: 5, weighting: 2 }];
+
+    /**
+     * Creates an instance whose backend advertises the given capabilities.
+     * @param {Object} raw - Raw `/capabilities` response body.
+     * @returns {Object} The AssessorCapabilities instance.
+     */
+    function withCapabilities(raw) {
+      fetchMock.mockReturnValue(httpResponse(200, { apiVersions: ['v1'], ...raw }));
+      return new AssessorCapabilities(profile);
+    }
+
+    it('addresses the negotiated version and sends the requested criteria', () => {
+      const request = withCapabilities({}).buildRequest('uid-1', payload, criteria);
+
+      expect(request).toMatchObject({
+        uid: 'uid-1',
+        url: `${BACKEND_URL}/v1/assessor`,
+        method: 'post',
+        headers: { Authorization: `Bearer ${API_KEY}` },
+      });
+      expect(JSON.parse(request.payload).criteria).toEqual([
+        { key: 'accuracy', label: 'Accuracy', maxScore: 5 },
+      ]);
+    });
+
+    it("omits criteria and resolves the backend's defaults when custom criteria are unsupported", () => {
+      const capabilities = withCapabilities({
+        criteria: { custom: false, defaults: [{ key: 'quality', label: 'Quality', maxScore: 3 }] },
+      });
+
+      const resolved = capabilities.resolveCriteria(criteria);
+      const request = capabilities.buildRequest('uid-1', payload, resolved);
+
+      expect(resolved).toEqual([{ key: 'quality', label: 'Quality', maxScore: 3 }]);
+      expect(logger.warn).toHaveBeenCalledTimes(1);
+      expect(JSON.parse(request.payload)).not.toHaveProperty('criteria');
+    });
+
+    it('keeps the definition criteria, or the default three, when custom criteria are supported', () => {
+      const capabilities = withCapabilities({});
+
+      expect(capabilities.resolveCriteria(criteria)).toBe(criteria);
+      expect(capabilities.resolveCriteria(undefined).map(({ key }) => key)).toEqual([
+        'completeness',
+        'accuracy',
+        'spag',
+      ]);
+    });
+
+    it('skips task types the backend does not assess', () => {
+      const request = withCapabilities({ taskTypes: ['TABLE'] }).buildRequest(
+        'uid-1',
+        payload,
+        criteria
+      );
+
+      expect(request).toBeNull();
+      expect(progressTracker.logError).toHaveBeenCalledWith(
+        'Skipping UID: uid-1. The assessor does not support TEXT tasks.'
+      );
+    });
+
+    it('skips requests whose body exceeds the size limit', () => {
+      const capabilities = withCapabilities({ maxPayloadBytes: 64 });
+
+      expect(capabilities.buildRequest('uid-1', payload, criteria)).toBeNull();
+      expect(progressTracker.logError).toHaveBeenCalledWith(
+        expect.stringContaining('the assessor accepts at most 64')
+      );
+    });
+  });
+
+  describe('profiles', () => {
+    const homework = {
+      name: 'Homework',
+      backendUrl: 'https://cheap.example.test',
+      apiKey: 'homework-key',
+      batchSize: 5,
+      taskTypes: ['TEXT'],
+      failoverProfile: 'Default',
+    };
+
+    beforeEach(() => {
+      fetchMock.mockReturnValue(httpResponse(200, { apiVersions: ['v1'] }));
+      configManager.getAssessorProfile.mockImplementation((name = null) => {
+        if (name === null || name === 'Default') return profile;
+        return name === homework.name ? homework : null;
+      });
+    });
+
+    it("addresses the named profile's backend with its API key", () => {
+      const request = AssessorCapabilities.forProfile('Homework').buildRequest(
+        'uid-1',
+        { taskType: 'TEXT' },
+        []
+      );
+
+      expect(request.url).toBe('https://cheap.example.test/v1/assessor');
+      expect(request.headers).toEqual({ Authorization: 'Bearer homework-key' });
+    });
+
+    it('uses the default profile when the named profile no longer exists', () => {
+      const capabilities = AssessorCapabilities.forProfile('Deleted');
+
+      expect(capabilities.profile).toBe(profile);
+      expect(logger.warn).toHaveBeenCalledWith(
+        'Assessor profile "Deleted" not found; using the default profile.'
+      );
+    });
+
+    it('skips task types the profile does not enable', () => {
+      const request = new AssessorCapabilities(homework).buildRequest(
+        'uid-1',
+        { taskType: 'TABLE' },
+        []
+      );
+
+      expect(request).toBeNull();
+      expect(progressTracker.logError).toHaveBeenCalledWith(
+        'Skipping UID: uid-1. Assessor profile "Homework" does not assess TABLE tasks.'
+      );
+    });
+
+    it('retargets a request to the failover profile with its criteria', () => {
+      const primary = new AssessorCapabilities(homework);
+      const original = primary.buildRequest('uid-1', { taskType: 'TEXT' }, [
+        { key: 'accuracy', label: 'Accuracy', maxScore: 5 },
+      ]);
+      const failover = primary.failover();
+
+      const request = failover.retarget(original, [{ key: 'spag', label: 'SPaG', maxScore: 5 }]);
+
+      expect(failover.profile).toBe(profile);
+      expect(request.url).toBe(`${BACKEND_URL}/v1/assessor`);
+      expect(JSON.parse(request.payload)).toEqual({
+        taskType: 'TEXT',
+        criteria: [{ key: 'spag', label: 'SPaG', maxScore: 5 }],
+      });
+    });
+
+    it('has no failover for a profile without one', () => {
+      expect(new AssessorCapabilities(profile).failover()).toBeNull();
+    });
+  });
+});
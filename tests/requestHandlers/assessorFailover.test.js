@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { withGlobalMocks } from '../helpers/globalMockManager.js';
+
+/**
+ * AssessorFailover Tests
+ *
+ * Covers when a failing assessor profile hands its remaining requests to the failover profile,
+ * and that the failover's criteria are used to validate what it returns.
+ */
+
+/**
+ * Builds a fake HTTPResponse.
+ * @param {number} status - Response code.
+ * @returns {Object} The response.
+ */
+function httpResponse(status) {
+  return { getResponseCode: () => status, getContentText: () => '' };
+}
+
+/**
+ * Builds a fake capabilities negotiation for a profile.
+ * @param {string} name - Profile name.
+ * @param {Object} [options] - Negotiation behaviour.
+ * @returns {Object} The negotiation.
+ */
+function fakeCapabilities(name, { failover = null, criteria = [] } = {}) {
+  return {
+    profile: { name, batchSize: 2 },
+    failover: () => failover,
+    resolveCriteria: vi.fn(() => criteria),
+    retarget: vi.fn((request) => ({ ...request, url: `https://${name}.test` })),
+  };
+}
+
+describe('AssessorFailover', () => {
+  let AssessorFailover;
+  let restoreGlobals;
+  let manager;
+  let sentBatches;
+
+  const requests = ['uid-1', 'uid-2', 'uid-3'].map((uid) => ({ uid, payload: '{}' }));
+
+  beforeEach(() => {
+    restoreGlobals = withGlobalMocks({
+      ABLogger: () => ({ getInstance: () => ({ warn: vi.fn() }) }),
+      ProgressTracker: () => ({ getInstance: () => ({ updateProgress: vi.fn() }) }),
+    }).restore;
+    AssessorFailover = require('../../src/backend/RequestHandlers/AssessorFailover.js');
+
+    sentBatches = [];
+    manager = {
+      maxComponentBuildErrors: 2,
+      definedCriteria: null,
+      uidIndex: Object.fromEntries(requests.map(({ uid }) => [uid, { criteria: [] }])),
+      processResponses: vi.fn(),
+      sendRequestsInBatches: vi.fn(),
+      usage: { recordProfile: vi.fn() },
+    };
+  });
+
+  afterEach(() => {
+    restoreGlobals();
+  });
+
+  it('sends every request to the profile when it has no failover', () => {
+    manager.capabilities = fakeCapabilities('Homework');
+    manager.sendRequestsInBatches.mockImplementation((sent, _budget, { shouldStop }) => {
+      const responses = sent.map(() => httpResponse(503));
+      sentBatches.push({ sent, stopped: shouldStop(responses) });
+      return responses;
+    });
+
+    new AssessorFailover(manager).send(requests, {});
+
+    expect(sentBatches).toEqual([{ sent: requests, stopped: false }]);
+    expect(manager.processResponses).toHaveBeenCalledTimes(1);
+  });
+
+  it('fails over the failed and unsent requests with the failover criteria', () => {
+    const failoverCriteria = [{ key: 'quality', label: 'Quality', maxScore: 3 }];
+    const failover = fakeCapabilities('Default', { criteria: failoverCriteria });
+    manager.capabilities = fakeCapabilities('Homework', { failover });
+    manager.sendRequestsInBatches
+      .mockImplementationOnce((_sent, _budget, { batchSize, shouldStop }) => {
+        const responses = [httpResponse(200), httpResponse(503), httpResponse(500)];
+        expect(batchSize).toBe(2);
+        expect(shouldStop(responses.slice(0, 2))).toBe(false);
+        expect(shouldStop(responses)).toBe(true);
+        return responses.slice(0, 2);
+      })
+      .mockImplementationOnce((sent) => sent.map(() => httpResponse(200)));
+
+    new AssessorFailover(manager).send(requests, {});
+
+    const [answered, retried] = manager.processResponses.mock.calls;
+    expect(answered[1].map(({ uid }) => uid)).toEqual(['uid-1']);
+    expect(retried[1]).toEqual([
+      { uid: 'uid-2', payload: '{}', url: 'https://Default.test' },
+      { uid: 'uid-3', payload: '{}', url: 'https://Default.test' },
+    ]);
+    expect(failover.retarget).toHaveBeenCalledWith(requests[1], failoverCriteria);
+    expect(manager.uidIndex['uid-1'].criteria).toEqual([]);
+    expect(manager.uidIndex['uid-3'].criteria).toBe(failoverCriteria);
+    expect(manager.usage.recordProfile).toHaveBeenCalledWith('Default');
+  });
+
+  it('does not fail over requests left unsent because the budget ran low', () => {
+    manager.capabilities = fakeCapabilities('Homework', {
+      failover: fakeCapabilities('Default'),
+    });
+    manager.sendRequestsInBatches.mockReturnValue([httpResponse(200), httpResponse(200)]);
+
+    new AssessorFailover(manager).send(requests, {}, { isRunningLow: () => true });
+
+    expect(manager.sendRequestsInBatches).toHaveBeenCalledTimes(1);
+    expect(manager.processResponses).toHaveBeenCalledWith(
+      [expect.any(Object), expect.any(Object)],
+      requests,
+      {}
+    );
+  });
+});
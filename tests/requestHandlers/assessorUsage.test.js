@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+
+/**
+ * AssessorUsage Tests
+ *
+ * Covers the counters kept for one execution and how they are added to the assignment's
+ * per-run usage records.
+ */
+
+const AssessorUsage = require('../../src/backend/RequestHandlers/AssessorUsage.js');
+
+describe('AssessorUsage', () => {
+  it('counts requests, retries and the bytes of every payload sent', () => {
+    const usage = new AssessorUsage();
+
+    usage.recordRequest({ payload: '{"a":1}' });
+    usage.recordRequest({ payload: '{"studentResponse":"é"}' });
+    usage.recordRetry({ payload: '{"a":1}' });
+
+    expect(usage).toMatchObject({ requests: 2, retries: 1, payloadBytes: 38, maxPayloadBytes: 24 });
+  });
+
+  it('sums numeric assessor usage fields and ignores everything else', () => {
+    const usage = new AssessorUsage();
+
+    usage.recordAssessorUsage({ inputTokens: 10, costUsd: 0.5, model: 'x', total: Number.NaN });
+    usage.recordAssessorUsage({ inputTokens: 5, outputTokens: 2 });
+    usage.recordAssessorUsage('not an object');
+    usage.recordAssessorUsage(null);
+
+    expect(usage.assessorUsage).toEqual({ inputTokens: 15, costUsd: 0.5, outputTokens: 2 });
+  });
+
+  it('adds a resumed execution to the existing record for its run', () => {
+    const first = new AssessorUsage();
+    first.recordRequest({ payload: 'abcd' });
+    first.recordSkipped({ cacheHits: 2, notAttempted: 1 });
+    first.recordProfile('Homework');
+    first.recordAssessorUsage({ inputTokens: 10 });
+    const runs = first.addToRuns([], {
+      runId: 'run-1',
+      definitionKey: 'def-1',
+      startedAt: '2026-10-01T00:00:00.000Z',
+    });
+
+    const resumed = new AssessorUsage();
+    resumed.recordRequest({ payload: 'abcdefgh' });
+    resumed.recordValidationFailure();
+    resumed.recordProfile('Default');
+    resumed.recordAssessorUsage({ inputTokens: 5 });
+
+    expect(
+      resumed.addToRuns(runs, {
+        runId: 'run-1',
+        definitionKey: 'def-1',
+        startedAt: '2026-10-02T00:00:00.000Z',
+      })
+    ).toEqual([
+      {
+        runId: 'run-1',
+        definitionKey: 'def-1',
+        startedAt: '2026-10-01T00:00:00.000Z',
+        profiles: ['Homework', 'Default'],
+        requests: 2,
+        retries: 0,
+        validationFailures: 1,
+        cacheHits: 2,
+        notAttempted: 1,
+        payloadBytes: 12,
+        maxPayloadBytes: 8,
+        assessorUsage: { inputTokens: 15 },
+      },
+    ]);
+  });
+
+  it('appends a record for a new run or a run without an id', () => {
+    const usage = new AssessorUsage();
+    const existing = [{ runId: 'run-1', requests: 3 }];
+
+    const runs = usage.addToRuns(existing, { runId: null, definitionKey: null, startedAt: 'now' });
+
+    expect(runs).toHaveLength(2);
+    expect(runs.at(-1)).toMatchObject({ runId: null, requests: 0 });
+    expect(existing).toHaveLength(1);
+  });
+});
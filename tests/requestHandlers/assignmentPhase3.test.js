@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
 
 // Import model classes from source (CommonJS exports)
 const { TaskDefinition } = require('../../src/backend/Models/TaskDefinition.js');
@@ -53,6 +53,17 @@ globalThis.MimeType = {
   GOOGLE_SHEETS: 'application/vnd.google-apps.spreadsheet',
 };
 globalThis.StudentSubmission = StudentSubmission;
+// The assessor predates the capabilities endpoint, so requests keep the original v1 contract
+globalThis.CacheService = { getScriptCache: () => ({ get: () => null, put: () => {} }) };
+globalThis.UrlFetchApp = {
+  fetch: () => ({ getResponseCode: () => 404, getContentText: () => 'Not Found' }),
+};
+globalThis.AssessorCapabilities = require('../../src/backend/RequestHandlers/AssessorCapabilities.js');
+globalThis.AssessorFailover = require('../../src/backend/RequestHandlers/AssessorFailover.js');
+globalThis.AssessorUsage = require('../../src/backend/RequestHandlers/AssessorUsage.js');
+globalThis.DeflateDecoder = require('../../src/backend/Assessors/0_DeflateDecoder.js');
+globalThis.ImageDifferenceHash = require('../../src/backend/Assessors/0_ImageDifferenceHash.js');
+globalThis.NotAttemptedDetector = require('../../src/backend/Assessors/NotAttemptedDetector.js');
 
 // Now that globals exist, require runtime-dependent classes
 const LLMRequestManagerFresh = require('../../src/backend/RequestHandlers/LLMRequestManager.js');
@@ -124,6 +135,58 @@ describe('Phase 3 LLMRequestManager integration (new model)', () => {
     expect(Object.values(assessments).every((a) => a.score === 'N')).toBe(true);
   });
 
+  it('marks not-attempted when the student only changed case or whitespace', () => {
+    const tdEdited = createTextTask(4, 'Ref X', 'Template Y');
+    assignment.setTasks({ ...assignment.getTasks(), [tdEdited.getId()]: tdEdited });
+    const sub = assignment.submissions[0];
+    sub.upsertItemFromExtraction(tdEdited, { content: '  template\n\n y' });
+
+    const reqs = manager.generateRequestObjects(assignment);
+
+    expect(reqs.length).toBe(2);
+    const assessments = sub.getItem(tdEdited.getId()).getAssessment();
+    expect(Object.values(assessments).every((a) => a.score === 'N')).toBe(true);
+  });
+
+  it('applies the definition changed-character threshold to text answers', () => {
+    const tdNamed = createTextTask(4, 'Ref X', 'Name:');
+    assignment.setTasks({ ...assignment.getTasks(), [tdNamed.getId()]: tdNamed });
+    const sub = assignment.submissions[0];
+    sub.upsertItemFromExtraction(tdNamed, { content: 'Name: Sam' });
+
+    expect(manager.generateRequestObjects(assignment).length).toBe(3);
+
+    assignment.assignmentDefinition.notAttemptedDetection = { minChangedCharacters: 10 };
+    const manager2 = new LLMRequestManagerFresh();
+    manager2.configManager = createDummyConfigurationManager();
+    expect(manager2.generateRequestObjects(assignment).length).toBe(2);
+  });
+
+  it('skips items already assessed earlier in the run', () => {
+    const sub = assignment.submissions[0];
+    const [firstTaskId] = Object.keys(assignment.getTasks());
+    sub.getItem(firstTaskId).addAssessment('accuracy', { score: 4, reasoning: 'Earlier batch' });
+
+    const reqs = manager.generateRequestObjects(assignment);
+
+    expect(reqs).toHaveLength(1);
+    expect(manager.uidIndex[reqs[0].uid].item.taskId).not.toBe(firstTaskId);
+  });
+
+  it('reassesses items whose content changed since they were assessed', () => {
+    const sub = assignment.submissions[0];
+    const [firstTaskId] = Object.keys(assignment.getTasks());
+    const item = sub.getItem(firstTaskId);
+    item.addAssessment('accuracy', { score: 4, reasoning: 'Previous run' });
+    item.artifact.content = 'Revised answer after the previous run';
+    item.artifact.ensureHash();
+
+    const reqs = manager.generateRequestObjects(assignment);
+
+    expect(reqs).toHaveLength(2);
+    expect(reqs.map((req) => manager.uidIndex[req.uid].item.taskId)).toContain(firstTaskId);
+  });
+
   it('uses cache to skip generating duplicate request', () => {
     // First run generates and caches for task 1
     const reqs1 = manager.generateRequestObjects(assignment);
@@ -189,6 +252,170 @@ describe('Phase 3 LLMRequestManager integration (new model)', () => {
     });
   });
 
+  it('records the definition and task with cached assessments and persists them', () => {
+    const setSpy = vi.spyOn(manager.cacheManager, 'setCachedAssessment');
+    const flushSpy = vi.spyOn(manager.cacheManager, 'flush');
+    const { definitionKey } = assignment.assignmentDefinition;
+
+    const reqs = manager.generateRequestObjects(assignment);
+    manager.processStudentResponses(reqs, assignment);
+
+    const [firstUid] = reqs.map((req) => req.uid);
+    const { item } = manager.uidIndex[firstUid];
+    expect(setSpy).toHaveBeenCalledWith(
+      expect.any(String),
+      item.artifact.contentHash,
+      expect.any(Object),
+      { definitionKey, taskId: item.taskId }
+    );
+    expect(flushSpy).toHaveBeenCalledTimes(2);
+  });
+
+  it('invalidates cached assessments for each task against its current reference', () => {
+    const invalidateSpy = vi.spyOn(manager.cacheManager, 'invalidateChangedReference');
+    assignment.assignmentDefinition.definitionKey = 'def-1';
+
+    manager.generateRequestObjects(assignment);
+
+    Object.values(assignment.getTasks()).forEach((taskDefinition) => {
+      expect(invalidateSpy).toHaveBeenCalledWith(
+        'def-1',
+        taskDefinition.getId(),
+        taskDefinition.getPrimaryReference().contentHash
+      );
+    });
+  });
+
+  describe('with criteria defined on the assignment definition', () => {
+    const programmingCriteria = [
+      { key: 'codeQuality', label: 'Code quality', maxScore: 10, weighting: 0.6 },
+      { key: 'explanation', label: 'Explanation', maxScore: 5, weighting: 0.4 },
+    ];
+
+    beforeEach(() => {
+      assignment.assignmentDefinition.criteria = programmingCriteria;
+    });
+
+    it('sends the criteria with each request', () => {
+      const reqs = manager.generateRequestObjects(assignment);
+
+      reqs.forEach((req) => {
+        expect(JSON.parse(req.payload).criteria).toEqual([
+          { key: 'codeQuality', label: 'Code quality', maxScore: 10 },
+          { key: 'explanation', label: 'Explanation', maxScore: 5 },
+        ]);
+      });
+    });
+
+    it('assigns assessments keyed by criterion from a case-normalised response', () => {
+      manager.responseBody = {
+        CodeQuality: { score: 8, reasoning: 'Tidy' },
+        explanation: { score: 4, reasoning: 'Clear' },
+      };
+      const reqs = manager.generateRequestObjects(assignment);
+      manager.processStudentResponses(reqs, assignment);
+
+      const { item } = manager.uidIndex[reqs[0].uid];
+      expect(item.getAssessment('codeQuality').score).toBe(8);
+      expect(item.getAssessment('explanation').score).toBe(4);
+      expect(item.getAssessment('completeness')).toBeNull();
+    });
+
+    it('rejects responses that miss a criterion or exceed its max score', () => {
+      const explanation = { score: 4, reasoning: 'Clear' };
+
+      expect(
+        manager.validateAssessmentData(
+          { codeQuality: { score: 10, reasoning: 'Tidy' }, explanation },
+          programmingCriteria
+        )
+      ).toBe(true);
+      expect(
+        manager.validateAssessmentData(
+          { codeQuality: { score: 11, reasoning: 'Tidy' }, explanation },
+          programmingCriteria
+        )
+      ).toBe(false);
+      expect(manager.validateAssessmentData({ explanation }, programmingCriteria)).toBe(false);
+    });
+
+    it('marks not-attempted items against every defined criterion', () => {
+      expect(Object.keys(manager.createNotAttemptedAssessment(programmingCriteria))).toEqual([
+        'codeQuality',
+        'explanation',
+      ]);
+    });
+
+    it('treats cached assessments made under other criteria as a miss', () => {
+      const sub = assignment.submissions[0];
+      const [firstTaskId] = Object.keys(assignment.getTasks());
+      const item = sub.getItem(firstTaskId);
+      manager.cacheManager.setCachedAssessment(
+        assignment.getTasks()[firstTaskId].getPrimaryReference().contentHash,
+        item.artifact.contentHash,
+        { completeness: { score: 5, reasoning: 'cache' } }
+      );
+
+      const reqs = manager.generateRequestObjects(assignment);
+
+      expect(reqs).toHaveLength(2);
+    });
+  });
+
+  describe('with a rubric on a task definition', () => {
+    const rubric = {
+      levels: [{ criterion: 'accuracy', score: 5, descriptor: 'Names two sources' }],
+      acceptableAnswers: ['Any renewable energy source'],
+    };
+    let rubricTask;
+
+    beforeEach(() => {
+      [rubricTask] = Object.values(assignment.getTasks());
+      rubricTask.rubric = rubric;
+    });
+
+    it('sends the rubric only for tasks that have one', () => {
+      const reqs = manager.generateRequestObjects(assignment);
+
+      const payloads = reqs.map((req) => JSON.parse(req.payload));
+      expect(payloads.filter((payload) => payload.rubric)).toEqual([
+        expect.objectContaining({ reference: 'Reference Answer', rubric }),
+      ]);
+      expect(payloads.filter((payload) => !('rubric' in payload))).toHaveLength(1);
+    });
+
+    it('does not reuse assessments cached before the rubric was added', () => {
+      const item = assignment.submissions[0].getItem(rubricTask.getId());
+      manager.cacheManager.setCachedAssessment(
+        rubricTask.getPrimaryReference().contentHash,
+        item.artifact.contentHash,
+        {
+          completeness: { score: 5, reasoning: 'cache' },
+          accuracy: { score: 5, reasoning: 'cache' },
+          spag: { score: 5, reasoning: 'cache' },
+        }
+      );
+
+      const reqs = manager.generateRequestObjects(assignment);
+
+      expect(reqs).toHaveLength(2);
+    });
+
+    it('caches assessments under the rubric-aware reference hash', () => {
+      const setSpy = vi.spyOn(manager.cacheManager, 'setCachedAssessment');
+
+      const reqs = manager.generateRequestObjects(assignment);
+      manager.processStudentResponses(reqs, assignment);
+
+      expect(setSpy).toHaveBeenCalledWith(
+        rubricTask.getAssessmentReferenceHash(),
+        expect.any(String),
+        expect.any(Object),
+        expect.objectContaining({ taskId: rubricTask.getId() })
+      );
+    });
+  });
+
   it('caches assessments after retry succeeds', () => {
     const reqs = manager.generateRequestObjects(assignment);
     expect(reqs.length).toBeGreaterThan(0);
@@ -198,9 +425,9 @@ describe('Phase 3 LLMRequestManager integration (new model)', () => {
       getResponseCode: () => 200,
       getContentText: () =>
         JSON.stringify({
-          completeness: { score: 10, reasoning: 'retry' },
-          accuracy: { score: 9, reasoning: 'retry' },
-          spag: { score: 8, reasoning: 'retry' },
+          completeness: { score: 5, reasoning: 'retry' },
+          accuracy: { score: 4, reasoning: 'retry' },
+          spag: { score: 3, reasoning: 'retry' },
         }),
     };
     manager.sendRequestWithRetries = () => retryResponse;
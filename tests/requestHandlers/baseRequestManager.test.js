@@ -1,5 +1,5 @@
-import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
-import { withGlobalMocks } from '../helpers/globalMockManager.js';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { setupBaseRequestManager } from '../helpers/baseRequestManagerTestHelpers.js';
 
 /**
  * BaseRequestManager Error Handling Tests
@@ -18,100 +18,23 @@ import { withGlobalMocks } from '../helpers/globalMockManager.js';
  * - 503: Service Unavailable - temporary (should retry with backoff)
  */
 
-// Global mock context - will be set up in beforeEach and torn down in afterEach
-let restoreRequestHandlerGlobals;
-
 describe('BaseRequestManager Error Handling', () => {
   let BaseRequestManager;
   let mockUrlFetchApp;
   let mockUtilities;
-  let mockConfigManager;
-  let mockProgressTracker;
-  let mockCacheService;
+  let restoreRequestHandlerGlobals;
 
   beforeEach(() => {
-    // Setup mock UrlFetchApp
-    mockUrlFetchApp = {
-      fetch: vi.fn(),
-      fetchAll: vi.fn(),
-    };
-
-    // Setup mock Utilities
-    mockUtilities = {
-      sleep: vi.fn(),
-    };
-
-    // Setup mock CacheService
-    mockCacheService = {
-      getScriptCache: vi.fn().mockReturnValue({
-        get: vi.fn(),
-        put: vi.fn(),
-      }),
-    };
-
-    // Setup mock ConfigurationManager
-    mockConfigManager = {
-      getInstance: vi.fn().mockReturnValue({
-        getBackendAssessorBatchSize: vi.fn().mockReturnValue(10),
-      }),
-    };
-
-    // Setup mock ProgressTracker
-    mockProgressTracker = {
-      getInstance: vi.fn().mockReturnValue({
-        logError: vi.fn(),
-        Error: vi.fn(),
-        updateProgress: vi.fn(),
-        getCurrentProgress: vi.fn().mockReturnValue({ message: 'Processing' }),
-      }),
-    };
-
-    // Setup mock ABLogger
-    const mockABLogger = {
-      getInstance: vi.fn().mockReturnValue({
-        log: vi.fn(),
-        info: vi.fn(),
-        warn: vi.fn(),
-        error: vi.fn(),
-        debug: vi.fn(),
-        debugUi: vi.fn(),
-      }),
-    };
-
-    // Load AbortRequestError
-    const AbortRequestError = require('../../src/backend/Utils/ErrorTypes/AbortRequestError.js');
-
-    // Mock console methods to avoid noise in test output
-    const mockConsole = {
-      log: vi.fn(),
-      warn: vi.fn(),
-      error: vi.fn(),
-    };
-
-    // Setup all global mocks - saves originals and installs mocks
-    const mockContext = withGlobalMocks({
-      UrlFetchApp: () => mockUrlFetchApp,
-      Utilities: () => mockUtilities,
-      CacheService: () => mockCacheService,
-      ConfigurationManager: () => mockConfigManager,
-      ProgressTracker: () => mockProgressTracker,
-      ABLogger: () => mockABLogger,
-      AbortRequestError: () => AbortRequestError,
-      console: () => mockConsole,
-    });
-    restoreRequestHandlerGlobals = mockContext.restore;
-
-    // Clear module cache and reload BaseRequestManager
-    delete require.cache[
-      require.resolve('../../src/backend/RequestHandlers/BaseRequestManager.js')
-    ];
-    const module = require('../../src/backend/RequestHandlers/BaseRequestManager.js');
-    BaseRequestManager = module.BaseRequestManager || module;
+    ({
+      BaseRequestManager,
+      mockUrlFetchApp,
+      mockUtilities,
+      restore: restoreRequestHandlerGlobals,
+    } = setupBaseRequestManager());
   });
 
   afterEach(() => {
     restoreRequestHandlerGlobals();
-    vi.clearAllMocks();
   });
 
   describe('Success responses (200/201)', () => {
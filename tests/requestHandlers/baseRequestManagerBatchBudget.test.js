@@ -0,0 +1,65 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  buildRequests,
+  setupBaseRequestManager,
+} from '../helpers/baseRequestManagerTestHelpers.js';
+
+/**
+ * BaseRequestManager execution budget tests
+ *
+ * sendRequestsInBatches checks an optional execution budget before each batch so a
+ * checkpointed assessment run can stop and resume in the next execution.
+ */
+
+describe('BaseRequestManager batch sending with an execution budget', () => {
+  const okResponse = {
+    getResponseCode: () => 200,
+    getContentText: () => '{"result": "success"}',
+  };
+
+  let BaseRequestManager;
+  let mockUrlFetchApp;
+  let restoreRequestHandlerGlobals;
+
+  beforeEach(() => {
+    ({
+      BaseRequestManager,
+      mockUrlFetchApp,
+      restore: restoreRequestHandlerGlobals,
+    } = setupBaseRequestManager());
+    mockUrlFetchApp.fetchAll.mockImplementation((batch) => batch.map(() => okResponse));
+  });
+
+  afterEach(() => {
+    restoreRequestHandlerGlobals();
+  });
+
+  it('sends every batch when no budget is supplied', () => {
+    const manager = new BaseRequestManager();
+
+    const responses = manager.sendRequestsInBatches(buildRequests(25));
+
+    expect(mockUrlFetchApp.fetchAll).toHaveBeenCalledTimes(3);
+    expect(responses).toHaveLength(25);
+  });
+
+  it('stops before the next batch once the budget runs low', () => {
+    const manager = new BaseRequestManager();
+    const budget = { isRunningLow: vi.fn().mockReturnValueOnce(false).mockReturnValue(true) };
+
+    const responses = manager.sendRequestsInBatches(buildRequests(25), budget);
+
+    expect(mockUrlFetchApp.fetchAll).toHaveBeenCalledTimes(2);
+    expect(responses).toHaveLength(20);
+  });
+
+  it('always sends the first batch so each execution makes progress', () => {
+    const manager = new BaseRequestManager();
+    const budget = { isRunningLow: vi.fn().mockReturnValue(true) };
+
+    const responses = manager.sendRequestsInBatches(buildRequests(25), budget);
+
+    expect(mockUrlFetchApp.fetchAll).toHaveBeenCalledTimes(1);
+    expect(responses).toHaveLength(10);
+  });
+});
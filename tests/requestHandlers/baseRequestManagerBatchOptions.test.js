@@ -0,0 +1,63 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  buildRequests,
+  setupBaseRequestManager,
+} from '../helpers/baseRequestManagerTestHelpers.js';
+
+/**
+ * BaseRequestManager batch option tests
+ *
+ * Covers the options sendRequestsInBatches takes from callers that route requests
+ * to an assessor profile: a per-call batch size and a shouldStop check that ends
+ * retrying and sending early (used to fail over to the next profile).
+ */
+
+describe('BaseRequestManager batch options', () => {
+  const okResponse = {
+    getResponseCode: () => 200,
+    getContentText: () => '{"result": "success"}',
+  };
+
+  let BaseRequestManager;
+  let mockUrlFetchApp;
+  let restoreRequestHandlerGlobals;
+
+  beforeEach(() => {
+    ({
+      BaseRequestManager,
+      mockUrlFetchApp,
+      restore: restoreRequestHandlerGlobals,
+    } = setupBaseRequestManager());
+    mockUrlFetchApp.fetchAll.mockImplementation((batch) => batch.map(() => okResponse));
+  });
+
+  afterEach(() => {
+    restoreRequestHandlerGlobals();
+  });
+
+  it('uses the batch size it is given instead of the configured one', () => {
+    const manager = new BaseRequestManager();
+
+    manager.sendRequestsInBatches(buildRequests(5), null, { batchSize: 2 });
+
+    expect(mockUrlFetchApp.fetchAll).toHaveBeenCalledTimes(3);
+  });
+
+  it('stops retrying and sending once shouldStop returns true', () => {
+    const failedResponse = { getResponseCode: () => 503, getContentText: () => 'Unavailable' };
+    mockUrlFetchApp.fetchAll.mockImplementation((batch) => batch.map(() => failedResponse));
+    mockUrlFetchApp.fetch.mockReturnValue(failedResponse);
+    const manager = new BaseRequestManager();
+    const shouldStop = vi.fn((responses) => responses.length >= 2);
+
+    const responses = manager.sendRequestsInBatches(buildRequests(5), null, {
+      batchSize: 2,
+      shouldStop,
+    });
+
+    // Only the first failure is retried (three attempts); the second batch is never sent.
+    expect(mockUrlFetchApp.fetch).toHaveBeenCalledTimes(3);
+    expect(mockUrlFetchApp.fetchAll).toHaveBeenCalledTimes(1);
+    expect(responses).toEqual([failedResponse, failedResponse]);
+  });
+});
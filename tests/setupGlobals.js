@@ -25,6 +25,7 @@ g.AssignmentLLMOrchestration = require('../src/backend/AssignmentProcessor/Assig
 g.Assignment = require('../src/backend/AssignmentProcessor/Assignment/index.js');
 g.SlidesAssignment = require('../src/backend/AssignmentProcessor/SlidesAssignment.js');
 g.SheetsAssignment = require('../src/backend/AssignmentProcessor/SheetsAssignment.js');
+g.DocsAssignment = require('../src/backend/AssignmentProcessor/DocsAssignment.js');
 const { StudentSubmission } = require('../src/backend/Models/StudentSubmission.js');
 g.StudentSubmission = StudentSubmission;
 
@@ -40,11 +41,15 @@ g.Utils = {
 
 g.Utilities = {
   getUuid: randomUUID,
+  newBlob: (text) => ({ getBytes: () => [...Buffer.from(String(text), 'utf8')] }),
   base64Encode(bytes) {
     if (Array.isArray(bytes)) return Buffer.from(Uint8Array.from(bytes)).toString('base64');
     if (typeof bytes === 'string') return Buffer.from(bytes, 'utf8').toString('base64');
     return '';
   },
+  // Apps Script returns signed bytes.
+  base64Decode: (encoded) =>
+    [...Buffer.from(String(encoded), 'base64')].map((byte) => (byte << 24) >> 24),
 };
 
 g.Logger = {
@@ -120,6 +125,9 @@ g.ArrayUtils = require('../src/backend/Utils/00_ArrayUtils.js');
 
 g.DateUtils = require('../src/backend/Utils/DateUtils.js');
 g.GASPropertiesUtils = require('../src/backend/Utils/00_GASPropertiesUtils.js');
+g.AssessmentRunQueue = require('../src/backend/Utils/AssessmentRunQueue.js');
+g.ExecutionBudget = require('../src/backend/Utils/ExecutionBudget.js');
+g.AssessmentRunCoordinator = require('../src/backend/y_controllers/AssessmentRunCoordinator.js');
 
 g.ApiValidationError = require('../src/backend/Utils/ErrorTypes/ApiValidationError.js');
 g.DefinitionStaleError = require('../src/backend/Utils/ErrorTypes/DefinitionStaleError.js');
@@ -131,11 +139,19 @@ const { ArtifactFactory } = require('../src/backend/Models/Artifacts/index.js');
 g.ArtifactFactory = ArtifactFactory;
 
 // Expose model classes expected as globals in production runtime
+const { Assessment } = require('../src/backend/Models/Assessment.js');
+g.Assessment = Assessment;
 const { TaskDefinition } = require('../src/backend/Models/TaskDefinition.js');
 g.TaskDefinition = TaskDefinition;
 const { AssignmentDefinition } = require('../src/backend/Models/AssignmentDefinition.js');
 g.AssignmentDefinition = AssignmentDefinition;
+g.SpreadsheetFormulaParser = require('../src/backend/Assessors/0_SpreadsheetFormulaParser.js');
 g.SpreadsheetFormulaEquivalence = require('../src/backend/Assessors/0_SpreadsheetFormulaEquivalence.js');
+g.SubmissionSimilarityDetector = require('../src/backend/Assessors/SubmissionSimilarityDetector.js');
+g.DeflateDecoder = require('../src/backend/Assessors/0_DeflateDecoder.js');
+g.ImageDifferenceHash = require('../src/backend/Assessors/0_ImageDifferenceHash.js');
+g.NotAttemptedDetector = require('../src/backend/Assessors/NotAttemptedDetector.js');
+g.NotAttemptedDetectionSettings = require('../src/backend/Assessors/NotAttemptedDetectionSettings.js');
 
 // Load and expose ConfigurationManager validators as globals so modules that
 // expect Apps Script-style globals won't redeclare them during runtime. This
@@ -151,6 +167,9 @@ g.DRIVE_ID_PATTERN = validators.DRIVE_ID_PATTERN;
 g.JSON_DB_LOG_LEVELS = validators.JSON_DB_LOG_LEVELS;
 g.validateLogLevel = validators.validateLogLevel;
 g.validateApiKey = validators.validateApiKey;
+g.validateAssessorProfiles = validators.validateAssessorProfiles;
+g.DEFAULT_ASSESSOR_PROFILE_NAME = validators.DEFAULT_ASSESSOR_PROFILE_NAME;
+g.ASSESSOR_PROFILE_TASK_TYPES = validators.ASSESSOR_PROFILE_TASK_TYPES;
 g.validateClassInfo = validators.validateClassInfo;
 g.toBoolean = validators.toBoolean;
 g.toBooleanString = validators.toBooleanString;
@@ -217,14 +236,21 @@ g.AssignmentDefinitionValidation = require('../src/backend/y_controllers/Assignm
 g.AssignmentDefinitionReferenceData = require('../src/backend/y_controllers/AssignmentDefinition/AssignmentDefinitionReferenceData.js');
 g.AssignmentDefinitionTaskParser = require('../src/backend/y_controllers/AssignmentDefinition/AssignmentDefinitionTaskParser.js');
 g.AssignmentDefinitionTaskWeighting = require('../src/backend/y_controllers/AssignmentDefinition/AssignmentDefinitionTaskWeighting.js');
+g.AssignmentDefinitionTaskRubric = require('../src/backend/y_controllers/AssignmentDefinition/AssignmentDefinitionTaskRubric.js');
 g.AssignmentDefinitionPersistence = require('../src/backend/y_controllers/AssignmentDefinition/AssignmentDefinitionPersistence.js');
 g.AssignmentDefinitionUpsertOrchestrator = require('../src/backend/y_controllers/AssignmentDefinition/AssignmentDefinitionUpsertOrchestrator.js');
 g.AssignmentDefinitionResponseMapper = require('../src/backend/y_controllers/AssignmentDefinition/AssignmentDefinitionResponseMapper.js');
 
+// Usage counters are summed by ABClassUsageReport as well as the request managers.
+g.AssessorUsage = require('../src/backend/RequestHandlers/AssessorUsage.js');
+
 // Load ABClassController sub-classes as globals (mirroring GAS concatenation order so
 // index.js can reference them by name when require() calls are absent in production).
 g.ABClassValidation = require('../src/backend/y_controllers/ABClassController/ABClassValidation.js');
 g.ABClassPersistence = require('../src/backend/y_controllers/ABClassController/ABClassPersistence.js');
 g.ABClassRoster = require('../src/backend/y_controllers/ABClassController/ABClassRoster.js');
 g.ABClassAssignmentOps = require('../src/backend/y_controllers/ABClassController/ABClassAssignmentOps.js');
+g.ABClassGradePublisher = require('../src/backend/y_controllers/ABClassController/ABClassGradePublisher.js');
+g.ABClassGradebookExporter = require('../src/backend/y_controllers/ABClassController/ABClassGradebookExporter.js');
+g.ABClassUsageReport = require('../src/backend/y_controllers/ABClassController/ABClassUsageReport.js');
 g.ABClassResponseMapper = require('../src/backend/y_controllers/ABClassController/ABClassResponseMapper.js');
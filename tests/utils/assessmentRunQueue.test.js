@@ -0,0 +1,253 @@
+/**
+ * AssessmentRunQueue Tests
+ *
+ * Covers the persisted per-user run queue used by AssignmentController to
+ * schedule several assessment runs without overwriting each other.
+ */
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+const AssessmentRunQueue = require('../../src/backend/Utils/AssessmentRunQueue.js');
+
+/**
+ * Builds the run fields required by enqueue.
+ *
+ * @param {string} runId - Run identifier.
+ * @param {string} [courseId='course-001'] - Course identifier.
+ * @returns {Object} Run fields.
+ */
+function buildRun(runId, courseId = 'course-001') {
+  return { runId, assignmentId: 'assign-001', definitionKey: 'def-001', courseId };
+}
+
+describe('AssessmentRunQueue', () => {
+  let queue;
+
+  beforeEach(() => {
+    PropertiesService._resetUserProperties();
+    queue = new AssessmentRunQueue();
+  });
+
+  it('persists enqueued runs in order as queued entries', () => {
+    queue.enqueue(buildRun('run-001'));
+    queue.enqueue(buildRun('run-002', 'course-002'));
+
+    const entries = new AssessmentRunQueue().list();
+    expect(entries).toEqual([
+      expect.objectContaining({
+        runId: 'run-001',
+        status: 'queued',
+        startedAt: null,
+        checkpointedAt: null,
+        continuations: 0,
+      }),
+      expect.objectContaining({ runId: 'run-002', courseId: 'course-002', status: 'queued' }),
+    ]);
+    expect(typeof entries[0].enqueuedAt).toBe('string');
+  });
+
+  it('rejects runs with missing fields', () => {
+    expect(() => queue.enqueue({ runId: 'run-001', assignmentId: 'assign-001' })).toThrow();
+    expect(queue.list()).toEqual([]);
+  });
+
+  it('rejects runs once the queue is full', () => {
+    for (let index = 0; index < 20; index++) {
+      queue.enqueue(buildRun(`run-${index}`));
+    }
+
+    expect(() => queue.enqueue(buildRun('run-overflow'))).toThrow(/queue is full/);
+    expect(queue.list()).toHaveLength(20);
+  });
+
+  it('peeks at the oldest queued run without changing it', () => {
+    queue.enqueue(buildRun('run-001'));
+    queue.enqueue(buildRun('run-002'));
+
+    expect(queue.peekNext()).toEqual(expect.objectContaining({ runId: 'run-001' }));
+    expect(queue.list()).toHaveLength(2);
+  });
+
+  it('returns null from peekNext when nothing is queued', () => {
+    expect(queue.peekNext()).toBeNull();
+  });
+
+  it('marks a run as running and drops abandoned running entries', () => {
+    queue.enqueue(buildRun('run-001'));
+    queue.enqueue(buildRun('run-002'));
+    queue.markRunning('run-001');
+    queue.markRunning('run-002');
+
+    const entries = queue.list();
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toEqual(expect.objectContaining({ runId: 'run-002', status: 'running' }));
+    expect(typeof entries[0].startedAt).toBe('string');
+    expect(queue.peekNext()).toBeNull();
+  });
+
+  it('cancels only runs that have not started', () => {
+    queue.enqueue(buildRun('run-001'));
+    queue.enqueue(buildRun('run-002'));
+    queue.markRunning('run-001');
+
+    expect(queue.cancel('run-001')).toBe(false);
+    expect(queue.cancel('run-002')).toBe(true);
+    expect(queue.cancel('run-unknown')).toBe(false);
+    expect(queue.list().map((entry) => entry.runId)).toEqual(['run-001']);
+  });
+
+  it('returns a checkpointed run to the front of the queue', () => {
+    queue.enqueue(buildRun('run-001'));
+    queue.enqueue(buildRun('run-002'));
+    queue.markRunning('run-001');
+
+    const entry = queue.markCheckpointed('run-001');
+
+    expect(entry).toEqual(
+      expect.objectContaining({ runId: 'run-001', status: 'queued', continuations: 1 })
+    );
+    expect(typeof entry.checkpointedAt).toBe('string');
+    expect(queue.peekNext().runId).toBe('run-001');
+    expect(queue.hasActiveRun()).toBe(false);
+    expect(queue.getRunStatus('run-001').message).toBe(
+      'Assessment run paused at a checkpoint; waiting to resume.'
+    );
+
+    queue.markRunning('run-001');
+    expect(queue.markCheckpointed('run-001').continuations).toBe(2);
+    expect(queue.markCheckpointed('run-unknown')).toBeNull();
+  });
+
+  it('refuses to cancel a run paused at a checkpoint', () => {
+    queue.enqueue(buildRun('run-001'));
+    queue.markRunning('run-001');
+    queue.markCheckpointed('run-001');
+
+    expect(queue.cancel('run-001')).toBe(false);
+    expect(queue.list()).toHaveLength(1);
+  });
+
+  it('removes the stored property once the last run is removed', () => {
+    queue.enqueue(buildRun('run-001'));
+    queue.remove('run-001');
+
+    expect(PropertiesService.getUserProperties().getProperty('assessmentRunQueue')).toBeNull();
+  });
+
+  it('reports queued and active runs', () => {
+    expect(queue.hasQueuedRuns()).toBe(false);
+    expect(queue.hasActiveRun()).toBe(false);
+
+    queue.enqueue(buildRun('run-001'));
+    expect(queue.hasQueuedRuns()).toBe(true);
+
+    queue.markRunning('run-001');
+    expect(queue.hasQueuedRuns()).toBe(false);
+    expect(queue.hasActiveRun()).toBe(true);
+  });
+
+  it('treats a long-running entry as abandoned', () => {
+    queue.enqueue(buildRun('run-001'));
+    queue.markRunning('run-001');
+    const startedAtMs = Date.parse(queue.list()[0].startedAt);
+
+    expect(queue.hasActiveRun(startedAtMs + 31 * 60 * 1000)).toBe(false);
+  });
+
+  it('describes pending runs by their position in the queue', () => {
+    queue.enqueue(buildRun('run-001'));
+    queue.enqueue(buildRun('run-002'));
+    queue.enqueue(buildRun('run-003'));
+    queue.markRunning('run-001');
+
+    expect(queue.getRunStatus('run-001').message).toBe('Assessment run starting.');
+    expect(queue.getRunStatus('run-002').message).toBe(
+      'Assessment run queued; waiting for 1 earlier run to finish.'
+    );
+    expect(queue.getRunStatus('run-003')).toEqual(
+      expect.objectContaining({
+        runId: 'run-003',
+        step: 0,
+        completed: false,
+        error: null,
+        errors: [],
+        message: 'Assessment run queued; waiting for 2 earlier runs to finish.',
+      })
+    );
+    expect(queue.getRunStatus('run-unknown')).toBeNull();
+  });
+
+  it('describes the only queued run as scheduled', () => {
+    queue.enqueue(buildRun('run-001'));
+
+    const status = queue.getRunStatus('run-001');
+    expect(status.message).toBe('Assessment run scheduled; waiting for the trigger to start.');
+    expect(status.history).toEqual([
+      { step: 0, message: status.message, timestamp: status.timestamp },
+    ]);
+  });
+
+  it('fills checkpoint fields for entries stored before checkpointing existed', () => {
+    PropertiesService.getUserProperties().setProperty(
+      'assessmentRunQueue',
+      JSON.stringify([{ ...buildRun('run-001'), status: 'queued', startedAt: null }])
+    );
+
+    expect(queue.list()[0]).toEqual(
+      expect.objectContaining({ checkpointedAt: null, continuations: 0 })
+    );
+  });
+
+  it('resets to an empty queue when the stored value is unreadable', () => {
+    PropertiesService.getUserProperties().setProperty('assessmentRunQueue', '{not json');
+    expect(queue.list()).toEqual([]);
+
+    PropertiesService.getUserProperties().setProperty('assessmentRunQueue', '{"runId":"x"}');
+    expect(queue.list()).toEqual([]);
+  });
+
+  describe('locking', () => {
+    let originalLockService;
+    let mockLock;
+
+    beforeEach(() => {
+      originalLockService = globalThis.LockService;
+      mockLock = { tryLock: vi.fn(() => true), releaseLock: vi.fn() };
+      globalThis.LockService = { getUserLock: vi.fn(() => mockLock) };
+    });
+
+    afterEach(() => {
+      globalThis.LockService = originalLockService;
+    });
+
+    it('holds the user lock for every queue change', () => {
+      queue.enqueue(buildRun('run-001'));
+      queue.enqueue(buildRun('run-002'));
+      queue.markRunning('run-001');
+      queue.markCheckpointed('run-001');
+      queue.cancel('run-002');
+      queue.remove('run-001');
+
+      expect(mockLock.tryLock).toHaveBeenCalledTimes(6);
+      expect(mockLock.releaseLock).toHaveBeenCalledTimes(6);
+    });
+
+    it('releases the lock when a change throws', () => {
+      for (let index = 0; index < 20; index++) {
+        queue.enqueue(buildRun(`run-${index}`));
+      }
+
+      expect(() => queue.enqueue(buildRun('run-overflow'))).toThrow(/queue is full/);
+      expect(mockLock.releaseLock).toHaveBeenCalledTimes(mockLock.tryLock.mock.calls.length);
+    });
+
+    it('leaves the queue unchanged when the lock cannot be acquired', () => {
+      queue.enqueue(buildRun('run-001'));
+      mockLock.tryLock.mockReturnValue(false);
+
+      expect(() => queue.enqueue(buildRun('run-002'))).toThrow(/Could not lock/);
+      expect(() => queue.cancel('run-001')).toThrow(/Could not lock/);
+      expect(queue.list().map((entry) => entry.runId)).toEqual(['run-001']);
+      expect(mockLock.releaseLock).toHaveBeenCalledTimes(1);
+    });
+  });
+});
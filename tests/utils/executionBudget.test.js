@@ -0,0 +1,27 @@
+/**
+ * ExecutionBudget Tests
+ *
+ * Covers the per-execution time budget used to checkpoint long assessment runs.
+ */
+import { describe, expect, it } from 'vitest';
+
+const ExecutionBudget = require('../../src/backend/Utils/ExecutionBudget.js');
+
+describe('ExecutionBudget', () => {
+  it('defaults to the execution limit minus the persistence reserve', () => {
+    expect(new ExecutionBudget().budgetMs).toBe(270000);
+  });
+
+  it('reports elapsed time since it started', () => {
+    const budget = new ExecutionBudget(1000, 5000);
+
+    expect(budget.elapsedMs(5250)).toBe(250);
+  });
+
+  it('runs low once the elapsed time reaches the budget', () => {
+    const budget = new ExecutionBudget(1000, 5000);
+
+    expect(budget.isRunningLow(5999)).toBe(false);
+    expect(budget.isRunningLow(6000)).toBe(true);
+  });
+});
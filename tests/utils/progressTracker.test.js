@@ -185,6 +185,136 @@ describe('ProgressTracker', () => {
     });
   });
 
+  describe('run history and error log', () => {
+    it('records the runId and an initial history entry on startTracking', () => {
+      tracker.startTracking('run-001');
+
+      const stored = JSON.parse(
+        globalThis.PropertiesService.getUserProperties().getProperty('ProgressTracker')
+      );
+      expect(stored.runId).toBe('run-001');
+      expect(stored.history).toHaveLength(1);
+      expect(stored.errors).toEqual([]);
+    });
+
+    it('appends each progress update to the history and preserves the runId', () => {
+      tracker.startTracking('run-001');
+      tracker.updateProgress('Fetching submitted documents from students.');
+      tracker.updateProgress('Submitted documents fetched.', false);
+
+      const stored = JSON.parse(
+        globalThis.PropertiesService.getUserProperties().getProperty('ProgressTracker')
+      );
+      expect(stored.runId).toBe('run-001');
+      expect(stored.history.map((entry) => [entry.step, entry.message])).toEqual([
+        [0, 'Starting the assessment. This may take up to a minute...'],
+        [1, 'Fetching submitted documents from students.'],
+        [1, 'Submitted documents fetched.'],
+      ]);
+    });
+
+    it('bounds the stored history to the most recent entries', () => {
+      tracker.startTracking('run-001');
+      for (let index = 0; index < 40; index++) {
+        tracker.updateProgress(`Stage ${index}`);
+      }
+
+      const stored = JSON.parse(
+        globalThis.PropertiesService.getUserProperties().getProperty('ProgressTracker')
+      );
+      expect(stored.history).toHaveLength(30);
+      expect(stored.history.at(-1).message).toBe('Stage 39');
+    });
+
+    it('appends user-facing errors to the error log', () => {
+      tracker.startTracking('run-001');
+      tracker.updateProgress('Assessing student responses.');
+      tracker.logError('First failure');
+      tracker.logError('Second failure');
+
+      const stored = JSON.parse(
+        globalThis.PropertiesService.getUserProperties().getProperty('ProgressTracker')
+      );
+      expect(stored.error).toBe('Second failure');
+      expect(stored.errors.map((entry) => [entry.step, entry.message])).toEqual([
+        [1, 'First failure'],
+        [1, 'Second failure'],
+      ]);
+    });
+  });
+
+  describe('resumeTracking', () => {
+    it('continues the stored run from its last step and keeps its history', () => {
+      tracker.startTracking('run-1');
+      tracker.updateProgress('Step one');
+      tracker.updateProgress('Step two');
+
+      ProgressTracker.resetForTests();
+      const resumed = ProgressTracker.getInstance();
+      resumed.resumeTracking('run-1');
+      resumed.updateProgress('Step three');
+
+      const status = resumed.getRunStatus('run-1');
+      expect(status.step).toBe(3);
+      expect(status.history.map((entry) => entry.message)).toEqual([
+        'Starting the assessment. This may take up to a minute...',
+        'Step one',
+        'Step two',
+        'Step three',
+      ]);
+    });
+
+    it('starts fresh tracking when the stored progress belongs to another run', () => {
+      tracker.startTracking('run-1');
+      tracker.updateProgress('Step one');
+
+      tracker.resumeTracking('run-2');
+
+      const status = tracker.getRunStatus('run-2');
+      expect(status.step).toBe(0);
+      expect(status.history).toHaveLength(1);
+    });
+  });
+
+  describe('getRunStatus', () => {
+    it('returns null when no progress data exists', () => {
+      expect(tracker.getRunStatus('run-001')).toBeNull();
+    });
+
+    it('returns null when the stored progress belongs to another run', () => {
+      tracker.startTracking('run-002');
+
+      expect(tracker.getRunStatus('run-001')).toBeNull();
+    });
+
+    it('returns the status, history and error log for the tracked run', () => {
+      tracker.startTracking('run-001');
+      tracker.updateProgress('Assessing student responses.');
+      tracker.logError('Assessor unavailable');
+
+      const status = tracker.getRunStatus('run-001');
+
+      expect(status).toEqual({
+        runId: 'run-001',
+        step: 1,
+        message: 'An error occurred.',
+        completed: false,
+        error: 'Assessor unavailable',
+        errors: [expect.objectContaining({ step: 1, message: 'Assessor unavailable' })],
+        history: expect.any(Array),
+        timestamp: expect.any(String),
+      });
+      expect(status.history).toHaveLength(2);
+    });
+
+    it('reports completion once the run completes', () => {
+      tracker.startTracking('run-001');
+      tracker.complete();
+
+      expect(tracker.getRunStatus('run-001').completed).toBe(true);
+    });
+  });
+
   describe('_logDeveloperDetails', () => {
     it('logs stack trace and message for Error objects', () => {
       const err = new Error('dev error');
@@ -63,4 +63,15 @@ describe('backend TriggerController', () => {
     expect(globalThis.ScriptApp.newTrigger).toHaveBeenCalledWith('runTask');
     expect(triggerId).toBe('trigger-1');
   });
+
+  it('reports whether a trigger is still installed', () => {
+    globalThis.ScriptApp.getProjectTriggers.mockReturnValue([
+      { getUniqueId: () => 'trigger-1' },
+      { getUniqueId: () => 'trigger-2' },
+    ]);
+    const controller = new TriggerController();
+
+    expect(controller.triggerExists('trigger-2')).toBe(true);
+    expect(controller.triggerExists('trigger-3')).toBe(false);
+  });
 });